@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const transcriptChunkService = require('../src/services/transcriptChunkService');
+const logger = require('../src/utils/logger');
+require('dotenv').config();
+
+// Queues the chunk embeddings used by "Ask this video" and the knowledge
+// assistant for processes transcribed before they existed. Processes whose
+// chunks are up to date are skipped by the worker.
+//
+// Usage: node scripts/index-transcript-chunks.js [tenantId]
+async function indexTranscriptChunks() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/process-mind';
+    await mongoose.connect(mongoUri);
+    logger.info('Connected to MongoDB');
+
+    const tenantId = process.argv[2] || null;
+    const queued = await transcriptChunkService.queueReindex(tenantId);
+    logger.info(`Queued transcript indexing for ${queued} processes`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('Queueing transcript indexing failed:', error);
+    process.exit(1);
+  }
+}
+
+indexTranscriptChunks();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { Process } = require('../src/models');
+const logger = require('../src/utils/logger');
+require('dotenv').config();
+
+// MongoDB allows a single text index per collection, so the previous one
+// (title and transcript only) is replaced by the schema definition that
+// also covers the summary fields.
+async function migrateTextIndex() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/process-mind';
+    await mongoose.connect(mongoUri);
+    logger.info('Connected to MongoDB for migration');
+
+    const [keys, options] = Process.schema.indexes()
+      .find(([indexKeys]) => Object.values(indexKeys).includes('text'));
+
+    const existing = await Process.collection.indexes();
+    for (const index of existing) {
+      if (index.name !== options.name && Object.values(index.key).includes('text')) {
+        await Process.collection.dropIndex(index.name);
+        logger.info(`Dropped text index ${index.name}`);
+      }
+    }
+
+    await Process.collection.createIndex(keys, options);
+    logger.info(`Text index ${options.name} is up to date`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateTextIndex();
@@ -46,7 +46,8 @@ const queues = {
   TRANSCRIPTION: 'transcription',
   AI_ANALYSIS: 'ai-analysis',
   S3_UPLOAD: 's3-upload',
-  CLEANUP: 'cleanup'
+  CLEANUP: 'cleanup',
+  WEBHOOKS: 'webhooks'
 };
 
 // Create queue instances
@@ -56,6 +57,17 @@ const transcriptionQueue = new Queue(queues.TRANSCRIPTION, queueConnection);
 const aiAnalysisQueue = new Queue(queues.AI_ANALYSIS, queueConnection);
 const s3UploadQueue = new Queue(queues.S3_UPLOAD, queueConnection);
 const cleanupQueue = new Queue(queues.CLEANUP, queueConnection);
+const webhookQueue = new Queue(queues.WEBHOOKS, queueConnection);
+
+const queueInstances = {
+  [queues.VIDEO_PROCESSING]: videoProcessingQueue,
+  [queues.AUDIO_EXTRACTION]: audioExtractionQueue,
+  [queues.TRANSCRIPTION]: transcriptionQueue,
+  [queues.AI_ANALYSIS]: aiAnalysisQueue,
+  [queues.S3_UPLOAD]: s3UploadQueue,
+  [queues.CLEANUP]: cleanupQueue,
+  [queues.WEBHOOKS]: webhookQueue
+};
 
 // Note: QueueScheduler is no longer needed in BullMQ v2+
 // The queue workers handle delayed and repeated jobs automatically
@@ -63,19 +75,31 @@ const cleanupQueue = new Queue(queues.CLEANUP, queueConnection);
 // Job types
 const jobTypes = {
   COMPRESS_VIDEO: 'compress-video',
+  BURN_CAPTIONS: 'burn-captions',
+  GENERATE_THUMBNAILS: 'generate-thumbnails',
+  PACKAGE_HLS: 'package-hls',
   EXTRACT_AUDIO: 'extract-audio',
   SEGMENT_AUDIO: 'segment-audio',
+  PREPARE_RETRANSCRIPTION: 'prepare-retranscription',
   TRANSCRIBE_SEGMENT: 'transcribe-segment',
   MERGE_TRANSCRIPTS: 'merge-transcripts',
+  DIARIZE_TRANSCRIPT: 'diarize-transcript',
   GENERATE_TAGS: 'generate-tags',
   GENERATE_TODO: 'generate-todo',
   GENERATE_TITLE: 'generate-title',
+  GENERATE_SUMMARY: 'generate-summary',
+  GENERATE_CHAPTERS: 'generate-chapters',
   GENERATE_EMBEDDING: 'generate-embedding',
+  INDEX_TRANSCRIPT: 'index-transcript',
   S3_UPLOAD_VIDEO: 's3-upload-video',
   LOCAL_CLEANUP: 'local-cleanup',
-  CLEANUP_FILES: 'cleanup-files'
+  CLEANUP_FILES: 'cleanup-files',
+  DELIVER_WEBHOOK: 'deliver-webhook'
 };
 
+// Webhook receivers get about 15 minutes to recover: 30s, 1m, 2m, 4m and 8m between attempts
+const WEBHOOK_ATTEMPTS = 6;
+
 // Queue methods
 const queueMethods = {
   // Video processing jobs
@@ -106,6 +130,60 @@ const queueMethods = {
     return job;
   },
 
+  async addCaptionBurnJob(processId) {
+    const jobData = {
+      processId
+    };
+
+    const job = await videoProcessingQueue.add(
+      jobTypes.BURN_CAPTIONS,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 10 // Behind compression jobs of new uploads
+      }
+    );
+
+    logger.info(`Caption burn-in job added: ${job.id}`, { processId });
+    return job;
+  },
+
+  async addThumbnailJob(processId) {
+    const jobData = {
+      processId
+    };
+
+    const job = await videoProcessingQueue.add(
+      jobTypes.GENERATE_THUMBNAILS,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 5 // After compression of new uploads, before on-demand caption burn-ins
+      }
+    );
+
+    logger.info(`Thumbnail job added: ${job.id}`, { processId });
+    return job;
+  },
+
+  async addHlsPackagingJob(processId) {
+    const jobData = {
+      processId
+    };
+
+    const job = await videoProcessingQueue.add(
+      jobTypes.PACKAGE_HLS,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 8 // Re-encodes every rendition; the MP4 stays playable meanwhile
+      }
+    );
+
+    logger.info(`HLS packaging job added: ${job.id}`, { processId });
+    return job;
+  },
+
   // Audio extraction jobs
   async addAudioExtractionJob(processId, videoPath, audioPath) {
     const jobData = {
@@ -153,8 +231,26 @@ const queueMethods = {
     return job;
   },
 
+  async addRetranscriptionJob(processId) {
+    const jobData = {
+      processId
+    };
+
+    const job = await audioExtractionQueue.add(
+      jobTypes.PREPARE_RETRANSCRIPTION,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 9 // Behind the pipeline of new uploads
+      }
+    );
+
+    logger.info(`Re-transcription job added: ${job.id}`, { processId });
+    return job;
+  },
+
   // Transcription jobs
-  async addTranscriptionJob(processId, audioPath, segmentIndex, startTime) {
+  async addTranscriptionJob(processId, audioPath, segmentIndex, startTime, options = {}) {
     const jobData = {
       processId,
       audioPath,
@@ -163,7 +259,8 @@ const queueMethods = {
       options: {
         model: 'whisper-1',
         responseFormat: 'verbose_json',
-        timestampGranularities: ['segment']
+        timestampGranularities: ['segment'],
+        ...options
       }
     };
 
@@ -200,13 +297,33 @@ const queueMethods = {
     return job;
   },
 
+  async addDiarizationJob(processId, audioPath, segments) {
+    const jobData = {
+      processId,
+      audioPath,
+      segments
+    };
+
+    const job = await transcriptionQueue.add(
+      jobTypes.DIARIZE_TRANSCRIPT,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 5
+      }
+    );
+
+    logger.info(`Diarization job added: ${job.id}`, { processId });
+    return job;
+  },
+
   // AI analysis jobs
   async addTagGenerationJob(processId, transcript) {
     const jobData = {
       processId,
       transcript,
+      // Provider and model are resolved from the tenant settings by the worker
       options: {
-        model: 'gpt-3.5-turbo',
         maxTags: 10
       }
     };
@@ -228,8 +345,8 @@ const queueMethods = {
     const jobData = {
       processId,
       transcript,
+      // Provider and model are resolved from the tenant settings by the worker
       options: {
-        model: 'gpt-3.5-turbo',
         maxItems: 20
       }
     };
@@ -247,12 +364,78 @@ const queueMethods = {
     return job;
   },
 
+  async addSummaryGenerationJob(processId, transcript) {
+    const jobData = {
+      processId,
+      transcript,
+      // Provider and model are resolved from the tenant settings by the worker
+      options: {
+        maxItems: 8
+      }
+    };
+
+    const job = await aiAnalysisQueue.add(
+      jobTypes.GENERATE_SUMMARY,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 7
+      }
+    );
+
+    logger.info(`Summary generation job added: ${job.id}`, { processId });
+    return job;
+  },
+
+  async addChapterGenerationJob(processId, transcript) {
+    const jobData = {
+      processId,
+      transcript,
+      // Provider and model are resolved from the tenant settings by the worker
+      options: {
+        maxChapters: 15
+      }
+    };
+
+    const job = await aiAnalysisQueue.add(
+      jobTypes.GENERATE_CHAPTERS,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 8 // Navigation aid, after title, tags and todos
+      }
+    );
+
+    logger.info(`Chapter generation job added: ${job.id}`, { processId });
+    return job;
+  },
+
+  // Chunk embeddings for question answering; delayed so a burst of transcript edits is embedded once
+  async addTranscriptIndexJob(processId, delay = 30000) {
+    const jobData = {
+      processId
+    };
+
+    const job = await aiAnalysisQueue.add(
+      jobTypes.INDEX_TRANSCRIPT,
+      jobData,
+      {
+        ...defaultJobOptions,
+        delay,
+        priority: 10 // Background indexing, after all analysis of new uploads
+      }
+    );
+
+    logger.info(`Transcript index job added: ${job.id}`, { processId });
+    return job;
+  },
+
   async addTitleGenerationJob(processId, transcript) {
     const jobData = {
       processId,
       transcript,
+      // Provider and model are resolved from the tenant settings by the worker
       options: {
-        model: 'gpt-3.5-turbo',
         maxLength: 100
       }
     };
@@ -277,9 +460,7 @@ const queueMethods = {
       // Include title and tags if provided
       title: additionalData.title || null,
       tags: additionalData.tags || null,
-      options: {
-        model: 'text-embedding-ada-002'
-      }
+      options: {}
     };
 
     const job = await aiAnalysisQueue.add(
@@ -299,6 +480,27 @@ const queueMethods = {
     return job;
   },
 
+  // On-demand re-analysis of a single step for an already processed video
+  async addReanalysisJob(processId, jobType, data = {}) {
+    const jobData = {
+      processId,
+      reanalysis: true,
+      ...data
+    };
+
+    const job = await aiAnalysisQueue.add(
+      jobType,
+      jobData,
+      {
+        ...defaultJobOptions,
+        priority: 9 // Behind analysis of new uploads
+      }
+    );
+
+    logger.info(`Re-analysis job added: ${job.id}`, { processId, jobType });
+    return job;
+  },
+
   // S3 Upload jobs
   async addS3UploadJob(processId, localVideoPath, tenantId, userId) {
     const jobData = {
@@ -363,6 +565,31 @@ const queueMethods = {
     return job;
   },
 
+  // Outgoing webhook delivery; the delivery record holds the payload
+  async addWebhookDeliveryJob(deliveryId) {
+    const jobData = {
+      deliveryId
+    };
+
+    const job = await webhookQueue.add(
+      jobTypes.DELIVER_WEBHOOK,
+      jobData,
+      {
+        ...defaultJobOptions,
+        removeOnComplete: 100,
+        removeOnFail: 100,
+        attempts: WEBHOOK_ATTEMPTS,
+        backoff: {
+          type: 'exponential',
+          delay: 30000
+        }
+      }
+    );
+
+    logger.info(`Webhook delivery job added: ${job.id}`, { deliveryId });
+    return job;
+  },
+
   // Helper methods
   async getJobStatus(jobId, queueName) {
     let queue;
@@ -385,6 +612,9 @@ const queueMethods = {
       case queues.S3_UPLOAD:
         queue = s3UploadQueue;
         break;
+      case queues.WEBHOOKS:
+        queue = webhookQueue;
+        break;
       default:
         throw new Error(`Unknown queue: ${queueName}`);
     }
@@ -405,6 +635,27 @@ const queueMethods = {
     };
   },
 
+  // Whether any of the jobs is still waiting, delayed or running. finishedWithin
+  // (ms) also counts jobs that just finished, whose follow-up job may not be added yet.
+  async hasPendingJobs(jobIds, queueName, { finishedWithin = 0 } = {}) {
+    const queue = queueInstances[queueName];
+    if (!queue) {
+      throw new Error(`Unknown queue: ${queueName}`);
+    }
+
+    for (const jobId of jobIds) {
+      const job = await queue.getJob(jobId);
+      const state = job ? await job.getState() : null;
+      if (['waiting', 'delayed', 'prioritized', 'active', 'waiting-children'].includes(state)) {
+        return true;
+      }
+      if (finishedWithin && job?.finishedOn && Date.now() - job.finishedOn < finishedWithin) {
+        return true;
+      }
+    }
+    return false;
+  },
+
   async removeJob(jobId, queueName) {
     const job = await this.getJobStatus(jobId, queueName);
     if (job) {
@@ -422,7 +673,8 @@ const queueMethods = {
       { name: queues.TRANSCRIPTION, instance: transcriptionQueue },
       { name: queues.AI_ANALYSIS, instance: aiAnalysisQueue },
       { name: queues.S3_UPLOAD, instance: s3UploadQueue },
-      { name: queues.CLEANUP, instance: cleanupQueue }
+      { name: queues.CLEANUP, instance: cleanupQueue },
+      { name: queues.WEBHOOKS, instance: webhookQueue }
     ];
 
     for (const { name, instance } of queueInstances) {
@@ -463,14 +715,8 @@ module.exports = {
   aiAnalysisQueue,
   s3UploadQueue,
   cleanupQueue,
+  webhookQueue,
   
   // Queue instances for worker setup
-  queueInstances: {
-    [queues.VIDEO_PROCESSING]: videoProcessingQueue,
-    [queues.AUDIO_EXTRACTION]: audioExtractionQueue,
-    [queues.TRANSCRIPTION]: transcriptionQueue,
-    [queues.AI_ANALYSIS]: aiAnalysisQueue,
-    [queues.S3_UPLOAD]: s3UploadQueue,
-    [queues.CLEANUP]: cleanupQueue
-  }
+  queueInstances
 };
\ No newline at end of file
@@ -286,7 +286,11 @@ const keyGenerators = {
   sessionTenant: (sessionId) => `session:tenant:${sessionId}`,
   rateLimit: (tenant, ip) => `rate_limit:${tenant}:${ip}`,
   verificationCode: (email) => `verify:code:${email}`,
-  loginAttempts: (email) => `login:attempts:${email}`
+  loginAttempts: (email) => `login:attempts:${email}`,
+  processStatusChannel: (tenant) => `process:status:${tenant}`,
+  ssoState: (state) => `sso:state:${state}`,
+  ssoCode: (code) => `sso:code:${code}`,
+  samlRequest: (requestId) => `sso:saml:request:${requestId}`
 };
 
 module.exports = {
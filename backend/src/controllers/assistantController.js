@@ -0,0 +1,156 @@
+const { AssistantConversation } = require('../models');
+const knowledgeAssistantService = require('../services/knowledgeAssistantService');
+const logger = require('../utils/logger');
+
+class AssistantController {
+  /**
+   * List the current user's assistant conversations
+   * @route GET /api/v1/tenants/:tenantId/assistant/conversations
+   * @access Private
+   */
+  async getConversations(req, res, next) {
+    try {
+      const conversations = await AssistantConversation.listForUser(req.params.tenantId, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          conversations
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get assistant conversations error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get an assistant conversation with its messages
+   * @route GET /api/v1/tenants/:tenantId/assistant/conversations/:conversationId
+   * @access Private
+   */
+  async getConversation(req, res, next) {
+    try {
+      const { tenantId, conversationId } = req.params;
+
+      const conversation = await AssistantConversation.findOne({
+        _id: conversationId,
+        tenantId,
+        userId: req.user.id
+      });
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          conversation
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get assistant conversation error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Ask the knowledge assistant. The answer is streamed as server-sent events:
+   * { type: 'delta', content }, then { type: 'done', conversation, question, answer, degraded, truncated } or { type: 'error', message }
+   * @route POST /api/v1/tenants/:tenantId/assistant/ask
+   * @access Private
+   */
+  async ask(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { question, conversationId, listId } = req.body;
+
+      let context;
+      try {
+        context = await knowledgeAssistantService.prepare(tenantId, req.user.id, { conversationId, listId });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Keep reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+
+      const send = (event) => {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+        // Flush through the compression middleware
+        res.flush?.();
+      };
+
+      try {
+        const result = await knowledgeAssistantService.ask(
+          context,
+          question.trim(),
+          (content) => send({ type: 'delta', content })
+        );
+        send({ type: 'done', ...result });
+      } catch (error) {
+        logger.error('Knowledge assistant answer error:', error);
+        send({
+          type: 'error',
+          message: error.statusCode ? error.message : 'Failed to answer the question'
+        });
+      }
+
+      res.end();
+
+    } catch (error) {
+      logger.error('Ask assistant error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an assistant conversation
+   * @route DELETE /api/v1/tenants/:tenantId/assistant/conversations/:conversationId
+   * @access Private
+   */
+  async deleteConversation(req, res, next) {
+    try {
+      const { tenantId, conversationId } = req.params;
+
+      const result = await AssistantConversation.deleteOne({
+        _id: conversationId,
+        tenantId,
+        userId: req.user.id
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Conversation deleted'
+      });
+
+    } catch (error) {
+      logger.error('Delete assistant conversation error:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new AssistantController();
@@ -8,6 +8,7 @@ const domainResolver = require('../services/domainResolverService');
 const { cacheUtils, keyGenerators } = require('../config/redis');
 const emailService = require('../services/emailService');
 const invitationService = require('../services/invitationService');
+const ssoService = require('../services/ssoService');
 
 class AuthController {
   /**
@@ -288,6 +289,17 @@ class AuthController {
         });
       }
 
+      // Workspaces can require their identity provider; owners keep password
+      // login so a broken SSO configuration cannot lock everyone out
+      if (user.role !== 'owner' && await ssoService.getEnforcedConnection(user.tenantId._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your organization requires single sign-on. Please sign in with SSO.',
+          code: 'SSO_REQUIRED',
+          loginUrl: ssoService.loginUrl(user.tenantId._id.toString(), emailLower)
+        });
+      }
+
       // Verify password
       const isPasswordCorrect = await user.comparePassword(password);
       if (!isPasswordCorrect) {
@@ -855,13 +867,16 @@ class AuthController {
         });
       }
       
+      const tenantId = invitation.tenantId._id;
+      const ssoRequired = !!await ssoService.getEnforcedConnection(tenantId);
+
       res.json({
         success: true,
         data: {
           email: invitation.email,
           role: invitation.role,
           tenant: {
-            id: invitation.tenantId._id,
+            id: tenantId,
             name: invitation.tenantId.name
           },
           inviter: {
@@ -869,7 +884,9 @@ class AuthController {
             email: invitation.invitedBy.email
           },
           message: invitation.message,
-          expiresAt: invitation.expiresAt
+          expiresAt: invitation.expiresAt,
+          // Invitees of such workspaces join without choosing a password
+          ssoRequired
         }
       });
       
@@ -898,10 +915,23 @@ class AuthController {
         });
       }
       
+      // Workspaces requiring SSO get an account without a usable password,
+      // and the invitee signs in through the identity provider instead of
+      // receiving tokens here. Invitations are never for owners.
+      const tenantId = invitation.tenantId._id.toString();
+      const ssoRequired = !!await ssoService.getEnforcedConnection(tenantId);
+      if (!ssoRequired && !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: ['Password is required']
+        });
+      }
+      
       // Prepare user data
       const userData = {
         email: invitation.email,
-        password,
+        password: ssoRequired ? generateRandomString(32) : password,
         firstName,
         lastName
       };
@@ -909,6 +939,22 @@ class AuthController {
       // Accept invitation and create user
       const { user, tenant } = await invitationService.acceptInvitation(token, userData);
       
+      if (ssoRequired) {
+        logger.info('User accepted invitation to SSO workspace', {
+          userId: user._id,
+          email: user.email,
+          tenantId: tenant._id,
+          invitationId: invitation._id
+        });
+        
+        return res.status(201).json({
+          success: true,
+          message: 'Invitation accepted. Please sign in with SSO.',
+          code: 'SSO_REQUIRED',
+          loginUrl: ssoService.loginUrl(tenantId, user.email)
+        });
+      }
+      
       // Generate tokens
       const accessToken = user.generateAccessToken();
       const refreshToken = user.generateRefreshToken();
@@ -1026,6 +1072,32 @@ class AuthController {
       // Delete all processes from MongoDB
       const Process = require('../models/Process');
       await Process.deleteMany({ tenantId: tenant._id });
+      const TranscriptRevision = require('../models/TranscriptRevision');
+      await TranscriptRevision.deleteMany({ tenantId: tenant._id });
+      const ProcessVersion = require('../models/ProcessVersion');
+      await ProcessVersion.deleteMany({ tenantId: tenant._id });
+      const TranscriptChunk = require('../models/TranscriptChunk');
+      await TranscriptChunk.deleteMany({ tenantId: tenant._id });
+      const ProcessConversation = require('../models/ProcessConversation');
+      await ProcessConversation.deleteMany({ tenantId: tenant._id });
+      const AssistantConversation = require('../models/AssistantConversation');
+      await AssistantConversation.deleteMany({ tenantId: tenant._id });
+      const PromptTemplate = require('../models/PromptTemplate');
+      await PromptTemplate.deleteMany({ tenantId: tenant._id });
+      const TagTerm = require('../models/TagTerm');
+      await TagTerm.deleteMany({ tenantId: tenant._id });
+      const IntegrationConnection = require('../models/IntegrationConnection');
+      await IntegrationConnection.deleteMany({ tenantId: tenant._id });
+      const ProcessComment = require('../models/ProcessComment');
+      await ProcessComment.deleteMany({ tenantId: tenant._id });
+      const WebhookEndpoint = require('../models/WebhookEndpoint');
+      await WebhookEndpoint.deleteMany({ tenantId: tenant._id });
+      const WebhookDelivery = require('../models/WebhookDelivery');
+      await WebhookDelivery.deleteMany({ tenantId: tenant._id });
+      const ApiKey = require('../models/ApiKey');
+      await ApiKey.deleteMany({ tenantId: tenant._id });
+      const SsoConnection = require('../models/SsoConnection');
+      await SsoConnection.deleteMany({ tenantId: tenant._id });
       logger.info('Deleted all processes from database', { tenantId: tenant._id });
 
       // Delete all files from S3
@@ -1,5 +1,5 @@
 const { Process } = require('../models');
-const { queueMethods } = require('../config/bullmq');
+const { queueMethods, jobTypes, queues } = require('../config/bullmq');
 const videoService = require('../services/videoService');
 const videoTokenService = require('../services/videoTokenService');
 const logger = require('../utils/logger');
@@ -9,6 +9,122 @@ const similarityCache = require('../services/similarityCacheService');
 // Lazy load s3Service to prevent startup errors
 const getS3Service = () => require('../services/s3Service').getInstance();
 const storageTrackingService = require('../services/storageTrackingService');
+const { generateSrt, generateVtt } = require('../utils/subtitles');
+const { sanitizeFilename } = require('../utils/helpers');
+const transcriptEditService = require('../services/transcriptEditService');
+const processHistoryService = require('../services/processHistoryService');
+const { TranscriptRevision, ProcessVersion, Tenant, TranscriptChunk, ProcessConversation, ProcessComment } = require('../models');
+const { resolveTranscriptionOptions } = require('../utils/transcriptionSettings');
+const { areEmbeddingsComparable } = require('../utils/aiSettings');
+const searchService = require('../services/searchService');
+const thumbnailService = require('../services/thumbnailService');
+const hlsService = require('../services/hlsService');
+const videoQaService = require('../services/videoQaService');
+const tagTaxonomyService = require('../services/tagTaxonomyService');
+const tagManagementService = require('../services/tagManagementService');
+const todoService = require('../services/todoService');
+const todoExportService = require('../services/todoExportService');
+const processCommentService = require('../services/processCommentService');
+const webhookService = require('../services/webhookService');
+const { isHlsEnabled } = require('../utils/hls');
+const { TODO_STATUSES } = require('../utils/todos');
+const { TODO_FILE_FORMATS } = require('../utils/todoExport');
+
+// Time a new re-analysis or re-transcription gets to queue its jobs before it counts as stale
+const QUEUE_GRACE_MS = 60 * 1000;
+
+/**
+ * Whether a queued re-analysis still has work in the queue. Runs whose jobs
+ * are gone, e.g. lost with Redis or never added, must not block new ones.
+ */
+const isReanalysisRunning = async (reanalysis) => {
+  if (reanalysis?.status !== 'queued') return false;
+  if (Date.now() - new Date(reanalysis.requestedAt).getTime() < QUEUE_GRACE_MS) return true;
+
+  const jobIds = (reanalysis.pendingSteps || []).map(step => reanalysis.jobIds?.[step]).filter(Boolean);
+  return queueMethods.hasPendingJobs(jobIds, queues.AI_ANALYSIS);
+};
+
+/**
+ * Whether a queued re-transcription still has work in the queue. Its steps
+ * queue each other, so a job that just finished also counts.
+ */
+const isRetranscriptionRunning = async (retranscription) => {
+  if (retranscription?.status !== 'queued') return false;
+  if (Date.now() - new Date(retranscription.requestedAt).getTime() < QUEUE_GRACE_MS) return true;
+
+  const jobIdsByQueue = new Map();
+  (retranscription.jobs || []).forEach(({ id, queue }) => {
+    jobIdsByQueue.set(queue, [...(jobIdsByQueue.get(queue) || []), id]);
+  });
+  for (const [queueName, jobIds] of jobIdsByQueue) {
+    if (await queueMethods.hasPendingJobs(jobIds, queueName, { finishedWithin: QUEUE_GRACE_MS })) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// How stale runs of each kind are detected and reported
+const STALE_RUNS = {
+  reanalysis: {
+    isRunning: isReanalysisRunning,
+    processingDetails: 'reanalysis_queued',
+    update: {
+      'reanalysis.pendingSteps': [],
+      'reanalysis.error': 'The re-analysis stopped before all steps finished'
+    }
+  },
+  retranscription: {
+    isRunning: isRetranscriptionRunning,
+    processingDetails: 'retranscribing',
+    update: {
+      'retranscription.error': 'The re-transcription stopped before it finished'
+    }
+  }
+};
+
+/**
+ * Mark a stale queued re-analysis or re-transcription as failed, so the
+ * process page stops waiting for it and offers to run it again
+ * @param {Object} process - Process document
+ * @param {string} field - 'reanalysis' or 'retranscription'
+ */
+const failStaleRun = async (process, field) => {
+  const { isRunning, processingDetails, update: failure } = STALE_RUNS[field];
+  const run = process[field];
+
+  try {
+    if (run?.status !== 'queued' || await isRunning(run)) return;
+  } catch (error) {
+    logger.warn(`Could not check the ${field} jobs`, { processId: process._id, error: error.message });
+    return;
+  }
+
+  const update = {
+    [`${field}.status`]: 'failed',
+    ...failure,
+    [`${field}.completedAt`]: new Date()
+  };
+  if (process.processingDetails === processingDetails) {
+    update.processingDetails = null;
+  }
+
+  // Only the run that was checked, in case a new one started meanwhile
+  const result = await Process.updateOne(
+    { _id: process._id, [`${field}.status`]: 'queued', [`${field}.requestedAt`]: run.requestedAt },
+    { $set: update }
+  );
+  if (result.modifiedCount > 0) {
+    process.set(update);
+    logger.warn(`Stale ${field} marked as failed`, { processId: process._id });
+  }
+};
+
+const SUBTITLE_FORMATS = {
+  srt: { generate: generateSrt, contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { generate: generateVtt, contentType: 'text/vtt; charset=utf-8' }
+};
 
 class ProcessController {
   /**
@@ -34,7 +150,8 @@ class ProcessController {
       const options = {
         userId: userId || undefined,
         status: status || undefined,
-        tags: tags ? tags.split(',').map(tag => tag.trim()) : undefined,
+        // Synonyms and child tags of the taxonomy match as well
+        tags: tags ? await tagTaxonomyService.expandTagFilter(tenantId, tags.split(',').map(tag => tag.trim())) : undefined,
         search: search || undefined,
         limit: Math.min(parseInt(limit), 100), // Max 100 items per page
         skip: (parseInt(page) - 1) * parseInt(limit),
@@ -65,7 +182,7 @@ class ProcessController {
       res.json({
         success: true,
         data: {
-          processes,
+          processes: processes.map(process => thumbnailService.withTokenUrls(process.toJSON(), tenantId)),
           pagination: {
             currentPage: parseInt(page),
             totalPages,
@@ -116,6 +233,25 @@ class ProcessController {
         });
       }
 
+      // Per-upload language/vocabulary override the tenant defaults
+      const tenant = await Tenant.findById(tenantId).select('settings.transcription');
+      let transcriptionSettings;
+      try {
+        transcriptionSettings = resolveTranscriptionOptions(tenant?.settings?.transcription, {
+          language: req.body?.language,
+          vocabulary: req.body?.vocabulary
+        });
+      } catch (error) {
+        if (req.cleanupUploadedFile) {
+          await req.cleanupUploadedFile();
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       // Check user upload limits using storage tracking service
       const { User } = require('../models');
       const user = await User.findById(userId);
@@ -215,6 +351,7 @@ class ProcessController {
           language: 'en', // Set explicit language for MongoDB compatibility
           segments: []
         },
+        transcriptionSettings,
         metadata: {
           uploadDir: req.uploadDir,
           tenantDir: tenantId,
@@ -380,33 +517,1566 @@ class ProcessController {
         // s3Upload and localCleanup job IDs will be added later
       };
 
-      processDocument.status = 'processing_media';
-      await processDocument.save();
+      processDocument.status = 'processing_media';
+      await processDocument.save();
+
+      logger.info('✅ Pipeline started successfully', {
+        processId,
+        jobs: processDocument.jobs,
+        expectedParallelism: 'video-compression || (audio -> transcription -> AI)'
+      });
+
+    } catch (error) {
+      logger.error('Error starting processing pipeline:', error);
+      
+      await processDocument.addError('pipeline_start', error.message, {
+        stack: error.stack
+      });
+      
+      processDocument.status = 'failed';
+      await processDocument.save();
+    }
+  }
+
+  /**
+   * Get single process
+   * @route GET /api/v1/tenants/:tenantId/processes/:id
+   * @access Private
+   */
+  async getProcess(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).populate('userId', 'firstName lastName email');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      await failStaleRun(process, 'reanalysis');
+      await failStaleRun(process, 'retranscription');
+
+      res.json({
+        success: true,
+        data: {
+          process: thumbnailService.withTokenUrls(process.toJSON(), tenantId)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get process error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update process (edit transcript, tags, todo list, summary, chapters, title)
+   * @route PUT /api/v1/tenants/:tenantId/processes/:id
+   * @access Private
+   */
+  async updateProcess(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const { title, transcript, tags, todoList, summary, chapters } = req.body;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      const before = processHistoryService.snapshotOf(process);
+
+      // Timed transcripts are edited through segments so text and timing stay in sync
+      if (transcript?.text !== undefined && transcript.segments === undefined &&
+          process.transcript?.segments?.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This transcript has timed segments. Edit the segments instead of the full text'
+        });
+      }
+
+      // Update allowed fields
+      if (title !== undefined) process.title = title;
+      if (transcript?.text !== undefined && transcript.segments === undefined) {
+        process.transcript.text = transcript.text;
+      }
+      
+      // Handle tags update - only new format
+      if (tags !== undefined) {
+        // Validate and normalize tags
+        if (Array.isArray(tags)) {
+          process.tags = await tagTaxonomyService.normalizeTags(tenantId, tags
+            .filter(tag => tag && typeof tag === 'object' && tag.name)
+            .map(tag => ({
+              name: tag.name.toLowerCase().trim(),
+              weight: Math.max(0, Math.min(1, tag.weight || 0.5))
+            })));
+        } else {
+          process.tags = [];
+        }
+      }
+      
+      // Items sent with their id keep assignees and comments the client left out
+      const notifyTodoAssignees = todoList !== undefined
+        ? await todoService.replaceTodoList(tenantId, process, todoList)
+        : null;
+
+      if (summary !== undefined) {
+        process.summary = {
+          abstract: summary.abstract,
+          keyPoints: summary.keyPoints || [],
+          decisions: summary.decisions || [],
+          openQuestions: summary.openQuestions || [],
+          generatedAt: process.summary?.generatedAt
+        };
+      }
+
+      // Chapters are kept in order; each one ends where the next begins, the last with the video
+      if (chapters !== undefined) {
+        const duration = process.files?.original?.duration || null;
+        const sorted = [...chapters].sort((a, b) => a.start - b.start);
+        process.chapters = sorted.map((chapter, index) => ({
+          title: chapter.title.trim(),
+          start: chapter.start,
+          end: index < sorted.length - 1
+            ? sorted[index + 1].start
+            : Math.max(chapter.start, duration ?? chapter.end ?? chapter.start)
+        }));
+      }
+
+      if (transcript?.segments !== undefined) {
+        const segments = transcriptEditService.toPlainSegments(transcript.segments);
+        transcriptEditService.validateSegments(segments);
+        // Saves the process together with the other field changes
+        await transcriptEditService.commit(process, segments, {
+          userId: req.user.id,
+          operations: ['update']
+        });
+      } else {
+        await process.save();
+      }
+
+      await processHistoryService.record(process, before, { userId: req.user.id });
+      if (notifyTodoAssignees) {
+        await notifyTodoAssignees(req.user.id);
+      }
+
+      logger.info('Process updated', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        updatedFields: Object.keys(req.body)
+      });
+
+      res.json({
+        success: true,
+        message: 'Process updated successfully',
+        data: {
+          process: process.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update process error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update status, priority, assignees, due date, task or timestamp of a todo item
+   * @route PATCH /api/v1/tenants/:tenantId/processes/:id/todos/:todoId
+   * @access Private
+   */
+  async updateTodo(req, res, next) {
+    try {
+      const { tenantId, id, todoId } = req.params;
+
+      const todo = await todoService.updateTodo(tenantId, id, todoId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Todo updated successfully',
+        data: {
+          todo: todo.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update todo error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Comment on a todo item
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/todos/:todoId/comments
+   * @access Private
+   */
+  async addTodoComment(req, res, next) {
+    try {
+      const { tenantId, id, todoId } = req.params;
+
+      const comment = await todoService.addComment(tenantId, id, todoId, req.user.id, req.body.text);
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added',
+        data: {
+          comment: comment.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Add todo comment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a comment on a todo item
+   * @route DELETE /api/v1/tenants/:tenantId/processes/:id/todos/:todoId/comments/:commentId
+   * @access Private (author, owner or admin)
+   */
+  async deleteTodoComment(req, res, next) {
+    try {
+      const { tenantId, id, todoId, commentId } = req.params;
+
+      await todoService.deleteComment(tenantId, id, todoId, commentId, req.user);
+
+      res.json({
+        success: true,
+        message: 'Comment deleted'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete todo comment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Todos assigned to the current user across all processes
+   * @route GET /api/v1/tenants/:tenantId/processes/todos/assigned
+   * @access Private
+   */
+  async getAssignedTodos(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { status = 'active' } = req.query;
+
+      if (!['active', 'all', ...TODO_STATUSES].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown todo status'
+        });
+      }
+
+      const tasks = await todoService.getAssignedTodos(tenantId, req.user.id, { status });
+
+      res.json({
+        success: true,
+        data: {
+          tasks
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get assigned todos error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create or update issues for the todos of a process in a connected tracker
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/todos/export
+   * @access Private
+   */
+  async exportTodos(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const { connector, todoIds } = req.body;
+
+      const result = await todoExportService.exportToTracker(tenantId, id, connector, { todoIds }, req.user.id);
+      const exported = result.created + result.updated;
+
+      // Nothing reached the tracker, usually wrong credentials or settings
+      if (exported === 0) {
+        return res.status(502).json({
+          success: false,
+          message: `Export failed: ${result.results[0].error}`,
+          data: result
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.failed > 0
+          ? `${exported} todo${exported === 1 ? '' : 's'} exported, ${result.failed} failed`
+          : `${exported} todo${exported === 1 ? '' : 's'} exported`,
+        data: result
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Export todos error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Download the todos of a process as CSV or iCalendar (todos with a due date)
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/todos/export.:format
+   * @access Private
+   */
+  async downloadTodos(req, res, next) {
+    try {
+      const { tenantId, id, format } = req.params;
+      const fileFormat = TODO_FILE_FORMATS[format];
+
+      if (!fileFormat) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported export format. Use csv or ics'
+        });
+      }
+
+      const rows = await todoExportService.getProcessRows(tenantId, id);
+      const title = rows[0]?.process.title || 'todos';
+      const content = fileFormat.generate(rows, { name: title });
+
+      res.setHeader('Content-Type', fileFormat.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${sanitizeFilename(title)}-todos.${format}"`);
+      res.send(content);
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Download todos error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Whether the current user has a calendar feed of their assigned todos
+   * @route GET /api/v1/tenants/:tenantId/processes/todos/calendar-feed
+   * @access Private
+   */
+  async getCalendarFeed(req, res, next) {
+    try {
+      const enabled = await todoExportService.hasCalendarFeed(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          enabled
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get calendar feed error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create a new secret calendar feed URL; the previous URL stops working
+   * @route POST /api/v1/tenants/:tenantId/processes/todos/calendar-feed
+   * @access Private
+   */
+  async createCalendarFeed(req, res, next) {
+    try {
+      const feedPath = await todoExportService.createCalendarFeed(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Calendar feed created',
+        data: {
+          enabled: true,
+          feedPath
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create calendar feed error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Turn off the calendar feed of the current user
+   * @route DELETE /api/v1/tenants/:tenantId/processes/todos/calendar-feed
+   * @access Private
+   */
+  async revokeCalendarFeed(req, res, next) {
+    try {
+      await todoExportService.revokeCalendarFeed(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Calendar feed turned off'
+      });
+
+    } catch (error) {
+      logger.error('Revoke calendar feed error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the comment threads of a process with their replies
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/comments
+   * @access Private
+   */
+  async getComments(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const { status = 'all' } = req.query;
+
+      if (!['all', 'open', 'resolved'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown comment status'
+        });
+      }
+
+      const threads = await processCommentService.listThreads(tenantId, id, { status });
+
+      res.json({
+        success: true,
+        data: {
+          threads
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Get comments error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Start a comment thread at a video position or transcript segment, or reply to one
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/comments
+   * @access Private
+   */
+  async addComment(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const comment = await processCommentService.createComment(tenantId, id, req.user, {
+        text: req.body.text.trim(),
+        parentId: req.body.parentId,
+        timestamp: req.body.timestamp,
+        segmentIndex: req.body.segmentIndex,
+        mentions: req.body.mentions
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added',
+        data: {
+          comment
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Add comment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a comment or resolve and reopen a thread
+   * @route PATCH /api/v1/tenants/:tenantId/processes/:id/comments/:commentId
+   * @access Private
+   */
+  async updateComment(req, res, next) {
+    try {
+      const { tenantId, id, commentId } = req.params;
+
+      const comment = await processCommentService.updateComment(tenantId, id, commentId, req.user, {
+        text: req.body.text?.trim(),
+        mentions: req.body.mentions,
+        resolved: req.body.resolved
+      });
+
+      res.json({
+        success: true,
+        message: req.body.resolved === undefined
+          ? 'Comment updated'
+          : req.body.resolved ? 'Thread resolved' : 'Thread reopened',
+        data: {
+          comment
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update comment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a comment, or a whole thread when it is the first comment
+   * @route DELETE /api/v1/tenants/:tenantId/processes/:id/comments/:commentId
+   * @access Private
+   */
+  async deleteComment(req, res, next) {
+    try {
+      const { tenantId, id, commentId } = req.params;
+
+      await processCommentService.deleteComment(tenantId, id, commentId, req.user);
+
+      res.json({
+        success: true,
+        message: 'Comment deleted'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete comment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rename a speaker across all transcript segments
+   * @route PUT /api/v1/tenants/:tenantId/processes/:id/speakers
+   * @access Private
+   */
+  async renameSpeaker(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const from = req.body.from;
+      const to = req.body.to.trim();
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      const segments = process.transcript?.segments || [];
+      const matching = segments.filter(segment => segment.speaker === from);
+
+      if (matching.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Speaker not found in transcript'
+        });
+      }
+
+      const before = processHistoryService.snapshotOf(process);
+      const renamed = transcriptEditService.toPlainSegments(segments).map(segment => (
+        segment.speaker === from ? { ...segment, speaker: to } : segment
+      ));
+
+      await transcriptEditService.commit(process, renamed, {
+        userId: req.user.id,
+        operations: ['update']
+      });
+      await processHistoryService.record(process, before, { userId: req.user.id });
+
+      logger.info('Speaker renamed', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        segmentsUpdated: matching.length
+      });
+
+      res.json({
+        success: true,
+        message: 'Speaker renamed successfully',
+        data: {
+          process: process.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Rename speaker error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Apply segment edits (text, timing, split, merge, delete) to the transcript
+   * @route PATCH /api/v1/tenants/:tenantId/processes/:id/transcript
+   * @access Private
+   */
+  async patchTranscript(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const { revision, operations } = req.body;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (!process.transcript?.segments?.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Process has no timed transcript to edit'
+        });
+      }
+
+      // Reject edits based on a stale copy of the transcript
+      const currentRevision = process.transcript.revision || 0;
+      if (revision !== undefined && revision !== currentRevision) {
+        return res.status(409).json({
+          success: false,
+          message: 'Transcript was changed by someone else. Reload and apply your edits again',
+          data: {
+            currentRevision
+          }
+        });
+      }
+
+      const before = processHistoryService.snapshotOf(process);
+      const segments = transcriptEditService.applyOperations(process.transcript.segments, operations);
+      const created = await transcriptEditService.commit(process, segments, {
+        userId: req.user.id,
+        operations: operations.map(operation => operation.type)
+      });
+      await processHistoryService.record(process, before, { userId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Transcript updated successfully',
+        data: {
+          process: process.toJSON(),
+          revision: created.revision
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Patch transcript error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List transcript revisions (newest first, without segments)
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/transcript/revisions
+   * @access Private
+   */
+  async getTranscriptRevisions(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('transcript.revision');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      const revisions = await TranscriptRevision.listForProcess(process._id);
+
+      res.json({
+        success: true,
+        data: {
+          currentRevision: process.transcript?.revision || 0,
+          revisions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get transcript revisions error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single transcript revision including its segments
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/transcript/revisions/:revision
+   * @access Private
+   */
+  async getTranscriptRevision(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const revisionNumber = parseInt(req.params.revision);
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('_id');
+
+      if (!process || Number.isNaN(revisionNumber)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transcript revision not found'
+        });
+      }
+
+      const revision = await TranscriptRevision.findOne({
+        processId: process._id,
+        revision: revisionNumber
+      }).populate('userId', 'firstName lastName email');
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transcript revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          revision: revision.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get transcript revision error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Restore the segments of an earlier revision as a new revision
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/transcript/revisions/:revision/revert
+   * @access Private
+   */
+  async revertTranscriptRevision(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const revisionNumber = parseInt(req.params.revision);
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process || Number.isNaN(revisionNumber)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transcript revision not found'
+        });
+      }
+
+      const target = await TranscriptRevision.findOne({
+        processId: process._id,
+        revision: revisionNumber
+      });
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transcript revision not found'
+        });
+      }
+
+      if (revisionNumber === (process.transcript?.revision || 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This revision is already the current transcript'
+        });
+      }
+
+      const before = processHistoryService.snapshotOf(process);
+      const created = await transcriptEditService.commit(
+        process,
+        transcriptEditService.toPlainSegments(target.segments),
+        {
+          userId: req.user.id,
+          operations: ['revert'],
+          revertedFrom: revisionNumber
+        }
+      );
+      await processHistoryService.record(process, before, { userId: req.user.id });
+
+      logger.info('Transcript reverted', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        revertedFrom: revisionNumber,
+        revision: created.revision
+      });
+
+      res.json({
+        success: true,
+        message: `Transcript restored to revision ${revisionNumber}`,
+        data: {
+          process: process.toJSON(),
+          revision: created.revision
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Revert transcript error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Re-run selected AI analysis steps for a processed video
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/reanalyze
+   * @access Private
+   */
+  async reanalyzeProcess(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const { steps } = req.body;
+      const instructions = req.body.instructions?.trim() || '';
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (process.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Process must finish processing before it can be re-analyzed'
+        });
+      }
+
+      if (await isReanalysisRunning(process.reanalysis)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A re-analysis is already running for this process'
+        });
+      }
+
+      if (await isRetranscriptionRunning(process.retranscription)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Wait for the re-transcription to finish before re-analyzing'
+        });
+      }
+
+      if (!process.transcript?.text) {
+        return res.status(400).json({
+          success: false,
+          message: 'Process has no transcript to analyze'
+        });
+      }
+
+      const processId = process._id.toString();
+      const transcript = {
+        text: process.transcript.text,
+        segments: (process.transcript.segments || []).map(({ start, end, text, speaker }) => ({ start, end, text, speaker }))
+      };
+      const options = { instructions };
+
+      // The embedding is built from title and tags, so it is queued once those are regenerated
+      const deferEmbedding = steps.includes('embedding') && (steps.includes('tags') || steps.includes('title'));
+      const stepJobs = {
+        tags: () => queueMethods.addReanalysisJob(processId, jobTypes.GENERATE_TAGS, {
+          transcript: transcript.text,
+          options: { ...options, maxTags: 10 }
+        }),
+        todos: () => queueMethods.addReanalysisJob(processId, jobTypes.GENERATE_TODO, {
+          transcript,
+          options: { ...options, maxItems: 20 }
+        }),
+        title: () => queueMethods.addReanalysisJob(processId, jobTypes.GENERATE_TITLE, {
+          transcript: transcript.text,
+          options: { ...options, maxLength: 100 }
+        }),
+        summary: () => queueMethods.addReanalysisJob(processId, jobTypes.GENERATE_SUMMARY, {
+          transcript: transcript.text,
+          options: { ...options, maxItems: 8 }
+        }),
+        chapters: () => queueMethods.addReanalysisJob(processId, jobTypes.GENERATE_CHAPTERS, {
+          transcript,
+          options: { ...options, maxChapters: 15 }
+        }),
+        embedding: () => queueMethods.addReanalysisJob(processId, jobTypes.GENERATE_EMBEDDING, {
+          transcript: transcript.text,
+          title: process.title,
+          tags: process.tags.map(tag => ({ name: tag.name, weight: tag.weight }))
+        })
+      };
+
+      // Mark the run before queueing so fast workers find the pending steps
+      process.reanalysis = {
+        status: 'queued',
+        steps,
+        pendingSteps: steps,
+        failedSteps: [],
+        instructions,
+        jobIds: {},
+        requestedBy: req.user.id,
+        requestedAt: new Date(),
+        completedAt: null,
+        error: null
+      };
+      process.processingDetails = 'reanalysis_queued';
+      await process.save();
+
+      const queuedJobs = [];
+      try {
+        for (const step of steps) {
+          if (step === 'embedding' && deferEmbedding) continue;
+          const job = await stepJobs[step]();
+          queuedJobs.push(job);
+          await Process.updateOne({ _id: process._id }, { [`reanalysis.jobIds.${step}`]: job.id });
+          process.reanalysis.jobIds[step] = job.id;
+        }
+      } catch (error) {
+        // A partly queued run would never finish, so it is dropped and marked failed
+        logger.error('Failed to queue re-analysis:', error);
+        await Promise.allSettled(queuedJobs.map(job => job.remove()));
+        await Process.updateOne({ _id: process._id }, {
+          $set: {
+            'reanalysis.status': 'failed',
+            'reanalysis.pendingSteps': [],
+            'reanalysis.error': `Could not queue the re-analysis: ${error.message}`,
+            'reanalysis.completedAt': new Date(),
+            processingDetails: null
+          }
+        });
+
+        return res.status(503).json({
+          success: false,
+          message: 'The re-analysis could not be started. Please try again.'
+        });
+      }
+
+      logger.info('Re-analysis queued', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        steps,
+        hasInstructions: instructions.length > 0
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Re-analysis started',
+        data: {
+          reanalysis: process.reanalysis
+        }
+      });
+
+    } catch (error) {
+      logger.error('Reanalyze process error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Transcribe the stored audio (or the processed video) again with a different
+   * language or vocabulary. The new transcript becomes a transcript revision.
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/retranscribe
+   * @access Private
+   */
+  async retranscribeProcess(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const { language, vocabulary } = req.body;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (process.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Process must finish processing before it can be re-transcribed'
+        });
+      }
+
+      if (await isRetranscriptionRunning(process.retranscription) || await isReanalysisRunning(process.reanalysis)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A re-transcription or re-analysis is already running for this process'
+        });
+      }
+
+      if (!process.files.audio?.path && (!process.files.processed?.path || process.files.processed.storageType === 'deleted')) {
+        return res.status(409).json({
+          success: false,
+          message: 'The audio and video of this process are no longer available'
+        });
+      }
+
+      // Omitted fields keep the settings of the previous transcription
+      const tenant = await Tenant.findById(tenantId).select('settings.transcription');
+      const resolved = resolveTranscriptionOptions(tenant?.settings?.transcription, { language, vocabulary });
+      const current = process.transcriptionSettings || {};
+
+      process.transcriptionSettings = {
+        provider: current.provider || null,
+        language: language === undefined ? current.language || null : resolved.language,
+        prompt: vocabulary === undefined ? current.prompt || null : resolved.prompt
+      };
+      // Restored when the job cannot be queued
+      const { processingDetails: previousDetails, progress: previousProgress } = process.toObject();
+      process.retranscription = {
+        status: 'queued',
+        audioSource: null,
+        jobs: [],
+        requestedBy: req.user.id,
+        requestedAt: new Date(),
+        completedAt: null,
+        error: null
+      };
+      process.processingDetails = 'retranscribing';
+      process.progress = {
+        percentage: 0,
+        currentStep: 'retranscription',
+        stepDetails: 'Audio wird vorbereitet...'
+      };
+      await process.save();
+
+      try {
+        const job = await queueMethods.addRetranscriptionJob(process._id.toString());
+        const tracked = { id: job.id, queue: queues.AUDIO_EXTRACTION };
+        await Process.updateOne({ _id: process._id }, { $push: { 'retranscription.jobs': tracked } });
+        process.retranscription.jobs.push(tracked);
+      } catch (error) {
+        // Nothing would ever finish the run, so it is marked failed right away
+        logger.error('Failed to queue re-transcription:', error);
+        await Process.updateOne({ _id: process._id }, {
+          $set: {
+            'retranscription.status': 'failed',
+            'retranscription.error': `Could not queue the re-transcription: ${error.message}`,
+            'retranscription.completedAt': new Date(),
+            processingDetails: previousDetails,
+            progress: previousProgress
+          }
+        });
+
+        return res.status(503).json({
+          success: false,
+          message: 'The re-transcription could not be started. Please try again.'
+        });
+      }
+
+      logger.info('Re-transcription queued', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        language: process.transcriptionSettings.language,
+        hasPrompt: !!process.transcriptionSettings.prompt
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Re-transcription started',
+        data: {
+          retranscription: process.retranscription,
+          transcriptionSettings: process.transcriptionSettings
+        }
+      });
+
+    } catch (error) {
+      logger.error('Retranscribe process error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List the version history of title, tags, todo list and transcript
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/versions
+   * @access Private
+   */
+  async getProcessVersions(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('_id');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      const versions = await ProcessVersion.listForProcess(process._id);
+
+      res.json({
+        success: true,
+        data: {
+          versions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get process versions error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Restore title, tags, todo list and transcript of an earlier version
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/versions/:version/restore
+   * @access Private
+   */
+  async restoreProcessVersion(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+      const versionNumber = parseInt(req.params.version);
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process || Number.isNaN(versionNumber)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Version not found'
+        });
+      }
+
+      const target = await ProcessVersion.findOne({
+        processId: process._id,
+        version: versionNumber
+      });
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Version not found'
+        });
+      }
+
+      const created = await processHistoryService.restore(process, target, req.user.id);
+
+      logger.info('Process version restored', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        restoredFrom: versionNumber,
+        version: created?.version
+      });
+
+      res.json({
+        success: true,
+        message: created
+          ? `Version ${versionNumber} restored`
+          : `Version ${versionNumber} matches the current content`,
+        data: {
+          process: process.toJSON(),
+          version: created ? created.toJSON() : null
+        }
+      });
+
+    } catch (error) {
+      logger.error('Restore process version error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's questions and answers about a process
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/qa
+   * @access Private
+   */
+  async getQaHistory(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('_id');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      const messages = await videoQaService.getHistory(process._id, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          messages
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get Q&A history error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Ask a question about a process. The answer is streamed as server-sent events:
+   * { type: 'delta', content }, then { type: 'done', question, answer, degraded } or { type: 'error', message }
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/qa
+   * @access Private
+   */
+  async askQuestion(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('tenantId transcript.segments');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (!process.transcript?.segments?.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'This process has no transcript to answer questions from'
+        });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Keep reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+
+      const send = (event) => {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+        // Flush through the compression middleware
+        res.flush?.();
+      };
+
+      try {
+        const { question, answer, degraded } = await videoQaService.ask(
+          process,
+          req.user.id,
+          req.body.question.trim(),
+          (content) => send({ type: 'delta', content })
+        );
+        send({ type: 'done', question, answer, degraded });
+      } catch (error) {
+        logger.error('Answer question error:', error);
+        send({
+          type: 'error',
+          message: error.statusCode ? error.message : 'Failed to answer the question'
+        });
+      }
+
+      res.end();
+
+    } catch (error) {
+      logger.error('Ask question error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Clear the current user's questions and answers about a process
+   * @route DELETE /api/v1/tenants/:tenantId/processes/:id/qa
+   * @access Private
+   */
+  async clearQaHistory(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('_id');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      await videoQaService.clearHistory(process._id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Conversation cleared'
+      });
+
+    } catch (error) {
+      logger.error('Clear Q&A history error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Export transcript segments as subtitles
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/subtitles.:format
+   * @access Private
+   */
+  async exportSubtitles(req, res, next) {
+    try {
+      const { tenantId, id, format } = req.params;
+      const subtitleFormat = SUBTITLE_FORMATS[format];
+
+      if (!subtitleFormat) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported subtitle format. Use srt or vtt'
+        });
+      }
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      }).select('title originalFilename transcript.segments');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (!process.transcript?.segments?.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'No timed transcript available'
+        });
+      }
+
+      const content = subtitleFormat.generate(process.transcript.segments, {
+        includeSpeakers: req.query.speakers !== 'false'
+      });
+      const baseName = sanitizeFilename(process.title || path.parse(process.originalFilename || 'transcript').name);
+
+      res.setHeader('Content-Type', subtitleFormat.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${format}"`);
+      res.send(content);
+
+    } catch (error) {
+      logger.error('Export subtitles error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a copy of the processed video with burned-in captions
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/captioned-video
+   * @access Private
+   */
+  async requestCaptionedVideo(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (process.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Video must finish processing before captions can be burned in'
+        });
+      }
+
+      // The burn-in worker reads the video from and writes the copy to S3
+      if (process.files.processed?.storageType !== 's3') {
+        return res.status(400).json({
+          success: false,
+          message: 'Captioned videos are only available for videos in cloud storage'
+        });
+      }
+
+      if (!process.transcript?.segments?.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'No timed transcript available'
+        });
+      }
+
+      if (['pending', 'processing'].includes(process.files.captioned?.status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Captioned video is already being generated'
+        });
+      }
+
+      const job = await queueMethods.addCaptionBurnJob(id);
+
+      process.files.captioned.status = 'pending';
+      process.files.captioned.error = undefined;
+      process.files.captioned.requestedAt = new Date();
+      process.jobs.captionBurn = job.id;
+      await process.save();
+
+      logger.info('Captioned video requested', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        jobId: job.id
+      });
 
-      logger.info('✅ Pipeline started successfully', {
-        processId,
-        jobs: processDocument.jobs,
-        expectedParallelism: 'video-compression || (audio -> transcription -> AI)'
+      res.status(202).json({
+        success: true,
+        message: 'Captioned video is being generated',
+        data: {
+          status: 'pending',
+          jobId: job.id
+        }
       });
 
     } catch (error) {
-      logger.error('Error starting processing pipeline:', error);
-      
-      await processDocument.addError('pipeline_start', error.message, {
-        stack: error.stack
-      });
-      
-      processDocument.status = 'failed';
-      await processDocument.save();
+      logger.error('Request captioned video error:', error);
+      next(error);
     }
   }
 
   /**
-   * Get single process
-   * @route GET /api/v1/tenants/:tenantId/processes/:id
+   * Get captioned video status and download URL
+   * @route GET /api/v1/tenants/:tenantId/processes/:id/captioned-video
    * @access Private
    */
-  async getProcess(req, res, next) {
+  async getCaptionedVideo(req, res, next) {
     try {
       const { tenantId, id } = req.params;
 
@@ -414,7 +2084,7 @@ class ProcessController {
         _id: id,
         tenantId,
         isDeleted: false
-      }).populate('userId', 'firstName lastName email');
+      }).select('files.captioned');
 
       if (!process) {
         return res.status(404).json({
@@ -423,28 +2093,39 @@ class ProcessController {
         });
       }
 
+      const captioned = process.files.captioned || {};
+      let downloadUrl = null;
+
+      if (captioned.status === 'completed' && captioned.path) {
+        downloadUrl = await getS3Service().generatePresignedUrl(captioned.path, 3600);
+      }
+
       res.json({
         success: true,
         data: {
-          process: process.toJSON()
+          status: captioned.status || null,
+          error: captioned.error || null,
+          size: captioned.size || null,
+          generatedAt: captioned.generatedAt || null,
+          downloadUrl,
+          expiresIn: downloadUrl ? 3600 : null
         }
       });
 
     } catch (error) {
-      logger.error('Get process error:', error);
+      logger.error('Get captioned video error:', error);
       next(error);
     }
   }
 
   /**
-   * Update process (edit transcript, tags, todo list, title)
-   * @route PUT /api/v1/tenants/:tenantId/processes/:id
+   * Queue (re)generation of poster frame and scrub-preview thumbnails
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/thumbnails
    * @access Private
    */
-  async updateProcess(req, res, next) {
+  async requestThumbnails(req, res, next) {
     try {
       const { tenantId, id } = req.params;
-      const { title, transcript, tags, todoList } = req.body;
 
       const process = await Process.findOne({
         _id: id,
@@ -459,46 +2140,117 @@ class ProcessController {
         });
       }
 
-      // Update allowed fields
-      if (title !== undefined) process.title = title;
-      if (transcript !== undefined) process.transcript = { ...process.transcript, ...transcript };
-      
-      // Handle tags update - only new format
-      if (tags !== undefined) {
-        // Validate and normalize tags
-        if (Array.isArray(tags)) {
-          process.tags = tags
-            .filter(tag => tag && typeof tag === 'object' && tag.name)
-            .map(tag => ({
-              name: tag.name.toLowerCase().trim(),
-              weight: Math.max(0, Math.min(1, tag.weight || 0.5))
-            }));
-        } else {
-          process.tags = [];
+      if (process.status !== 'completed' || !process.files.processed?.path) {
+        return res.status(409).json({
+          success: false,
+          message: 'Video must finish processing before thumbnails can be generated'
+        });
+      }
+
+      if (['pending', 'processing'].includes(process.files.thumbnails?.status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Thumbnails are already being generated'
+        });
+      }
+
+      const job = await queueMethods.addThumbnailJob(id);
+
+      process.files.thumbnails.status = 'pending';
+      process.files.thumbnails.error = undefined;
+      process.jobs.thumbnails = job.id;
+      await process.save();
+
+      logger.info('Thumbnails requested', {
+        processId: id,
+        tenantId,
+        userId: req.user.id,
+        jobId: job.id
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Thumbnails are being generated',
+        data: {
+          status: 'pending',
+          jobId: job.id
         }
+      });
+
+    } catch (error) {
+      logger.error('Request thumbnails error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Queue (re)packaging of the processed video as adaptive HLS stream
+   * @route POST /api/v1/tenants/:tenantId/processes/:id/hls
+   * @access Private
+   */
+  async requestHlsPackaging(req, res, next) {
+    try {
+      const { tenantId, id } = req.params;
+
+      if (!isHlsEnabled()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Adaptive streaming is not enabled on this server'
+        });
       }
-      
-      if (todoList !== undefined) process.todoList = todoList;
 
+      const process = await Process.findOne({
+        _id: id,
+        tenantId,
+        isDeleted: false
+      });
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      if (process.status !== 'completed' || !process.files.processed?.path) {
+        return res.status(409).json({
+          success: false,
+          message: 'Video must finish processing before it can be packaged for streaming'
+        });
+      }
+
+      if (['pending', 'processing'].includes(process.files.hls?.status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Adaptive stream is already being packaged'
+        });
+      }
+
+      const job = await queueMethods.addHlsPackagingJob(id);
+
+      process.files.hls.status = 'pending';
+      process.files.hls.error = undefined;
+      process.jobs.hlsPackaging = job.id;
       await process.save();
 
-      logger.info('Process updated', {
+      logger.info('HLS packaging requested', {
         processId: id,
         tenantId,
         userId: req.user.id,
-        updatedFields: Object.keys(req.body)
+        jobId: job.id
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Process updated successfully',
+        message: 'Adaptive stream is being packaged',
         data: {
-          process: process.toJSON()
+          status: 'pending',
+          jobId: job.id
         }
       });
 
     } catch (error) {
-      logger.error('Update process error:', error);
+      logger.error('Request HLS packaging error:', error);
       next(error);
     }
   }
@@ -569,6 +2321,13 @@ class ProcessController {
         }
       }
 
+      // Question answering data is derived from the transcript and goes with the process, as does its discussion
+      await Promise.all([
+        TranscriptChunk.deleteMany({ processId: process._id }),
+        ProcessConversation.deleteMany({ processId: process._id }),
+        ProcessComment.deleteMany({ processId: process._id })
+      ]);
+
       // Delete ALL S3 files for this process
       try {
         const s3DeleteResult = await getS3Service().deleteProcessFiles(tenantId, id);
@@ -602,6 +2361,8 @@ class ProcessController {
         removedFromLists: affectedLists.length
       });
 
+      await webhookService.emitProcessEvent('process.deleted', process, { deletedBy: req.user.id });
+
       res.json({
         success: true,
         message: 'Process deleted successfully'
@@ -651,6 +2412,12 @@ class ProcessController {
         expiresAt: expirationDate
       });
 
+      await webhookService.emitProcessEvent('process.shared', process, {
+        shareUrl,
+        expiresAt: expirationDate,
+        sharedBy: req.user.id
+      });
+
       res.json({
         success: true,
         message: 'Share link generated successfully',
@@ -750,7 +2517,7 @@ class ProcessController {
   async searchProcesses(req, res, next) {
     try {
       const { tenantId } = req.params;
-      const { q, limit = 50 } = req.query;
+      const { q, limit = 50, mode = 'text' } = req.query;
 
       if (!q || q.trim().length < 2) {
         return res.status(400).json({
@@ -759,16 +2526,26 @@ class ProcessController {
         });
       }
 
-      const processes = await Process.searchByText(tenantId, q.trim(), {
-        limit: Math.min(parseInt(limit), 100)
+      if (!['text', 'semantic', 'hybrid'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search mode must be text, semantic or hybrid'
+        });
+      }
+
+      const result = await searchService.search(tenantId, q.trim(), {
+        mode,
+        limit: Math.min(parseInt(limit) || 50, 100)
       });
 
+      result.processes.forEach(process => thumbnailService.withTokenUrls(process, tenantId));
+
       res.json({
         success: true,
         data: {
-          processes,
+          ...result,
           query: q.trim(),
-          count: processes.length
+          count: result.processes.length
         }
       });
 
@@ -786,8 +2563,13 @@ class ProcessController {
   async getTags(req, res, next) {
     try {
       const { tenantId } = req.params;
+      const stats = await Process.getUniqueTagsForTenant(tenantId);
 
-      const tags = await Process.getUniqueTagsForTenant(tenantId);
+      // Tags stored under a synonym are counted with their approved tag,
+      // unless tag administration asks for the names as stored (raw=true)
+      const tags = req.query.raw === 'true'
+        ? await tagTaxonomyService.describeTagStats(tenantId, stats)
+        : await tagTaxonomyService.groupTagStats(tenantId, stats);
 
       res.json({
         success: true,
@@ -802,6 +2584,114 @@ class ProcessController {
     }
   }
 
+  /**
+   * Rename a tag on every process of the tenant
+   * @route POST /api/v1/tenants/:tenantId/processes/tags/rename
+   * @access Private (Owner/Admin)
+   */
+  async renameTag(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage tags'
+        });
+      }
+
+      const result = await tagManagementService.renameTag(tenantId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Tag renamed on ${result.processesUpdated} recording(s)`,
+        data: result
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Rename tag error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Merge several tags into one on every process of the tenant
+   * @route POST /api/v1/tenants/:tenantId/processes/tags/merge
+   * @access Private (Owner/Admin)
+   */
+  async mergeTags(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage tags'
+        });
+      }
+
+      const result = await tagManagementService.mergeTags(tenantId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Tags merged on ${result.processesUpdated} recording(s)`,
+        data: result
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Merge tags error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a tag from every process of the tenant
+   * @route DELETE /api/v1/tenants/:tenantId/processes/tags/:name
+   * @access Private (Owner/Admin)
+   */
+  async deleteTag(req, res, next) {
+    try {
+      const { tenantId, name } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage tags'
+        });
+      }
+
+      const result = await tagManagementService.deleteTag(tenantId, name, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Tag removed from ${result.processesUpdated} recording(s)`,
+        data: result
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete tag error:', error);
+      next(error);
+    }
+  }
+
   /**
    * Get graph data for visualization
    * @route GET /api/v1/tenants/:tenantId/processes/graph-data
@@ -844,7 +2734,7 @@ class ProcessController {
       }
 
       const processes = await Process.find(query)
-        .select('title tags tagWeights embedding createdAt status originalFilename')
+        .select('title tags tagWeights embedding embeddingMetadata createdAt status originalFilename files.thumbnails')
         .lean(); // Use lean for better performance and to ensure all fields are loaded
 
       logger.info('Found processes for graph', { 
@@ -891,7 +2781,8 @@ class ProcessController {
           title: process.title || process.originalFilename,
           tags: process.tags,
           status: process.status,
-          createdAt: process.createdAt
+          createdAt: process.createdAt,
+          posterUrl: thumbnailService.getTokenUrls(process._id, tenantId, process.files?.thumbnails)?.posterUrl || null
         });
 
         // Extract tag names from new structure
@@ -951,7 +2842,7 @@ class ProcessController {
       if (mode === 'semantic' || mode === 'hybrid') {
         // Filter out processes with invalid embeddings
         validProcesses = processes.filter(p => {
-          if (!p.embedding || p.embedding.length !== 1536) return false;
+          if (!p.embedding || p.embedding.length === 0) return false;
           
           // Calculate norm to check if embedding is valid
           const norm = Math.sqrt(p.embedding.reduce((sum, v) => sum + v * v, 0));
@@ -1037,6 +2928,12 @@ class ProcessController {
               continue;
             }
 
+            // Embeddings of different models cannot be compared
+            if (!areEmbeddingsComparable(proc1, proc2)) {
+              skippedCalculations++;
+              continue;
+            }
+
             // Check cache first
             let similarity = cachedMatrix[id1]?.[id2];
             
@@ -1383,6 +3280,95 @@ class ProcessController {
     }
   }
 
+  /**
+   * Poster frame, sprite sheet or thumbnail track with token authentication
+   * @route GET /api/v1/video/:tenantId/:processId/:asset
+   * @access Video Token Required
+   */
+  async getThumbnail(req, res, next) {
+    try {
+      const { id, asset } = req.params;
+      const { processId, tenantId } = req.videoAuth;
+
+      if (processId !== id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Token process ID mismatch'
+        });
+      }
+
+      const process = await Process.findOne({
+        _id: processId,
+        tenantId,
+        isDeleted: false
+      }).select('files.thumbnails');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      // Cues resolve against the track URL, so the sprite only needs the same token
+      const spriteUrl = `sprite.jpg?token=${encodeURIComponent(req.query.token || '')}`;
+      await thumbnailService.sendAsset(res, process.files.thumbnails, asset, spriteUrl);
+
+    } catch (error) {
+      logger.error('Get thumbnail error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * HLS playlist or segment with token authentication
+   * @route GET /api/v1/video/:tenantId/:processId/hls/[:rendition/]:file
+   * @access Video Token Required (segments also accept segment tokens)
+   */
+  async getHlsFile(req, res, next) {
+    try {
+      const { id, file } = req.params;
+      const rendition = req.params.rendition || null;
+      const { processId, tenantId } = req.videoAuth;
+
+      if (processId !== id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Token process ID mismatch'
+        });
+      }
+
+      const process = await Process.findOne({
+        _id: processId,
+        tenantId,
+        isDeleted: false
+      }).select('files.hls files.original.duration');
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Process not found'
+        });
+      }
+
+      // The master passes the access token on to the media playlists;
+      // those hand out segment tokens that last for the whole video
+      let query = '';
+      if (file === 'master.m3u8') {
+        query = `token=${encodeURIComponent(req.query.token || '')}`;
+      } else if (file === 'index.m3u8') {
+        const segmentToken = hlsService.generateSegmentToken(processId, tenantId, process.files.original?.duration);
+        query = `token=${segmentToken}`;
+      }
+
+      await hlsService.sendFile(res, process.files.hls, rendition, file, query);
+
+    } catch (error) {
+      logger.error('Get HLS file error:', error);
+      next(error);
+    }
+  }
+
   /**
    * Finalize chunked upload
    * @param {Object} req - Request object
@@ -1393,7 +3379,7 @@ class ProcessController {
     try {
       const { tenantId } = req.params;
       const { id: userId } = req.user;
-      const { uploadId, filename, fileSize, mimeType } = req.body;
+      const { uploadId, filename, fileSize, mimeType, language, vocabulary } = req.body;
 
       logger.info('Finalizing chunked upload', {
         tenantId,
@@ -1443,7 +3429,7 @@ class ProcessController {
       logger.info('Chunked upload merged successfully, continuing with normal flow');
       
       // Recursively call createProcess with the merged file
-      req.body = {}; // Clear body to avoid infinite loop
+      req.body = { language, vocabulary }; // Only keep the transcription options to avoid an infinite loop
       return this.createProcess(req, res, next);
 
     } catch (error) {
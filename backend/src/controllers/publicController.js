@@ -1,5 +1,10 @@
 const { Process } = require('../models');
 const logger = require('../utils/logger');
+const { generateSrt, generateVtt } = require('../utils/subtitles');
+const thumbnailService = require('../services/thumbnailService');
+const hlsService = require('../services/hlsService');
+const todoExportService = require('../services/todoExportService');
+const { buildOpenApiSpec } = require('../utils/openapi');
 
 class PublicController {
   /**
@@ -48,10 +53,14 @@ class PublicController {
       delete processData.jobs;
       delete processData.metadata;
       delete processData.errors;
+
+      // Assignments, comments and tracker links are internal to the workspace
+      processData.todoList = (processData.todoList || []).map(({ assignees, comments, externalLinks, ...todo }) => todo);
       
       // Only show basic file information
       if (processData.files) {
         delete processData.files.original;
+        delete processData.files.captioned;
         if (processData.files.processed) {
           // Only keep public information
           processData.files.processed = {
@@ -60,6 +69,19 @@ class PublicController {
             resolution: processData.files.processed.resolution
           };
         }
+        // Thumbnails are served through the share link itself
+        processData.files.thumbnails = thumbnailService.isAvailable(process.files.thumbnails)
+          ? {
+            layout: processData.files.thumbnails.layout,
+            ...thumbnailService.buildUrls(`/public/processes/${shareId}`)
+          }
+          : undefined;
+        processData.files.hls = hlsService.isAvailable(process.files.hls)
+          ? {
+            status: 'completed',
+            renditions: processData.files.hls.renditions.map(({ name, width, height }) => ({ name, width, height }))
+          }
+          : undefined;
       }
 
       logger.info('Shared process accessed', {
@@ -178,6 +200,138 @@ class PublicController {
     }
   }
 
+  /**
+   * Get shared process subtitles (used as the player's caption track)
+   * @route GET /api/v1/public/processes/:shareId/subtitles.:format
+   * @access Public
+   */
+  async getSharedSubtitles(req, res, next) {
+    try {
+      const { shareId, format } = req.params;
+
+      if (!['srt', 'vtt'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported subtitle format. Use srt or vtt'
+        });
+      }
+
+      const process = await Process.findByShareId(shareId);
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shared process not found or expired'
+        });
+      }
+
+      if (process.sharing.expiresAt && process.sharing.expiresAt < new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'This shared link has expired'
+        });
+      }
+
+      if (!process.transcript?.segments?.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'No timed transcript available'
+        });
+      }
+
+      const content = format === 'srt'
+        ? generateSrt(process.transcript.segments)
+        : generateVtt(process.transcript.segments);
+
+      res.setHeader('Content-Type', format === 'srt'
+        ? 'application/x-subrip; charset=utf-8'
+        : 'text/vtt; charset=utf-8');
+      res.send(content);
+
+    } catch (error) {
+      logger.error('Get shared subtitles error:', {
+        error: error.message,
+        shareId: req.params.shareId,
+        ip: req.ip
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get shared process poster frame, scrub-preview sprite or thumbnail track
+   * @route GET /api/v1/public/processes/:shareId/:asset
+   * @access Public
+   */
+  async getSharedThumbnail(req, res, next) {
+    try {
+      const { shareId, asset } = req.params;
+
+      const process = await Process.findByShareId(shareId);
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shared process not found or expired'
+        });
+      }
+
+      if (process.sharing.expiresAt && process.sharing.expiresAt < new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'This shared link has expired'
+        });
+      }
+
+      await thumbnailService.sendAsset(res, process.files.thumbnails, asset);
+
+    } catch (error) {
+      logger.error('Get shared thumbnail error:', {
+        error: error.message,
+        shareId: req.params.shareId,
+        ip: req.ip
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get shared process HLS playlist or segment
+   * @route GET /api/v1/public/processes/:shareId/hls/[:rendition/]:file
+   * @access Public
+   */
+  async getSharedHlsFile(req, res, next) {
+    try {
+      const { shareId, file } = req.params;
+
+      const process = await Process.findByShareId(shareId);
+
+      if (!process) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shared process not found or expired'
+        });
+      }
+
+      if (process.sharing.expiresAt && process.sharing.expiresAt < new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'This shared link has expired'
+        });
+      }
+
+      await hlsService.sendFile(res, process.files.hls, req.params.rendition || null, file);
+
+    } catch (error) {
+      logger.error('Get shared HLS file error:', {
+        error: error.message,
+        shareId: req.params.shareId,
+        ip: req.ip
+      });
+      next(error);
+    }
+  }
+
   /**
    * Get public statistics (for homepage, etc.)
    * @route GET /api/v1/public/stats
@@ -269,6 +423,52 @@ class PublicController {
       next(error);
     }
   }
+
+  /**
+   * Calendar of the todos assigned to a user; the secret in the URL is the
+   * only credential, so calendar apps can subscribe to it
+   * @route GET /api/v1/public/calendar/:token.ics
+   * @access Public
+   */
+  async getTodoCalendar(req, res, next) {
+    try {
+      const content = await todoExportService.renderCalendarFeed(req.params.token);
+
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found'
+        });
+      }
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      res.send(content);
+
+    } catch (error) {
+      logger.error('Get todo calendar error:', {
+        error: error.message,
+        ip: req.ip
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get the OpenAPI document of the routes API keys can call
+   * @route GET /api/v1/public/openapi.json
+   * @access Public
+   */
+  async getOpenApiSpec(req, res, next) {
+    try {
+      res.setHeader('Cache-Control', 'public, max-age=3600');
+      res.json(buildOpenApiSpec(`${req.protocol}://${req.get('host')}/api/v1`));
+
+    } catch (error) {
+      logger.error('Get OpenAPI spec error:', error);
+      next(error);
+    }
+  }
 }
 
-module.exports = new PublicController();
\ No newline at end of file
+module.exports = new PublicController();
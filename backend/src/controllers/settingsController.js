@@ -0,0 +1,1300 @@
+const { Tenant, PromptTemplate } = require('../models');
+const {
+  SUPPORTED_LANGUAGES,
+  TRANSCRIPTION_PROVIDERS,
+  DEFAULT_TRANSCRIPTION_PROVIDER,
+  isProviderConfigured
+} = require('../utils/transcriptionSettings');
+const { AI_PROVIDERS, DEFAULT_AI_PROVIDER, isAIProviderConfigured } = require('../utils/aiSettings');
+const aiService = require('../services/aiService');
+const transcriptChunkService = require('../services/transcriptChunkService');
+const promptTemplateService = require('../services/promptTemplateService');
+const tagTaxonomyService = require('../services/tagTaxonomyService');
+const todoExportService = require('../services/todoExportService');
+const webhookService = require('../services/webhookService');
+const apiKeyService = require('../services/apiKeyService');
+const ssoService = require('../services/ssoService');
+const domainResolver = require('../services/domainResolverService');
+const { PROMPT_KINDS, TONES, TODO_GRANULARITIES, MAX_TAGS_LIMIT } = require('../utils/promptTemplates');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { ssoUrls } = require('../utils/sso');
+const logger = require('../utils/logger');
+
+class SettingsController {
+  /**
+   * Get tenant transcription defaults
+   * @route GET /api/v1/tenants/:tenantId/settings/transcription
+   */
+  async getTranscriptionSettings(req, res, next) {
+    try {
+      const tenant = await Tenant.findById(req.params.tenantId).select('settings.transcription');
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tenant not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          transcription: {
+            provider: tenant.settings?.transcription?.provider || DEFAULT_TRANSCRIPTION_PROVIDER,
+            language: tenant.settings?.transcription?.language || null,
+            vocabulary: tenant.settings?.transcription?.vocabulary || ''
+          },
+          supportedLanguages: SUPPORTED_LANGUAGES,
+          providers: TRANSCRIPTION_PROVIDERS.map(name => ({
+            name,
+            configured: isProviderConfigured(name)
+          }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get transcription settings error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update tenant transcription defaults
+   * @route PUT /api/v1/tenants/:tenantId/settings/transcription
+   */
+  async updateTranscriptionSettings(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { provider, language, vocabulary } = req.body;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change transcription settings'
+        });
+      }
+
+      // Switching to a backend the server cannot reach would fail every upload
+      if (provider && provider !== DEFAULT_TRANSCRIPTION_PROVIDER && !isProviderConfigured(provider)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This transcription provider is not configured on the server'
+        });
+      }
+
+      const tenant = await Tenant.findById(tenantId);
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tenant not found'
+        });
+      }
+
+      if (provider !== undefined) {
+        tenant.settings.transcription.provider = provider;
+      }
+      if (language !== undefined) {
+        tenant.settings.transcription.language = language || null;
+      }
+      if (vocabulary !== undefined) {
+        tenant.settings.transcription.vocabulary = vocabulary.trim();
+      }
+
+      await tenant.save();
+
+      logger.info('Transcription settings updated', {
+        tenantId,
+        userId: req.user.id,
+        provider: tenant.settings.transcription.provider,
+        language: tenant.settings.transcription.language
+      });
+
+      res.json({
+        success: true,
+        message: 'Transcription settings updated',
+        data: {
+          transcription: {
+            provider: tenant.settings.transcription.provider,
+            language: tenant.settings.transcription.language,
+            vocabulary: tenant.settings.transcription.vocabulary
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update transcription settings error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get tenant LLM provider and models
+   * @route GET /api/v1/tenants/:tenantId/settings/ai
+   */
+  async getAISettings(req, res, next) {
+    try {
+      const tenant = await Tenant.findById(req.params.tenantId).select('settings.ai');
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tenant not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ai: {
+            provider: tenant.settings?.ai?.provider || DEFAULT_AI_PROVIDER,
+            chatModel: tenant.settings?.ai?.chatModel || null,
+            embeddingModel: tenant.settings?.ai?.embeddingModel || null
+          },
+          providers: AI_PROVIDERS.map(name => {
+            const provider = aiService.getProvider(name);
+            return {
+              name,
+              label: provider.label,
+              configured: isAIProviderConfigured(name),
+              defaultChatModel: provider.defaultChatModel(),
+              defaultEmbeddingModel: provider.defaultEmbeddingModel()
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get AI settings error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update tenant LLM provider and models
+   * @route PUT /api/v1/tenants/:tenantId/settings/ai
+   */
+  async updateAISettings(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+      const { provider, chatModel, embeddingModel } = req.body;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change AI settings'
+        });
+      }
+
+      if (provider && provider !== DEFAULT_AI_PROVIDER && !isAIProviderConfigured(provider)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This AI provider is not configured on the server'
+        });
+      }
+
+      const tenant = await Tenant.findById(tenantId);
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tenant not found'
+        });
+      }
+
+      const embeddingModelOf = (ai) => `${ai.provider}/${ai.embeddingModel || aiService.getProvider(ai.provider).defaultEmbeddingModel()}`;
+      const previousEmbeddingModel = embeddingModelOf(tenant.settings.ai);
+
+      if (provider !== undefined) {
+        tenant.settings.ai.provider = provider;
+      }
+      if (chatModel !== undefined) {
+        tenant.settings.ai.chatModel = chatModel?.trim() || null;
+      }
+      if (embeddingModel !== undefined) {
+        tenant.settings.ai.embeddingModel = embeddingModel?.trim() || null;
+      }
+
+      // Every analysis would fail without a model, e.g. on a local server without defaults
+      const selected = aiService.getProvider(tenant.settings.ai.provider);
+      if (!(tenant.settings.ai.chatModel || selected.defaultChatModel())
+        || !(tenant.settings.ai.embeddingModel || selected.defaultEmbeddingModel())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Chat and embedding model are required for this AI provider'
+        });
+      }
+
+      await tenant.save();
+
+      // Transcript chunks of another model cannot be compared with new questions
+      if (embeddingModelOf(tenant.settings.ai) !== previousEmbeddingModel) {
+        transcriptChunkService.queueReindex(tenantId).catch(error => {
+          logger.error('Failed to queue transcript re-indexing:', error);
+        });
+      }
+
+      logger.info('AI settings updated', {
+        tenantId,
+        userId: req.user.id,
+        provider: tenant.settings.ai.provider,
+        chatModel: tenant.settings.ai.chatModel,
+        embeddingModel: tenant.settings.ai.embeddingModel
+      });
+
+      res.json({
+        success: true,
+        message: 'AI settings updated',
+        data: {
+          ai: {
+            provider: tenant.settings.ai.provider,
+            chatModel: tenant.settings.ai.chatModel,
+            embeddingModel: tenant.settings.ai.embeddingModel
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update AI settings error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the prompt templates in use for tags, todos and titles
+   * @route GET /api/v1/tenants/:tenantId/settings/prompts
+   */
+  async getPromptTemplates(req, res, next) {
+    try {
+      const prompts = await promptTemplateService.getSettings(req.params.tenantId);
+
+      res.json({
+        success: true,
+        data: {
+          prompts,
+          tones: TONES,
+          granularities: Object.entries(TODO_GRANULARITIES).map(([name, granularity]) => ({
+            name,
+            maxItems: granularity.maxItems,
+            description: granularity.description
+          })),
+          maxTagsLimit: MAX_TAGS_LIMIT,
+          supportedLanguages: SUPPORTED_LANGUAGES
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get prompt templates error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List the versions of a prompt template (newest first)
+   * @route GET /api/v1/tenants/:tenantId/settings/prompts/:kind/versions
+   */
+  async getPromptTemplateVersions(req, res, next) {
+    try {
+      const { tenantId, kind } = req.params;
+
+      if (!PROMPT_KINDS.includes(kind)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unknown prompt template'
+        });
+      }
+
+      const versions = await PromptTemplate.listVersions(tenantId, kind);
+
+      res.json({
+        success: true,
+        data: {
+          versions: versions.map(version => version.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get prompt template versions error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Save a prompt template as a new version, used by all following analyses
+   * @route PUT /api/v1/tenants/:tenantId/settings/prompts/:kind
+   */
+  async updatePromptTemplate(req, res, next) {
+    try {
+      const { tenantId, kind } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change prompt templates'
+        });
+      }
+
+      if (!PROMPT_KINDS.includes(kind)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unknown prompt template'
+        });
+      }
+
+      const created = await promptTemplateService.saveVersion(tenantId, kind, req.user.id, {
+        template: req.body.template,
+        variables: req.body.variables
+      });
+
+      res.json({
+        success: true,
+        message: 'Prompt template saved',
+        data: {
+          template: created.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errors && { errors: error.errors })
+        });
+      }
+      logger.error('Update prompt template error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Make an earlier version of a prompt template the one in use again
+   * @route POST /api/v1/tenants/:tenantId/settings/prompts/:kind/versions/:version/restore
+   */
+  async restorePromptTemplate(req, res, next) {
+    try {
+      const { tenantId, kind } = req.params;
+      const version = parseInt(req.params.version, 10);
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change prompt templates'
+        });
+      }
+
+      if (!PROMPT_KINDS.includes(kind) || !Number.isInteger(version)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template version not found'
+        });
+      }
+
+      const created = await promptTemplateService.restoreVersion(tenantId, kind, version, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Version ${version} restored`,
+        data: {
+          template: created.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Restore prompt template error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Run a prompt template against the transcript of a process without saving anything
+   * @route POST /api/v1/tenants/:tenantId/settings/prompts/:kind/preview
+   */
+  async previewPromptTemplate(req, res, next) {
+    try {
+      const { tenantId, kind } = req.params;
+      const { processId, template, variables } = req.body;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can preview prompt templates'
+        });
+      }
+
+      if (!PROMPT_KINDS.includes(kind)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unknown prompt template'
+        });
+      }
+
+      const preview = await promptTemplateService.preview(tenantId, kind, processId, { template, variables });
+
+      res.json({
+        success: true,
+        data: {
+          preview
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errors && { errors: error.errors })
+        });
+      }
+      logger.error('Preview prompt template error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the tag taxonomy (approved tags with synonyms and parents)
+   * @route GET /api/v1/tenants/:tenantId/settings/taxonomy
+   */
+  async getTagTaxonomy(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      const [tenant, terms] = await Promise.all([
+        Tenant.findById(tenantId).select('settings.tagTaxonomy'),
+        tagTaxonomyService.getTerms(tenantId)
+      ]);
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tenant not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          restrictGeneration: !!tenant.settings?.tagTaxonomy?.restrictGeneration,
+          terms: terms.map(({ _id, __v, ...term }) => ({ id: _id, ...term }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get tag taxonomy error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update whether AI tag generation is limited to the taxonomy
+   * @route PUT /api/v1/tenants/:tenantId/settings/taxonomy
+   */
+  async updateTagTaxonomy(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change the tag taxonomy'
+        });
+      }
+
+      const tenant = await Tenant.findById(tenantId);
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tenant not found'
+        });
+      }
+
+      tenant.settings.tagTaxonomy.restrictGeneration = req.body.restrictGeneration;
+      await tenant.save();
+
+      logger.info('Tag taxonomy settings updated', {
+        tenantId,
+        userId: req.user.id,
+        restrictGeneration: tenant.settings.tagTaxonomy.restrictGeneration
+      });
+
+      res.json({
+        success: true,
+        message: 'Tag taxonomy settings updated',
+        data: {
+          restrictGeneration: tenant.settings.tagTaxonomy.restrictGeneration
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update tag taxonomy error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Add an approved tag to the taxonomy
+   * @route POST /api/v1/tenants/:tenantId/settings/taxonomy/terms
+   */
+  async createTagTerm(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change the tag taxonomy'
+        });
+      }
+
+      const term = await tagTaxonomyService.createTerm(tenantId, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tag added to the taxonomy',
+        data: {
+          term: term.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Create tag term error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update name, synonyms, parent or description of an approved tag
+   * @route PUT /api/v1/tenants/:tenantId/settings/taxonomy/terms/:termId
+   */
+  async updateTagTerm(req, res, next) {
+    try {
+      const { tenantId, termId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change the tag taxonomy'
+        });
+      }
+
+      const term = await tagTaxonomyService.updateTerm(tenantId, termId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Tag updated',
+        data: {
+          term: term.toJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update tag term error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove an approved tag from the taxonomy
+   * @route DELETE /api/v1/tenants/:tenantId/settings/taxonomy/terms/:termId
+   */
+  async deleteTagTerm(req, res, next) {
+    try {
+      const { tenantId, termId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can change the tag taxonomy'
+        });
+      }
+
+      await tagTaxonomyService.deleteTerm(tenantId, termId);
+
+      res.json({
+        success: true,
+        message: 'Tag removed from the taxonomy'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete tag term error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the issue trackers todos can be exported to and the tenant connections
+   * @route GET /api/v1/tenants/:tenantId/settings/integrations
+   */
+  async getIntegrations(req, res, next) {
+    try {
+      const connections = await todoExportService.getConnections(req.params.tenantId);
+
+      res.json({
+        success: true,
+        data: {
+          connectors: todoExportService.listConnectors(),
+          connections
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get integrations error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Connect a tracker or update its settings and credentials
+   * @route PUT /api/v1/tenants/:tenantId/settings/integrations/:type
+   */
+  async saveIntegration(req, res, next) {
+    try {
+      const { tenantId, type } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage integrations'
+        });
+      }
+
+      const connection = await todoExportService.saveConnection(tenantId, type, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Integration saved',
+        data: {
+          connection
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Save integration error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Check that a tracker connection works
+   * @route POST /api/v1/tenants/:tenantId/settings/integrations/:type/test
+   */
+  async testIntegration(req, res, next) {
+    try {
+      const { tenantId, type } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage integrations'
+        });
+      }
+
+      const result = await todoExportService.testConnection(tenantId, type);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Test integration error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Disconnect a tracker; issues already created stay linked
+   * @route DELETE /api/v1/tenants/:tenantId/settings/integrations/:type
+   */
+  async deleteIntegration(req, res, next) {
+    try {
+      const { tenantId, type } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage integrations'
+        });
+      }
+
+      await todoExportService.deleteConnection(tenantId, type);
+
+      res.json({
+        success: true,
+        message: 'Integration removed'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete integration error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the webhooks of the tenant and the events they can subscribe to
+   * @route GET /api/v1/tenants/:tenantId/settings/webhooks
+   */
+  async getWebhooks(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      const webhooks = await webhookService.getEndpoints(tenantId);
+
+      res.json({
+        success: true,
+        data: {
+          events: webhookService.listEvents(),
+          webhooks
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get webhooks error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Register a webhook; the response holds its signing secret, which is not shown again
+   * @route POST /api/v1/tenants/:tenantId/settings/webhooks
+   */
+  async createWebhook(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage webhooks'
+        });
+      }
+
+      const { endpoint, secret } = await webhookService.createEndpoint(tenantId, req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created',
+        data: {
+          webhook: endpoint,
+          secret
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Create webhook error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Change the URL, events or enabled state of a webhook
+   * @route PUT /api/v1/tenants/:tenantId/settings/webhooks/:webhookId
+   */
+  async updateWebhook(req, res, next) {
+    try {
+      const { tenantId, webhookId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage webhooks'
+        });
+      }
+
+      const endpoint = await webhookService.updateEndpoint(tenantId, webhookId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Webhook updated',
+        data: {
+          webhook: endpoint
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update webhook error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the signing secret of a webhook
+   * @route POST /api/v1/tenants/:tenantId/settings/webhooks/:webhookId/rotate-secret
+   */
+  async rotateWebhookSecret(req, res, next) {
+    try {
+      const { tenantId, webhookId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage webhooks'
+        });
+      }
+
+      const { endpoint, secret } = await webhookService.rotateSecret(tenantId, webhookId);
+
+      res.json({
+        success: true,
+        message: 'Signing secret replaced',
+        data: {
+          webhook: endpoint,
+          secret
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Rotate webhook secret error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Send a test event to a webhook and report the response
+   * @route POST /api/v1/tenants/:tenantId/settings/webhooks/:webhookId/test
+   */
+  async testWebhook(req, res, next) {
+    try {
+      const { tenantId, webhookId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage webhooks'
+        });
+      }
+
+      const delivery = await webhookService.sendTestEvent(tenantId, webhookId, req.user);
+
+      res.json({
+        success: true,
+        message: delivery.status === 'succeeded'
+          ? 'Test event delivered'
+          : `Test event failed: ${delivery.error}`,
+        data: {
+          delivery
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Test webhook error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the latest deliveries of a webhook
+   * @route GET /api/v1/tenants/:tenantId/settings/webhooks/:webhookId/deliveries
+   */
+  async getWebhookDeliveries(req, res, next) {
+    try {
+      const { tenantId, webhookId } = req.params;
+
+      const deliveries = await webhookService.getDeliveries(tenantId, webhookId);
+
+      res.json({
+        success: true,
+        data: {
+          deliveries
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Get webhook deliveries error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a webhook and its delivery log
+   * @route DELETE /api/v1/tenants/:tenantId/settings/webhooks/:webhookId
+   */
+  async deleteWebhook(req, res, next) {
+    try {
+      const { tenantId, webhookId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage webhooks'
+        });
+      }
+
+      await webhookService.deleteEndpoint(tenantId, webhookId);
+
+      res.json({
+        success: true,
+        message: 'Webhook removed'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete webhook error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the API keys of the tenant and the scopes they can be granted
+   * @route GET /api/v1/tenants/:tenantId/settings/api-keys
+   */
+  async getApiKeys(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage API keys'
+        });
+      }
+
+      const apiKeys = await apiKeyService.getKeys(tenantId);
+
+      res.json({
+        success: true,
+        data: {
+          scopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description })),
+          apiKeys
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get API keys error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Issue an API key; the response holds the key, which is not shown again
+   * @route POST /api/v1/tenants/:tenantId/settings/api-keys
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage API keys'
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.createKey(tenantId, req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created',
+        data: {
+          apiKey,
+          key
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Create API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Change the name, scopes or rate limit of an API key
+   * @route PUT /api/v1/tenants/:tenantId/settings/api-keys/:keyId
+   */
+  async updateApiKey(req, res, next) {
+    try {
+      const { tenantId, keyId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage API keys'
+        });
+      }
+
+      const apiKey = await apiKeyService.updateKey(tenantId, keyId, req.body);
+
+      res.json({
+        success: true,
+        message: 'API key updated',
+        data: {
+          apiKey
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Replace an API key with a new secret
+   * @route POST /api/v1/tenants/:tenantId/settings/api-keys/:keyId/rotate
+   */
+  async rotateApiKey(req, res, next) {
+    try {
+      const { tenantId, keyId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage API keys'
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.rotateKey(tenantId, keyId);
+
+      res.json({
+        success: true,
+        message: 'API key rotated',
+        data: {
+          apiKey,
+          key
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Rotate API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @route POST /api/v1/tenants/:tenantId/settings/api-keys/:keyId/revoke
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      const { tenantId, keyId } = req.params;
+
+      if (!['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and admins can manage API keys'
+        });
+      }
+
+      const apiKey = await apiKeyService.revokeKey(tenantId, keyId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: {
+          apiKey
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Revoke API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get the single sign-on connection, the URLs to register with the
+   * identity provider and the domains members can be provisioned from
+   * @route GET /api/v1/tenants/:tenantId/settings/sso
+   */
+  async getSso(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (req.user.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner can manage single sign-on'
+        });
+      }
+
+      const [connection, domains] = await Promise.all([
+        ssoService.getConnection(tenantId),
+        domainResolver.getTenantDomains(tenantId)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          connection,
+          urls: ssoUrls(tenantId),
+          domains: domains.map(({ domain }) => domain)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get SSO settings error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Configure single sign-on
+   * @route PUT /api/v1/tenants/:tenantId/settings/sso
+   */
+  async updateSso(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      // Whoever controls the identity provider can sign in as any member,
+      // so only the owner may configure it
+      if (req.user.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner can manage single sign-on'
+        });
+      }
+
+      const connection = await ssoService.saveConnection(tenantId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Single sign-on settings updated',
+        data: {
+          connection
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Update SSO settings error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove the single sign-on connection; members sign in with passwords again
+   * @route DELETE /api/v1/tenants/:tenantId/settings/sso
+   */
+  async deleteSso(req, res, next) {
+    try {
+      const { tenantId } = req.params;
+
+      if (req.user.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner can manage single sign-on'
+        });
+      }
+
+      await ssoService.deleteConnection(tenantId);
+
+      res.json({
+        success: true,
+        message: 'Single sign-on removed'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('Delete SSO settings error:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new SettingsController();
@@ -0,0 +1,140 @@
+const logger = require('../utils/logger');
+const ssoService = require('../services/ssoService');
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5001').replace(/\/$/, '');
+
+/**
+ * Browser steps of the sign-in cannot show JSON, so failures go back to the
+ * login page with a message it displays
+ */
+const redirectWithError = (res, error) => {
+  const message = error.statusCode ? error.message : 'Single sign-on failed. Please try again.';
+  if (!error.statusCode) {
+    logger.error('SSO error:', error);
+  }
+  res.redirect(`${frontendUrl()}/login?sso_error=${encodeURIComponent(message)}`);
+};
+
+// The code is passed in the fragment so it stays out of server logs
+const redirectWithCode = (res, code) => {
+  res.redirect(`${frontendUrl()}/sso/callback#code=${code}`);
+};
+
+const requestMeta = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+class SsoController {
+  /**
+   * Find the identity provider for an email address
+   * @route POST /api/v1/auth/sso/discover
+   * @access Public
+   */
+  async discover(req, res, next) {
+    try {
+      const discovery = await ssoService.discover(req.body.email.trim().toLowerCase());
+
+      res.json({
+        success: true,
+        data: discovery
+          ? {
+            sso: true,
+            tenantName: discovery.tenantName,
+            protocol: discovery.protocol,
+            enforced: discovery.enforced,
+            loginUrl: discovery.loginUrl
+          }
+          : { sso: false }
+      });
+    } catch (error) {
+      logger.error('SSO discovery error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Redirect to the tenant's identity provider
+   * @route GET /api/v1/auth/sso/:tenantId/start
+   * @access Public
+   */
+  async start(req, res) {
+    try {
+      const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined;
+      res.redirect(await ssoService.startLogin(req.params.tenantId, loginHint));
+    } catch (error) {
+      redirectWithError(res, error);
+    }
+  }
+
+  /**
+   * OpenID Connect redirect URI
+   * @route GET /api/v1/auth/sso/:tenantId/oidc/callback
+   * @access Public
+   */
+  async oidcCallback(req, res) {
+    try {
+      const code = await ssoService.completeOidcLogin(req.params.tenantId, req.query, requestMeta(req));
+      redirectWithCode(res, code);
+    } catch (error) {
+      redirectWithError(res, error);
+    }
+  }
+
+  /**
+   * SAML assertion consumer service
+   * @route POST /api/v1/auth/sso/:tenantId/saml/acs
+   * @access Public
+   */
+  async samlAcs(req, res) {
+    try {
+      const code = await ssoService.completeSamlLogin(req.params.tenantId, req.body, requestMeta(req));
+      redirectWithCode(res, code);
+    } catch (error) {
+      redirectWithError(res, error);
+    }
+  }
+
+  /**
+   * SAML service provider metadata
+   * @route GET /api/v1/auth/sso/:tenantId/saml/metadata
+   * @access Public
+   */
+  async samlMetadata(req, res, next) {
+    try {
+      const metadata = await ssoService.getSamlMetadata(req.params.tenantId);
+      res.type('application/xml').send(metadata);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('SAML metadata error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange the one-time code from the SSO callback for tokens
+   * @route POST /api/v1/auth/sso/exchange
+   * @access Public
+   */
+  async exchange(req, res, next) {
+    try {
+      const data = await ssoService.exchangeCode(req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('SSO exchange error:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new SsoController();
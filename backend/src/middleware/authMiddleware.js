@@ -4,6 +4,11 @@ const User = require('../models/User');
 
 const authMiddleware = async (req, res, next) => {
   try {
+    // API key requests are authenticated by tenantMiddleware on the tenant mount
+    if (req.apiKey) {
+      return next();
+    }
+
     // Extract token from header
     const authHeader = req.header('Authorization');
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
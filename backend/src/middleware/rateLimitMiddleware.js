@@ -9,7 +9,7 @@ const logger = require('../utils/logger');
 const createRateLimiter = (options = {}) => {
   const {
     windowMs = 60 * 1000, // 1 minute default
-    max = 10, // max requests per window
+    max = 10, // max requests per window, or a function of the request
     message = 'Too many requests, please try again later',
     keyGenerator = null, // custom key generator function
     skipSuccessfulRequests = false,
@@ -17,11 +17,16 @@ const createRateLimiter = (options = {}) => {
     standardHeaders = true, // Return rate limit info in headers
     legacyHeaders = false, // Return rate limit info in legacy headers
     tenantSpecific = true, // Rate limit per tenant
-    globalFallback = 100 // Global rate limit if no tenant
+    globalFallback = 100, // Global rate limit if no tenant
+    skip = null // function of the request, true to not rate limit it
   } = options;
 
   return async (req, res, next) => {
     try {
+      if (skip && skip(req)) {
+        return next();
+      }
+
       const redis = require('../config/redis').getRedisClient();
       if (!redis) {
         // If Redis is not available, allow the request
@@ -59,7 +64,9 @@ const createRateLimiter = (options = {}) => {
       await redis.expire(key, Math.ceil(windowMs / 1000));
 
       // Calculate rate limit headers
-      const limit = tenantSpecific && req.tenantId ? max : globalFallback;
+      const limit = tenantSpecific && req.tenantId
+        ? (typeof max === 'function' ? max(req) : max)
+        : globalFallback;
       const remaining = Math.max(0, limit - requestCount);
       const resetTime = new Date(now + windowMs);
 
@@ -170,6 +177,32 @@ const rateLimiters = {
     globalFallback: 20
   }),
 
+  // Questions answered by the AI provider, per tenant
+  aiQuestion: createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 20, // 20 questions per minute
+    message: 'Too many questions, please wait a moment',
+    tenantSpecific: true
+  }),
+
+  // Prompt previews run a full generation step
+  promptPreview: createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // 10 previews per minute
+    message: 'Too many previews, please wait a moment',
+    tenantSpecific: true
+  }),
+
+  // Requests made with a tenant API key, at the limit set on the key
+  apiKey: createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: (req) => req.apiKey.rateLimit,
+    message: 'API key rate limit exceeded',
+    keyGenerator: (req) => keyGenerators.rateLimit('api_key', req.apiKey.id),
+    skip: (req) => !req.apiKey,
+    tenantSpecific: true
+  }),
+
   // Public endpoint rate limit
   public: createRateLimiter({
     windowMs: 60 * 1000, // 1 minute
@@ -3,9 +3,20 @@ const logger = require('../utils/logger');
 const { User, Tenant } = require('../models');
 const domainResolver = require('../services/domainResolverService');
 const { cacheUtils, keyGenerators } = require('../config/redis');
+const apiKeyService = require('../services/apiKeyService');
+const { isApiKey, requiredScope } = require('../utils/apiKeys');
+
+// Path below the tenant prefix, which API key scopes are matched against
+const TENANT_ROUTE = /^\/api\/v1\/tenants\/[^/]+(\/[^?]*)?/;
 
 const tenantMiddleware = async (req, res, next) => {
   try {
+    // Routers that repeat this middleware run after the tenant mount has
+    // already checked the API key
+    if (req.apiKey) {
+      return next();
+    }
+
     // Extract token from header
     const authHeader = req.header('Authorization');
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -17,6 +28,10 @@ const tenantMiddleware = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Verify JWT token
     let decoded;
     try {
@@ -130,23 +145,7 @@ const tenantMiddleware = async (req, res, next) => {
       };
     }
 
-    // Check tenant status in cache
-    const tenantCacheKey = `tenant:${requestedTenantId}:status`;
-    let tenantStatus = await cacheUtils.get(tenantCacheKey);
-    
-    if (tenantStatus === null) {
-      // Check tenant status in database
-      const tenant = await Tenant.findById(requestedTenantId).select('isActive subscription.status');
-      if (!tenant || !tenant.isActive || tenant.subscription.status !== 'active') {
-        return res.status(403).json({
-          success: false,
-          message: 'Tenant account is not active'
-        });
-      }
-      
-      // Cache tenant status for 10 minutes
-      await cacheUtils.set(tenantCacheKey, 'active', 600);
-    } else if (tenantStatus !== 'active') {
+    if (!(await isTenantActive(requestedTenantId))) {
       return res.status(403).json({
         success: false,
         message: 'Tenant account is not active'
@@ -185,6 +184,103 @@ const tenantMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a request made with a tenant API key. The key only works on
+ * the tenant it was issued for and on the routes its scopes open; the
+ * request then acts as the user who created the key.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} key - API key from the Authorization header
+ */
+async function authenticateApiKey(req, res, next, key) {
+  const apiKey = await apiKeyService.authenticate(key, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or revoked API key'
+    });
+  }
+
+  const tenantId = apiKey.tenantId.toString();
+  if (String(req.params.tenantId) !== tenantId) {
+    logger.warn('API key tenant access denied:', {
+      keyId: apiKey._id,
+      requestedTenant: req.params.tenantId,
+      keyTenant: tenantId,
+      ip: req.ip
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this tenant'
+    });
+  }
+
+  const match = req.originalUrl.match(TENANT_ROUTE);
+  const scope = requiredScope(req.method, match?.[1] || '/');
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot access this endpoint'
+    });
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This API key does not have the ${scope} scope`
+    });
+  }
+
+  if (!(await isTenantActive(tenantId))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Tenant account is not active'
+    });
+  }
+
+  req.user = {
+    id: apiKey.createdBy._id.toString(),
+    email: apiKey.createdBy.email,
+    role: apiKey.createdBy.role,
+    tenantId
+  };
+  req.apiKey = {
+    id: apiKey._id.toString(),
+    scopes: apiKey.scopes,
+    rateLimit: apiKey.rateLimit
+  };
+  req.tenantId = tenantId;
+  req.tenantSource = 'api_key';
+
+  trackTenantAccess(tenantId, req.user.id);
+
+  next();
+}
+
+/**
+ * Check tenant status, cached for 10 minutes
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<boolean>} - Whether the tenant is active with an active subscription
+ */
+async function isTenantActive(tenantId) {
+  const tenantCacheKey = `tenant:${tenantId}:status`;
+  const tenantStatus = await cacheUtils.get(tenantCacheKey);
+
+  if (tenantStatus !== null) {
+    return tenantStatus === 'active';
+  }
+
+  const tenant = await Tenant.findById(tenantId).select('isActive subscription.status');
+  if (!tenant || !tenant.isActive || tenant.subscription.status !== 'active') {
+    return false;
+  }
+
+  await cacheUtils.set(tenantCacheKey, 'active', 600);
+  return true;
+}
+
 /**
  * Extract subdomain from host
  * @param {string} host - Host header value
@@ -1,5 +1,18 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { SUPPORTED_LANGUAGES, TRANSCRIPTION_PROVIDERS } = require('../utils/transcriptionSettings');
+const { AI_PROVIDERS } = require('../utils/aiSettings');
+const {
+  TONES,
+  TODO_GRANULARITIES,
+  MAX_TAGS_LIMIT,
+  MAX_TEMPLATE_LENGTH,
+  MAX_FOCUS_LENGTH
+} = require('../utils/promptTemplates');
+const { TODO_STATUSES, TODO_PRIORITIES, MAX_TODO_ASSIGNEES } = require('../utils/todos');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { SSO_PROTOCOLS, SSO_PROVISIONING_ROLES } = require('../utils/sso');
 
 // Helper function to handle validation
 const validate = (schema) => {
@@ -171,6 +184,18 @@ const validateAuth = {
       })
   })),
   
+  ssoExchange: validate(Joi.object({
+    code: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages({
+        'string.hex': 'Invalid sign-in code',
+        'string.length': 'Invalid sign-in code',
+        'any.required': 'Sign-in code is required'
+      })
+  })),
+
   changePassword: validate(Joi.object({
     currentPassword: Joi.string()
       .required()
@@ -224,14 +249,13 @@ const validateAuth = {
         'any.required': 'Invitation token is required'
       }),
     
+    // Required by the controller unless the workspace enforces SSO
     password: Joi.string()
       .min(8)
       .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
-      .required()
       .messages({
         'string.min': 'Password must be at least 8 characters long',
-        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'Password is required'
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
       }),
     
     firstName: Joi.string()
@@ -257,6 +281,55 @@ const validateAuth = {
 };
 
 // Process validation schemas
+// Work item fields of a todo, in list edits and single item updates
+const todoFields = {
+  status: Joi.string().valid(...TODO_STATUSES)
+    .messages({ 'any.only': 'Unknown todo status' }),
+  priority: Joi.string().valid(...TODO_PRIORITIES)
+    .messages({ 'any.only': 'Unknown todo priority' }),
+  assignees: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .max(MAX_TODO_ASSIGNEES)
+    .messages({
+      'array.max': `A todo cannot have more than ${MAX_TODO_ASSIGNEES} assignees`,
+      'string.hex': 'Invalid assignee',
+      'string.length': 'Invalid assignee'
+    }),
+  dueDate: Joi.date().iso().allow(null)
+    .messages({ 'date.format': 'Due date must be an ISO date' })
+};
+
+// New name for a tag across all processes
+const tagNameSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(50)
+  .messages({
+    'string.empty': 'Tag name cannot be empty',
+    'string.max': 'Tag name cannot exceed 50 characters',
+    'any.required': 'New tag name is required'
+  });
+
+// Text and @mentions of a process comment
+const commentTextSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(2000)
+  .messages({
+    'string.empty': 'Comment cannot be empty',
+    'string.max': 'Comment cannot exceed 2000 characters',
+    'any.required': 'Comment is required'
+  });
+
+const commentMentionsSchema = Joi.array()
+  .items(Joi.string().hex().length(24))
+  .max(20)
+  .messages({
+    'array.max': 'A comment cannot mention more than 20 people',
+    'string.hex': 'Invalid mention',
+    'string.length': 'Invalid mention'
+  });
+
 const validateProcess = {
   create: (req, res, next) => {
     logger.info('ValidateProcess.create called', {
@@ -290,7 +363,8 @@ const validateProcess = {
         Joi.object({
           start: Joi.number().min(0).required(),
           end: Joi.number().min(0).required(),
-          text: Joi.string().required()
+          text: Joi.string().required(),
+          speaker: Joi.string().max(100).optional().allow(null, '')
         })
       ).optional()
     }).optional(),
@@ -320,6 +394,7 @@ const validateProcess = {
         task: Joi.string().min(1).max(500).required(),
         timestamp: Joi.number().min(0).optional().allow(null),
         completed: Joi.boolean().optional().default(false),
+        ...todoFields,
         id: Joi.alternatives().try(
           Joi.string(),
           Joi.object()
@@ -337,7 +412,236 @@ const validateProcess = {
       .optional()
       .messages({
         'array.max': 'Cannot have more than 100 todo items'
+      }),
+
+    summary: Joi.object({
+      abstract: Joi.string().trim().max(2000).allow('').required()
+        .messages({
+          'string.max': 'Summary cannot exceed 2000 characters'
+        }),
+      keyPoints: Joi.array().items(Joi.string().trim().min(1).max(500)).max(20).optional(),
+      decisions: Joi.array().items(Joi.string().trim().min(1).max(500)).max(20).optional(),
+      openQuestions: Joi.array().items(Joi.string().trim().min(1).max(500)).max(20).optional()
+    }).unknown(true).optional(),
+
+    chapters: Joi.array()
+      .items(Joi.object({
+        title: Joi.string().trim().min(1).max(200).required()
+          .messages({
+            'string.min': 'Chapter title cannot be empty',
+            'string.max': 'Chapter title cannot exceed 200 characters',
+            'any.required': 'Chapter title is required'
+          }),
+        start: Joi.number().min(0).required(),
+        end: Joi.number().min(0).optional().allow(null)
+      }).unknown(true))
+      .max(50)
+      .unique('start')
+      .optional()
+      .messages({
+        'array.max': 'Cannot have more than 50 chapters',
+        'array.unique': 'Chapters cannot start at the same time'
       })
+  })),
+
+  renameSpeaker: validate(Joi.object({
+    from: Joi.string()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Current speaker name is required'
+      }),
+
+    to: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Speaker name cannot be empty',
+        'string.max': 'Speaker name cannot exceed 100 characters',
+        'any.required': 'New speaker name is required'
+      })
+  })),
+
+  reanalyze: validate(Joi.object({
+    steps: Joi.array()
+      .items(Joi.string().valid('tags', 'todos', 'title', 'summary', 'chapters', 'embedding'))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'Select at least one analysis step',
+        'any.required': 'Analysis steps are required'
+      }),
+
+    instructions: Joi.string()
+      .trim()
+      .max(2000)
+      .allow('')
+      .messages({
+        'string.max': 'Instructions cannot exceed 2000 characters'
+      })
+  })),
+
+  askQuestion: validate(Joi.object({
+    question: Joi.string()
+      .trim()
+      .min(1)
+      .max(1000)
+      .required()
+      .messages({
+        'string.empty': 'Question is required',
+        'string.max': 'Question cannot exceed 1000 characters',
+        'any.required': 'Question is required'
+      })
+  })),
+
+  retranscribe: validate(Joi.object({
+    // 'auto' ignores the tenant default and lets Whisper detect the language
+    language: Joi.string()
+      .valid('auto', ...SUPPORTED_LANGUAGES)
+      .messages({
+        'any.only': 'Unsupported transcription language'
+      }),
+
+    vocabulary: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Vocabulary cannot exceed 1000 characters'
+      })
+  })),
+
+  patchTranscript: validate(Joi.object({
+    // Transcript revision the edits are based on (optimistic concurrency)
+    revision: Joi.number()
+      .integer()
+      .min(0),
+
+    operations: Joi.array()
+      .items(Joi.object({
+        type: Joi.string()
+          .valid('update', 'split', 'merge', 'delete')
+          .required(),
+        index: Joi.number().integer().min(0).required(),
+        text: Joi.string().max(5000).when('type', { is: 'update', otherwise: Joi.forbidden() }),
+        start: Joi.number().min(0).when('type', { is: 'update', otherwise: Joi.forbidden() }),
+        end: Joi.number().min(0).when('type', { is: 'update', otherwise: Joi.forbidden() }),
+        speaker: Joi.string().max(100).allow(null, '').when('type', { is: 'update', otherwise: Joi.forbidden() }),
+        at: Joi.number().min(0).when('type', { is: 'split', then: Joi.required(), otherwise: Joi.forbidden() }),
+        textOffset: Joi.number().integer().min(1).when('type', { is: 'split', then: Joi.required(), otherwise: Joi.forbidden() })
+      }))
+      .min(1)
+      .max(200)
+      .required()
+      .messages({
+        'array.min': 'At least one edit operation is required',
+        'array.max': 'Cannot apply more than 200 edit operations at once'
+      })
+  })),
+
+  updateTodo: validate(Joi.object({
+    task: Joi.string().trim().min(1).max(500)
+      .messages({
+        'string.empty': 'Task cannot be empty',
+        'string.max': 'Task cannot exceed 500 characters'
+      }),
+    timestamp: Joi.number().min(0).allow(null),
+    completed: Joi.boolean(),
+    ...todoFields
+  }).min(1).messages({
+    'object.min': 'Nothing to update'
+  })),
+
+  todoComment: validate(Joi.object({
+    text: Joi.string()
+      .trim()
+      .min(1)
+      .max(2000)
+      .required()
+      .messages({
+        'string.empty': 'Comment cannot be empty',
+        'string.max': 'Comment cannot exceed 2000 characters',
+        'any.required': 'Comment is required'
+      })
+  })),
+
+  exportTodos: validate(Joi.object({
+    connector: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Choose where to export the todos'
+      }),
+
+    todoIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(200)
+      .messages({
+        'array.min': 'Select at least one todo',
+        'string.hex': 'Invalid todo ID',
+        'string.length': 'Invalid todo ID'
+      })
+  })),
+
+  addComment: validate(Joi.object({
+    text: commentTextSchema.required(),
+    mentions: commentMentionsSchema,
+
+    parentId: Joi.string()
+      .hex()
+      .length(24)
+      .messages({
+        'string.hex': 'Invalid thread',
+        'string.length': 'Invalid thread'
+      }),
+
+    timestamp: Joi.number().min(0).allow(null),
+    segmentIndex: Joi.number().integer().min(0).allow(null)
+  })),
+
+  updateComment: validate(Joi.object({
+    text: commentTextSchema,
+    mentions: commentMentionsSchema,
+    resolved: Joi.boolean()
+  }).or('text', 'resolved').messages({
+    'object.missing': 'Nothing to update'
+  })),
+
+  renameTag: validate(Joi.object({
+    from: Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'any.required': 'Current tag name is required'
+      }),
+
+    to: tagNameSchema.required(),
+
+    keepAsSynonym: Joi.boolean()
+  })),
+
+  mergeTags: validate(Joi.object({
+    sources: Joi.array()
+      .items(Joi.string().trim().min(1).max(50))
+      .min(1)
+      .max(100)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'Select at least one tag to merge',
+        'array.max': 'Cannot merge more than 100 tags at once',
+        'any.required': 'Tags to merge are required'
+      }),
+
+    target: tagNameSchema.required(),
+
+    keepAsSynonyms: Joi.boolean()
   }))
 };
 
@@ -487,9 +791,344 @@ const validateTeam = {
   }))
 };
 
+// Prompt template and its placeholder values; placeholders are checked by the service
+const promptTemplateSchema = Joi.object({
+  // null restores the built-in default
+  template: Joi.string()
+    .trim()
+    .max(MAX_TEMPLATE_LENGTH)
+    .allow(null)
+    .messages({
+      'string.max': `Template cannot exceed ${MAX_TEMPLATE_LENGTH} characters`
+    }),
+
+  variables: Joi.object({
+    language: Joi.string()
+      .valid(...SUPPORTED_LANGUAGES)
+      .allow(null)
+      .messages({
+        'any.only': 'Unsupported output language'
+      }),
+
+    tone: Joi.string()
+      .valid(...TONES)
+      .messages({
+        'any.only': 'Unknown tone'
+      }),
+
+    focus: Joi.string()
+      .trim()
+      .max(MAX_FOCUS_LENGTH)
+      .allow('')
+      .messages({
+        'string.max': `Domain focus cannot exceed ${MAX_FOCUS_LENGTH} characters`
+      }),
+
+    maxTags: Joi.number()
+      .integer()
+      .min(1)
+      .max(MAX_TAGS_LIMIT)
+      .messages({
+        'number.min': 'At least 1 tag is required',
+        'number.max': `No more than ${MAX_TAGS_LIMIT} tags are allowed`
+      }),
+
+    granularity: Joi.string()
+      .valid(...Object.keys(TODO_GRANULARITIES))
+      .messages({
+        'any.only': 'Unknown todo granularity'
+      })
+  })
+});
+
+// Approved tag of the tenant taxonomy; names follow the limits of process tags
+const tagTermSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .messages({
+      'string.empty': 'Tag name is required',
+      'string.max': 'Tag name cannot exceed 50 characters',
+      'any.required': 'Tag name is required'
+    }),
+
+  synonyms: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .max(50)
+    .messages({
+      'string.max': 'Synonyms cannot exceed 50 characters',
+      'array.max': 'A tag cannot have more than 50 synonyms'
+    }),
+
+  parentId: Joi.string()
+    .hex()
+    .length(24)
+    .allow(null)
+    .messages({
+      'string.hex': 'Invalid parent tag',
+      'string.length': 'Invalid parent tag'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(300)
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 300 characters'
+    })
+});
+
+const webhookSchema = Joi.object({
+  url: Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'] })
+    .max(2000)
+    .messages({
+      'string.uri': 'Webhook URL must be an http or https URL',
+      'string.uriCustomScheme': 'Webhook URL must be an http or https URL',
+      'string.max': 'Webhook URL cannot exceed 2000 characters'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 200 characters'
+    }),
+
+  events: Joi.array()
+    .items(Joi.string().valid(...Object.keys(WEBHOOK_EVENTS)))
+    .min(1)
+    .unique()
+    .messages({
+      'any.only': 'Unknown webhook event',
+      'array.min': 'Select at least one event'
+    }),
+
+  enabled: Joi.boolean()
+});
+
+const apiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .messages({
+      'string.empty': 'Key name is required',
+      'string.max': 'Key name cannot exceed 100 characters'
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.keys(API_KEY_SCOPES)))
+    .min(1)
+    .unique()
+    .messages({
+      'any.only': 'Unknown API key scope',
+      'array.min': 'Select at least one scope'
+    }),
+
+  rateLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .messages({
+      'number.min': 'Rate limit must be at least 1 request per minute',
+      'number.max': 'Rate limit cannot exceed 1000 requests per minute'
+    })
+});
+
+const ssoUrlSchema = Joi.string()
+  .trim()
+  .uri({ scheme: ['https', 'http'] })
+  .max(2000)
+  .allow('');
+
+// Tenant settings validation schemas
+const validateSettings = {
+  updateTranscription: validate(Joi.object({
+    provider: Joi.string()
+      .valid(...TRANSCRIPTION_PROVIDERS)
+      .messages({
+        'any.only': 'Unknown transcription provider'
+      }),
+
+    language: Joi.string()
+      .valid(...SUPPORTED_LANGUAGES)
+      .allow(null)
+      .messages({
+        'any.only': 'Unsupported transcription language'
+      }),
+
+    vocabulary: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Vocabulary cannot exceed 1000 characters'
+      })
+  })),
+
+  updateAI: validate(Joi.object({
+    provider: Joi.string()
+      .valid(...AI_PROVIDERS)
+      .messages({
+        'any.only': 'Unknown AI provider'
+      }),
+
+    chatModel: Joi.string()
+      .trim()
+      .max(100)
+      .allow('', null)
+      .messages({
+        'string.max': 'Model name cannot exceed 100 characters'
+      }),
+
+    embeddingModel: Joi.string()
+      .trim()
+      .max(100)
+      .allow('', null)
+      .messages({
+        'string.max': 'Model name cannot exceed 100 characters'
+      })
+  })),
+
+  updatePrompt: validate(promptTemplateSchema),
+
+  updateTaxonomy: validate(Joi.object({
+    restrictGeneration: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'restrictGeneration is required'
+      })
+  })),
+
+  createTagTerm: validate(tagTermSchema.keys({
+    name: tagTermSchema.extract('name').required()
+  })),
+
+  updateTagTerm: validate(tagTermSchema),
+
+  previewPrompt: validate(promptTemplateSchema.keys({
+    processId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'Invalid process ID',
+        'string.length': 'Invalid process ID',
+        'any.required': 'A process to preview with is required'
+      })
+  })),
+
+  // Required fields depend on the connector and are checked by todoExportService
+  saveIntegration: validate(Joi.object({
+    config: Joi.object()
+      .pattern(Joi.string(), Joi.string().trim().allow('').max(500)),
+
+    credentials: Joi.object()
+      .pattern(Joi.string(), Joi.string().trim().allow('').max(2000)),
+
+    enabled: Joi.boolean()
+  })),
+
+  createWebhook: validate(webhookSchema.keys({
+    url: webhookSchema.extract('url').required().messages({ 'any.required': 'Webhook URL is required' }),
+    events: webhookSchema.extract('events').required().messages({ 'any.required': 'Select at least one event' })
+  })),
+
+  updateWebhook: validate(webhookSchema.min(1)),
+
+  createApiKey: validate(apiKeySchema.keys({
+    name: apiKeySchema.extract('name').required().messages({ 'any.required': 'Key name is required' }),
+    scopes: apiKeySchema.extract('scopes').required().messages({ 'any.required': 'Select at least one scope' })
+  })),
+
+  updateApiKey: validate(apiKeySchema.min(1)),
+
+  updateSso: validate(Joi.object({
+    protocol: Joi.string()
+      .valid(...SSO_PROTOCOLS)
+      .messages({
+        'any.only': 'Protocol must be oidc or saml'
+      }),
+
+    enabled: Joi.boolean(),
+    enforced: Joi.boolean(),
+    jitProvisioning: Joi.boolean(),
+
+    defaultRole: Joi.string()
+      .valid(...SSO_PROVISIONING_ROLES)
+      .messages({
+        'any.only': 'Default role must be user or admin'
+      }),
+
+    oidc: Joi.object({
+      issuer: ssoUrlSchema.messages({
+        'string.uri': 'Issuer must be an http(s) URL'
+      }),
+      clientId: Joi.string().trim().max(500).allow('')
+    }),
+
+    clientSecret: Joi.string()
+      .max(2000)
+      .allow(''),
+
+    saml: Joi.object({
+      entryPoint: ssoUrlSchema.messages({
+        'string.uri': 'Sign-on URL must be an http(s) URL'
+      }),
+      idpIssuer: Joi.string().trim().max(2000).allow(''),
+      certificate: Joi.string()
+        .max(20000)
+        .allow('')
+        .messages({
+          'string.max': 'Certificate is too long'
+        })
+    })
+  }).min(1))
+};
+
+// Knowledge assistant validation schemas
+const validateAssistant = {
+  ask: validate(Joi.object({
+    question: Joi.string()
+      .trim()
+      .min(1)
+      .max(1000)
+      .required()
+      .messages({
+        'string.empty': 'Question is required',
+        'string.max': 'Question cannot exceed 1000 characters',
+        'any.required': 'Question is required'
+      }),
+
+    conversationId: Joi.string()
+      .hex()
+      .length(24)
+      .messages({
+        'string.hex': 'Invalid conversation ID',
+        'string.length': 'Invalid conversation ID'
+      }),
+
+    // Only used when a conversation is started
+    listId: Joi.string()
+      .hex()
+      .length(24)
+      .allow(null)
+      .messages({
+        'string.hex': 'Invalid list ID',
+        'string.length': 'Invalid list ID'
+      })
+  }))
+};
+
 module.exports = {
   validateAuth,
   validateProcess,
   validateFavoriteList,
-  validateTeam
+  validateTeam,
+  validateSettings,
+  validateAssistant
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Key scripts use to call the tenant API, see apiKeyService
+const apiKeySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+
+  // Start of the key, shown to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of the key, see utils/apiKeys; the key itself is shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Scope names, see utils/apiKeys
+  scopes: [{
+    type: String
+  }],
+
+  // Requests per minute
+  rateLimit: {
+    type: Number,
+    min: 1,
+    max: 1000,
+    default: 60
+  },
+
+  // Requests are made as this user, with their current role
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ tenantId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Oldest messages are dropped beyond this, the prompt only uses the last few anyway
+const MAX_MESSAGES = 100;
+
+const sourceSchema = new mongoose.Schema({
+  processId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: true
+  },
+  // Number of the source in the answer, e.g. 2 for [2]
+  number: { type: Number, required: true, min: 1 },
+  title: { type: String, default: '' },
+  start: { type: Number, required: true, min: 0 },
+  end: { type: Number, required: true, min: 0 },
+  text: { type: String, default: '' }
+}, { _id: false });
+
+const assistantMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  citations: [sourceSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Knowledge assistant chat of a user across the tenant's processes
+const assistantConversationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // First question, shortened
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: 'New conversation'
+  },
+
+  // Restricts retrieval to the processes of a favorite list (null = all processes)
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FavoriteList',
+    default: null
+  },
+
+  messages: [assistantMessageSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+assistantConversationSchema.index({ tenantId: 1, userId: 1, updatedAt: -1 });
+
+// Static methods
+assistantConversationSchema.statics.listForUser = function(tenantId, userId, limit = 50) {
+  return this.find({ tenantId, userId })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .select('title listId createdAt updatedAt');
+};
+
+// Instance methods
+assistantConversationSchema.methods.appendMessages = function(messages) {
+  this.messages.push(...messages);
+  if (this.messages.length > MAX_MESSAGES) {
+    this.messages.splice(0, this.messages.length - MAX_MESSAGES);
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('AssistantConversation', assistantConversationSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Tracker a tenant exports todos to, with its settings and encrypted credentials
+const integrationConnectionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  // Connector name, see todoExportService
+  type: {
+    type: String,
+    required: [true, 'Connector type is required'],
+    trim: true
+  },
+
+  // Connector settings such as the repository or project key
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Tokens sealed with utils/secretBox, never sent to clients
+  credentials: {
+    type: String,
+    select: false
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Message of the last failed export or connection test
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      ret.hasCredentials = !!ret.credentials;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.credentials;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+integrationConnectionSchema.index({ tenantId: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('IntegrationConnection', integrationConnectionSchema);
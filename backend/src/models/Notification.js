@@ -15,7 +15,7 @@ const notificationSchema = new mongoose.Schema({
 
   type: {
     type: String,
-    enum: ['share_request', 'share_accepted', 'share_rejected', 'process_completed', 'process_failed', 'system'],
+    enum: ['share_request', 'share_accepted', 'share_rejected', 'process_completed', 'process_failed', 'todo_assigned', 'comment_mention', 'system'],
     required: [true, 'Notification type is required']
   },
 
@@ -137,6 +137,52 @@ notificationSchema.statics.createShareNotification = async function(pendingShare
   return notification.save();
 };
 
+notificationSchema.statics.createTodoAssignedNotification = async function({ process, todo, userId, fromUser }) {
+  const notification = new this({
+    tenantId: process.tenantId,
+    userId,
+    type: 'todo_assigned',
+    title: 'New task assigned to you',
+    message: `${fromUser.fullName} assigned "${todo.task.slice(0, 200)}" in "${process.title}" to you.`,
+    metadata: {
+      processId: process._id,
+      fromUser: {
+        id: fromUser._id,
+        name: fromUser.fullName,
+        email: fromUser.email
+      },
+      actionUrl: `/processes/${process._id}?todo=${todo._id}`,
+      additionalData: { todoId: todo._id }
+    },
+    priority: ['high', 'urgent'].includes(todo.priority) ? 'high' : 'medium'
+  });
+
+  return notification.save();
+};
+
+notificationSchema.statics.createCommentMentionNotification = async function({ process, comment, userId, fromUser }) {
+  const threadId = comment.parentId || comment._id;
+  const notification = new this({
+    tenantId: process.tenantId,
+    userId,
+    type: 'comment_mention',
+    title: 'You were mentioned in a comment',
+    message: `${fromUser.fullName} mentioned you on "${process.title}": "${comment.text.slice(0, 200)}"`,
+    metadata: {
+      processId: process._id,
+      fromUser: {
+        id: fromUser._id,
+        name: fromUser.fullName,
+        email: fromUser.email
+      },
+      actionUrl: `/processes/${process._id}?comment=${threadId}`,
+      additionalData: { commentId: comment._id, threadId }
+    }
+  });
+
+  return notification.save();
+};
+
 notificationSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({
     userId,
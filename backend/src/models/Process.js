@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { MAX_EMBEDDING_DIMENSIONS, LEGACY_EMBEDDING_MODEL } = require('../utils/aiSettings');
+const { TODO_STATUSES, TODO_PRIORITIES } = require('../utils/todos');
 
 const transcriptSegmentSchema = new mongoose.Schema({
   start: {
@@ -16,6 +18,59 @@ const transcriptSegmentSchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true
+  },
+  speaker: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Speaker name cannot exceed 100 characters'],
+    default: null
+  }
+}, { _id: false });
+
+// Discussion on a single todo item
+const todoCommentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Issue created for a todo in an external tracker; exporting again updates it
+const todoExternalLinkSchema = new mongoose.Schema({
+  connector: {
+    type: String,
+    required: true
+  },
+  externalId: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
@@ -30,10 +85,35 @@ const todoItemSchema = new mongoose.Schema({
     type: Number, // Timestamp in seconds from start of video
     min: 0
   },
+  // Kept in sync with status ('done') for clients that only know the checkbox
   completed: {
     type: Boolean,
     default: false
   },
+  status: {
+    type: String,
+    enum: TODO_STATUSES,
+    // Items saved before statuses existed only have the checkbox
+    default: function() {
+      return this.completed ? 'done' : 'open';
+    }
+  },
+  priority: {
+    type: String,
+    enum: TODO_PRIORITIES,
+    default: 'medium'
+  },
+  // Tenant users responsible for the item
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  comments: [todoCommentSchema],
+  externalLinks: [todoExternalLinkSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,6 +128,34 @@ const todoItemSchema = new mongoose.Schema({
   }
 });
 
+// Titled section of the recording, generated by the chapter step and editable by users
+const chapterSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Chapter title cannot exceed 200 characters']
+  },
+  start: {
+    type: Number, // Seconds from start of video
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
 const processSchema = new mongoose.Schema({
   tenantId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -118,6 +226,77 @@ const processSchema = new mongoose.Schema({
       duration: Number, // Audio duration in seconds
       format: String, // Audio format (wav, mp3, etc.)
       extractedAt: Date // When audio was extracted
+    },
+
+    captioned: {
+      path: String, // S3 key of the video with burned-in captions
+      size: Number,
+      storageType: {
+        type: String,
+        enum: ['s3', 'deleted'],
+        default: 's3'
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed', null],
+        default: null
+      },
+      error: String,
+      requestedAt: Date,
+      generatedAt: Date
+    },
+
+    thumbnails: {
+      poster: String, // Path or S3 key of the poster frame
+      sprite: String, // Path or S3 key of the scrub-preview sprite sheet
+      vtt: String, // Path or S3 key of the WebVTT thumbnail track
+      storageType: {
+        type: String,
+        enum: ['local', 's3', 'deleted'],
+        default: 's3'
+      },
+      layout: {
+        duration: Number,
+        interval: Number, // Seconds covered by one sprite tile
+        count: Number,
+        columns: Number,
+        rows: Number,
+        tileWidth: Number,
+        tileHeight: Number
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed', null],
+        default: null
+      },
+      error: String,
+      generatedAt: Date
+    },
+
+    hls: {
+      path: String, // Directory or S3 prefix with master.m3u8 and one folder per rendition
+      storageType: {
+        type: String,
+        enum: ['local', 's3', 'deleted'],
+        default: 's3'
+      },
+      renditions: [{
+        _id: false,
+        name: String, // e.g. 720p, also the folder name
+        width: Number,
+        height: Number,
+        bandwidth: Number, // Peak bits per second announced in the master playlist
+        size: Number
+      }],
+      segmentDuration: Number,
+      size: Number, // Total size of all renditions in bytes
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed', null],
+        default: null
+      },
+      error: String,
+      generatedAt: Date
     }
   },
 
@@ -144,6 +323,34 @@ const processSchema = new mongoose.Schema({
       type: Number,
       min: 0,
       max: 1 // Whisper confidence score
+    },
+    diarization: {
+      provider: String,
+      speakerCount: Number,
+      completedAt: Date
+    },
+    // Latest TranscriptRevision number; 0 until the transcript is first edited
+    revision: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Whisper options resolved from tenant defaults and upload overrides
+  transcriptionSettings: {
+    // Transcription backend the audio was sent to (set when transcription starts)
+    provider: {
+      type: String,
+      enum: ['openai', 'self_hosted', null],
+      default: null
+    },
+    language: {
+      type: String,
+      default: null
+    },
+    prompt: {
+      type: String,
+      default: null
     }
   },
 
@@ -170,9 +377,10 @@ const processSchema = new mongoose.Schema({
     type: [Number], // Float32Array stored as array of numbers
     validate: {
       validator: function(v) {
-        return !v || v.length === 0 || v.length === 1536; // Allow empty array or OpenAI ada-002 embedding size
+        // Size depends on the embedding model (see embeddingMetadata)
+        return !v || v.length <= MAX_EMBEDDING_DIMENSIONS;
       },
-      message: 'Embedding must be empty or have exactly 1536 dimensions'
+      message: `Embedding cannot have more than ${MAX_EMBEDDING_DIMENSIONS} dimensions`
     },
     default: [] // Default to empty array
   },
@@ -185,14 +393,50 @@ const processSchema = new mongoose.Schema({
       default: null
     },
     generatedAt: Date,
+    // Only embeddings of the same model are compared
     model: {
       type: String,
-      default: 'text-embedding-ada-002'
+      default: LEGACY_EMBEDDING_MODEL
+    },
+    provider: {
+      type: String,
+      default: null
+    },
+    dimensions: {
+      type: Number,
+      default: null
     }
   },
 
   todoList: [todoItemSchema],
 
+  chapters: [chapterSchema],
+
+  // Executive summary, generated by the summary step and editable by users
+  summary: {
+    abstract: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Summary cannot exceed 2000 characters']
+    },
+    keyPoints: [{
+      type: String,
+      trim: true,
+      maxlength: [500, 'Key point cannot exceed 500 characters']
+    }],
+    decisions: [{
+      type: String,
+      trim: true,
+      maxlength: [500, 'Decision cannot exceed 500 characters']
+    }],
+    openQuestions: [{
+      type: String,
+      trim: true,
+      maxlength: [500, 'Open question cannot exceed 500 characters']
+    }],
+    generatedAt: Date
+  },
+
   // Processing status
   status: {
     type: String,
@@ -215,10 +459,13 @@ const processSchema = new mongoose.Schema({
     enum: [
       'extracting_audio',
       'video_compressing',
+      'diarizing_speakers',
       'generating_tags',
       'generating_todos', 
       'generating_title',
       'generating_embeddings',
+      'reanalysis_queued',
+      'retranscribing',
       'uploading_to_s3',
       'cleaning_local_files',
       null
@@ -238,15 +485,85 @@ const processSchema = new mongoose.Schema({
     estimatedTimeRemaining: Number // in seconds
   },
 
+  // On-demand re-analysis of individual AI steps (POST /:id/reanalyze)
+  reanalysis: {
+    status: {
+      type: String,
+      enum: ['queued', 'completed', 'failed', null],
+      default: null
+    },
+    steps: [{
+      type: String,
+      enum: ['tags', 'todos', 'title', 'summary', 'chapters', 'embedding']
+    }],
+    pendingSteps: [String],
+    failedSteps: [String],
+    instructions: {
+      type: String,
+      maxlength: [2000, 'Instructions cannot exceed 2000 characters']
+    },
+    jobIds: {
+      tags: String,
+      todos: String,
+      title: String,
+      summary: String,
+      chapters: String,
+      embedding: String
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    completedAt: Date,
+    error: String
+  },
+
+  // Re-transcription from the stored audio or S3 video (POST /:id/retranscribe)
+  retranscription: {
+    status: {
+      type: String,
+      enum: ['queued', 'completed', 'failed', null],
+      default: null
+    },
+    // Where the audio was taken from
+    audioSource: {
+      type: String,
+      enum: ['audio', 'video', null],
+      default: null
+    },
+    // Audio file used while the run is in progress
+    audioPath: String,
+    // Queue jobs of the run, to tell a live run from one whose jobs were lost
+    jobs: [{
+      _id: false,
+      id: String,
+      queue: String
+    }],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    completedAt: Date,
+    error: String
+  },
+
   // Job tracking
   jobs: {
     videoProcessing: String, // BullMQ job ID
     audioExtraction: String,
     transcription: [String], // Array of job IDs for segments
+    diarization: String,
+    captionBurn: String,
+    thumbnails: String,
+    hlsPackaging: String,
     aiAnalysis: {
       tags: String,
       todo: String,
       title: String,
+      summary: String,
+      chapters: String,
       embedding: String // Job ID for embedding generation
     }
   },
@@ -255,7 +572,7 @@ const processSchema = new mongoose.Schema({
   processingErrors: [{
     step: {
       type: String,
-      enum: ['upload', 'pipeline_start', 'video_processing', 'video_compression_validation', 'audio_extraction', 'transcription', 'ai_analysis', 's3_upload', 'local_cleanup', 'cleanup', 'pipeline_progression']
+      enum: ['upload', 'pipeline_start', 'video_processing', 'video_compression_validation', 'audio_extraction', 'transcription', 'diarization', 'ai_analysis', 's3_upload', 'local_cleanup', 'cleanup', 'pipeline_progression']
     },
     message: String,
     details: mongoose.Schema.Types.Mixed,
@@ -353,6 +670,16 @@ const processSchema = new mongoose.Schema({
         ret.files.processed.url = `/api/v1/processes/${ret.id}/video`; // Virtual URL
         delete ret.files.processed.path;
       }
+
+      // Thumbnails are served by name through the video and share endpoints
+      if (ret.files && ret.files.thumbnails) {
+        delete ret.files.thumbnails.poster;
+        delete ret.files.thumbnails.sprite;
+        delete ret.files.thumbnails.vtt;
+      }
+      if (ret.files && ret.files.hls) {
+        delete ret.files.hls.path;
+      }
       
       return ret;
     }
@@ -364,16 +691,26 @@ processSchema.index({ tenantId: 1, userId: 1 });
 processSchema.index({ tenantId: 1, status: 1 });
 processSchema.index({ tenantId: 1, createdAt: -1 });
 processSchema.index({ tenantId: 1, 'tags.name': 1 });
+processSchema.index({ tenantId: 1, 'todoList.assignees': 1 });
 processSchema.index({ shareId: 1 });
 processSchema.index({ tenantId: 1, isDeleted: 1 });
 
 // Text index for search functionality
 processSchema.index({
   title: 'text',
+  'summary.abstract': 'text',
+  'summary.keyPoints': 'text',
+  'summary.decisions': 'text',
+  'summary.openQuestions': 'text',
   'transcript.text': 'text'
 }, {
+  name: 'process_text_search',
   weights: {
     title: 10,
+    'summary.abstract': 5,
+    'summary.keyPoints': 3,
+    'summary.decisions': 3,
+    'summary.openQuestions': 3,
     'transcript.text': 1
   }
 });
@@ -668,17 +1005,18 @@ processSchema.statics.findSimilarProcesses = async function(processId, tenantId,
     _id: processId, 
     tenantId,
     isDeleted: false 
-  }).select('embedding title tags');
+  }).select('embedding embeddingMetadata title tags');
   
   if (!sourceProcess || !sourceProcess.embedding) {
     return [];
   }
   
-  // Get all other processes with embeddings
+  // Get all other processes with embeddings of the same model
   const processes = await this.find({
     tenantId,
     _id: { $ne: processId },
     embedding: { $exists: true, $ne: [] },
+    'embeddingMetadata.model': sourceProcess.embeddingMetadata?.model || LEGACY_EMBEDDING_MODEL,
     isDeleted: false
   }).select('embedding title tags createdAt status');
   
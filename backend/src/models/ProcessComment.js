@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Comment on a process; replies point at the first comment of their thread
+const processCommentSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  processId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: [true, 'Process ID is required']
+  },
+
+  // Thread the comment replies to, null for the first comment of a thread
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessComment',
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+
+  // Video position the thread is about, in seconds from the start
+  timestamp: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Transcript segment the thread is about, with its text at the time of commenting
+  segmentIndex: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  quote: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+
+  // Users notified by an @mention
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Threads only
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+processCommentSchema.index({ processId: 1, parentId: 1, createdAt: 1 });
+processCommentSchema.index({ tenantId: 1 });
+
+module.exports = mongoose.model('ProcessComment', processCommentSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Oldest messages are dropped beyond this, the prompt only uses the last few anyway
+const MAX_MESSAGES = 100;
+
+const citationSchema = new mongoose.Schema({
+  segmentIndex: { type: Number, required: true, min: 0 },
+  start: { type: Number, required: true, min: 0 },
+  end: { type: Number, required: true, min: 0 },
+  text: { type: String, default: '' }
+}, { _id: false });
+
+const conversationMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  citations: [citationSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Questions a user asked about one process ("Ask this video")
+const processConversationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  processId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: [true, 'Process ID is required']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  messages: [conversationMessageSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+processConversationSchema.index({ processId: 1, userId: 1 }, { unique: true });
+processConversationSchema.index({ tenantId: 1 });
+
+// Static methods
+processConversationSchema.statics.appendMessages = function(tenantId, processId, userId, messages) {
+  return this.findOneAndUpdate(
+    { processId, userId },
+    {
+      $setOnInsert: { tenantId },
+      $push: { messages: { $each: messages, $slice: -MAX_MESSAGES } }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('ProcessConversation', processConversationSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const versionTodoSchema = new mongoose.Schema({
+  task: { type: String, required: true },
+  timestamp: { type: Number, default: null },
+  completed: { type: Boolean, default: false },
+  // Absent in versions recorded before todo statuses and assignees existed
+  status: String,
+  priority: String,
+  assignees: { type: [String], default: undefined },
+  dueDate: { type: Date, default: null }
+}, { _id: false });
+
+const versionSummarySchema = new mongoose.Schema({
+  abstract: { type: String, default: '' },
+  keyPoints: [String],
+  decisions: [String],
+  openQuestions: [String]
+}, { _id: false });
+
+const versionChapterSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  start: { type: Number, required: true },
+  end: { type: Number, required: true }
+}, { _id: false });
+
+const processVersionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  processId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: [true, 'Process ID is required']
+  },
+
+  // Sequential per process; 0 is the content as produced by the pipeline
+  version: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // User who made the change (null for pipeline output)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: ['ai', 'user', 'restore'],
+    required: true
+  },
+
+  // Fields that differ from the previous version
+  changedFields: [{
+    type: String,
+    enum: ['title', 'tags', 'todoList', 'summary', 'chapters', 'transcript']
+  }],
+
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  // Snapshot of the editable content after the change. The transcript is
+  // referenced by its TranscriptRevision number instead of being copied.
+  snapshot: {
+    title: String,
+    tags: [{
+      _id: false,
+      name: String,
+      weight: Number
+    }],
+    todoList: [versionTodoSchema],
+    // Absent in versions recorded before summaries and chapters existed
+    summary: {
+      type: versionSummarySchema,
+      default: undefined
+    },
+    chapters: {
+      type: [versionChapterSchema],
+      default: undefined
+    },
+    transcriptRevision: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+processVersionSchema.index({ processId: 1, version: -1 }, { unique: true });
+processVersionSchema.index({ tenantId: 1, processId: 1 });
+
+// Static methods
+processVersionSchema.statics.getLatest = function(processId) {
+  return this.findOne({ processId }).sort({ version: -1 });
+};
+
+processVersionSchema.statics.listForProcess = function(processId, limit = 100) {
+  return this.find({ processId })
+    .sort({ version: -1 })
+    .limit(limit)
+    .populate('userId', 'firstName lastName email');
+};
+
+module.exports = mongoose.model('ProcessVersion', processVersionSchema);
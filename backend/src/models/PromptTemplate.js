@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const {
+  PROMPT_KINDS,
+  TONES,
+  TODO_GRANULARITIES,
+  MAX_TAGS_LIMIT,
+  MAX_TEMPLATE_LENGTH,
+  MAX_FOCUS_LENGTH
+} = require('../utils/promptTemplates');
+
+const promptTemplateSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  kind: {
+    type: String,
+    enum: PROMPT_KINDS,
+    required: [true, 'Prompt kind is required']
+  },
+
+  // Sequential per tenant and kind; the latest version is the one in use
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Editable part of the system prompt; null uses the built-in default
+  template: {
+    type: String,
+    maxlength: [MAX_TEMPLATE_LENGTH, `Template cannot exceed ${MAX_TEMPLATE_LENGTH} characters`],
+    default: null
+  },
+
+  // Values for the placeholders; unset values fall back to the defaults
+  variables: {
+    // Output language code; null answers in the language of the transcript
+    language: {
+      type: String,
+      default: null
+    },
+
+    tone: {
+      type: String,
+      enum: TONES,
+      default: 'neutral'
+    },
+
+    focus: {
+      type: String,
+      trim: true,
+      maxlength: [MAX_FOCUS_LENGTH, `Domain focus cannot exceed ${MAX_FOCUS_LENGTH} characters`],
+      default: ''
+    },
+
+    maxTags: {
+      type: Number,
+      min: 1,
+      max: MAX_TAGS_LIMIT,
+      default: 10
+    },
+
+    granularity: {
+      type: String,
+      enum: Object.keys(TODO_GRANULARITIES),
+      default: 'balanced'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+promptTemplateSchema.index({ tenantId: 1, kind: 1, version: -1 }, { unique: true });
+
+// Static methods
+promptTemplateSchema.statics.getActive = function(tenantId, kind) {
+  return this.findOne({ tenantId, kind }).sort({ version: -1 });
+};
+
+promptTemplateSchema.statics.listVersions = function(tenantId, kind, limit = 50) {
+  return this.find({ tenantId, kind })
+    .sort({ version: -1 })
+    .limit(limit)
+    .populate('createdBy', 'firstName lastName email');
+};
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
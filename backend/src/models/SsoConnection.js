@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Identity provider a tenant signs in with, see ssoService
+const ssoConnectionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  protocol: {
+    type: String,
+    enum: ['oidc', 'saml'],
+    required: [true, 'Protocol is required']
+  },
+
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+
+  // Members sign in through the identity provider only; owners keep their
+  // password so a broken configuration cannot lock the workspace out
+  enforced: {
+    type: Boolean,
+    default: false
+  },
+
+  // Create accounts on first sign-in for emails on the tenant's domains
+  jitProvisioning: {
+    type: Boolean,
+    default: true
+  },
+
+  defaultRole: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+
+  oidc: {
+    issuer: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Issuer URL cannot exceed 2000 characters']
+    },
+    clientId: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Client ID cannot exceed 500 characters']
+    }
+  },
+
+  saml: {
+    // Identity provider single sign-on URL (HTTP-Redirect binding)
+    entryPoint: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Sign-on URL cannot exceed 2000 characters']
+    },
+    // Identity provider entity ID; checked against the response issuer when set
+    idpIssuer: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Issuer cannot exceed 2000 characters']
+    },
+    // Signing certificate of the identity provider, base64 without PEM armour
+    certificate: {
+      type: String
+    }
+  },
+
+  // OIDC client secret sealed with utils/secretBox, never sent to clients
+  clientSecret: {
+    type: String,
+    select: false
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  // Message of the last failed sign-in, shown in settings
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      ret.hasClientSecret = !!ret.clientSecret;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.clientSecret;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+ssoConnectionSchema.index({ tenantId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SsoConnection', ssoConnectionSchema);
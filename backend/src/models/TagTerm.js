@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Same limits as Process tags, so every term can be stored as a tag
+const tagNameField = {
+  type: String,
+  trim: true,
+  lowercase: true,
+  maxlength: [50, 'Tag cannot exceed 50 characters']
+};
+
+const tagTermSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  // Approved tag name, stored on processes
+  name: {
+    ...tagNameField,
+    required: [true, 'Tag name is required']
+  },
+
+  // Other spellings that are saved as this term
+  synonyms: [tagNameField],
+
+  // Broader term; filtering by the parent also finds its children
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TagTerm',
+    default: null
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+tagTermSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+tagTermSchema.index({ tenantId: 1, synonyms: 1 });
+tagTermSchema.index({ tenantId: 1, parentId: 1 });
+
+module.exports = mongoose.model('TagTerm', tagTermSchema);
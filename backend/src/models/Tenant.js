@@ -62,6 +62,64 @@ const tenantSchema = new mongoose.Schema({
         }
       },
       companyName: String
+    },
+
+    // Transcription backend and defaults; language and vocabulary can be overridden per upload
+    transcription: {
+      // Backend that receives the audio; 'self_hosted' keeps it on our own Whisper server
+      provider: {
+        type: String,
+        enum: ['openai', 'self_hosted'],
+        default: 'openai'
+      },
+
+      // Whisper language code; null lets Whisper detect the language
+      language: {
+        type: String,
+        default: null
+      },
+
+      // Glossary of product names and jargon passed as the Whisper prompt
+      vocabulary: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Vocabulary cannot exceed 1000 characters'],
+        default: ''
+      }
+    },
+
+    // LLM backend for tags, todos, titles and embeddings
+    ai: {
+      // 'openai_compatible' is a local server (Ollama, vLLM, LM Studio), 'azure' an Azure OpenAI resource
+      provider: {
+        type: String,
+        enum: ['openai', 'openai_compatible', 'azure'],
+        default: 'openai'
+      },
+
+      // Model (Azure: deployment) names; null uses the server default of the provider
+      chatModel: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Model name cannot exceed 100 characters'],
+        default: null
+      },
+
+      embeddingModel: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Model name cannot exceed 100 characters'],
+        default: null
+      }
+    },
+
+    // Controlled tag vocabulary; the terms themselves are TagTerm documents
+    tagTaxonomy: {
+      // AI tag generation only picks from the approved terms
+      restrictGeneration: {
+        type: Boolean,
+        default: false
+      }
     }
   },
 
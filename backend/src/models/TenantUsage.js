@@ -54,6 +54,15 @@ const tenantUsageSchema = new mongoose.Schema({
     }
   },
 
+  // Question answering over transcripts ("Ask this video" and the knowledge assistant)
+  ai: {
+    assistantQuestions: { type: Number, default: 0, min: 0 },
+    videoQuestions: { type: Number, default: 0, min: 0 },
+    chatTokens: { type: Number, default: 0, min: 0 },
+    embeddingTokens: { type: Number, default: 0, min: 0 },
+    lastUsedAt: { type: Date, default: null }
+  },
+
   // Monthly breakdown for billing and analytics
   monthlyStats: [{
     month: {
@@ -71,7 +80,9 @@ const tenantUsageSchema = new mongoose.Schema({
       filesUploaded: { type: Number, default: 0 },
       filesDeleted: { type: Number, default: 0 },
       storageAdded: { type: Number, default: 0 },
-      storageRemoved: { type: Number, default: 0 }
+      storageRemoved: { type: Number, default: 0 },
+      aiQuestions: { type: Number, default: 0 },
+      aiTokens: { type: Number, default: 0 }
     }
   }],
 
@@ -135,6 +146,57 @@ tenantUsageSchema.statics.findOrCreateByTenant = async function(tenantId) {
   return usage;
 };
 
+// Atomic so concurrent questions do not overwrite each other's counts
+tenantUsageSchema.statics.recordAiUsage = async function(tenantId, usage = {}) {
+  const {
+    assistantQuestions = 0,
+    videoQuestions = 0,
+    chatTokens = 0,
+    embeddingTokens = 0
+  } = usage;
+  const now = new Date();
+  const month = new Date(now.getFullYear(), now.getMonth(), 1);
+  const questions = assistantQuestions + videoQuestions;
+  const tokens = chatTokens + embeddingTokens;
+
+  await this.updateOne(
+    { tenantId },
+    {
+      $inc: {
+        'ai.assistantQuestions': assistantQuestions,
+        'ai.videoQuestions': videoQuestions,
+        'ai.chatTokens': chatTokens,
+        'ai.embeddingTokens': embeddingTokens
+      },
+      $set: { 'ai.lastUsedAt': now }
+    },
+    { upsert: true }
+  );
+
+  const incrementMonth = () => this.updateOne(
+    { tenantId, 'monthlyStats.month': month },
+    {
+      $inc: {
+        'monthlyStats.$.activity.aiQuestions': questions,
+        'monthlyStats.$.activity.aiTokens': tokens
+      }
+    }
+  );
+
+  const monthly = await incrementMonth();
+  if (monthly.matchedCount > 0) return;
+
+  const pushed = await this.updateOne(
+    { tenantId, 'monthlyStats.month': { $ne: month } },
+    { $push: { monthlyStats: { month, activity: { aiQuestions: questions, aiTokens: tokens } } } }
+  );
+
+  // Another request added the month in the meantime
+  if (pushed.matchedCount === 0) {
+    await incrementMonth();
+  }
+};
+
 tenantUsageSchema.statics.getTopConsumers = function(limit = 10) {
   return this.find({})
     .sort({ 'storage.totalMB': -1 })
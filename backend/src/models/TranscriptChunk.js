@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Consecutive transcript segments embedded together for question answering
+const transcriptChunkSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  processId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: [true, 'Process ID is required']
+  },
+
+  // Hash of the segments the chunks were built from; stale chunks are rebuilt
+  transcriptHash: {
+    type: String,
+    required: true
+  },
+
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Range of transcript.segments indexes covered (inclusive)
+  segmentStart: { type: Number, required: true, min: 0 },
+  segmentEnd: { type: Number, required: true, min: 0 },
+
+  start: { type: Number, required: true, min: 0 },
+  end: { type: Number, required: true, min: 0 },
+
+  text: {
+    type: String,
+    required: true
+  },
+
+  embedding: {
+    type: [Number],
+    default: undefined
+  },
+
+  embeddingModel: {
+    type: String,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.embedding;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+transcriptChunkSchema.index({ processId: 1, index: 1 });
+transcriptChunkSchema.index({ tenantId: 1, processId: 1 });
+// Knowledge assistant scans the tenant's chunks of one model, newest first
+transcriptChunkSchema.index({ tenantId: 1, embeddingModel: 1, createdAt: -1 });
+// and reaches older chunks through the words they contain (transcripts are in any language)
+transcriptChunkSchema.index({ tenantId: 1, text: 'text' }, { default_language: 'none' });
+
+module.exports = mongoose.model('TranscriptChunk', transcriptChunkSchema);
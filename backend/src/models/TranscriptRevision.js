@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const revisionSegmentSchema = new mongoose.Schema({
+  start: { type: Number, required: true, min: 0 },
+  end: { type: Number, required: true, min: 0 },
+  text: { type: String, required: true },
+  speaker: { type: String, default: null }
+}, { _id: false });
+
+const transcriptRevisionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  processId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: [true, 'Process ID is required']
+  },
+
+  // Sequential per process; 0 is the transcript as produced by the pipeline
+  revision: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // User who made the change (null for the pipeline baseline)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Operations that produced this revision, e.g. ['split', 'update']
+  operations: [{
+    type: String,
+    enum: ['original', 'update', 'split', 'merge', 'delete', 'revert', 'retranscribe']
+  }],
+
+  revertedFrom: {
+    type: Number,
+    default: null
+  },
+
+  // Full snapshot of the segments after the change
+  segments: [revisionSegmentSchema],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+transcriptRevisionSchema.index({ processId: 1, revision: -1 }, { unique: true });
+transcriptRevisionSchema.index({ tenantId: 1, processId: 1 });
+
+// Static methods
+transcriptRevisionSchema.statics.getLatestRevisionNumber = async function(processId) {
+  const latest = await this.findOne({ processId })
+    .sort({ revision: -1 })
+    .select('revision');
+  return latest ? latest.revision : null;
+};
+
+transcriptRevisionSchema.statics.listForProcess = function(processId, limit = 50) {
+  return this.find({ processId })
+    .sort({ revision: -1 })
+    .limit(limit)
+    .select('-segments')
+    .populate('userId', 'firstName lastName email');
+};
+
+module.exports = mongoose.model('TranscriptRevision', transcriptRevisionSchema);
@@ -213,6 +213,12 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
 
+  // SHA-256 of the secret in the personal todo calendar feed URL
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+
   refreshTokens: [{
     token: {
       type: String,
@@ -266,6 +272,7 @@ const userSchema = new mongoose.Schema({
       delete ret.emailVerificationToken;
       delete ret.passwordResetToken;
       delete ret.passwordResetExpires;
+      delete ret.calendarFeedToken;
       return ret;
     }
   }
@@ -277,6 +284,7 @@ userSchema.index({ tenantId: 1, role: 1 });
 userSchema.index({ tenantId: 1, isActive: 1 });
 userSchema.index({ emailVerificationToken: 1 });
 userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One event sent to one endpoint, with the outcome of its last attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: [true, 'Endpoint ID is required']
+  },
+
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+
+  // Body sent on every attempt, so retries are identical
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Last attempt
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Log kept for 30 days
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
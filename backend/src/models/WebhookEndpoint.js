@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// URL a tenant receives process events at, see webhookService
+const webhookEndpointSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot exceed 2000 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+
+  // Subscribed event names, see utils/webhooks
+  events: [{
+    type: String
+  }],
+
+  // Signing secret sealed with utils/secretBox, shown to users once
+  secret: {
+    type: String,
+    select: false
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+webhookEndpointSchema.index({ tenantId: 1, enabled: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
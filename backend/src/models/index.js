@@ -11,6 +11,19 @@ const UserInvitation = require('./UserInvitation');
 const SystemSettings = require('./SystemSettings');
 const TenantUsage = require('./TenantUsage');
 const UserUsage = require('./UserUsage');
+const TranscriptRevision = require('./TranscriptRevision');
+const ProcessVersion = require('./ProcessVersion');
+const TranscriptChunk = require('./TranscriptChunk');
+const ProcessConversation = require('./ProcessConversation');
+const AssistantConversation = require('./AssistantConversation');
+const PromptTemplate = require('./PromptTemplate');
+const TagTerm = require('./TagTerm');
+const IntegrationConnection = require('./IntegrationConnection');
+const ProcessComment = require('./ProcessComment');
+const WebhookEndpoint = require('./WebhookEndpoint');
+const WebhookDelivery = require('./WebhookDelivery');
+const ApiKey = require('./ApiKey');
+const SsoConnection = require('./SsoConnection');
 
 module.exports = {
   Tenant,
@@ -24,5 +37,18 @@ module.exports = {
   UserInvitation,
   SystemSettings,
   TenantUsage,
-  UserUsage
+  UserUsage,
+  TranscriptRevision,
+  ProcessVersion,
+  TranscriptChunk,
+  ProcessConversation,
+  AssistantConversation,
+  PromptTemplate,
+  TagTerm,
+  IntegrationConnection,
+  ProcessComment,
+  WebhookEndpoint,
+  WebhookDelivery,
+  ApiKey,
+  SsoConnection
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // mergeParams to access tenantId from parent route
+const assistantController = require('../controllers/assistantController');
+const { validateAssistant } = require('../middleware/validation');
+const { rateLimiters } = require('../middleware/rateLimitMiddleware');
+
+// @route   GET /api/v1/tenants/:tenantId/assistant/conversations
+// @desc    List the current user's knowledge assistant conversations
+// @access  Private (Tenant)
+router.get('/conversations', (req, res, next) => assistantController.getConversations(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/assistant/conversations/:conversationId
+// @desc    Get a conversation with its messages
+// @access  Private (Tenant, own conversations)
+router.get('/conversations/:conversationId', (req, res, next) => assistantController.getConversation(req, res, next));
+
+// @route   DELETE /api/v1/tenants/:tenantId/assistant/conversations/:conversationId
+// @desc    Delete a conversation
+// @access  Private (Tenant, own conversations)
+router.delete('/conversations/:conversationId', (req, res, next) => assistantController.deleteConversation(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/assistant/ask
+// @desc    Ask a question across all processes (or one favorite list), the answer is streamed as server-sent events
+// @access  Private (Tenant)
+router.post('/ask', rateLimiters.aiQuestion, validateAssistant.ask, (req, res, next) => assistantController.ask(req, res, next));
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const ssoController = require('../controllers/ssoController');
 const { validateAuth } = require('../middleware/validation');
 const authMiddleware = require('../middleware/authMiddleware');
 const { rateLimiters } = require('../middleware/rateLimitMiddleware');
@@ -35,6 +36,36 @@ router.post('/check-subdomain', rateLimiters.api, validateAuth.checkSubdomain, a
 // @access  Public
 router.post('/login', rateLimiters.auth, validateAuth.login, authController.login);
 
+// @route   POST /api/v1/auth/sso/discover
+// @desc    Find the single sign-on provider for an email address
+// @access  Public
+router.post('/sso/discover', rateLimiters.api, validateAuth.checkTenant, ssoController.discover);
+
+// @route   POST /api/v1/auth/sso/exchange
+// @desc    Exchange the one-time code from the SSO callback for tokens
+// @access  Public
+router.post('/sso/exchange', rateLimiters.auth, validateAuth.ssoExchange, ssoController.exchange);
+
+// @route   GET /api/v1/auth/sso/:tenantId/start
+// @desc    Redirect to the tenant's identity provider
+// @access  Public
+router.get('/sso/:tenantId/start', rateLimiters.api, ssoController.start);
+
+// @route   GET /api/v1/auth/sso/:tenantId/oidc/callback
+// @desc    OpenID Connect redirect URI
+// @access  Public
+router.get('/sso/:tenantId/oidc/callback', rateLimiters.api, ssoController.oidcCallback);
+
+// @route   POST /api/v1/auth/sso/:tenantId/saml/acs
+// @desc    SAML assertion consumer service
+// @access  Public
+router.post('/sso/:tenantId/saml/acs', rateLimiters.api, ssoController.samlAcs);
+
+// @route   GET /api/v1/auth/sso/:tenantId/saml/metadata
+// @desc    SAML service provider metadata
+// @access  Public
+router.get('/sso/:tenantId/saml/metadata', rateLimiters.api, ssoController.samlMetadata);
+
 // @route   POST /api/v1/auth/refresh
 // @desc    Refresh access token
 // @access  Public
@@ -6,6 +6,7 @@ const uploadMiddleware = require('../middleware/uploadMiddleware');
 const streamingUploadMiddleware = require('../middleware/streamingUploadMiddleware');
 const { checkUploadLimits, processUploadAlerts, checkStorageLimits } = require('../middleware/uploadLimitMiddleware');
 const videoTokenService = require('../services/videoTokenService');
+const { rateLimiters } = require('../middleware/rateLimitMiddleware');
 const { 
   handleChunkUpload, 
   validateChunkUpload, 
@@ -66,7 +67,7 @@ router.post('/',
 
 // Specific routes MUST come before parameterized routes
 // @route   GET /api/v1/tenants/:tenantId/processes/search
-// @desc    Search processes by tags, title, or transcript content
+// @desc    Search processes by tags, title, or transcript content (mode=text), by meaning (mode=semantic) or both (mode=hybrid)
 // @access  Private (Tenant)
 router.get('/search', (req, res, next) => processController.searchProcesses(req, res, next));
 
@@ -75,6 +76,41 @@ router.get('/search', (req, res, next) => processController.searchProcesses(req,
 // @access  Private (Tenant)
 router.get('/tags', (req, res, next) => processController.getTags(req, res, next));
 
+// @route   POST /api/v1/tenants/:tenantId/processes/tags/rename
+// @desc    Rename a tag on all processes of the tenant
+// @access  Private (Owner/Admin)
+router.post('/tags/rename', validateProcess.renameTag, (req, res, next) => processController.renameTag(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/tags/merge
+// @desc    Merge tags into one on all processes of the tenant
+// @access  Private (Owner/Admin)
+router.post('/tags/merge', validateProcess.mergeTags, (req, res, next) => processController.mergeTags(req, res, next));
+
+// @route   DELETE /api/v1/tenants/:tenantId/processes/tags/:name
+// @desc    Remove a tag from all processes of the tenant
+// @access  Private (Owner/Admin)
+router.delete('/tags/:name', (req, res, next) => processController.deleteTag(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/todos/assigned
+// @desc    Get todos assigned to the current user across all processes
+// @access  Private (Tenant)
+router.get('/todos/assigned', (req, res, next) => processController.getAssignedTodos(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/todos/calendar-feed
+// @desc    Check whether the current user has a calendar feed of their assigned todos
+// @access  Private (Tenant)
+router.get('/todos/calendar-feed', (req, res, next) => processController.getCalendarFeed(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/todos/calendar-feed
+// @desc    Create a new secret calendar feed URL, replacing the previous one
+// @access  Private (Tenant)
+router.post('/todos/calendar-feed', (req, res, next) => processController.createCalendarFeed(req, res, next));
+
+// @route   DELETE /api/v1/tenants/:tenantId/processes/todos/calendar-feed
+// @desc    Turn off the calendar feed of the current user
+// @access  Private (Tenant)
+router.delete('/todos/calendar-feed', (req, res, next) => processController.revokeCalendarFeed(req, res, next));
+
 // @route   GET /api/v1/tenants/:tenantId/processes/graph-data
 // @desc    Get data for graph visualization (processes and tag connections)
 // @access  Private (Tenant)
@@ -91,6 +127,136 @@ router.get('/:id', (req, res, next) => processController.getProcess(req, res, ne
 // @access  Private (Tenant)
 router.put('/:id', validateProcess.update, (req, res, next) => processController.updateProcess(req, res, next));
 
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/todos/export
+// @desc    Create or update issues for todo items in a connected tracker
+// @access  Private (Tenant)
+router.post('/:id/todos/export', validateProcess.exportTodos, (req, res, next) => processController.exportTodos(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/todos/export.csv|ics
+// @desc    Download todo items as CSV or as iCalendar events on their due dates
+// @access  Private (Tenant)
+router.get('/:id/todos/export.:format', (req, res, next) => processController.downloadTodos(req, res, next));
+
+// @route   PATCH /api/v1/tenants/:tenantId/processes/:id/todos/:todoId
+// @desc    Update status, priority, assignees, due date or text of a todo item
+// @access  Private (Tenant)
+router.patch('/:id/todos/:todoId', validateProcess.updateTodo, (req, res, next) => processController.updateTodo(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/todos/:todoId/comments
+// @desc    Comment on a todo item
+// @access  Private (Tenant)
+router.post('/:id/todos/:todoId/comments', validateProcess.todoComment, (req, res, next) => processController.addTodoComment(req, res, next));
+
+// @route   DELETE /api/v1/tenants/:tenantId/processes/:id/todos/:todoId/comments/:commentId
+// @desc    Delete a comment on a todo item
+// @access  Private (Tenant)
+router.delete('/:id/todos/:todoId/comments/:commentId', (req, res, next) => processController.deleteTodoComment(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/comments
+// @desc    Get the comment threads of a process (?status=open|resolved|all)
+// @access  Private (Tenant)
+router.get('/:id/comments', (req, res, next) => processController.getComments(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/comments
+// @desc    Comment at a video timestamp or transcript segment, or reply to a thread
+// @access  Private (Tenant)
+router.post('/:id/comments', validateProcess.addComment, (req, res, next) => processController.addComment(req, res, next));
+
+// @route   PATCH /api/v1/tenants/:tenantId/processes/:id/comments/:commentId
+// @desc    Edit a comment (author) or resolve/reopen a thread
+// @access  Private (Tenant)
+router.patch('/:id/comments/:commentId', validateProcess.updateComment, (req, res, next) => processController.updateComment(req, res, next));
+
+// @route   DELETE /api/v1/tenants/:tenantId/processes/:id/comments/:commentId
+// @desc    Delete a comment (author or owner/admin); deleting the first comment removes the thread
+// @access  Private (Tenant)
+router.delete('/:id/comments/:commentId', (req, res, next) => processController.deleteComment(req, res, next));
+
+// @route   PUT /api/v1/tenants/:tenantId/processes/:id/speakers
+// @desc    Rename a transcript speaker across all segments
+// @access  Private (Tenant)
+router.put('/:id/speakers', validateProcess.renameSpeaker, (req, res, next) => processController.renameSpeaker(req, res, next));
+
+// @route   PATCH /api/v1/tenants/:tenantId/processes/:id/transcript
+// @desc    Edit transcript segments (text, timing, split, merge, delete)
+// @access  Private (Tenant)
+router.patch('/:id/transcript', validateProcess.patchTranscript, (req, res, next) => processController.patchTranscript(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/transcript/revisions
+// @desc    List transcript revision history
+// @access  Private (Tenant)
+router.get('/:id/transcript/revisions', (req, res, next) => processController.getTranscriptRevisions(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/transcript/revisions/:revision
+// @desc    Get a transcript revision with its segments
+// @access  Private (Tenant)
+router.get('/:id/transcript/revisions/:revision', (req, res, next) => processController.getTranscriptRevision(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/transcript/revisions/:revision/revert
+// @desc    Restore an earlier transcript revision
+// @access  Private (Tenant)
+router.post('/:id/transcript/revisions/:revision/revert', (req, res, next) => processController.revertTranscriptRevision(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/reanalyze
+// @desc    Re-run selected AI analysis steps with optional instructions
+// @access  Private (Tenant)
+router.post('/:id/reanalyze', validateProcess.reanalyze, (req, res, next) => processController.reanalyzeProcess(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/retranscribe
+// @desc    Transcribe the stored audio again with a different language or vocabulary
+// @access  Private (Tenant)
+router.post('/:id/retranscribe', validateProcess.retranscribe, (req, res, next) => processController.retranscribeProcess(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/versions
+// @desc    List version history of title, tags, todo list and transcript
+// @access  Private (Tenant)
+router.get('/:id/versions', (req, res, next) => processController.getProcessVersions(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/versions/:version/restore
+// @desc    Restore an earlier version
+// @access  Private (Tenant)
+router.post('/:id/versions/:version/restore', (req, res, next) => processController.restoreProcessVersion(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/qa
+// @desc    Get the current user's questions and answers about the process
+// @access  Private (Tenant)
+router.get('/:id/qa', (req, res, next) => processController.getQaHistory(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/qa
+// @desc    Ask a question about the process, the answer is streamed as server-sent events
+// @access  Private (Tenant)
+router.post('/:id/qa', rateLimiters.aiQuestion, validateProcess.askQuestion, (req, res, next) => processController.askQuestion(req, res, next));
+
+// @route   DELETE /api/v1/tenants/:tenantId/processes/:id/qa
+// @desc    Clear the current user's questions and answers about the process
+// @access  Private (Tenant)
+router.delete('/:id/qa', (req, res, next) => processController.clearQaHistory(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/subtitles.srt|vtt
+// @desc    Export transcript as SRT or WebVTT subtitles
+// @access  Private (Tenant)
+router.get('/:id/subtitles.:format', (req, res, next) => processController.exportSubtitles(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/captioned-video
+// @desc    Queue a video version with burned-in captions
+// @access  Private (Tenant)
+router.post('/:id/captioned-video', (req, res, next) => processController.requestCaptionedVideo(req, res, next));
+
+// @route   GET /api/v1/tenants/:tenantId/processes/:id/captioned-video
+// @desc    Get captioned video status and download URL
+// @access  Private (Tenant)
+router.get('/:id/captioned-video', (req, res, next) => processController.getCaptionedVideo(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/thumbnails
+// @desc    Queue (re)generation of poster frame and scrub-preview thumbnails
+// @access  Private (Tenant)
+router.post('/:id/thumbnails', (req, res, next) => processController.requestThumbnails(req, res, next));
+
+// @route   POST /api/v1/tenants/:tenantId/processes/:id/hls
+// @desc    Queue (re)packaging of the video as adaptive HLS stream
+// @access  Private (Tenant)
+router.post('/:id/hls', (req, res, next) => processController.requestHlsPackaging(req, res, next));
+
 // @route   DELETE /api/v1/tenants/:tenantId/processes/:id
 // @desc    Delete process and associated files
 // @access  Private (Tenant)
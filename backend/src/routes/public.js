@@ -12,6 +12,32 @@ router.get('/processes/:shareId', publicController.getSharedProcess);
 // @access  Public
 router.get('/processes/:shareId/video', publicController.getSharedProcessVideo);
 
+// @route   GET /api/v1/public/processes/:shareId/subtitles.srt|vtt
+// @desc    Get shared process subtitles (read-only, no authentication required)
+// @access  Public
+router.get('/processes/:shareId/subtitles.:format', publicController.getSharedSubtitles);
+
+// @route   GET /api/v1/public/processes/:shareId/poster.jpg|sprite.jpg|thumbnails.vtt
+// @desc    Get shared process poster frame, scrub-preview sprite or thumbnail track
+// @access  Public
+router.get('/processes/:shareId/:asset(poster\\.jpg|sprite\\.jpg|thumbnails\\.vtt)', publicController.getSharedThumbnail);
+
+// @route   GET /api/v1/public/processes/:shareId/hls/master.m3u8|:rendition/index.m3u8|:rendition/:segment
+// @desc    Get shared process HLS playlists and segments
+// @access  Public
+router.get('/processes/:shareId/hls/:file(master\\.m3u8)', publicController.getSharedHlsFile);
+router.get('/processes/:shareId/hls/:rendition(\\d{3,4}p)/:file(index\\.m3u8|seg_\\d+\\.ts)', publicController.getSharedHlsFile);
+
+// @route   GET /api/v1/public/calendar/:token.ics
+// @desc    Calendar feed of the todos assigned to a user (secret URL, for calendar subscriptions)
+// @access  Public
+router.get('/calendar/:token.ics', publicController.getTodoCalendar);
+
+// @route   GET /api/v1/public/openapi.json
+// @desc    OpenAPI document of the routes tenant API keys can call
+// @access  Public
+router.get('/openapi.json', publicController.getOpenApiSpec);
+
 // @route   GET /api/v1/public/health
 // @desc    Public health check endpoint
 // @access  Public
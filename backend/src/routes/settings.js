@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const settingsController = require('../controllers/settingsController');
+const authMiddleware = require('../middleware/authMiddleware');
+const tenantMiddleware = require('../middleware/tenantMiddleware');
+const { validateSettings } = require('../middleware/validation');
+const { rateLimiters } = require('../middleware/rateLimitMiddleware');
+
+// All routes require authentication and tenant context
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/transcription
+// @desc    Get transcription provider and default language and vocabulary
+// @access  Private (All users)
+router.get('/transcription', settingsController.getTranscriptionSettings);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/transcription
+// @desc    Update transcription provider and default language and vocabulary
+// @access  Private (Owner/Admin only)
+router.put('/transcription', validateSettings.updateTranscription, settingsController.updateTranscriptionSettings);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/ai
+// @desc    Get LLM provider and models used for AI analysis
+// @access  Private (All users)
+router.get('/ai', settingsController.getAISettings);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/ai
+// @desc    Update LLM provider and models used for AI analysis
+// @access  Private (Owner/Admin only)
+router.put('/ai', validateSettings.updateAI, settingsController.updateAISettings);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/prompts
+// @desc    Get the prompt templates for tags, todos and titles with their defaults
+// @access  Private (All users)
+router.get('/prompts', settingsController.getPromptTemplates);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/prompts/:kind
+// @desc    Save a prompt template as a new version
+// @access  Private (Owner/Admin only)
+router.put('/prompts/:kind', validateSettings.updatePrompt, settingsController.updatePromptTemplate);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/prompts/:kind/versions
+// @desc    List the versions of a prompt template
+// @access  Private (All users)
+router.get('/prompts/:kind/versions', settingsController.getPromptTemplateVersions);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/prompts/:kind/versions/:version/restore
+// @desc    Restore an earlier version of a prompt template
+// @access  Private (Owner/Admin only)
+router.post('/prompts/:kind/versions/:version/restore', settingsController.restorePromptTemplate);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/prompts/:kind/preview
+// @desc    Run an unsaved prompt template against the transcript of a process
+// @access  Private (Owner/Admin only)
+router.post('/prompts/:kind/preview', rateLimiters.promptPreview, validateSettings.previewPrompt, settingsController.previewPromptTemplate);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/taxonomy
+// @desc    Get the tag taxonomy (approved tags, synonyms, hierarchy)
+// @access  Private (All users)
+router.get('/taxonomy', settingsController.getTagTaxonomy);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/taxonomy
+// @desc    Limit AI tag generation to the taxonomy or not
+// @access  Private (Owner/Admin only)
+router.put('/taxonomy', validateSettings.updateTaxonomy, settingsController.updateTagTaxonomy);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/taxonomy/terms
+// @desc    Add an approved tag
+// @access  Private (Owner/Admin only)
+router.post('/taxonomy/terms', validateSettings.createTagTerm, settingsController.createTagTerm);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/taxonomy/terms/:termId
+// @desc    Update an approved tag
+// @access  Private (Owner/Admin only)
+router.put('/taxonomy/terms/:termId', validateSettings.updateTagTerm, settingsController.updateTagTerm);
+
+// @route   DELETE /api/v1/tenants/:tenantId/settings/taxonomy/terms/:termId
+// @desc    Remove an approved tag
+// @access  Private (Owner/Admin only)
+router.delete('/taxonomy/terms/:termId', settingsController.deleteTagTerm);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/integrations
+// @desc    Get the issue trackers todos can be exported to and their connections
+// @access  Private (All users)
+router.get('/integrations', settingsController.getIntegrations);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/integrations/:type
+// @desc    Connect an issue tracker or update its settings and credentials
+// @access  Private (Owner/Admin only)
+router.put('/integrations/:type', validateSettings.saveIntegration, settingsController.saveIntegration);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/integrations/:type/test
+// @desc    Check that an issue tracker connection works
+// @access  Private (Owner/Admin only)
+router.post('/integrations/:type/test', settingsController.testIntegration);
+
+// @route   DELETE /api/v1/tenants/:tenantId/settings/integrations/:type
+// @desc    Disconnect an issue tracker
+// @access  Private (Owner/Admin only)
+router.delete('/integrations/:type', settingsController.deleteIntegration);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/webhooks
+// @desc    Get the outgoing webhooks and the events they can subscribe to
+// @access  Private (All users)
+router.get('/webhooks', settingsController.getWebhooks);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/webhooks
+// @desc    Register a webhook; returns its signing secret once
+// @access  Private (Owner/Admin only)
+router.post('/webhooks', validateSettings.createWebhook, settingsController.createWebhook);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/webhooks/:webhookId
+// @desc    Change the URL, events or enabled state of a webhook
+// @access  Private (Owner/Admin only)
+router.put('/webhooks/:webhookId', validateSettings.updateWebhook, settingsController.updateWebhook);
+
+// @route   DELETE /api/v1/tenants/:tenantId/settings/webhooks/:webhookId
+// @desc    Remove a webhook and its delivery log
+// @access  Private (Owner/Admin only)
+router.delete('/webhooks/:webhookId', settingsController.deleteWebhook);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/webhooks/:webhookId/rotate-secret
+// @desc    Replace the signing secret of a webhook
+// @access  Private (Owner/Admin only)
+router.post('/webhooks/:webhookId/rotate-secret', settingsController.rotateWebhookSecret);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/webhooks/:webhookId/test
+// @desc    Send a test event and report the response
+// @access  Private (Owner/Admin only)
+router.post('/webhooks/:webhookId/test', settingsController.testWebhook);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/webhooks/:webhookId/deliveries
+// @desc    Get the latest deliveries of a webhook
+// @access  Private (All users)
+router.get('/webhooks/:webhookId/deliveries', settingsController.getWebhookDeliveries);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/api-keys
+// @desc    Get the API keys of the tenant and the scopes they can be granted
+// @access  Private (Owner/Admin only)
+router.get('/api-keys', settingsController.getApiKeys);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/api-keys
+// @desc    Issue an API key; returns the key once
+// @access  Private (Owner/Admin only)
+router.post('/api-keys', validateSettings.createApiKey, settingsController.createApiKey);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/api-keys/:keyId
+// @desc    Change the name, scopes or rate limit of an API key
+// @access  Private (Owner/Admin only)
+router.put('/api-keys/:keyId', validateSettings.updateApiKey, settingsController.updateApiKey);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/api-keys/:keyId/rotate
+// @desc    Replace an API key with a new secret; the old one stops working
+// @access  Private (Owner/Admin only)
+router.post('/api-keys/:keyId/rotate', settingsController.rotateApiKey);
+
+// @route   POST /api/v1/tenants/:tenantId/settings/api-keys/:keyId/revoke
+// @desc    Revoke an API key
+// @access  Private (Owner/Admin only)
+router.post('/api-keys/:keyId/revoke', settingsController.revokeApiKey);
+
+// @route   GET /api/v1/tenants/:tenantId/settings/sso
+// @desc    Get the single sign-on connection and the URLs to register with the identity provider
+// @access  Private (Owner only)
+router.get('/sso', settingsController.getSso);
+
+// @route   PUT /api/v1/tenants/:tenantId/settings/sso
+// @desc    Configure OIDC or SAML single sign-on
+// @access  Private (Owner only)
+router.put('/sso', validateSettings.updateSso, settingsController.updateSso);
+
+// @route   DELETE /api/v1/tenants/:tenantId/settings/sso
+// @desc    Remove single sign-on
+// @access  Private (Owner only)
+router.delete('/sso', settingsController.deleteSso);
+
+module.exports = router;
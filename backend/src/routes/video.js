@@ -17,4 +17,44 @@ router.get('/:tenantId/:processId',
   }
 );
 
+// @route   GET /api/v1/video/:tenantId/:processId/poster.jpg|sprite.jpg|thumbnails.vtt
+// @desc    Get poster frame, scrub-preview sprite or thumbnail track with token authentication
+// @access  Video Token Required
+router.get('/:tenantId/:processId/:asset(poster\\.jpg|sprite\\.jpg|thumbnails\\.vtt)',
+  videoTokenService.authenticateVideoToken.bind(videoTokenService),
+  (req, res, next) => {
+    req.params.id = req.params.processId;
+    return processController.getThumbnail(req, res, next);
+  }
+);
+
+const getHlsFile = (req, res, next) => {
+  req.params.id = req.params.processId;
+  return processController.getHlsFile(req, res, next);
+};
+
+// @route   GET /api/v1/video/:tenantId/:processId/hls/master.m3u8
+// @desc    Get HLS master playlist; rendition URIs carry the request token
+// @access  Video Token Required
+router.get('/:tenantId/:processId/hls/:file(master\\.m3u8)',
+  videoTokenService.authenticateVideoToken.bind(videoTokenService),
+  getHlsFile
+);
+
+// @route   GET /api/v1/video/:tenantId/:processId/hls/:rendition/index.m3u8
+// @desc    Get HLS media playlist of one rendition; segment URIs carry a segment token
+// @access  Video Token Required
+router.get('/:tenantId/:processId/hls/:rendition(\\d{3,4}p)/:file(index\\.m3u8)',
+  videoTokenService.authenticateVideoToken.bind(videoTokenService),
+  getHlsFile
+);
+
+// @route   GET /api/v1/video/:tenantId/:processId/hls/:rendition/:segment
+// @desc    Get HLS segment (redirect to storage)
+// @access  Video or Segment Token Required
+router.get('/:tenantId/:processId/hls/:rendition(\\d{3,4}p)/:file(seg_\\d+\\.ts)',
+  videoTokenService.authenticateSegmentToken.bind(videoTokenService),
+  getHlsFile
+);
+
 module.exports = router;
\ No newline at end of file
@@ -13,7 +13,10 @@ const logger = require('./utils/logger');
 const { validateEnvironment } = require('./config/startup');
 const errorHandler = require('./middleware/errorHandler');
 const tenantMiddleware = require('./middleware/tenantMiddleware');
+const { rateLimiters } = require('./middleware/rateLimitMiddleware');
+const { SAML_ACS_PATH } = require('./utils/sso');
 const performanceMiddleware = require('./middleware/performanceMiddleware');
+const processStatusService = require('./services/processStatusService');
 
 const authRoutes = require('./routes/auth');
 const processRoutes = require('./routes/processes');
@@ -25,6 +28,8 @@ const videoRoutes = require('./routes/video');
 const teamRoutes = require('./routes/team');
 const billingRoutes = require('./routes/billing');
 const limitsRoutes = require('./routes/limits');
+const settingsRoutes = require('./routes/settings');
+const assistantRoutes = require('./routes/assistant');
 const webhookRoutes = require('./routes/webhooks');
 const superAdminRoutes = require('./routes/superAdminRoutes');
 
@@ -64,7 +69,12 @@ const limiter = rateLimit({
       return true;
     }
     return false;
-  }
+  },
+  // Requests tenantMiddleware authenticated with an API key fall under the
+  // key's own limit (rateLimiters.apiKey) and are taken off the IP count once
+  // answered. Unknown or revoked keys keep counting against the IP.
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => !!req.apiKey
 });
 
 app.use('/api', limiter);
@@ -84,7 +94,7 @@ const allowedOrigins = [
   'http://localhost:8080', // Alternative dev port
 ];
 
-app.use(cors({
+const corsMiddleware = cors({
   origin: function (origin, callback) {
     // In development, be more permissive
     if (process.env.NODE_ENV === 'development') {
@@ -103,9 +113,13 @@ app.use(cors({
   },
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-}));
+});
+
+// Identity providers post SAML responses from their own origin as a plain
+// form submit, which the origin allowlist would reject
+app.use((req, res, next) => (SAML_ACS_PATH.test(req.path) ? next() : corsMiddleware(req, res, next)));
 
 // Performance monitoring middleware
 app.use(performanceMiddleware({
@@ -146,7 +160,7 @@ app.use('/api/v1/billing', billingRoutes); // General billing routes (pricing co
 app.use('/api/v1/limits', limitsRoutes); // General limits routes
 
 // Protected routes with tenant middleware
-app.use('/api/v1/tenants/:tenantId', tenantMiddleware);
+app.use('/api/v1/tenants/:tenantId', tenantMiddleware, rateLimiters.apiKey);
 app.use('/api/v1/tenants/:tenantId/processes', processRoutes);
 app.use('/api/v1/tenants/:tenantId/favorite-lists', favoriteListRoutes);
 app.use('/api/v1/tenants/:tenantId/users', userRoutes);
@@ -154,6 +168,8 @@ app.use('/api/v1/tenants/:tenantId/notifications', notificationRoutes);
 app.use('/api/v1/tenants/:tenantId/team', teamRoutes);
 app.use('/api/v1/tenants/:tenantId/billing', billingRoutes);
 app.use('/api/v1/tenants/:tenantId/limits', limitsRoutes);
+app.use('/api/v1/tenants/:tenantId/settings', settingsRoutes);
+app.use('/api/v1/tenants/:tenantId/assistant', assistantRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -229,6 +245,9 @@ const startServer = async () => {
         logger.info('💡 Use PM2 to start/stop/monitor worker processes');
       }
     });
+
+    // Live process status over WebSocket (updates are published by the worker process)
+    await processStatusService.attach(server);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
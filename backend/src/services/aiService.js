@@ -1,32 +1,337 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { DEFAULT_AI_PROVIDER } = require('../utils/aiSettings');
+const { renderSystemPrompt } = require('../utils/promptTemplates');
 
+const trimSlash = (url) => url.replace(/\/$/, '');
 
-class AIService {
-  constructor() {
-    this.openaiAPIKey = process.env.OPENAI_API_KEY;
-    this.openaiBaseURL = 'https://api.openai.com/v1';
-    
-    if (!this.openaiAPIKey) {
+/**
+ * OpenAI API
+ */
+const openaiProvider = {
+  name: 'openai',
+  label: 'OpenAI',
+
+  defaultChatModel: () => process.env.GPT_MODEL || 'gpt-3.5-turbo',
+  defaultEmbeddingModel: () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002',
+
+  async request(endpoint, body, { responseType } = {}) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
       throw new Error('OpenAI API key is required. Set OPENAI_API_KEY environment variable.');
     }
 
-    // Configure axios for OpenAI API
-    this.client = axios.create({
-      baseURL: this.openaiBaseURL,
+    const response = await axios.post(`https://api.openai.com/v1${endpoint}`, body, {
       headers: {
-        'Authorization': `Bearer ${this.openaiAPIKey}`,
+        'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json',
       },
       timeout: 120000, // 2 minutes timeout
+      responseType
+    });
+
+    return response.data;
+  }
+};
+
+/**
+ * Server with an OpenAI-compatible API (Ollama, vLLM, LM Studio), e.g.
+ * LLM_COMPATIBLE_BASE_URL=http://localhost:11434/v1. Models are whatever the server has loaded.
+ */
+const openaiCompatibleProvider = {
+  name: 'openai_compatible',
+  label: 'OpenAI-compatible server',
+
+  defaultChatModel: () => process.env.LLM_COMPATIBLE_CHAT_MODEL || null,
+  defaultEmbeddingModel: () => process.env.LLM_COMPATIBLE_EMBEDDING_MODEL || null,
+
+  async request(endpoint, body, { responseType } = {}) {
+    const baseURL = process.env.LLM_COMPATIBLE_BASE_URL;
+    if (!baseURL) {
+      throw new Error('LLM_COMPATIBLE_BASE_URL is required for the OpenAI-compatible provider');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.LLM_COMPATIBLE_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.LLM_COMPATIBLE_API_KEY}`;
+    }
+
+    const response = await axios.post(`${trimSlash(baseURL)}${endpoint}`, body, {
+      headers,
+      timeout: 600000, // 10 minutes, local models on CPU are much slower than the API
+      responseType
     });
 
-    // Default model settings
-    this.defaultModel = 'gpt-3.5-turbo';
+    return response.data;
+  }
+};
+
+/**
+ * Azure OpenAI. Models are addressed by deployment name, so chat and embedding
+ * models configured for a tenant are deployment names here.
+ */
+const azureProvider = {
+  name: 'azure',
+  label: 'Azure OpenAI',
+
+  defaultChatModel: () => process.env.AZURE_OPENAI_CHAT_DEPLOYMENT || null,
+  defaultEmbeddingModel: () => process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || null,
+
+  async request(endpoint, body, { responseType } = {}) {
+    const { AZURE_OPENAI_ENDPOINT: baseURL, AZURE_OPENAI_API_KEY: apiKey } = process.env;
+    if (!baseURL || !apiKey) {
+      throw new Error('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY are required for the Azure OpenAI provider');
+    }
+
+    const { model: deployment, ...payload } = body;
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-02-01';
+    const url = `${trimSlash(baseURL)}/openai/deployments/${encodeURIComponent(deployment)}${endpoint}?api-version=${apiVersion}`;
+
+    const response = await axios.post(url, payload, {
+      headers: {
+        'api-key': apiKey,
+        'Content-Type': 'application/json',
+      },
+      timeout: 120000,
+      responseType
+    });
+
+    return response.data;
+  }
+};
+
+class AIService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(openaiProvider);
+    this.registerProvider(openaiCompatibleProvider);
+    this.registerProvider(azureProvider);
+
+    // Default generation settings
     this.defaultMaxTokens = 2000;
     this.defaultTemperature = 0.7;
   }
 
+  /**
+   * Register an LLM backend
+   * @param {Object} provider - { name, label, defaultChatModel(), defaultEmbeddingModel(),
+   *   request(endpoint, body, { responseType }) => OpenAI response body, or a stream for responseType 'stream' }
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.request !== 'function') {
+      throw new Error('AI provider must have a name and a request function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const providerName = name || DEFAULT_AI_PROVIDER;
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${providerName}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Provider and models a tenant selected, merged into the options of an AI job
+   * @param {string} processId - Process the job belongs to
+   * @param {string} kind - 'chat' or 'embedding'
+   * @param {Object} options - Job options
+   * @returns {Promise<Object>} Options with provider and model
+   */
+  async resolveOptions(processId, kind, options = {}) {
+    // Loaded lazily, the embedding thread worker uses this service without a database
+    const { Process } = require('../models');
+
+    const process = await Process.findById(processId).select('tenantId');
+    return this.resolveTenantOptions(process?.tenantId, kind, options);
+  }
+
+  /**
+   * Provider and models a tenant selected, for requests outside of AI jobs (e.g. search)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} kind - 'chat' or 'embedding'
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Options with provider and model
+   */
+  async resolveTenantOptions(tenantId, kind, options = {}) {
+    const { Tenant } = require('../models');
+
+    const tenant = tenantId && await Tenant.findById(tenantId).select('settings.ai');
+    const ai = tenant?.settings?.ai || {};
+
+    return {
+      ...options,
+      provider: ai.provider || DEFAULT_AI_PROVIDER,
+      // The tenant model wins; without one the provider default applies
+      model: (kind === 'embedding' ? ai.embeddingModel : ai.chatModel) || null
+    };
+  }
+
+  /**
+   * Send a chat completion to the selected provider
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { provider, model, maxTokens, temperature }
+   * @returns {Promise<Object>} { content, model, provider, tokensUsed }
+   */
+  async chat(messages, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const model = options.model || provider.defaultChatModel();
+    if (!model) {
+      throw new Error(`No chat model configured for AI provider ${provider.name}`);
+    }
+
+    const data = await provider.request('/chat/completions', {
+      model,
+      messages,
+      max_tokens: options.maxTokens || this.defaultMaxTokens,
+      temperature: options.temperature ?? this.defaultTemperature
+    });
+
+    return {
+      content: data?.choices?.[0]?.message?.content,
+      model,
+      provider: provider.name,
+      tokensUsed: data?.usage?.total_tokens || 0
+    };
+  }
+
+  /**
+   * Stream a chat completion from the selected provider (server-sent events of the OpenAI API)
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { provider, model, maxTokens, temperature }
+   * @param {Function} onDelta - Called with each piece of generated text
+   * @returns {Promise<Object>} { content, model, provider, tokensUsed }
+   */
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    const provider = this.getProvider(options.provider);
+    const model = options.model || provider.defaultChatModel();
+    if (!model) {
+      throw new Error(`No chat model configured for AI provider ${provider.name}`);
+    }
+
+    const stream = await provider.request('/chat/completions', {
+      model,
+      messages,
+      max_tokens: options.maxTokens || this.defaultMaxTokens,
+      temperature: options.temperature ?? this.defaultTemperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { responseType: 'stream' });
+
+    let content = '';
+    let tokensUsed = 0;
+    let buffer = '';
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const payload = trimmed.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      try {
+        const data = JSON.parse(payload);
+        const delta = data?.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (data?.usage?.total_tokens) {
+          tokensUsed = data.usage.total_tokens;
+        }
+      } catch (parseError) {
+        logger.warn('Skipping malformed chat stream event', { provider: provider.name });
+      }
+    };
+
+    await new Promise((resolve, reject) => {
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      });
+      stream.on('end', () => {
+        handleLine(buffer);
+        resolve();
+      });
+      stream.on('error', reject);
+    });
+
+    return {
+      content,
+      model,
+      provider: provider.name,
+      tokensUsed
+    };
+  }
+
+  /**
+   * Create an embedding with the selected provider
+   * @param {string} input - Text to embed
+   * @param {Object} options - { provider, model }
+   * @returns {Promise<Object>} { embedding, model, provider, tokensUsed }
+   */
+  async embed(input, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const model = options.model || provider.defaultEmbeddingModel();
+    if (!model) {
+      throw new Error(`No embedding model configured for AI provider ${provider.name}`);
+    }
+
+    const data = await provider.request('/embeddings', { model, input });
+
+    return {
+      embedding: data?.data?.[0]?.embedding,
+      model,
+      provider: provider.name,
+      tokensUsed: data?.usage?.total_tokens || 0
+    };
+  }
+
+  /**
+   * Create embeddings for several texts, in batches of one request each
+   * @param {Array<string>} inputs - Texts to embed
+   * @param {Object} options - { provider, model, batchSize }
+   * @returns {Promise<Object>} { embeddings (same order as inputs), model, provider, tokensUsed }
+   */
+  async embedMany(inputs, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const model = options.model || provider.defaultEmbeddingModel();
+    if (!model) {
+      throw new Error(`No embedding model configured for AI provider ${provider.name}`);
+    }
+
+    // Azure accepts at most 16 inputs per request on older deployments
+    const batchSize = options.batchSize || 16;
+    const embeddings = [];
+    let tokensUsed = 0;
+
+    for (let offset = 0; offset < inputs.length; offset += batchSize) {
+      const batch = inputs.slice(offset, offset + batchSize);
+      const data = await provider.request('/embeddings', { model, input: batch });
+      const ordered = [...(data?.data || [])].sort((a, b) => a.index - b.index);
+
+      if (ordered.length !== batch.length) {
+        throw new Error('Embedding response does not match the number of inputs');
+      }
+
+      embeddings.push(...ordered.map(item => item.embedding));
+      tokensUsed += data?.usage?.total_tokens || 0;
+    }
+
+    return {
+      embeddings,
+      model,
+      provider: provider.name,
+      tokensUsed
+    };
+  }
+
   /**
    * Generate tags for video content based on transcript
    * @param {string} transcript - Video transcript text
@@ -61,56 +366,27 @@ class AIService {
         };
       }
 
-      const systemPrompt = `You are an expert in content analysis who creates relevant, searchable tags with weights for video content.
-
-Analyze the provided video transcript and generate high-quality tags with relevance scores that help users find and categorize this content.
-
-Guidelines:
-1. Generate a maximum of 10 tags with weights
-2. Each tag receives a weight from 0.0 to 1.0 based on relevance:
-   - 0.8-1.0: Core topics, main focus of the video, specific technical terms
-   - 0.5-0.7: Important secondary topics, mentioned technologies
-   - 0.2-0.4: Casually mentioned concepts
-   - Below 0.2: DO NOT output (too generic/irrelevant)
-3. Use single words or short phrases (max 2-3 words)
-4. Focus on main topics, concepts, technologies, processes or specific content
-5. Avoid generic tags like "video", "content", "information", "tutorial", "guide"
-6. Use lowercase for consistency
-7. Consider both explicitly mentioned and implied topics
-8. Include technical terms when relevant
-9. IMPORTANT: Respond in the same language as the transcript
-10. Only output tags with weight >= 0.2
-
-You MUST only return a valid JSON array with objects. Each object has "tag" and "weight". No additional explanations or markdown.
-
-Example output format:
-[
-  {"tag": "machine learning", "weight": 0.95},
-  {"tag": "neural networks", "weight": 0.88},
-  {"tag": "python", "weight": 0.72},
-  {"tag": "tensorflow", "weight": 0.65},
-  {"tag": "data science", "weight": 0.55}
-]`;
+      const systemPrompt = this.withAllowedTags(renderSystemPrompt('tags', options.promptTemplate), options.allowedTags);
 
       const userPrompt = `Analyze this video transcript and generate relevant tags:
 
 "${transcript.slice(0, 4000)}"${transcript.length > 4000 ? '...' : ''}`;
 
-      const response = await this.client.post('/chat/completions', {
-        model: options.model || this.defaultModel,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: options.maxTokens || 500,
+      const response = await this.chat([
+        { role: 'system', content: this.withInstructions(systemPrompt, options.instructions) },
+        { role: 'user', content: userPrompt }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 500,
         temperature: options.temperature || 0.3 // Lower temperature for more focused tags
       });
 
       const processingTime = (Date.now() - requestStartTime) / 1000;
-      const content = response.data.choices[0]?.message?.content;
+      const content = response.content;
 
       if (!content) {
-        throw new Error('No content received from OpenAI API');
+        throw new Error('No content received from AI provider');
       }
 
       // Parse JSON response
@@ -173,8 +449,8 @@ Example output format:
       const result = {
         tags: processedTags, // New consolidated format
         processingTime,
-        model: options.model || this.defaultModel,
-        tokensUsed: response.data.usage?.total_tokens || 0
+        model: response.model,
+        tokensUsed: response.tokensUsed
       };
 
       logger.info('Tag generation completed', {
@@ -248,46 +524,7 @@ Example output format:
         };
       }
 
-      const systemPrompt = `You are an expert in analyzing video content and creating actionable todo lists based on the activities, processes, or steps mentioned in the content.
-
-Your task is to identify specific actions, tasks, or steps that a viewer might want to follow or remember.
-
-Guidelines:
-1. Extract only concrete, actionable items
-2. Each item should be a specific task or action in the language of the transcript
-3. IMPORTANT: Use the provided timestamps from transcript segments to determine exact timestamps for each todo item
-4. Focus on "how-to" steps, processes, or actionable advice
-5. Maximum 20 items
-6. Prioritize the most important and clearest actions
-7. Use clear, precise language
-8. Skip vague or non-actionable content
-9. IMPORTANT: The todo list must be in the same language as the transcript.
-
-When transcript segments with timestamps are provided:
-- Use the "start" time of the segment where the action is mentioned
-- Pay attention to the chronological order of actions
-- If an action spans multiple segments, use the timestamp of the first relevant segment
-
-You MUST only return a valid JSON object with a "todoItems" array. No markdown formatting, code blocks, or explanations. Each item should have:
-- "task": string (description of the todo task)
-- "timestamp": number (exact seconds from start based on segment times, or null if no segments available)
-- "priority": string ("high", "medium", or "low")
-
-Example output:
-{
-  "todoItems": [
-    {
-      "task": "Install Node.js from the official website",
-      "timestamp": 120,
-      "priority": "high"
-    },
-    {
-      "task": "Create package.json file",
-      "timestamp": 180,
-      "priority": "medium"
-    }
-  ]
-}`;
+      const systemPrompt = renderSystemPrompt('todos', options.promptTemplate);
 
       // Build user prompt with segments if available
       let userPrompt = '';
@@ -300,7 +537,8 @@ Example output:
         
         segments.forEach((segment, index) => {
           if (index < 200) { // Limit to first 200 segments to avoid token limits
-            userPrompt += `[${segment.start}s - ${segment.end}s] ${segment.text}\n`;
+            const speakerPrefix = segment.speaker ? `${segment.speaker}: ` : '';
+            userPrompt += `[${segment.start}s - ${segment.end}s] ${speakerPrefix}${segment.text}\n`;
           }
         });
         
@@ -314,21 +552,21 @@ Example output:
 "${transcriptText.slice(0, 6000)}"${transcriptText.length > 6000 ? '...' : ''}`;
       }
 
-      const response = await this.client.post('/chat/completions', {
-        model: options.model || this.defaultModel,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: options.maxTokens || 1500,
+      const response = await this.chat([
+        { role: 'system', content: this.withInstructions(systemPrompt, options.instructions) },
+        { role: 'user', content: userPrompt }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 1500,
         temperature: options.temperature || 0.5
       });
 
       const processingTime = (Date.now() - requestStartTime) / 1000;
-      const content = response.data.choices[0]?.message?.content;
+      const content = response.content;
 
       if (!content) {
-        throw new Error('No content received from OpenAI API');
+        throw new Error('No content received from AI provider');
       }
 
       // Parse JSON response
@@ -386,8 +624,8 @@ Example output:
       const result = {
         todoList: cleanedTodos,
         processingTime,
-        model: options.model || this.defaultModel,
-        tokensUsed: response.data.usage?.total_tokens || 0
+        model: response.model,
+        tokensUsed: response.tokensUsed
       };
 
       logger.info('Todo list generation completed', {
@@ -417,6 +655,305 @@ Example output:
     }
   }
 
+  /**
+   * Generate an executive summary: short abstract, key points, decisions and open questions
+   * @param {string} transcript - Video transcript text
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} { summary: { abstract, keyPoints, decisions, openQuestions }, processingTime, model, tokensUsed }
+   */
+  async generateSummary(transcript, options = {}) {
+    const requestStartTime = Date.now();
+
+    try {
+      logger.info('Starting summary generation', {
+        transcriptLength: transcript ? transcript.length : 0,
+        options
+      });
+
+      if (!transcript || transcript.trim().length < 100) {
+        logger.warn('Transcript too short for summary generation, returning empty summary', {
+          transcriptLength: transcript ? transcript.length : 0
+        });
+
+        return {
+          summary: null,
+          processingTime: 0,
+          model: 'fallback',
+          tokensUsed: 0
+        };
+      }
+
+      const maxItems = options.maxItems || 8;
+
+      const systemPrompt = `You are an expert in summarizing recorded meetings, walkthroughs and process videos for busy managers.
+
+Your task is to write an executive summary of the transcript.
+
+Guidelines:
+1. "abstract": 2-4 sentences describing what the recording is about and its outcome
+2. "keyPoints": the most important facts or steps, one short sentence each (maximum ${maxItems})
+3. "decisions": decisions that were made or agreed on (empty array if there are none)
+4. "openQuestions": unresolved questions, risks or follow-ups that need an answer (empty array if there are none)
+5. Only use information from the transcript, do not invent details
+6. IMPORTANT: The summary must be in the same language as the transcript.
+
+You MUST only return a valid JSON object. No markdown formatting, code blocks, or explanations.
+
+Example output:
+{
+  "abstract": "The team walks through the new release process and agrees to automate the deployment.",
+  "keyPoints": ["Releases are cut every second Tuesday", "Staging must be green before tagging"],
+  "decisions": ["Deployments will run through the CI pipeline"],
+  "openQuestions": ["Who owns the rollback procedure?"]
+}`;
+
+      const userPrompt = `Summarize this video transcript:
+
+"${transcript.slice(0, 12000)}"${transcript.length > 12000 ? '...' : ''}`;
+
+      const response = await this.chat([
+        { role: 'system', content: this.withInstructions(systemPrompt, options.instructions) },
+        { role: 'user', content: userPrompt }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 1200,
+        temperature: options.temperature || 0.3
+      });
+
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+      const content = response.content;
+
+      if (!content) {
+        throw new Error('No content received from AI provider');
+      }
+
+      let summaryData;
+      try {
+        summaryData = JSON.parse(content);
+      } catch (parseError) {
+        throw new Error('Failed to parse summary from AI response');
+      }
+
+      if (!summaryData || typeof summaryData.abstract !== 'string' || !summaryData.abstract.trim()) {
+        throw new Error('Invalid summary format in AI response');
+      }
+
+      const cleanList = (items) => (Array.isArray(items) ? items : [])
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim().slice(0, 500))
+        .slice(0, maxItems);
+
+      const summary = {
+        abstract: summaryData.abstract.trim().slice(0, 2000),
+        keyPoints: cleanList(summaryData.keyPoints),
+        decisions: cleanList(summaryData.decisions),
+        openQuestions: cleanList(summaryData.openQuestions)
+      };
+
+      const result = {
+        summary,
+        processingTime,
+        model: response.model,
+        tokensUsed: response.tokensUsed
+      };
+
+      logger.info('Summary generation completed', {
+        keyPoints: summary.keyPoints.length,
+        decisions: summary.decisions.length,
+        openQuestions: summary.openQuestions.length,
+        processingTime,
+        tokensUsed: result.tokensUsed
+      });
+
+      return result;
+
+    } catch (error) {
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+
+      logger.error('Summary generation failed', {
+        error: error.message,
+        processingTime,
+        status: error.response?.status
+      });
+
+      this.handleAPIError(error);
+      // Create a clean error object without circular references
+      const cleanError = new Error(error.message);
+      cleanError.name = error.name;
+      cleanError.status = error.response?.status;
+      cleanError.statusText = error.response?.statusText;
+      throw cleanError;
+    }
+  }
+
+  /**
+   * Generate chapters (titled sections with start and end times) from transcript segments
+   * @param {Object} transcript - Object with text and segments
+   * @param {Object} options - Generation options (videoDuration, maxChapters)
+   * @returns {Promise<Object>} { chapters: [{ title, start, end }], processingTime, model, tokensUsed }
+   */
+  async generateChapters(transcript, options = {}) {
+    const requestStartTime = Date.now();
+
+    try {
+      const segments = (transcript?.segments || []).filter(segment => segment && segment.text);
+      const videoDuration = options.videoDuration
+        || (segments.length > 0 ? segments[segments.length - 1].end : null);
+
+      logger.info('Starting chapter generation', {
+        segmentsCount: segments.length,
+        videoDuration,
+        options
+      });
+
+      // Chapters need timed segments and a recording long enough to be split
+      if (segments.length === 0 || !videoDuration || videoDuration < 60) {
+        logger.warn('Transcript too short for chapter generation, returning no chapters', {
+          segmentsCount: segments.length,
+          videoDuration
+        });
+
+        return {
+          chapters: [],
+          processingTime: 0,
+          model: 'fallback',
+          tokensUsed: 0
+        };
+      }
+
+      const maxChapters = options.maxChapters || 15;
+
+      const systemPrompt = `You are an expert in structuring video recordings into chapters so viewers can navigate them.
+
+Your task is to split the transcript into consecutive chapters, each covering one topic or step of the recording.
+
+Guidelines:
+1. Create between 2 and ${maxChapters} chapters, depending on the length and structure of the content
+2. Each chapter should cover at least 30 seconds
+3. The first chapter starts at 0
+4. Use the "start" time of the segment where a new topic begins
+5. Chapter titles are short (2-8 words) and describe the content of the section
+6. IMPORTANT: The chapter titles must be in the same language as the transcript.
+
+You MUST only return a valid JSON object with a "chapters" array in chronological order. No markdown formatting, code blocks, or explanations. Each chapter should have:
+- "title": string (short chapter title)
+- "start": number (seconds from start, taken from the segment times)
+
+Example output:
+{
+  "chapters": [
+    { "title": "Introduction", "start": 0 },
+    { "title": "Setting up the project", "start": 95 },
+    { "title": "Deploying to production", "start": 410 }
+  ]
+}`;
+
+      // Long recordings are condensed into blocks so the whole timeline fits the prompt
+      const maxLines = 300;
+      const blockSize = Math.ceil(segments.length / maxLines);
+      let userPrompt = `Split this video transcript into chapters. Each line shows [START_TIME - END_TIME] followed by the text:
+
+`;
+
+      for (let index = 0; index < segments.length; index += blockSize) {
+        const block = segments.slice(index, index + blockSize);
+        const text = block.map(segment => segment.text).join(' ').slice(0, 500);
+        userPrompt += `[${block[0].start}s - ${block[block.length - 1].end}s] ${text}\n`;
+      }
+
+      const response = await this.chat([
+        { role: 'system', content: this.withInstructions(systemPrompt, options.instructions) },
+        { role: 'user', content: userPrompt }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 1000,
+        temperature: options.temperature || 0.3
+      });
+
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+      const content = response.content;
+
+      if (!content) {
+        throw new Error('No content received from AI provider');
+      }
+
+      let chapterData;
+      try {
+        chapterData = JSON.parse(content);
+      } catch (parseError) {
+        throw new Error('Failed to parse chapters from AI response');
+      }
+
+      const rawChapters = Array.isArray(chapterData) ? chapterData : chapterData.chapters;
+      if (!Array.isArray(rawChapters)) {
+        throw new Error('Invalid chapter format in AI response');
+      }
+
+      const chapters = this.normalizeChapters(rawChapters, videoDuration).slice(0, maxChapters);
+
+      const result = {
+        chapters,
+        processingTime,
+        model: response.model,
+        tokensUsed: response.tokensUsed
+      };
+
+      logger.info('Chapter generation completed', {
+        generatedChapters: chapters.length,
+        processingTime,
+        tokensUsed: result.tokensUsed
+      });
+
+      return result;
+
+    } catch (error) {
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+
+      logger.error('Chapter generation failed', {
+        error: error.message,
+        processingTime,
+        status: error.response?.status
+      });
+
+      this.handleAPIError(error);
+      // Create a clean error object without circular references
+      const cleanError = new Error(error.message);
+      cleanError.name = error.name;
+      cleanError.status = error.response?.status;
+      cleanError.statusText = error.response?.statusText;
+      throw cleanError;
+    }
+  }
+
+  /**
+   * Sort chapters, drop invalid or duplicate starts and let each chapter end where the next begins
+   * @param {Array} rawChapters - [{ title, start }] from the model
+   * @param {number} videoDuration - Video duration in seconds
+   * @returns {Array} [{ title, start, end }]
+   */
+  normalizeChapters(rawChapters, videoDuration) {
+    const chapters = rawChapters
+      .filter(item => item && typeof item.title === 'string' && item.title.trim() && Number.isFinite(Number(item.start)))
+      .map(item => ({
+        title: item.title.trim().slice(0, 200),
+        start: Math.max(0, Number(item.start))
+      }))
+      .filter(item => item.start < videoDuration)
+      .sort((a, b) => a.start - b.start)
+      .filter((item, index, sorted) => index === 0 || item.start - sorted[index - 1].start >= 1);
+
+    if (chapters.length > 0) {
+      chapters[0].start = 0;
+    }
+
+    return chapters.map((chapter, index) => ({
+      ...chapter,
+      end: index < chapters.length - 1 ? chapters[index + 1].start : videoDuration
+    }));
+  }
+
   /**
    * Generate title for video content
    * @param {string} transcript - Video transcript text
@@ -446,47 +983,27 @@ Example output:
         };
       }
 
-      const systemPrompt = `You are an expert in content analysis and create engaging, descriptive titles for video content.
-
-Your task is to analyze the video transcript and create a clear, meaningful title in the same language as the transcript that accurately represents the main topic or purpose of the content.
-
-Guidelines:
-1. Keep the title concise (5-15 words ideal, max 100 characters)
-2. Make it descriptive and specific
-3. Focus on the main topic, process, or outcome
-4. Use active language when possible
-5. Avoid clickbait or misleading titles
-6. Include important technical terms when relevant
-7. Make it searchable and SEO-friendly
-8. Consider the target audience
-9. IMPORTANT: The title must use the same language as the transcript
-
-You MUST only return a valid JSON object with a "title" field containing the generated title. No markdown formatting, code blocks, or explanations.
-
-Example output:
-{
-  "title": "Building a React Authentication System with JWT Tokens"
-}`;
+      const systemPrompt = renderSystemPrompt('title', options.promptTemplate);
 
       const userPrompt = `Analyze this video transcript and generate an appropriate title:
 
 "${transcript.slice(0, 3000)}"${transcript.length > 3000 ? '...' : ''}`;
 
-      const response = await this.client.post('/chat/completions', {
-        model: options.model || this.defaultModel,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: options.maxTokens || 200,
+      const response = await this.chat([
+        { role: 'system', content: this.withInstructions(systemPrompt, options.instructions) },
+        { role: 'user', content: userPrompt }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 200,
         temperature: options.temperature || 0.6
       });
 
       const processingTime = (Date.now() - requestStartTime) / 1000;
-      const content = response.data.choices[0]?.message?.content;
+      const content = response.content;
 
       if (!content) {
-        throw new Error('No content received from OpenAI API');
+        throw new Error('No content received from AI provider');
       }
 
       // Parse JSON response
@@ -520,8 +1037,8 @@ Example output:
       const result = {
         title: cleanedTitle,
         processingTime,
-        model: options.model || this.defaultModel,
-        tokensUsed: response.data.usage?.total_tokens || 0
+        model: response.model,
+        tokensUsed: response.tokensUsed
       };
 
       logger.info('Title generation completed', {
@@ -552,7 +1069,7 @@ Example output:
   }
 
   /**
-   * Generate embedding for text using OpenAI's embedding model
+   * Generate embedding for text with the embedding model of the selected provider
    * @param {string} text - Text to generate embedding for
    * @param {Object} options - Generation options
    * @returns {Promise<Object>} Embedding array and metadata
@@ -566,7 +1083,8 @@ Example output:
         options
       });
 
-      if (!text || text.trim().length < 10) {
+      // Search queries are embedded too, so callers may allow shorter text
+      if (!text || text.trim().length < (options.minLength ?? 10)) {
         throw new Error('Text too short for embedding generation');
       }
 
@@ -577,24 +1095,22 @@ Example output:
         ? text.slice(0, maxChars) + '...'
         : text;
 
-      const response = await this.client.post('/embeddings', {
-        model: options.model || 'text-embedding-ada-002',
-        input: truncatedText
-      });
+      const response = await this.embed(truncatedText, options);
 
       const processingTime = (Date.now() - requestStartTime) / 1000;
-      const embedding = response.data.data[0]?.embedding;
+      const { embedding } = response;
 
       if (!embedding || !Array.isArray(embedding)) {
-        throw new Error('No embedding received from OpenAI API');
+        throw new Error('No embedding received from AI provider');
       }
 
       const result = {
         embedding,
         dimensions: embedding.length,
         processingTime,
-        model: options.model || 'text-embedding-ada-002',
-        tokensUsed: response.data.usage?.total_tokens || 0
+        model: response.model,
+        provider: response.provider,
+        tokensUsed: response.tokensUsed
       };
 
       logger.info('Embedding generation completed', {
@@ -664,24 +1180,22 @@ Example output:
         text: embeddingText.substring(0, 200) + (embeddingText.length > 200 ? '...' : '')
       });
 
-      const response = await this.client.post('/embeddings', {
-        model: options.model || 'text-embedding-ada-002',
-        input: embeddingText
-      });
+      const response = await this.embed(embeddingText, options);
 
       const processingTime = (Date.now() - requestStartTime) / 1000;
-      const embedding = response.data.data[0]?.embedding;
+      const { embedding } = response;
 
       if (!embedding || !Array.isArray(embedding)) {
-        throw new Error('No embedding received from OpenAI API');
+        throw new Error('No embedding received from AI provider');
       }
 
       const result = {
         embedding,
         dimensions: embedding.length,
         processingTime,
-        model: options.model || 'text-embedding-ada-002',
-        tokensUsed: response.data.usage?.total_tokens || 0,
+        model: response.model,
+        provider: response.provider,
+        tokensUsed: response.tokensUsed,
         method: 'title-tags' // Track the generation method
       };
 
@@ -712,11 +1226,187 @@ Example output:
     }
   }
 
+  /**
+   * Answer a question about one video from transcript excerpts, streaming the answer
+   * @param {string} question - User question
+   * @param {Array} excerpts - Transcript segments { segmentIndex, start, end, text } in chronological order
+   * @param {Array} history - Earlier messages of the conversation { role, content }
+   * @param {Object} options - { provider, model, maxTokens, temperature }
+   * @param {Function} onDelta - Called with each piece of the answer
+   * @returns {Promise<Object>} { answer, processingTime, model, tokensUsed }
+   */
+  async answerQuestion(question, excerpts, history = [], options = {}, onDelta = () => {}) {
+    const requestStartTime = Date.now();
+
+    try {
+      logger.info('Starting video question answering', {
+        questionLength: question.length,
+        excerpts: excerpts.length,
+        historyMessages: history.length
+      });
+
+      const systemPrompt = `You answer questions about a recorded video using excerpts of its transcript.
+
+Guidelines:
+1. Only use information from the excerpts, do not invent details
+2. Each excerpt starts with its number in square brackets, e.g. [12]
+3. Cite the excerpts that support each statement right after it, using the same form, e.g. "The release is on Tuesday [12][14]."
+4. If the excerpts do not contain the answer, say so briefly instead of guessing
+5. Keep the answer short and to the point; use plain text or simple lists
+6. IMPORTANT: Answer in the language of the question.`;
+
+      const context = excerpts
+        .map(excerpt => `[${excerpt.segmentIndex}] (${Math.round(excerpt.start)}s - ${Math.round(excerpt.end)}s) ${excerpt.text}`)
+        .join('\n');
+
+      const response = await this.chatStream([
+        { role: 'system', content: systemPrompt },
+        ...history.map(message => ({ role: message.role, content: message.content })),
+        {
+          role: 'user',
+          content: `Transcript excerpts:
+
+${context}
+
+Question: ${question}`
+        }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 800,
+        temperature: options.temperature ?? 0.2
+      }, onDelta);
+
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+
+      if (!response.content.trim()) {
+        throw new Error('No content received from AI provider');
+      }
+
+      logger.info('Video question answering completed', {
+        answerLength: response.content.length,
+        processingTime,
+        tokensUsed: response.tokensUsed
+      });
+
+      return {
+        answer: response.content.trim(),
+        processingTime,
+        model: response.model,
+        tokensUsed: response.tokensUsed
+      };
+
+    } catch (error) {
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+
+      logger.error('Video question answering failed', {
+        error: error.message,
+        processingTime,
+        status: error.response?.status
+      });
+
+      this.handleAPIError(error);
+      const cleanError = new Error(error.message);
+      cleanError.name = error.name;
+      cleanError.status = error.response?.status;
+      cleanError.statusText = error.response?.statusText;
+      throw cleanError;
+    }
+  }
+
+  /**
+   * Answer a question from excerpts of several recordings (knowledge assistant), streaming the answer
+   * @param {string} question - User question
+   * @param {Array} sources - Excerpts { number, title, start, end, text }
+   * @param {Array} history - Earlier messages of the conversation { role, content }
+   * @param {Object} options - { provider, model, maxTokens, temperature }
+   * @param {Function} onDelta - Called with each piece of the answer
+   * @returns {Promise<Object>} { answer, processingTime, model, tokensUsed }
+   */
+  async answerFromSources(question, sources, history = [], options = {}, onDelta = () => {}) {
+    const requestStartTime = Date.now();
+
+    try {
+      logger.info('Starting knowledge assistant answer', {
+        questionLength: question.length,
+        sources: sources.length,
+        historyMessages: history.length
+      });
+
+      const systemPrompt = `You are the knowledge assistant of a company. You answer questions using excerpts of the company's recorded process videos.
+
+Guidelines:
+1. Only use information from the excerpts, do not invent details
+2. Each excerpt starts with its source number in square brackets, e.g. [3], followed by the recording title
+3. Combine information from several recordings when it helps, e.g. to describe a process step by step
+4. Cite the sources that support each statement right after it, using the same form, e.g. "Suppliers are checked by purchasing first [3][5]."
+5. If the excerpts do not contain the answer, say so briefly instead of guessing
+6. IMPORTANT: Answer in the language of the question.`;
+
+      const context = sources
+        .map(source => `[${source.number}] "${source.title}" (${Math.round(source.start)}s - ${Math.round(source.end)}s): ${source.text}`)
+        .join('\n\n');
+
+      const response = await this.chatStream([
+        { role: 'system', content: systemPrompt },
+        ...history.map(message => ({ role: message.role, content: message.content })),
+        {
+          role: 'user',
+          content: `Excerpts from recorded processes:
+
+${context}
+
+Question: ${question}`
+        }
+      ], {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: options.maxTokens || 1000,
+        temperature: options.temperature ?? 0.2
+      }, onDelta);
+
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+
+      if (!response.content.trim()) {
+        throw new Error('No content received from AI provider');
+      }
+
+      logger.info('Knowledge assistant answer completed', {
+        answerLength: response.content.length,
+        processingTime,
+        tokensUsed: response.tokensUsed
+      });
+
+      return {
+        answer: response.content.trim(),
+        processingTime,
+        model: response.model,
+        tokensUsed: response.tokensUsed
+      };
+
+    } catch (error) {
+      const processingTime = (Date.now() - requestStartTime) / 1000;
+
+      logger.error('Knowledge assistant answer failed', {
+        error: error.message,
+        processingTime,
+        status: error.response?.status
+      });
+
+      this.handleAPIError(error);
+      const cleanError = new Error(error.message);
+      cleanError.name = error.name;
+      cleanError.status = error.response?.status;
+      cleanError.statusText = error.response?.statusText;
+      throw cleanError;
+    }
+  }
+
   /**
    * Generate comprehensive content analysis
    * @param {string} transcript - Video transcript text
    * @param {Object} options - Analysis options
-   * @returns {Promise<Object>} Complete analysis including title, tags, and todos
+   * @returns {Promise<Object>} Complete analysis including title, tags, todos and summary
    */
   async generateCompleteAnalysis(transcript, options = {}) {
     try {
@@ -725,10 +1415,11 @@ Example output:
       });
 
       // Run all analyses in parallel for efficiency
-      const [titleResult, tagsResult, todoResult, embeddingResult] = await Promise.all([
+      const [titleResult, tagsResult, todoResult, summaryResult, embeddingResult] = await Promise.all([
         this.generateTitle(transcript, options.title || {}),
         this.generateTags(transcript, options.tags || {}),
         this.generateTodoList(transcript, options.todo || {}),
+        this.generateSummary(transcript, options.summary || {}),
         this.generateEmbedding(transcript, options.embedding || {})
       ]);
 
@@ -737,14 +1428,16 @@ Example output:
         tags: tagsResult.tags,
         tagWeights: tagsResult.tagWeights,
         todoList: todoResult.todoList,
+        summary: summaryResult.summary,
         embedding: embeddingResult.embedding,
         analysis: {
-          totalProcessingTime: titleResult.processingTime + tagsResult.processingTime + todoResult.processingTime + embeddingResult.processingTime,
-          totalTokensUsed: titleResult.tokensUsed + tagsResult.tokensUsed + todoResult.tokensUsed + embeddingResult.tokensUsed,
+          totalProcessingTime: titleResult.processingTime + tagsResult.processingTime + todoResult.processingTime + summaryResult.processingTime + embeddingResult.processingTime,
+          totalTokensUsed: titleResult.tokensUsed + tagsResult.tokensUsed + todoResult.tokensUsed + summaryResult.tokensUsed + embeddingResult.tokensUsed,
           models: {
             title: titleResult.model,
             tags: tagsResult.model,
             todo: todoResult.model,
+            summary: summaryResult.model,
             embedding: embeddingResult.model
           }
         }
@@ -769,7 +1462,45 @@ Example output:
   }
 
   /**
-   * Handle OpenAI API errors with specific error messages
+   * Append user-supplied instructions (e.g. from a re-analysis request) to a system prompt
+   * @param {string} systemPrompt - Base system prompt
+   * @param {string} instructions - Optional custom instructions
+   * @returns {string} System prompt
+   */
+  withInstructions(systemPrompt, instructions) {
+    if (!instructions || !instructions.trim()) {
+      return systemPrompt;
+    }
+
+    return `${systemPrompt}
+
+Additional instructions from the user (follow them unless they conflict with the required output format):
+${instructions.trim()}`;
+  }
+
+  /**
+   * Limit tag generation to the approved tags of the tenant taxonomy
+   * @param {string} systemPrompt - Base system prompt
+   * @param {Array} allowedTags - [{ name, synonyms }]
+   * @returns {string} System prompt
+   */
+  withAllowedTags(systemPrompt, allowedTags) {
+    if (!allowedTags || allowedTags.length === 0) {
+      return systemPrompt;
+    }
+
+    const list = allowedTags
+      .map(tag => (tag.synonyms?.length > 0 ? `- ${tag.name} (also: ${tag.synonyms.join(', ')})` : `- ${tag.name}`))
+      .join('\n');
+
+    return `${systemPrompt}
+
+Only use tags from this approved list, spelled exactly as listed. Content that matches one of the alternative names gets the listed tag. Leave out topics that fit none of them:
+${list}`;
+  }
+
+  /**
+   * Handle AI provider errors with specific error messages
    * @param {Error} error - The error object
    */
   handleAPIError(error) {
@@ -777,25 +1508,25 @@ Example output:
       const { status, data } = error.response;
       
       if (status === 401) {
-        logger.error('OpenAI API authentication failed - invalid API key');
+        logger.error('AI provider authentication failed - invalid API key');
       } else if (status === 429) {
-        logger.error('OpenAI API rate limit exceeded', {
+        logger.error('AI provider rate limit exceeded', {
           retryAfter: error.response.headers['retry-after']
         });
       } else if (status === 400) {
-        logger.error('OpenAI API bad request', {
-          error: data.error?.message || 'Unknown bad request'
+        logger.error('AI provider bad request', {
+          error: data?.error?.message || 'Unknown bad request'
         });
       } else if (status >= 500) {
-        logger.error('OpenAI API server error', {
+        logger.error('AI provider server error', {
           status,
-          message: data.error?.message || 'Internal server error'
+          message: data?.error?.message || 'Internal server error'
         });
       }
     } else if (error.code === 'ECONNABORTED') {
-      logger.error('OpenAI API request timeout');
+      logger.error('AI provider request timeout');
     } else {
-      logger.error('OpenAI API network error', {
+      logger.error('AI provider network error', {
         message: error.message
       });
     }
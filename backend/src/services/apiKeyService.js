@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { ApiKey } = require('../models');
+const { generateApiKey, hashApiKey } = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+
+const MAX_ACTIVE_KEYS = 20;
+// Shown in the list to tell keys apart: plk_ and the first 8 characters
+const DISPLAY_PREFIX_LENGTH = 12;
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const apiKeyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Tenant API keys for scripts and integrations. Keys are stored hashed and
+ * shown once; requests made with a key act as the user who created it,
+ * limited to the key's scopes (see utils/apiKeys and tenantMiddleware).
+ */
+class ApiKeyService {
+  async getKeys(tenantId) {
+    return ApiKey.find({ tenantId })
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ revokedAt: 1, createdAt: -1 });
+  }
+
+  /**
+   * Key of the tenant, or a 404 error
+   */
+  async findKey(tenantId, keyId) {
+    const apiKey = mongoose.Types.ObjectId.isValid(keyId)
+      ? await ApiKey.findOne({ _id: keyId, tenantId })
+      : null;
+    if (!apiKey) {
+      throw apiKeyError('API key not found', 404);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Issue a key; the secret is only returned here and on rotation
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { name, scopes, rateLimit }
+   * @param {string} userId - Creating user, whom requests with the key act as
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async createKey(tenantId, { name, scopes, rateLimit }, userId) {
+    const count = await ApiKey.countDocuments({ tenantId, revokedAt: null });
+    if (count >= MAX_ACTIVE_KEYS) {
+      throw apiKeyError(`A workspace can have up to ${MAX_ACTIVE_KEYS} active API keys`);
+    }
+
+    const key = generateApiKey();
+    const apiKey = await ApiKey.create({
+      tenantId,
+      name: name.trim(),
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      ...(rateLimit !== undefined && { rateLimit }),
+      createdBy: userId
+    });
+
+    logger.info('API key created', { tenantId, keyId: apiKey._id, scopes: apiKey.scopes });
+    return { apiKey, key };
+  }
+
+  /**
+   * Change the name, scopes or rate limit of an active key
+   */
+  async updateKey(tenantId, keyId, { name, scopes, rateLimit }) {
+    const apiKey = await this.findKey(tenantId, keyId);
+    if (apiKey.revokedAt) {
+      throw apiKeyError('Revoked keys cannot be changed');
+    }
+
+    if (name !== undefined) apiKey.name = name.trim();
+    if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+    if (rateLimit !== undefined) apiKey.rateLimit = rateLimit;
+
+    await apiKey.save();
+    logger.info('API key updated', { tenantId, keyId });
+    return apiKey;
+  }
+
+  /**
+   * Replace the secret of a key, keeping its settings; the old secret stops
+   * working right away
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async rotateKey(tenantId, keyId) {
+    const apiKey = await this.findKey(tenantId, keyId);
+    if (apiKey.revokedAt) {
+      throw apiKeyError('Revoked keys cannot be rotated');
+    }
+
+    const key = generateApiKey();
+    apiKey.prefix = key.slice(0, DISPLAY_PREFIX_LENGTH);
+    apiKey.keyHash = hashApiKey(key);
+    await apiKey.save();
+
+    logger.info('API key rotated', { tenantId, keyId });
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke a key for good; it stays listed with its usage
+   */
+  async revokeKey(tenantId, keyId, userId) {
+    const apiKey = await this.findKey(tenantId, keyId);
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = userId;
+      await apiKey.save();
+      logger.info('API key revoked', { tenantId, keyId });
+    }
+    return apiKey;
+  }
+
+  /**
+   * Resolve a presented key and record its use
+   * @param {string} key - API key secret from the Authorization header
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object|null>} Active key with createdBy populated, or
+   *   null when the key is unknown, revoked or its creator is inactive
+   */
+  async authenticate(key, ip) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null })
+      .populate('createdBy', 'email role isActive tenantId');
+
+    if (!apiKey || !apiKey.createdBy || !apiKey.createdBy.isActive
+      || !apiKey.createdBy.tenantId.equals(apiKey.tenantId)) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+        .catch(error => logger.error('API key last used update error:', error));
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,195 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const FormData = require('form-data');
+const logger = require('../utils/logger');
+
+/**
+ * Local stand-in backend. Starts a new speaker turn whenever the pause between
+ * two segments exceeds the gap threshold and rotates through a fixed number of
+ * speakers. It guesses rather than recognises voices, so it only runs when
+ * selected with DIARIZATION_PROVIDER=local, e.g. in development.
+ */
+const localProvider = {
+  name: 'local',
+
+  async diarize(audioPath, segments, options = {}) {
+    const maxSpeakers = options.maxSpeakers || parseInt(process.env.DIARIZATION_MAX_SPEAKERS) || 2;
+    const turnGap = options.turnGap || parseFloat(process.env.DIARIZATION_TURN_GAP) || 1.5;
+
+    const turns = [];
+    let speakerIndex = 0;
+    let previousEnd = null;
+
+    for (const segment of segments) {
+      if (previousEnd !== null && segment.start - previousEnd >= turnGap) {
+        speakerIndex = (speakerIndex + 1) % maxSpeakers;
+      }
+      turns.push({ start: segment.start, end: segment.end, speaker: `speaker_${speakerIndex}` });
+      previousEnd = segment.end;
+    }
+
+    return turns;
+  }
+};
+
+/**
+ * Self-hosted diarization server (e.g. a pyannote wrapper).
+ * Expects POST {DIARIZATION_API_URL}/diarize with the audio file and
+ * returns { turns: [{ start, end, speaker }] }.
+ */
+const httpProvider = {
+  name: 'http',
+
+  async diarize(audioPath, segments, options = {}) {
+    const baseURL = process.env.DIARIZATION_API_URL;
+    if (!baseURL) {
+      throw new Error('DIARIZATION_API_URL is required for the http diarization provider');
+    }
+
+    const formData = new FormData();
+    formData.append('file', await fs.readFile(audioPath), {
+      filename: path.basename(audioPath),
+      contentType: 'audio/wav'
+    });
+    if (options.maxSpeakers) {
+      formData.append('max_speakers', String(options.maxSpeakers));
+    }
+
+    const headers = { ...formData.getHeaders() };
+    if (process.env.DIARIZATION_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.DIARIZATION_API_KEY}`;
+    }
+
+    const response = await axios.post(`${baseURL.replace(/\/$/, '')}/diarize`, formData, {
+      headers,
+      timeout: 600000, // 10 minutes, diarization runs over the whole recording
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+
+    if (!Array.isArray(response.data?.turns)) {
+      throw new Error('Diarization server returned no speaker turns');
+    }
+
+    return response.data.turns;
+  }
+};
+
+class DiarizationService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(localProvider);
+    this.registerProvider(httpProvider);
+  }
+
+  /**
+   * Register a diarization backend
+   * @param {Object} provider - { name, diarize(audioPath, segments, options) => turns }
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.diarize !== 'function') {
+      throw new Error('Diarization provider must have a name and a diarize function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Name of the configured provider, or null when diarization is disabled.
+   * Without DIARIZATION_PROVIDER the diarization server is used if one is
+   * configured; transcripts are never labelled by the local heuristic unless
+   * it is chosen explicitly.
+   * @returns {string|null}
+   */
+  getProviderName() {
+    const name = process.env.DIARIZATION_PROVIDER || (process.env.DIARIZATION_API_URL ? 'http' : 'none');
+    return name === 'none' ? null : name;
+  }
+
+  isEnabled() {
+    return this.getProviderName() !== null;
+  }
+
+  /**
+   * Assign a speaker label to each transcript segment
+   * @param {string} audioPath - Full audio track of the process
+   * @param {Array} segments - Merged transcript segments ({ start, end, text })
+   * @param {Object} options - Provider options (maxSpeakers, ...)
+   * @returns {Promise<Object>} { segments, speakers, provider, processingTime }
+   */
+  async diarize(audioPath, segments, options = {}) {
+    const startTime = Date.now();
+    const providerName = options.provider || this.getProviderName();
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw new Error(`Unknown diarization provider: ${providerName}`);
+    }
+
+    if (!segments || segments.length === 0) {
+      return { segments: [], speakers: [], provider: provider.name, processingTime: 0 };
+    }
+
+    logger.info('Starting speaker diarization', {
+      provider: provider.name,
+      audioPath,
+      segmentCount: segments.length
+    });
+
+    const turns = await provider.diarize(audioPath, segments, options);
+    const labelledSegments = this.assignSpeakers(segments, turns);
+    const speakers = [...new Set(labelledSegments.map(s => s.speaker).filter(Boolean))];
+
+    const processingTime = (Date.now() - startTime) / 1000;
+
+    logger.info('Speaker diarization completed', {
+      provider: provider.name,
+      speakerCount: speakers.length,
+      processingTime
+    });
+
+    return {
+      segments: labelledSegments,
+      speakers,
+      provider: provider.name,
+      processingTime
+    };
+  }
+
+  /**
+   * Map provider turns onto transcript segments by largest time overlap and
+   * normalise raw provider labels to "Speaker 1", "Speaker 2", ... in order of appearance
+   * @param {Array} segments - Transcript segments
+   * @param {Array} turns - [{ start, end, speaker }]
+   * @returns {Array} Segments with a speaker field
+   */
+  assignSpeakers(segments, turns) {
+    const labels = new Map();
+
+    return segments.map((segment) => {
+      let bestTurn = null;
+      let bestOverlap = 0;
+
+      for (const turn of turns) {
+        const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+        if (overlap > bestOverlap) {
+          bestOverlap = overlap;
+          bestTurn = turn;
+        }
+      }
+
+      if (!bestTurn) {
+        return { ...segment, speaker: null };
+      }
+
+      const rawLabel = String(bestTurn.speaker);
+      if (!labels.has(rawLabel)) {
+        labels.set(rawLabel, `Speaker ${labels.size + 1}`);
+      }
+
+      return { ...segment, speaker: labels.get(rawLabel) };
+    });
+  }
+}
+
+module.exports = new DiarizationService();
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const Process = require('../models/Process');
 const redis = require('redis');
 const logger = require('../utils/logger');
+const { LEGACY_EMBEDDING_MODEL } = require('../utils/aiSettings');
 
 /**
  * Fallback function to ensure embeddings are saved
@@ -33,12 +34,21 @@ async function ensureEmbeddingsSaved() {
         if (!jobData) continue;
 
         const result = JSON.parse(jobData);
-        if (!result.embedding || !Array.isArray(result.embedding) || result.embedding.length !== 1536) continue;
+        if (!result.embedding || !Array.isArray(result.embedding) || result.embedding.length === 0) continue;
 
         // Update process with embedding
         await Process.updateOne(
           { _id: process._id },
-          { $set: { embedding: result.embedding } }
+          {
+            $set: {
+              embedding: result.embedding,
+              'embeddingMetadata.method': result.method || 'transcript',
+              'embeddingMetadata.generatedAt': new Date(),
+              'embeddingMetadata.model': result.model || LEGACY_EMBEDDING_MODEL,
+              'embeddingMetadata.provider': result.provider || null,
+              'embeddingMetadata.dimensions': result.embedding.length
+            }
+          }
         );
         
         logger.info('Embedding recovered from Redis', {
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const { Process } = require('../models');
 const logger = require('../utils/logger');
+const { LEGACY_EMBEDDING_MODEL } = require('../utils/aiSettings');
 
 /**
  * Graph Aggregation Service - Optimized MongoDB aggregation pipelines for graph data
@@ -30,7 +31,8 @@ class GraphAggregationService {
       const matchStage = {
         tenantId: new mongoose.Types.ObjectId(tenantId),
         isDeleted: false,
-        embedding: { $exists: true, $ne: null, $size: 1536 }
+        // Any size; similarities are only computed between vectors of the same model
+        embedding: { $exists: true, $ne: [] }
       };
 
       if (userId) {
@@ -170,7 +172,8 @@ class GraphAggregationService {
           from: 'processes',
           let: { 
             currentId: '$_id',
-            currentEmbedding: '$embedding'
+            currentEmbedding: '$embedding',
+            currentModel: { $ifNull: ['$embeddingMetadata.model', LEGACY_EMBEDDING_MODEL] }
           },
           pipeline: [
             {
@@ -179,7 +182,10 @@ class GraphAggregationService {
                   $and: [
                     { $in: ['$_id', nodes.map(n => n._id)] },
                     { $ne: ['$_id', '$$currentId'] },
-                    { $gt: ['$_id', '$$currentId'] } // Avoid duplicate pairs
+                    { $gt: ['$_id', '$$currentId'] }, // Avoid duplicate pairs
+                    // Vectors of different embedding models are not comparable
+                    { $eq: [{ $ifNull: ['$embeddingMetadata.model', LEGACY_EMBEDDING_MODEL] }, '$$currentModel'] },
+                    { $eq: [{ $size: { $ifNull: ['$embedding', []] } }, { $size: '$$currentEmbedding' }] }
                   ]
                 }
               }
@@ -191,7 +197,7 @@ class GraphAggregationService {
                   $divide: [
                     {
                       $reduce: {
-                        input: { $range: [0, 1536] },
+                        input: { $range: [0, { $size: '$$currentEmbedding' }] },
                         initialValue: 0,
                         in: {
                           $add: [
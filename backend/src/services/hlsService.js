@@ -0,0 +1,74 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { appendQueryToPlaylist, isValidHlsFile } = require('../utils/hls');
+const videoTokenService = require('./videoTokenService');
+// Lazy load s3Service to prevent startup errors
+const getS3Service = () => require('./s3Service').getInstance();
+
+/**
+ * Serving of the HLS playlists and segments written by the packaging job
+ */
+class HlsService {
+  /**
+   * Check whether a process has its HLS renditions available
+   * @param {Object} hls - files.hls of a process (document or JSON)
+   * @returns {boolean}
+   */
+  isAvailable(hls) {
+    return hls?.status === 'completed' && hls.storageType !== 'deleted' && hls.renditions?.length > 0;
+  }
+
+  /**
+   * Segment token for a rendition playlist, valid for twice the video length plus an hour
+   * @param {string} processId - Process ID
+   * @param {string} tenantId - Tenant ID
+   * @param {number} duration - Video duration in seconds
+   * @returns {string} Segment token
+   */
+  generateSegmentToken(processId, tenantId, duration) {
+    const minutes = Math.ceil((duration || 0) / 60) * 2 + 60;
+    return videoTokenService.generateSegmentToken(processId.toString(), tenantId.toString(), minutes);
+  }
+
+  /**
+   * Send a playlist (with the query appended to its URIs) or redirect/stream a segment
+   * @param {Object} res - Express response
+   * @param {Object} hls - files.hls of the process document (with path)
+   * @param {string|null} rendition - Rendition name, null for the master playlist
+   * @param {string} file - master.m3u8, index.m3u8 or a segment name
+   * @param {string} query - Query string for the playlist URIs without '?', e.g. a token
+   */
+  async sendFile(res, hls, rendition, file, query = '') {
+    if (!this.isAvailable(hls) || !isValidHlsFile(hls, rendition, file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adaptive stream not available'
+      });
+    }
+
+    const relativePath = rendition ? `${rendition}/${file}` : file;
+    const isS3 = hls.storageType === 's3';
+
+    if (file.endsWith('.m3u8')) {
+      const content = isS3
+        ? (await getS3Service().getFileContent(path.posix.join(hls.path, relativePath))).toString('utf8')
+        : await fs.readFile(path.join(hls.path, relativePath), 'utf8');
+
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      // Playlists carry short-lived tokens
+      res.setHeader('Cache-Control', 'no-store');
+      return res.send(appendQueryToPlaylist(content, query));
+    }
+
+    if (isS3) {
+      const presignedUrl = await getS3Service().generateVideoStreamUrl(path.posix.join(hls.path, relativePath), 3600);
+      return res.redirect(302, presignedUrl);
+    }
+
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    return res.sendFile(path.resolve(hls.path, relativePath));
+  }
+}
+
+module.exports = new HlsService();
@@ -0,0 +1,318 @@
+const { Process, TranscriptChunk, AssistantConversation, FavoriteList, TenantUsage } = require('../models');
+const { queueMethods } = require('../config/bullmq');
+const aiService = require('./aiService');
+const transcriptChunkService = require('./transcriptChunkService');
+const logger = require('../utils/logger');
+
+// Chunks passed to the model, and at most this many from one recording
+const MAX_SOURCES = 8;
+const MAX_SOURCES_PER_PROCESS = 3;
+
+// Best chunks kept while scanning; some are dropped later (stale or deleted)
+const MAX_CANDIDATES = 3 * MAX_SOURCES;
+
+// Chunks compared per question: the newest ones, plus older ones that share
+// words with the question (found through the text index)
+const MAX_RECENT_CHUNKS = 5000;
+const MAX_KEYWORD_CHUNKS = 1000;
+
+// Earlier messages sent along so follow-up questions work
+const MAX_HISTORY_MESSAGES = 6;
+
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Knowledge assistant: answers questions from the transcripts of all processes
+ * of a tenant (or of one favorite list), citing the source recordings
+ */
+class KnowledgeAssistantService {
+  /**
+   * Load the conversation and retrieval scope of a question, before anything is streamed
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Asking user
+   * @param {Object} params - { conversationId, listId }
+   * @returns {Promise<Object>} { tenantId, userId, conversation, listId, processIds }
+   */
+  async prepare(tenantId, userId, { conversationId, listId } = {}) {
+    let conversation = null;
+    if (conversationId) {
+      conversation = await AssistantConversation.findOne({ _id: conversationId, tenantId, userId });
+      if (!conversation) {
+        throw notFound('Conversation not found');
+      }
+    }
+
+    // A conversation keeps the scope it was started with
+    const scopeListId = conversation ? conversation.listId : listId || null;
+    let processIds = null;
+
+    if (scopeListId) {
+      const list = await FavoriteList.findOne({ _id: scopeListId, tenantId });
+      if (!list || !list.canUserAccess(userId).access) {
+        throw notFound('Favorite list not found');
+      }
+      processIds = list.processes;
+    }
+
+    return { tenantId, userId, conversation, listId: scopeListId, processIds };
+  }
+
+  /**
+   * Chunks most similar to the question. Only the newest chunks and older ones
+   * sharing words with the question are compared; truncated tells whether
+   * older chunks were left out. Without a query embedding (provider
+   * unavailable) the chunk texts are scored by word overlap instead.
+   * @returns {Promise<Object>} { candidates: [{ chunk, score }], degraded, truncated, embeddingTokens }
+   */
+  async findCandidates(tenantId, question, processIds) {
+    const { options, model } = await transcriptChunkService.resolveEmbeddingModel(tenantId);
+
+    let embedding = null;
+    let embeddingTokens = 0;
+    try {
+      const result = await aiService.generateEmbedding(question, { ...options, minLength: 2 });
+      embedding = result.embedding;
+      embeddingTokens = result.tokensUsed || 0;
+    } catch (error) {
+      logger.warn('Question embedding failed, falling back to keyword retrieval', {
+        tenantId,
+        error: error.message
+      });
+    }
+
+    const filter = {
+      tenantId,
+      ...(embedding && { embeddingModel: model }),
+      ...(processIds && { processId: { $in: processIds } })
+    };
+    const fields = embedding ? '-__v' : '-embedding';
+    const words = transcriptChunkService.tokenize(question);
+    const candidates = [];
+    const scanned = new Set();
+
+    // Only the best candidates stay in memory
+    const consider = (chunk) => {
+      scanned.add(chunk._id.toString());
+      const score = embedding
+        ? (chunk.embedding?.length === embedding.length ? Process.calculateSimilarity(embedding, chunk.embedding) : 0)
+        : transcriptChunkService.keywordScore(words, chunk.text);
+      if (score <= 0) return;
+
+      delete chunk.embedding;
+      if (candidates.length < MAX_CANDIDATES) {
+        candidates.push({ chunk, score });
+        candidates.sort((a, b) => b.score - a.score);
+      } else if (score > candidates[candidates.length - 1].score) {
+        candidates[candidates.length - 1] = { chunk, score };
+        candidates.sort((a, b) => b.score - a.score);
+      }
+    };
+
+    if (words.length > 0) {
+      const matches = TranscriptChunk.find({ ...filter, $text: { $search: words.join(' ') } })
+        .select(fields)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_KEYWORD_CHUNKS)
+        .lean()
+        .cursor();
+
+      for await (const chunk of matches) {
+        consider(chunk);
+      }
+    }
+
+    // One more than compared, to tell whether older chunks were left out
+    const recent = TranscriptChunk.find(filter)
+      .select(fields)
+      .sort({ createdAt: -1 })
+      .limit(MAX_RECENT_CHUNKS + 1)
+      .lean()
+      .cursor();
+
+    let recentCount = 0;
+    let truncated = false;
+    for await (const chunk of recent) {
+      if (++recentCount > MAX_RECENT_CHUNKS) {
+        truncated = true;
+        break;
+      }
+      if (!scanned.has(chunk._id.toString())) {
+        consider(chunk);
+      }
+    }
+
+    if (truncated) {
+      logger.info('Knowledge assistant compared only part of the transcripts', {
+        tenantId,
+        comparedChunks: scanned.size
+      });
+    }
+
+    return { candidates, degraded: !embedding, truncated, embeddingTokens };
+  }
+
+  /**
+   * Sources for the prompt: candidates whose process still exists and whose
+   * transcript did not change since indexing, a few per process, numbered from 1
+   * @returns {Promise<Array>} { number, processId, title, start, end, text }
+   */
+  async selectSources(tenantId, candidates) {
+    const processIds = [...new Set(candidates.map(({ chunk }) => chunk.processId.toString()))];
+    const processes = await Process.find({ _id: { $in: processIds }, tenantId, isDeleted: false })
+      .select('title transcript.segments');
+
+    const current = new Map(processes.map(process => [process._id.toString(), {
+      title: process.title,
+      hash: transcriptChunkService.hashSegments(process.transcript?.segments)
+    }]));
+
+    const stale = new Set();
+    const perProcess = new Map();
+    const selected = [];
+
+    for (const { chunk } of candidates) {
+      const id = chunk.processId.toString();
+      const process = current.get(id);
+      if (!process) continue;
+
+      if (process.hash !== chunk.transcriptHash) {
+        stale.add(id);
+        continue;
+      }
+
+      if ((perProcess.get(id) || 0) >= MAX_SOURCES_PER_PROCESS) continue;
+      perProcess.set(id, (perProcess.get(id) || 0) + 1);
+      selected.push({ ...chunk, title: process.title });
+
+      if (selected.length >= MAX_SOURCES) break;
+    }
+
+    // Normally already queued by the edit; covers indexes missed while the queue was down
+    for (const id of stale) {
+      queueMethods.addTranscriptIndexJob(id).catch(error => {
+        logger.warn('Failed to queue transcript re-indexing', { processId: id, error: error.message });
+      });
+    }
+
+    // Grouped by recording and in playback order, which reads better in the prompt
+    const order = [...new Set(selected.map(chunk => chunk.processId.toString()))];
+    return selected
+      .sort((a, b) => order.indexOf(a.processId.toString()) - order.indexOf(b.processId.toString()) || a.start - b.start)
+      .map((chunk, index) => ({
+        number: index + 1,
+        processId: chunk.processId,
+        title: chunk.title,
+        start: chunk.start,
+        end: chunk.end,
+        text: chunk.text
+      }));
+  }
+
+  /**
+   * Sources cited in the answer, in order of first mention
+   */
+  extractCitations(answer, sources) {
+    const byNumber = new Map(sources.map(source => [source.number, source]));
+    const citations = [];
+    const seen = new Set();
+
+    for (const match of answer.matchAll(CITATION_PATTERN)) {
+      const number = parseInt(match[1]);
+      const source = byNumber.get(number);
+      if (!source || seen.has(number)) continue;
+
+      seen.add(number);
+      citations.push({ ...source, text: source.text.slice(0, 300) });
+    }
+
+    return citations;
+  }
+
+  /**
+   * Answer a question and store both messages in the conversation (created on the first question)
+   * @param {Object} context - Result of prepare()
+   * @param {string} question - Question text
+   * @param {Function} onDelta - Called with each piece of the answer while it is generated
+   * @returns {Promise<Object>} { conversation: { id, title, listId }, question, answer, degraded, truncated }
+   */
+  async ask(context, question, onDelta) {
+    const { tenantId, userId, listId, processIds } = context;
+
+    const { candidates, degraded, truncated, embeddingTokens } = await this.findCandidates(tenantId, question, processIds);
+    const sources = await this.selectSources(tenantId, candidates);
+
+    if (sources.length === 0) {
+      const error = new Error(processIds
+        ? 'No transcripts of this list are available to answer from yet'
+        : 'No transcripts are available to answer from yet');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const history = context.conversation
+      ? context.conversation.messages.slice(-MAX_HISTORY_MESSAGES)
+      : [];
+    const options = await aiService.resolveTenantOptions(tenantId, 'chat');
+
+    let result;
+    try {
+      result = await aiService.answerFromSources(question, sources, history, options, onDelta);
+    } catch (error) {
+      const serviceError = new Error('The AI provider is not available right now, please try again later');
+      serviceError.statusCode = 503;
+      throw serviceError;
+    }
+
+    const conversation = context.conversation || new AssistantConversation({
+      tenantId,
+      userId,
+      listId,
+      title: question.length > 120 ? `${question.slice(0, 117)}...` : question
+    });
+
+    const now = new Date();
+    await conversation.appendMessages([
+      { role: 'user', content: question, createdAt: now },
+      {
+        role: 'assistant',
+        content: result.answer,
+        citations: this.extractCitations(result.answer, sources),
+        createdAt: now
+      }
+    ]);
+
+    await TenantUsage.recordAiUsage(tenantId, {
+      assistantQuestions: 1,
+      chatTokens: result.tokensUsed,
+      embeddingTokens
+    });
+
+    logger.info('Knowledge assistant question answered', {
+      tenantId,
+      userId,
+      conversationId: conversation._id,
+      sources: sources.length,
+      processes: new Set(sources.map(source => source.processId.toString())).size,
+      degraded,
+      truncated,
+      tokensUsed: result.tokensUsed
+    });
+
+    const [userMessage, answer] = conversation.toJSON().messages.slice(-2);
+    return {
+      conversation: { id: conversation._id, title: conversation.title, listId: conversation.listId },
+      question: userMessage,
+      answer,
+      degraded,
+      truncated
+    };
+  }
+}
+
+module.exports = new KnowledgeAssistantService();
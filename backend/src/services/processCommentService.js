@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const { Process, ProcessComment, User, Notification } = require('../models');
+const logger = require('../utils/logger');
+
+// Upper bound for the comments loaded with a process
+const MAX_COMMENTS = 1000;
+
+const commentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const canModerate = (user) => ['owner', 'admin'].includes(user.role);
+
+/**
+ * Discussion threads on a process, anchored to a video timestamp or a
+ * transcript segment, with @mentions and resolve states. Every tenant member
+ * can read and comment; authors edit their comments, authors and owners or
+ * admins delete them.
+ */
+class ProcessCommentService {
+  /**
+   * Process of the tenant, or a 404 error
+   */
+  async findProcess(tenantId, processId) {
+    if (!mongoose.Types.ObjectId.isValid(processId)) {
+      throw commentError('Process not found', 404);
+    }
+
+    const process = await Process.findOne({ _id: processId, tenantId, isDeleted: false })
+      .select('tenantId userId title transcript.segments');
+    if (!process) {
+      throw commentError('Process not found', 404);
+    }
+    return process;
+  }
+
+  /**
+   * Comment of a process, or a 404 error
+   */
+  async findComment(process, commentId) {
+    const comment = mongoose.Types.ObjectId.isValid(commentId)
+      ? await ProcessComment.findOne({ _id: commentId, processId: process._id })
+      : null;
+    if (!comment) {
+      throw commentError('Comment not found', 404);
+    }
+    return comment;
+  }
+
+  /**
+   * Check that every mentioned user is an active user of the tenant
+   * @returns {Promise<Array<string>>} Unique user IDs
+   */
+  async validateMentions(tenantId, mentions = []) {
+    const ids = [...new Set(mentions.map(id => id.toString()))];
+    if (ids.length === 0) return ids;
+
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw commentError('Only members of this workspace can be mentioned');
+    }
+
+    const count = await User.countDocuments({ _id: { $in: ids }, tenantId, isActive: true });
+    if (count !== ids.length) {
+      throw commentError('Only members of this workspace can be mentioned');
+    }
+    return ids;
+  }
+
+  /**
+   * Notify mentioned users; mentioning yourself needs no notification.
+   * Failures are logged, the comment itself is already saved.
+   */
+  async notifyMentions(process, comment, userIds, authorId) {
+    const recipients = userIds.map(id => id.toString()).filter(id => id !== authorId.toString());
+    if (recipients.length === 0) return;
+
+    try {
+      const fromUser = await User.findById(authorId).select('firstName lastName email');
+      for (const userId of recipients) {
+        await Notification.createCommentMentionNotification({ process, comment, userId, fromUser });
+      }
+    } catch (error) {
+      logger.error('Comment mention notification error:', error);
+    }
+  }
+
+  /**
+   * Comment as sent to clients, with the author's name
+   */
+  serialize(comment) {
+    // Authors who left the workspace populate as null
+    const user = comment.populated('userId') && comment.userId ? comment.userId : null;
+
+    return {
+      ...comment.toJSON(),
+      userId: (comment.populated('userId') || comment.userId)?.toString(),
+      author: user
+        ? { id: user._id.toString(), firstName: user.firstName, lastName: user.lastName, email: user.email }
+        : null
+    };
+  }
+
+  /**
+   * Threads of a process with their replies, in video order; threads without
+   * a position come last
+   * @param {string} tenantId - Tenant ID
+   * @param {string} processId - Process ID
+   * @param {Object} options - { status: 'all' | 'open' | 'resolved' }
+   * @returns {Promise<Array>} Threads with a replies array
+   */
+  async listThreads(tenantId, processId, { status = 'all' } = {}) {
+    const process = await this.findProcess(tenantId, processId);
+
+    const comments = await ProcessComment.find({ processId: process._id })
+      .sort({ createdAt: 1 })
+      .limit(MAX_COMMENTS)
+      .populate('userId', 'firstName lastName email');
+
+    const threads = new Map();
+    const replies = [];
+    comments.forEach(comment => {
+      const data = this.serialize(comment);
+      if (data.parentId) {
+        replies.push(data);
+      } else {
+        threads.set(data.id.toString(), { ...data, replies: [] });
+      }
+    });
+    replies.forEach(reply => threads.get(reply.parentId.toString())?.replies.push(reply));
+
+    const position = (thread) => (thread.timestamp ?? Infinity);
+
+    return [...threads.values()]
+      .filter(thread => status === 'all' || thread.resolved === (status === 'resolved'))
+      .sort((a, b) => position(a) - position(b) || new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Start a thread or reply to one
+   * @param {string} tenantId - Tenant ID
+   * @param {string} processId - Process ID
+   * @param {Object} user - Author ({ id })
+   * @param {Object} data - { text, parentId, timestamp, segmentIndex, mentions }
+   * @returns {Promise<Object>} Created comment
+   */
+  async createComment(tenantId, processId, user, { text, parentId, timestamp, segmentIndex, mentions }) {
+    const process = await this.findProcess(tenantId, processId);
+    const comment = new ProcessComment({
+      tenantId,
+      processId: process._id,
+      userId: user.id,
+      text,
+      mentions: await this.validateMentions(tenantId, mentions)
+    });
+
+    if (parentId) {
+      const parent = await this.findComment(process, parentId);
+      if (parent.parentId) {
+        throw commentError('Replies go to the first comment of a thread');
+      }
+      comment.parentId = parent._id;
+    } else {
+      // Segment anchors also get a position, so they show on the timeline
+      if (segmentIndex !== undefined && segmentIndex !== null) {
+        const segment = process.transcript?.segments?.[segmentIndex];
+        if (!segment) {
+          throw commentError('Transcript segment not found');
+        }
+        comment.segmentIndex = segmentIndex;
+        comment.quote = (segment.text || '').trim().slice(0, 500);
+        comment.timestamp = timestamp ?? segment.start ?? null;
+      } else if (timestamp !== undefined) {
+        comment.timestamp = timestamp;
+      }
+    }
+
+    await comment.save();
+    await this.notifyMentions(process, comment, comment.mentions, user.id);
+
+    logger.info('Process comment added', { processId, commentId: comment._id, tenantId, userId: user.id });
+    await comment.populate('userId', 'firstName lastName email');
+    return this.serialize(comment);
+  }
+
+  /**
+   * Edit the text of a comment (author only) or resolve a thread (thread
+   * author, process owner, workspace owners and admins)
+   * @param {Object} changes - { text, mentions, resolved }
+   * @returns {Promise<Object>} Updated comment
+   */
+  async updateComment(tenantId, processId, commentId, user, { text, mentions, resolved }) {
+    const process = await this.findProcess(tenantId, processId);
+    const comment = await this.findComment(process, commentId);
+    const isAuthor = comment.userId.toString() === user.id;
+    let mentioned = [];
+
+    if (text !== undefined) {
+      if (!isAuthor) {
+        throw commentError('Only the author can edit this comment', 403);
+      }
+
+      const previous = new Set(comment.mentions.map(id => id.toString()));
+      const nextMentions = mentions !== undefined ? await this.validateMentions(tenantId, mentions) : [...previous];
+      mentioned = nextMentions.filter(id => !previous.has(id));
+
+      comment.text = text;
+      comment.mentions = nextMentions;
+      comment.editedAt = new Date();
+    }
+
+    if (resolved !== undefined) {
+      if (comment.parentId) {
+        throw commentError('Only threads can be resolved');
+      }
+      if (!isAuthor && process.userId?.toString() !== user.id && !canModerate(user)) {
+        throw commentError('Only the thread author, the process owner or admins can resolve this thread', 403);
+      }
+
+      comment.resolved = resolved;
+      comment.resolvedBy = resolved ? user.id : null;
+      comment.resolvedAt = resolved ? new Date() : null;
+    }
+
+    await comment.save();
+    await this.notifyMentions(process, comment, mentioned, user.id);
+
+    logger.info('Process comment updated', { processId, commentId, tenantId, userId: user.id });
+    await comment.populate('userId', 'firstName lastName email');
+    return this.serialize(comment);
+  }
+
+  /**
+   * Remove a comment; removing the first comment removes the whole thread
+   */
+  async deleteComment(tenantId, processId, commentId, user) {
+    const process = await this.findProcess(tenantId, processId);
+    const comment = await this.findComment(process, commentId);
+
+    if (comment.userId.toString() !== user.id && !canModerate(user)) {
+      throw commentError('Only the author can delete this comment', 403);
+    }
+
+    if (comment.parentId) {
+      await comment.deleteOne();
+    } else {
+      await ProcessComment.deleteMany({ processId: process._id, $or: [{ _id: comment._id }, { parentId: comment._id }] });
+    }
+
+    logger.info('Process comment deleted', { processId, commentId, tenantId, userId: user.id });
+  }
+}
+
+module.exports = new ProcessCommentService();
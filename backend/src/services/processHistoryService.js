@@ -0,0 +1,187 @@
+const { ProcessVersion, TranscriptRevision } = require('../models');
+const transcriptEditService = require('./transcriptEditService');
+const { statusForCompleted } = require('../utils/todos');
+const logger = require('../utils/logger');
+
+const TRACKED_FIELDS = ['title', 'tags', 'todoList', 'summary', 'chapters', 'transcript'];
+
+const EMPTY_SUMMARY = { abstract: '', keyPoints: [], decisions: [], openQuestions: [] };
+
+class ProcessHistoryService {
+  /**
+   * Plain snapshot of the editable content of a process
+   * @param {Object} process - Process document
+   * @returns {Object} { title, tags, todoList, summary, chapters, transcriptRevision }
+   */
+  snapshotOf(process) {
+    return {
+      title: process.title,
+      tags: (process.tags || []).map(tag => ({ name: tag.name, weight: tag.weight })),
+      todoList: (process.todoList || []).map(todo => ({
+        task: todo.task,
+        timestamp: todo.timestamp ?? null,
+        completed: !!todo.completed,
+        status: todo.status || statusForCompleted(todo.completed),
+        priority: todo.priority || 'medium',
+        assignees: (todo.assignees || []).map(id => id.toString()),
+        dueDate: todo.dueDate ? new Date(todo.dueDate).toISOString() : null
+      })),
+      summary: {
+        abstract: process.summary?.abstract || '',
+        keyPoints: [...(process.summary?.keyPoints || [])],
+        decisions: [...(process.summary?.decisions || [])],
+        openQuestions: [...(process.summary?.openQuestions || [])]
+      },
+      chapters: (process.chapters || []).map(chapter => ({
+        title: chapter.title,
+        start: chapter.start,
+        end: chapter.end
+      })),
+      transcriptRevision: process.transcript?.revision || 0
+    };
+  }
+
+  /**
+   * Tracked fields that differ between two snapshots
+   */
+  changedFields(previous, next) {
+    const fieldValue = (snapshot, field) => {
+      if (field === 'transcript') return snapshot.transcriptRevision;
+      // Older snapshots have no summary or chapters
+      if (field === 'summary') return snapshot.summary || EMPTY_SUMMARY;
+      if (field === 'chapters') return snapshot.chapters || [];
+      // Older snapshots only have task, timestamp and completed
+      if (field === 'todoList') return snapshot.todoList.map(todo => ({
+        status: statusForCompleted(todo.completed),
+        priority: 'medium',
+        assignees: [],
+        dueDate: null,
+        ...todo
+      }));
+      return snapshot[field];
+    };
+
+    return TRACKED_FIELDS.filter(field => (
+      JSON.stringify(fieldValue(previous, field)) !== JSON.stringify(fieldValue(next, field))
+    ));
+  }
+
+  /**
+   * Record a new version after a change. The first change of a process also
+   * stores the content it replaced as version 0, so pipeline output is kept.
+   * @param {Object} process - Process document after the change
+   * @param {Object} before - snapshotOf(process) taken before the change
+   * @param {Object} meta - { userId, source, restoredFrom }
+   * @returns {Promise<Object|null>} Created version, or null when nothing changed
+   */
+  async record(process, before, { userId = null, source = 'user', restoredFrom = null } = {}) {
+    try {
+      let latest = await ProcessVersion.getLatest(process._id);
+
+      if (!latest) {
+        latest = await ProcessVersion.create({
+          tenantId: process.tenantId,
+          processId: process._id,
+          version: 0,
+          userId: null,
+          source: 'ai',
+          changedFields: [],
+          snapshot: before
+        });
+      }
+
+      const snapshot = this.snapshotOf(process);
+      const changedFields = this.changedFields(latest.toObject().snapshot, snapshot);
+
+      if (changedFields.length === 0) {
+        return null;
+      }
+
+      const version = await ProcessVersion.create({
+        tenantId: process.tenantId,
+        processId: process._id,
+        version: latest.version + 1,
+        userId,
+        source,
+        changedFields,
+        restoredFrom,
+        snapshot
+      });
+
+      logger.info('Process version recorded', {
+        processId: process._id.toString(),
+        version: version.version,
+        source,
+        changedFields
+      });
+
+      return version;
+    } catch (error) {
+      // History must never block the edit itself
+      logger.error('Process version record error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Restore the content of an earlier version as a new version
+   * @param {Object} process - Process document
+   * @param {Object} target - ProcessVersion to restore
+   * @param {string} userId - User performing the restore
+   * @returns {Promise<Object|null>} Created version
+   */
+  async restore(process, target, userId) {
+    const before = this.snapshotOf(process);
+    const { snapshot } = target;
+
+    process.title = snapshot.title;
+    process.tags = snapshot.tags.map(tag => ({ name: tag.name, weight: tag.weight }));
+    // Comments and tracker links are not versioned; items with the same task keep theirs
+    const current = new Map((process.todoList || []).map(todo => [todo.task, todo]));
+    process.todoList = snapshot.todoList.map(todo => ({
+      task: todo.task,
+      timestamp: todo.timestamp ?? undefined,
+      completed: todo.completed,
+      status: todo.status || statusForCompleted(todo.completed),
+      priority: todo.priority || 'medium',
+      assignees: todo.assignees || [],
+      dueDate: todo.dueDate || null,
+      comments: current.get(todo.task)?.comments || [],
+      externalLinks: current.get(todo.task)?.externalLinks || []
+    }));
+    // Versions recorded before summaries and chapters existed leave them unchanged
+    if (snapshot.summary) {
+      process.summary = {
+        ...snapshot.summary,
+        generatedAt: process.summary?.generatedAt
+      };
+    }
+    if (snapshot.chapters) {
+      process.chapters = snapshot.chapters.map(({ title, start, end }) => ({ title, start, end }));
+    }
+
+    const currentRevision = process.transcript?.revision || 0;
+    const transcriptRevision = currentRevision !== snapshot.transcriptRevision
+      ? await TranscriptRevision.findOne({ processId: process._id, revision: snapshot.transcriptRevision })
+      : null;
+
+    if (transcriptRevision) {
+      // Saves the process together with the other restored fields
+      await transcriptEditService.commit(
+        process,
+        transcriptEditService.toPlainSegments(transcriptRevision.segments),
+        { userId, operations: ['revert'], revertedFrom: transcriptRevision.revision }
+      );
+    } else {
+      await process.save();
+    }
+
+    return this.record(process, before, {
+      userId,
+      source: 'restore',
+      restoredFrom: target.version
+    });
+  }
+}
+
+module.exports = new ProcessHistoryService();
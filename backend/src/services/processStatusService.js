@@ -0,0 +1,285 @@
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getRedisClient, keyGenerators } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Matches /api/v1/tenants/:tenantId/processes/:processId/status
+const STATUS_PATH_PATTERN = /^\/api\/v1\/tenants\/([^/]+)\/processes\/([^/]+)\/status\/?$/;
+const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+
+class ProcessStatusService {
+  constructor() {
+    this.wss = null;
+    this.subscriber = null;
+    this.heartbeat = null;
+    // processId -> Set of sockets watching that process
+    this.clients = new Map();
+  }
+
+  /**
+   * Build the status payload pushed to clients
+   * @param {Object} processDoc - Process document
+   * @returns {Object} Status snapshot
+   */
+  buildSnapshot(processDoc) {
+    return {
+      type: 'status',
+      processId: processDoc._id.toString(),
+      tenantId: processDoc.tenantId.toString(),
+      status: processDoc.status,
+      processingDetails: processDoc.processingDetails || null,
+      progress: processDoc.progress ? {
+        percentage: processDoc.progress.percentage,
+        currentStep: processDoc.progress.currentStep,
+        stepDetails: processDoc.progress.stepDetails,
+        estimatedTimeRemaining: processDoc.progress.estimatedTimeRemaining
+      } : null,
+      updatedAt: processDoc.updatedAt || new Date()
+    };
+  }
+
+  /**
+   * Publish the current status of a process to all API instances.
+   * Called from the worker process, so it never throws into the pipeline.
+   * @param {string} processId - Process ID
+   */
+  async publishStatus(processId) {
+    try {
+      const redis = getRedisClient();
+      if (!redis || !processId) return;
+
+      const { Process } = require('../models');
+      const processDoc = await Process.findById(processId)
+        .select('tenantId status processingDetails progress updatedAt');
+      if (!processDoc) return;
+
+      const snapshot = this.buildSnapshot(processDoc);
+      await redis.publish(
+        keyGenerators.processStatusChannel(snapshot.tenantId),
+        JSON.stringify(snapshot)
+      );
+
+      logger.debug('Process status published', {
+        processId: snapshot.processId,
+        status: snapshot.status,
+        percentage: snapshot.progress?.percentage
+      });
+    } catch (error) {
+      logger.error('Process status publish error:', error);
+    }
+  }
+
+  /**
+   * Attach the status WebSocket endpoint to the HTTP server
+   * @param {http.Server} server - HTTP server returned by app.listen
+   */
+  async attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        logger.error('WebSocket upgrade error:', error);
+        this.rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL);
+
+    await this.subscribe();
+
+    logger.info('🔌 Process status WebSocket endpoint ready');
+  }
+
+  /**
+   * Subscribe to status updates published by the worker process
+   */
+  async subscribe() {
+    const redis = getRedisClient();
+    if (!redis) {
+      logger.warn('Process status: Redis not available, live updates disabled');
+      return;
+    }
+
+    // Subscriptions need a dedicated connection in node-redis v4
+    this.subscriber = redis.duplicate();
+    this.subscriber.on('error', (error) => {
+      logger.error('Process status subscriber error:', error.message);
+    });
+    await this.subscriber.connect();
+
+    await this.subscriber.pSubscribe(keyGenerators.processStatusChannel('*'), (message, channel) => {
+      this.dispatch(message, channel);
+    });
+  }
+
+  /**
+   * Forward a published snapshot to the sockets watching the process
+   * @param {string} message - JSON snapshot
+   * @param {string} channel - Redis channel the message arrived on
+   */
+  dispatch(message, channel) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(message);
+    } catch (error) {
+      logger.warn('Process status: invalid message', { channel });
+      return;
+    }
+
+    const sockets = this.clients.get(snapshot.processId);
+    if (!sockets) return;
+
+    sockets.forEach((ws) => {
+      // Only deliver within the tenant the socket authenticated for
+      if (ws.tenantId === snapshot.tenantId && ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    });
+  }
+
+  /**
+   * Authenticate an upgrade request and register the socket
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(STATUS_PATH_PATTERN);
+
+    if (!match) {
+      return this.rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const [, tenantId, processId] = match;
+    const token = url.searchParams.get('token');
+
+    if (!token) {
+      return this.rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      logger.debug('WebSocket token rejected', { error: error.message });
+      return this.rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    if (String(decoded.tenantId) !== String(tenantId)) {
+      logger.warn('WebSocket tenant access denied:', {
+        userId: decoded.userId,
+        requestedTenant: tenantId,
+        userTenant: decoded.tenantId
+      });
+      return this.rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    const { User, Process } = require('../models');
+
+    // Same account checks as authMiddleware
+    const user = await User.findById(decoded.userId).select('isActive tenantId').populate('tenantId', 'subscription.status');
+    if (!user || !user.isActive) {
+      return this.rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    if (!user.tenantId || user.tenantId.subscription?.status !== 'active') {
+      logger.warn('WebSocket access denied for suspended tenant', { userId: decoded.userId, tenantId });
+      return this.rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    let processDoc;
+    try {
+      processDoc = await Process.findOne({ _id: processId, tenantId, isDeleted: false })
+        .select('tenantId status processingDetails progress updatedAt');
+    } catch (error) {
+      processDoc = null; // Invalid ObjectId
+    }
+
+    if (!processDoc) {
+      return this.rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.tenantId = String(tenantId);
+      ws.processId = String(processId);
+      ws.userId = String(decoded.userId);
+      this.register(ws);
+
+      // Send current state right away so the client does not wait for the next job
+      ws.send(JSON.stringify(this.buildSnapshot(processDoc)));
+    });
+  }
+
+  /**
+   * Track a connected socket until it closes
+   */
+  register(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    if (!this.clients.has(ws.processId)) {
+      this.clients.set(ws.processId, new Set());
+    }
+    this.clients.get(ws.processId).add(ws);
+
+    ws.on('close', () => {
+      const sockets = this.clients.get(ws.processId);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) {
+          this.clients.delete(ws.processId);
+        }
+      }
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('WebSocket client error:', { processId: ws.processId, error: error.message });
+    });
+
+    logger.debug('WebSocket client connected', {
+      processId: ws.processId,
+      tenantId: ws.tenantId,
+      userId: ws.userId
+    });
+  }
+
+  rejectUpgrade(socket, statusCode, message) {
+    if (socket.writable) {
+      socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`);
+    }
+    socket.destroy();
+  }
+
+  /**
+   * Close all sockets and the Redis subscription
+   */
+  async close() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    if (this.wss) {
+      this.wss.clients.forEach((ws) => ws.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+
+    if (this.subscriber) {
+      await this.subscriber.quit().catch(() => {});
+      this.subscriber = null;
+    }
+
+    this.clients.clear();
+  }
+}
+
+module.exports = new ProcessStatusService();
@@ -0,0 +1,237 @@
+const { Process, PromptTemplate, TenantUsage } = require('../models');
+const aiService = require('./aiService');
+const tagTaxonomyService = require('./tagTaxonomyService');
+const logger = require('../utils/logger');
+const {
+  PROMPT_KINDS,
+  PROMPT_PLACEHOLDERS,
+  DEFAULT_PROMPT_TEMPLATES,
+  DEFAULT_PROMPT_VARIABLES,
+  validatePromptTemplate,
+  resolvePromptVariables,
+  renderSystemPrompt,
+  promptGenerationOptions
+} = require('../utils/promptTemplates');
+
+const templateError = (message, statusCode = 400, errors) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (errors) {
+    error.errors = errors;
+  }
+  return error;
+};
+
+/**
+ * Tenant prompt templates for tags, todos and titles: versioned, previewable
+ * against a transcript and applied by the AI analysis jobs
+ */
+class PromptTemplateService {
+  /**
+   * Template in use for a generation step
+   * @param {string} tenantId - Tenant ID
+   * @param {string} kind - 'tags', 'todos' or 'title'
+   * @returns {Promise<Object|null>} { version, template, variables }, null for the built-in default
+   */
+  async getActive(tenantId, kind) {
+    if (!tenantId) return null;
+
+    const active = await PromptTemplate.getActive(tenantId, kind)
+      .select('version template variables')
+      .lean();
+    return active || null;
+  }
+
+  /**
+   * Options a worker passes to the aiService generate method of a step
+   * @param {string} tenantId - Tenant ID
+   * @param {string} kind - 'tags', 'todos' or 'title'
+   * @returns {Promise<Object>} { promptTemplate, maxTags | maxItems }
+   */
+  async generationOptions(tenantId, kind) {
+    const promptTemplate = await this.getActive(tenantId, kind);
+    return promptGenerationOptions(kind, promptTemplate);
+  }
+
+  /**
+   * Active templates of all steps with the defaults, for the settings page
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} Keyed by kind
+   */
+  async getSettings(tenantId) {
+    const settings = {};
+
+    for (const kind of PROMPT_KINDS) {
+      const active = await PromptTemplate.getActive(tenantId, kind)
+        .populate('createdBy', 'firstName lastName email');
+
+      settings[kind] = {
+        version: active?.version || null,
+        isDefault: !active?.template,
+        template: active?.template || DEFAULT_PROMPT_TEMPLATES[kind],
+        variables: resolvePromptVariables(active?.variables),
+        updatedAt: active?.createdAt || null,
+        updatedBy: active?.createdBy || null,
+        placeholders: PROMPT_PLACEHOLDERS[kind],
+        defaultTemplate: DEFAULT_PROMPT_TEMPLATES[kind]
+      };
+    }
+
+    return settings;
+  }
+
+  /**
+   * Normalize and validate a template before it is stored or previewed
+   * @param {string} kind - 'tags', 'todos' or 'title'
+   * @param {Object} input - { template, variables }; template null or the default text restores the default
+   * @returns {Object} { template, variables }
+   */
+  normalize(kind, { template, variables = {} }) {
+    const text = typeof template === 'string' ? template.trim() : null;
+    // Storing the default as null lets future improvements of the default apply
+    const custom = text && text !== DEFAULT_PROMPT_TEMPLATES[kind].trim() ? text : null;
+
+    if (custom) {
+      const errors = validatePromptTemplate(kind, custom);
+      if (errors.length > 0) {
+        throw templateError('Invalid prompt template', 400, errors);
+      }
+    }
+
+    const normalized = {};
+    Object.keys(DEFAULT_PROMPT_VARIABLES).forEach(key => {
+      if (variables[key] !== undefined) {
+        normalized[key] = typeof variables[key] === 'string' ? variables[key].trim() : variables[key];
+      }
+    });
+
+    return { template: custom, variables: resolvePromptVariables(normalized) };
+  }
+
+  /**
+   * Store a new version, which becomes the one in use
+   * @param {string} tenantId - Tenant ID
+   * @param {string} kind - 'tags', 'todos' or 'title'
+   * @param {string} userId - User who made the change
+   * @param {Object} input - { template, variables }
+   * @param {number} restoredFrom - Version the input was copied from
+   * @returns {Promise<Object>} Created PromptTemplate
+   */
+  async saveVersion(tenantId, kind, userId, input, restoredFrom = null) {
+    const { template, variables } = this.normalize(kind, input);
+    const latest = await PromptTemplate.getActive(tenantId, kind).select('version');
+
+    try {
+      const created = await PromptTemplate.create({
+        tenantId,
+        kind,
+        version: (latest?.version || 0) + 1,
+        template,
+        variables,
+        createdBy: userId,
+        restoredFrom
+      });
+
+      logger.info('Prompt template saved', {
+        tenantId,
+        kind,
+        version: created.version,
+        isDefault: !template,
+        restoredFrom,
+        userId
+      });
+
+      return created;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw templateError('The template was changed at the same time, please reload and try again', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make an earlier version the one in use again, as a new version
+   * @returns {Promise<Object>} Created PromptTemplate
+   */
+  async restoreVersion(tenantId, kind, version, userId) {
+    const previous = await PromptTemplate.findOne({ tenantId, kind, version });
+    if (!previous) {
+      throw templateError('Template version not found', 404);
+    }
+
+    return this.saveVersion(tenantId, kind, userId, {
+      template: previous.template,
+      variables: previous.variables.toObject()
+    }, previous.version);
+  }
+
+  /**
+   * Run a generation step with an unsaved template against the transcript of
+   * an existing process; nothing is stored on the process
+   * @param {string} tenantId - Tenant ID
+   * @param {string} kind - 'tags', 'todos' or 'title'
+   * @param {string} processId - Process with a transcript
+   * @param {Object} input - { template, variables }
+   * @returns {Promise<Object>} { systemPrompt, result, model, tokensUsed, processingTime }
+   */
+  async preview(tenantId, kind, processId, input) {
+    const promptTemplate = this.normalize(kind, input);
+
+    const process = await Process.findOne({ _id: processId, tenantId, isDeleted: false })
+      .select('transcript files.original.duration');
+    if (!process) {
+      throw templateError('Process not found', 404);
+    }
+
+    const transcript = process.transcript;
+    if (!transcript?.text) {
+      throw templateError('This process has no transcript yet');
+    }
+
+    const options = {
+      ...await aiService.resolveTenantOptions(tenantId, 'chat'),
+      ...promptGenerationOptions(kind, promptTemplate)
+    };
+
+    let generated;
+    try {
+      switch (kind) {
+        case 'tags':
+          // Same taxonomy handling as the analysis job
+          generated = await aiService.generateTags(transcript.text, {
+            ...options,
+            ...await tagTaxonomyService.generationOptions(tenantId)
+          });
+          generated.tags = await tagTaxonomyService.normalizeTags(tenantId, generated.tags, { generated: true });
+          break;
+        case 'todos':
+          generated = await aiService.generateTodoList({
+            text: transcript.text,
+            segments: transcript.segments || []
+          }, {
+            ...options,
+            videoDuration: process.files?.original?.duration || null
+          });
+          break;
+        default:
+          generated = await aiService.generateTitle(transcript.text, options);
+      }
+    } catch (error) {
+      throw templateError('The AI provider is not available right now, please try again later', 503);
+    }
+
+    await TenantUsage.recordAiUsage(tenantId, { chatTokens: generated.tokensUsed || 0 });
+
+    const { processingTime, model, tokensUsed, ...result } = generated;
+    return {
+      systemPrompt: renderSystemPrompt(kind, promptTemplate),
+      result,
+      model,
+      tokensUsed,
+      processingTime
+    };
+  }
+}
+
+module.exports = new PromptTemplateService();
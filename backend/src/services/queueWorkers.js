@@ -7,15 +7,35 @@ const logger = require('../utils/logger');
 const videoService = require('./videoService');
 const audioService = require('./audioService');
 const transcriptionService = require('./transcriptionService');
+const diarizationService = require('./diarizationService');
 const aiService = require('./aiService');
 const fileService = require('./fileService');
+const processStatusService = require('./processStatusService');
+const processHistoryService = require('./processHistoryService');
+const transcriptEditService = require('./transcriptEditService');
+const transcriptChunkService = require('./transcriptChunkService');
+const promptTemplateService = require('./promptTemplateService');
+const tagTaxonomyService = require('./tagTaxonomyService');
+const todoService = require('./todoService');
+const webhookService = require('./webhookService');
+const { DEFAULT_TRANSCRIPTION_PROVIDER } = require('../utils/transcriptionSettings');
+const { LEGACY_EMBEDDING_MODEL } = require('../utils/aiSettings');
+const { getSpriteLayout, generateThumbnailVtt } = require('../utils/thumbnails');
+const {
+  MASTER_PLAYLIST,
+  isHlsEnabled,
+  getSegmentDuration,
+  getRenditions,
+  generateMasterPlaylist
+} = require('../utils/hls');
+const similarityCache = require('./similarityCacheService');
 
 // Import worker classes
 const S3UploadWorker = require('../workers/s3UploadWorker');
 const LocalCleanupWorker = require('../workers/localCleanupWorker');
 
 // Import models
-const { Process } = require('../models');
+const { Process, Tenant, TenantUsage } = require('../models');
 
 // Worker configuration
 const isDevelopment = process.env.NODE_ENV === 'development';
@@ -61,6 +81,16 @@ logger.info('🚀 Initializing queue workers...', {
 const videoWorker = new Worker(
   queues.VIDEO_PROCESSING,
   async (job) => {
+    if (job.name === jobTypes.BURN_CAPTIONS) {
+      return processCaptionBurnJob(job);
+    }
+    if (job.name === jobTypes.GENERATE_THUMBNAILS) {
+      return processThumbnailJob(job);
+    }
+    if (job.name === jobTypes.PACKAGE_HLS) {
+      return processHlsPackagingJob(job);
+    }
+    
     const { processId, inputPath, outputPath, compressionOptions } = job.data;
     
     try {
@@ -117,6 +147,365 @@ const videoWorker = new Worker(
   }
 );
 
+// Burn transcript captions into a copy of the processed video (on demand, S3 only)
+async function processCaptionBurnJob(job) {
+  const { processId } = job.data;
+  const { generateSrt } = require('../utils/subtitles');
+  const s3Service = require('./s3Service').getInstance();
+  const fs = require('fs').promises;
+  
+  const processDoc = await Process.findById(processId);
+  if (!processDoc) {
+    throw new Error(`Process not found: ${processId}`);
+  }
+  
+  const tenantId = processDoc.tenantId.toString();
+  const workDir = path.join(
+    process.env.PROCESSED_DIR || './uploads/processed',
+    tenantId,
+    processId,
+    'captions'
+  );
+  
+  try {
+    logger.info(`Starting caption burn-in job ${job.id}`, { processId });
+    
+    processDoc.files.captioned.status = 'processing';
+    processDoc.files.captioned.error = undefined;
+    await processDoc.save();
+    
+    await fs.mkdir(workDir, { recursive: true });
+    const sourcePath = path.join(workDir, 'source.mp4');
+    const subtitlePath = path.join(workDir, 'captions.srt');
+    const outputPath = path.join(workDir, 'captioned.mp4');
+    
+    await job.updateProgress(5);
+    await s3Service.downloadFile(processDoc.files.processed.path, sourcePath);
+    await fs.writeFile(subtitlePath, generateSrt(processDoc.transcript.segments), 'utf8');
+    await job.updateProgress(15);
+    
+    const burnResult = await videoService.burnSubtitles(
+      sourcePath,
+      subtitlePath,
+      outputPath,
+      (progress) => job.updateProgress(15 + (progress * 0.7)) // 15-85%
+    );
+    
+    const s3Key = s3Service.generateS3Key(tenantId, processId, 'captioned.mp4', 'processed');
+    await s3Service.uploadFile(outputPath, s3Key, {
+      originalName: 'captioned.mp4',
+      userId: processDoc.userId.toString(),
+      tenantId,
+      processId,
+      fileType: 'captioned_video'
+    });
+    
+    await job.updateProgress(100);
+    
+    return {
+      processId,
+      s3Key,
+      size: burnResult.size
+    };
+    
+  } catch (error) {
+    logger.error(`Caption burn-in failed for job ${job.id}:`, error);
+    
+    await Process.findByIdAndUpdate(processId, {
+      $set: {
+        'files.captioned.status': 'failed',
+        'files.captioned.error': error.message
+      }
+    });
+    
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Poster frame, scrub-preview sprite and WebVTT thumbnail track, stored next to the processed video
+async function processThumbnailJob(job) {
+  const { processId } = job.data;
+  const fs = require('fs').promises;
+  
+  const processDoc = await Process.findById(processId);
+  if (!processDoc) {
+    throw new Error(`Process not found: ${processId}`);
+  }
+  
+  const processed = processDoc.files.processed;
+  if (!processed?.path) {
+    throw new Error('Processed video is not available');
+  }
+  
+  const tenantId = processDoc.tenantId.toString();
+  const useS3 = processed.storageType === 's3';
+  // Local videos keep their thumbnails in a folder beside them; S3 uploads only need a scratch dir
+  const outputDir = useS3
+    ? path.join(process.env.PROCESSED_DIR || './uploads/processed', tenantId, processId, 'thumbnails')
+    : path.join(path.dirname(processed.path), 'thumbnails');
+  
+  try {
+    logger.info(`Starting thumbnail job ${job.id}`, { processId, storageType: processed.storageType });
+    
+    processDoc.files.thumbnails.status = 'processing';
+    processDoc.files.thumbnails.error = undefined;
+    await processDoc.save();
+    
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    let sourcePath = processed.path;
+    if (useS3) {
+      sourcePath = path.join(outputDir, 'source.mp4');
+      await require('./s3Service').getInstance().downloadFile(processed.path, sourcePath);
+    }
+    await job.updateProgress(20);
+    
+    const metadata = await videoService.getVideoMetadata(sourcePath);
+    const layout = getSpriteLayout(metadata.duration);
+    
+    const files = {
+      poster: path.join(outputDir, 'poster.jpg'),
+      sprite: path.join(outputDir, 'sprite.jpg'),
+      vtt: path.join(outputDir, 'thumbnails.vtt')
+    };
+    
+    await videoService.extractThumbnail(sourcePath, files.poster, null, '640x?');
+    await job.updateProgress(40);
+    await videoService.generateSpriteSheet(sourcePath, files.sprite, layout);
+    await job.updateProgress(80);
+    await fs.writeFile(files.vtt, generateThumbnailVtt(layout), 'utf8');
+    
+    if (useS3) {
+      const s3Service = require('./s3Service').getInstance();
+      
+      for (const [field, localPath] of Object.entries(files)) {
+        const filename = path.basename(localPath);
+        const s3Key = s3Service.generateS3Key(tenantId, processId, filename, 'processed');
+        await s3Service.uploadFile(localPath, s3Key, {
+          originalName: filename,
+          userId: processDoc.userId.toString(),
+          tenantId,
+          processId,
+          fileType: 'thumbnail'
+        });
+        files[field] = s3Key;
+      }
+    }
+    
+    await job.updateProgress(100);
+    
+    return {
+      processId,
+      storageType: useS3 ? 's3' : 'local',
+      ...files,
+      layout
+    };
+    
+  } catch (error) {
+    logger.error(`Thumbnail generation failed for job ${job.id}:`, error);
+    
+    await Process.findByIdAndUpdate(processId, {
+      $set: {
+        'files.thumbnails.status': 'failed',
+        'files.thumbnails.error': error.message
+      }
+    });
+    
+    throw error;
+  } finally {
+    if (useS3) {
+      await fs.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+// Adaptive streaming renditions and master playlist, stored next to the processed video
+async function processHlsPackagingJob(job) {
+  const { processId } = job.data;
+  const fs = require('fs').promises;
+  
+  const processDoc = await Process.findById(processId);
+  if (!processDoc) {
+    throw new Error(`Process not found: ${processId}`);
+  }
+  
+  const processed = processDoc.files.processed;
+  if (!processed?.path) {
+    throw new Error('Processed video is not available');
+  }
+  
+  const tenantId = processDoc.tenantId.toString();
+  const useS3 = processed.storageType === 's3';
+  const workDir = path.join(process.env.PROCESSED_DIR || './uploads/processed', tenantId, processId, 'hls-work');
+  const outputDir = useS3 ? path.join(workDir, 'hls') : path.join(path.dirname(processed.path), 'hls');
+  
+  try {
+    logger.info(`Starting HLS packaging job ${job.id}`, { processId, storageType: processed.storageType });
+    
+    processDoc.files.hls.status = 'processing';
+    processDoc.files.hls.error = undefined;
+    await processDoc.save();
+    
+    // Repackaging replaces earlier renditions
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    let sourcePath = processed.path;
+    if (useS3) {
+      sourcePath = path.join(workDir, 'source.mp4');
+      await require('./s3Service').getInstance().downloadFile(processed.path, sourcePath);
+    }
+    await job.updateProgress(5);
+    
+    const metadata = await videoService.getVideoMetadata(sourcePath);
+    const renditions = getRenditions(metadata.video?.width, metadata.video?.height);
+    const segmentDuration = getSegmentDuration();
+    
+    const packageResult = await videoService.packageHls(
+      sourcePath,
+      outputDir,
+      renditions,
+      segmentDuration,
+      (progress) => job.updateProgress(5 + (progress * 0.8)) // 5-85%
+    );
+    await fs.writeFile(path.join(outputDir, MASTER_PLAYLIST), generateMasterPlaylist(packageResult.renditions), 'utf8');
+    
+    let storagePath = outputDir;
+    if (useS3) {
+      const s3Service = require('./s3Service').getInstance();
+      const uploadMetadata = {
+        userId: processDoc.userId.toString(),
+        tenantId,
+        processId,
+        fileType: 'hls'
+      };
+      
+      for (const rendition of packageResult.renditions) {
+        const files = await fs.readdir(path.join(outputDir, rendition.name));
+        // Segments are small; a few parallel uploads keep long recordings reasonable
+        for (let i = 0; i < files.length; i += 5) {
+          await Promise.all(files.slice(i, i + 5).map(file => s3Service.uploadFile(
+            path.join(outputDir, rendition.name, file),
+            s3Service.generateS3Key(tenantId, processId, file, `processed/hls/${rendition.name}`),
+            { ...uploadMetadata, originalName: file }
+          )));
+        }
+      }
+      
+      // The master playlist goes last so a readable master always has its renditions
+      const masterKey = s3Service.generateS3Key(tenantId, processId, MASTER_PLAYLIST, 'processed/hls');
+      await s3Service.uploadFile(path.join(outputDir, MASTER_PLAYLIST), masterKey, {
+        ...uploadMetadata,
+        originalName: MASTER_PLAYLIST
+      });
+      storagePath = path.posix.dirname(masterKey);
+    }
+    
+    await job.updateProgress(100);
+    
+    return {
+      processId,
+      storageType: useS3 ? 's3' : 'local',
+      path: storagePath,
+      renditions: packageResult.renditions.map(({ name, width, height, bandwidth, size }) => ({
+        name,
+        width,
+        height,
+        bandwidth,
+        size
+      })),
+      segmentDuration,
+      size: packageResult.size
+    };
+    
+  } catch (error) {
+    logger.error(`HLS packaging failed for job ${job.id}:`, error);
+    
+    await Process.findByIdAndUpdate(processId, {
+      $set: {
+        'files.hls.status': 'failed',
+        'files.hls.error': error.message
+      }
+    });
+    
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Working directory for re-transcription audio and segments
+function getRetranscriptionDir(processDoc) {
+  return path.join(
+    process.env.PROCESSED_DIR || './uploads/processed',
+    processDoc.tenantId.toString(),
+    processDoc._id.toString(),
+    'retranscription'
+  );
+}
+
+// Provide audio for a re-transcription: reuse the local audio file when it still
+// exists, otherwise extract it again from the processed video (S3 or local)
+async function processRetranscriptionJob(job) {
+  const { processId } = job.data;
+  const fs = require('fs').promises;
+  const exists = (filePath) => fs.access(filePath).then(() => true).catch(() => false);
+
+  const processDoc = await Process.findById(processId);
+  if (!processDoc) {
+    throw new Error(`Process not found: ${processId}`);
+  }
+
+  const storedAudio = processDoc.files.audio?.path;
+  if (storedAudio && await exists(storedAudio)) {
+    logger.info(`Re-transcribing from stored audio`, { processId, audioPath: storedAudio });
+    return { audioPath: storedAudio, audioSource: 'audio' };
+  }
+
+  const workDir = getRetranscriptionDir(processDoc);
+  await fs.mkdir(workDir, { recursive: true });
+
+  const processed = processDoc.files.processed;
+  let videoPath;
+  let downloaded = false;
+
+  if (processed?.storageType === 's3' && processed.path) {
+    videoPath = path.join(workDir, 'source.mp4');
+    await job.updateProgress(5);
+    await require('./s3Service').getInstance().downloadFile(processed.path, videoPath);
+    downloaded = true;
+  } else if (processed?.path && await exists(processed.path)) {
+    videoPath = processed.path;
+  } else if (processDoc.files.original?.path && await exists(processDoc.files.original.path)) {
+    videoPath = processDoc.files.original.path;
+  } else {
+    throw new Error('Neither the audio nor the video of this process is available anymore');
+  }
+
+  await job.updateProgress(20);
+
+  try {
+    const result = await audioService.extractAudio(
+      videoPath,
+      path.join(workDir, 'audio.wav'),
+      {
+        codec: 'pcm_s16le',
+        sampleRate: 16000,
+        channels: 1
+      },
+      (progress) => job.updateProgress(20 + (progress * 0.75)) // 20-95%
+    );
+
+    return { audioPath: result.audioPath || result.outputPath, audioSource: 'video' };
+  } finally {
+    if (downloaded) {
+      await fs.unlink(videoPath).catch(() => {});
+    }
+  }
+}
+
 // Audio Extraction Worker
 const audioWorker = new Worker(
   queues.AUDIO_EXTRACTION,
@@ -167,6 +556,10 @@ const audioWorker = new Worker(
           );
           break;
           
+        case jobTypes.PREPARE_RETRANSCRIPTION:
+          result = await processRetranscriptionJob(job);
+          break;
+          
         default:
           throw new Error(`Unknown audio job type: ${job.name}`);
       }
@@ -217,6 +610,31 @@ const transcriptionWorker = new Worker(
           
           break;
           
+        case jobTypes.DIARIZE_TRANSCRIPT:
+          await job.updateProgress(10);
+          
+          // Update processing details
+          const diarizeProcess = await Process.findById(processId);
+          if (diarizeProcess) {
+            diarizeProcess.processingDetails = 'diarizing_speakers';
+            await diarizeProcess.save();
+          }
+          
+          try {
+            result = await diarizationService.diarize(job.data.audioPath, job.data.segments);
+          } catch (diarizationError) {
+            // Speaker labels are optional - continue the pipeline without them
+            logger.warn(`Speaker diarization failed, continuing without speakers: ${diarizationError.message}`);
+            result = {
+              segments: job.data.segments,
+              speakers: [],
+              provider: null,
+              error: diarizationError.message
+            };
+          }
+          
+          break;
+          
         default:
           throw new Error(`Unknown transcription job type: ${job.name}`);
       }
@@ -246,6 +664,13 @@ const aiWorker = new Worker(
     try {
       logger.info(`Starting AI analysis job ${job.id}`, { processId });
       
+      // LLM provider and model selected by the tenant
+      const aiOptions = await aiService.resolveOptions(
+        processId,
+        job.name === jobTypes.GENERATE_EMBEDDING ? 'embedding' : 'chat',
+        job.data.options
+      );
+      
       let result;
       
       switch (job.name) {
@@ -260,8 +685,15 @@ const aiWorker = new Worker(
           }
           
           try {
-            result = await aiService.generateTags(transcript, job.data.options);
+            result = await aiService.generateTags(transcript, {
+              ...aiOptions,
+              // Tenant prompt template, including its tag limit
+              ...await promptTemplateService.generationOptions(tagProcess?.tenantId, 'tags'),
+              ...await tagTaxonomyService.generationOptions(tagProcess?.tenantId)
+            });
           } catch (aiError) {
+            // Re-analysis keeps the existing tags instead of storing fallbacks
+            if (job.data.reanalysis) throw aiError;
             logger.warn(`AI tag generation failed, using fallback: ${aiError.message}`);
             // Fallback: Generate basic tags with weights
             result = { 
@@ -272,6 +704,9 @@ const aiWorker = new Worker(
               ]
             };
           }
+
+          // Synonyms become their approved tag, so the same topic is not stored under several names
+          result.tags = await tagTaxonomyService.normalizeTags(tagProcess?.tenantId, result.tags, { generated: true });
           break;
           
         case jobTypes.GENERATE_TODO:
@@ -290,10 +725,12 @@ const aiWorker = new Worker(
             const videoDuration = process?.files?.original?.duration || null;
             
             result = await aiService.generateTodoList(transcript, {
-              ...job.data.options,
+              ...aiOptions,
+              ...await promptTemplateService.generationOptions(process?.tenantId, 'todos'),
               videoDuration
             });
           } catch (aiError) {
+            if (job.data.reanalysis) throw aiError;
             logger.warn(`AI todo generation failed, using fallback: ${aiError.message}`);
             // Fallback: Generate basic todos
             result = { 
@@ -316,8 +753,12 @@ const aiWorker = new Worker(
           }
           
           try {
-            result = await aiService.generateTitle(transcript, job.data.options);
+            result = await aiService.generateTitle(transcript, {
+              ...aiOptions,
+              ...await promptTemplateService.generationOptions(titleProcess?.tenantId, 'title')
+            });
           } catch (aiError) {
+            if (job.data.reanalysis) throw aiError;
             logger.warn(`AI title generation failed, using fallback: ${aiError.message}`);
             // Fallback: Generate simple title from filename or content
             const process = await require('../models/Process').findById(processId);
@@ -327,6 +768,49 @@ const aiWorker = new Worker(
           }
           break;
           
+        case jobTypes.GENERATE_SUMMARY:
+          await job.updateProgress(20);
+          
+          // Update processing details
+          const summaryProcess = await Process.findById(processId);
+          if (summaryProcess) {
+            summaryProcess.processingDetails = 'generating_summary';
+            await summaryProcess.save();
+          }
+          
+          try {
+            result = await aiService.generateSummary(transcript, aiOptions);
+          } catch (aiError) {
+            if (job.data.reanalysis) throw aiError;
+            // The process is usable without a summary; it can be regenerated later
+            logger.warn(`AI summary generation failed, skipping summary: ${aiError.message}`);
+            result = { summary: null };
+          }
+          break;
+          
+        case jobTypes.GENERATE_CHAPTERS:
+          await job.updateProgress(20);
+          
+          // Update processing details
+          const chapterProcess = await Process.findById(processId);
+          if (chapterProcess) {
+            chapterProcess.processingDetails = 'generating_chapters';
+            await chapterProcess.save();
+          }
+          
+          try {
+            result = await aiService.generateChapters(transcript, {
+              ...aiOptions,
+              videoDuration: chapterProcess?.files?.original?.duration || null
+            });
+          } catch (aiError) {
+            if (job.data.reanalysis) throw aiError;
+            // Chapters are optional navigation - the process is usable without them
+            logger.warn(`AI chapter generation failed, skipping chapters: ${aiError.message}`);
+            result = { chapters: [] };
+          }
+          break;
+          
         case jobTypes.GENERATE_EMBEDDING:
           await job.updateProgress(20);
           
@@ -344,20 +828,40 @@ const aiWorker = new Worker(
               result = await aiService.generateEmbeddingFromTitleAndTags(
                 job.data.title,
                 job.data.tags,
-                job.data.options
+                aiOptions
               );
             } else {
               // Fallback to transcript-based generation
               logger.info('Using transcript-based embedding generation (fallback)');
-              result = await aiService.generateEmbedding(transcript, job.data.options);
+              result = await aiService.generateEmbedding(transcript, aiOptions);
             }
           } catch (aiError) {
+            if (job.data.reanalysis) throw aiError;
             logger.warn(`Embedding generation failed: ${aiError.message}`);
             // No fallback for embeddings - just return empty result
             result = { embedding: null };
           }
           break;
           
+        case jobTypes.INDEX_TRANSCRIPT: {
+          await job.updateProgress(20);
+          
+          const indexProcess = await Process.findOne({ _id: processId, isDeleted: false })
+            .select('tenantId transcript.segments');
+          if (!indexProcess || !indexProcess.transcript?.segments?.length) {
+            result = { chunks: 0, rebuilt: false };
+            break;
+          }
+          
+          // Skipped when the stored chunks still match the transcript
+          const indexed = await transcriptChunkService.indexProcess(indexProcess);
+          if (indexed.tokensUsed > 0) {
+            await TenantUsage.recordAiUsage(indexProcess.tenantId, { embeddingTokens: indexed.tokensUsed });
+          }
+          result = { chunks: indexed.chunks.length, rebuilt: indexed.rebuilt };
+          break;
+        }
+          
         default:
           throw new Error(`Unknown AI analysis job type: ${job.name}`);
       }
@@ -409,6 +913,35 @@ const cleanupWorker = new Worker(
   }
 );
 
+// Webhook Delivery Worker - failed attempts throw and are retried with the queue's backoff
+const webhookWorker = new Worker(
+  queues.WEBHOOKS,
+  async (job) => {
+    const delivery = await webhookService.deliver(job.data.deliveryId, {
+      attempt: job.attemptsMade + 1,
+      maxAttempts: job.opts.attempts || 1
+    });
+    return { status: delivery?.status || 'missing' };
+  },
+  {
+    ...workerConfig,
+    concurrency: 5 // Requests mostly wait on the receiving servers
+  }
+);
+
+webhookWorker.on('failed', (job, error) => {
+  logger.warn('Webhook delivery attempt failed:', {
+    jobId: job.id,
+    deliveryId: job.data.deliveryId,
+    attemptsMade: job.attemptsMade,
+    error: error.message
+  });
+});
+
+webhookWorker.on('error', (error) => {
+  logger.error('WebhookWorker worker error:', error);
+});
+
 // Import necessary modules for pipeline progression
 const { queueMethods } = require('../config/bullmq');
 // Process already imported above from '../models'
@@ -434,6 +967,12 @@ async function handleJobCompletion(job, result) {
       processingTime: job.finishedOn - job.processedOn
     });
 
+    // Re-analysis of a finished process does not advance the upload pipeline
+    if (job.data.reanalysis) {
+      await handleReanalysisStepComplete(processDoc, job, result);
+      return;
+    }
+
     switch (job.name) {
       case jobTypes.COMPRESS_VIDEO:
         // Video compression completed - store result and start S3 upload
@@ -441,11 +980,31 @@ async function handleJobCompletion(job, result) {
         await handleVideoCompressionComplete(processDoc, result);
         break;
         
+      case jobTypes.BURN_CAPTIONS:
+        // Captioned copy uploaded - make it available for download
+        await handleCaptionBurnComplete(processDoc, result);
+        break;
+        
+      case jobTypes.GENERATE_THUMBNAILS:
+        // Poster and sprite stored - show them in lists and the player
+        await handleThumbnailsComplete(processDoc, result);
+        break;
+        
+      case jobTypes.PACKAGE_HLS:
+        // Renditions stored - players switch to adaptive streaming
+        await handleHlsPackagingComplete(processDoc, result);
+        break;
+        
       case jobTypes.EXTRACT_AUDIO:
         // Audio extraction completed - log completion
         await handleAudioExtractionComplete(processDoc, result);
         break;
         
+      case jobTypes.PREPARE_RETRANSCRIPTION:
+        // Audio available again - segment it for transcription
+        await handleRetranscriptionAudioReady(processDoc, result);
+        break;
+        
       case jobTypes.SEGMENT_AUDIO:
         // Audio segmentation completed - start transcription jobs
         await handleAudioSegmentationComplete(processDoc, result);
@@ -461,9 +1020,16 @@ async function handleJobCompletion(job, result) {
         await handleTranscriptionComplete(processDoc, result);
         break;
         
+      case jobTypes.DIARIZE_TRANSCRIPT:
+        // Speakers assigned - start AI analysis
+        await handleDiarizationComplete(processDoc, result);
+        break;
+        
       case jobTypes.GENERATE_TAGS:
       case jobTypes.GENERATE_TODO:
       case jobTypes.GENERATE_TITLE:
+      case jobTypes.GENERATE_SUMMARY:
+      case jobTypes.GENERATE_CHAPTERS:
       case jobTypes.GENERATE_EMBEDDING:
         // AI analysis job completed
         await handleAIAnalysisComplete(processDoc, job, result);
@@ -508,7 +1074,10 @@ async function handleJobCompletion(job, result) {
         if (processDoc) {
           // Mark process as failed if critical pipeline step fails
           const criticalJobs = ['extract-audio', 'segment-audio', 'compress-video'];
-          if (criticalJobs.includes(job.name)) {
+          // A failed re-transcription leaves the finished process intact
+          const failedNow = criticalJobs.includes(job.name) && !isRetranscribing(processDoc)
+            && processDoc.status !== 'failed';
+          if (failedNow) {
             processDoc.status = 'failed';
             processDoc.failedAt = new Date();
             processDoc.processingDetails = `${job.name} failed: ${error.message}`;
@@ -520,6 +1089,16 @@ async function handleJobCompletion(job, result) {
             errorType: error.name || 'UnknownError',
             stack: error.stack
           });
+
+          if (failedNow) {
+            await webhookService.emitProcessEvent('process.failed', processDoc, {
+              error: processDoc.processingDetails
+            });
+          }
+        }
+        
+        if (RETRANSCRIPTION_JOBS.includes(job.name)) {
+          await failRetranscription(processId, error);
         }
       } catch (dbError) {
         logger.error('Failed to add error to process document:', dbError);
@@ -638,11 +1217,102 @@ async function handleVideoCompressionComplete(processDoc, result) {
     });
     
     await processDoc.save();
+    await webhookService.emitProcessEvent('process.failed', processDoc, {
+      error: `Video file validation failed: ${error.message}`
+    });
     
     throw new Error(`Video file validation failed: ${error.message}`);
   }
 }
 
+// Handle caption burn-in completion
+async function handleCaptionBurnComplete(processDoc, result) {
+  logger.info(`Captioned video ready for process ${processDoc._id}`, {
+    s3Key: result.s3Key,
+    size: result.size
+  });
+  
+  processDoc.files.captioned.path = result.s3Key;
+  processDoc.files.captioned.size = result.size;
+  processDoc.files.captioned.storageType = 's3';
+  processDoc.files.captioned.status = 'completed';
+  processDoc.files.captioned.error = undefined;
+  processDoc.files.captioned.generatedAt = new Date();
+  
+  await processDoc.save();
+}
+
+// Handle thumbnail generation completion
+async function handleThumbnailsComplete(processDoc, result) {
+  logger.info(`Thumbnails ready for process ${processDoc._id}`, {
+    storageType: result.storageType,
+    tiles: result.layout.count
+  });
+  
+  processDoc.files.thumbnails = {
+    poster: result.poster,
+    sprite: result.sprite,
+    vtt: result.vtt,
+    storageType: result.storageType,
+    layout: result.layout,
+    status: 'completed',
+    generatedAt: new Date()
+  };
+  
+  await processDoc.save();
+}
+
+// Queue thumbnails once the processed video has reached its final storage
+async function startThumbnailGeneration(processDoc) {
+  try {
+    const job = await queueMethods.addThumbnailJob(processDoc._id.toString());
+    processDoc.jobs.thumbnails = job.id;
+    processDoc.files.thumbnails.status = 'pending';
+    processDoc.files.thumbnails.error = undefined;
+  } catch (error) {
+    // Thumbnails are optional, the process still completes without them
+    logger.error(`Failed to queue thumbnails for process ${processDoc._id}:`, error);
+  }
+}
+
+// Handle HLS packaging completion
+async function handleHlsPackagingComplete(processDoc, result) {
+  logger.info(`HLS renditions ready for process ${processDoc._id}`, {
+    storageType: result.storageType,
+    renditions: result.renditions.map(rendition => rendition.name),
+    size: result.size
+  });
+  
+  processDoc.files.hls = {
+    path: result.path,
+    storageType: result.storageType,
+    renditions: result.renditions,
+    segmentDuration: result.segmentDuration,
+    size: result.size,
+    status: 'completed',
+    generatedAt: new Date()
+  };
+  
+  await processDoc.save();
+}
+
+// Queue adaptive streaming renditions when packaging is enabled on this server
+async function startHlsPackaging(processDoc) {
+  if (!isHlsEnabled()) {
+    return;
+  }
+  
+  try {
+    const job = await queueMethods.addHlsPackagingJob(processDoc._id.toString());
+    processDoc.jobs.hlsPackaging = job.id;
+    processDoc.files.hls.status = 'pending';
+    processDoc.files.hls.error = undefined;
+  } catch (error) {
+    // The MP4 stays the fallback for playback
+    logger.error(`Failed to queue HLS packaging for process ${processDoc._id}:`, error);
+  }
+}
+
 // Handle audio extraction completion
 async function handleAudioExtractionComplete(processDoc, result) {
   logger.info(`Audio extraction completed for process ${processDoc._id}`);
@@ -710,6 +1380,19 @@ async function handleAudioSegmentationComplete(processDoc, result) {
   // Update process status - segmentation complete at 25%
   await processDoc.updateProgress(25, 'transcription', 'Transkription wird gestartet...');
 
+  // Transcription backend of the tenant, recorded so it is known where the audio was sent
+  const tenant = await Tenant.findById(processDoc.tenantId).select('settings.transcription.provider');
+  const provider = tenant?.settings?.transcription?.provider || DEFAULT_TRANSCRIPTION_PROVIDER;
+  processDoc.transcriptionSettings.provider = provider;
+
+  // Forced language and vocabulary prompt chosen for this process
+  const { language, prompt } = processDoc.transcriptionSettings;
+  const whisperOptions = {
+    provider,
+    ...(language && { language }),
+    ...(prompt && { prompt })
+  };
+
   // Add transcription jobs for each segment
   const transcriptionJobs = [];
   for (let i = 0; i < result.segments.length; i++) {
@@ -718,14 +1401,19 @@ async function handleAudioSegmentationComplete(processDoc, result) {
       processDoc._id.toString(),
       segment.path,
       i,
-      segment.startTime
+      segment.startTime,
+      whisperOptions
     );
     transcriptionJobs.push(job.id);
+    trackRetranscriptionJob(processDoc, job, queues.TRANSCRIPTION);
   }
 
   // Store transcription job IDs for tracking
   processDoc.jobs.transcription = transcriptionJobs;
-  processDoc.status = 'transcribing';
+  // A re-transcribed process stays 'completed' and keeps its current transcript until the new one is ready
+  if (!isRetranscribing(processDoc)) {
+    processDoc.status = 'transcribing';
+  }
   await processDoc.save();
 }
 
@@ -761,16 +1449,26 @@ async function handleTranscriptionSegmentComplete(processDoc, job, result) {
     // Sort segments by index before merging
     const sortedSegments = processDoc.transcriptSegments.sort((a, b) => a.segmentIndex - b.segmentIndex);
     
-    await queueMethods.addTranscriptMergeJob(
+    const mergeJob = await queueMethods.addTranscriptMergeJob(
       processDoc._id.toString(),
       sortedSegments
     );
+    
+    if (isRetranscribing(processDoc)) {
+      trackRetranscriptionJob(processDoc, mergeJob, queues.TRANSCRIPTION);
+      await processDoc.save();
+    }
   }
 }
 
 // Handle transcription completion - start AI analysis
 async function handleTranscriptionComplete(processDoc, result) {
-  logger.info(`Starting AI analysis for process ${processDoc._id}`);
+  logger.info(`Transcript merged for process ${processDoc._id}`);
+  
+  if (isRetranscribing(processDoc)) {
+    await handleRetranscriptionMerged(processDoc, result);
+    return;
+  }
   
   // Update process with final transcript
   processDoc.transcript = {
@@ -779,18 +1477,198 @@ async function handleTranscriptionComplete(processDoc, result) {
     segments: result.segments
   };
   
+  // Assign speakers before AI analysis so todos can reference who said what
+  const audioPath = processDoc.files.audio?.path;
+  if (diarizationService.isEnabled() && audioPath && result.segments?.length > 0) {
+    await processDoc.updateProgress(65, 'diarization', 'Sprecher werden erkannt...');
+    
+    const diarizationJob = await queueMethods.addDiarizationJob(
+      processDoc._id.toString(),
+      audioPath,
+      result.segments.map(({ start, end, text }) => ({ start, end, text }))
+    );
+    
+    processDoc.jobs.diarization = diarizationJob.id;
+    processDoc.processingDetails = 'diarizing_speakers';
+    await processDoc.save();
+    return;
+  }
+  
+  await startAIAnalysis(processDoc);
+}
+
+// Handle speaker diarization completion
+async function handleDiarizationComplete(processDoc, result) {
+  logger.info(`Speaker diarization completed for process ${processDoc._id}`, {
+    provider: result.provider,
+    speakerCount: result.speakers?.length || 0
+  });
+  
+  if (result.error) {
+    await processDoc.addError('diarization', result.error);
+  }
+  
+  if (isRetranscribing(processDoc)) {
+    await finishRetranscription(processDoc, result.segments, result);
+    return;
+  }
+  
+  if (result.segments?.length > 0) {
+    processDoc.transcript.segments = result.segments;
+  }
+  processDoc.transcript.diarization = {
+    provider: result.provider,
+    speakerCount: result.speakers?.length || 0,
+    completedAt: new Date()
+  };
+  processDoc.processingDetails = null;
+  
+  await startAIAnalysis(processDoc);
+}
+
+function isRetranscribing(processDoc) {
+  return processDoc.retranscription?.status === 'queued';
+}
+
+// Remember a job of the running re-transcription (saved with the process)
+function trackRetranscriptionJob(processDoc, job, queueName) {
+  if (isRetranscribing(processDoc)) {
+    processDoc.retranscription.jobs.push({ id: job.id, queue: queueName });
+  }
+}
+
+// Audio for a re-transcription is ready - segment it into the work directory
+async function handleRetranscriptionAudioReady(processDoc, result) {
+  logger.info(`Re-transcription audio ready for process ${processDoc._id}`, {
+    audioSource: result.audioSource
+  });
+  
+  processDoc.retranscription.audioSource = result.audioSource;
+  processDoc.retranscription.audioPath = result.audioPath;
+  processDoc.transcriptSegments = [];
+  processDoc.jobs.transcription = [];
+  await processDoc.save();
+  
+  const segmentJob = await queueMethods.addAudioSegmentationJob(
+    processDoc._id.toString(),
+    result.audioPath,
+    path.join(getRetranscriptionDir(processDoc), 'segments')
+  );
+  
+  trackRetranscriptionJob(processDoc, segmentJob, queues.AUDIO_EXTRACTION);
+  await processDoc.save();
+}
+
+// New transcript merged - assign speakers before replacing the current transcript
+async function handleRetranscriptionMerged(processDoc, result) {
+  const audioPath = processDoc.retranscription.audioPath;
+  if (diarizationService.isEnabled() && audioPath && result.segments?.length > 0) {
+    const diarizationJob = await queueMethods.addDiarizationJob(
+      processDoc._id.toString(),
+      audioPath,
+      result.segments.map(({ start, end, text }) => ({ start, end, text }))
+    );
+    
+    processDoc.jobs.diarization = diarizationJob.id;
+    trackRetranscriptionJob(processDoc, diarizationJob, queues.TRANSCRIPTION);
+    await processDoc.save();
+    return;
+  }
+  
+  await finishRetranscription(processDoc, result.segments, null);
+}
+
+// Replace the transcript with the new one as a revision; title, tags and todos
+// are kept and can be regenerated from the new transcript on demand
+async function finishRetranscription(processDoc, segments, diarization) {
+  if (!segments || segments.length === 0) {
+    throw new Error('Re-transcription produced no transcript segments');
+  }
+  
+  const before = processHistoryService.snapshotOf(processDoc);
+  
+  if (diarization) {
+    processDoc.transcript.diarization = {
+      provider: diarization.provider,
+      speakerCount: diarization.speakers?.length || 0,
+      completedAt: new Date()
+    };
+  }
+  
+  processDoc.retranscription.status = 'completed';
+  processDoc.retranscription.completedAt = new Date();
+  processDoc.retranscription.audioPath = undefined;
+  processDoc.transcriptSegments = [];
+  processDoc.processingDetails = null;
+  processDoc.progress = {
+    percentage: 100,
+    currentStep: 'completed',
+    stepDetails: 'Neu-Transkription abgeschlossen'
+  };
+  
+  // Saves the process together with the fields above
+  await transcriptEditService.commit(
+    processDoc,
+    transcriptEditService.toPlainSegments(segments),
+    { userId: processDoc.retranscription.requestedBy, operations: ['retranscribe'] }
+  );
+  
+  await processHistoryService.record(processDoc, before, {
+    userId: processDoc.retranscription.requestedBy
+  });
+  
+  await cleanupRetranscriptionDir(processDoc);
+  
+  logger.info(`Re-transcription completed for process ${processDoc._id}`, {
+    revision: processDoc.transcript.revision,
+    segmentCount: segments.length
+  });
+}
+
+// Mark a re-transcription as failed; the previous transcript stays in place
+async function failRetranscription(processId, error) {
+  const processDoc = await Process.findById(processId);
+  if (!processDoc || !isRetranscribing(processDoc)) return;
+  
+  processDoc.retranscription.status = 'failed';
+  processDoc.retranscription.error = error.message;
+  processDoc.retranscription.completedAt = new Date();
+  processDoc.retranscription.audioPath = undefined;
+  processDoc.transcriptSegments = [];
+  processDoc.processingDetails = null;
+  await processDoc.addError('transcription', `Re-transcription failed: ${error.message}`);
+  
+  await cleanupRetranscriptionDir(processDoc);
+}
+
+async function cleanupRetranscriptionDir(processDoc) {
+  const fs = require('fs').promises;
+  await fs.rm(getRetranscriptionDir(processDoc), { recursive: true, force: true }).catch(() => {});
+}
+
+// Start tag, todo and title generation for the stored transcript
+async function startAIAnalysis(processDoc) {
+  logger.info(`Starting AI analysis for process ${processDoc._id}`);
+  
+  const transcript = {
+    text: processDoc.transcript.text,
+    segments: processDoc.transcript.segments.map(segment => segment.toObject ? segment.toObject() : segment)
+  };
+  
   await processDoc.updateProgress(70, 'ai_analysis', 'KI-Analyse wird durchgeführt...');
   
   // Start AI analysis jobs in PARALLEL - NOTE: Embedding will be generated after title and tags are ready
   logger.info('Starting parallel AI analysis jobs', {
     processId: processDoc._id.toString(),
-    transcriptLength: result.text.length
+    transcriptLength: transcript.text.length
   });
   
-  const [tagsJob, todoJob, titleJob] = await Promise.all([
-    queueMethods.addTagGenerationJob(processDoc._id.toString(), result.text),
-    queueMethods.addTodoGenerationJob(processDoc._id.toString(), result),
-    queueMethods.addTitleGenerationJob(processDoc._id.toString(), result.text)
+  const [tagsJob, todoJob, titleJob, summaryJob, chaptersJob] = await Promise.all([
+    queueMethods.addTagGenerationJob(processDoc._id.toString(), transcript.text),
+    queueMethods.addTodoGenerationJob(processDoc._id.toString(), transcript),
+    queueMethods.addTitleGenerationJob(processDoc._id.toString(), transcript.text),
+    queueMethods.addSummaryGenerationJob(processDoc._id.toString(), transcript.text),
+    queueMethods.addChapterGenerationJob(processDoc._id.toString(), transcript)
   ]);
   
   logger.info('AI jobs created in parallel (embedding will be added after tags/title)', {
@@ -798,7 +1676,9 @@ async function handleTranscriptionComplete(processDoc, result) {
     jobIds: {
       tags: tagsJob.id,
       todo: todoJob.id,
-      title: titleJob.id
+      title: titleJob.id,
+      summary: summaryJob.id,
+      chapters: chaptersJob.id
     },
     createdAt: new Date().toISOString()
   });
@@ -807,7 +1687,9 @@ async function handleTranscriptionComplete(processDoc, result) {
   processDoc.jobs.aiAnalysis = {
     tags: tagsJob.id,
     todo: todoJob.id,
-    title: titleJob.id
+    title: titleJob.id,
+    summary: summaryJob.id,
+    chapters: chaptersJob.id
     // Embedding job ID will be added later
   };
   
@@ -820,6 +1702,17 @@ async function handleTranscriptionComplete(processDoc, result) {
   });
 }
 
+// Where an embedding came from; vectors are only compared with those of the same model
+function embeddingMetadataOf(result) {
+  return {
+    method: result.method || 'transcript',
+    generatedAt: new Date(),
+    model: result.model || LEGACY_EMBEDDING_MODEL,
+    provider: result.provider || null,
+    dimensions: result.embedding.length
+  };
+}
+
 // Handle AI analysis job completion
 async function handleAIAnalysisComplete(processDoc, job, result) {
   logger.info(`AI analysis job ${job.name} completed for process ${processDoc._id}`, {
@@ -858,6 +1751,26 @@ async function handleAIAnalysisComplete(processDoc, job, result) {
       processDoc.title = result.title || '';
       break;
       
+    case jobTypes.GENERATE_SUMMARY:
+      // Not part of the completion check below: short transcripts have no summary
+      logger.info('Setting summary on process', {
+        processId: processDoc._id.toString(),
+        hasSummary: !!result.summary
+      });
+      if (result.summary) {
+        processDoc.summary = { ...result.summary, generatedAt: new Date() };
+      }
+      break;
+      
+    case jobTypes.GENERATE_CHAPTERS:
+      // Not part of the completion check below: short recordings have no chapters
+      logger.info('Setting chapters on process', {
+        processId: processDoc._id.toString(),
+        chapterCount: result.chapters?.length || 0
+      });
+      processDoc.chapters = result.chapters || [];
+      break;
+      
     case jobTypes.GENERATE_EMBEDDING:
       // Neues detailliertes Logging
       logger.info('Raw embedding result received', {
@@ -877,15 +1790,11 @@ async function handleAIAnalysisComplete(processDoc, job, result) {
         method: result.method || 'unknown'
       });
       
-      if (result.embedding && Array.isArray(result.embedding) && result.embedding.length === 1536) {
+      if (result.embedding && Array.isArray(result.embedding) && result.embedding.length > 0) {
         processDoc.embedding = result.embedding;
         
         // Save embedding metadata
-        processDoc.embeddingMetadata = {
-          method: result.method || 'transcript',
-          generatedAt: new Date(),
-          model: result.model || 'text-embedding-ada-002'
-        };
+        processDoc.embeddingMetadata = embeddingMetadataOf(result);
         
         logger.info('Embedding saved successfully', {
           processId: processDoc._id.toString(),
@@ -910,11 +1819,7 @@ async function handleAIAnalysisComplete(processDoc, job, result) {
           
           // Force save the embedding
           processDoc.embedding = Array.from(result.embedding);
-          processDoc.embeddingMetadata = {
-            method: result.method || 'transcript',
-            generatedAt: new Date(),
-            model: result.model || 'text-embedding-ada-002'
-          };
+          processDoc.embeddingMetadata = embeddingMetadataOf(result);
         } else {
           // Keep existing embedding or empty array
           processDoc.embedding = processDoc.embedding || [];
@@ -948,12 +1853,12 @@ async function handleAIAnalysisComplete(processDoc, job, result) {
   if (processDoc.tags && processDoc.tags.length > 0) completedJobs.push('tags');
   if (processDoc.todoList && processDoc.todoList.length > 0) completedJobs.push('todo');
   if (processDoc.title && processDoc.title.length > 0) completedJobs.push('title');
-  if (processDoc.embedding && processDoc.embedding.length === 1536) completedJobs.push('embedding');
+  if (processDoc.embedding && processDoc.embedding.length > 0) completedJobs.push('embedding');
   
   // Check if we need to generate embedding after title and tags are ready
   const hasTags = processDoc.tags && processDoc.tags.length > 0;
   const hasTitle = processDoc.title && processDoc.title.length > 0;
-  const needsEmbedding = !processDoc.embedding || processDoc.embedding.length !== 1536;
+  const needsEmbedding = !processDoc.embedding || processDoc.embedding.length === 0;
   const embeddingJobNotStarted = !processDoc.jobs.aiAnalysis.embedding;
   
   // Only start embedding generation when BOTH tags AND title are complete
@@ -1003,6 +1908,130 @@ async function handleAIAnalysisComplete(processDoc, job, result) {
   }
 }
 
+// Re-analysis step names by AI job type
+const REANALYSIS_STEPS = {
+  [jobTypes.GENERATE_TAGS]: 'tags',
+  [jobTypes.GENERATE_TODO]: 'todos',
+  [jobTypes.GENERATE_TITLE]: 'title',
+  [jobTypes.GENERATE_SUMMARY]: 'summary',
+  [jobTypes.GENERATE_CHAPTERS]: 'chapters',
+  [jobTypes.GENERATE_EMBEDDING]: 'embedding'
+};
+
+// Store the result of a single re-analysis step
+async function handleReanalysisStepComplete(processDoc, job, result) {
+  const step = REANALYSIS_STEPS[job.name];
+  const before = processHistoryService.snapshotOf(processDoc);
+
+  switch (job.name) {
+    case jobTypes.GENERATE_TAGS:
+      processDoc.tags = result.tags || [];
+      break;
+
+    case jobTypes.GENERATE_TODO:
+      // Assigned or discussed items survive a regeneration
+      processDoc.todoList = todoService.mergeRegenerated(processDoc.todoList, result.todoList || []);
+      break;
+
+    case jobTypes.GENERATE_TITLE:
+      if (result.title) {
+        processDoc.title = result.title;
+      }
+      break;
+
+    case jobTypes.GENERATE_SUMMARY:
+      if (result.summary) {
+        processDoc.summary = { ...result.summary, generatedAt: new Date() };
+      }
+      break;
+
+    case jobTypes.GENERATE_CHAPTERS:
+      processDoc.chapters = result.chapters || [];
+      break;
+
+    case jobTypes.GENERATE_EMBEDDING:
+      if (Array.isArray(result.embedding) && result.embedding.length > 0) {
+        processDoc.embedding = result.embedding;
+        processDoc.embeddingMetadata = embeddingMetadataOf(result);
+        await similarityCache.invalidateProcessCache(processDoc._id.toString());
+      }
+      break;
+  }
+
+  processDoc.processingDetails = null;
+  await processDoc.save();
+  await processHistoryService.record(processDoc, before, { source: 'ai' });
+
+  logger.info(`Re-analysis step ${step} completed for process ${processDoc._id}`);
+
+  await advanceReanalysis(processDoc._id, step);
+}
+
+// Record a re-analysis step that failed after all retries
+async function handleReanalysisStepFailed(job, error) {
+  const step = REANALYSIS_STEPS[job.name];
+  const processDoc = await Process.findById(job.data.processId);
+  if (!processDoc) return;
+
+  await processDoc.addError('ai_analysis', `Re-analysis of ${step} failed: ${error.message}`, {
+    jobId: job.id,
+    jobName: job.name
+  });
+
+  await Process.updateOne(
+    { _id: processDoc._id },
+    {
+      $addToSet: { 'reanalysis.failedSteps': step },
+      $set: { 'reanalysis.error': error.message, processingDetails: null }
+    }
+  );
+
+  await advanceReanalysis(processDoc._id, step);
+}
+
+// Remove a finished step and queue the embedding or close the run when nothing else is pending
+async function advanceReanalysis(processId, finishedStep) {
+  // Steps run in parallel, so the pending list is updated atomically
+  const processDoc = await Process.findOneAndUpdate(
+    { _id: processId },
+    { $pull: { 'reanalysis.pendingSteps': finishedStep } },
+    { new: true }
+  );
+  if (!processDoc) return;
+
+  const pending = processDoc.reanalysis.pendingSteps || [];
+
+  // The embedding is built from title and tags, so it waits for them
+  if (pending.length === 1 && pending[0] === 'embedding' && !processDoc.reanalysis.jobIds?.embedding) {
+    const embeddingJob = await queueMethods.addReanalysisJob(
+      processDoc._id.toString(),
+      jobTypes.GENERATE_EMBEDDING,
+      {
+        transcript: processDoc.transcript.text,
+        title: processDoc.title,
+        tags: processDoc.tags.map(tag => ({ name: tag.name, weight: tag.weight }))
+      }
+    );
+    processDoc.reanalysis.jobIds.embedding = embeddingJob.id;
+    await processDoc.save();
+    return;
+  }
+
+  if (pending.length === 0) {
+    const failedSteps = processDoc.reanalysis.failedSteps || [];
+    processDoc.reanalysis.status = failedSteps.length > 0 ? 'failed' : 'completed';
+    processDoc.reanalysis.completedAt = new Date();
+    processDoc.processingDetails = null;
+    await processDoc.save();
+
+    logger.info(`Re-analysis finished for process ${processDoc._id}`, {
+      status: processDoc.reanalysis.status,
+      steps: processDoc.reanalysis.steps,
+      failedSteps
+    });
+  }
+}
+
 // Check if video compression is complete and finalize it
 async function checkAndFinalizeVideoCompression(processDoc) {
   logger.info(`Checking video compression status for process ${processDoc._id}`);
@@ -1061,6 +2090,13 @@ async function checkAndFinalizeVideoCompression(processDoc) {
 async function finalizeProcessing(processDoc) {
   logger.info(`Finalizing processing for process ${processDoc._id}`);
   
+  // The transcript is final now - make it searchable for the knowledge assistant
+  try {
+    await queueMethods.addTranscriptIndexJob(processDoc._id.toString(), 0);
+  } catch (error) {
+    logger.error(`Failed to queue transcript indexing for process ${processDoc._id}:`, error);
+  }
+  
   // Check if we have an S3 upload job
   const hasS3UploadJob = processDoc.jobs?.s3Upload;
   
@@ -1101,6 +2137,13 @@ async function finalizeProcessing(processDoc) {
   // For local-only processes, use legacy cleanup
   await processDoc.updateProgress(95, 'cleanup', 'Temporäre Dateien werden aufgeräumt...');
   
+  // S3 uploads queue their thumbnails when the upload completes
+  if (processDoc.files.processed?.path && processDoc.files.processed.storageType !== 's3'
+    && !processDoc.files.thumbnails?.status) {
+    await startThumbnailGeneration(processDoc);
+    await startHlsPackaging(processDoc);
+  }
+  
   // Add cleanup job for temporary files (local processes only)
   const tempFilePaths = [
     processDoc.files.original.path,
@@ -1130,6 +2173,7 @@ async function handleCleanupComplete(processDoc, result) {
   }
   
   // NOW mark the process as truly completed
+  const completedNow = processDoc.status !== 'completed';
   processDoc.status = 'completed';
   await processDoc.updateProgress(100, 'completed', 'Verarbeitung abgeschlossen');
   
@@ -1139,9 +2183,22 @@ async function handleCleanupComplete(processDoc, result) {
     deletedFiles: result.deleted?.length || 0,
     errors: result.errors?.length || 0
   });
+
+  if (completedNow) {
+    await webhookService.emitProcessEvent('process.completed', processDoc);
+  }
 }
 
 // Worker event handlers with pipeline progression logic
+// Jobs that make up a re-transcription run
+const RETRANSCRIPTION_JOBS = [
+  jobTypes.PREPARE_RETRANSCRIPTION,
+  jobTypes.SEGMENT_AUDIO,
+  jobTypes.TRANSCRIBE_SEGMENT,
+  jobTypes.MERGE_TRANSCRIPTS,
+  jobTypes.DIARIZE_TRANSCRIPT
+];
+
 const setupWorkerEvents = (worker, workerName) => {
   worker.on('completed', async (job, result) => {
     logger.info(`${workerName} job completed:`, {
@@ -1158,9 +2215,12 @@ const setupWorkerEvents = (worker, workerName) => {
     } catch (error) {
       logger.error(`Error handling job completion for ${job.id}:`, error);
     }
+
+    // Push the resulting status to connected clients
+    await processStatusService.publishStatus(job.data.processId);
   });
 
-  worker.on('failed', (job, error) => {
+  worker.on('failed', async (job, error) => {
     logger.error(`${workerName} job failed:`, {
       jobId: job.id,
       jobName: job.name,
@@ -1169,6 +2229,26 @@ const setupWorkerEvents = (worker, workerName) => {
       attemptsMade: job.attemptsMade,
       stackTrace: error.stack
     });
+
+    // Only the final attempt ends a re-analysis step
+    if (job.data.reanalysis && job.attemptsMade >= (job.opts.attempts || 1)) {
+      try {
+        await handleReanalysisStepFailed(job, error);
+      } catch (handlerError) {
+        logger.error(`Error handling re-analysis failure for ${job.id}:`, handlerError);
+      }
+    }
+
+    // Re-transcription jobs end the run on their final attempt
+    if (RETRANSCRIPTION_JOBS.includes(job.name) && job.attemptsMade >= (job.opts.attempts || 1)) {
+      try {
+        await failRetranscription(job.data.processId, error);
+      } catch (handlerError) {
+        logger.error(`Error handling re-transcription failure for ${job.id}:`, handlerError);
+      }
+    }
+
+    await processStatusService.publishStatus(job.data.processId);
   });
 
   worker.on('progress', (job, progress) => {
@@ -1208,6 +2288,11 @@ async function handleS3UploadComplete(processDoc, result) {
     sizeMB: result.sizeMB
   });
 
+  // The video is in its final place - render poster, scrub previews and renditions from it
+  await startThumbnailGeneration(processDoc);
+  await startHlsPackaging(processDoc);
+  await processDoc.save();
+
   // Start local cleanup job now that S3 upload is complete
   const { queueMethods } = require('../config/bullmq');
   
@@ -1254,7 +2339,8 @@ async function handleLocalCleanupComplete(processDoc, result) {
     errors: result.errors
   });
 
-  // Mark process as fully complete
+  // Mark process as fully complete; the S3 upload worker usually did already
+  const completedNow = !['completed', 'failed'].includes(processDoc.status);
   if (processDoc.status !== 'failed') {
     processDoc.status = 'completed';
     await processDoc.updateProgress(100, 'completed', 'Verarbeitung vollständig abgeschlossen');
@@ -1271,13 +2357,17 @@ async function handleLocalCleanupComplete(processDoc, result) {
   await processDoc.save();
 
   logger.info(`Process ${processDoc._id} fully completed with S3 storage and local cleanup`);
+
+  if (completedNow) {
+    await webhookService.emitProcessEvent('process.completed', processDoc);
+  }
 }
 
 // Graceful shutdown handling
 const gracefulShutdown = async () => {
   logger.info('Shutting down queue workers...');
   
-  const workers = [videoWorker, audioWorker, transcriptionWorker, aiWorker, cleanupWorker, s3UploadWorker, localCleanupWorker];
+  const workers = [videoWorker, audioWorker, transcriptionWorker, aiWorker, cleanupWorker, webhookWorker, s3UploadWorker, localCleanupWorker];
   
   try {
     await Promise.all(workers.map(worker => worker.close()));
@@ -1297,8 +2387,12 @@ module.exports = {
   transcriptionWorker,
   aiWorker,
   cleanupWorker,
+  webhookWorker,
   s3UploadWorker,
   localCleanupWorker,
   gracefulShutdown,
-  handleJobCompletion
+  handleJobCompletion,
+  processCaptionBurnJob,
+  processThumbnailJob,
+  processHlsPackagingJob
 };
\ No newline at end of file
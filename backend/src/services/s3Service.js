@@ -173,6 +173,29 @@ class S3Service {
     }
   }
 
+  /**
+   * Read a small file from S3 into memory (e.g. a playlist)
+   * @param {string} s3Key - S3 object key
+   * @returns {Promise<Buffer>} File content
+   */
+  async getFileContent(s3Key) {
+    try {
+      const data = await this.s3.getObject({
+        Bucket: this.bucket,
+        Key: s3Key
+      }).promise();
+
+      return data.Body;
+
+    } catch (error) {
+      logger.error('S3 read failed', {
+        s3Key,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Delete file from S3
    * @param {string} s3Key - S3 object key
@@ -350,7 +373,11 @@ class S3Service {
       '.m4a': 'audio/mp4',
       '.flv': 'video/x-flv',
       '.wmv': 'video/x-ms-wmv',
-      '.3gp': 'video/3gpp'
+      '.3gp': 'video/3gpp',
+      '.jpg': 'image/jpeg',
+      '.vtt': 'text/vtt',
+      '.m3u8': 'application/vnd.apple.mpegurl',
+      '.ts': 'video/mp2t'
     };
 
     return mimeTypes[ext] || 'application/octet-stream';
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const { Process } = require('../models');
+const aiService = require('./aiService');
+const similarityCache = require('./similarityCacheService');
+const { LEGACY_EMBEDDING_MODEL } = require('../utils/aiSettings');
+const { escapeRegex } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Share of the semantic similarity in the hybrid score; the rest is the keyword score
+const SEMANTIC_WEIGHT = 0.7;
+
+// Upper bound of embeddings compared per query, newest first
+const MAX_SEMANTIC_CANDIDATES = 2000;
+const MAX_KEYWORD_CANDIDATES = 200;
+const MAX_MATCHING_SEGMENTS = 3;
+
+// Fields returned for search hits; segments are only loaded to find the matching moments
+const RESULT_FIELDS = 'title summary.abstract originalFilename tags status createdAt userId shareId sharing.enabled files.original.duration files.processed.size files.thumbnails transcript.segments';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Search over processes by keywords (text index and tags), by meaning
+ * (query embedding vs. process embeddings) or both
+ */
+class SearchService {
+  /**
+   * Search processes of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} query - Search query
+   * @param {Object} options - { mode, limit }
+   * @returns {Promise<Object>} { processes, mode, embeddingModel, degraded }
+   */
+  async search(tenantId, query, options = {}) {
+    const mode = options.mode || 'text';
+    const limit = options.limit || 50;
+
+    if (mode === 'text') {
+      const processes = await Process.searchByText(tenantId, query, { limit });
+      return {
+        mode,
+        processes: processes.map(process => ({
+          ...process.toJSON(),
+          matchingSegments: this.findMatchingSegments(process.transcript?.segments, query)
+        }))
+      };
+    }
+
+    let semanticScores = new Map();
+    let embeddingModel = null;
+    let degraded = false;
+
+    try {
+      ({ scores: semanticScores, model: embeddingModel } = await this.getSemanticScores(tenantId, query));
+    } catch (error) {
+      // Hybrid search still has the keyword part when the AI provider is unavailable
+      if (mode === 'semantic') {
+        const searchError = new Error('Semantic search is currently unavailable');
+        searchError.statusCode = 503;
+        throw searchError;
+      }
+      logger.warn('Semantic part of hybrid search failed, using keywords only', {
+        tenantId,
+        error: error.message
+      });
+      degraded = true;
+    }
+
+    const keywordScores = mode === 'hybrid'
+      ? await this.getKeywordScores(tenantId, query)
+      : new Map();
+
+    const ranked = [...new Set([...semanticScores.keys(), ...keywordScores.keys()])]
+      .map(id => {
+        const semanticScore = semanticScores.get(id) ?? null;
+        const keywordScore = keywordScores.get(id) ?? 0;
+        const score = mode === 'semantic' || degraded
+          ? (semanticScore ?? keywordScore)
+          : SEMANTIC_WEIGHT * (semanticScore || 0) + (1 - SEMANTIC_WEIGHT) * keywordScore;
+
+        return { id, score, semanticScore, keywordScore };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const docs = await Process.find({
+      _id: { $in: ranked.map(hit => hit.id) },
+      tenantId,
+      isDeleted: false
+    }).select(RESULT_FIELDS);
+    const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    const processes = ranked
+      .filter(hit => docsById.has(hit.id))
+      .map(hit => {
+        const doc = docsById.get(hit.id);
+        const { transcript, ...process } = doc.toJSON();
+
+        return {
+          ...process,
+          score: round(hit.score),
+          semanticScore: hit.semanticScore === null ? null : round(hit.semanticScore),
+          keywordScore: round(hit.keywordScore),
+          matchingSegments: this.findMatchingSegments(transcript?.segments, query)
+        };
+      });
+
+    return { mode, processes, embeddingModel, degraded };
+  }
+
+  /**
+   * Cosine similarity between the query and every process embedded with the tenant's model
+   * @returns {Promise<Object>} { scores: Map<processId, similarity>, model }
+   */
+  async getSemanticScores(tenantId, query) {
+    const { embedding, model } = await this.embedQuery(tenantId, query);
+
+    // Vectors of other models are not comparable with the query
+    const candidates = await Process.find({
+      tenantId,
+      isDeleted: false,
+      embedding: { $exists: true, $ne: [] },
+      'embeddingMetadata.model': model === LEGACY_EMBEDDING_MODEL ? { $in: [model, null] } : model
+    })
+      .select('embedding')
+      .sort({ createdAt: -1 })
+      .limit(MAX_SEMANTIC_CANDIDATES)
+      .lean();
+
+    const scores = new Map();
+    candidates.forEach(candidate => {
+      if (candidate.embedding.length !== embedding.length) return;
+      scores.set(candidate._id.toString(), Process.calculateSimilarity(embedding, candidate.embedding));
+    });
+
+    return { scores, model };
+  }
+
+  /**
+   * Embed a query with the tenant's embedding model, cached per model
+   * @returns {Promise<Object>} { embedding, model }
+   */
+  async embedQuery(tenantId, query) {
+    const options = await aiService.resolveTenantOptions(tenantId, 'embedding');
+    const provider = aiService.getProvider(options.provider);
+    const model = options.model || provider.defaultEmbeddingModel();
+
+    const cached = await similarityCache.getCachedQueryEmbedding(provider.name, model, query);
+    if (cached) {
+      return { embedding: cached, model };
+    }
+
+    const result = await aiService.generateEmbedding(query, { ...options, model, minLength: 2 });
+    await similarityCache.setCachedQueryEmbedding(provider.name, model, query, result.embedding);
+
+    return { embedding: result.embedding, model };
+  }
+
+  /**
+   * Keyword relevance from the text index (title, transcript) and matching tags, scaled to 0..1
+   * @returns {Promise<Map>} processId -> score
+   */
+  async getKeywordScores(tenantId, query) {
+    const tenantObjectId = new mongoose.Types.ObjectId(tenantId);
+
+    const [textHits, tagHits] = await Promise.all([
+      Process.find(
+        { tenantId: tenantObjectId, isDeleted: false, $text: { $search: query } },
+        { _id: 1, score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_KEYWORD_CANDIDATES)
+        .lean(),
+      Process.find({
+        tenantId: tenantObjectId,
+        isDeleted: false,
+        'tags.name': { $regex: escapeRegex(query), $options: 'i' }
+      })
+        .select('tags')
+        .limit(MAX_KEYWORD_CANDIDATES)
+        .lean()
+    ]);
+
+    const scores = new Map();
+    const maxTextScore = Math.max(...textHits.map(hit => hit.score), 0);
+    textHits.forEach(hit => {
+      scores.set(hit._id.toString(), maxTextScore > 0 ? hit.score / maxTextScore : 0);
+    });
+
+    // A matching tag counts as much as its weight
+    const pattern = new RegExp(escapeRegex(query), 'i');
+    tagHits.forEach(hit => {
+      const id = hit._id.toString();
+      const tagScore = Math.max(...hit.tags.filter(tag => pattern.test(tag.name)).map(tag => tag.weight), 0);
+      scores.set(id, Math.max(scores.get(id) || 0, tagScore));
+    });
+
+    return scores;
+  }
+
+  /**
+   * Transcript segments that contain the query terms, best matches first
+   * @param {Array} segments - Transcript segments
+   * @param {string} query - Search query
+   * @returns {Array} [{ index, start, end, text, speaker }]
+   */
+  findMatchingSegments(segments, query) {
+    if (!Array.isArray(segments) || segments.length === 0) return [];
+
+    const phrase = query.trim().toLowerCase();
+    const terms = [...new Set(phrase.split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= 2))];
+    if (terms.length === 0) return [];
+
+    return segments
+      .map((segment, index) => {
+        const text = (segment.text || '').toLowerCase();
+        const matchedTerms = terms.filter(term => text.includes(term)).length;
+        // The whole phrase outweighs scattered terms
+        const score = matchedTerms + (terms.length > 1 && text.includes(phrase) ? terms.length : 0);
+        return { segment, index, score };
+      })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.segment.start - b.segment.start)
+      .slice(0, MAX_MATCHING_SEGMENTS)
+      .map(({ segment, index }) => ({
+        index,
+        start: segment.start,
+        end: segment.end,
+        text: segment.text,
+        speaker: segment.speaker || null
+      }));
+  }
+}
+
+module.exports = new SearchService();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { getRedisClient } = require('../config/redis');
 const logger = require('../utils/logger');
 
@@ -5,6 +6,47 @@ class SimilarityCacheService {
   constructor() {
     this.cacheTTL = 3600; // 1 hour cache
     this.cachePrefix = 'similarity:';
+    this.queryPrefix = 'query-embedding:';
+    this.queryTTL = 24 * 3600; // Query embeddings never change for a given model
+  }
+
+  /**
+   * Get cache key for the embedding of a search query
+   */
+  getQueryCacheKey(provider, model, query) {
+    const hash = crypto.createHash('sha1').update(query.trim().toLowerCase()).digest('hex');
+    return `${this.queryPrefix}${provider}:${model}:${hash}`;
+  }
+
+  /**
+   * Get cached search query embedding
+   */
+  async getCachedQueryEmbedding(provider, model, query) {
+    try {
+      const redis = getRedisClient();
+      if (!redis) return null;
+
+      const cached = await redis.get(this.getQueryCacheKey(provider, model, query));
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error('Error getting cached query embedding:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a search query embedding so repeated searches skip the AI provider
+   */
+  async setCachedQueryEmbedding(provider, model, query, embedding) {
+    try {
+      const redis = getRedisClient();
+      if (!redis) return;
+
+      const key = this.getQueryCacheKey(provider, model, query);
+      await redis.set(key, JSON.stringify(embedding), { EX: this.queryTTL });
+    } catch (error) {
+      logger.error('Error caching query embedding:', error);
+    }
   }
 
   /**
@@ -145,6 +187,29 @@ class SimilarityCacheService {
     }
   }
 
+  /**
+   * Invalidate cache for many processes with a single key scan
+   */
+  async invalidateProcessesCache(processIds) {
+    try {
+      const redis = getRedisClient();
+      if (!redis || processIds.length === 0) return;
+
+      const ids = new Set(processIds.map(id => id.toString()));
+      const keys = (await redis.keys(`${this.cachePrefix}*`)).filter(key => {
+        const [id1, id2] = key.slice(this.cachePrefix.length).split(':');
+        return ids.has(id1) || ids.has(id2);
+      });
+
+      if (keys.length > 0) {
+        await redis.del(...keys);
+        logger.info(`Invalidated ${keys.length} cache entries for ${ids.size} processes`);
+      }
+    } catch (error) {
+      logger.error('Error invalidating processes cache:', error);
+    }
+  }
+
   /**
    * Clear entire similarity cache
    */
@@ -0,0 +1,606 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Issuer, generators } = require('openid-client');
+const { SAML, ValidateInResponseTo, generateServiceProviderMetadata } = require('@node-saml/node-saml');
+const { SsoConnection, User, Tenant } = require('../models');
+const domainResolver = require('./domainResolverService');
+const { seal, open } = require('../utils/secretBox');
+const { ssoUrls, certificateBody } = require('../utils/sso');
+const { getRedisClient, keyGenerators } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Time a user has to complete the sign-in at the identity provider
+const STATE_TTL_SECONDS = 10 * 60;
+// Time the frontend has to exchange the one-time code for tokens
+const CODE_TTL_SECONDS = 60;
+// OpenID provider configuration is fetched again after this
+const ISSUER_CACHE_MS = 60 * 60 * 1000;
+
+const EMAIL_FORMAT = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+// SAML attribute names identity providers commonly use, in order of preference
+const SAML_ATTRIBUTES = {
+  email: [
+    'email',
+    'mail',
+    'urn:oid:0.9.2342.19200300.100.1.3',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'
+  ],
+  firstName: [
+    'firstName',
+    'givenName',
+    'urn:oid:2.5.4.42',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname'
+  ],
+  lastName: [
+    'lastName',
+    'sn',
+    'surname',
+    'urn:oid:2.5.4.4',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname'
+  ]
+};
+
+const ssoError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const redisClient = () => {
+  const redis = getRedisClient();
+  if (!redis) {
+    throw ssoError('Single sign-on is temporarily unavailable. Please try again later.', 503);
+  }
+  return redis;
+};
+
+// AuthnRequest IDs, so node-saml only accepts responses to requests we sent
+const samlRequestCache = {
+  async saveAsync(key, value) {
+    const saved = await redisClient().set(keyGenerators.samlRequest(key), value, {
+      EX: STATE_TTL_SECONDS,
+      NX: true
+    });
+    return saved ? { value, createdAt: Date.now() } : null;
+  },
+
+  async getAsync(key) {
+    return redisClient().get(keyGenerators.samlRequest(key));
+  },
+
+  async removeAsync(key) {
+    return key ? redisClient().getDel(keyGenerators.samlRequest(key)) : null;
+  }
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const trimOrEmpty = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Names for the User model, which requires 2 to 50 characters each; falls
+ * back to the email address when the identity provider sends none
+ */
+const userNames = ({ email, firstName, lastName, name }) => {
+  const [nameFirst, ...nameRest] = trimOrEmpty(name).split(/\s+/);
+  const localPart = email.split('@')[0];
+  const fit = (value, fallback) => {
+    const trimmed = trimOrEmpty(value).slice(0, 50);
+    return trimmed.length >= 2 ? trimmed : fallback;
+  };
+  return {
+    firstName: fit(firstName || nameFirst, fit(localPart, 'SSO')),
+    lastName: fit(lastName || nameRest.join(' '), 'User')
+  };
+};
+
+/**
+ * Per-tenant single sign-on through OpenID Connect or SAML 2.0.
+ *
+ * Sign-in starts at /auth/sso/:tenantId/start, goes through the identity
+ * provider and comes back to the tenant's callback. There the user is
+ * matched by email, or provisioned just in time, and the browser is sent to
+ * the frontend with a one-time code it exchanges for the usual tokens.
+ */
+class SsoService {
+  constructor() {
+    this.issuers = new Map();
+  }
+
+  /**
+   * Connection of a tenant for settings, with the client secret loaded so
+   * toJSON can report whether one is stored
+   */
+  async getConnection(tenantId) {
+    return SsoConnection.findOne({ tenantId }).select('+clientSecret');
+  }
+
+  /**
+   * Connection used to sign in, or a 404 error when SSO is off
+   */
+  async findEnabledConnection(tenantId) {
+    const connection = mongoose.Types.ObjectId.isValid(tenantId)
+      ? await SsoConnection.findOne({ tenantId, enabled: true }).select('+clientSecret')
+      : null;
+    if (!connection) {
+      throw ssoError('Single sign-on is not enabled for this workspace', 404);
+    }
+    return connection;
+  }
+
+  /**
+   * Enabled connection that rules out password login, if the tenant has one
+   */
+  async getEnforcedConnection(tenantId) {
+    return SsoConnection.findOne({ tenantId, enabled: true, enforced: true });
+  }
+
+  /**
+   * Create or update the tenant's connection. Settings of the chosen
+   * protocol are only required once the connection is enabled, so it can be
+   * set up in steps. An omitted client secret keeps the stored one.
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated settings, see validateSettings.updateSso
+   * @param {string} userId - Owner making the change
+   */
+  async saveConnection(tenantId, data, userId) {
+    let connection = await this.getConnection(tenantId);
+    if (!connection) {
+      if (!data.protocol) {
+        throw ssoError('Protocol is required');
+      }
+      connection = new SsoConnection({ tenantId, protocol: data.protocol, createdBy: userId });
+    }
+
+    ['protocol', 'enabled', 'enforced', 'jitProvisioning', 'defaultRole'].forEach((field) => {
+      if (data[field] !== undefined) {
+        connection[field] = data[field];
+      }
+    });
+
+    if (data.oidc) {
+      ['issuer', 'clientId'].forEach((field) => {
+        if (data.oidc[field] !== undefined) {
+          connection.oidc[field] = trimOrEmpty(data.oidc[field]);
+        }
+      });
+    }
+    if (data.clientSecret) {
+      connection.clientSecret = seal(data.clientSecret.trim());
+    }
+
+    if (data.saml) {
+      ['entryPoint', 'idpIssuer'].forEach((field) => {
+        if (data.saml[field] !== undefined) {
+          connection.saml[field] = trimOrEmpty(data.saml[field]);
+        }
+      });
+      if (data.saml.certificate !== undefined) {
+        const certificate = certificateBody(data.saml.certificate);
+        if (certificate) {
+          try {
+            new crypto.X509Certificate(Buffer.from(certificate, 'base64'));
+          } catch (error) {
+            throw ssoError('The certificate is not a valid X.509 certificate');
+          }
+        }
+        connection.saml.certificate = certificate;
+      }
+    }
+
+    if (connection.enabled) {
+      await this.checkConnection(connection);
+    }
+
+    connection.lastError = null;
+    await connection.save();
+
+    logger.info('SSO connection saved', {
+      tenantId,
+      protocol: connection.protocol,
+      enabled: connection.enabled,
+      enforced: connection.enforced,
+      userId
+    });
+
+    return connection;
+  }
+
+  /**
+   * Reject enabling a connection that cannot work; for OIDC this fetches the
+   * provider configuration so a wrong issuer shows up right away
+   */
+  async checkConnection(connection) {
+    if (connection.protocol === 'oidc') {
+      if (!connection.oidc.issuer || !connection.oidc.clientId || !connection.clientSecret) {
+        throw ssoError('Issuer, client ID and client secret are required to enable OpenID Connect');
+      }
+      await this.getIssuer(connection.oidc.issuer, { refresh: true });
+      return;
+    }
+
+    if (!connection.saml.entryPoint || !connection.saml.certificate) {
+      throw ssoError('Sign-on URL and certificate are required to enable SAML');
+    }
+  }
+
+  async deleteConnection(tenantId) {
+    const result = await SsoConnection.deleteOne({ tenantId });
+    if (result.deletedCount === 0) {
+      throw ssoError('Single sign-on is not configured', 404);
+    }
+    logger.info('SSO connection deleted', { tenantId });
+  }
+
+  /**
+   * Domain-based identity provider discovery for the login page
+   * @param {string} email - Email address typed by the user
+   * @returns {Promise<Object|null>} { tenantId, tenantName, protocol, enforced, loginUrl }
+   */
+  async discover(email) {
+    const tenant = await domainResolver.resolveTenantByEmail(email);
+    if (!tenant) return null;
+
+    const connection = await SsoConnection.findOne({ tenantId: tenant.tenantId, enabled: true });
+    if (!connection) return null;
+
+    return {
+      tenantId: tenant.tenantId,
+      tenantName: tenant.tenantName,
+      protocol: connection.protocol,
+      enforced: connection.enforced,
+      loginUrl: this.loginUrl(tenant.tenantId, email)
+    };
+  }
+
+  /**
+   * Start URL of a tenant's sign-in, optionally prefilling the email
+   */
+  loginUrl(tenantId, email) {
+    const { loginUrl } = ssoUrls(tenantId);
+    return email ? `${loginUrl}?login_hint=${encodeURIComponent(email)}` : loginUrl;
+  }
+
+  /**
+   * Begin sign-in at the identity provider
+   * @param {string} tenantId - Tenant ID
+   * @param {string} [loginHint] - Email to prefill at the identity provider
+   * @returns {Promise<string>} URL to redirect the browser to
+   */
+  async startLogin(tenantId, loginHint) {
+    const connection = await this.findEnabledConnection(tenantId);
+    const state = generators.state();
+
+    if (connection.protocol === 'oidc') {
+      const client = await this.oidcClient(connection);
+      const nonce = generators.nonce();
+      const codeVerifier = generators.codeVerifier();
+
+      await this.saveState(state, { tenantId, protocol: 'oidc', nonce, codeVerifier });
+
+      return client.authorizationUrl({
+        scope: 'openid email profile',
+        state,
+        nonce,
+        code_challenge: generators.codeChallenge(codeVerifier),
+        code_challenge_method: 'S256',
+        ...(loginHint && { login_hint: loginHint })
+      });
+    }
+
+    await this.saveState(state, { tenantId, protocol: 'saml' });
+
+    // The state travels as RelayState; node-saml remembers the request ID
+    return this.samlClient(connection).getAuthorizeUrlAsync(state, undefined, {});
+  }
+
+  /**
+   * Finish an OpenID Connect sign-in on the redirect back from the provider
+   * @param {string} tenantId - Tenant ID from the callback URL
+   * @param {Object} params - Query of the callback request
+   * @param {Object} meta - { userAgent, ip }
+   * @returns {Promise<string>} One-time code for the frontend
+   */
+  async completeOidcLogin(tenantId, params, meta) {
+    const connection = await this.findEnabledConnection(tenantId);
+    const stored = await this.consumeState(params.state, tenantId, 'oidc');
+
+    let identity;
+    try {
+      const client = await this.oidcClient(connection);
+      const tokenSet = await client.callback(ssoUrls(tenantId).oidcRedirectUri, params, {
+        state: params.state,
+        nonce: stored.nonce,
+        code_verifier: stored.codeVerifier
+      });
+
+      let claims = tokenSet.claims();
+      if (!claims.email) {
+        claims = { ...claims, ...(await client.userinfo(tokenSet)) };
+      }
+      if (claims.email_verified === false) {
+        throw ssoError('The identity provider has not verified this email address', 403);
+      }
+
+      identity = {
+        email: claims.email,
+        firstName: claims.given_name,
+        lastName: claims.family_name,
+        name: claims.name
+      };
+    } catch (error) {
+      throw await this.recordFailure(connection, error);
+    }
+
+    return this.signIn(connection, identity, meta);
+  }
+
+  /**
+   * Finish a SAML sign-in from the response posted to the ACS URL
+   * @param {string} tenantId - Tenant ID from the ACS URL
+   * @param {Object} body - Form body with SAMLResponse and RelayState
+   * @param {Object} meta - { userAgent, ip }
+   * @returns {Promise<string>} One-time code for the frontend
+   */
+  async completeSamlLogin(tenantId, body, meta) {
+    const connection = await this.findEnabledConnection(tenantId);
+    await this.consumeState(body.RelayState, tenantId, 'saml');
+
+    let identity;
+    try {
+      const { profile } = await this.samlClient(connection).validatePostResponseAsync({
+        SAMLResponse: body.SAMLResponse
+      });
+      if (!profile) {
+        throw ssoError('The identity provider did not return a user');
+      }
+
+      const attribute = (names) => names.map(name => firstValue(profile[name])).find(Boolean);
+      identity = {
+        email: attribute(SAML_ATTRIBUTES.email) || (profile.nameID?.includes('@') ? profile.nameID : null),
+        firstName: attribute(SAML_ATTRIBUTES.firstName),
+        lastName: attribute(SAML_ATTRIBUTES.lastName)
+      };
+    } catch (error) {
+      throw await this.recordFailure(connection, error);
+    }
+
+    return this.signIn(connection, identity, meta);
+  }
+
+  /**
+   * Match or provision the user behind a verified identity and prepare the
+   * login response the frontend picks up with the returned code
+   */
+  async signIn(connection, identity, meta) {
+    const tenantId = connection.tenantId.toString();
+
+    try {
+      const email = trimOrEmpty(identity.email).toLowerCase();
+      if (!email || !email.includes('@')) {
+        throw ssoError('The identity provider did not send an email address');
+      }
+
+      let user = await User.findOne({ email }).select('+isActive');
+      if (user && user.tenantId.toString() !== tenantId) {
+        throw ssoError(`${email} belongs to another workspace`, 403);
+      }
+      if (!user) {
+        user = await this.provisionUser(connection, email, identity);
+      }
+
+      if (!user.isActive) {
+        throw ssoError('Your account has been deactivated. Please contact your account administrator.', 403);
+      }
+
+      await user.populate('tenantId', 'name domain subscription.plan subscription.status');
+      if (user.tenantId?.subscription?.status !== 'active') {
+        throw ssoError('Account suspended. Please contact support.', 403);
+      }
+
+      const accessToken = user.generateAccessToken();
+      const refreshToken = user.generateRefreshToken();
+      user.lastLogin = new Date();
+      await user.addRefreshToken(refreshToken, meta.userAgent, meta.ip);
+
+      connection.lastLoginAt = new Date();
+      connection.lastError = null;
+      await connection.save();
+
+      logger.info('User logged in with SSO', {
+        userId: user._id,
+        email,
+        tenantId,
+        protocol: connection.protocol,
+        ip: meta.ip
+      });
+
+      const code = crypto.randomBytes(32).toString('hex');
+      await redisClient().set(keyGenerators.ssoCode(code), JSON.stringify({
+        user: user.toJSON(),
+        tenant: {
+          id: user.tenantId._id,
+          name: user.tenantId.name,
+          plan: user.tenantId.subscription.plan,
+          domain: user.tenantId.domain
+        },
+        tokens: {
+          accessToken,
+          refreshToken,
+          expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+        }
+      }), { EX: CODE_TTL_SECONDS });
+
+      return code;
+    } catch (error) {
+      throw await this.recordFailure(connection, error);
+    }
+  }
+
+  /**
+   * Create the account of a first-time SSO user. Emails are unique across
+   * workspaces, so only addresses on one of the tenant's domains qualify.
+   */
+  async provisionUser(connection, email, identity) {
+    if (!connection.jitProvisioning) {
+      throw ssoError(`No account exists for ${email}. Ask an admin of your workspace to invite you.`, 403);
+    }
+
+    const tenantId = connection.tenantId.toString();
+    const domainTenant = await domainResolver.resolveTenant(email.split('@')[1]);
+    if (!domainTenant || domainTenant.tenantId.toString() !== tenantId) {
+      throw ssoError(`${email} is not on a domain of this workspace. Ask an admin to invite you.`, 403);
+    }
+
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant || !tenant.canAddMoreUsers()) {
+      throw ssoError('The workspace has no free licenses. Ask an admin to add one.', 403);
+    }
+
+    const user = await User.create({
+      email,
+      password: crypto.randomBytes(32).toString('hex'),
+      ...userNames({ ...identity, email }),
+      tenantId,
+      role: connection.defaultRole,
+      isActive: true,
+      emailVerified: true,
+      accountType: tenant.subscription.plan === 'pro' ? 'pro' : 'free'
+    });
+    await tenant.incrementUserCount();
+
+    logger.info('User provisioned through SSO', {
+      userId: user._id,
+      email,
+      tenantId,
+      role: user.role
+    });
+
+    return user;
+  }
+
+  /**
+   * Login response stored by signIn; each code works once
+   * @param {string} code - One-time code from the SSO callback
+   * @returns {Promise<Object>} { user, tenant, tokens }
+   */
+  async exchangeCode(code) {
+    const data = await redisClient().getDel(keyGenerators.ssoCode(code));
+    if (!data) {
+      throw ssoError('The sign-in link expired. Please sign in again.', 401);
+    }
+    return JSON.parse(data);
+  }
+
+  /**
+   * SAML service provider metadata to upload to the identity provider
+   */
+  async getSamlMetadata(tenantId) {
+    const exists = mongoose.Types.ObjectId.isValid(tenantId) && await Tenant.exists({ _id: tenantId });
+    if (!exists) {
+      throw ssoError('Workspace not found', 404);
+    }
+
+    const urls = ssoUrls(tenantId);
+    return generateServiceProviderMetadata({
+      issuer: urls.samlEntityId,
+      callbackUrl: urls.samlAcsUrl,
+      identifierFormat: EMAIL_FORMAT,
+      wantAssertionsSigned: true
+    });
+  }
+
+  async saveState(state, data) {
+    await redisClient().set(keyGenerators.ssoState(state), JSON.stringify(data), { EX: STATE_TTL_SECONDS });
+  }
+
+  /**
+   * Stored state of a sign-in started here; each state works once
+   */
+  async consumeState(state, tenantId, protocol) {
+    const data = state ? await redisClient().getDel(keyGenerators.ssoState(state)) : null;
+    const stored = data ? JSON.parse(data) : null;
+    if (!stored || stored.tenantId !== tenantId || stored.protocol !== protocol) {
+      throw ssoError('The sign-in request expired or is invalid. Please try again.');
+    }
+    return stored;
+  }
+
+  /**
+   * Keep the reason of a failed sign-in for the settings page and return an
+   * error that is safe to show to the user
+   */
+  async recordFailure(connection, error) {
+    if (error.recorded) return error;
+
+    const message = error.statusCode
+      ? error.message
+      : `The identity provider response was rejected: ${error.error_description || error.message}`;
+
+    logger.warn('SSO login failed', {
+      tenantId: connection.tenantId,
+      protocol: connection.protocol,
+      error: error.message
+    });
+
+    try {
+      await SsoConnection.updateOne({ _id: connection._id }, { lastError: message.slice(0, 500) });
+    } catch (updateError) {
+      logger.error('Failed to record SSO error:', updateError);
+    }
+
+    const failure = error.statusCode ? error : ssoError(message, 401);
+    failure.recorded = true;
+    return failure;
+  }
+
+  /**
+   * OpenID provider configuration, cached per issuer
+   */
+  async getIssuer(issuerUrl, { refresh = false } = {}) {
+    const cached = this.issuers.get(issuerUrl);
+    if (cached && !refresh && cached.expiresAt > Date.now()) {
+      return cached.issuer;
+    }
+
+    try {
+      const issuer = await Issuer.discover(issuerUrl);
+      this.issuers.set(issuerUrl, { issuer, expiresAt: Date.now() + ISSUER_CACHE_MS });
+      return issuer;
+    } catch (error) {
+      logger.warn('OpenID provider discovery failed', { issuer: issuerUrl, error: error.message });
+      throw ssoError(`Could not load the OpenID configuration of ${issuerUrl}`, 502);
+    }
+  }
+
+  async oidcClient(connection) {
+    const issuer = await this.getIssuer(connection.oidc.issuer);
+    return new issuer.Client({
+      client_id: connection.oidc.clientId,
+      client_secret: open(connection.clientSecret),
+      redirect_uris: [ssoUrls(connection.tenantId).oidcRedirectUri],
+      response_types: ['code']
+    });
+  }
+
+  samlClient(connection) {
+    const urls = ssoUrls(connection.tenantId);
+    return new SAML({
+      entryPoint: connection.saml.entryPoint,
+      issuer: urls.samlEntityId,
+      callbackUrl: urls.samlAcsUrl,
+      audience: urls.samlEntityId,
+      idpCert: connection.saml.certificate,
+      idpIssuer: connection.saml.idpIssuer || undefined,
+      identifierFormat: EMAIL_FORMAT,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      validateInResponseTo: ValidateInResponseTo.always,
+      requestIdExpirationPeriodMs: STATE_TTL_SECONDS * 1000,
+      cacheProvider: samlRequestCache
+    });
+  }
+}
+
+module.exports = new SsoService();
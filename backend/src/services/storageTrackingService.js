@@ -313,6 +313,7 @@ class StorageTrackingService {
           }
         },
         files: tenantUsage.files,
+        ai: tenantUsage.ai,
         costs: {
           estimatedMonthlyEUR: this.calculateMonthlyCosts(tenantUsage.storage.totalMB),
           lastCalculated: tenantUsage.estimatedCosts?.lastCalculated
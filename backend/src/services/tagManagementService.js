@@ -0,0 +1,162 @@
+const { Process } = require('../models');
+const processHistoryService = require('./processHistoryService');
+const tagTaxonomyService = require('./tagTaxonomyService');
+const similarityCache = require('./similarityCacheService');
+const logger = require('../utils/logger');
+
+// Processes written per bulkWrite
+const BATCH_SIZE = 500;
+
+const tagError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Tenant-wide tag administration: rename, merge and delete a tag on every
+ * process of a tenant, including processes in the trash so restoring them
+ * does not bring the old tag back
+ */
+class TagManagementService {
+  /**
+   * Tags after replacing the sources by the target. A process that had several
+   * of the merged tags keeps the highest weight.
+   * @param {Array} tags - [{ name, weight }]
+   * @param {Set<string>} sources - Names to replace
+   * @param {string|null} target - New name, null to remove the sources
+   * @returns {Array} [{ name, weight }], highest weight first
+   */
+  replaceTags(tags, sources, target) {
+    const merged = new Map();
+    tags.forEach(tag => {
+      const name = sources.has(tag.name) ? target : tag.name;
+      if (!name) return;
+
+      const weight = tag.weight ?? 0.5;
+      if (!merged.has(name) || merged.get(name) < weight) {
+        merged.set(name, weight);
+      }
+    });
+
+    return [...merged.entries()]
+      .map(([name, weight]) => ({ name, weight }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Rewrite the tags of every process carrying one of the names, record a
+   * version for each and drop their cached similarities
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} names - Tags to replace
+   * @param {string|null} target - New name, null to remove
+   * @param {string} userId - User performing the change
+   * @returns {Promise<number>} Number of processes updated
+   */
+  async rewriteProcesses(tenantId, names, target, userId) {
+    const sources = new Set(names);
+    const cursor = Process.find({ tenantId, 'tags.name': { $in: names } })
+      .select('-transcript.segments -transcript.text -embedding')
+      .cursor();
+
+    const updatedIds = [];
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+
+      await Process.bulkWrite(batch.map(({ process }) => ({
+        updateOne: {
+          filter: { _id: process._id, tenantId },
+          update: { $set: { tags: process.tags.map(tag => ({ name: tag.name, weight: tag.weight })) } }
+        }
+      })), { ordered: false });
+
+      for (const { process, before } of batch) {
+        await processHistoryService.record(process, before, { userId });
+        updatedIds.push(process._id.toString());
+      }
+      batch = [];
+    };
+
+    for (let process = await cursor.next(); process; process = await cursor.next()) {
+      const before = processHistoryService.snapshotOf(process);
+      // Only changed in memory; the bulk write stores it
+      process.tags = this.replaceTags(before.tags, sources, target);
+      batch.push({ process, before });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    if (updatedIds.length > 0) {
+      await similarityCache.invalidateProcessesCache(updatedIds);
+    }
+
+    return updatedIds.length;
+  }
+
+  /**
+   * Merge tags into one. Renaming is a merge with a single source.
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { sources, target, keepAsSynonyms }
+   * @param {string} userId - User performing the change
+   * @returns {Promise<Object>} { target, sources, processesUpdated }
+   */
+  async mergeTags(tenantId, { sources = [], target, keepAsSynonyms = false }, userId) {
+    // A synonym as target would be replaced by its approved tag on the next save
+    const name = await tagTaxonomyService.canonicalName(tenantId, target);
+    if (!name) {
+      throw tagError('Target tag is required');
+    }
+
+    const names = [...new Set(sources.map(source => tagTaxonomyService.normalizeName(source)))]
+      .filter(source => source && source !== name);
+    if (names.length === 0) {
+      throw tagError('Choose at least one tag other than the target');
+    }
+
+    const processesUpdated = await this.rewriteProcesses(tenantId, names, name, userId);
+    await tagTaxonomyService.mergeTerms(tenantId, names, name, { keepAsSynonyms, userId });
+
+    logger.info('Tags merged', { tenantId, userId, sources: names, target: name, processesUpdated });
+    return { target: name, sources: names, processesUpdated };
+  }
+
+  /**
+   * Rename a tag on every process
+   * @returns {Promise<Object>} { target, sources, processesUpdated }
+   */
+  async renameTag(tenantId, { from, to, keepAsSynonym = false }, userId) {
+    if (tagTaxonomyService.normalizeName(from) === tagTaxonomyService.normalizeName(to)) {
+      throw tagError('The new name must differ from the current one');
+    }
+
+    return this.mergeTags(tenantId, { sources: [from], target: to, keepAsSynonyms: keepAsSynonym }, userId);
+  }
+
+  /**
+   * Remove a tag from every process and from the taxonomy
+   * @returns {Promise<Object>} { tag, processesUpdated }
+   */
+  async deleteTag(tenantId, tag, userId) {
+    const name = tagTaxonomyService.normalizeName(tag);
+    if (!name) {
+      throw tagError('Tag is required');
+    }
+
+    const processesUpdated = await this.rewriteProcesses(tenantId, [name], null, userId);
+    const removedFromTaxonomy = await tagTaxonomyService.removeName(tenantId, name);
+
+    if (processesUpdated === 0 && !removedFromTaxonomy) {
+      throw tagError('Tag not found', 404);
+    }
+
+    logger.info('Tag deleted', { tenantId, userId, tag: name, processesUpdated });
+    return { tag: name, processesUpdated };
+  }
+}
+
+module.exports = new TagManagementService();
@@ -0,0 +1,439 @@
+const mongoose = require('mongoose');
+const { Tenant, TagTerm } = require('../models');
+const logger = require('../utils/logger');
+
+// Terms listed in the tag prompt; larger taxonomies are cut to keep the prompt small
+const MAX_PROMPT_TERMS = 300;
+
+const taxonomyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Tenant tag taxonomy: approved tags with synonyms and a parent/child
+ * hierarchy, used to normalize stored tags and to constrain AI tag generation
+ */
+class TagTaxonomyService {
+  /**
+   * Canonical form of a tag name, as stored on processes
+   */
+  normalizeName(name) {
+    return (name || '').toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * All terms of a tenant, sorted by name
+   * @returns {Promise<Array>} Lean TagTerm documents
+   */
+  async getTerms(tenantId) {
+    return TagTerm.find({ tenantId }).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Map of every term name and synonym to the term name
+   * @param {Array} terms - TagTerm documents
+   * @returns {Map<string, string>}
+   */
+  buildLookup(terms) {
+    const lookup = new Map();
+    terms.forEach(term => {
+      lookup.set(term.name, term.name);
+      (term.synonyms || []).forEach(synonym => lookup.set(synonym, term.name));
+    });
+    return lookup;
+  }
+
+  /**
+   * Whether AI tag generation is limited to the taxonomy
+   */
+  async isGenerationRestricted(tenantId) {
+    const tenant = await Tenant.findById(tenantId).select('settings.tagTaxonomy');
+    return !!tenant?.settings?.tagTaxonomy?.restrictGeneration;
+  }
+
+  /**
+   * Replace synonyms by their term and merge the duplicates this creates
+   * (highest weight wins). Generated tags outside the taxonomy are dropped when
+   * the tenant restricts generation; manually entered tags are always kept.
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} tags - [{ name, weight }]
+   * @param {Object} options - { generated }
+   * @returns {Promise<Array>} [{ name, weight }], highest weight first
+   */
+  async normalizeTags(tenantId, tags = [], { generated = false } = {}) {
+    if (!tenantId || tags.length === 0) return tags;
+
+    const terms = await this.getTerms(tenantId);
+    const lookup = this.buildLookup(terms);
+    // Without terms a restriction would remove every tag
+    const restrict = generated && terms.length > 0 && await this.isGenerationRestricted(tenantId);
+
+    const merged = new Map();
+    tags.forEach(tag => {
+      const name = this.normalizeName(tag.name);
+      if (!name) return;
+
+      const canonical = lookup.get(name);
+      if (!canonical && restrict) return;
+
+      const key = canonical || name;
+      const weight = tag.weight ?? 0.5;
+      if (!merged.has(key) || merged.get(key) < weight) {
+        merged.set(key, weight);
+      }
+    });
+
+    return [...merged.entries()]
+      .map(([name, weight]) => ({ name, weight }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Approved tag a name is saved as: the term a synonym belongs to, otherwise
+   * the normalized name itself
+   */
+  async canonicalName(tenantId, name) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) return normalized;
+
+    const term = await TagTerm.findOne({ tenantId, synonyms: normalized }).select('name').lean();
+    return term ? term.name : normalized;
+  }
+
+  /**
+   * Options for aiService.generateTags: the approved terms when the tenant
+   * restricts generation to them
+   * @returns {Promise<Object>} { allowedTags } or {}
+   */
+  async generationOptions(tenantId) {
+    if (!tenantId || !await this.isGenerationRestricted(tenantId)) return {};
+
+    const terms = await TagTerm.find({ tenantId })
+      .select('name synonyms')
+      .sort({ name: 1 })
+      .limit(MAX_PROMPT_TERMS)
+      .lean();
+    if (terms.length === 0) return {};
+
+    return {
+      allowedTags: terms.map(term => ({ name: term.name, synonyms: term.synonyms || [] }))
+    };
+  }
+
+  /**
+   * Tag filter including synonyms and all child terms, so filtering by
+   * "onboarding" also finds "supplier onboarding"
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} names - Requested tag names
+   * @returns {Promise<Array<string>>}
+   */
+  async expandTagFilter(tenantId, names = []) {
+    const terms = await this.getTerms(tenantId);
+    if (terms.length === 0) return names;
+
+    const lookup = this.buildLookup(terms);
+    const children = new Map();
+    terms.forEach(term => {
+      if (!term.parentId) return;
+      const parentId = term.parentId.toString();
+      children.set(parentId, [...(children.get(parentId) || []), term]);
+    });
+    const byName = new Map(terms.map(term => [term.name, term]));
+
+    const expanded = new Set();
+    const queue = names.map(name => this.normalizeName(name));
+
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (expanded.has(name)) continue;
+      expanded.add(name);
+
+      const term = byName.get(lookup.get(name));
+      if (!term) continue;
+
+      // Processes tagged before the synonym existed still carry the old name
+      [term.name, ...(term.synonyms || [])].forEach(alias => expanded.add(alias));
+      (children.get(term._id.toString()) || []).forEach(child => queue.push(child.name));
+    }
+
+    return [...expanded];
+  }
+
+  /**
+   * Tag usage from Process.getUniqueTagsForTenant with synonyms counted under
+   * their approved tag and the taxonomy position of each tag
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} stats - [{ tag, count, avgWeight }]
+   * @returns {Promise<Array>} [{ tag, count, avgWeight, approved, parent }]
+   */
+  async groupTagStats(tenantId, stats = []) {
+    const terms = await this.getTerms(tenantId);
+    const lookup = this.buildLookup(terms);
+    const parentNames = new Map(terms.map(term => [term._id.toString(), term.name]));
+    const byName = new Map(terms.map(term => [term.name, term]));
+
+    const grouped = new Map();
+    stats.forEach(({ tag, count, avgWeight }) => {
+      const name = lookup.get(tag) || tag;
+      const current = grouped.get(name) || { tag: name, count: 0, weightSum: 0 };
+      current.count += count;
+      current.weightSum += avgWeight * count;
+      grouped.set(name, current);
+    });
+
+    return [...grouped.values()]
+      .map(({ tag, count, weightSum }) => {
+        const term = byName.get(tag);
+        return {
+          tag,
+          count,
+          avgWeight: count > 0 ? weightSum / count : 0,
+          approved: !!term,
+          parent: term?.parentId ? parentNames.get(term.parentId.toString()) || null : null
+        };
+      })
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Tag usage exactly as stored on processes, each marked as approved tag or
+   * synonym, for tag administration
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} stats - [{ tag, count, avgWeight }]
+   * @returns {Promise<Array>} [{ tag, count, avgWeight, approved, synonymOf }]
+   */
+  async describeTagStats(tenantId, stats = []) {
+    const lookup = this.buildLookup(await this.getTerms(tenantId));
+
+    return stats.map(({ tag, count, avgWeight }) => {
+      const canonical = lookup.get(tag);
+      return {
+        tag,
+        count,
+        avgWeight,
+        approved: canonical === tag,
+        synonymOf: canonical && canonical !== tag ? canonical : null
+      };
+    });
+  }
+
+  /**
+   * Check a term against the rest of the taxonomy and clean up its fields
+   * @param {string} tenantId - Tenant ID
+   * @param {string|null} termId - Term being updated, null for a new term
+   * @param {Object} data - { name, synonyms, parentId, description }
+   * @returns {Promise<Object>} Cleaned fields
+   */
+  async validateTerm(tenantId, termId, data) {
+    const terms = await this.getTerms(tenantId);
+    const others = terms.filter(term => term._id.toString() !== termId);
+
+    const name = this.normalizeName(data.name);
+    const synonyms = [...new Set((data.synonyms || []).map(synonym => this.normalizeName(synonym)))]
+      .filter(synonym => synonym && synonym !== name);
+
+    const taken = this.buildLookup(others);
+    const conflict = [name, ...synonyms].find(value => taken.has(value));
+    if (conflict) {
+      throw taxonomyError(`"${conflict}" is already used by the tag "${taken.get(conflict)}"`, 409);
+    }
+
+    const parentId = data.parentId || null;
+    if (parentId) {
+      if (parentId === termId) {
+        throw taxonomyError('A tag cannot be its own parent');
+      }
+
+      const byId = new Map(terms.map(term => [term._id.toString(), term]));
+      if (!byId.has(parentId)) {
+        throw taxonomyError('Parent tag not found', 404);
+      }
+
+      // Walking up from the new parent must not reach the term itself
+      for (let current = byId.get(parentId); current?.parentId; current = byId.get(current.parentId.toString())) {
+        if (current.parentId.toString() === termId) {
+          throw taxonomyError('A tag cannot be placed below one of its own children');
+        }
+      }
+    }
+
+    return {
+      name,
+      synonyms,
+      parentId,
+      description: (data.description || '').trim()
+    };
+  }
+
+  /**
+   * Add an approved tag
+   * @returns {Promise<Object>} Created TagTerm
+   */
+  async createTerm(tenantId, userId, data) {
+    const fields = await this.validateTerm(tenantId, null, data);
+    const term = await TagTerm.create({ ...fields, tenantId, createdBy: userId });
+
+    logger.info('Tag term created', { tenantId, userId, name: term.name });
+    return term;
+  }
+
+  /**
+   * Change name, synonyms, parent or description of an approved tag
+   * @returns {Promise<Object>} Updated TagTerm
+   */
+  async updateTerm(tenantId, termId, data) {
+    if (!mongoose.Types.ObjectId.isValid(termId)) {
+      throw taxonomyError('Tag not found', 404);
+    }
+
+    const term = await TagTerm.findOne({ _id: termId, tenantId });
+    if (!term) {
+      throw taxonomyError('Tag not found', 404);
+    }
+
+    const fields = await this.validateTerm(tenantId, termId, {
+      name: data.name ?? term.name,
+      synonyms: data.synonyms ?? term.synonyms,
+      parentId: data.parentId !== undefined ? data.parentId : term.parentId?.toString(),
+      description: data.description ?? term.description
+    });
+
+    Object.assign(term, fields);
+    await term.save();
+
+    logger.info('Tag term updated', { tenantId, termId, name: term.name });
+    return term;
+  }
+
+  /**
+   * Remove an approved tag; its children move up to its parent. Processes keep
+   * their tags, the name is just no longer part of the taxonomy.
+   */
+  async deleteTerm(tenantId, termId) {
+    if (!mongoose.Types.ObjectId.isValid(termId)) {
+      throw taxonomyError('Tag not found', 404);
+    }
+
+    const term = await TagTerm.findOneAndDelete({ _id: termId, tenantId });
+    if (!term) {
+      throw taxonomyError('Tag not found', 404);
+    }
+
+    await TagTerm.updateMany({ tenantId, parentId: term._id }, { $set: { parentId: term.parentId } });
+
+    logger.info('Tag term deleted', { tenantId, termId, name: term.name });
+  }
+
+  /**
+   * Follow a tag merge in the taxonomy. Source terms are folded into the target
+   * term (synonyms and children move over); without a target term the first
+   * source term is renamed. With keepAsSynonyms the source names keep being
+   * saved as the target.
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} sources - Normalized names merged away
+   * @param {string} target - Normalized target name
+   * @param {Object} options - { keepAsSynonyms, userId }
+   */
+  async mergeTerms(tenantId, sources, target, { keepAsSynonyms = false, userId = null } = {}) {
+    const terms = await TagTerm.find({ tenantId });
+    const byName = new Map(terms.map(term => [term.name, term]));
+    const byId = new Map(terms.map(term => [term._id.toString(), term]));
+
+    let targetTerm = byName.get(target) || null;
+    const folded = new Set();
+
+    sources.forEach(source => {
+      const sourceTerm = byName.get(source);
+      if (!sourceTerm) return;
+
+      if (!targetTerm) {
+        sourceTerm.name = target;
+        targetTerm = sourceTerm;
+        return;
+      }
+
+      targetTerm.synonyms.push(...sourceTerm.synonyms);
+      folded.add(sourceTerm._id.toString());
+    });
+
+    if (!targetTerm) {
+      if (keepAsSynonyms) {
+        await TagTerm.create({ tenantId, name: target, synonyms: sources, createdBy: userId });
+      }
+      // Sources may still be synonyms of other terms
+      await TagTerm.updateMany({ tenantId, synonyms: { $in: sources } }, { $pull: { synonyms: { $in: sources } } });
+      return;
+    }
+
+    const ancestorsOf = (term) => {
+      const ids = new Set();
+      for (let current = term; current?.parentId; current = byId.get(current.parentId.toString())) {
+        if (ids.has(current.parentId.toString())) break;
+        ids.add(current.parentId.toString());
+      }
+      return ids;
+    };
+    const targetAncestors = ancestorsOf(targetTerm);
+
+    // Closest parent that is not folded away
+    const keptParent = (parentId) => {
+      let current = parentId;
+      while (current && folded.has(current.toString())) {
+        current = byId.get(current.toString()).parentId;
+      }
+      return current || null;
+    };
+
+    const changed = new Set([targetTerm]);
+    terms.forEach(term => {
+      const id = term._id.toString();
+      if (folded.has(id)) return;
+
+      // Source names stay synonyms of the target only
+      const synonyms = term === targetTerm
+        ? [...new Set([...term.synonyms, ...(keepAsSynonyms ? sources : [])])]
+          .filter(synonym => synonym !== target && (keepAsSynonyms || !sources.includes(synonym)))
+        : term.synonyms.filter(synonym => !sources.includes(synonym));
+      if (synonyms.length !== term.synonyms.length || term === targetTerm) {
+        term.synonyms = synonyms;
+        changed.add(term);
+      }
+
+      if (term.parentId && folded.has(term.parentId.toString())) {
+        // Moving the target's own ancestors below it would create a cycle
+        term.parentId = term === targetTerm || targetAncestors.has(id)
+          ? keptParent(term.parentId)
+          : targetTerm._id;
+        changed.add(term);
+      }
+    });
+
+    if (folded.size > 0) {
+      await TagTerm.deleteMany({ tenantId, _id: { $in: [...folded] } });
+    }
+    for (const term of changed) {
+      await term.save();
+    }
+
+    logger.info('Tag terms merged', { tenantId, sources, target, folded: folded.size });
+  }
+
+  /**
+   * Remove a deleted tag from the taxonomy, as term or as synonym
+   * @returns {Promise<boolean>} Whether the taxonomy contained the name
+   */
+  async removeName(tenantId, name) {
+    const term = await TagTerm.findOne({ tenantId, name }).select('_id').lean();
+    if (term) {
+      await this.deleteTerm(tenantId, term._id.toString());
+      return true;
+    }
+
+    const result = await TagTerm.updateMany({ tenantId, synonyms: name }, { $pull: { synonyms: name } });
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new TagTaxonomyService();
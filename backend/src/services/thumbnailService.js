@@ -0,0 +1,110 @@
+const path = require('path');
+const { THUMBNAIL_ASSETS, generateThumbnailVtt } = require('../utils/thumbnails');
+const videoTokenService = require('./videoTokenService');
+// Lazy load s3Service to prevent startup errors
+const getS3Service = () => require('./s3Service').getInstance();
+
+/**
+ * Serving of poster frames, sprite sheets and thumbnail tracks
+ * generated by the thumbnail job
+ */
+class ThumbnailService {
+  /**
+   * Check whether a process has its thumbnails available
+   * @param {Object} thumbnails - files.thumbnails of a process (document or JSON)
+   * @returns {boolean}
+   */
+  isAvailable(thumbnails) {
+    return thumbnails?.status === 'completed' && thumbnails.storageType !== 'deleted';
+  }
+
+  /**
+   * Asset URLs below a base path, relative to the API root (e.g. /video/:tenantId/:processId)
+   * @param {string} basePath - Path the asset names are appended to
+   * @param {string} query - Optional query string without '?', e.g. a video token
+   * @returns {Object} { posterUrl, spriteUrl, vttUrl }
+   */
+  buildUrls(basePath, query = '') {
+    const suffix = query ? `?${query}` : '';
+    return {
+      posterUrl: `${basePath}/poster.jpg${suffix}`,
+      spriteUrl: `${basePath}/sprite.jpg${suffix}`,
+      vttUrl: `${basePath}/thumbnails.vtt${suffix}`
+    };
+  }
+
+  /**
+   * Token-protected asset URLs of a process, served by the video routes
+   * @param {string} processId - Process ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} thumbnails - files.thumbnails of the process
+   * @returns {Object|null} { posterUrl, spriteUrl, vttUrl } or null without thumbnails
+   */
+  getTokenUrls(processId, tenantId, thumbnails) {
+    if (!this.isAvailable(thumbnails)) {
+      return null;
+    }
+
+    const token = videoTokenService.generateVideoToken(processId.toString(), tenantId.toString(), 60);
+    return this.buildUrls(`/video/${tenantId}/${processId}`, `token=${token}`);
+  }
+
+  /**
+   * Add token-protected asset URLs to a process in API output
+   * @param {Object} processData - Process JSON (files.thumbnails without paths)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} The same object, for chaining
+   */
+  withTokenUrls(processData, tenantId) {
+    const thumbnails = processData?.files?.thumbnails;
+    const urls = this.getTokenUrls(processData.id || processData._id, tenantId, thumbnails);
+    if (urls) {
+      Object.assign(thumbnails, urls);
+    }
+
+    return processData;
+  }
+
+  /**
+   * Send a thumbnail asset: redirect to S3, stream a local file or render the VTT track
+   * @param {Object} res - Express response
+   * @param {Object} thumbnails - files.thumbnails of the process document (with paths)
+   * @param {string} assetName - poster.jpg, sprite.jpg or thumbnails.vtt
+   * @param {string} spriteUrl - Sprite URL written into the VTT track, relative to the track
+   */
+  async sendAsset(res, thumbnails, assetName, spriteUrl = 'sprite.jpg') {
+    const asset = THUMBNAIL_ASSETS[assetName];
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown thumbnail file'
+      });
+    }
+
+    if (!this.isAvailable(thumbnails) || !thumbnails[asset.field]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnails not available'
+      });
+    }
+
+    // The stored track references the sprite by its plain name, without access token
+    if (asset.field === 'vtt') {
+      res.setHeader('Content-Type', asset.contentType);
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      return res.send(generateThumbnailVtt(thumbnails.layout, spriteUrl));
+    }
+
+    if (thumbnails.storageType === 's3') {
+      const presignedUrl = await getS3Service().generatePresignedUrl(thumbnails[asset.field], 3600);
+      return res.redirect(302, presignedUrl);
+    }
+
+    res.setHeader('Content-Type', asset.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    return res.sendFile(path.resolve(thumbnails[asset.field]));
+  }
+}
+
+module.exports = new ThumbnailService();
@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { Process, User, IntegrationConnection } = require('../models');
+const todoService = require('./todoService');
+const secretBox = require('../utils/secretBox');
+const { todoUrl, formatVideoTime, generateIcs } = require('../utils/todoExport');
+const { statusForCompleted } = require('../utils/todos');
+const { assertPublicUrl, publicHttpAgent, publicHttpsAgent } = require('../utils/networkGuard');
+const logger = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+const exportError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const trimUrl = (url) => (url || '').trim().replace(/\/+$/, '');
+
+const urlOrigin = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Readable message of a failed tracker request. Connection tests report the
+ * status code only, so a tracker URL cannot be used to read other servers.
+ * @param {Error} error - axios or network guard error
+ * @param {Object} options - { details } include the tracker's error message
+ */
+const describeRequestError = (error, { details = true } = {}) => {
+  if (error.code === 'EBLOCKEDADDRESS') {
+    return `Tracker URL not allowed: ${error.message}`;
+  }
+
+  if (error.response) {
+    const data = details ? error.response.data : null;
+    const message = data?.message ||
+      data?.errorMessages?.join(', ') ||
+      (data?.errors && typeof data.errors === 'object' ? Object.values(data.errors).join(', ') : null);
+    return `${error.response.status}${message ? `: ${message}` : ''}`;
+  }
+  return error.code === 'ECONNABORTED' ? 'The tracker did not respond in time' : error.message;
+};
+
+/**
+ * HTTP client of a tracker API. The URL is tenant-entered, so every request
+ * is checked against private addresses, the same way webhook deliveries are.
+ */
+const trackerClient = (baseURL, headers) => {
+  const client = axios.create({
+    baseURL,
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: 0,
+    httpAgent: publicHttpAgent,
+    httpsAgent: publicHttpsAgent,
+    proxy: false,
+    headers
+  });
+
+  client.interceptors.request.use(async (config) => {
+    await assertPublicUrl(config.baseURL);
+    return config;
+  });
+  return client;
+};
+
+/**
+ * Plain-text lines describing a todo, shared by the tracker issue bodies
+ */
+const describeTodo = ({ process, todo, assigneeNames }) => [
+  `Recording: ${process.title}`,
+  todo.timestamp !== undefined && todo.timestamp !== null ? `Video time: ${formatVideoTime(todo.timestamp)}` : null,
+  `Priority: ${todo.priority}`,
+  todo.dueDate ? `Due: ${new Date(todo.dueDate).toISOString().slice(0, 10)}` : null,
+  assigneeNames.length ? `Assignees: ${assigneeNames.join(', ')}` : null,
+  `Open in ProcessMind: ${todoUrl(process.id, todo.id)}`
+].filter(Boolean);
+
+/**
+ * GitHub Issues (github.com or GitHub Enterprise through apiUrl).
+ * Completed todos close their issue.
+ */
+const githubConnector = {
+  name: 'github',
+  label: 'GitHub Issues',
+  configFields: ['owner', 'repo'],
+  optionalConfigFields: ['apiUrl'],
+  credentialFields: ['token'],
+  urlField: 'apiUrl',
+
+  normalizeConfig(config = {}) {
+    return {
+      apiUrl: trimUrl(config.apiUrl) || 'https://api.github.com',
+      owner: (config.owner || '').trim(),
+      repo: (config.repo || '').trim()
+    };
+  },
+
+  client(config, credentials) {
+    return trackerClient(`${config.apiUrl}/repos/${encodeURIComponent(config.owner)}/${encodeURIComponent(config.repo)}`, {
+      Authorization: `Bearer ${credentials.token}`,
+      Accept: 'application/vnd.github+json'
+    });
+  },
+
+  async test(config, credentials) {
+    const response = await this.client(config, credentials).get('');
+    return `Connected to ${response.data?.full_name || `${config.owner}/${config.repo}`}`;
+  },
+
+  async upsertIssue(config, credentials, row, link) {
+    const client = this.client(config, credentials);
+    const body = {
+      title: row.todo.task,
+      body: `${describeTodo(row).map(line => `- ${line}`).join('\n')}\n\n_Exported from ProcessMind_`,
+      state: row.todo.status === 'done' ? 'closed' : 'open'
+    };
+
+    if (link) {
+      const response = await client.patch(`/issues/${link.externalId}`, body);
+      return { externalId: String(response.data.number), url: response.data.html_url };
+    }
+
+    const { state, ...created } = body;
+    const response = await client.post('/issues', created);
+    if (state === 'closed') {
+      await client.patch(`/issues/${response.data.number}`, { state });
+    }
+    return { externalId: String(response.data.number), url: response.data.html_url };
+  }
+};
+
+/**
+ * Jira Cloud (email and API token) or Jira Server / Data Center (personal
+ * access token, no email). Uses the v2 REST API, which takes plain-text
+ * descriptions. Workflows differ per project, so statuses are not synced.
+ */
+const jiraConnector = {
+  name: 'jira',
+  label: 'Jira',
+  configFields: ['baseUrl', 'projectKey'],
+  optionalConfigFields: ['issueType', 'email'],
+  credentialFields: ['apiToken'],
+  urlField: 'baseUrl',
+
+  normalizeConfig(config = {}) {
+    return {
+      baseUrl: trimUrl(config.baseUrl),
+      projectKey: (config.projectKey || '').trim().toUpperCase(),
+      issueType: (config.issueType || '').trim() || 'Task',
+      email: (config.email || '').trim()
+    };
+  },
+
+  client(config, credentials) {
+    const authorization = config.email
+      ? `Basic ${Buffer.from(`${config.email}:${credentials.apiToken}`).toString('base64')}`
+      : `Bearer ${credentials.apiToken}`;
+
+    return trackerClient(`${config.baseUrl}/rest/api/2`, { Authorization: authorization, Accept: 'application/json' });
+  },
+
+  async test(config, credentials) {
+    const response = await this.client(config, credentials).get(`/project/${encodeURIComponent(config.projectKey)}`);
+    return `Connected to ${response.data?.name || config.projectKey}`;
+  },
+
+  async upsertIssue(config, credentials, row, link) {
+    const client = this.client(config, credentials);
+    const fields = {
+      summary: row.todo.task.replace(/\s+/g, ' ').slice(0, 255),
+      description: `${describeTodo(row).join('\n')}\n\nStatus in ProcessMind: ${row.todo.status}`,
+      duedate: row.todo.dueDate ? new Date(row.todo.dueDate).toISOString().slice(0, 10) : null
+    };
+
+    if (link) {
+      await client.put(`/issue/${encodeURIComponent(link.externalId)}`, { fields });
+      return { externalId: link.externalId, url: `${config.baseUrl}/browse/${link.externalId}` };
+    }
+
+    const response = await client.post('/issue', {
+      fields: {
+        ...fields,
+        project: { key: config.projectKey },
+        issuetype: { name: config.issueType }
+      }
+    });
+    return { externalId: response.data.key, url: `${config.baseUrl}/browse/${response.data.key}` };
+  }
+};
+
+/**
+ * Export of todo items to issue trackers through per-tenant connections,
+ * CSV/iCalendar files and personal calendar feeds. New trackers register a
+ * connector with normalizeConfig, test and upsertIssue.
+ */
+class TodoExportService {
+  constructor() {
+    this.connectors = new Map();
+    this.registerConnector(githubConnector);
+    this.registerConnector(jiraConnector);
+  }
+
+  /**
+   * Register a tracker connector
+   * @param {Object} connector - { name, label, configFields, optionalConfigFields, credentialFields,
+   *   urlField, normalizeConfig(config), test(config, credentials), upsertIssue(config, credentials, row, link) }
+   */
+  registerConnector(connector) {
+    if (!connector?.name || typeof connector.upsertIssue !== 'function') {
+      throw new Error('Todo connector must have a name and an upsertIssue function');
+    }
+    this.connectors.set(connector.name, connector);
+  }
+
+  getConnector(name) {
+    const connector = this.connectors.get(name);
+    if (!connector) {
+      throw exportError(`Unknown tracker: ${name}`);
+    }
+    return connector;
+  }
+
+  /**
+   * Connectors with the fields their settings form needs
+   */
+  listConnectors() {
+    return [...this.connectors.values()].map(({ name, label, configFields, optionalConfigFields = [], credentialFields }) => ({
+      name,
+      label,
+      configFields,
+      optionalConfigFields,
+      credentialFields
+    }));
+  }
+
+  /**
+   * Tracker connections of a tenant; credentials are reported as present only
+   */
+  async getConnections(tenantId) {
+    return IntegrationConnection.find({ tenantId }).select('+credentials').sort({ type: 1 });
+  }
+
+  /**
+   * Create or update the connection of a tenant to a tracker. Credentials
+   * left out keep their stored value, unless the tracker URL moves to
+   * another host: then they have to be entered again.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} type - Connector name
+   * @param {Object} data - { config, credentials, enabled }
+   * @param {string} userId - User saving the connection
+   * @returns {Promise<Object>} Saved connection
+   */
+  async saveConnection(tenantId, type, { config, credentials, enabled }, userId) {
+    const connector = this.getConnector(type);
+    const connection = await IntegrationConnection.findOne({ tenantId, type }).select('+credentials')
+      || new IntegrationConnection({ tenantId, type, createdBy: userId });
+
+    const nextConfig = connector.normalizeConfig({ ...connection.config, ...config });
+    const missing = connector.configFields.filter(field => !nextConfig[field]);
+    if (missing.length > 0) {
+      throw exportError(`Missing ${missing.join(', ')} for ${connector.label}`);
+    }
+
+    const url = nextConfig[connector.urlField];
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      throw exportError(`Tracker URL not allowed: ${error.message}`);
+    }
+
+    const moved = !!connection.credentials && urlOrigin(connection.config?.[connector.urlField]) !== urlOrigin(url);
+    const stored = connection.credentials && !moved ? secretBox.open(connection.credentials) : {};
+    const nextCredentials = { ...stored };
+    Object.entries(credentials || {}).forEach(([field, value]) => {
+      if (connector.credentialFields.includes(field) && value) nextCredentials[field] = value;
+    });
+    const missingCredentials = connector.credentialFields.filter(field => !nextCredentials[field]);
+    if (missingCredentials.length > 0) {
+      throw exportError(moved
+        ? `The ${connector.label} URL changed, enter the ${missingCredentials.join(', ')} again`
+        : `Missing ${missingCredentials.join(', ')} for ${connector.label}`);
+    }
+
+    connection.config = nextConfig;
+    connection.credentials = secretBox.seal(nextCredentials);
+    if (enabled !== undefined) connection.enabled = enabled;
+    connection.lastError = null;
+    await connection.save();
+
+    logger.info('Tracker connection saved', { tenantId, type, userId });
+    return connection;
+  }
+
+  async deleteConnection(tenantId, type) {
+    const result = await IntegrationConnection.deleteOne({ tenantId, type });
+    if (result.deletedCount === 0) {
+      throw exportError('Connection not found', 404);
+    }
+    logger.info('Tracker connection deleted', { tenantId, type });
+  }
+
+  /**
+   * Stored connection with decrypted credentials, or a 400 error
+   */
+  async loadConnection(tenantId, type, { requireEnabled = true } = {}) {
+    const connector = this.getConnector(type);
+    const connection = await IntegrationConnection.findOne({ tenantId, type }).select('+credentials');
+    if (!connection || (requireEnabled && !connection.enabled)) {
+      throw exportError(`${connector.label} is not connected. Owners and admins can connect it in Settings.`);
+    }
+
+    return { connector, connection, credentials: secretBox.open(connection.credentials) };
+  }
+
+  /**
+   * Check that the stored settings reach the tracker
+   * @returns {Promise<Object>} { ok, message }
+   */
+  async testConnection(tenantId, type) {
+    const { connector, connection, credentials } = await this.loadConnection(tenantId, type, { requireEnabled: false });
+
+    let result;
+    try {
+      result = { ok: true, message: await connector.test(connection.config, credentials) };
+    } catch (error) {
+      result = { ok: false, message: describeRequestError(error, { details: false }) };
+    }
+
+    connection.lastError = result.ok ? null : result.message;
+    await connection.save();
+    return result;
+  }
+
+  /**
+   * Display names of the users assigned to any of the todos
+   * @returns {Promise<Map<string, string>>}
+   */
+  async assigneeNames(tenantId, todos) {
+    const ids = [...new Set(todos.flatMap(todo => (todo.assignees || []).map(id => id.toString())))];
+    if (ids.length === 0) return new Map();
+
+    const users = await User.find({ _id: { $in: ids }, tenantId }).select('firstName lastName email');
+    return new Map(users.map(user => [
+      user._id.toString(),
+      [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email
+    ]));
+  }
+
+  /**
+   * Export rows of todo items: the todo as plain object with id, status and
+   * priority filled in, its process and the assignee names
+   */
+  async buildRows(tenantId, items) {
+    const names = await this.assigneeNames(tenantId, items.map(item => item.todo));
+
+    return items.map(({ process, todo }) => ({
+      process,
+      todo: {
+        ...todo,
+        id: (todo.id || todo._id).toString(),
+        status: todo.status || statusForCompleted(todo.completed),
+        priority: todo.priority || 'medium'
+      },
+      assigneeNames: (todo.assignees || []).map(id => names.get(id.toString())).filter(Boolean)
+    }));
+  }
+
+  /**
+   * Rows for all todos of a process
+   */
+  async getProcessRows(tenantId, processId) {
+    const process = await todoService.findProcess(tenantId, processId);
+    const info = { id: process._id.toString(), title: process.title };
+
+    return this.buildRows(tenantId, process.todoList.map(todo => ({ process: info, todo: todo.toObject() })));
+  }
+
+  /**
+   * Create or update tracker issues for todos of a process. Each todo keeps a
+   * link to its issue, so exporting again updates the issue instead of
+   * creating a duplicate.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} processId - Process ID
+   * @param {string} type - Connector name
+   * @param {Object} options - { todoIds } defaults to all todos
+   * @param {string} userId - User exporting
+   * @returns {Promise<Object>} { created, updated, failed, results: [{ todoId, status, url, error }] }
+   */
+  async exportToTracker(tenantId, processId, type, { todoIds } = {}, userId) {
+    const { connector, connection, credentials } = await this.loadConnection(tenantId, type);
+    const rows = (await this.getProcessRows(tenantId, processId))
+      .filter(row => !todoIds || todoIds.includes(row.todo.id));
+
+    if (rows.length === 0) {
+      throw exportError('No todo items to export');
+    }
+
+    const summary = { created: 0, updated: 0, failed: 0, results: [] };
+
+    // One at a time to stay below tracker rate limits
+    for (const row of rows) {
+      const link = (row.todo.externalLinks || []).find(item => item.connector === type);
+      try {
+        let issue;
+        try {
+          issue = await connector.upsertIssue(connection.config, credentials, row, link);
+        } catch (error) {
+          // The issue was deleted in the tracker, create a new one
+          if (!link || error.response?.status !== 404) throw error;
+          issue = await connector.upsertIssue(connection.config, credentials, row, null);
+        }
+
+        const externalLinks = [
+          ...(row.todo.externalLinks || []).filter(item => item.connector !== type),
+          { connector: type, externalId: issue.externalId, url: issue.url, syncedAt: new Date() }
+        ];
+        // Only the links change, so concurrent edits of the todo list are kept
+        await Process.updateOne(
+          { _id: processId, tenantId, 'todoList._id': new mongoose.Types.ObjectId(row.todo.id) },
+          { $set: { 'todoList.$.externalLinks': externalLinks } }
+        );
+
+        const status = link && issue.externalId === link.externalId ? 'updated' : 'created';
+        summary[status] += 1;
+        summary.results.push({ todoId: row.todo.id, status, url: issue.url });
+      } catch (error) {
+        summary.failed += 1;
+        summary.results.push({ todoId: row.todo.id, status: 'failed', error: describeRequestError(error) });
+      }
+    }
+
+    connection.lastUsedAt = new Date();
+    connection.lastError = summary.results.find(result => result.error)?.error || null;
+    await connection.save();
+
+    logger.info('Todos exported to tracker', {
+      tenantId, processId, type, userId, created: summary.created, updated: summary.updated, failed: summary.failed
+    });
+    return summary;
+  }
+
+  /**
+   * New secret URL of the personal calendar feed; the previous one stops working
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Feed path relative to the API root
+   */
+  async createCalendarFeed(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne(
+      { _id: userId },
+      { $set: { calendarFeedToken: crypto.createHash('sha256').update(token).digest('hex') } }
+    );
+
+    logger.info('Todo calendar feed created', { userId });
+    return `/public/calendar/${token}.ics`;
+  }
+
+  async revokeCalendarFeed(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } });
+    logger.info('Todo calendar feed revoked', { userId });
+  }
+
+  async hasCalendarFeed(userId) {
+    const user = await User.findById(userId).select('+calendarFeedToken');
+    return !!user?.calendarFeedToken;
+  }
+
+  /**
+   * Calendar of the todos with a due date assigned to the owner of a feed token
+   * @param {string} token - Secret from the feed URL
+   * @returns {Promise<string|null>} iCalendar content, null for unknown tokens
+   */
+  async renderCalendarFeed(token) {
+    if (!/^[a-f0-9]{48}$/.test(token || '')) return null;
+
+    const user = await User.findOne({
+      calendarFeedToken: crypto.createHash('sha256').update(token).digest('hex'),
+      isActive: true
+    }).select('tenantId firstName');
+    if (!user) return null;
+
+    const tenantId = user.tenantId.toString();
+    const tasks = await todoService.getAssignedTodos(tenantId, user._id.toString(), { status: 'all' });
+    const rows = await this.buildRows(tenantId, tasks.map(({ processId, processTitle, todo }) => ({
+      process: { id: processId.toString(), title: processTitle },
+      todo
+    })));
+
+    return generateIcs(rows, { name: 'My ProcessMind tasks' });
+  }
+}
+
+module.exports = new TodoExportService();
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const { Process, User, Notification } = require('../models');
+const processHistoryService = require('./processHistoryService');
+const { statusForCompleted } = require('../utils/todos');
+const logger = require('../utils/logger');
+
+// Upper bound for the "My tasks" list
+const MAX_ASSIGNED_TODOS = 500;
+
+const PRIORITY_ORDER = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+const todoError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Todo items as work items: status, priority, assignees, due dates and
+ * comments, and the todos assigned to a user across all processes
+ */
+class TodoService {
+  /**
+   * Process of the tenant, or a 404 error
+   */
+  async findProcess(tenantId, processId) {
+    if (!mongoose.Types.ObjectId.isValid(processId)) {
+      throw todoError('Process not found', 404);
+    }
+
+    const process = await Process.findOne({ _id: processId, tenantId, isDeleted: false });
+    if (!process) {
+      throw todoError('Process not found', 404);
+    }
+    return process;
+  }
+
+  /**
+   * Todo item of a process, or a 404 error
+   */
+  findTodo(process, todoId) {
+    const todo = mongoose.Types.ObjectId.isValid(todoId) ? process.todoList.id(todoId) : null;
+    if (!todo) {
+      throw todoError('Todo item not found', 404);
+    }
+    return todo;
+  }
+
+  /**
+   * Check that every assignee is an active user of the tenant
+   * @returns {Promise<Array<string>>} Unique user IDs
+   */
+  async validateAssignees(tenantId, assignees = []) {
+    const ids = [...new Set(assignees.map(id => id.toString()))];
+    if (ids.length === 0) return ids;
+
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw todoError('Assignees must be members of this workspace');
+    }
+
+    const count = await User.countDocuments({ _id: { $in: ids }, tenantId, isActive: true });
+    if (count !== ids.length) {
+      throw todoError('Assignees must be members of this workspace');
+    }
+    return ids;
+  }
+
+  /**
+   * Copy changed fields onto a todo item. Status and the completed flag are
+   * kept in sync whichever of them is given.
+   * @param {Object} todo - Todo subdocument or plain object
+   * @param {Object} changes - { task, timestamp, completed, status, priority, assignees, dueDate }
+   * @returns {Array<string>} Users assigned by this change
+   */
+  applyChanges(todo, changes) {
+    if (changes.task !== undefined) todo.task = changes.task;
+    if (changes.timestamp !== undefined) todo.timestamp = changes.timestamp ?? undefined;
+    if (changes.priority !== undefined) todo.priority = changes.priority;
+    if (changes.dueDate !== undefined) todo.dueDate = changes.dueDate || null;
+
+    if (changes.status !== undefined) {
+      todo.status = changes.status;
+      todo.completed = changes.status === 'done';
+    } else if (changes.completed !== undefined) {
+      todo.status = statusForCompleted(changes.completed, todo.status);
+      todo.completed = !!changes.completed;
+    }
+
+    if (changes.assignees === undefined) return [];
+
+    const previous = new Set((todo.assignees || []).map(id => id.toString()));
+    todo.assignees = changes.assignees;
+    return changes.assignees.filter(id => !previous.has(id.toString()));
+  }
+
+  /**
+   * Notify newly assigned users; assigning yourself needs no notification.
+   * Failures are logged, the change itself is already saved.
+   */
+  async notifyAssignees(process, todo, userIds, assignedById) {
+    const recipients = userIds.map(id => id.toString()).filter(id => id !== assignedById.toString());
+    if (recipients.length === 0) return;
+
+    try {
+      const fromUser = await User.findById(assignedById).select('firstName lastName email');
+      for (const userId of recipients) {
+        await Notification.createTodoAssignedNotification({ process, todo, userId, fromUser });
+      }
+    } catch (error) {
+      logger.error('Todo assignment notification error:', error);
+    }
+  }
+
+  /**
+   * Update a single todo item
+   * @param {string} tenantId - Tenant ID
+   * @param {string} processId - Process ID
+   * @param {string} todoId - Todo item ID
+   * @param {Object} changes - See applyChanges
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Updated todo item
+   */
+  async updateTodo(tenantId, processId, todoId, changes, userId) {
+    const process = await this.findProcess(tenantId, processId);
+    const todo = this.findTodo(process, todoId);
+    const before = processHistoryService.snapshotOf(process);
+
+    const fields = { ...changes };
+    if (fields.assignees !== undefined) {
+      fields.assignees = await this.validateAssignees(tenantId, fields.assignees);
+    }
+
+    const assigned = this.applyChanges(todo, fields);
+    await process.save();
+    await processHistoryService.record(process, before, { userId });
+    await this.notifyAssignees(process, todo, assigned, userId);
+
+    logger.info('Todo updated', { processId, todoId, tenantId, userId, fields: Object.keys(changes) });
+    return todo;
+  }
+
+  /**
+   * Replace the todo list of a process from a full list edit. Items sent with
+   * their id keep the fields and comments the client did not send.
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} process - Process document, saved by the caller
+   * @param {Array} todoList - Todo items from the request
+   * @returns {Promise<Function>} Sends assignment notifications once the process is saved
+   */
+  async replaceTodoList(tenantId, process, todoList) {
+    const assignments = [];
+    const nextList = [];
+
+    for (const item of todoList) {
+      const id = item.id || item._id;
+      const existing = id && mongoose.Types.ObjectId.isValid(id.toString()) ? process.todoList.id(id) : null;
+      const todo = existing
+        ? existing.toObject()
+        : { task: item.task, status: 'open', completed: false, assignees: [] };
+
+      const changes = { ...item };
+      if (changes.assignees !== undefined) {
+        changes.assignees = await this.validateAssignees(tenantId, changes.assignees);
+      }
+
+      const assigned = this.applyChanges(todo, changes);
+      nextList.push(todo);
+      if (assigned.length > 0) {
+        assignments.push({ index: nextList.length - 1, assigned });
+      }
+    }
+
+    process.todoList = nextList;
+
+    return (userId) => Promise.all(assignments.map(({ index, assigned }) => (
+      this.notifyAssignees(process, process.todoList[index], assigned, userId)
+    )));
+  }
+
+  /**
+   * Todo list after an AI regeneration: items someone is working on (assigned,
+   * commented or with a status) are kept, new items with the same task skipped
+   * @param {Array} current - Current todo subdocuments
+   * @param {Array} generated - Generated todo items
+   * @returns {Array}
+   */
+  mergeRegenerated(current = [], generated = []) {
+    const kept = current.filter(todo => (
+      todo.assignees?.length > 0 || todo.comments?.length > 0 || (todo.status && todo.status !== 'open')
+    ));
+    const keptTasks = new Set(kept.map(todo => todo.task.trim().toLowerCase()));
+
+    return [
+      ...kept,
+      ...generated.filter(todo => !keptTasks.has((todo.task || '').trim().toLowerCase()))
+    ];
+  }
+
+  /**
+   * Add a comment to a todo item
+   * @returns {Promise<Object>} Created comment
+   */
+  async addComment(tenantId, processId, todoId, userId, text) {
+    const process = await this.findProcess(tenantId, processId);
+    const todo = this.findTodo(process, todoId);
+
+    todo.comments.push({ userId, text });
+    await process.save();
+
+    logger.info('Todo comment added', { processId, todoId, tenantId, userId });
+    return todo.comments[todo.comments.length - 1];
+  }
+
+  /**
+   * Remove a comment; authors remove their own, owners and admins any
+   */
+  async deleteComment(tenantId, processId, todoId, commentId, user) {
+    const process = await this.findProcess(tenantId, processId);
+    const todo = this.findTodo(process, todoId);
+
+    const comment = mongoose.Types.ObjectId.isValid(commentId) ? todo.comments.id(commentId) : null;
+    if (!comment) {
+      throw todoError('Comment not found', 404);
+    }
+
+    if (comment.userId.toString() !== user.id && !['owner', 'admin'].includes(user.role)) {
+      throw todoError('Only the author can delete this comment', 403);
+    }
+
+    comment.deleteOne();
+    await process.save();
+
+    logger.info('Todo comment deleted', { processId, todoId, commentId, tenantId, userId: user.id });
+  }
+
+  /**
+   * Todos assigned to a user across all processes of the tenant, overdue and
+   * due first, then by priority
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Assignee
+   * @param {Object} options - { status: 'active' | 'all' | one of TODO_STATUSES }
+   * @returns {Promise<Array>} [{ processId, processTitle, todo }]
+   */
+  async getAssignedTodos(tenantId, userId, { status = 'active' } = {}) {
+    const assignee = new mongoose.Types.ObjectId(userId);
+    const todoMatch = { 'todoList.assignees': assignee };
+    if (status === 'active') {
+      todoMatch['todoList.status'] = { $ne: 'done' };
+    } else if (status !== 'all') {
+      todoMatch['todoList.status'] = status;
+    }
+
+    const rows = await Process.aggregate([
+      { $match: { tenantId: new mongoose.Types.ObjectId(tenantId), isDeleted: false, 'todoList.assignees': assignee } },
+      { $unwind: '$todoList' },
+      { $match: todoMatch },
+      { $limit: MAX_ASSIGNED_TODOS },
+      { $project: { _id: 0, processId: '$_id', processTitle: '$title', todo: '$todoList' } }
+    ]);
+
+    const dueTime = (row) => (row.todo.dueDate ? new Date(row.todo.dueDate).getTime() : Infinity);
+
+    return rows
+      .map(row => {
+        const { _id, comments = [], ...todo } = row.todo;
+        return {
+          processId: row.processId,
+          processTitle: row.processTitle,
+          todo: {
+            ...todo,
+            id: _id,
+            status: todo.status || statusForCompleted(todo.completed),
+            priority: todo.priority || 'medium',
+            commentCount: comments.length
+          }
+        };
+      })
+      .sort((a, b) => (
+        dueTime(a) - dueTime(b) ||
+        PRIORITY_ORDER[a.todo.priority] - PRIORITY_ORDER[b.todo.priority]
+      ));
+  }
+}
+
+module.exports = new TodoService();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { Process, TranscriptChunk } = require('../models');
+const aiService = require('./aiService');
+const logger = require('../utils/logger');
+
+// A chunk ends at whichever limit is reached first
+const CHUNK_MAX_SECONDS = 60;
+const CHUNK_MAX_CHARS = 800;
+
+/**
+ * Transcript chunks with embeddings, the retrieval unit of "Ask this video"
+ * and the knowledge assistant
+ */
+class TranscriptChunkService {
+  /**
+   * Group consecutive transcript segments into chunks for retrieval
+   * @param {Array} segments - transcript.segments
+   * @returns {Array} { index, segmentStart, segmentEnd, start, end, text }
+   */
+  buildChunks(segments = []) {
+    const chunks = [];
+    let current = null;
+
+    segments.forEach((segment, segmentIndex) => {
+      const text = (segment.text || '').trim();
+      if (!text) return;
+
+      if (current && (
+        segment.end - current.start > CHUNK_MAX_SECONDS ||
+        current.text.length + text.length > CHUNK_MAX_CHARS
+      )) {
+        chunks.push(current);
+        current = null;
+      }
+
+      if (!current) {
+        current = {
+          index: chunks.length,
+          segmentStart: segmentIndex,
+          segmentEnd: segmentIndex,
+          start: segment.start,
+          end: segment.end,
+          text
+        };
+        return;
+      }
+
+      current.segmentEnd = segmentIndex;
+      current.end = segment.end;
+      current.text += ` ${text}`;
+    });
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Fingerprint of the segments, changes with every transcript edit or re-transcription
+   */
+  hashSegments(segments = []) {
+    const hash = crypto.createHash('sha1');
+    segments.forEach(segment => hash.update(`${segment.start}|${segment.end}|${segment.text}\n`));
+    return hash.digest('hex');
+  }
+
+  /**
+   * Embedding provider options and model of a tenant
+   * @returns {Promise<Object>} { options, model }
+   */
+  async resolveEmbeddingModel(tenantId) {
+    const options = await aiService.resolveTenantOptions(tenantId, 'embedding');
+    const model = options.model || aiService.getProvider(options.provider).defaultEmbeddingModel();
+    return { options: { ...options, model }, model };
+  }
+
+  /**
+   * Embedded chunks of the process transcript, rebuilt when the transcript
+   * or the tenant's embedding model changed since they were stored
+   * @param {Object} process - Process document with tenantId and transcript.segments
+   * @returns {Promise<Object>} { chunks, rebuilt, tokensUsed }
+   */
+  async indexProcess(process) {
+    const segments = process.transcript?.segments || [];
+    const transcriptHash = this.hashSegments(segments);
+    const { options, model } = await this.resolveEmbeddingModel(process.tenantId);
+
+    const stored = await TranscriptChunk.find({ processId: process._id })
+      .sort({ index: 1 })
+      .lean();
+
+    if (stored.length > 0 && stored.every(chunk => chunk.transcriptHash === transcriptHash && chunk.embeddingModel === model)) {
+      return { chunks: stored, rebuilt: false, tokensUsed: 0 };
+    }
+
+    const chunks = this.buildChunks(segments);
+    const { embeddings, tokensUsed } = chunks.length > 0
+      ? await aiService.embedMany(chunks.map(chunk => chunk.text), options)
+      : { embeddings: [], tokensUsed: 0 };
+
+    const documents = chunks.map((chunk, i) => ({
+      ...chunk,
+      tenantId: process.tenantId,
+      processId: process._id,
+      transcriptHash,
+      embedding: embeddings[i],
+      embeddingModel: model
+    }));
+
+    await TranscriptChunk.deleteMany({ processId: process._id });
+    await TranscriptChunk.insertMany(documents);
+
+    logger.info('Transcript chunks embedded', {
+      processId: process._id,
+      chunks: documents.length,
+      model
+    });
+
+    return { chunks: documents, rebuilt: true, tokensUsed };
+  }
+
+  /**
+   * Queue (re-)indexing of every transcribed process, e.g. after the tenant
+   * switched its embedding model. Up-to-date processes are skipped by the job.
+   * @param {string|null} tenantId - Tenant ID, null for all tenants
+   * @returns {Promise<number>} Number of queued jobs
+   */
+  async queueReindex(tenantId = null) {
+    // Loaded lazily, the queue connection is not needed to build chunks
+    const { queueMethods } = require('../config/bullmq');
+
+    const processes = await Process.find({
+      ...(tenantId && { tenantId }),
+      isDeleted: false,
+      'transcript.segments.0': { $exists: true }
+    }).select('_id').lean();
+
+    for (const process of processes) {
+      await queueMethods.addTranscriptIndexJob(process._id.toString(), 0);
+    }
+
+    logger.info('Transcript re-indexing queued', { tenantId, processes: processes.length });
+    return processes.length;
+  }
+
+  /**
+   * Lowercase words for the keyword fallback when embeddings are unavailable
+   */
+  tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 2);
+  }
+
+  /**
+   * Number of question words that occur in the text
+   */
+  keywordScore(questionWords, text) {
+    const words = new Set(this.tokenize(text));
+    return questionWords.filter(word => words.has(word)).length;
+  }
+}
+
+module.exports = new TranscriptChunkService();
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { TranscriptRevision } = require('../models');
+const logger = require('../utils/logger');
+
+// Shortest segment we allow after a split or retime (seconds)
+const MIN_SEGMENT_DURATION = 0.1;
+
+class TranscriptEditService {
+  /**
+   * Build the full transcript text from segments
+   * @param {Array} segments - Transcript segments
+   * @returns {string} Joined text
+   */
+  deriveText(segments) {
+    return segments
+      .map(segment => segment.text?.trim())
+      .filter(text => text && text.length > 0)
+      .join(' ');
+  }
+
+  /**
+   * Plain copy of segments (works for Mongoose subdocuments and plain objects)
+   */
+  toPlainSegments(segments = []) {
+    return segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      speaker: segment.speaker || null
+    }));
+  }
+
+  /**
+   * Apply edit operations in order. Indexes refer to the segment list as it is
+   * after the previous operation, so a client can send e.g. split(3) then update(4).
+   * @param {Array} segments - Current segments
+   * @param {Array} operations - [{ type: 'update'|'split'|'merge'|'delete', index, ... }]
+   * @returns {Array} New segments
+   */
+  applyOperations(segments, operations) {
+    const result = this.toPlainSegments(segments);
+
+    operations.forEach((operation, position) => {
+      const { type, index } = operation;
+      const label = `Operation ${position + 1} (${type})`;
+
+      if (!Number.isInteger(index) || index < 0 || index >= result.length) {
+        throw this.editError(`${label}: segment index ${index} does not exist`);
+      }
+
+      const segment = result[index];
+
+      switch (type) {
+        case 'update': {
+          const updated = { ...segment };
+          if (operation.text !== undefined) updated.text = operation.text.trim();
+          if (operation.start !== undefined) updated.start = operation.start;
+          if (operation.end !== undefined) updated.end = operation.end;
+          if (operation.speaker !== undefined) updated.speaker = operation.speaker || null;
+
+          if (!updated.text) {
+            throw this.editError(`${label}: segment text cannot be empty, delete the segment instead`);
+          }
+          result[index] = updated;
+          break;
+        }
+
+        case 'split': {
+          const { at, textOffset } = operation;
+          const text = segment.text;
+
+          if (typeof at !== 'number' ||
+              at - segment.start < MIN_SEGMENT_DURATION ||
+              segment.end - at < MIN_SEGMENT_DURATION) {
+            throw this.editError(`${label}: split time must lie inside the segment (${segment.start}s - ${segment.end}s)`);
+          }
+          if (!Number.isInteger(textOffset) || textOffset <= 0 || textOffset >= text.length) {
+            throw this.editError(`${label}: text offset must split the segment text into two parts`);
+          }
+
+          const firstText = text.slice(0, textOffset).trim();
+          const secondText = text.slice(textOffset).trim();
+          if (!firstText || !secondText) {
+            throw this.editError(`${label}: both parts of a split need text`);
+          }
+
+          result.splice(index, 1,
+            { ...segment, end: at, text: firstText },
+            { ...segment, start: at, text: secondText }
+          );
+          break;
+        }
+
+        case 'merge': {
+          const next = result[index + 1];
+          if (!next) {
+            throw this.editError(`${label}: the last segment has no following segment to merge with`);
+          }
+
+          result.splice(index, 2, {
+            start: Math.min(segment.start, next.start),
+            end: Math.max(segment.end, next.end),
+            text: `${segment.text.trim()} ${next.text.trim()}`.trim(),
+            speaker: segment.speaker || next.speaker || null
+          });
+          break;
+        }
+
+        case 'delete':
+          result.splice(index, 1);
+          break;
+
+        default:
+          throw this.editError(`${label}: unknown operation type`);
+      }
+    });
+
+    this.validateSegments(result);
+    return result;
+  }
+
+  /**
+   * Check timing after edits: valid ranges and chronological order
+   */
+  validateSegments(segments) {
+    segments.forEach((segment, index) => {
+      if (segment.start < 0 || segment.end - segment.start < MIN_SEGMENT_DURATION) {
+        throw this.editError(`Segment ${index} has an invalid time range (${segment.start}s - ${segment.end}s)`);
+      }
+      if (index > 0 && segment.start < segments[index - 1].start) {
+        throw this.editError(`Segment ${index} starts before the previous segment; retiming cannot reorder segments`);
+      }
+    });
+  }
+
+  /**
+   * Store the pipeline transcript as revision 0 before the first edit
+   * @param {Object} process - Process document
+   */
+  async ensureBaseline(process) {
+    const latest = await TranscriptRevision.getLatestRevisionNumber(process._id);
+    if (latest !== null) {
+      return latest;
+    }
+
+    await TranscriptRevision.create({
+      tenantId: process.tenantId,
+      processId: process._id,
+      revision: 0,
+      userId: null,
+      operations: ['original'],
+      segments: this.toPlainSegments(process.transcript.segments)
+    });
+
+    return 0;
+  }
+
+  /**
+   * Replace the transcript segments and record a new revision. The process is
+   * only saved if its transcript is still the revision it was loaded with, so
+   * of two concurrent edits the second fails with 409 instead of overwriting
+   * the first.
+   * @param {Object} process - Process document (saved by this method)
+   * @param {Array} segments - New segments
+   * @param {Object} meta - { userId, operations, revertedFrom }
+   * @returns {Promise<Object>} Created revision
+   */
+  async commit(process, segments, { userId, operations, revertedFrom = null }) {
+    const loadedRevision = process.transcript.revision || 0;
+    const latest = await this.ensureBaseline(process);
+    const revisionNumber = latest + 1;
+
+    process.transcript.segments = segments;
+    process.transcript.text = this.deriveText(segments);
+    process.transcript.revision = revisionNumber;
+
+    // Transcripts never edited have no revision number stored
+    process.$where = { 'transcript.revision': loadedRevision === 0 ? { $in: [0, null] } : loadedRevision };
+    try {
+      await process.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        throw this.conflictError();
+      }
+      throw error;
+    } finally {
+      delete process.$where;
+    }
+
+    const revision = await TranscriptRevision.create({
+      tenantId: process.tenantId,
+      processId: process._id,
+      revision: revisionNumber,
+      userId,
+      operations: [...new Set(operations)],
+      revertedFrom,
+      segments: this.toPlainSegments(segments)
+    });
+
+    logger.info('Transcript revision created', {
+      processId: process._id.toString(),
+      revision: revisionNumber,
+      operations: revision.operations,
+      segmentCount: segments.length
+    });
+
+    await this.queueReindex(process);
+
+    return revision;
+  }
+
+  /**
+   * Re-embed the transcript chunks of the knowledge assistant in the background
+   */
+  async queueReindex(process) {
+    try {
+      // Loaded lazily, the queue connection is not needed to edit segments
+      const { queueMethods } = require('../config/bullmq');
+      await queueMethods.addTranscriptIndexJob(process._id.toString());
+    } catch (error) {
+      // The index is refreshed with the next edit or question
+      logger.warn('Failed to queue transcript re-indexing', {
+        processId: process._id.toString(),
+        error: error.message
+      });
+    }
+  }
+
+  conflictError() {
+    const error = new Error('Transcript was changed by someone else. Reload and apply your edits again');
+    error.statusCode = 409;
+    return error;
+  }
+
+  editError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new TranscriptEditService();
@@ -2,36 +2,157 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const FormData = require('form-data');
 const logger = require('../utils/logger');
+const { SUPPORTED_LANGUAGES, DEFAULT_TRANSCRIPTION_PROVIDER } = require('../utils/transcriptionSettings');
+
+/**
+ * Multipart body of the Whisper transcription API. Self-hosted servers
+ * (faster-whisper, whisper.cpp) accept the same fields.
+ */
+const buildWhisperForm = (audioBuffer, filename, model, options) => {
+  const formData = new FormData();
+
+  formData.append('file', audioBuffer, {
+    filename,
+    contentType: 'audio/wav'
+  });
+
+  // Set transcription parameters
+  formData.append('model', model);
+  formData.append('response_format', options.responseFormat || 'verbose_json');
+
+  // Language detection (auto by default)
+  if (options.language) {
+    formData.append('language', options.language);
+  }
 
-class TranscriptionService {
-  constructor() {
-    this.openaiAPIKey = process.env.OPENAI_API_KEY;
-    this.openaiBaseURL = 'https://api.openai.com/v1';
-    
-    if (!this.openaiAPIKey) {
+  // Temperature for creativity (0.0 - 1.0)
+  formData.append('temperature', (options.temperature || 0).toString());
+
+  // Timestamp granularities
+  if (options.timestampGranularities) {
+    options.timestampGranularities.forEach(granularity => {
+      formData.append('timestamp_granularities[]', granularity);
+    });
+  }
+
+  // Optional prompt for context/style
+  if (options.prompt) {
+    formData.append('prompt', options.prompt);
+  }
+
+  return formData;
+};
+
+/**
+ * OpenAI Whisper API
+ */
+const openaiProvider = {
+  name: 'openai',
+  maxFileSizeMB: 25,
+
+  async transcribe(audioBuffer, filename, options = {}) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
       throw new Error('OpenAI API key is required. Set OPENAI_API_KEY environment variable.');
     }
 
-    // Configure axios for OpenAI API
-    this.client = axios.create({
-      baseURL: this.openaiBaseURL,
+    const model = options.model || process.env.WHISPER_MODEL || 'whisper-1';
+    const formData = buildWhisperForm(audioBuffer, filename, model, options);
+
+    const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', formData, {
       headers: {
-        'Authorization': `Bearer ${this.openaiAPIKey}`,
+        ...formData.getHeaders(),
+        'Authorization': `Bearer ${apiKey}`
       },
-      timeout: 300000, // 5 minutes timeout for transcription
+      timeout: 300000 // 5 minutes timeout for transcription
+    });
+
+    return response.data;
+  }
+};
+
+/**
+ * Self-hosted Whisper-compatible server, so audio never leaves our infrastructure.
+ * Expects POST {WHISPER_SELF_HOSTED_URL}{WHISPER_SELF_HOSTED_PATH} with the OpenAI
+ * form fields and a verbose_json response ({ text, language, duration, segments }).
+ */
+const selfHostedProvider = {
+  name: 'self_hosted',
+  maxFileSizeMB: null, // Limited by the server configuration only
+
+  async transcribe(audioBuffer, filename, options = {}) {
+    const baseURL = process.env.WHISPER_SELF_HOSTED_URL;
+    if (!baseURL) {
+      throw new Error('WHISPER_SELF_HOSTED_URL is required for the self-hosted transcription provider');
+    }
+
+    // The server decides which model it runs; options.model refers to OpenAI models
+    const model = process.env.WHISPER_SELF_HOSTED_MODEL || 'whisper-1';
+    const formData = buildWhisperForm(audioBuffer, filename, model, options);
+
+    const headers = { ...formData.getHeaders() };
+    if (process.env.WHISPER_SELF_HOSTED_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.WHISPER_SELF_HOSTED_API_KEY}`;
+    }
+
+    const endpoint = process.env.WHISPER_SELF_HOSTED_PATH || '/v1/audio/transcriptions';
+    const response = await axios.post(`${baseURL.replace(/\/$/, '')}${endpoint}`, formData, {
+      headers,
+      timeout: 900000, // 15 minutes, CPU-only servers are much slower than the API
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
     });
+
+    // Some servers answer with a JSON string when no content type is set
+    const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    if (typeof data?.text !== 'string') {
+      throw new Error('Self-hosted transcription server returned no text');
+    }
+
+    return data;
+  }
+};
+
+class TranscriptionService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(openaiProvider);
+    this.registerProvider(selfHostedProvider);
   }
 
   /**
-   * Transcribe a single audio segment using OpenAI Whisper API
+   * Register a transcription backend
+   * @param {Object} provider - { name, maxFileSizeMB, transcribe(audioBuffer, filename, options) => verbose_json }
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.transcribe !== 'function') {
+      throw new Error('Transcription provider must have a name and a transcribe function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const providerName = name || DEFAULT_TRANSCRIPTION_PROVIDER;
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw new Error(`Unknown transcription provider: ${providerName}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Transcribe a single audio segment with the configured Whisper provider
    * @param {string} audioPath - Path to audio segment file
    * @param {number} segmentIndex - Index of the segment
    * @param {number} startTime - Start time offset in seconds
-   * @param {Object} options - Transcription options
+   * @param {Object} options - Transcription options (provider, language, prompt, ...)
    * @returns {Promise<Object>} Transcription result
    */
   async transcribeAudioSegment(audioPath, segmentIndex, startTime = 0, options = {}) {
     const requestStartTime = Date.now();
+    const provider = this.getProvider(options.provider);
     
     try {
       logger.info('Starting transcription', {
@@ -49,12 +170,13 @@ class TranscriptionService {
         audioPath,
         fileSize: fileStats.size,
         fileSizeMB: fileSizeMB.toFixed(2),
-        segmentIndex
+        segmentIndex,
+        provider: provider.name
       });
       
       // Whisper API has a 25MB file size limit
-      if (fileSizeMB > 25) {
-        throw new Error(`Audio file too large: ${fileSizeMB.toFixed(2)}MB (max 25MB)`);
+      if (provider.maxFileSizeMB && fileSizeMB > provider.maxFileSizeMB) {
+        throw new Error(`Audio file too large: ${fileSizeMB.toFixed(2)}MB (max ${provider.maxFileSizeMB}MB)`);
       }
       
       // Check for very small files that might be silent
@@ -102,8 +224,6 @@ class TranscriptionService {
         });
       }
 
-      // Create form data for multipart upload
-      const formData = new FormData();
       const audioBuffer = await fs.readFile(audioPath);
       
       // Additional validation for buffer
@@ -130,47 +250,17 @@ class TranscriptionService {
         segmentIndex
       });
       
-      formData.append('file', audioBuffer, {
-        filename: `segment_${segmentIndex.toString().padStart(3, '0')}.wav`,
-        contentType: 'audio/wav'
-      });
-      
-      // Set transcription parameters
-      formData.append('model', options.model || 'whisper-1');
-      formData.append('response_format', options.responseFormat || 'verbose_json');
-      
-      // Language detection (auto by default)
-      if (options.language) {
-        formData.append('language', options.language);
-      }
-      
-      // Temperature for creativity (0.0 - 1.0)
-      formData.append('temperature', (options.temperature || 0).toString());
-      
-      // Timestamp granularities
-      if (options.timestampGranularities) {
-        options.timestampGranularities.forEach(granularity => {
-          formData.append('timestamp_granularities[]', granularity);
-        });
-      }
-
-      // Optional prompt for context/style
-      if (options.prompt) {
-        formData.append('prompt', options.prompt);
-      }
-
-      // Make API request
-      const response = await this.client.post('/audio/transcriptions', formData, {
-        headers: {
-          ...formData.getHeaders(),
-        },
-      });
+      const transcriptionData = await provider.transcribe(
+        audioBuffer,
+        `segment_${segmentIndex.toString().padStart(3, '0')}.wav`,
+        options
+      );
 
       const processingTime = (Date.now() - requestStartTime) / 1000;
-      const transcriptionData = response.data;
 
       logger.info('Whisper API response received', {
         segmentIndex,
+        provider: provider.name,
         responseType: typeof transcriptionData,
         hasText: !!transcriptionData?.text,
         textLength: transcriptionData?.text?.length || 0,
@@ -199,8 +289,8 @@ class TranscriptionService {
           duration: transcriptionData.duration,
           segments: transcriptionData.segments?.map(segment => ({
             id: segment.id,
-            start: segment.start + startTime, // Adjust timing for segment offset
-            end: segment.end + startTime,
+            start: Number(segment.start) + startTime, // Adjust timing for segment offset
+            end: Number(segment.end) + startTime,
             text: segment.text,
             temperature: segment.temperature,
             avgLogprob: segment.avg_logprob,
@@ -209,7 +299,8 @@ class TranscriptionService {
             tokens: segment.tokens
           })) || [],
           processingTime,
-          fileSizeMB: Math.round(fileSizeMB * 100) / 100
+          fileSizeMB: Math.round(fileSizeMB * 100) / 100,
+          provider: provider.name
         };
       } else {
         // Simple text format
@@ -240,22 +331,24 @@ class TranscriptionService {
         segmentIndex,
         audioPath,
         processingTime,
+        provider: provider.name,
         status: error.response?.status,
         statusText: error.response?.statusText
       });
 
-      // Handle specific OpenAI API errors
+      // Handle specific API errors
       if (error.response) {
         const { status, data } = error.response;
+        const service = provider.name === 'openai' ? 'OpenAI API' : 'Self-hosted transcription server';
         
         if (status === 413) {
-          throw new Error('Audio file too large for Whisper API (max 25MB)');
+          throw new Error(`Audio file too large for ${service}`);
         } else if (status === 429) {
-          throw new Error('OpenAI API rate limit exceeded. Please try again later.');
+          throw new Error(`${service} rate limit exceeded. Please try again later.`);
         } else if (status === 401) {
-          throw new Error('Invalid OpenAI API key');
+          throw new Error(`Invalid ${service} key`);
         } else if (status === 400) {
-          throw new Error(`Invalid request: ${data.error?.message || 'Unknown error'}`);
+          throw new Error(`Invalid request: ${data?.error?.message || 'Unknown error'}`);
         }
       }
 
@@ -436,15 +529,7 @@ class TranscriptionService {
    * @returns {Array} Array of supported language codes
    */
   getSupportedLanguages() {
-    return [
-      'af', 'am', 'ar', 'as', 'az', 'ba', 'be', 'bg', 'bn', 'bo', 'br', 'bs', 'ca', 'cs', 'cy',
-      'da', 'de', 'el', 'en', 'es', 'et', 'eu', 'fa', 'fi', 'fo', 'fr', 'gl', 'gu', 'ha', 'haw',
-      'he', 'hi', 'hr', 'ht', 'hu', 'hy', 'id', 'is', 'it', 'ja', 'jw', 'ka', 'kk', 'km', 'kn',
-      'ko', 'la', 'lb', 'ln', 'lo', 'lt', 'lv', 'mg', 'mi', 'mk', 'ml', 'mn', 'mr', 'ms', 'mt',
-      'my', 'ne', 'nl', 'nn', 'no', 'oc', 'pa', 'pl', 'ps', 'pt', 'ro', 'ru', 'sa', 'sd', 'si',
-      'sk', 'sl', 'sn', 'so', 'sq', 'sr', 'su', 'sv', 'sw', 'ta', 'te', 'tg', 'th', 'tk', 'tl',
-      'tr', 'tt', 'uk', 'ur', 'uz', 'vi', 'yi', 'yo', 'zh'
-    ];
+    return SUPPORTED_LANGUAGES;
   }
 
   /**
@@ -0,0 +1,181 @@
+const { Process, ProcessConversation, TenantUsage } = require('../models');
+const aiService = require('./aiService');
+const transcriptChunkService = require('./transcriptChunkService');
+const logger = require('../utils/logger');
+
+// Chunks passed to the model; transcripts with fewer chunks are sent whole
+const MAX_CONTEXT_CHUNKS = 6;
+
+// Earlier messages sent along so follow-up questions work
+const MAX_HISTORY_MESSAGES = 6;
+
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+/**
+ * "Ask this video": answers questions about a single process from the
+ * transcript chunks most similar to the question, citing transcript segments
+ */
+class VideoQaService {
+  /**
+   * Chunks relevant to the question. Falls back to word overlap when the
+   * embedding provider is unavailable.
+   * @returns {Promise<Object>} { chunks (chronological), degraded, embeddingTokens }
+   */
+  async retrieveChunks(process, question) {
+    const segments = process.transcript?.segments || [];
+    const allChunks = transcriptChunkService.buildChunks(segments);
+
+    if (allChunks.length <= MAX_CONTEXT_CHUNKS) {
+      return { chunks: allChunks, degraded: false, embeddingTokens: 0 };
+    }
+
+    let scored;
+    let degraded = false;
+    let embeddingTokens = 0;
+
+    try {
+      const { chunks, tokensUsed } = await transcriptChunkService.indexProcess(process);
+      const { options } = await transcriptChunkService.resolveEmbeddingModel(process.tenantId);
+      const { embedding, tokensUsed: questionTokens } = await aiService.generateEmbedding(question, {
+        ...options,
+        minLength: 2
+      });
+      embeddingTokens = tokensUsed + (questionTokens || 0);
+
+      scored = chunks.map(chunk => ({
+        chunk,
+        score: Process.calculateSimilarity(embedding, chunk.embedding)
+      }));
+    } catch (error) {
+      logger.warn('Question embedding failed, falling back to keyword retrieval', {
+        processId: process._id,
+        error: error.message
+      });
+
+      degraded = true;
+      const words = transcriptChunkService.tokenize(question);
+      scored = allChunks.map(chunk => ({
+        chunk,
+        score: transcriptChunkService.keywordScore(words, chunk.text)
+      }));
+    }
+
+    const chunks = scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CONTEXT_CHUNKS)
+      .map(item => item.chunk)
+      .sort((a, b) => a.start - b.start);
+
+    return { chunks, degraded, embeddingTokens };
+  }
+
+  /**
+   * Citations of an answer mapped to transcript segments; numbers that were
+   * not among the excerpts are dropped
+   * @param {string} answer - Answer with [segmentIndex] markers
+   * @param {Array} excerpts - Segments that were sent to the model
+   * @returns {Array} { segmentIndex, start, end, text } in order of first mention
+   */
+  extractCitations(answer, excerpts) {
+    const bySegment = new Map(excerpts.map(excerpt => [excerpt.segmentIndex, excerpt]));
+    const citations = [];
+    const seen = new Set();
+
+    for (const match of answer.matchAll(CITATION_PATTERN)) {
+      const segmentIndex = parseInt(match[1]);
+      const excerpt = bySegment.get(segmentIndex);
+      if (!excerpt || seen.has(segmentIndex)) continue;
+
+      seen.add(segmentIndex);
+      citations.push({
+        segmentIndex,
+        start: excerpt.start,
+        end: excerpt.end,
+        text: excerpt.text.slice(0, 300)
+      });
+    }
+
+    return citations;
+  }
+
+  /**
+   * Answer a question about a process and store both messages in the user's conversation
+   * @param {Object} process - Process document with tenantId and (non-empty) transcript.segments
+   * @param {string} userId - Asking user
+   * @param {string} question - Question text
+   * @param {Function} onDelta - Called with each piece of the answer while it is generated
+   * @returns {Promise<Object>} { question, answer (stored messages), degraded }
+   */
+  async ask(process, userId, question, onDelta) {
+    const segments = process.transcript?.segments || [];
+    const { chunks, degraded, embeddingTokens } = await this.retrieveChunks(process, question);
+
+    const excerpts = chunks.flatMap(chunk => segments
+      .slice(chunk.segmentStart, chunk.segmentEnd + 1)
+      .map((segment, offset) => ({
+        segmentIndex: chunk.segmentStart + offset,
+        start: segment.start,
+        end: segment.end,
+        text: segment.text
+      }))
+      .filter(excerpt => excerpt.text?.trim()));
+
+    const conversation = await ProcessConversation.findOne({ processId: process._id, userId })
+      .select({ messages: { $slice: -MAX_HISTORY_MESSAGES } })
+      .lean();
+
+    const options = await aiService.resolveTenantOptions(process.tenantId, 'chat');
+
+    let result;
+    try {
+      result = await aiService.answerQuestion(question, excerpts, conversation?.messages || [], options, onDelta);
+    } catch (error) {
+      const serviceError = new Error('The AI provider is not available right now, please try again later');
+      serviceError.statusCode = 503;
+      throw serviceError;
+    }
+
+    const now = new Date();
+    const updated = await ProcessConversation.appendMessages(process.tenantId, process._id, userId, [
+      { role: 'user', content: question, createdAt: now },
+      {
+        role: 'assistant',
+        content: result.answer,
+        citations: this.extractCitations(result.answer, excerpts),
+        createdAt: now
+      }
+    ]);
+
+    await TenantUsage.recordAiUsage(process.tenantId, {
+      videoQuestions: 1,
+      chatTokens: result.tokensUsed,
+      embeddingTokens
+    });
+
+    logger.info('Video question answered', {
+      processId: process._id,
+      userId,
+      excerpts: excerpts.length,
+      degraded,
+      tokensUsed: result.tokensUsed
+    });
+
+    const [userMessage, answer] = updated.toJSON().messages.slice(-2);
+    return { question: userMessage, answer, degraded };
+  }
+
+  /**
+   * Conversation of a user about a process
+   * @returns {Promise<Array>} Messages, oldest first
+   */
+  async getHistory(processId, userId) {
+    const conversation = await ProcessConversation.findOne({ processId, userId });
+    return conversation ? conversation.toJSON().messages : [];
+  }
+
+  async clearHistory(processId, userId) {
+    await ProcessConversation.deleteOne({ processId, userId });
+  }
+}
+
+module.exports = new VideoQaService();
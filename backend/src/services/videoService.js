@@ -350,9 +350,10 @@ class VideoService {
    * @param {string} videoPath - Path to video file
    * @param {string} outputPath - Output thumbnail path
    * @param {number} timeOffset - Time offset in seconds (default: 10% of duration)
+   * @param {string} size - Output size, '?' keeps the aspect ratio (e.g. '640x?')
    * @returns {Promise<string>} Thumbnail path
    */
-  async extractThumbnail(videoPath, outputPath, timeOffset = null) {
+  async extractThumbnail(videoPath, outputPath, timeOffset = null, size = '320x240') {
     try {
       const metadata = await this.getVideoMetadata(videoPath);
       const seekTime = timeOffset || Math.max(1, metadata.duration * 0.1);
@@ -365,7 +366,7 @@ class VideoService {
         ffmpeg(videoPath)
           .seekInput(seekTime)
           .frames(1)
-          .size('320x240')
+          .size(size)
           .format('jpg')
           .on('error', (error) => {
             logger.error('Thumbnail extraction error:', error);
@@ -388,6 +389,246 @@ class VideoService {
     }
   }
 
+  /**
+   * Render a grid of evenly spaced preview frames into one image (scrub-preview sprite)
+   * @param {string} videoPath - Path to video file
+   * @param {string} outputPath - Output sprite path (jpg)
+   * @param {Object} layout - { interval, columns, rows, tileWidth, tileHeight } from getSpriteLayout
+   * @returns {Promise<string>} Sprite path
+   */
+  async generateSpriteSheet(videoPath, outputPath, layout) {
+    try {
+      const outputDir = path.dirname(outputPath);
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const { interval, columns, rows, tileWidth, tileHeight } = layout;
+
+      return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+          .videoFilters([
+            `fps=1/${interval}`,
+            // Letterbox every frame into the tile so the grid offsets stay fixed
+            `scale=${tileWidth}:${tileHeight}:force_original_aspect_ratio=decrease`,
+            `pad=${tileWidth}:${tileHeight}:(ow-iw)/2:(oh-ih)/2`,
+            `tile=${columns}x${rows}`
+          ])
+          .noAudio()
+          .frames(1)
+          .addOption('-q:v', 5)
+          .on('error', (error) => {
+            logger.error('Sprite sheet generation error:', error);
+            reject(error);
+          })
+          .on('end', () => {
+            logger.info('Sprite sheet generated successfully', {
+              video: videoPath,
+              sprite: outputPath,
+              interval,
+              grid: `${columns}x${rows}`
+            });
+            resolve(outputPath);
+          })
+          .save(outputPath);
+      });
+
+    } catch (error) {
+      logger.error('Sprite sheet setup error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Package a video as HLS: one H.264/AAC media playlist with segments per rendition
+   * @param {string} inputPath - Path to source video
+   * @param {string} outputDir - Output directory; each rendition gets a sub-directory named after it
+   * @param {Array} renditions - Renditions from getRenditions ({ name, width, height, videoBitrate, audioBitrate })
+   * @param {number} segmentDuration - Target segment length in seconds
+   * @param {Function} progressCallback - Progress callback function (0-100, over all renditions)
+   * @returns {Promise<Object>} Result with renditions ({ ...rendition, size }) and total size
+   */
+  async packageHls(inputPath, outputDir, renditions, segmentDuration, progressCallback = null) {
+    const startTime = Date.now();
+    const inputMetadata = await this.getVideoMetadata(inputPath);
+    const packaged = [];
+
+    logger.info('Starting HLS packaging', {
+      input: inputPath,
+      output: outputDir,
+      renditions: renditions.map(rendition => rendition.name),
+      duration: inputMetadata.duration
+    });
+
+    for (const [index, rendition] of renditions.entries()) {
+      const renditionDir = path.join(outputDir, rendition.name);
+      await fs.mkdir(renditionDir, { recursive: true });
+
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .videoFilters(`scale=${rendition.width}:${rendition.height}:force_original_aspect_ratio=decrease,pad=ceil(iw/2)*2:ceil(ih/2)*2`)
+          .videoCodec('libx264')
+          .addOption('-preset', 'fast')
+          .addOption('-profile:v', 'main')
+          .addOption('-pix_fmt', 'yuv420p')
+          .addOption('-b:v', `${rendition.videoBitrate}k`)
+          .addOption('-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`)
+          .addOption('-bufsize', `${rendition.videoBitrate * 2}k`)
+          // Keyframes on segment boundaries keep the renditions switchable at every segment
+          .addOption('-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`)
+          .addOption('-sc_threshold', 0)
+          .addOption('-hls_time', segmentDuration)
+          .addOption('-hls_playlist_type', 'vod')
+          .addOption('-hls_segment_filename', path.join(renditionDir, 'seg_%04d.ts'))
+          .format('hls');
+
+        if (inputMetadata.audio) {
+          command.audioCodec('aac').audioBitrate(rendition.audioBitrate).audioChannels(2);
+        } else {
+          command.noAudio();
+        }
+
+        if (progressCallback && inputMetadata.duration) {
+          command.on('progress', (progress) => {
+            if (progress.timemark) {
+              const timemarkParts = progress.timemark.split(':');
+              const seconds = parseInt(timemarkParts[0]) * 3600 +
+                             parseInt(timemarkParts[1]) * 60 +
+                             parseFloat(timemarkParts[2]);
+              const renditionProgress = Math.min(1, seconds / inputMetadata.duration);
+
+              progressCallback(Math.round(((index + renditionProgress) / renditions.length) * 100));
+            }
+          });
+        }
+
+        command.on('error', (error) => {
+          logger.error('HLS packaging error:', {
+            error: error.message,
+            input: inputPath,
+            rendition: rendition.name
+          });
+          reject(error);
+        });
+
+        command.on('end', resolve);
+
+        command.save(path.join(renditionDir, 'index.m3u8'));
+      });
+
+      const files = await fs.readdir(renditionDir);
+      const sizes = await Promise.all(files.map(file => fs.stat(path.join(renditionDir, file)).then(stats => stats.size)));
+      packaged.push({ ...rendition, size: sizes.reduce((total, size) => total + size, 0) });
+    }
+
+    const result = {
+      inputPath,
+      outputDir,
+      renditions: packaged,
+      size: packaged.reduce((total, rendition) => total + rendition.size, 0),
+      duration: inputMetadata.duration,
+      processingTime: (Date.now() - startTime) / 1000
+    };
+
+    logger.info('HLS packaging completed', {
+      output: outputDir,
+      renditions: packaged.map(rendition => rendition.name),
+      size: result.size,
+      processingTime: result.processingTime
+    });
+
+    return result;
+  }
+
+  /**
+   * Render subtitles into the video frames (burned-in captions)
+   * @param {string} inputPath - Path to source video
+   * @param {string} subtitlePath - Path to SRT/VTT subtitle file
+   * @param {string} outputPath - Output video path
+   * @param {Function} progressCallback - Progress callback function (0-100)
+   * @returns {Promise<Object>} Result with output path and size
+   */
+  async burnSubtitles(inputPath, subtitlePath, outputPath, progressCallback = null) {
+    const startTime = Date.now();
+
+    try {
+      const outputDir = path.dirname(outputPath);
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const inputMetadata = await this.getVideoMetadata(inputPath);
+
+      // Quoted filter argument; the path is generated by us, so only separators need normalising
+      const subtitleFilterPath = path.resolve(subtitlePath).replace(/\\/g, '/');
+
+      logger.info('Starting caption burn-in', {
+        input: inputPath,
+        subtitles: subtitlePath,
+        output: outputPath,
+        duration: inputMetadata.duration
+      });
+
+      return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .videoFilters(`subtitles='${subtitleFilterPath}':force_style='FontSize=20,Outline=1'`)
+          .videoCodec('libx264')
+          .addOption('-crf', 23)
+          .addOption('-preset', 'fast')
+          .addOption('-pix_fmt', 'yuv420p')
+          .addOption('-movflags', '+faststart')
+          .format('mp4');
+
+        if (inputMetadata.audio) {
+          command.audioCodec('copy');
+        }
+
+        if (progressCallback && inputMetadata.duration) {
+          command.on('progress', (progress) => {
+            if (progress.timemark) {
+              const timemarkParts = progress.timemark.split(':');
+              const seconds = parseInt(timemarkParts[0]) * 3600 +
+                             parseInt(timemarkParts[1]) * 60 +
+                             parseFloat(timemarkParts[2]);
+
+              progressCallback(Math.round(Math.min(100, (seconds / inputMetadata.duration) * 100)));
+            }
+          });
+        }
+
+        command.on('error', (error) => {
+          logger.error('Caption burn-in error:', {
+            error: error.message,
+            input: inputPath,
+            output: outputPath
+          });
+          reject(error);
+        });
+
+        command.on('end', async () => {
+          try {
+            const outputStats = await fs.stat(outputPath);
+            const result = {
+              inputPath,
+              outputPath,
+              size: outputStats.size,
+              duration: inputMetadata.duration,
+              processingTime: (Date.now() - startTime) / 1000
+            };
+
+            logger.info('Caption burn-in completed', result);
+            resolve(result);
+          } catch (error) {
+            logger.error('Error validating captioned video:', error);
+            reject(error);
+          }
+        });
+
+        command.save(outputPath);
+      });
+
+    } catch (error) {
+      logger.error('Caption burn-in setup error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate video file
    * @param {string} videoPath - Path to video file
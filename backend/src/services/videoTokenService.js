@@ -36,17 +36,44 @@ class VideoTokenService {
     }
   }
 
+  /**
+   * Generate a token that only unlocks the HLS segments of one process.
+   * It outlives the access token so long videos keep playing, but cannot be used
+   * to fetch playlists (and with them new tokens)
+   * @param {string} processId - Process ID
+   * @param {string} tenantId - Tenant ID
+   * @param {number} expiresInMinutes - Token expiration in minutes
+   * @returns {string} Segment JWT token
+   */
+  generateSegmentToken(processId, tenantId, expiresInMinutes) {
+    try {
+      return jwt.sign({
+        type: 'video_segment',
+        processId,
+        tenantId,
+        iat: Math.floor(Date.now() / 1000),
+        exp: Math.floor(Date.now() / 1000) + (expiresInMinutes * 60)
+      }, process.env.JWT_SECRET, {
+        algorithm: 'HS256'
+      });
+    } catch (error) {
+      logger.error('Error generating segment token:', error);
+      throw new Error('Failed to generate video segment token');
+    }
+  }
+
   /**
    * Verify and decode a video JWT token
    * @param {string} token - Video JWT token
+   * @param {Array<string>} allowedTypes - Accepted token types (default: video access only)
    * @returns {Object} Decoded token payload
    */
-  verifyVideoToken(token) {
+  verifyVideoToken(token, allowedTypes = ['video_access']) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Ensure this is a video access token
-      if (decoded.type !== 'video_access') {
+      if (!allowedTypes.includes(decoded.type)) {
         throw new Error('Invalid token type');
       }
 
@@ -103,6 +130,27 @@ class VideoTokenService {
    * @param {Function} next - Next middleware function
    */
   authenticateVideoToken(req, res, next) {
+    return this.authenticateToken(req, res, next, ['video_access']);
+  }
+
+  /**
+   * Middleware for HLS segment requests (video access or segment token)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware function
+   */
+  authenticateSegmentToken(req, res, next) {
+    return this.authenticateToken(req, res, next, ['video_access', 'video_segment']);
+  }
+
+  /**
+   * Authenticate a request by its video token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware function
+   * @param {Array<string>} allowedTypes - Accepted token types
+   */
+  authenticateToken(req, res, next, allowedTypes) {
     try {
       const token = this.extractTokenFromRequest(req);
       
@@ -121,7 +169,7 @@ class VideoTokenService {
         });
       }
 
-      const decoded = this.verifyVideoToken(token);
+      const decoded = this.verifyVideoToken(token, allowedTypes);
       
       // Add decoded token data to request
       req.videoAuth = {
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+const { queueMethods } = require('../config/bullmq');
+const secretBox = require('../utils/secretBox');
+const { WEBHOOK_EVENTS, TEST_EVENT, SIGNATURE_HEADER, generateSecret, signPayload } = require('../utils/webhooks');
+const { assertPublicUrl, publicHttpAgent, publicHttpsAgent } = require('../utils/networkGuard');
+const logger = require('../utils/logger');
+
+const MAX_ENDPOINTS = 10;
+const MAX_DELIVERIES = 50;
+const REQUEST_TIMEOUT_MS = 10000;
+// Stored part of a receiver's response, enough to recognise an error page
+const MAX_RESPONSE_LENGTH = 1000;
+
+const webhookError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Endpoints must be on the public internet; the server would otherwise post
+ * into its own network for whoever can edit webhooks
+ */
+const checkEndpointUrl = async (url) => {
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    throw webhookError(`Webhook URL not allowed: ${error.message}`);
+  }
+};
+
+/**
+ * Process as described in event payloads
+ */
+const describeProcess = (process) => ({
+  id: process._id.toString(),
+  title: process.title,
+  status: process.status,
+  originalFilename: process.originalFilename,
+  duration: process.files?.original?.duration ?? null,
+  tags: (process.tags || []).map(tag => tag.name),
+  userId: process.userId?.toString() || null,
+  createdAt: process.createdAt,
+  url: `${process.env.FRONTEND_URL || 'http://localhost:5001'}/processes/${process._id}`
+});
+
+/**
+ * Outgoing webhooks: tenants register URLs for process events, every event
+ * is recorded as a delivery per endpoint and sent from the webhooks queue,
+ * which retries failed attempts with backoff. Requests carry an HMAC-SHA256
+ * signature of the body, see utils/webhooks.
+ */
+class WebhookService {
+  /**
+   * Subscribable events for the settings page
+   */
+  listEvents() {
+    return Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description }));
+  }
+
+  async getEndpoints(tenantId) {
+    return WebhookEndpoint.find({ tenantId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Endpoint of the tenant, or a 404 error
+   */
+  async findEndpoint(tenantId, endpointId) {
+    const endpoint = mongoose.Types.ObjectId.isValid(endpointId)
+      ? await WebhookEndpoint.findOne({ _id: endpointId, tenantId })
+      : null;
+    if (!endpoint) {
+      throw webhookError('Webhook not found', 404);
+    }
+    return endpoint;
+  }
+
+  /**
+   * Register an endpoint; its signing secret is only returned here and on rotation
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { url, description, events, enabled }
+   * @param {string} userId - Creating user
+   * @returns {Promise<{endpoint: Object, secret: string}>}
+   */
+  async createEndpoint(tenantId, { url, description, events, enabled }, userId) {
+    const count = await WebhookEndpoint.countDocuments({ tenantId });
+    if (count >= MAX_ENDPOINTS) {
+      throw webhookError(`A workspace can have up to ${MAX_ENDPOINTS} webhooks`);
+    }
+
+    await checkEndpointUrl(url.trim());
+
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      tenantId,
+      url: url.trim(),
+      description: description?.trim() || '',
+      events: [...new Set(events)],
+      enabled: enabled !== false,
+      secret: secretBox.seal(secret),
+      createdBy: userId
+    });
+
+    logger.info('Webhook created', { tenantId, endpointId: endpoint._id, events: endpoint.events });
+    return { endpoint, secret };
+  }
+
+  /**
+   * Change the URL, description, events or enabled state of an endpoint
+   */
+  async updateEndpoint(tenantId, endpointId, { url, description, events, enabled }) {
+    const endpoint = await this.findEndpoint(tenantId, endpointId);
+
+    if (url !== undefined) {
+      await checkEndpointUrl(url.trim());
+      endpoint.url = url.trim();
+    }
+    if (description !== undefined) endpoint.description = description.trim();
+    if (events !== undefined) endpoint.events = [...new Set(events)];
+    if (enabled !== undefined) endpoint.enabled = enabled;
+
+    await endpoint.save();
+    logger.info('Webhook updated', { tenantId, endpointId });
+    return endpoint;
+  }
+
+  /**
+   * Replace the signing secret; receivers need the new one right away
+   * @returns {Promise<{endpoint: Object, secret: string}>}
+   */
+  async rotateSecret(tenantId, endpointId) {
+    const endpoint = await this.findEndpoint(tenantId, endpointId);
+    const secret = generateSecret();
+
+    endpoint.secret = secretBox.seal(secret);
+    await endpoint.save();
+
+    logger.info('Webhook secret rotated', { tenantId, endpointId });
+    return { endpoint, secret };
+  }
+
+  /**
+   * Remove an endpoint with its delivery log; queued retries find it gone
+   */
+  async deleteEndpoint(tenantId, endpointId) {
+    const endpoint = await this.findEndpoint(tenantId, endpointId);
+
+    await Promise.all([
+      endpoint.deleteOne(),
+      WebhookDelivery.deleteMany({ endpointId: endpoint._id })
+    ]);
+
+    logger.info('Webhook deleted', { tenantId, endpointId });
+  }
+
+  /**
+   * Latest deliveries of an endpoint, newest first
+   */
+  async getDeliveries(tenantId, endpointId) {
+    const endpoint = await this.findEndpoint(tenantId, endpointId);
+    return WebhookDelivery.find({ endpointId: endpoint._id })
+      .sort({ createdAt: -1 })
+      .limit(MAX_DELIVERIES);
+  }
+
+  /**
+   * Event body as sent to every subscribed endpoint
+   */
+  buildPayload(tenantId, event, data) {
+    return {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: event,
+      createdAt: new Date().toISOString(),
+      tenantId: tenantId.toString(),
+      data
+    };
+  }
+
+  /**
+   * Queue an event for every enabled endpoint subscribed to it. Never throws:
+   * webhooks must not break the action that triggered them.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} event - Event name from WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   */
+  async emit(tenantId, event, data) {
+    try {
+      const endpoints = await WebhookEndpoint.find({ tenantId, enabled: true, events: event }).select('_id');
+      if (endpoints.length === 0) return;
+
+      const payload = this.buildPayload(tenantId, event, data);
+      for (const endpoint of endpoints) {
+        const delivery = await WebhookDelivery.create({ tenantId, endpointId: endpoint._id, event, payload });
+        await queueMethods.addWebhookDeliveryJob(delivery._id.toString());
+      }
+
+      logger.info('Webhook event queued', { tenantId, event, eventId: payload.id, endpoints: endpoints.length });
+    } catch (error) {
+      logger.error(`Webhook emit error for ${event}:`, error);
+    }
+  }
+
+  /**
+   * Emit a process lifecycle event
+   * @param {string} event - process.completed, process.failed, process.shared or process.deleted
+   * @param {Object} process - Process document
+   * @param {Object} extra - Additional event data, e.g. the share URL
+   */
+  async emitProcessEvent(event, process, extra = {}) {
+    await this.emit(process.tenantId, event, { process: describeProcess(process), ...extra });
+  }
+
+  /**
+   * POST a delivery's payload to its endpoint. The URL is checked again on
+   * every attempt and the agents refuse private addresses at connect time,
+   * so DNS changes after the endpoint was saved cannot redirect deliveries.
+   * @returns {Promise<Object>} { ok, responseStatus, responseBody, error, durationMs }
+   */
+  async send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    try {
+      await assertPublicUrl(endpoint.url);
+
+      const response = await axios.post(endpoint.url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent,
+        proxy: false,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ProcessLink-Webhooks/1.0',
+          'X-ProcessLink-Event': delivery.event,
+          'X-ProcessLink-Delivery': delivery._id.toString(),
+          [SIGNATURE_HEADER]: signPayload(secretBox.open(endpoint.secret), body)
+        }
+      });
+
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        responseStatus: response.status,
+        responseBody: typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_LENGTH) : null,
+        error: ok ? null : `Endpoint responded with ${response.status}`,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        responseStatus: null,
+        responseBody: null,
+        error: error.code === 'ECONNABORTED' ? 'The endpoint did not respond in time' : error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome. Throws while attempts
+   * remain, so the queue retries with backoff.
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} options - { attempt, maxAttempts } as counted by the queue
+   * @returns {Promise<Object|null>} Updated delivery
+   */
+  async deliver(deliveryId, { attempt = 1, maxAttempts = 1 } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      logger.warn('Webhook delivery not found', { deliveryId });
+      return null;
+    }
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+    if (!endpoint || (!endpoint.enabled && delivery.event !== TEST_EVENT)) {
+      delivery.status = 'failed';
+      delivery.error = 'The webhook was removed or disabled';
+      await delivery.save();
+      return delivery;
+    }
+
+    const result = await this.send(endpoint, delivery);
+    // Test events are sent on demand and answered right away; their response
+    // body is not kept, so they cannot be used to read pages back
+    if (delivery.event === TEST_EVENT) {
+      result.responseBody = null;
+    }
+    const status = result.ok ? 'succeeded' : attempt < maxAttempts ? 'retrying' : 'failed';
+
+    Object.assign(delivery, {
+      status,
+      attempts: delivery.attempts + 1,
+      responseStatus: result.responseStatus,
+      responseBody: result.responseBody,
+      error: result.error,
+      durationMs: result.durationMs,
+      deliveredAt: result.ok ? new Date() : null
+    });
+    await delivery.save();
+
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: result.ok ? 'succeeded' : 'failed' }
+    );
+
+    logger.info('Webhook delivery attempted', {
+      deliveryId,
+      endpointId: endpoint._id,
+      event: delivery.event,
+      status,
+      attempt,
+      responseStatus: result.responseStatus
+    });
+
+    if (status === 'retrying') {
+      throw new Error(`Webhook delivery failed: ${result.error}`);
+    }
+    return delivery;
+  }
+
+  /**
+   * Send a test event right away, without retries, so settings can show the result
+   * @returns {Promise<Object>} Delivery with the response of the endpoint
+   */
+  async sendTestEvent(tenantId, endpointId, user) {
+    const endpoint = await this.findEndpoint(tenantId, endpointId);
+    const delivery = await WebhookDelivery.create({
+      tenantId,
+      endpointId: endpoint._id,
+      event: TEST_EVENT,
+      payload: this.buildPayload(tenantId, TEST_EVENT, {
+        message: 'Test event from ProcessLink',
+        webhookId: endpoint._id.toString(),
+        triggeredBy: user.id
+      })
+    });
+
+    return this.deliver(delivery._id);
+  }
+}
+
+module.exports = new WebhookService();
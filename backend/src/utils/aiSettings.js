@@ -0,0 +1,59 @@
+/**
+ * LLM provider settings shared by the API (tenant settings) and the workers (AI analysis)
+ */
+
+// Chat and embedding backends a tenant can choose from (see aiService)
+const AI_PROVIDERS = ['openai', 'openai_compatible', 'azure'];
+const DEFAULT_AI_PROVIDER = 'openai';
+
+// Embeddings stored before the model was recorded were all created with ada-002
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-ada-002';
+
+// Upper bound for stored vectors; current models use 384 to 4096 dimensions
+const MAX_EMBEDDING_DIMENSIONS = 8192;
+
+/**
+ * Whether the server has the configuration a provider needs
+ * @param {string} provider - Provider name
+ * @returns {boolean}
+ */
+const isAIProviderConfigured = (provider) => {
+  switch (provider) {
+    case 'openai':
+      return !!process.env.OPENAI_API_KEY;
+    case 'openai_compatible':
+      return !!process.env.LLM_COMPATIBLE_BASE_URL;
+    case 'azure':
+      return !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Model that produced the embedding of a process
+ * @param {Object} process - Process document or lean object
+ * @returns {string}
+ */
+const embeddingModelOf = (process) => process?.embeddingMetadata?.model || LEGACY_EMBEDDING_MODEL;
+
+/**
+ * Vectors of different models live in different spaces, even when their size matches
+ * @param {Object} a - Process with embedding and embeddingMetadata
+ * @param {Object} b - Process with embedding and embeddingMetadata
+ * @returns {boolean}
+ */
+const areEmbeddingsComparable = (a, b) => {
+  if (!a?.embedding?.length || !b?.embedding?.length) return false;
+  return a.embedding.length === b.embedding.length && embeddingModelOf(a) === embeddingModelOf(b);
+};
+
+module.exports = {
+  AI_PROVIDERS,
+  DEFAULT_AI_PROVIDER,
+  LEGACY_EMBEDDING_MODEL,
+  MAX_EMBEDDING_DIMENSIONS,
+  isAIProviderConfigured,
+  embeddingModelOf,
+  areEmbeddingsComparable
+};
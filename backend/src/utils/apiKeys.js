@@ -0,0 +1,69 @@
+/**
+ * Tenant API keys: key format, scopes and the routes each scope opens
+ */
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'plk_';
+
+// Scopes a key can be granted, with the description shown in settings
+const API_KEY_SCOPES = {
+  'processes:read': 'List, search and read processes, transcripts and subtitles',
+  'processes:upload': 'Upload recordings, directly or in chunks',
+  'lists:manage': 'Read, create and change favorite lists',
+  'team:read': 'List the members of the workspace'
+};
+
+// Routes under /api/v1/tenants/:tenantId an API key may call, and the scope
+// each needs. Everything else is closed to keys, settings included. The
+// OpenAPI document in utils/openapi describes these routes.
+const API_KEY_ROUTES = [
+  { method: 'GET', pattern: /^\/processes\/?$/, scope: 'processes:read' },
+  { method: 'GET', pattern: /^\/processes\/(search|tags)$/, scope: 'processes:read' },
+  { method: 'GET', pattern: /^\/processes\/[0-9a-f]{24}(\/(status|versions|comments|subtitles\.(srt|vtt)))?$/, scope: 'processes:read' },
+  { method: 'POST', pattern: /^\/processes\/?$/, scope: 'processes:upload' },
+  { method: 'POST', pattern: /^\/processes\/(upload-chunk|finalize-chunked-upload)$/, scope: 'processes:upload' },
+  { method: '*', pattern: /^\/favorite-lists(\/.*)?$/, scope: 'lists:manage' },
+  { method: 'GET', pattern: /^\/team\/members$/, scope: 'team:read' }
+];
+
+/**
+ * New API key secret
+ * @returns {string} plk_ followed by 48 hex characters
+ */
+const generateApiKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Keys are stored as a SHA-256 hash; they are random enough not to need a salt
+ * @param {string} key - API key secret
+ * @returns {string} Hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Whether a bearer token is an API key rather than a session JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * Scope an API key needs to call a tenant route
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/v1/tenants/:tenantId, without query
+ * @returns {string|null} Scope, or null when keys cannot call the route
+ */
+const requiredScope = (method, path) => {
+  const route = API_KEY_ROUTES.find(({ method: routeMethod, pattern }) =>
+    (routeMethod === '*' || routeMethod === method) && pattern.test(path)
+  );
+  return route ? route.scope : null;
+};
+
+module.exports = {
+  KEY_PREFIX,
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  requiredScope
+};
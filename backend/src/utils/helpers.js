@@ -301,6 +301,15 @@ const isEmpty = (value) => {
   return false;
 };
 
+/**
+ * Escape user input for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 module.exports = {
   generateRandomString,
   generateHash,
@@ -315,5 +324,6 @@ module.exports = {
   retryWithBackoff,
   throttle,
   debounce,
-  isEmpty
+  isEmpty,
+  escapeRegex
 };
\ No newline at end of file
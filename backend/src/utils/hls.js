@@ -0,0 +1,128 @@
+/**
+ * HLS renditions, playlists and file names of the adaptive streaming output
+ */
+
+// Bitrate ladder per output height (H.264 main profile, AAC stereo)
+const RENDITION_PRESETS = {
+  1080: { videoBitrate: 5000, audioBitrate: 128 },
+  720: { videoBitrate: 2800, audioBitrate: 128 },
+  480: { videoBitrate: 1400, audioBitrate: 96 },
+  360: { videoBitrate: 800, audioBitrate: 96 }
+};
+
+const DEFAULT_RENDITIONS = '1080,720,480';
+const DEFAULT_SEGMENT_DURATION = 6;
+
+const MASTER_PLAYLIST = 'master.m3u8';
+const RENDITION_PLAYLIST = 'index.m3u8';
+const RENDITION_NAME_PATTERN = /^\d{3,4}p$/;
+const SEGMENT_NAME_PATTERN = /^seg_\d{4,6}\.ts$/;
+
+/**
+ * Whether uploads are packaged for adaptive streaming (ENABLE_HLS_PACKAGING=true)
+ * @returns {boolean}
+ */
+const isHlsEnabled = () => process.env.ENABLE_HLS_PACKAGING === 'true';
+
+/**
+ * Target segment length in seconds (HLS_SEGMENT_DURATION)
+ * @returns {number}
+ */
+const getSegmentDuration = () => parseInt(process.env.HLS_SEGMENT_DURATION) || DEFAULT_SEGMENT_DURATION;
+
+/**
+ * Renditions for a source video: configured heights (HLS_RENDITIONS) that do not upscale it
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @returns {Array} [{ name, width, height, videoBitrate, audioBitrate, bandwidth }], highest first
+ */
+const getRenditions = (sourceWidth, sourceHeight) => {
+  const heights = (process.env.HLS_RENDITIONS || DEFAULT_RENDITIONS)
+    .split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(height => RENDITION_PRESETS[height])
+    .sort((a, b) => b - a);
+
+  // Small recordings still get their smallest configured rendition
+  const fitting = heights.filter(height => !sourceHeight || height <= sourceHeight);
+  const selected = fitting.length > 0 ? fitting : heights.slice(-1);
+  const aspectRatio = sourceWidth && sourceHeight ? sourceWidth / sourceHeight : 16 / 9;
+
+  return selected.map(height => {
+    const { videoBitrate, audioBitrate } = RENDITION_PRESETS[height];
+    return {
+      name: `${height}p`,
+      // libx264 needs even dimensions
+      width: Math.round((height * aspectRatio) / 2) * 2,
+      height,
+      videoBitrate,
+      audioBitrate,
+      bandwidth: (videoBitrate + audioBitrate) * 1000
+    };
+  });
+};
+
+/**
+ * Generate the master playlist referencing one media playlist per rendition
+ * @param {Array} renditions - Renditions from getRenditions
+ * @returns {string} M3U8 content
+ */
+const generateMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach(rendition => {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      `${rendition.name}/${RENDITION_PLAYLIST}`
+    );
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Append a query string to every URI line of a playlist (e.g. an access token)
+ * @param {string} playlist - M3U8 content
+ * @param {string} query - Query string without '?'
+ * @returns {string} M3U8 content
+ */
+const appendQueryToPlaylist = (playlist, query) => {
+  if (!query) return playlist;
+
+  return playlist
+    .split('\n')
+    .map(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return line;
+      return `${trimmed}${trimmed.includes('?') ? '&' : '?'}${query}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Check a requested HLS file against the stored renditions
+ * @param {Object} hls - files.hls of a process
+ * @param {string} rendition - Rendition name (null for the master playlist)
+ * @param {string} file - File name
+ * @returns {boolean}
+ */
+const isValidHlsFile = (hls, rendition, file) => {
+  if (!rendition) {
+    return file === MASTER_PLAYLIST;
+  }
+
+  return RENDITION_NAME_PATTERN.test(rendition)
+    && (hls?.renditions || []).some(stored => stored.name === rendition)
+    && (file === RENDITION_PLAYLIST || SEGMENT_NAME_PATTERN.test(file));
+};
+
+module.exports = {
+  MASTER_PLAYLIST,
+  RENDITION_PLAYLIST,
+  isHlsEnabled,
+  getSegmentDuration,
+  getRenditions,
+  generateMasterPlaylist,
+  appendQueryToPlaylist,
+  isValidHlsFile
+};
@@ -0,0 +1,119 @@
+/**
+ * Guards for requests to URLs tenants enter, such as webhook endpoints, so
+ * they cannot reach the loopback interface, private networks or cloud
+ * metadata services from the server
+ */
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64 of IPv4 addresses
+  ['fc00::', 7], // unique local, including fd00:ec2::254 metadata
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const IPV4_MAPPED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const guardError = (message) => {
+  const error = new Error(message);
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const mapped = IPV4_MAPPED.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup that fails when the name resolves to a non-public address.
+ * Used by the agents below, so the address checked is the one connected to
+ * and a DNS answer changed after assertPublicUrl cannot slip through.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(guardError(`${hostname} resolves to a private or reserved address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Agents for axios' httpAgent/httpsAgent options
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Reject URLs whose host is, or resolves to, a non-public address. Node
+ * skips the agent lookup for IP literals, so those are checked here.
+ * @param {string} url - http(s) URL
+ * @returns {Promise<void>}
+ * @throws {Error} With a message fit to show to the tenant
+ */
+const assertPublicUrl = async (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    throw guardError('The URL is not valid');
+  }
+
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      throw guardError('The URL points to a private or reserved address');
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw guardError(`${hostname} could not be resolved`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw guardError(`${hostname} resolves to a private or reserved address`);
+  }
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicHttpAgent,
+  publicHttpsAgent
+};
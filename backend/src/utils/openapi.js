@@ -0,0 +1,673 @@
+/**
+ * OpenAPI document of the routes tenant API keys can call, served at
+ * GET /api/v1/public/openapi.json. Keep it in step with API_KEY_ROUTES in
+ * utils/apiKeys and with the process, favorite-list and team routes.
+ */
+const { API_KEY_SCOPES } = require('./apiKeys');
+const { version } = require('../../package.json');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema
+});
+
+const TENANT_ID = pathParam('tenantId', 'Workspace the API key was issued for');
+const PROCESS_ID = pathParam('id', 'Process ID');
+const LIST_ID = pathParam('id', 'Favorite list ID');
+
+// Successful response in the { success, message?, data } envelope
+const ok = (description, data, status = '200') => ({
+  [status]: {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: true },
+            message: { type: 'string' },
+            data
+          }
+        }
+      }
+    }
+  }
+});
+
+const errors = (...codes) => Object.fromEntries(codes.map(code => [code, { $ref: `#/components/responses/${code}` }]));
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+/**
+ * Operation callable with an API key holding the given scope
+ */
+const operation = (scope, { tags, summary, description, parameters = [], requestBody, responses }) => ({
+  tags,
+  summary,
+  ...(description && { description }),
+  security: [{ apiKey: [scope] }],
+  'x-required-scope': scope,
+  parameters: [TENANT_ID, ...parameters],
+  ...(requestBody && { requestBody }),
+  responses: {
+    ...responses,
+    ...errors('401', '403', '429')
+  }
+});
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      message: { type: 'string' },
+      errors: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Tag: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      weight: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  TranscriptSegment: {
+    type: 'object',
+    properties: {
+      start: { type: 'number', description: 'Seconds' },
+      end: { type: 'number', description: 'Seconds' },
+      text: { type: 'string' },
+      speaker: { type: ['string', 'null'] }
+    }
+  },
+  Process: {
+    type: 'object',
+    description: 'A recording with its transcript and analysis. Large fields are omitted from lists.',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      originalFilename: { type: 'string' },
+      status: {
+        type: 'string',
+        enum: ['uploading', 'uploaded', 'processing_media', 'transcribing', 'analyzing', 'finalizing', 'completed', 'failed']
+      },
+      progress: {
+        type: 'object',
+        properties: {
+          percentage: { type: 'number' },
+          currentStep: { type: 'string' }
+        }
+      },
+      tags: { type: 'array', items: ref('Tag') },
+      transcript: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          language: { type: 'string' },
+          segments: { type: 'array', items: ref('TranscriptSegment') }
+        }
+      },
+      summary: { type: 'object' },
+      todoList: { type: 'array', items: { type: 'object' } },
+      chapters: { type: 'array', items: { type: 'object' } },
+      userId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      currentPage: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      totalCount: { type: 'integer' },
+      hasNextPage: { type: 'boolean' },
+      hasPrevPage: { type: 'boolean' }
+    }
+  },
+  FavoriteList: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', maxLength: 100 },
+      description: { type: 'string', maxLength: 500 },
+      color: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+      isPublic: { type: 'boolean' },
+      processes: { type: 'array', items: { type: 'string' } },
+      sharedWith: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string' },
+            permission: { type: 'string', enum: ['view', 'edit'] },
+            sharedAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      isOwner: { type: 'boolean' },
+      permission: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  FavoriteListInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 100 },
+      description: { type: 'string', maxLength: 500 },
+      color: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+      processes: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  TeamMember: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      role: { type: 'string', enum: ['owner', 'admin', 'user'] },
+      lastLogin: { type: ['string', 'null'], format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const processPaths = {
+  '/tenants/{tenantId}/processes': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'List processes',
+      parameters: [
+        queryParam('page', 'Page number', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', 'Processes per page', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+        queryParam('status', 'Only processes with this status'),
+        queryParam('tags', 'Comma-separated tags the processes must have'),
+        queryParam('search', 'Text in the title or transcript'),
+        queryParam('userId', 'Only processes uploaded by this user'),
+        queryParam('sortBy', 'Field to sort by', { type: 'string', default: 'createdAt' }),
+        queryParam('sortOrder', 'Sort direction', { type: 'string', enum: ['asc', 'desc'], default: 'desc' })
+      ],
+      responses: ok('Page of processes', {
+        type: 'object',
+        properties: {
+          processes: { type: 'array', items: ref('Process') },
+          pagination: ref('Pagination')
+        }
+      })
+    }),
+    post: operation('processes:upload', {
+      tags: ['Uploads'],
+      summary: 'Upload a recording',
+      description: 'Uploads a video in one request and starts processing. Use chunked uploads for large files.',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['video'],
+              properties: {
+                video: { type: 'string', format: 'binary' },
+                language: { type: 'string', description: 'Spoken language, e.g. en; detected when omitted' },
+                vocabulary: { type: 'string', description: 'Names and terms that help transcription' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        ...ok('Recording uploaded, processing started', {
+          type: 'object',
+          properties: { process: ref('Process') }
+        }, '201'),
+        ...errors('400', '413')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/upload-chunk': {
+    post: operation('processes:upload', {
+      tags: ['Uploads'],
+      summary: 'Upload one chunk of a recording',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['chunk', 'uploadId', 'chunkIndex', 'totalChunks', 'filename'],
+              properties: {
+                chunk: { type: 'string', format: 'binary' },
+                uploadId: { type: 'string', description: 'Chosen by the client, the same for all chunks of a file' },
+                chunkIndex: { type: 'integer', minimum: 0 },
+                totalChunks: { type: 'integer', minimum: 1 },
+                filename: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        ...ok('Chunk stored', {
+          type: 'object',
+          properties: {
+            uploadId: { type: 'string' },
+            chunkIndex: { type: 'integer' },
+            uploadedChunks: { type: 'integer' },
+            totalChunks: { type: 'integer' },
+            isComplete: { type: 'boolean' }
+          }
+        }),
+        ...errors('400')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/finalize-chunked-upload': {
+    post: operation('processes:upload', {
+      tags: ['Uploads'],
+      summary: 'Finish a chunked upload',
+      description: 'Merges the uploaded chunks and starts processing.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['uploadId', 'filename'],
+        properties: {
+          uploadId: { type: 'string' },
+          filename: { type: 'string' },
+          fileSize: { type: 'integer' },
+          mimeType: { type: 'string' },
+          language: { type: 'string' },
+          vocabulary: { type: 'string' }
+        }
+      }),
+      responses: {
+        ...ok('Recording assembled, processing started', {
+          type: 'object',
+          properties: { process: ref('Process') }
+        }, '201'),
+        ...errors('400')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/search': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'Search processes',
+      parameters: [
+        { ...queryParam('q', 'Search terms, at least 2 characters'), required: true },
+        queryParam('mode', 'Match words, meaning or both', { type: 'string', enum: ['text', 'semantic', 'hybrid'], default: 'text' }),
+        queryParam('limit', 'Maximum results', { type: 'integer', minimum: 1, default: 50 })
+      ],
+      responses: ok('Matching processes', {
+        type: 'object',
+        properties: {
+          processes: { type: 'array', items: ref('Process') },
+          query: { type: 'string' },
+          count: { type: 'integer' }
+        }
+      })
+    })
+  },
+  '/tenants/{tenantId}/processes/tags': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'List the tags used in the workspace',
+      responses: ok('Tags with usage counts', {
+        type: 'object',
+        properties: { tags: { type: 'array', items: { type: 'object' } } }
+      })
+    })
+  },
+  '/tenants/{tenantId}/processes/{id}': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'Get a process',
+      parameters: [PROCESS_ID],
+      responses: {
+        ...ok('Process with transcript, summary and todo list', {
+          type: 'object',
+          properties: { process: ref('Process') }
+        }),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/{id}/status': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'Get the processing status of a process',
+      description: 'Poll this after an upload until status is completed or failed, or subscribe to webhooks instead.',
+      parameters: [PROCESS_ID],
+      responses: {
+        ...ok('Status and progress', {
+          type: 'object',
+          properties: { process: ref('Process') }
+        }),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/{id}/subtitles.{format}': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'Download the transcript as subtitles',
+      parameters: [PROCESS_ID, { ...pathParam('format', 'Subtitle format'), schema: { type: 'string', enum: ['srt', 'vtt'] } }],
+      responses: {
+        200: {
+          description: 'Subtitle file',
+          content: {
+            'application/x-subrip': { schema: { type: 'string' } },
+            'text/vtt': { schema: { type: 'string' } }
+          }
+        },
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/{id}/versions': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'List the version history of a process',
+      parameters: [PROCESS_ID],
+      responses: {
+        ...ok('Versions, newest first', {
+          type: 'object',
+          properties: { versions: { type: 'array', items: { type: 'object' } } }
+        }),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/processes/{id}/comments': {
+    get: operation('processes:read', {
+      tags: ['Processes'],
+      summary: 'List the comment threads of a process',
+      parameters: [PROCESS_ID, queryParam('status', 'Threads to return', { type: 'string', enum: ['open', 'resolved', 'all'], default: 'all' })],
+      responses: {
+        ...ok('Comment threads', {
+          type: 'object',
+          properties: { threads: { type: 'array', items: { type: 'object' } } }
+        }),
+        ...errors('404')
+      }
+    })
+  }
+};
+
+const listPaths = {
+  '/tenants/{tenantId}/favorite-lists': {
+    get: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'List the favorite lists of the key owner',
+      description: 'Lists the key owner created or that were shared with them.',
+      responses: ok('Favorite lists', { type: 'array', items: ref('FavoriteList') })
+    }),
+    post: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Create a favorite list',
+      requestBody: jsonBody({ ...ref('FavoriteListInput'), required: ['name'] }),
+      responses: {
+        ...ok('Created list', ref('FavoriteList'), '201'),
+        ...errors('400')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}': {
+    get: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Get a favorite list with its processes',
+      parameters: [LIST_ID],
+      responses: {
+        ...ok('Favorite list', ref('FavoriteList')),
+        ...errors('404')
+      }
+    }),
+    put: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Update a favorite list',
+      parameters: [LIST_ID],
+      requestBody: jsonBody(ref('FavoriteListInput')),
+      responses: {
+        ...ok('Updated list', ref('FavoriteList')),
+        ...errors('400', '404')
+      }
+    }),
+    delete: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Delete a favorite list',
+      parameters: [LIST_ID],
+      responses: {
+        ...ok('List deleted'),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}/processes': {
+    get: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'List the processes in a favorite list',
+      parameters: [
+        LIST_ID,
+        queryParam('page', 'Page number', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', 'Processes per page', { type: 'integer', minimum: 1, maximum: 100 })
+      ],
+      responses: {
+        ...ok('Page of processes', {
+          type: 'object',
+          properties: {
+            processes: { type: 'array', items: ref('Process') },
+            pagination: { type: 'object' }
+          }
+        }),
+        ...errors('404')
+      }
+    }),
+    post: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Add a process to a favorite list',
+      parameters: [LIST_ID],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['processId'],
+        properties: { processId: { type: 'string' } }
+      }),
+      responses: {
+        ...ok('Updated list', ref('FavoriteList')),
+        ...errors('400', '404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}/processes/bulk': {
+    post: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Add several processes to a favorite list',
+      parameters: [LIST_ID],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['processIds'],
+        properties: { processIds: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 100 } }
+      }),
+      responses: {
+        ...ok('Updated list', ref('FavoriteList')),
+        ...errors('400', '404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}/processes/{processId}': {
+    delete: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Remove a process from a favorite list',
+      parameters: [LIST_ID, pathParam('processId', 'Process ID')],
+      responses: {
+        ...ok('Updated list', ref('FavoriteList')),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}/available-processes': {
+    get: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'List processes that are not in a favorite list yet',
+      parameters: [LIST_ID, queryParam('search', 'Text in the title')],
+      responses: {
+        ...ok('Processes', { type: 'object' }),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}/share': {
+    post: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Share a favorite list with a workspace member',
+      parameters: [LIST_ID],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          message: { type: 'string' }
+        }
+      }),
+      responses: {
+        ...ok('List shared', { type: 'object' }),
+        ...errors('400', '404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/{id}/share/{userId}': {
+    delete: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'Stop sharing a favorite list with a member',
+      parameters: [LIST_ID, pathParam('userId', 'User ID')],
+      responses: {
+        ...ok('Sharing removed'),
+        ...errors('404')
+      }
+    })
+  },
+  '/tenants/{tenantId}/favorite-lists/processes/{processId}/lists': {
+    get: operation('lists:manage', {
+      tags: ['Favorite lists'],
+      summary: 'List the favorite lists containing a process',
+      parameters: [pathParam('processId', 'Process ID')],
+      responses: ok('Favorite lists', { type: 'array', items: ref('FavoriteList') })
+    })
+  }
+};
+
+const teamPaths = {
+  '/tenants/{tenantId}/team/members': {
+    get: operation('team:read', {
+      tags: ['Team'],
+      summary: 'List the members of the workspace',
+      description: 'Available on plans with team features.',
+      parameters: [
+        queryParam('page', 'Page number', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', 'Members per page', { type: 'integer', minimum: 1, default: 50 }),
+        queryParam('role', 'Only members with this role', { type: 'string', enum: ['owner', 'admin', 'user'] }),
+        queryParam('search', 'Text in the name or email')
+      ],
+      responses: ok('Page of members', {
+        type: 'object',
+        properties: {
+          users: { type: 'array', items: ref('TeamMember') },
+          pagination: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              total: { type: 'integer' },
+              pages: { type: 'integer' }
+            }
+          }
+        }
+      })
+    })
+  }
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {string} serverUrl - Base URL of the API, e.g. https://app.example.com/api/v1
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiSpec = (serverUrl) => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'ProcessLink API',
+    version,
+    description: [
+      'Read processes, upload recordings, manage favorite lists and list team members with a workspace API key.',
+      'Owners and admins create keys under Settings → API keys. Send the key as a bearer token:',
+      '`Authorization: Bearer plk_…`. Requests act as the user who created the key and are limited',
+      'to the scopes and the requests per minute set on it; the RateLimit-* response headers show the remaining budget.'
+    ].join(' ')
+  },
+  servers: [{ url: serverUrl }],
+  tags: [
+    { name: 'Processes', description: 'Recordings with their transcripts and analysis' },
+    { name: 'Uploads', description: 'Upload recordings directly or in chunks' },
+    { name: 'Favorite lists', description: 'Curated collections of processes' },
+    { name: 'Team', description: 'Workspace members' }
+  ],
+  paths: {
+    ...processPaths,
+    ...listPaths,
+    ...teamPaths
+  },
+  components: {
+    securitySchemes: {
+      apiKey: {
+        type: 'http',
+        scheme: 'bearer',
+        description: `Workspace API key. Scopes: ${Object.entries(API_KEY_SCOPES)
+          .map(([name, description]) => `${name} (${description})`)
+          .join('; ')}`
+      }
+    },
+    schemas,
+    responses: {
+      400: { description: 'Invalid request', content: { 'application/json': { schema: ref('Error') } } },
+      401: { description: 'Missing, invalid or revoked API key', content: { 'application/json': { schema: ref('Error') } } },
+      403: { description: 'The key lacks the required scope or cannot call this route', content: { 'application/json': { schema: ref('Error') } } },
+      404: { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } },
+      413: { description: 'File too large or storage limit reached', content: { 'application/json': { schema: ref('Error') } } },
+      429: {
+        description: 'Rate limit of the key exceeded',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', const: false },
+                message: { type: 'string' },
+                retryAfter: { type: 'integer', description: 'Seconds' },
+                resetTime: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+module.exports = {
+  buildOpenApiSpec
+};
@@ -0,0 +1,278 @@
+/**
+ * System prompt templates for tags, todos and titles, shared by the API (tenant
+ * settings, preview) and the workers (AI analysis)
+ *
+ * A template is the editable part of the system prompt: role and guidelines with
+ * {{placeholders}}. The response format the parsers in aiService rely on is
+ * always appended and cannot be changed by tenants.
+ */
+
+// Generation steps whose prompt a tenant can customise
+const PROMPT_KINDS = ['tags', 'todos', 'title'];
+
+const TONES = ['neutral', 'formal', 'friendly', 'technical'];
+
+// How finely todos are split, and the item limit that goes with it
+const TODO_GRANULARITIES = {
+  coarse: {
+    maxItems: 8,
+    description: 'only the main milestones, combine small steps into one item'
+  },
+  balanced: {
+    maxItems: 20,
+    description: 'one item per distinct step'
+  },
+  detailed: {
+    maxItems: 40,
+    description: 'every individual step, including small sub-steps'
+  }
+};
+
+const MAX_TAGS_LIMIT = 30;
+const MAX_TEMPLATE_LENGTH = 6000;
+const MAX_FOCUS_LENGTH = 300;
+
+// Placeholders each kind may use
+const PROMPT_PLACEHOLDERS = {
+  tags: ['language', 'maxTags'],
+  todos: ['language', 'tone', 'granularity', 'maxItems'],
+  title: ['language', 'tone']
+};
+
+const DEFAULT_PROMPT_VARIABLES = {
+  language: null, // Same language as the transcript
+  tone: 'neutral',
+  focus: '',
+  maxTags: 10,
+  granularity: 'balanced'
+};
+
+const DEFAULT_PROMPT_TEMPLATES = {
+  tags: `You are an expert in content analysis who creates relevant, searchable tags with weights for video content.
+
+Analyze the provided video transcript and generate high-quality tags with relevance scores that help users find and categorize this content.
+
+Guidelines:
+1. Generate a maximum of {{maxTags}} tags with weights
+2. Each tag receives a weight from 0.0 to 1.0 based on relevance:
+   - 0.8-1.0: Core topics, main focus of the video, specific technical terms
+   - 0.5-0.7: Important secondary topics, mentioned technologies
+   - 0.2-0.4: Casually mentioned concepts
+   - Below 0.2: DO NOT output (too generic/irrelevant)
+3. Use single words or short phrases (max 2-3 words)
+4. Focus on main topics, concepts, technologies, processes or specific content
+5. Avoid generic tags like "video", "content", "information", "tutorial", "guide"
+6. Use lowercase for consistency
+7. Consider both explicitly mentioned and implied topics
+8. Include technical terms when relevant
+9. IMPORTANT: Respond in {{language}}
+10. Only output tags with weight >= 0.2`,
+
+  todos: `You are an expert in analyzing video content and creating actionable todo lists based on the activities, processes, or steps mentioned in the content.
+
+Your task is to identify specific actions, tasks, or steps that a viewer might want to follow or remember.
+
+Guidelines:
+1. Extract only concrete, actionable items
+2. Each item should be a specific task or action
+3. IMPORTANT: Use the provided timestamps from transcript segments to determine exact timestamps for each todo item
+4. Focus on "how-to" steps, processes, or actionable advice
+5. Granularity: {{granularity}}
+6. Maximum {{maxItems}} items
+7. Prioritize the most important and clearest actions
+8. Use clear, precise language in a {{tone}} tone
+9. Skip vague or non-actionable content
+10. IMPORTANT: The todo list must be in {{language}}.`,
+
+  title: `You are an expert in content analysis and create engaging, descriptive titles for video content.
+
+Your task is to analyze the video transcript and create a clear, meaningful title that accurately represents the main topic or purpose of the content.
+
+Guidelines:
+1. Keep the title concise (5-15 words ideal, max 100 characters)
+2. Make it descriptive and specific
+3. Focus on the main topic, process, or outcome
+4. Use a {{tone}} tone and active language when possible
+5. Avoid clickbait or misleading titles
+6. Include important technical terms when relevant
+7. Make it searchable and SEO-friendly
+8. Consider the target audience
+9. IMPORTANT: The title must be in {{language}}`
+};
+
+// Appended to every template, the parsers in aiService depend on it
+const RESPONSE_FORMATS = {
+  tags: `You MUST only return a valid JSON array with objects. Each object has "tag" and "weight". No additional explanations or markdown.
+
+Example output format:
+[
+  {"tag": "machine learning", "weight": 0.95},
+  {"tag": "neural networks", "weight": 0.88},
+  {"tag": "python", "weight": 0.72},
+  {"tag": "tensorflow", "weight": 0.65},
+  {"tag": "data science", "weight": 0.55}
+]`,
+
+  todos: `When transcript segments with timestamps are provided:
+- Use the "start" time of the segment where the action is mentioned
+- Pay attention to the chronological order of actions
+- If an action spans multiple segments, use the timestamp of the first relevant segment
+
+You MUST only return a valid JSON object with a "todoItems" array. No markdown formatting, code blocks, or explanations. Each item should have:
+- "task": string (description of the todo task)
+- "timestamp": number (exact seconds from start based on segment times, or null if no segments available)
+- "priority": string ("high", "medium", or "low")
+
+Example output:
+{
+  "todoItems": [
+    {
+      "task": "Install Node.js from the official website",
+      "timestamp": 120,
+      "priority": "high"
+    },
+    {
+      "task": "Create package.json file",
+      "timestamp": 180,
+      "priority": "medium"
+    }
+  ]
+}`,
+
+  title: `You MUST only return a valid JSON object with a "title" field containing the generated title. No markdown formatting, code blocks, or explanations.
+
+Example output:
+{
+  "title": "Building a React Authentication System with JWT Tokens"
+}`
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+const languageText = (language) => {
+  if (!language) return 'the same language as the transcript';
+  try {
+    return displayNames.of(language) || language;
+  } catch (error) {
+    return language;
+  }
+};
+
+/**
+ * Problems that prevent a template from being saved
+ * @param {string} kind - 'tags', 'todos' or 'title'
+ * @param {string} template - Template text
+ * @returns {Array<string>} Error messages, empty when the template is valid
+ */
+const validatePromptTemplate = (kind, template) => {
+  const errors = [];
+  const allowed = PROMPT_PLACEHOLDERS[kind] || [];
+
+  if (!template || template.trim().length < 20) {
+    errors.push('Template must be at least 20 characters long');
+  }
+  if (template && template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Template cannot exceed ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const unknown = new Set();
+  for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!allowed.includes(match[1])) {
+      unknown.add(match[1]);
+    }
+  }
+  if (unknown.size > 0) {
+    errors.push(`Unknown placeholder${unknown.size > 1 ? 's' : ''} ${[...unknown].map(name => `{{${name}}}`).join(', ')}. Available: ${allowed.map(name => `{{${name}}}`).join(', ')}`);
+  }
+
+  // Leftover braces are usually a mistyped placeholder
+  const stripped = (template || '').replace(PLACEHOLDER_PATTERN, '');
+  if (stripped.includes('{{') || stripped.includes('}}')) {
+    errors.push('Template contains an incomplete placeholder');
+  }
+
+  return errors;
+};
+
+/**
+ * Variables with defaults for everything the tenant did not set
+ * @param {Object} variables - Stored variables
+ * @returns {Object}
+ */
+const resolvePromptVariables = (variables = {}) => {
+  const resolved = { ...DEFAULT_PROMPT_VARIABLES };
+  Object.keys(DEFAULT_PROMPT_VARIABLES).forEach(key => {
+    if (variables[key] !== undefined && variables[key] !== null && variables[key] !== '') {
+      resolved[key] = variables[key];
+    }
+  });
+  if (!TODO_GRANULARITIES[resolved.granularity]) {
+    resolved.granularity = DEFAULT_PROMPT_VARIABLES.granularity;
+  }
+  return resolved;
+};
+
+/**
+ * Complete system prompt of a generation step
+ * @param {string} kind - 'tags', 'todos' or 'title'
+ * @param {Object} promptTemplate - { template, variables }; null or template null for the default
+ * @returns {string}
+ */
+const renderSystemPrompt = (kind, promptTemplate = null) => {
+  const variables = resolvePromptVariables(promptTemplate?.variables);
+  const values = {
+    language: languageText(variables.language),
+    tone: variables.tone,
+    maxTags: variables.maxTags,
+    granularity: TODO_GRANULARITIES[variables.granularity].description,
+    maxItems: TODO_GRANULARITIES[variables.granularity].maxItems
+  };
+
+  const template = promptTemplate?.template || DEFAULT_PROMPT_TEMPLATES[kind];
+  const body = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    values[name] !== undefined ? String(values[name]) : placeholder
+  ));
+
+  const focus = variables.focus
+    ? `\n\nDomain focus: ${variables.focus}\nPrefer terms, tasks and wording that matter in this domain.`
+    : '';
+
+  return `${body.trim()}${focus}\n\n${RESPONSE_FORMATS[kind]}`;
+};
+
+/**
+ * Generation options that follow from the template variables (item limits)
+ * @param {string} kind - 'tags', 'todos' or 'title'
+ * @param {Object} promptTemplate - { template, variables } or null
+ * @returns {Object} Options for the aiService generate method
+ */
+const promptGenerationOptions = (kind, promptTemplate = null) => {
+  const variables = resolvePromptVariables(promptTemplate?.variables);
+
+  switch (kind) {
+    case 'tags':
+      return { promptTemplate, maxTags: variables.maxTags };
+    case 'todos':
+      return { promptTemplate, maxItems: TODO_GRANULARITIES[variables.granularity].maxItems };
+    default:
+      return { promptTemplate };
+  }
+};
+
+module.exports = {
+  PROMPT_KINDS,
+  TONES,
+  TODO_GRANULARITIES,
+  MAX_TAGS_LIMIT,
+  MAX_TEMPLATE_LENGTH,
+  MAX_FOCUS_LENGTH,
+  PROMPT_PLACEHOLDERS,
+  DEFAULT_PROMPT_VARIABLES,
+  DEFAULT_PROMPT_TEMPLATES,
+  validatePromptTemplate,
+  resolvePromptVariables,
+  renderSystemPrompt,
+  promptGenerationOptions
+};
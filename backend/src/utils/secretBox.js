@@ -0,0 +1,56 @@
+/**
+ * Encryption of credentials stored in the database (tracker tokens and the like)
+ */
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * 256-bit key derived from CREDENTIALS_ENCRYPTION_KEY. Installations without
+ * it fall back to JWT_SECRET, so rotating that secret makes stored
+ * credentials unreadable.
+ */
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is required to store credentials');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a JSON-serialisable value
+ * @param {*} value - Value to encrypt
+ * @returns {string} v1:<iv>:<tag>:<ciphertext>, base64 parts
+ */
+const seal = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value sealed with seal()
+ * @param {string} sealed - Output of seal()
+ * @returns {*} Original value
+ */
+const open = (sealed) => {
+  const [version, iv, tag, encrypted] = (sealed || '').split(':');
+  if (version !== VERSION || !iv || !tag || !encrypted) {
+    throw new Error('Stored credentials are malformed');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]);
+
+  return JSON.parse(decrypted.toString('utf8'));
+};
+
+module.exports = {
+  seal,
+  open
+};
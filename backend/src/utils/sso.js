@@ -0,0 +1,51 @@
+/**
+ * Single sign-on protocols and the URLs identity providers are configured with
+ */
+
+const SSO_PROTOCOLS = ['oidc', 'saml'];
+
+// Roles users created on their first SSO login can get; owners are never provisioned
+const SSO_PROVISIONING_ROLES = ['user', 'admin'];
+
+// Path of the SAML assertion consumer service, which identity providers post to
+const SAML_ACS_PATH = /^\/api\/v1\/auth\/sso\/[^/]+\/saml\/acs$/;
+
+/**
+ * Public base URL of the API, e.g. https://app.example.com/api/v1
+ * @returns {string}
+ */
+const apiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}/api/v1`).replace(/\/+$/, '');
+
+/**
+ * URLs of a tenant's SSO endpoints, to register with its identity provider
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} { loginUrl, oidcRedirectUri, samlEntityId, samlAcsUrl, samlMetadataUrl }
+ */
+const ssoUrls = (tenantId) => {
+  const base = `${apiUrl()}/auth/sso/${tenantId}`;
+  return {
+    loginUrl: `${base}/start`,
+    oidcRedirectUri: `${base}/oidc/callback`,
+    samlEntityId: `${base}/saml/metadata`,
+    samlAcsUrl: `${base}/saml/acs`,
+    samlMetadataUrl: `${base}/saml/metadata`
+  };
+};
+
+/**
+ * Normalise a PEM or bare base64 certificate to the base64 body
+ * @param {string} certificate - Identity provider signing certificate
+ * @returns {string}
+ */
+const certificateBody = (certificate) => (certificate || '')
+  .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+  .replace(/\s+/g, '');
+
+module.exports = {
+  SSO_PROTOCOLS,
+  SSO_PROVISIONING_ROLES,
+  SAML_ACS_PATH,
+  apiUrl,
+  ssoUrls,
+  certificateBody
+};
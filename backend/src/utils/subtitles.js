@@ -0,0 +1,91 @@
+/**
+ * Subtitle generation from timed transcript segments
+ */
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Millisecond separator (',' for SRT, '.' for WebVTT)
+ * @returns {string} Timestamp in HH:MM:SS,mmm / HH:MM:SS.mmm format
+ */
+const formatSubtitleTimestamp = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * Normalise segments into subtitle cues (sorted, non-empty, end after start)
+ * @param {Array} segments - Transcript segments ({ start, end, text, speaker })
+ * @param {Object} options - { includeSpeakers }
+ * @returns {Array} Cues ({ start, end, text })
+ */
+const buildCues = (segments = [], options = {}) => {
+  const { includeSpeakers = true } = options;
+
+  return segments
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim().length > 0)
+    .map(segment => {
+      // A blank line ends the cue in both formats
+      const text = segment.text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('\n');
+      return {
+        start: segment.start,
+        end: Math.max(segment.end, segment.start + 0.5),
+        text: includeSpeakers && segment.speaker ? `${segment.speaker}: ${text}` : text
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Escape cue text for WebVTT, where "&" and "<" start entities and tags
+ * ("-->" would also terminate the cue timing line early)
+ */
+const escapeVttText = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Generate SubRip (SRT) subtitles
+ * @param {Array} segments - Transcript segments
+ * @param {Object} options - { includeSpeakers }
+ * @returns {string} SRT content
+ */
+const generateSrt = (segments, options = {}) => {
+  return buildCues(segments, options)
+    .map((cue, index) => [
+      index + 1,
+      `${formatSubtitleTimestamp(cue.start, ',')} --> ${formatSubtitleTimestamp(cue.end, ',')}`,
+      cue.text
+    ].join('\n'))
+    .join('\n\n') + '\n';
+};
+
+/**
+ * Generate WebVTT subtitles
+ * @param {Array} segments - Transcript segments
+ * @param {Object} options - { includeSpeakers }
+ * @returns {string} WebVTT content
+ */
+const generateVtt = (segments, options = {}) => {
+  const cues = buildCues(segments, options)
+    .map(cue => [
+      `${formatSubtitleTimestamp(cue.start, '.')} --> ${formatSubtitleTimestamp(cue.end, '.')}`,
+      escapeVttText(cue.text)
+    ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+module.exports = {
+  formatSubtitleTimestamp,
+  buildCues,
+  generateSrt,
+  generateVtt
+};
@@ -0,0 +1,73 @@
+/**
+ * Poster frame and scrub-preview sprite layout and WebVTT thumbnail track
+ */
+
+const { formatSubtitleTimestamp } = require('./subtitles');
+
+// Preview tiles of the sprite sheet, sized for the hover preview above the seek bar
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const MAX_SPRITE_TILES = 100;
+const MIN_SPRITE_INTERVAL = 2;
+
+// Files stored next to the processed video; the keys are the names served by the API
+const THUMBNAIL_ASSETS = {
+  'poster.jpg': { field: 'poster', contentType: 'image/jpeg' },
+  'sprite.jpg': { field: 'sprite', contentType: 'image/jpeg' },
+  'thumbnails.vtt': { field: 'vtt', contentType: 'text/vtt; charset=utf-8' }
+};
+
+/**
+ * Sprite grid for a video: one tile every `interval` seconds, at most MAX_SPRITE_TILES
+ * @param {number} duration - Video duration in seconds
+ * @returns {Object} { duration, interval, count, columns, rows, tileWidth, tileHeight }
+ */
+const getSpriteLayout = (duration) => {
+  const safeDuration = Math.max(1, duration || 0);
+  const interval = Math.max(MIN_SPRITE_INTERVAL, Math.ceil(safeDuration / MAX_SPRITE_TILES));
+  const count = Math.min(MAX_SPRITE_TILES, Math.ceil(safeDuration / interval));
+  const columns = Math.min(SPRITE_COLUMNS, count);
+
+  return {
+    duration: safeDuration,
+    interval,
+    count,
+    columns,
+    rows: Math.ceil(count / columns),
+    tileWidth: TILE_WIDTH,
+    tileHeight: TILE_HEIGHT
+  };
+};
+
+/**
+ * Generate a WebVTT thumbnail track pointing into the sprite sheet (#xywh media fragments)
+ * @param {Object} layout - Sprite layout from getSpriteLayout
+ * @param {string} spriteUrl - Sprite URL, relative to the track (default: sprite.jpg)
+ * @returns {string} WebVTT content
+ */
+const generateThumbnailVtt = (layout, spriteUrl = 'sprite.jpg') => {
+  const cues = [];
+
+  for (let index = 0; index < layout.count; index++) {
+    const start = index * layout.interval;
+    const end = index === layout.count - 1 && layout.duration
+      ? Math.max(layout.duration, start + 0.5)
+      : (index + 1) * layout.interval;
+    const x = (index % layout.columns) * layout.tileWidth;
+    const y = Math.floor(index / layout.columns) * layout.tileHeight;
+
+    cues.push([
+      `${formatSubtitleTimestamp(start, '.')} --> ${formatSubtitleTimestamp(end, '.')}`,
+      `${spriteUrl}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}`
+    ].join('\n'));
+  }
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+module.exports = {
+  THUMBNAIL_ASSETS,
+  getSpriteLayout,
+  generateThumbnailVtt
+};
@@ -0,0 +1,147 @@
+/**
+ * File exports of todo items: CSV for spreadsheets and importers, iCalendar
+ * for calendars (todos with a due date only)
+ */
+
+const CSV_COLUMNS = ['Task', 'Status', 'Priority', 'Due date', 'Assignees', 'Video time', 'Process', 'Link', 'Tracker issues'];
+
+/**
+ * Link to a todo in the web app
+ * @param {string} processId - Process ID
+ * @param {string} todoId - Todo item ID
+ * @returns {string}
+ */
+const todoUrl = (processId, todoId) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5001').replace(/\/$/, '');
+  return `${frontendUrl}/processes/${processId}?todo=${todoId}`;
+};
+
+/**
+ * Seconds as H:MM:SS / M:SS, the way the player shows them
+ */
+const formatVideoTime = (seconds) => {
+  if (seconds === undefined || seconds === null) return '';
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// yyyy-mm-dd of a due date, stored as UTC midnight
+const formatDueDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const escapeCsv = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV of todo items
+ * @param {Array} rows - [{ process: { id, title }, todo, assigneeNames }]
+ * @returns {string} CSV content with header row
+ */
+const generateCsv = (rows = []) => {
+  const lines = rows.map(({ process, todo, assigneeNames = [] }) => [
+    todo.task,
+    todo.status,
+    todo.priority,
+    formatDueDate(todo.dueDate),
+    assigneeNames.join('; '),
+    formatVideoTime(todo.timestamp),
+    process.title,
+    todoUrl(process.id, todo.id),
+    (todo.externalLinks || []).map(link => link.url || link.externalId).join(' ')
+  ].map(escapeCsv).join(','));
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+};
+
+const escapeIcsText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are continued on lines starting with a space
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const icsDate = (date) => formatDueDate(date).replace(/-/g, '');
+
+const icsTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * iCalendar with an all-day event on the due date of each todo; todos
+ * without a due date are left out
+ * @param {Array} rows - [{ process: { id, title }, todo, assigneeNames }]
+ * @param {Object} options - { name } calendar name
+ * @returns {string} iCalendar content
+ */
+const generateIcs = (rows = [], options = {}) => {
+  const stamp = icsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ProcessMind//Todos//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(options.name || 'ProcessMind todos')}`
+  ];
+
+  rows.filter(({ todo }) => todo.dueDate).forEach(({ process, todo, assigneeNames = [] }) => {
+    const due = new Date(todo.dueDate);
+    const nextDay = new Date(due.getTime() + 24 * 60 * 60 * 1000);
+    const url = todoUrl(process.id, todo.id);
+    const description = [
+      `Recording: ${process.title}`,
+      `Status: ${todo.status}`,
+      `Priority: ${todo.priority}`,
+      assigneeNames.length ? `Assignees: ${assigneeNames.join(', ')}` : null,
+      url
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:todo-${todo.id}@processmind`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(due)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay)}`,
+      `SUMMARY:${escapeIcsText(todo.status === 'done' ? `✓ ${todo.task}` : todo.task)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${url}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const TODO_FILE_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', generate: generateCsv },
+  ics: { contentType: 'text/calendar; charset=utf-8', generate: generateIcs }
+};
+
+module.exports = {
+  TODO_FILE_FORMATS,
+  todoUrl,
+  formatVideoTime,
+  generateCsv,
+  generateIcs
+};
@@ -0,0 +1,29 @@
+/**
+ * Todo item fields shared by the Process model, request validation and the todo service
+ */
+
+// Work states of a todo item; 'done' is the same as the completed checkbox
+const TODO_STATUSES = ['open', 'in_progress', 'blocked', 'done'];
+
+const TODO_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const MAX_TODO_ASSIGNEES = 10;
+
+/**
+ * Status matching a completed flag, keeping the current status while the
+ * item stays unfinished
+ * @param {boolean} completed - Checkbox state
+ * @param {string} status - Current status
+ * @returns {string}
+ */
+const statusForCompleted = (completed, status = 'open') => {
+  if (completed) return 'done';
+  return status === 'done' ? 'open' : status;
+};
+
+module.exports = {
+  TODO_STATUSES,
+  TODO_PRIORITIES,
+  MAX_TODO_ASSIGNEES,
+  statusForCompleted
+};
@@ -0,0 +1,78 @@
+/**
+ * Transcription settings shared by the API (validation) and the workers (Whisper options)
+ */
+
+// Language codes accepted by Whisper
+const SUPPORTED_LANGUAGES = [
+  'af', 'am', 'ar', 'as', 'az', 'ba', 'be', 'bg', 'bn', 'bo', 'br', 'bs', 'ca', 'cs', 'cy',
+  'da', 'de', 'el', 'en', 'es', 'et', 'eu', 'fa', 'fi', 'fo', 'fr', 'gl', 'gu', 'ha', 'haw',
+  'he', 'hi', 'hr', 'ht', 'hu', 'hy', 'id', 'is', 'it', 'ja', 'jw', 'ka', 'kk', 'km', 'kn',
+  'ko', 'la', 'lb', 'ln', 'lo', 'lt', 'lv', 'mg', 'mi', 'mk', 'ml', 'mn', 'mr', 'ms', 'mt',
+  'my', 'ne', 'nl', 'nn', 'no', 'oc', 'pa', 'pl', 'ps', 'pt', 'ro', 'ru', 'sa', 'sd', 'si',
+  'sk', 'sl', 'sn', 'so', 'sq', 'sr', 'su', 'sv', 'sw', 'ta', 'te', 'tg', 'th', 'tk', 'tl',
+  'tr', 'tt', 'uk', 'ur', 'uz', 'vi', 'yi', 'yo', 'zh'
+];
+
+// Whisper only considers roughly the last 224 tokens of the prompt
+const MAX_PROMPT_LENGTH = 800;
+
+// Transcription backends a tenant can choose from (see transcriptionService)
+const TRANSCRIPTION_PROVIDERS = ['openai', 'self_hosted'];
+const DEFAULT_TRANSCRIPTION_PROVIDER = 'openai';
+
+/**
+ * Whether the server has the configuration a provider needs
+ * @param {string} provider - Provider name
+ * @returns {boolean}
+ */
+const isProviderConfigured = (provider) => {
+  switch (provider) {
+    case 'openai':
+      return !!process.env.OPENAI_API_KEY;
+    case 'self_hosted':
+      return !!process.env.WHISPER_SELF_HOSTED_URL;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Combine tenant defaults and per-upload overrides into Whisper options
+ * @param {Object} tenantSettings - Tenant.settings.transcription ({ language, vocabulary })
+ * @param {Object} overrides - Per-upload values ({ language, vocabulary }); language 'auto' ignores the tenant default
+ * @returns {Object} { language, prompt } - null where not set
+ */
+const resolveTranscriptionOptions = (tenantSettings = {}, overrides = {}) => {
+  let language = tenantSettings?.language || null;
+  if (overrides.language === 'auto') {
+    language = null;
+  } else if (overrides.language) {
+    language = overrides.language;
+  }
+
+  if (language && !SUPPORTED_LANGUAGES.includes(language)) {
+    const error = new Error(`Unsupported transcription language: ${language}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const prompt = [tenantSettings?.vocabulary, overrides.vocabulary]
+    .map(value => (typeof value === 'string' ? value.trim() : ''))
+    .filter(Boolean)
+    .join(', ')
+    .slice(-MAX_PROMPT_LENGTH);
+
+  return {
+    language,
+    prompt: prompt || null
+  };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  MAX_PROMPT_LENGTH,
+  TRANSCRIPTION_PROVIDERS,
+  DEFAULT_TRANSCRIPTION_PROVIDER,
+  isProviderConfigured,
+  resolveTranscriptionOptions
+};
@@ -0,0 +1,45 @@
+/**
+ * Outgoing webhook events and request signing
+ */
+const crypto = require('crypto');
+
+// Events tenants can subscribe to, with the description shown in settings
+const WEBHOOK_EVENTS = {
+  'process.completed': 'A recording finished processing',
+  'process.failed': 'Processing of a recording failed',
+  'process.shared': 'A share link was created for a recording',
+  'process.deleted': 'A recording was deleted'
+};
+
+// Sent by "send test event", whatever the endpoint subscribes to
+const TEST_EVENT = 'webhook.test';
+
+const SIGNATURE_HEADER = 'X-ProcessLink-Signature';
+
+/**
+ * Signing secret for a new endpoint
+ * @returns {string} whsec_ followed by 64 hex characters
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Signature header for a request body. Receivers compute the HMAC-SHA256 of
+ * "<t>.<raw body>" with the endpoint secret, compare it to v1 and reject
+ * old timestamps to prevent replays.
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw JSON body as sent
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} t=<timestamp>,v1=<hex signature>
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  SIGNATURE_HEADER,
+  generateSecret,
+  signPayload
+};
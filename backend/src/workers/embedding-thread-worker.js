@@ -1,25 +1,15 @@
 /**
  * Embedding Thread Worker - Processes embeddings in separate thread
- * Optimizes memory usage for 1536-dimensional vector operations
+ * Optimizes memory usage for vector operations
  */
 
 const { parentPort, workerData } = require('worker_threads');
-const axios = require('axios');
+const aiService = require('../services/aiService');
 
 // Worker identification
 const workerId = workerData.workerId || 0;
 // Removed console.log for production
 
-// OpenAI client setup
-const openaiClient = axios.create({
-  baseURL: 'https://api.openai.com/v1',
-  headers: {
-    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-    'Content-Type': 'application/json',
-  },
-  timeout: 60000, // 1 minute timeout
-});
-
 // Handle messages from main thread
 parentPort.on('message', async (data) => {
   const { type, processId, transcript, title, tags, options } = data;
@@ -90,16 +80,12 @@ async function generateOptimizedEmbedding(processId, transcript, title, tags, op
       throw new Error('No content available for embedding generation');
     }
     
-    // Call OpenAI API
-    const response = await openaiClient.post('/embeddings', {
-      model: options.model || 'text-embedding-ada-002',
-      input: embeddingText
-    });
-    
-    const embedding = response.data.data[0]?.embedding;
+    // Provider and model were resolved from the tenant settings by the heavy worker
+    const response = await aiService.embed(embeddingText, options);
+    const { embedding } = response;
     
-    if (!embedding || !Array.isArray(embedding) || embedding.length !== 1536) {
-      throw new Error('Invalid embedding received from OpenAI API');
+    if (!embedding || !Array.isArray(embedding) || embedding.length === 0) {
+      throw new Error('Invalid embedding received from AI provider');
     }
     
     // Convert to Float32Array for memory efficiency
@@ -109,8 +95,9 @@ async function generateOptimizedEmbedding(processId, transcript, title, tags, op
       embedding: Array.from(optimizedEmbedding), // Convert back to regular array for serialization
       dimensions: embedding.length,
       processingTime: Date.now() - startTime,
-      model: options.model || 'text-embedding-ada-002',
-      tokensUsed: response.data.usage?.total_tokens || 0,
+      model: response.model,
+      provider: response.provider,
+      tokensUsed: response.tokensUsed,
       method: title && tags ? 'title-tags' : 'transcript',
       workerId,
       textLength: embeddingText.length
@@ -134,7 +121,7 @@ async function calculateBatchSimilarities(embeddings, targetEmbedding) {
     const targetMagnitude = calculateMagnitude(target);
     
     const similarities = embeddings.map((embedding, index) => {
-      if (!embedding || embedding.length !== 1536) {
+      if (!embedding || embedding.length !== target.length) {
         return { index, similarity: 0 };
       }
       
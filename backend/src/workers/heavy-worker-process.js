@@ -108,6 +108,16 @@ let embeddingWorkerPool;
 const heavyVideoWorker = new BullWorker(
   queues.VIDEO_PROCESSING,
   async (job) => {
+    // Captions, thumbnails and HLS share the queue with compression and run in this process
+    if (job.name === jobTypes.BURN_CAPTIONS) {
+      return require('../services/queueWorkers').processCaptionBurnJob(job);
+    }
+    if (job.name === jobTypes.GENERATE_THUMBNAILS) {
+      return require('../services/queueWorkers').processThumbnailJob(job);
+    }
+    if (job.name === jobTypes.PACKAGE_HLS) {
+      return require('../services/queueWorkers').processHlsPackagingJob(job);
+    }
     if (job.name !== jobTypes.COMPRESS_VIDEO) {
       throw new Error(`Unknown job type: ${job.name}`);
     }
@@ -176,7 +186,7 @@ const aiAnalysisWorker = new BullWorker(
           transcript,
           title,
           tags,
-          options: job.data.options
+          options: await aiService.resolveOptions(processId, 'embedding', job.data.options)
         });
         
         await job.updateProgress(100);
@@ -200,22 +210,25 @@ const aiAnalysisWorker = new BullWorker(
         workerPid: process.pid
       });
       
+      // LLM provider and model selected by the tenant
+      const aiOptions = await aiService.resolveOptions(processId, 'chat', job.data.options);
+      
       let result;
       
       switch (job.name) {
         case jobTypes.GENERATE_TAGS:
           await job.updateProgress(20);
-          result = await aiService.generateTags(transcript, job.data.options);
+          result = await aiService.generateTags(transcript, aiOptions);
           break;
           
         case jobTypes.GENERATE_TODO:
           await job.updateProgress(20);
-          result = await aiService.generateTodoList(job.data.transcript || transcript, job.data.options);
+          result = await aiService.generateTodoList(job.data.transcript || transcript, aiOptions);
           break;
           
         case jobTypes.GENERATE_TITLE:
           await job.updateProgress(20);
-          result = await aiService.generateTitle(transcript, job.data.options);
+          result = await aiService.generateTitle(transcript, aiOptions);
           break;
           
         default:
@@ -5,6 +5,7 @@ const { Worker } = require('bullmq');
 const { jobTypes } = require('../config/bullmq');
 const fileService = require('../services/fileService');
 const { Process } = require('../models');
+const processStatusService = require('../services/processStatusService');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -322,6 +323,8 @@ class LocalCleanupWorker {
       processId: result.processId,
       success: result.success
     });
+
+    await processStatusService.publishStatus(job.data.processId);
   }
 
   async onJobFailed(job, err) {
@@ -332,6 +335,8 @@ class LocalCleanupWorker {
       error: err.message,
       attempts: job.attemptsMade
     });
+
+    await processStatusService.publishStatus(job.data.processId);
   }
 
   async onWorkerError(err) {
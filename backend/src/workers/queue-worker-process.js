@@ -85,6 +85,7 @@ async function initializeWorkerProcess() {
     if (queueWorkers.transcriptionWorker) activeWorkers.add(queueWorkers.transcriptionWorker);
     if (queueWorkers.aiWorker) activeWorkers.add(queueWorkers.aiWorker);
     if (queueWorkers.cleanupWorker) activeWorkers.add(queueWorkers.cleanupWorker);
+    if (queueWorkers.webhookWorker) activeWorkers.add(queueWorkers.webhookWorker);
     if (queueWorkers.s3UploadWorker) activeWorkers.add(queueWorkers.s3UploadWorker);
     if (queueWorkers.localCleanupWorker) activeWorkers.add(queueWorkers.localCleanupWorker);
     
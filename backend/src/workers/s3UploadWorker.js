@@ -3,6 +3,8 @@ const { jobTypes } = require('../config/bullmq');
 const s3Service = require('../services/s3Service');
 const storageTrackingService = require('../services/storageTrackingService');
 const { Process } = require('../models');
+const processStatusService = require('../services/processStatusService');
+const webhookService = require('../services/webhookService');
 const logger = require('../utils/logger');
 const fs = require('fs');
 
@@ -206,6 +208,7 @@ class S3UploadWorker {
       // Mark process as fully completed after S3 upload
       const finalProcess = await Process.findById(processId);
       if (finalProcess && finalProcess.status !== 'failed') {
+        const completedNow = finalProcess.status !== 'completed';
         finalProcess.status = 'completed';
         await finalProcess.updateProgress(100, 'completed', 'Verarbeitung vollständig abgeschlossen');
         await finalProcess.save();
@@ -214,6 +217,10 @@ class S3UploadWorker {
           processId,
           status: finalProcess.status
         });
+
+        if (completedNow) {
+          await webhookService.emitProcessEvent('process.completed', finalProcess);
+        }
       }
 
       return {
@@ -257,6 +264,8 @@ class S3UploadWorker {
       s3Key: result.s3Key,
       sizeMB: result.sizeMB
     });
+
+    await processStatusService.publishStatus(job.data.processId);
   }
 
   async onJobFailed(job, err) {
@@ -275,6 +284,8 @@ class S3UploadWorker {
       hasS3AccessKey: !!process.env.S3_ACCESS_KEY,
       hasS3SecretKey: !!process.env.S3_SECRET_KEY
     });
+
+    await processStatusService.publishStatus(job.data.processId);
   }
 
   async onWorkerError(err) {
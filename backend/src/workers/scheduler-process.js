@@ -627,6 +627,7 @@ async function checkStuckProcesses() {
   
   try {
     const { Process } = require('../models');
+    const webhookService = require('../services/webhookService');
     const maxProcessingTime = parseInt(process.env.MAX_PROCESSING_TIME_MINUTES) || 30; // Default 30 minutes
     const cutoffTime = new Date(Date.now() - maxProcessingTime * 60 * 1000);
     
@@ -666,6 +667,9 @@ async function checkStuckProcesses() {
       };
       
       await process.save();
+      await webhookService.emitProcessEvent('process.failed', process, {
+        error: `Process timed out after ${stuckMinutes} minutes`
+      });
       
       logger.warn(`Marked stuck process as failed`, {
         processId: process._id,
@@ -0,0 +1,200 @@
+/**
+ * Password login and invitation acceptance in workspaces that require
+ * single sign-on
+ */
+jest.mock('../../src/models', () => ({
+  User: { findOne: jest.fn() },
+  Tenant: {},
+  EmailDomain: {},
+  PendingRegistration: {},
+  UserInvitation: { findByToken: jest.fn() },
+  SsoConnection: { findOne: jest.fn() }
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  getRedisClient: () => null,
+  cacheUtils: { set: jest.fn(), get: jest.fn(), del: jest.fn() },
+  keyGenerators: {
+    loginAttempts: (email) => `login:attempts:${email}`,
+    userTenant: (hash) => `user:tenant:${hash}`
+  }
+}));
+
+jest.mock('../../src/services/domainResolverService', () => ({
+  resolveTenant: jest.fn(),
+  resolveTenantByEmail: jest.fn()
+}));
+
+jest.mock('../../src/services/invitationService', () => ({
+  acceptInvitation: jest.fn()
+}));
+
+jest.mock('../../src/services/emailVerificationService', () => ({}));
+jest.mock('../../src/services/emailService', () => ({}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.API_URL = 'https://app.example.test/api/v1';
+
+const { User, UserInvitation, SsoConnection } = require('../../src/models');
+const domainResolver = require('../../src/services/domainResolverService');
+const invitationService = require('../../src/services/invitationService');
+const authController = require('../../src/controllers/authController');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f60718';
+const LOGIN_URL = `https://app.example.test/api/v1/auth/sso/${TENANT_ID}/start`;
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (body) => ({
+  body,
+  ip: '127.0.0.1',
+  get: () => 'jest'
+});
+
+const fakeUser = (role) => ({
+  _id: 'user-id',
+  email: `${role}@acme.test`,
+  role,
+  isActive: true,
+  isLocked: false,
+  loginAttempts: 0,
+  tenantId: {
+    _id: { toString: () => TENANT_ID },
+    name: 'Acme',
+    subscription: { plan: 'pro', status: 'active' }
+  },
+  comparePassword: jest.fn().mockResolvedValue(true),
+  save: jest.fn(),
+  generateAccessToken: () => 'access-token',
+  generateRefreshToken: () => 'refresh-token',
+  addRefreshToken: jest.fn(),
+  toJSON() {
+    return { email: this.email, role: this.role };
+  }
+});
+
+const enforceSso = (enforced) => {
+  SsoConnection.findOne.mockResolvedValue(enforced ? { tenantId: TENANT_ID, enabled: true, enforced: true } : null);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  domainResolver.resolveTenantByEmail.mockResolvedValue({ tenantId: TENANT_ID });
+});
+
+describe('login', () => {
+  const login = async (user) => {
+    User.findOne.mockReturnValue({
+      select: () => ({ populate: jest.fn().mockResolvedValue(user) })
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+    await authController.login(mockRequest({ email: user.email, password: 'Secret123!' }), res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  it('sends members to single sign-on when the workspace requires it', async () => {
+    enforceSso(true);
+    const user = fakeUser('admin');
+
+    const res = await login(user);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'SSO_REQUIRED',
+      loginUrl: `${LOGIN_URL}?login_hint=${encodeURIComponent('admin@acme.test')}`
+    }));
+    expect(user.comparePassword).not.toHaveBeenCalled();
+  });
+
+  it('keeps password login for the owner', async () => {
+    enforceSso(true);
+    const user = fakeUser('owner');
+
+    const res = await login(user);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(user.comparePassword).toHaveBeenCalledWith('Secret123!');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      data: expect.objectContaining({ tokens: expect.objectContaining({ accessToken: 'access-token' }) })
+    }));
+  });
+
+  it('allows password login when single sign-on is optional', async () => {
+    enforceSso(false);
+
+    const res = await login(fakeUser('user'));
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+});
+
+describe('acceptInvitation', () => {
+  const invitation = {
+    _id: 'invitation-id',
+    email: 'new@acme.test',
+    role: 'user',
+    tenantId: { _id: { toString: () => TENANT_ID }, name: 'Acme' }
+  };
+
+  const accept = async (body) => {
+    UserInvitation.findByToken.mockResolvedValue(invitation);
+    invitationService.acceptInvitation.mockImplementation(async (token, userData) => ({
+      user: { ...fakeUser(invitation.role), email: userData.email },
+      tenant: { _id: TENANT_ID, name: 'Acme', subscription: { plan: 'pro' } }
+    }));
+    const res = mockResponse();
+    const next = jest.fn();
+    await authController.acceptInvitation(mockRequest({ token: 'token', firstName: 'New', lastName: 'Member', ...body }), res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  it('creates the account without a chosen password and sends the invitee to single sign-on', async () => {
+    enforceSso(true);
+
+    const res = await accept({ password: 'Chosen123!' });
+
+    const [, userData] = invitationService.acceptInvitation.mock.calls[0];
+    expect(userData.password).not.toBe('Chosen123!');
+    expect(res.status).toHaveBeenCalledWith(201);
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({
+      code: 'SSO_REQUIRED',
+      loginUrl: `${LOGIN_URL}?login_hint=${encodeURIComponent('new@acme.test')}`
+    });
+    expect(body.data).toBeUndefined();
+  });
+
+  it('requires a password when single sign-on is optional', async () => {
+    enforceSso(false);
+
+    const res = await accept({});
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(invitationService.acceptInvitation).not.toHaveBeenCalled();
+  });
+
+  it('issues tokens for a password account when single sign-on is optional', async () => {
+    enforceSso(false);
+
+    const res = await accept({ password: 'Chosen123!' });
+
+    expect(invitationService.acceptInvitation).toHaveBeenCalledWith('token', expect.objectContaining({ password: 'Chosen123!' }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.tokens.accessToken).toBe('access-token');
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Queueing of re-analysis and re-transcription runs and captioned videos
+ */
+jest.mock('../../src/models', () => ({
+  Process: { findOne: jest.fn(), updateOne: jest.fn() },
+  Tenant: { findById: jest.fn() }
+}));
+
+jest.mock('../../src/config/bullmq', () => ({
+  queues: { AI_ANALYSIS: 'ai-analysis', AUDIO_EXTRACTION: 'audio-extraction', TRANSCRIPTION: 'transcription' },
+  jobTypes: {
+    GENERATE_TAGS: 'generate-tags',
+    GENERATE_TITLE: 'generate-title',
+    GENERATE_SUMMARY: 'generate-summary'
+  },
+  queueMethods: {
+    addReanalysisJob: jest.fn(),
+    addRetranscriptionJob: jest.fn(),
+    hasPendingJobs: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  getRedisClient: () => null,
+  cacheUtils: {},
+  keyGenerators: {}
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Process, Tenant } = require('../../src/models');
+const { queueMethods } = require('../../src/config/bullmq');
+const processController = require('../../src/controllers/processController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const fakeProcess = (reanalysis = null) => ({
+  _id: { toString: () => 'process-id' },
+  status: 'completed',
+  title: 'Weekly sync',
+  tags: [],
+  transcript: { text: 'Hello', segments: [] },
+  reanalysis,
+  processingDetails: null,
+  save: jest.fn()
+});
+
+const reanalyze = async (process, steps = ['tags', 'summary']) => {
+  Process.findOne.mockResolvedValue(process);
+  const res = mockResponse();
+  const next = jest.fn();
+  await processController.reanalyzeProcess({
+    params: { tenantId: 'tenant-id', id: 'process-id' },
+    body: { steps },
+    user: { id: 'user-id' }
+  }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+const staleRun = () => ({
+  status: 'queued',
+  steps: ['tags'],
+  pendingSteps: ['tags'],
+  jobIds: { tags: '41' },
+  requestedAt: new Date(Date.now() - 10 * 60 * 1000)
+});
+
+const staleRetranscription = (jobs = [{ id: '17', queue: 'audio-extraction' }, { id: '8', queue: 'transcription' }]) => ({
+  status: 'queued',
+  jobs,
+  requestedAt: new Date(Date.now() - 10 * 60 * 1000)
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Process.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  Tenant.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+});
+
+describe('reanalyzeProcess', () => {
+  it('queues a job per step', async () => {
+    queueMethods.addReanalysisJob
+      .mockResolvedValueOnce({ id: '1', remove: jest.fn() })
+      .mockResolvedValueOnce({ id: '2', remove: jest.fn() });
+    const process = fakeProcess();
+
+    const res = await reanalyze(process);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(process.reanalysis).toMatchObject({ status: 'queued', pendingSteps: ['tags', 'summary'], jobIds: { tags: '1', summary: '2' } });
+  });
+
+  it('marks the run failed and drops queued jobs when queueing fails', async () => {
+    const queued = { id: '1', remove: jest.fn() };
+    queueMethods.addReanalysisJob
+      .mockResolvedValueOnce(queued)
+      .mockRejectedValueOnce(new Error('Connection is closed.'));
+
+    const res = await reanalyze(fakeProcess());
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(queued.remove).toHaveBeenCalled();
+    expect(Process.updateOne).toHaveBeenLastCalledWith({ _id: expect.anything() }, {
+      $set: expect.objectContaining({
+        'reanalysis.status': 'failed',
+        'reanalysis.pendingSteps': [],
+        'reanalysis.error': 'Could not queue the re-analysis: Connection is closed.'
+      })
+    });
+  });
+
+  it('refuses a second run while the first has jobs in the queue', async () => {
+    queueMethods.hasPendingJobs.mockResolvedValue(true);
+
+    const res = await reanalyze(fakeProcess(staleRun()));
+
+    expect(queueMethods.hasPendingJobs).toHaveBeenCalledWith(['41'], 'ai-analysis');
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(queueMethods.addReanalysisJob).not.toHaveBeenCalled();
+  });
+
+  it('refuses a second run right after the first was requested', async () => {
+    const res = await reanalyze(fakeProcess({ ...staleRun(), requestedAt: new Date(), jobIds: {} }));
+
+    expect(queueMethods.hasPendingJobs).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('starts again when the queued run has nothing left in the queue', async () => {
+    queueMethods.hasPendingJobs.mockResolvedValue(false);
+    queueMethods.addReanalysisJob.mockResolvedValue({ id: '42', remove: jest.fn() });
+
+    const res = await reanalyze(fakeProcess(staleRun()), ['tags']);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(queueMethods.addReanalysisJob).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('retranscribeProcess', () => {
+  const retranscribe = async (process) => {
+    Process.findOne.mockResolvedValue(process);
+    const res = mockResponse();
+    const next = jest.fn();
+    await processController.retranscribeProcess({
+      params: { tenantId: 'tenant-id', id: 'process-id' },
+      body: {},
+      user: { id: 'user-id' }
+    }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  const retranscribable = (retranscription = null) => ({
+    ...fakeProcess(),
+    files: { audio: { path: 'audio.mp3' } },
+    retranscription,
+    processingDetails: 'done',
+    progress: { percentage: 100, currentStep: 'completed' },
+    toObject() {
+      return { processingDetails: 'done', progress: { percentage: 100, currentStep: 'completed' } };
+    }
+  });
+
+  it('queues the run and remembers its job', async () => {
+    queueMethods.addRetranscriptionJob.mockResolvedValue({ id: '17' });
+    const process = retranscribable();
+
+    const res = await retranscribe(process);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(Process.updateOne).toHaveBeenCalledWith({ _id: expect.anything() }, {
+      $push: { 'retranscription.jobs': { id: '17', queue: 'audio-extraction' } }
+    });
+    expect(process.retranscription).toMatchObject({ status: 'queued', jobs: [{ id: '17', queue: 'audio-extraction' }] });
+  });
+
+  it('marks the run failed and restores the progress when queueing fails', async () => {
+    queueMethods.addRetranscriptionJob.mockRejectedValue(new Error('Connection is closed.'));
+
+    const res = await retranscribe(retranscribable());
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(Process.updateOne).toHaveBeenLastCalledWith({ _id: expect.anything() }, {
+      $set: expect.objectContaining({
+        'retranscription.status': 'failed',
+        'retranscription.error': 'Could not queue the re-transcription: Connection is closed.',
+        processingDetails: 'done',
+        progress: { percentage: 100, currentStep: 'completed' }
+      })
+    });
+  });
+
+  it('refuses a second run while the first has jobs in the queue', async () => {
+    queueMethods.hasPendingJobs.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const res = await retranscribe(retranscribable(staleRetranscription()));
+
+    expect(queueMethods.hasPendingJobs).toHaveBeenCalledWith(['17'], 'audio-extraction', { finishedWithin: 60000 });
+    expect(queueMethods.hasPendingJobs).toHaveBeenCalledWith(['8'], 'transcription', { finishedWithin: 60000 });
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(queueMethods.addRetranscriptionJob).not.toHaveBeenCalled();
+  });
+
+  it('starts again when the queued run has nothing left in the queue', async () => {
+    queueMethods.hasPendingJobs.mockResolvedValue(false);
+    queueMethods.addRetranscriptionJob.mockResolvedValue({ id: '18' });
+
+    const res = await retranscribe(retranscribable(staleRetranscription([])));
+
+    expect(res.status).toHaveBeenCalledWith(202);
+  });
+});
+
+describe('getProcess', () => {
+  it('reports a stale queued re-analysis as failed', async () => {
+    queueMethods.hasPendingJobs.mockResolvedValue(false);
+    const process = {
+      ...fakeProcess(staleRun()),
+      processingDetails: 'reanalysis_queued',
+      set(update) {
+        this.reanalysis.status = update['reanalysis.status'];
+        this.processingDetails = update.processingDetails;
+      },
+      toJSON() {
+        return { reanalysis: this.reanalysis, processingDetails: this.processingDetails };
+      }
+    };
+    Process.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(process) });
+    const res = mockResponse();
+
+    await processController.getProcess({ params: { tenantId: 'tenant-id', id: 'process-id' } }, res, jest.fn());
+
+    expect(Process.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ 'reanalysis.status': 'queued', 'reanalysis.requestedAt': process.reanalysis.requestedAt }),
+      { $set: expect.objectContaining({ 'reanalysis.status': 'failed', processingDetails: null }) }
+    );
+    expect(res.json.mock.calls[0][0].data.process).toMatchObject({
+      reanalysis: { status: 'failed' },
+      processingDetails: null
+    });
+  });
+
+  it('reports a stale queued re-transcription as failed', async () => {
+    queueMethods.hasPendingJobs.mockResolvedValue(false);
+    const process = {
+      ...fakeProcess(),
+      retranscription: staleRetranscription(),
+      processingDetails: 'retranscribing',
+      set: jest.fn(),
+      toJSON: () => ({})
+    };
+    Process.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(process) });
+
+    await processController.getProcess({ params: { tenantId: 'tenant-id', id: 'process-id' } }, mockResponse(), jest.fn());
+
+    expect(Process.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ 'retranscription.status': 'queued', 'retranscription.requestedAt': process.retranscription.requestedAt }),
+      { $set: expect.objectContaining({ 'retranscription.status': 'failed', processingDetails: null }) }
+    );
+    expect(process.set).toHaveBeenCalled();
+  });
+});
+
+describe('requestCaptionedVideo', () => {
+  const request = async (process) => {
+    Process.findOne.mockResolvedValue(process);
+    const res = mockResponse();
+    await processController.requestCaptionedVideo({
+      params: { tenantId: 'tenant-id', id: 'process-id' },
+      user: { id: 'user-id' }
+    }, res, jest.fn());
+    return res;
+  };
+
+  it('asks to wait while the video is still processing', async () => {
+    const res = await request({ ...fakeProcess(), status: 'transcribing', files: { processed: { storageType: 'local' } } });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Video must finish processing before captions can be burned in'
+    }));
+  });
+
+  it('explains that finished videos in local storage cannot be captioned', async () => {
+    const res = await request({ ...fakeProcess(), files: { processed: { storageType: 'local' } } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Captioned videos are only available for videos in cloud storage'
+    }));
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Local stand-ins for a tenant's identity provider: an OpenID provider on a
+ * loopback HTTP server and a SAML IdP that signs responses with the key in
+ * fixtures/sso
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { SignedXml } = require('xml-crypto');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sso');
+
+const samlKey = fs.readFileSync(path.join(FIXTURES, 'idp.key'), 'utf8');
+const samlCertificate = fs.readFileSync(path.join(FIXTURES, 'idp.crt'), 'utf8');
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const signJwt = (payload, privateKey, kid) => {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${body}`), privateKey);
+  return `${header}.${body}.${signature.toString('base64url')}`;
+};
+
+const readForm = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * OpenID provider with discovery, JWKS and a token endpoint that checks the
+ * client secret and PKCE verifier. authorize() plays the user signing in.
+ * @param {Object} client - { clientId, clientSecret }
+ * @returns {Promise<Object>} { issuer, authorize, close }
+ */
+const startOidcProvider = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  let issuer;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, issuer);
+
+    if (pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic']
+      });
+    }
+
+    if (pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (pathname === '/token' && req.method === 'POST') {
+      const form = await readForm(req);
+      const expected = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+      const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+      if (!grant || grant.codeChallenge !== challenge || grant.redirectUri !== form.redirect_uri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: signJwt({
+          iss: issuer,
+          aud: clientId,
+          sub: grant.claims.email,
+          nonce: grant.nonce,
+          iat: now,
+          exp: now + 300,
+          ...grant.claims
+        }, grant.signingKey, 'test')
+      });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+
+    /**
+     * Sign in at the provider from the authorization URL the app redirected
+     * to, returning the query the provider sends back to the redirect URI
+     * @param {string} authorizationUrl - URL from ssoService.startLogin
+     * @param {Object} claims - ID token claims of the user, e.g. { email }
+     * @param {Object} [options] - { foreignKey: sign the ID token with a key the JWKS does not publish }
+     */
+    authorize(authorizationUrl, claims, { foreignKey = false } = {}) {
+      const params = new URL(authorizationUrl).searchParams;
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        throw new Error('Unexpected authorization request');
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        claims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+        signingKey: foreignKey
+          ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+          : privateKey
+      });
+      return { code, state: params.get('state') };
+    },
+
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Request ID and RelayState of the AuthnRequest in a redirect binding URL
+ * @param {string} authorizeUrl - URL from ssoService.startLogin
+ */
+const parseAuthnRequest = (authorizeUrl) => {
+  const params = new URL(authorizeUrl).searchParams;
+  const xml = zlib.inflateRawSync(Buffer.from(params.get('SAMLRequest'), 'base64')).toString('utf8');
+  return {
+    requestId: /\sID="([^"]+)"/.exec(xml)[1],
+    relayState: params.get('RelayState')
+  };
+};
+
+/**
+ * Base64 SAML response to an AuthnRequest with a signed assertion
+ * @param {Object} options
+ * @param {string} options.requestId - ID of the AuthnRequest answered
+ * @param {string} options.acsUrl - Assertion consumer service URL
+ * @param {string} options.audience - Service provider entity ID
+ * @param {string} options.email - NameID and email attribute
+ * @param {Object} [options.attributes] - Further attributes by name
+ * @param {string} [options.privateKey] - Signing key, the fixture key by default
+ * @returns {string}
+ */
+const samlResponse = ({ requestId, acsUrl, audience, email, attributes = {}, privateKey = samlKey }) => {
+  const now = new Date();
+  const later = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+  const issueInstant = now.toISOString();
+  const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+
+  const attributeXml = Object.entries({ email, ...attributes })
+    .map(([name, value]) => `<saml:Attribute Name="${xmlEscape(name)}"><saml:AttributeValue>${xmlEscape(value)}</saml:AttributeValue></saml:Attribute>`)
+    .join('');
+
+  const assertion = `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${assertionId}" Version="2.0" IssueInstant="${issueInstant}">`
+    + '<saml:Issuer>https://idp.example.test</saml:Issuer>'
+    + '<saml:Subject>'
+    + `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${xmlEscape(email)}</saml:NameID>`
+    + '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">'
+    + `<saml:SubjectConfirmationData InResponseTo="${requestId}" NotOnOrAfter="${later}" Recipient="${acsUrl}"/>`
+    + '</saml:SubjectConfirmation>'
+    + '</saml:Subject>'
+    + `<saml:Conditions NotBefore="${issueInstant}" NotOnOrAfter="${later}">`
+    + `<saml:AudienceRestriction><saml:Audience>${audience}</saml:Audience></saml:AudienceRestriction>`
+    + '</saml:Conditions>'
+    + `<saml:AuthnStatement AuthnInstant="${issueInstant}" SessionIndex="${assertionId}">`
+    + '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>'
+    + '</saml:AuthnStatement>'
+    + `<saml:AttributeStatement>${attributeXml}</saml:AttributeStatement>`
+    + '</saml:Assertion>';
+
+  const signer = new SignedXml({
+    privateKey,
+    publicCert: samlCertificate,
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256'
+  });
+  signer.addReference({
+    xpath: "//*[local-name(.)='Assertion']",
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+    transforms: [
+      'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+      'http://www.w3.org/2001/10/xml-exc-c14n#'
+    ]
+  });
+  signer.computeSignature(assertion, {
+    location: { reference: "//*[local-name(.)='Issuer']", action: 'after' }
+  });
+
+  const response = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_${crypto.randomBytes(16).toString('hex')}" Version="2.0" IssueInstant="${issueInstant}" Destination="${acsUrl}" InResponseTo="${requestId}">`
+    + '<saml:Issuer>https://idp.example.test</saml:Issuer>'
+    + '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>'
+    + signer.getSignedXml()
+    + '</samlp:Response>';
+
+  return Buffer.from(response).toString('base64');
+};
+
+module.exports = {
+  samlCertificate,
+  startOidcProvider,
+  parseAuthnRequest,
+  samlResponse
+};
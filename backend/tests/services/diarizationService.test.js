@@ -0,0 +1,195 @@
+/**
+ * Provider selection, the local stand-in and the diarization server client,
+ * the latter against a server on the loopback interface
+ */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const diarizationService = require('../../src/services/diarizationService');
+
+const ENV_KEYS = [
+  'DIARIZATION_PROVIDER',
+  'DIARIZATION_API_URL',
+  'DIARIZATION_API_KEY',
+  'DIARIZATION_MAX_SPEAKERS',
+  'DIARIZATION_TURN_GAP'
+];
+const savedEnv = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  });
+});
+
+const segments = [
+  { start: 0, end: 2, text: 'Hello' },
+  { start: 2.2, end: 4, text: 'and welcome' },
+  { start: 6, end: 8, text: 'Thanks' },
+  { start: 10, end: 12, text: 'Let us start' }
+];
+
+describe('provider selection', () => {
+  it('is disabled without configuration', () => {
+    expect(diarizationService.getProviderName()).toBeNull();
+    expect(diarizationService.isEnabled()).toBe(false);
+  });
+
+  it('uses the diarization server when one is configured', () => {
+    process.env.DIARIZATION_API_URL = 'http://diarization.internal';
+    expect(diarizationService.getProviderName()).toBe('http');
+  });
+
+  it('runs the local heuristic only when chosen', () => {
+    process.env.DIARIZATION_PROVIDER = 'local';
+    expect(diarizationService.getProviderName()).toBe('local');
+  });
+
+  it('can be switched off even with a server configured', () => {
+    process.env.DIARIZATION_PROVIDER = 'none';
+    process.env.DIARIZATION_API_URL = 'http://diarization.internal';
+    expect(diarizationService.isEnabled()).toBe(false);
+  });
+
+  it('rejects unknown providers', async () => {
+    await expect(diarizationService.diarize('audio.wav', segments, { provider: 'psychic' }))
+      .rejects.toThrow('Unknown diarization provider: psychic');
+  });
+});
+
+describe('local provider', () => {
+  it('starts a new speaker after a long pause and rotates through the speakers', async () => {
+    const result = await diarizationService.diarize('audio.wav', segments, { provider: 'local' });
+
+    expect(result.provider).toBe('local');
+    expect(result.segments.map(s => s.speaker)).toEqual(['Speaker 1', 'Speaker 1', 'Speaker 2', 'Speaker 1']);
+    expect(result.speakers).toEqual(['Speaker 1', 'Speaker 2']);
+  });
+
+  it('honours the speaker count and turn gap', async () => {
+    const result = await diarizationService.diarize('audio.wav', segments, {
+      provider: 'local',
+      maxSpeakers: 3,
+      turnGap: 0.1
+    });
+
+    expect(result.segments.map(s => s.speaker)).toEqual(['Speaker 1', 'Speaker 2', 'Speaker 3', 'Speaker 1']);
+  });
+});
+
+describe('assignSpeakers', () => {
+  it('labels segments by the turn they overlap most, in order of appearance', () => {
+    const labelled = diarizationService.assignSpeakers(segments, [
+      { start: 0, end: 3.5, speaker: 'SPEAKER_07' },
+      { start: 3.5, end: 9, speaker: 'SPEAKER_02' },
+      { start: 9, end: 11, speaker: 'SPEAKER_07' }
+    ]);
+
+    expect(labelled.map(s => s.speaker)).toEqual(['Speaker 1', 'Speaker 1', 'Speaker 2', 'Speaker 1']);
+    expect(labelled[0].text).toBe('Hello');
+  });
+
+  it('leaves segments without an overlapping turn unlabelled', () => {
+    const labelled = diarizationService.assignSpeakers(segments, [{ start: 0, end: 1, speaker: 'A' }]);
+
+    expect(labelled.map(s => s.speaker)).toEqual(['Speaker 1', null, null, null]);
+  });
+});
+
+describe('http provider', () => {
+  let server;
+  let requests;
+  let reply;
+  let audioPath;
+
+  beforeAll(async () => {
+    audioPath = path.join(os.tmpdir(), `diarization-${process.pid}.wav`);
+    fs.writeFileSync(audioPath, Buffer.from('RIFF----WAVEfmt '));
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('latin1');
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    fs.unlinkSync(audioPath);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    reply = { status: 200, body: { turns: [] } };
+    process.env.DIARIZATION_API_URL = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  it('posts the audio and maps the returned turns', async () => {
+    process.env.DIARIZATION_API_KEY = 'diarization-key';
+    reply.body = {
+      turns: [
+        { start: 0, end: 5, speaker: 'SPEAKER_01' },
+        { start: 5, end: 12, speaker: 'SPEAKER_00' }
+      ]
+    };
+
+    const result = await diarizationService.diarize(audioPath, segments, { maxSpeakers: 4 });
+
+    expect(result.provider).toBe('http');
+    expect(result.segments.map(s => s.speaker)).toEqual(['Speaker 1', 'Speaker 1', 'Speaker 2', 'Speaker 2']);
+
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/diarize');
+    expect(request.headers.authorization).toBe('Bearer diarization-key');
+    expect(request.headers['content-type']).toMatch(/^multipart\/form-data/);
+    expect(request.body).toContain(`filename="${path.basename(audioPath)}"`);
+    expect(request.body).toContain('RIFF----WAVEfmt ');
+    expect(request.body).toMatch(/name="max_speakers"\r\n\r\n4\r\n/);
+  });
+
+  it('fails when the server returns no turns', async () => {
+    reply.body = { error: 'model not loaded' };
+
+    await expect(diarizationService.diarize(audioPath, segments)).rejects.toThrow('Diarization server returned no speaker turns');
+  });
+
+  it('fails on server errors', async () => {
+    reply = { status: 500, body: { error: 'boom' } };
+
+    await expect(diarizationService.diarize(audioPath, segments)).rejects.toThrow('status code 500');
+  });
+
+  it('does not call the server without segments', async () => {
+    const result = await diarizationService.diarize(audioPath, []);
+
+    expect(result).toEqual({ segments: [], speakers: [], provider: 'http', processingTime: 0 });
+    expect(requests).toHaveLength(0);
+  });
+});
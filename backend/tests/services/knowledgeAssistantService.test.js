@@ -0,0 +1,123 @@
+/**
+ * Retrieval of the knowledge assistant: which transcript chunks are compared
+ * with a question, and when the answer says that not all of them were
+ */
+jest.mock('../../src/models', () => ({
+  Process: {
+    calculateSimilarity: (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0)
+  },
+  TranscriptChunk: { find: jest.fn() },
+  AssistantConversation: {},
+  FavoriteList: {},
+  TenantUsage: {}
+}));
+
+jest.mock('../../src/config/bullmq', () => ({
+  queueMethods: { addTranscriptIndexJob: jest.fn() }
+}));
+
+jest.mock('../../src/services/aiService', () => ({
+  resolveTenantOptions: jest.fn(),
+  getProvider: () => ({ defaultEmbeddingModel: () => 'embed-small' }),
+  generateEmbedding: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { TranscriptChunk } = require('../../src/models');
+const aiService = require('../../src/services/aiService');
+const knowledgeAssistantService = require('../../src/services/knowledgeAssistantService');
+
+let recentChunks;
+let keywordChunks;
+let queries;
+
+const chunk = (id, text, embedding) => ({ _id: id, processId: 'process-id', text, embedding });
+
+// Stands in for the collection: text queries return the keyword matches,
+// everything else the newest chunks, both cut at the query limit
+const mockFind = () => {
+  TranscriptChunk.find.mockImplementation((filter) => {
+    const query = { filter };
+    queries.push(query);
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: (limit) => {
+        query.limit = limit;
+        return chain;
+      },
+      lean: () => chain,
+      cursor: async function* () {
+        const source = filter.$text ? keywordChunks : recentChunks;
+        for (const item of source.slice(0, query.limit)) {
+          yield { ...item };
+        }
+      }
+    };
+    return chain;
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  recentChunks = [];
+  keywordChunks = [];
+  queries = [];
+  mockFind();
+  aiService.resolveTenantOptions.mockResolvedValue({ provider: 'openai' });
+  aiService.generateEmbedding.mockResolvedValue({ embedding: [1, 0], tokensUsed: 3 });
+});
+
+describe('findCandidates', () => {
+  it('compares older chunks that share words with the question next to the newest ones', async () => {
+    recentChunks = [chunk('r1', 'Weekly numbers', [0.2, 0.8]), chunk('k1', 'Supplier onboarding steps', [0.9, 0.1])];
+    keywordChunks = [chunk('k1', 'Supplier onboarding steps', [0.9, 0.1]), chunk('k2', 'Onboarding a supplier', [0.7, 0.3])];
+
+    const result = await knowledgeAssistantService.findCandidates('tenant-id', 'How do we onboard a supplier?', null);
+
+    expect(queries[0].filter).toMatchObject({
+      tenantId: 'tenant-id',
+      embeddingModel: 'embed-small',
+      $text: { $search: 'how onboard supplier' }
+    });
+    expect(result.candidates.map(({ chunk: c }) => c._id)).toEqual(['k1', 'k2', 'r1']);
+    expect(result.candidates[0].chunk.embedding).toBeUndefined();
+    expect(result).toMatchObject({ degraded: false, truncated: false, embeddingTokens: 3 });
+  });
+
+  it('reports when older chunks were left out', async () => {
+    recentChunks = Array.from({ length: 5001 }, (_, i) => chunk(`r${i}`, 'Status update', [0.5, 0.5]));
+
+    const result = await knowledgeAssistantService.findCandidates('tenant-id', 'Status?', ['process-id']);
+
+    expect(queries[1].filter.processId).toEqual({ $in: ['process-id'] });
+    expect(queries[1].limit).toBe(5001);
+    expect(result.truncated).toBe(true);
+  });
+
+  it('is not truncated when every chunk fits', async () => {
+    recentChunks = Array.from({ length: 5000 }, (_, i) => chunk(`r${i}`, 'Status update', [0.5, 0.5]));
+
+    const result = await knowledgeAssistantService.findCandidates('tenant-id', 'Status?', null);
+
+    expect(result.truncated).toBe(false);
+  });
+
+  it('scores by word overlap across all embedding models without a question embedding', async () => {
+    aiService.generateEmbedding.mockRejectedValue(new Error('quota exceeded'));
+    recentChunks = [chunk('r1', 'Finance approves the invoices'), chunk('r2', 'Lunch plans')];
+    keywordChunks = [chunk('k1', 'Approved invoices go to finance')];
+
+    const result = await knowledgeAssistantService.findCandidates('tenant-id', 'Who approves invoices in finance?', null);
+
+    expect(queries[0].filter.embeddingModel).toBeUndefined();
+    expect(result.degraded).toBe(true);
+    expect(result.candidates.map(({ chunk: c }) => c._id)).toEqual(['r1', 'k1']);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Authentication of WebSocket connections for live process status
+ */
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/models', () => ({
+  User: { findById: jest.fn() },
+  Process: { findOne: jest.fn() }
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  getRedisClient: () => null,
+  keyGenerators: {}
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { User, Process } = require('../../src/models');
+const processStatusService = require('../../src/services/processStatusService');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f60718';
+const PROCESS_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+const fakeSocket = () => ({ writable: true, write: jest.fn(), destroy: jest.fn() });
+
+const upgrade = async (user) => {
+  User.findById.mockReturnValue({
+    select: () => ({ populate: jest.fn().mockResolvedValue(user) })
+  });
+  const token = jwt.sign({ userId: 'user-id', tenantId: TENANT_ID }, process.env.JWT_SECRET);
+  const socket = fakeSocket();
+  await processStatusService.handleUpgrade(
+    { url: `/api/v1/tenants/${TENANT_ID}/processes/${PROCESS_ID}/status?token=${token}` },
+    socket,
+    Buffer.alloc(0)
+  );
+  return socket;
+};
+
+const tenant = (status) => ({ _id: TENANT_ID, subscription: { status } });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  processStatusService.wss = { handleUpgrade: jest.fn() };
+  Process.findOne.mockReturnValue({
+    select: jest.fn().mockResolvedValue({ _id: PROCESS_ID, tenantId: TENANT_ID, status: 'completed' })
+  });
+});
+
+describe('handleUpgrade', () => {
+  it('accepts active users of active tenants', async () => {
+    const socket = await upgrade({ isActive: true, tenantId: tenant('active') });
+
+    expect(socket.destroy).not.toHaveBeenCalled();
+    expect(processStatusService.wss.handleUpgrade).toHaveBeenCalled();
+  });
+
+  it('rejects users of a suspended tenant', async () => {
+    const socket = await upgrade({ isActive: true, tenantId: tenant('suspended') });
+
+    expect(socket.write).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 403 /));
+    expect(socket.destroy).toHaveBeenCalled();
+    expect(processStatusService.wss.handleUpgrade).not.toHaveBeenCalled();
+  });
+
+  it('rejects inactive users', async () => {
+    const socket = await upgrade({ isActive: false, tenantId: tenant('active') });
+
+    expect(socket.write).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 401 /));
+    expect(processStatusService.wss.handleUpgrade).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * OpenID Connect and SAML sign-in against local identity provider stand-ins.
+ * MongoDB and Redis are replaced by in-memory mocks.
+ */
+const crypto = require('crypto');
+
+jest.mock('../../src/models', () => ({
+  SsoConnection: { findOne: jest.fn(), updateOne: jest.fn() },
+  User: { findOne: jest.fn(), create: jest.fn() },
+  Tenant: { findById: jest.fn(), exists: jest.fn() }
+}));
+
+jest.mock('../../src/config/redis', () => {
+  const store = new Map();
+  const client = {
+    set: async (key, value, options = {}) => {
+      if (options.NX && store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    },
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    getDel: async (key) => {
+      const value = store.has(key) ? store.get(key) : null;
+      store.delete(key);
+      return value;
+    }
+  };
+  return {
+    getRedisClient: () => client,
+    keyGenerators: {
+      ssoState: (state) => `sso:state:${state}`,
+      ssoCode: (code) => `sso:code:${code}`,
+      samlRequest: (requestId) => `sso:saml:request:${requestId}`
+    }
+  };
+});
+
+jest.mock('../../src/services/domainResolverService', () => ({
+  resolveTenant: jest.fn(),
+  resolveTenantByEmail: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.API_URL = 'https://app.example.test/api/v1';
+
+const { SsoConnection, User, Tenant } = require('../../src/models');
+const domainResolver = require('../../src/services/domainResolverService');
+const ssoService = require('../../src/services/ssoService');
+const { seal } = require('../../src/utils/secretBox');
+const { ssoUrls, certificateBody } = require('../../src/utils/sso');
+const {
+  samlCertificate,
+  startOidcProvider,
+  parseAuthnRequest,
+  samlResponse
+} = require('../helpers/identityProvider');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f60718';
+const OTHER_TENANT_ID = '64b7f0c2a1b2c3d4e5f60719';
+const CLIENT = { clientId: 'processlink', clientSecret: 'client-secret' };
+const META = { userAgent: 'jest', ip: '127.0.0.1' };
+
+const fakeUser = (fields) => ({
+  _id: crypto.randomBytes(12).toString('hex'),
+  isActive: true,
+  ...fields,
+  async populate() {
+    this.tenantId = {
+      _id: this.tenantId,
+      name: 'Acme',
+      domain: 'acme.test',
+      subscription: { plan: 'pro', status: 'active' },
+      toString: () => TENANT_ID
+    };
+  },
+  generateAccessToken: () => 'access-token',
+  generateRefreshToken: () => 'refresh-token',
+  addRefreshToken: jest.fn(),
+  toJSON() {
+    return { email: this.email, role: this.role, firstName: this.firstName, lastName: this.lastName };
+  }
+});
+
+const mockUserLookup = (user) => {
+  User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+let connection;
+let tenant;
+
+const oidcConnection = (issuer, fields = {}) => ({
+  _id: 'connection-id',
+  tenantId: TENANT_ID,
+  protocol: 'oidc',
+  enabled: true,
+  enforced: false,
+  jitProvisioning: true,
+  defaultRole: 'user',
+  oidc: { issuer, clientId: CLIENT.clientId },
+  clientSecret: seal(CLIENT.clientSecret),
+  saml: {},
+  save: jest.fn(),
+  ...fields
+});
+
+const samlConnection = (fields = {}) => ({
+  _id: 'connection-id',
+  tenantId: TENANT_ID,
+  protocol: 'saml',
+  enabled: true,
+  enforced: false,
+  jitProvisioning: true,
+  defaultRole: 'user',
+  oidc: {},
+  saml: {
+    entryPoint: 'https://idp.example.test/sso',
+    idpIssuer: 'https://idp.example.test',
+    certificate: certificateBody(samlCertificate)
+  },
+  save: jest.fn(),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  SsoConnection.findOne.mockImplementation(() => ({
+    select: jest.fn().mockResolvedValue(connection)
+  }));
+  SsoConnection.updateOne.mockResolvedValue({});
+
+  tenant = {
+    _id: TENANT_ID,
+    subscription: { plan: 'pro' },
+    canAddMoreUsers: () => true,
+    incrementUserCount: jest.fn()
+  };
+  Tenant.findById.mockResolvedValue(tenant);
+  User.create.mockImplementation(async (fields) => fakeUser(fields));
+  domainResolver.resolveTenant.mockResolvedValue({ tenantId: TENANT_ID });
+});
+
+describe('OpenID Connect sign-in', () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = await startOidcProvider(CLIENT);
+  });
+
+  afterAll(() => provider.close());
+
+  beforeEach(() => {
+    connection = oidcConnection(provider.issuer);
+  });
+
+  const signInAt = async (claims, options) => {
+    const authorizationUrl = await ssoService.startLogin(TENANT_ID, claims.email);
+    expect(authorizationUrl.startsWith(`${provider.issuer}/authorize?`)).toBe(true);
+    expect(new URL(authorizationUrl).searchParams.get('redirect_uri')).toBe(ssoUrls(TENANT_ID).oidcRedirectUri);
+
+    const callback = provider.authorize(authorizationUrl, claims, options);
+    return ssoService.completeOidcLogin(TENANT_ID, callback, META);
+  };
+
+  it('signs in an existing member and hands out tokens for the one-time code', async () => {
+    mockUserLookup(fakeUser({ email: 'ada@acme.test', tenantId: TENANT_ID, role: 'user' }));
+
+    const code = await signInAt({ email: 'ada@acme.test', email_verified: true });
+    const login = await ssoService.exchangeCode(code);
+
+    expect(login.user.email).toBe('ada@acme.test');
+    expect(login.tenant.id).toBe(TENANT_ID);
+    expect(login.tokens.accessToken).toBe('access-token');
+    expect(User.create).not.toHaveBeenCalled();
+    expect(connection.save).toHaveBeenCalled();
+
+    await expect(ssoService.exchangeCode(code)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('provisions a first-time user on a workspace domain with the default role', async () => {
+    mockUserLookup(null);
+    connection.defaultRole = 'admin';
+
+    const code = await signInAt({ email: 'Grace@Acme.test', given_name: 'Grace', family_name: 'Hopper' });
+    const login = await ssoService.exchangeCode(code);
+
+    expect(domainResolver.resolveTenant).toHaveBeenCalledWith('acme.test');
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'grace@acme.test',
+      firstName: 'Grace',
+      lastName: 'Hopper',
+      tenantId: TENANT_ID,
+      role: 'admin',
+      emailVerified: true
+    }));
+    expect(tenant.incrementUserCount).toHaveBeenCalled();
+    expect(login.user.role).toBe('admin');
+  });
+
+  it('refuses to provision addresses outside the workspace domains', async () => {
+    mockUserLookup(null);
+    domainResolver.resolveTenant.mockResolvedValue({ tenantId: OTHER_TENANT_ID });
+
+    await expect(signInAt({ email: 'mallory@elsewhere.test' })).rejects.toMatchObject({
+      statusCode: 403,
+      message: expect.stringContaining('not on a domain of this workspace')
+    });
+    expect(User.create).not.toHaveBeenCalled();
+    expect(SsoConnection.updateOne).toHaveBeenCalledWith(
+      { _id: 'connection-id' },
+      { lastError: expect.stringContaining('not on a domain of this workspace') }
+    );
+  });
+
+  it('refuses unknown users when just-in-time provisioning is off', async () => {
+    mockUserLookup(null);
+    connection.jitProvisioning = false;
+
+    await expect(signInAt({ email: 'newcomer@acme.test' })).rejects.toMatchObject({ statusCode: 403 });
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses accounts of another workspace', async () => {
+    mockUserLookup(fakeUser({ email: 'owner@other.test', tenantId: OTHER_TENANT_ID, role: 'owner' }));
+
+    await expect(signInAt({ email: 'owner@other.test' })).rejects.toMatchObject({
+      statusCode: 403,
+      message: expect.stringContaining('belongs to another workspace')
+    });
+  });
+
+  it('refuses email addresses the provider has not verified', async () => {
+    mockUserLookup(fakeUser({ email: 'ada@acme.test', tenantId: TENANT_ID, role: 'user' }));
+
+    await expect(signInAt({ email: 'ada@acme.test', email_verified: false })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('rejects ID tokens not signed by the issuer', async () => {
+    mockUserLookup(fakeUser({ email: 'ada@acme.test', tenantId: TENANT_ID, role: 'user' }));
+
+    await expect(signInAt({ email: 'ada@acme.test' }, { foreignKey: true })).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringContaining('identity provider response was rejected')
+    });
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('accepts each state once', async () => {
+    mockUserLookup(fakeUser({ email: 'ada@acme.test', tenantId: TENANT_ID, role: 'user' }));
+    const authorizationUrl = await ssoService.startLogin(TENANT_ID);
+    const callback = provider.authorize(authorizationUrl, { email: 'ada@acme.test' });
+    const replay = provider.authorize(authorizationUrl, { email: 'ada@acme.test' });
+
+    await ssoService.completeOidcLogin(TENANT_ID, callback, META);
+    await expect(ssoService.completeOidcLogin(TENANT_ID, replay, META)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('SAML sign-in', () => {
+  beforeEach(() => {
+    connection = samlConnection();
+  });
+
+  const postResponse = async (email, options = {}) => {
+    const { requestId, relayState } = parseAuthnRequest(await ssoService.startLogin(TENANT_ID));
+    const urls = ssoUrls(TENANT_ID);
+
+    return ssoService.completeSamlLogin(TENANT_ID, {
+      SAMLResponse: samlResponse({
+        requestId,
+        acsUrl: urls.samlAcsUrl,
+        audience: urls.samlEntityId,
+        email,
+        ...options
+      }),
+      RelayState: relayState
+    }, META);
+  };
+
+  it('provisions a first-time user from a signed assertion', async () => {
+    mockUserLookup(null);
+
+    const code = await postResponse('linus@acme.test', {
+      attributes: { givenName: 'Linus', sn: 'Torvalds' }
+    });
+    const login = await ssoService.exchangeCode(code);
+
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'linus@acme.test',
+      firstName: 'Linus',
+      lastName: 'Torvalds',
+      role: 'user'
+    }));
+    expect(login.user.email).toBe('linus@acme.test');
+  });
+
+  it('refuses to provision addresses outside the workspace domains', async () => {
+    mockUserLookup(null);
+    domainResolver.resolveTenant.mockResolvedValue(null);
+
+    await expect(postResponse('mallory@elsewhere.test')).rejects.toMatchObject({ statusCode: 403 });
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects assertions signed with another key', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockUserLookup(fakeUser({ email: 'linus@acme.test', tenantId: TENANT_ID, role: 'user' }));
+
+    await expect(postResponse('linus@acme.test', {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    })).rejects.toMatchObject({ statusCode: 401 });
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects responses to requests it did not send', async () => {
+    const { relayState } = parseAuthnRequest(await ssoService.startLogin(TENANT_ID));
+    const urls = ssoUrls(TENANT_ID);
+
+    await expect(ssoService.completeSamlLogin(TENANT_ID, {
+      SAMLResponse: samlResponse({
+        requestId: '_unsolicited',
+        acsUrl: urls.samlAcsUrl,
+        audience: urls.samlEntityId,
+        email: 'linus@acme.test'
+      }),
+      RelayState: relayState
+    }, META)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Tracker connections and export through the GitHub and Jira connectors
+ * against a tracker stand-in on the loopback interface, and the personal
+ * calendar feed.
+ * MongoDB is replaced by mocks that keep the todo list in memory.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models', () => ({
+  Process: { updateOne: jest.fn() },
+  User: { find: jest.fn(), findOne: jest.fn(), findById: jest.fn(), updateOne: jest.fn() },
+  IntegrationConnection: { findOne: jest.fn() }
+}));
+
+jest.mock('../../src/services/todoService', () => ({
+  findProcess: jest.fn(),
+  getAssignedTodos: jest.fn()
+}));
+
+// The stand-in listens on the loopback interface, which the guard rejects
+jest.mock('../../src/utils/networkGuard', () => ({
+  ...jest.requireActual('../../src/utils/networkGuard'),
+  assertPublicUrl: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.FRONTEND_URL = 'https://app.example.test';
+
+const { Process, User, IntegrationConnection } = require('../../src/models');
+const todoService = require('../../src/services/todoService');
+const todoExportService = require('../../src/services/todoExportService');
+const networkGuard = require('../../src/utils/networkGuard');
+const { seal, open } = require('../../src/utils/secretBox');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f60718';
+const PROCESS_ID = '64b7f0c2a1b2c3d4e5f60720';
+const USER_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+/**
+ * Minimal GitHub and Jira REST APIs. Issues live in memory and numbers are
+ * never reused; failNext makes the next request fail with the given status
+ * and body.
+ */
+const startTracker = async () => {
+  const tracker = { requests: [], github: new Map(), jira: new Map(), issueCount: 0, failNext: null };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : undefined;
+      tracker.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (tracker.failNext) {
+        const { status, data } = tracker.failNext;
+        tracker.failNext = null;
+        return send(status, data);
+      }
+
+      const githubIssue = /^\/repos\/acme\/app\/issues\/(\d+)$/.exec(req.url);
+      const jiraIssue = /^\/jira\/rest\/api\/2\/issue\/([A-Z]+-\d+)$/.exec(req.url);
+
+      if (req.method === 'GET' && req.url === '/repos/acme/app') {
+        return send(200, { full_name: 'acme/app' });
+      }
+      if (req.method === 'POST' && req.url === '/repos/acme/app/issues') {
+        tracker.issueCount += 1;
+        const number = tracker.issueCount;
+        tracker.github.set(String(number), { ...body, state: 'open' });
+        return send(201, { number, html_url: `https://github.example.test/acme/app/issues/${number}` });
+      }
+      if (req.method === 'PATCH' && githubIssue) {
+        const issue = tracker.github.get(githubIssue[1]);
+        if (!issue) return send(404, { message: 'Not Found' });
+        Object.assign(issue, body);
+        return send(200, { number: Number(githubIssue[1]), html_url: `https://github.example.test/acme/app/issues/${githubIssue[1]}` });
+      }
+
+      if (req.method === 'GET' && req.url === '/jira/rest/api/2/project/OPS') {
+        return send(200, { key: 'OPS', name: 'Operations' });
+      }
+      if (req.method === 'POST' && req.url === '/jira/rest/api/2/issue') {
+        tracker.issueCount += 1;
+        const key = `OPS-${tracker.issueCount}`;
+        tracker.jira.set(key, body.fields);
+        return send(201, { key });
+      }
+      if (req.method === 'PUT' && jiraIssue) {
+        if (!tracker.jira.has(jiraIssue[1])) return send(404, { errorMessages: ['Issue does not exist'] });
+        Object.assign(tracker.jira.get(jiraIssue[1]), body.fields);
+        return send(204);
+      }
+
+      send(404, { message: 'Not Found' });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  tracker.url = `http://127.0.0.1:${server.address().port}`;
+  tracker.close = () => new Promise((resolve) => server.close(resolve));
+  return tracker;
+};
+
+let tracker;
+let todos;
+let connection;
+
+beforeAll(async () => {
+  tracker = await startTracker();
+});
+
+afterAll(() => tracker.close());
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  networkGuard.assertPublicUrl.mockResolvedValue();
+  tracker.requests = [];
+  tracker.github.clear();
+  tracker.jira.clear();
+  tracker.issueCount = 0;
+  tracker.failNext = null;
+
+  todos = [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      task: 'Draft the rollout plan',
+      status: 'in_progress',
+      priority: 'high',
+      dueDate: new Date('2026-11-02T00:00:00Z'),
+      timestamp: 75,
+      assignees: [USER_ID]
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      task: 'Send the minutes',
+      status: 'done',
+      completed: true,
+      assignees: []
+    }
+  ];
+
+  todoService.findProcess.mockImplementation(async () => ({
+    _id: PROCESS_ID,
+    title: 'Weekly sync',
+    todoList: todos.map(todo => ({ toObject: () => ({ ...todo }) }))
+  }));
+
+  // Keeps the links the export stores, so exporting again sees them
+  Process.updateOne.mockImplementation(async (filter, update) => {
+    const todo = todos.find(item => item._id.equals(filter['todoList._id']));
+    todo.externalLinks = update.$set['todoList.$.externalLinks'];
+    return { modifiedCount: 1 };
+  });
+
+  User.find.mockReturnValue({
+    select: jest.fn().mockResolvedValue([{ _id: USER_ID, firstName: 'Ada', lastName: 'Lovelace' }])
+  });
+  IntegrationConnection.findOne.mockImplementation(() => ({
+    select: jest.fn().mockResolvedValue(connection)
+  }));
+});
+
+const trackerConnection = (type, config, credentials) => ({
+  tenantId: TENANT_ID,
+  type,
+  enabled: true,
+  config,
+  credentials: seal(credentials),
+  save: jest.fn()
+});
+
+describe('GitHub connector', () => {
+  beforeEach(() => {
+    connection = trackerConnection('github', { apiUrl: tracker.url, owner: 'acme', repo: 'app' }, { token: 'ghp_test' });
+  });
+
+  it('creates an issue per todo and closes the ones already done', async () => {
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', {}, USER_ID);
+
+    expect(summary).toMatchObject({ created: 2, updated: 0, failed: 0 });
+    expect(tracker.requests.every(request => request.headers.authorization === 'Bearer ghp_test')).toBe(true);
+
+    const first = tracker.github.get('1');
+    expect(first.title).toBe('Draft the rollout plan');
+    expect(first.body).toContain('- Recording: Weekly sync');
+    expect(first.body).toContain('- Video time: 1:15');
+    expect(first.body).toContain('- Assignees: Ada Lovelace');
+    expect(first.body).toContain(`- Open in ProcessMind: https://app.example.test/processes/${PROCESS_ID}?todo=${todos[0]._id}`);
+    expect(first.state).toBe('open');
+    expect(tracker.github.get('2').state).toBe('closed');
+
+    expect(todos[0].externalLinks).toEqual([expect.objectContaining({
+      connector: 'github',
+      externalId: '1',
+      url: 'https://github.example.test/acme/app/issues/1'
+    })]);
+    expect(connection.save).toHaveBeenCalled();
+    expect(connection.lastError).toBeNull();
+  });
+
+  it('updates the linked issues when exporting again', async () => {
+    await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', {}, USER_ID);
+    todos[0].status = 'done';
+    tracker.requests = [];
+
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', {}, USER_ID);
+
+    expect(summary).toMatchObject({ created: 0, updated: 2, failed: 0 });
+    expect(tracker.requests.map(request => `${request.method} ${request.url}`)).toEqual([
+      'PATCH /repos/acme/app/issues/1',
+      'PATCH /repos/acme/app/issues/2'
+    ]);
+    expect(tracker.github.size).toBe(2);
+    expect(tracker.github.get('1').state).toBe('closed');
+  });
+
+  it('recreates issues deleted in the tracker', async () => {
+    await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', { todoIds: [todos[0]._id.toString()] }, USER_ID);
+    tracker.github.clear();
+
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', { todoIds: [todos[0]._id.toString()] }, USER_ID);
+
+    expect(summary).toMatchObject({ created: 1, updated: 0, failed: 0 });
+    expect(todos[0].externalLinks).toEqual([expect.objectContaining({ connector: 'github', externalId: '2' })]);
+  });
+
+  it('reports tracker errors per todo and keeps the last one on the connection', async () => {
+    tracker.failNext = { status: 422, data: { message: 'Validation Failed' } };
+
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', {}, USER_ID);
+
+    expect(summary).toMatchObject({ created: 1, failed: 1 });
+    expect(summary.results[0]).toEqual({
+      todoId: todos[0]._id.toString(),
+      status: 'failed',
+      error: '422: Validation Failed'
+    });
+    expect(todos[0].externalLinks).toBeUndefined();
+    expect(connection.lastError).toBe('422: Validation Failed');
+  });
+
+  it('tests the connection and reports only the status code of failures', async () => {
+    await expect(todoExportService.testConnection(TENANT_ID, 'github'))
+      .resolves.toEqual({ ok: true, message: 'Connected to acme/app' });
+
+    tracker.failNext = { status: 401, data: { message: 'Bad credentials' } };
+    await expect(todoExportService.testConnection(TENANT_ID, 'github'))
+      .resolves.toEqual({ ok: false, message: '401' });
+    expect(connection.lastError).toBe('401');
+  });
+
+  it('does not send requests to private addresses', async () => {
+    const { assertPublicUrl } = jest.requireActual('../../src/utils/networkGuard');
+    networkGuard.assertPublicUrl.mockImplementation(assertPublicUrl);
+
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', {}, USER_ID);
+
+    expect(summary).toMatchObject({ created: 0, failed: 2 });
+    expect(summary.results[0].error).toBe('Tracker URL not allowed: The URL points to a private or reserved address');
+    expect(tracker.requests).toHaveLength(0);
+  });
+
+  it('refuses to export without an enabled connection', async () => {
+    connection.enabled = false;
+
+    await expect(todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'github', {}, USER_ID))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('GitHub Issues is not connected') });
+    expect(tracker.requests).toHaveLength(0);
+  });
+});
+
+describe('Jira connector', () => {
+  beforeEach(() => {
+    connection = trackerConnection('jira', {
+      baseUrl: `${tracker.url}/jira`,
+      projectKey: 'OPS',
+      issueType: 'Task',
+      email: 'bot@acme.test'
+    }, { apiToken: 'jira-token' });
+  });
+
+  it('creates issues in the project with basic auth for Jira Cloud', async () => {
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'jira', {}, USER_ID);
+
+    expect(summary).toMatchObject({ created: 2, failed: 0 });
+    expect(summary.results[0].url).toBe(`${tracker.url}/jira/browse/OPS-1`);
+    expect(tracker.requests[0].headers.authorization)
+      .toBe(`Basic ${Buffer.from('bot@acme.test:jira-token').toString('base64')}`);
+
+    const [create] = tracker.requests;
+    expect(create.body.fields).toMatchObject({
+      summary: 'Draft the rollout plan',
+      duedate: '2026-11-02',
+      project: { key: 'OPS' },
+      issuetype: { name: 'Task' }
+    });
+    expect(create.body.fields.description).toContain('Status in ProcessMind: in_progress');
+    expect(tracker.requests[1].body.fields.duedate).toBeNull();
+  });
+
+  it('uses a bearer token for Jira Server and updates linked issues', async () => {
+    connection.config.email = '';
+    await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'jira', {}, USER_ID);
+    todos[0].task = 'Draft the rollout plan\nfor the EU';
+    tracker.requests = [];
+
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'jira', {}, USER_ID);
+
+    expect(summary).toMatchObject({ created: 0, updated: 2 });
+    expect(tracker.requests[0]).toMatchObject({
+      method: 'PUT',
+      url: '/jira/rest/api/2/issue/OPS-1',
+      headers: expect.objectContaining({ authorization: 'Bearer jira-token' })
+    });
+    expect(tracker.jira.get('OPS-1').summary).toBe('Draft the rollout plan for the EU');
+    expect(tracker.jira.size).toBe(2);
+  });
+
+  it('maps Jira error messages and field errors', async () => {
+    tracker.failNext = { status: 400, data: { errorMessages: [], errors: { duedate: 'Field duedate cannot be set' } } };
+
+    const summary = await todoExportService.exportToTracker(TENANT_ID, PROCESS_ID, 'jira', {}, USER_ID);
+
+    expect(summary.results[0].error).toBe('400: Field duedate cannot be set');
+
+    tracker.failNext = { status: 404, data: { errorMessages: ['No project could be found with key OPS'] } };
+    await expect(todoExportService.testConnection(TENANT_ID, 'jira'))
+      .resolves.toEqual({ ok: false, message: '404' });
+  });
+});
+
+describe('saveConnection', () => {
+  beforeEach(() => {
+    connection = trackerConnection('github', { apiUrl: tracker.url, owner: 'acme', repo: 'app' }, { token: 'ghp_test' });
+  });
+
+  it('keeps the stored token while the tracker stays on the same host', async () => {
+    await todoExportService.saveConnection(TENANT_ID, 'github', { config: { repo: 'web' } }, USER_ID);
+
+    expect(connection.config).toEqual({ apiUrl: tracker.url, owner: 'acme', repo: 'web' });
+    expect(open(connection.credentials)).toEqual({ token: 'ghp_test' });
+  });
+
+  it('asks for the token again when the tracker moves to another host', async () => {
+    const config = { apiUrl: 'https://github.attacker.test/api/v3' };
+
+    await expect(todoExportService.saveConnection(TENANT_ID, 'github', { config }, USER_ID))
+      .rejects.toMatchObject({ statusCode: 400, message: 'The GitHub Issues URL changed, enter the token again' });
+    expect(connection.save).not.toHaveBeenCalled();
+
+    await todoExportService.saveConnection(TENANT_ID, 'github', { config, credentials: { token: 'ghp_new' } }, USER_ID);
+    expect(open(connection.credentials)).toEqual({ token: 'ghp_new' });
+  });
+
+  it('rejects tracker URLs on private addresses', async () => {
+    const { assertPublicUrl } = jest.requireActual('../../src/utils/networkGuard');
+    networkGuard.assertPublicUrl.mockImplementation(assertPublicUrl);
+
+    await expect(todoExportService.saveConnection(TENANT_ID, 'github', {
+      config: { apiUrl: 'http://169.254.169.254/latest' },
+      credentials: { token: 'ghp_new' }
+    }, USER_ID)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Tracker URL not allowed: The URL points to a private or reserved address'
+    });
+    expect(connection.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('calendar feed', () => {
+  it('serves the assigned todos with a due date for the feed token', async () => {
+    const feedPath = await todoExportService.createCalendarFeed(USER_ID);
+    const token = /^\/public\/calendar\/([a-f0-9]{48})\.ics$/.exec(feedPath)[1];
+    const [, update] = User.updateOne.mock.calls[0];
+    const storedHash = update.$set.calendarFeedToken;
+    expect(storedHash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+
+    User.findOne.mockImplementation((query) => ({
+      select: jest.fn().mockResolvedValue(query.calendarFeedToken === storedHash
+        ? { _id: USER_ID, tenantId: TENANT_ID, firstName: 'Ada' }
+        : null)
+    }));
+    todoService.getAssignedTodos.mockResolvedValue(todos.map(todo => ({
+      processId: PROCESS_ID,
+      processTitle: 'Weekly sync, Q4',
+      todo
+    })));
+
+    const ics = await todoExportService.renderCalendarFeed(token);
+
+    expect(todoService.getAssignedTodos).toHaveBeenCalledWith(TENANT_ID, USER_ID, { status: 'all' });
+    expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(ics).toContain('X-WR-CALNAME:My ProcessMind tasks\r\n');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics).toContain(`UID:todo-${todos[0]._id}@processmind\r\n`);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261102\r\n');
+    expect(ics).toContain('DTEND;VALUE=DATE:20261103\r\n');
+    expect(ics).toContain('SUMMARY:Draft the rollout plan\r\n');
+    // Commas are escaped and long lines folded
+    expect(ics.replace(/\r\n /g, '')).toContain('DESCRIPTION:Recording: Weekly sync\\, Q4\\nStatus: in_progress\\nPriority: high\\nAssignees: Ada Lovelace');
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics).toMatch(/END:VCALENDAR\r\n$/);
+  });
+
+  it('ignores unknown and malformed tokens', async () => {
+    User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    await expect(todoExportService.renderCalendarFeed('a'.repeat(48))).resolves.toBeNull();
+    await expect(todoExportService.renderCalendarFeed('../../etc/passwd')).resolves.toBeNull();
+    expect(User.findOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Transcript revisions: concurrent edits of the same revision must not
+ * overwrite each other
+ */
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models', () => ({
+  TranscriptRevision: { getLatestRevisionNumber: jest.fn(), create: jest.fn() }
+}));
+
+jest.mock('../../src/config/bullmq', () => ({
+  queueMethods: { addTranscriptIndexJob: jest.fn() }
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { TranscriptRevision } = require('../../src/models');
+const transcriptEditService = require('../../src/services/transcriptEditService');
+
+const segments = [{ start: 0, end: 2, text: 'Hello', speaker: null }];
+
+// Saved only if the stored revision matches the save filter, like MongoDB would
+const fakeProcess = (loadedRevision, storedRevision = loadedRevision) => {
+  const process = {
+    _id: 'process-id',
+    tenantId: 'tenant-id',
+    transcript: { segments, text: 'Hello', revision: loadedRevision },
+    filters: [],
+    save: jest.fn(async () => {
+      process.filters.push(process.$where);
+      const expected = process.$where['transcript.revision'];
+      const matches = expected?.$in ? expected.$in.includes(storedRevision ?? null) : expected === storedRevision;
+      if (!matches) {
+        throw new mongoose.Error.DocumentNotFoundError({ _id: 'process-id' }, 'Process', 0, {});
+      }
+    })
+  };
+  return process;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  TranscriptRevision.create.mockImplementation(async (data) => data);
+});
+
+describe('commit', () => {
+  it('saves the next revision if the transcript is still the one loaded', async () => {
+    TranscriptRevision.getLatestRevisionNumber.mockResolvedValue(3);
+    const process = fakeProcess(3);
+
+    const revision = await transcriptEditService.commit(process, segments, { userId: 'user-id', operations: ['update'] });
+
+    expect(process.filters).toEqual([{ 'transcript.revision': 3 }]);
+    expect(process.transcript.revision).toBe(4);
+    expect(revision).toMatchObject({ revision: 4, operations: ['update'] });
+    expect(process.$where).toBeUndefined();
+  });
+
+  it('stores the baseline and accepts a transcript that was never edited', async () => {
+    TranscriptRevision.getLatestRevisionNumber.mockResolvedValue(null);
+    const process = fakeProcess(undefined);
+
+    await transcriptEditService.commit(process, segments, { userId: 'user-id', operations: ['update'] });
+
+    expect(process.filters).toEqual([{ 'transcript.revision': { $in: [0, null] } }]);
+    expect(TranscriptRevision.create.mock.calls.map(([data]) => data.revision)).toEqual([0, 1]);
+  });
+
+  it('rejects an edit of a revision someone else replaced meanwhile', async () => {
+    TranscriptRevision.getLatestRevisionNumber.mockResolvedValue(4);
+    const process = fakeProcess(3, 4);
+
+    await expect(transcriptEditService.commit(process, segments, { userId: 'user-id', operations: ['update'] }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(TranscriptRevision.create).not.toHaveBeenCalled();
+    expect(process.$where).toBeUndefined();
+  });
+});
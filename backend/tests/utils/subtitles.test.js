@@ -0,0 +1,41 @@
+/**
+ * SubRip and WebVTT subtitles of transcript segments
+ */
+const { generateSrt, generateVtt } = require('../../src/utils/subtitles');
+
+const segments = [
+  { start: 4, end: 6, text: 'Second', speaker: 'Speaker 2' },
+  { start: 0, end: 2.5, text: '  First line\n\n  \nsecond line  ', speaker: 'Speaker 1' },
+  { start: 7, end: 7, text: '   ' }
+];
+
+describe('generateSrt', () => {
+  it('numbers the cues in playback order without blank lines inside them', () => {
+    expect(generateSrt(segments)).toBe(
+      '1\n00:00:00,000 --> 00:00:02,500\nSpeaker 1: First line\nsecond line\n\n'
+      + '2\n00:00:04,000 --> 00:00:06,000\nSpeaker 2: Second\n'
+    );
+  });
+});
+
+describe('generateVtt', () => {
+  it('writes the header and the cues, optionally without speakers', () => {
+    expect(generateVtt(segments, { includeSpeakers: false })).toBe(
+      'WEBVTT\n\n'
+      + '00:00:00.000 --> 00:00:02.500\nFirst line\nsecond line\n\n'
+      + '00:00:04.000 --> 00:00:06.000\nSecond\n'
+    );
+  });
+
+  it('escapes characters that start entities, tags and cue timings', () => {
+    const vtt = generateVtt([{ start: 0, end: 1, text: 'R&D said <b>no</b> --> later' }]);
+
+    expect(vtt).toContain('\nR&amp;D said &lt;b&gt;no&lt;/b&gt; --&gt; later\n');
+  });
+
+  it('keeps a cue that only had blank lines in between together', () => {
+    const vtt = generateVtt([{ start: 0, end: 1, text: 'One\r\n\r\nTwo' }]);
+
+    expect(vtt.split('\n\n')).toEqual(['WEBVTT', '00:00:00.000 --> 00:00:01.000\nOne\nTwo\n']);
+  });
+});
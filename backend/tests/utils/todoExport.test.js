@@ -0,0 +1,67 @@
+/**
+ * CSV and iCalendar files of todo items
+ */
+process.env.FRONTEND_URL = 'https://app.example.test/';
+
+const { TODO_FILE_FORMATS, generateCsv, generateIcs } = require('../../src/utils/todoExport');
+
+const row = (todo, extra = {}) => ({
+  process: { id: 'p1', title: 'Weekly sync' },
+  todo: { id: 't1', status: 'open', priority: 'medium', ...todo },
+  assigneeNames: [],
+  ...extra
+});
+
+describe('generateCsv', () => {
+  it('writes a header and one line per todo', () => {
+    const csv = generateCsv([
+      row({ task: 'Draft the plan', dueDate: new Date('2026-11-02T00:00:00Z'), timestamp: 3725 }, { assigneeNames: ['Ada', 'Grace'] })
+    ]);
+
+    expect(csv).toBe(
+      'Task,Status,Priority,Due date,Assignees,Video time,Process,Link,Tracker issues\r\n'
+      + 'Draft the plan,open,medium,2026-11-02,Ada; Grace,1:02:05,Weekly sync,https://app.example.test/processes/p1?todo=t1,\r\n'
+    );
+  });
+
+  it('quotes separators and neutralises spreadsheet formulas', () => {
+    const csv = generateCsv([
+      row({ task: 'Ask "legal", then\nreply' }),
+      row({ task: '=HYPERLINK("http://evil.test")' }),
+      row({ task: '-1 day', externalLinks: [{ url: 'https://github.example.test/acme/app/issues/1' }, { externalId: 'OPS-7' }] })
+    ]);
+    const lines = csv.split('\r\n');
+
+    expect(lines[1]).toMatch(/^"Ask ""legal"", then\nreply",/);
+    expect(lines[2]).toMatch(/^"'=HYPERLINK\(""http:\/\/evil\.test""\)",/);
+    expect(lines[3]).toMatch(/^'-1 day,.*,https:\/\/github\.example\.test\/acme\/app\/issues\/1 OPS-7$/);
+  });
+
+  it('is registered as the csv file format', () => {
+    expect(TODO_FILE_FORMATS.csv.contentType).toBe('text/csv; charset=utf-8');
+    expect(TODO_FILE_FORMATS.csv.generate).toBe(generateCsv);
+  });
+});
+
+describe('generateIcs', () => {
+  it('writes an all-day event per todo with a due date', () => {
+    const ics = generateIcs([
+      row({ task: 'Draft; review, ship', dueDate: '2026-12-31T00:00:00Z', status: 'done' }),
+      row({ id: 't2', task: 'No date' })
+    ], { name: 'Team, todos' });
+
+    expect(ics).toContain('X-WR-CALNAME:Team\\, todos\r\n');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261231\r\nDTEND;VALUE=DATE:20270101\r\n');
+    expect(ics).toContain('SUMMARY:✓ Draft\\; review\\, ship\r\n');
+    expect(ics).not.toContain('No date');
+  });
+
+  it('folds lines longer than 75 octets without splitting characters', () => {
+    const ics = generateIcs([row({ task: 'ü'.repeat(100), dueDate: '2026-12-31T00:00:00Z' })]);
+    const lines = ics.split('\r\n');
+
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics.replace(/\r\n /g, '')).toContain(`SUMMARY:${'ü'.repeat(100)}\r\n`);
+  });
+});
@@ -18,11 +18,15 @@ import VerifyRegistrationPage from './pages/Auth/VerifyRegistrationPage';
 import AcceptInvitationPage from './pages/Auth/AcceptInvitationPage';
 import ForgotPasswordPage from './pages/Auth/ForgotPasswordPage';
 import ResetPasswordPage from './pages/Auth/ResetPasswordPage';
+import SsoCallbackPage from './pages/Auth/SsoCallbackPage';
 import DashboardPage from './pages/Dashboard/DashboardPage';
 import UploadPage from './pages/Upload/UploadPage';
 import ProcessPage from './pages/Process/ProcessPage';
 import ProcessListPage from './pages/Process/ProcessListPage';
 import GraphViewPage from './pages/Graph/GraphViewPage';
+import AssistantPage from './pages/Assistant/AssistantPage';
+import TagManagementPage from './pages/Tags/TagManagementPage';
+import MyTasksPage from './pages/Tasks/MyTasksPage';
 import FavoriteListsPage from './pages/FavoriteList/FavoriteListsPage';
 import FavoriteListDetailPage from './pages/FavoriteList/FavoriteListDetailPage';
 import SettingsPage from './pages/Settings/SettingsPage';
@@ -238,6 +242,9 @@ function App() {
             }
           />
 
+          {/* Single sign-on callback (exchanges its one-time code itself) */}
+          <Route path="/sso/callback" element={<SsoCallbackPage />} />
+
           {/* Invitation Route (no auth required) */}
           <Route
             path="/join/:token"
@@ -325,6 +332,36 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/assistant"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <AssistantPage />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/tasks"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <MyTasksPage />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/tags"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <TagManagementPage />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/favorites"
             element={
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+
+/**
+ * Workspace LLM provider and models for tags, todos, titles and embeddings
+ */
+const AISettingsCard = ({ tenantId, canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [provider, setProvider] = useState('openai');
+  const [chatModel, setChatModel] = useState('');
+  const [embeddingModel, setEmbeddingModel] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['aiSettings', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getAISettings(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  useEffect(() => {
+    if (data) {
+      setProvider(data.ai.provider || 'openai');
+      setChatModel(data.ai.chatModel || '');
+      setEmbeddingModel(data.ai.embeddingModel || '');
+    }
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => settingsAPI.updateAISettings(tenantId, {
+      provider,
+      chatModel: chatModel.trim() || null,
+      embeddingModel: embeddingModel.trim() || null,
+    }),
+    onSuccess: () => {
+      showNotification('AI settings saved', 'success');
+      queryClient.invalidateQueries(['aiSettings', tenantId]);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to save AI settings', 'error');
+    },
+  });
+
+  const selected = data?.providers?.find(option => option.name === provider);
+  const modelLabel = provider === 'azure' ? 'deployment' : 'model';
+  // Vectors of a new embedding model are not comparable with the stored ones
+  const embeddingChanged = !!data && (
+    provider !== data.ai.provider
+    || (embeddingModel.trim() || null) !== (data.ai.embeddingModel || null)
+  );
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          AI analysis
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Language model used for titles, tags, todos and the embeddings behind search and the knowledge graph.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              select
+              fullWidth
+              label="AI provider"
+              value={provider}
+              onChange={(e) => setProvider(e.target.value)}
+              helperText={provider === 'openai_compatible'
+                ? 'Transcripts are only sent to the model server operated for this installation'
+                : provider === 'azure'
+                  ? 'Transcripts are sent to the Azure OpenAI resource of this installation'
+                  : 'Transcripts are sent to OpenAI for analysis'}
+              disabled={!canEdit}
+            >
+              {(data?.providers || []).map(option => (
+                <MenuItem key={option.name} value={option.name} disabled={!option.configured}>
+                  {option.label || option.name}
+                  {!option.configured && ' (not configured)'}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              fullWidth
+              label={`Chat ${modelLabel}`}
+              placeholder={selected?.defaultChatModel || ''}
+              value={chatModel}
+              onChange={(e) => setChatModel(e.target.value)}
+              inputProps={{ maxLength: 100 }}
+              helperText={selected?.defaultChatModel
+                ? `Leave empty to use ${selected.defaultChatModel}`
+                : 'Required, e.g. llama3.1 or mistral'}
+              disabled={!canEdit}
+            />
+
+            <TextField
+              fullWidth
+              label={`Embedding ${modelLabel}`}
+              placeholder={selected?.defaultEmbeddingModel || ''}
+              value={embeddingModel}
+              onChange={(e) => setEmbeddingModel(e.target.value)}
+              inputProps={{ maxLength: 100 }}
+              helperText={selected?.defaultEmbeddingModel
+                ? `Leave empty to use ${selected.defaultEmbeddingModel}`
+                : 'Required, e.g. nomic-embed-text'}
+              disabled={!canEdit}
+            />
+
+            {canEdit && embeddingChanged && (
+              <Alert severity="info">
+                Recordings are only linked by similarity to recordings embedded with the same model.
+                Re-analyze the embedding of older recordings to include them again.
+              </Alert>
+            )}
+
+            {canEdit ? (
+              <Box>
+                <Button
+                  variant="contained"
+                  onClick={() => saveMutation.mutate()}
+                  disabled={saveMutation.isPending}
+                  startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+                >
+                  Save
+                </Button>
+              </Box>
+            ) : (
+              <Typography variant="caption" color="text.secondary">
+                Only owners and admins can change these settings
+              </Typography>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AISettingsCard;
@@ -0,0 +1,403 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  History as HistoryIcon,
+  PlayArrow as PreviewIcon,
+  RestartAlt as ResetIcon,
+} from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI, settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { formatRelativeTime, formatTimestamp } from '../../utils/helpers';
+import LanguageSelect from '../Transcription/LanguageSelect';
+import PromptVersionsDialog from './PromptVersionsDialog';
+
+const KINDS = [
+  { value: 'tags', label: 'Tags' },
+  { value: 'todos', label: 'Todos' },
+  { value: 'title', label: 'Title' },
+];
+
+const draftOf = (prompt) => ({
+  template: prompt.template,
+  variables: {
+    ...prompt.variables,
+    language: prompt.variables.language || '',
+  },
+});
+
+const requestOf = (draft, prompt) => ({
+  // The unchanged default is stored as such, so later improvements still apply
+  template: draft.template.trim() === prompt.defaultTemplate.trim() ? null : draft.template,
+  variables: {
+    ...draft.variables,
+    language: draft.variables.language || null,
+    maxTags: parseInt(draft.variables.maxTags, 10) || 10,
+  },
+});
+
+/**
+ * Result of a preview run, shown like it would appear on the process
+ */
+const PreviewResult = ({ kind, result }) => {
+  if (kind === 'tags') {
+    return (
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+        {(result.tags || []).map(tag => (
+          <Chip key={tag.name} label={`${tag.name} · ${Math.round(tag.weight * 100)}%`} size="small" />
+        ))}
+      </Box>
+    );
+  }
+
+  if (kind === 'todos') {
+    return (
+      <List dense disablePadding>
+        {(result.todoList || []).map((item, index) => (
+          <ListItem key={index} sx={{ gap: 1 }}>
+            {item.timestamp !== null && (
+              <Chip label={formatTimestamp(item.timestamp)} size="small" variant="outlined" />
+            )}
+            <ListItemText primary={item.task} secondary={item.priority} />
+          </ListItem>
+        ))}
+      </List>
+    );
+  }
+
+  return <Typography variant="h6">{result.title}</Typography>;
+};
+
+/**
+ * Workspace prompt templates for tags, todos and titles: tone, output language,
+ * domain focus and limits, with preview against a recording and version history
+ */
+const PromptTemplatesCard = ({ tenantId, canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [kind, setKind] = useState('tags');
+  const [drafts, setDrafts] = useState({});
+  const [errors, setErrors] = useState([]);
+  const [previewProcessId, setPreviewProcessId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['promptTemplates', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getPromptTemplates(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const { data: processes = [] } = useQuery({
+    queryKey: ['promptPreviewProcesses', tenantId],
+    queryFn: async () => {
+      const result = await processAPI.getProcesses(tenantId, { status: 'completed', limit: 50 });
+      return result.data.data.processes;
+    },
+    enabled: !!tenantId && canEdit,
+  });
+
+  useEffect(() => {
+    if (data) {
+      setDrafts(Object.fromEntries(KINDS.map(({ value }) => [value, draftOf(data.prompts[value])])));
+    }
+  }, [data]);
+
+  const prompt = data?.prompts?.[kind];
+  const draft = drafts[kind];
+
+  const updateDraft = (changes) => {
+    setErrors([]);
+    setDrafts(current => ({ ...current, [kind]: { ...current[kind], ...changes } }));
+  };
+
+  const updateVariable = (name, value) => {
+    updateDraft({ variables: { ...draft.variables, [name]: value } });
+  };
+
+  const showError = (error, fallback) => {
+    setErrors(error.response?.data?.errors || []);
+    showNotification(error.response?.data?.message || fallback, 'error');
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => settingsAPI.updatePromptTemplate(tenantId, kind, requestOf(draft, prompt)),
+    onSuccess: () => {
+      showNotification('Prompt template saved, new analyses use it from now on', 'success');
+      queryClient.invalidateQueries({ queryKey: ['promptTemplates', tenantId] });
+      queryClient.invalidateQueries({ queryKey: ['promptTemplateVersions', tenantId, kind] });
+    },
+    onError: (error) => showError(error, 'Failed to save the prompt template'),
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: (version) => settingsAPI.restorePromptTemplate(tenantId, kind, version),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      setHistoryOpen(false);
+      queryClient.invalidateQueries({ queryKey: ['promptTemplates', tenantId] });
+      queryClient.invalidateQueries({ queryKey: ['promptTemplateVersions', tenantId, kind] });
+    },
+    onError: (error) => showError(error, 'Failed to restore the version'),
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: () => settingsAPI.previewPromptTemplate(tenantId, kind, {
+      processId: previewProcessId,
+      ...requestOf(draft, prompt),
+    }),
+    onSuccess: (result) => setPreview({ kind, ...result.data.data.preview }),
+    onError: (error) => showError(error, 'Failed to run the preview'),
+  });
+
+  const changed = !!prompt && !!draft && JSON.stringify(requestOf(draft, prompt)) !== JSON.stringify(requestOf(draftOf(prompt), prompt));
+  const label = KINDS.find(option => option.value === kind).label;
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          AI prompts
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Instructions the language model follows when it creates tags, todos and titles for new recordings and re-analyses.
+        </Typography>
+
+        {isLoading || !prompt || !draft ? (
+          <CircularProgress size={24} />
+        ) : (
+          <>
+            <Tabs value={kind} onChange={(e, value) => { setKind(value); setErrors([]); }} sx={{ mb: 2 }}>
+              {KINDS.map(option => (
+                <Tab key={option.value} value={option.value} label={option.label} />
+              ))}
+            </Tabs>
+
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                <Box sx={{ flex: '1 1 220px' }}>
+                  <LanguageSelect
+                    label="Output language"
+                    value={draft.variables.language}
+                    onChange={(value) => updateVariable('language', value)}
+                    languages={data.supportedLanguages}
+                    extraOptions={[{ value: '', label: 'Same as the transcript' }]}
+                    disabled={!canEdit}
+                  />
+                </Box>
+
+                {kind !== 'tags' && (
+                  <TextField
+                    select
+                    label="Tone"
+                    value={draft.variables.tone}
+                    onChange={(e) => updateVariable('tone', e.target.value)}
+                    disabled={!canEdit}
+                    sx={{ flex: '1 1 160px' }}
+                  >
+                    {data.tones.map(tone => (
+                      <MenuItem key={tone} value={tone} sx={{ textTransform: 'capitalize' }}>{tone}</MenuItem>
+                    ))}
+                  </TextField>
+                )}
+
+                {kind === 'tags' && (
+                  <TextField
+                    type="number"
+                    label="Maximum tags"
+                    value={draft.variables.maxTags}
+                    onChange={(e) => updateVariable('maxTags', e.target.value)}
+                    inputProps={{ min: 1, max: data.maxTagsLimit }}
+                    disabled={!canEdit}
+                    sx={{ flex: '1 1 160px' }}
+                  />
+                )}
+
+                {kind === 'todos' && (
+                  <TextField
+                    select
+                    label="Todo granularity"
+                    value={draft.variables.granularity}
+                    onChange={(e) => updateVariable('granularity', e.target.value)}
+                    disabled={!canEdit}
+                    sx={{ flex: '1 1 220px' }}
+                  >
+                    {data.granularities.map(option => (
+                      <MenuItem key={option.name} value={option.name}>
+                        <Box sx={{ textTransform: 'capitalize' }}>{option.name}</Box>
+                        &nbsp;(up to {option.maxItems})
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              </Box>
+
+              <TextField
+                fullWidth
+                label="Domain focus"
+                placeholder="e.g. Warehouse logistics, SAP terminology"
+                value={draft.variables.focus}
+                onChange={(e) => updateVariable('focus', e.target.value)}
+                inputProps={{ maxLength: 300 }}
+                helperText="Optional. Added to the prompt so terms of your field are preferred"
+                disabled={!canEdit}
+              />
+
+              <TextField
+                fullWidth
+                multiline
+                minRows={8}
+                maxRows={20}
+                label={`${label} prompt`}
+                value={draft.template}
+                onChange={(e) => updateDraft({ template: e.target.value })}
+                error={errors.length > 0}
+                inputProps={{ style: { fontFamily: 'monospace', fontSize: '0.85rem' } }}
+                helperText={`Placeholders: ${prompt.placeholders.map(name => `{{${name}}}`).join(', ')}. The response format is added automatically.`}
+                disabled={!canEdit}
+              />
+
+              {errors.length > 0 && (
+                <Alert severity="error">
+                  {errors.map(message => <div key={message}>{message}</div>)}
+                </Alert>
+              )}
+
+              <Typography variant="caption" color="text.secondary">
+                {prompt.version
+                  ? `Version ${prompt.version}${prompt.isDefault ? ' (default prompt)' : ''}, changed ${formatRelativeTime(prompt.updatedAt)}`
+                  : 'Default prompt'}
+              </Typography>
+
+              {canEdit ? (
+                <>
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    <Button
+                      variant="contained"
+                      onClick={() => saveMutation.mutate()}
+                      disabled={!changed || saveMutation.isPending}
+                      startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+                    >
+                      Save
+                    </Button>
+                    <Button
+                      startIcon={<ResetIcon />}
+                      onClick={() => updateDraft({ template: prompt.defaultTemplate })}
+                      disabled={draft.template === prompt.defaultTemplate}
+                    >
+                      Use default prompt
+                    </Button>
+                    <Button startIcon={<HistoryIcon />} onClick={() => setHistoryOpen(true)}>
+                      History
+                    </Button>
+                  </Box>
+
+                  <Divider />
+
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <TextField
+                      select
+                      size="small"
+                      label="Preview with recording"
+                      value={previewProcessId}
+                      onChange={(e) => setPreviewProcessId(e.target.value)}
+                      sx={{ minWidth: 280, flex: '1 1 280px' }}
+                    >
+                      {processes.length === 0 && (
+                        <MenuItem value="" disabled>No analyzed recordings yet</MenuItem>
+                      )}
+                      {processes.map(process => (
+                        <MenuItem key={process.id} value={process.id}>{process.title}</MenuItem>
+                      ))}
+                    </TextField>
+                    <Button
+                      variant="outlined"
+                      startIcon={previewMutation.isPending ? <CircularProgress size={16} /> : <PreviewIcon />}
+                      onClick={() => previewMutation.mutate()}
+                      disabled={!previewProcessId || previewMutation.isPending}
+                    >
+                      Preview
+                    </Button>
+                  </Box>
+                </>
+              ) : (
+                <Typography variant="caption" color="text.secondary">
+                  Only owners and admins can change these settings
+                </Typography>
+              )}
+            </Box>
+          </>
+        )}
+      </CardContent>
+
+      <PromptVersionsDialog
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        tenantId={tenantId}
+        kind={kind}
+        label={label}
+        defaultTemplate={prompt?.defaultTemplate}
+        onRestore={canEdit ? (version) => restoreMutation.mutate(version) : null}
+        restoring={restoreMutation.isPending}
+      />
+
+      <Dialog open={!!preview} onClose={() => setPreview(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Preview</DialogTitle>
+        <DialogContent dividers>
+          {preview && (
+            <>
+              <Typography variant="subtitle2" gutterBottom>
+                Result (not saved to the recording)
+              </Typography>
+              <PreviewResult kind={preview.kind} result={preview.result} />
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+                {preview.model} · {preview.tokensUsed || 0} tokens · {preview.processingTime?.toFixed(1)}s
+              </Typography>
+
+              <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+                Full system prompt
+              </Typography>
+              <Typography
+                variant="body2"
+                component="pre"
+                sx={{ whiteSpace: 'pre-wrap', fontFamily: 'monospace', fontSize: '0.8rem', m: 0, p: 1.5, bgcolor: 'action.hover', borderRadius: 1 }}
+              >
+                {preview.systemPrompt}
+              </Typography>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreview(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default PromptTemplatesCard;
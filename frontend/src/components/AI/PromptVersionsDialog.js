@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+import { History as HistoryIcon } from '@mui/icons-material';
+import { useQuery } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { formatRelativeTime } from '../../utils/helpers';
+import { languageName } from '../Transcription/LanguageSelect';
+
+const authorName = (user) => {
+  if (!user) return 'Unknown user';
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name || user.email;
+};
+
+const describeVersion = (version) => {
+  if (version.restoredFrom !== null && version.restoredFrom !== undefined) {
+    return `Restored version ${version.restoredFrom}`;
+  }
+  return version.template ? 'Custom template' : 'Default template';
+};
+
+/**
+ * Version history of one prompt template with preview and restore
+ */
+const PromptVersionsDialog = ({ open, onClose, tenantId, kind, label, defaultTemplate, onRestore, restoring = false }) => {
+  const [selected, setSelected] = useState(null);
+
+  const { data: versions = [], isLoading, error } = useQuery({
+    queryKey: ['promptTemplateVersions', tenantId, kind],
+    queryFn: async () => {
+      const result = await settingsAPI.getPromptTemplateVersions(tenantId, kind);
+      return result.data.data.versions;
+    },
+    enabled: open && !!tenantId && !!kind,
+  });
+
+  const handleClose = () => {
+    setSelected(null);
+    onClose();
+  };
+
+  const currentVersion = versions[0]?.version;
+  const preview = versions.find(version => version.version === selected);
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <HistoryIcon />
+        {label} prompt history
+      </DialogTitle>
+      <DialogContent dividers>
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">Failed to load the prompt history</Alert>
+        ) : versions.length === 0 ? (
+          <Typography color="text.secondary">
+            The default prompt has not been changed yet.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, minHeight: 320 }}>
+            <List dense sx={{ width: 280, flexShrink: 0, overflow: 'auto', maxHeight: 420 }}>
+              {versions.map((version) => (
+                <ListItemButton
+                  key={version.version}
+                  selected={selected === version.version}
+                  onClick={() => setSelected(version.version)}
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <span>Version {version.version}</span>
+                        {version.version === currentVersion && (
+                          <Chip label="Current" size="small" color="primary" />
+                        )}
+                      </Box>
+                    }
+                    secondary={`${describeVersion(version)} · ${authorName(version.createdBy)} · ${formatRelativeTime(version.createdAt)}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+
+            <Paper variant="outlined" sx={{ flexGrow: 1, p: 1.5, overflow: 'auto', maxHeight: 420 }}>
+              {!preview ? (
+                <Typography color="text.secondary">
+                  Select a version to preview it.
+                </Typography>
+              ) : (
+                <>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1.5 }}>
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      label={`Language: ${preview.variables?.language ? languageName(preview.variables.language) : 'as transcript'}`}
+                    />
+                    {kind !== 'tags' && (
+                      <Chip size="small" variant="outlined" label={`Tone: ${preview.variables?.tone}`} />
+                    )}
+                    {kind === 'tags' && (
+                      <Chip size="small" variant="outlined" label={`Max tags: ${preview.variables?.maxTags}`} />
+                    )}
+                    {kind === 'todos' && (
+                      <Chip size="small" variant="outlined" label={`Granularity: ${preview.variables?.granularity}`} />
+                    )}
+                    {preview.variables?.focus && (
+                      <Chip size="small" variant="outlined" label={`Focus: ${preview.variables.focus}`} />
+                    )}
+                  </Box>
+                  <Typography
+                    variant="body2"
+                    component="pre"
+                    sx={{ whiteSpace: 'pre-wrap', fontFamily: 'monospace', fontSize: '0.8rem', m: 0 }}
+                  >
+                    {preview.template || defaultTemplate}
+                  </Typography>
+                </>
+              )}
+            </Paper>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+        {onRestore && (
+          <Button
+            variant="contained"
+            onClick={() => onRestore(selected)}
+            disabled={selected === null || selected === currentVersion || restoring}
+          >
+            Restore this version
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PromptVersionsDialog;
@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  FormGroup,
+  IconButton,
+  InputAdornment,
+  Link,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { settingsAPI, publicAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { copyToClipboard, formatRelativeTime } from '../../utils/helpers';
+
+const EMPTY_KEY = { name: '', scopes: [], rateLimit: 60 };
+
+/**
+ * API keys for scripts and integrations. Keys are shown once, after creating
+ * or rotating them; requests act as the member who created the key.
+ */
+const ApiKeysCard = ({ tenantId }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [editing, setEditing] = useState(null);
+  const [values, setValues] = useState(EMPTY_KEY);
+  const [newKey, setNewKey] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['apiKeys', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getApiKeys(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const scopes = data?.scopes || [];
+  const apiKeys = data?.apiKeys || [];
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['apiKeys', tenantId] });
+
+  const onError = (fallback) => (error) => {
+    showNotification(error.response?.data?.errors?.join(', ') || error.response?.data?.message || fallback, 'error');
+  };
+
+  const rateLimit = Number(values.rateLimit);
+  const rateLimitValid = Number.isInteger(rateLimit) && rateLimit >= 1 && rateLimit <= 1000;
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const changes = { name: values.name, scopes: values.scopes, rateLimit };
+      return editing.id
+        ? settingsAPI.updateApiKey(tenantId, editing.id, changes)
+        : settingsAPI.createApiKey(tenantId, changes);
+    },
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      if (result.data.data.key) {
+        setNewKey({ name: result.data.data.apiKey.name, value: result.data.data.key });
+      }
+      setEditing(null);
+      refresh();
+    },
+    onError: onError('Failed to save the API key'),
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: (keyId) => settingsAPI.rotateApiKey(tenantId, keyId),
+    onSuccess: (result) => {
+      setNewKey({ name: result.data.data.apiKey.name, value: result.data.data.key });
+      refresh();
+    },
+    onError: onError('Failed to rotate the API key'),
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (keyId) => settingsAPI.revokeApiKey(tenantId, keyId),
+    onSuccess: () => {
+      showNotification('API key revoked', 'success');
+      refresh();
+    },
+    onError: onError('Failed to revoke the API key'),
+  });
+
+  const openEditor = (apiKey = null) => {
+    setValues(apiKey
+      ? { name: apiKey.name, scopes: apiKey.scopes, rateLimit: apiKey.rateLimit }
+      : EMPTY_KEY);
+    setEditing(apiKey || {});
+  };
+
+  const toggleScope = (name) => {
+    setValues({
+      ...values,
+      scopes: values.scopes.includes(name)
+        ? values.scopes.filter(scope => scope !== name)
+        : [...values.scopes, name],
+    });
+  };
+
+  const handleRotate = (apiKey) => {
+    if (window.confirm(`Rotate "${apiKey.name}"? The current key stops working right away.`)) {
+      rotateMutation.mutate(apiKey.id);
+    }
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (window.confirm(`Revoke "${apiKey.name}"? Scripts using it will be rejected. This cannot be undone.`)) {
+      revokeMutation.mutate(apiKey.id);
+    }
+  };
+
+  const handleCopyKey = async () => {
+    if (await copyToClipboard(newKey.value)) {
+      showNotification('API key copied to clipboard', 'success');
+    }
+  };
+
+  const creatorName = (apiKey) => {
+    const creator = apiKey.createdBy;
+    if (!creator) return 'a removed member';
+    return [creator.firstName, creator.lastName].filter(Boolean).join(' ') || creator.email;
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">
+            API keys
+          </Typography>
+          <Button size="small" onClick={() => openEditor()} disabled={isLoading}>
+            Create key
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Let scripts and integrations read processes, upload recordings and manage favorite lists
+          without signing in. Requests act as the member who created the key, limited to its scopes.
+          See the{' '}
+          <Link href={publicAPI.getOpenApiUrl()} target="_blank" rel="noopener noreferrer">
+            OpenAPI document
+          </Link>{' '}
+          for the available endpoints.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {apiKeys.length === 0 && (
+              <Typography color="text.secondary">No API keys yet.</Typography>
+            )}
+
+            {apiKeys.map((apiKey, index) => (
+              <Box key={apiKey.id} sx={{ opacity: apiKey.revokedAt ? 0.6 : 1 }}>
+                {index > 0 && <Divider sx={{ mb: 2 }} />}
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                  <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Typography variant="subtitle1" noWrap>
+                      {apiKey.name}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                      {apiKey.prefix}…
+                    </Typography>
+                  </Box>
+                  {apiKey.revokedAt ? (
+                    <Chip size="small" label="Revoked" />
+                  ) : (
+                    <Chip size="small" color="success" label="Active" />
+                  )}
+                </Box>
+
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', my: 1 }}>
+                  {apiKey.scopes.map(scope => (
+                    <Chip key={scope} size="small" variant="outlined" label={scope} />
+                  ))}
+                  <Chip size="small" variant="outlined" label={`${apiKey.rateLimit} requests/min`} />
+                </Box>
+
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                  <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+                    {[
+                      `Created by ${creatorName(apiKey)} ${formatRelativeTime(apiKey.createdAt)}`,
+                      apiKey.revokedAt
+                        ? `revoked ${formatRelativeTime(apiKey.revokedAt)}`
+                        : apiKey.lastUsedAt
+                          ? `last used ${formatRelativeTime(apiKey.lastUsedAt)}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}`
+                          : 'never used',
+                    ].join(' · ')}
+                  </Typography>
+                  {!apiKey.revokedAt && (
+                    <>
+                      <Button size="small" onClick={() => openEditor(apiKey)}>
+                        Edit
+                      </Button>
+                      <Button size="small" onClick={() => handleRotate(apiKey)} disabled={rotateMutation.isPending}>
+                        Rotate
+                      </Button>
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => handleRevoke(apiKey)}
+                        disabled={revokeMutation.isPending}
+                      >
+                        Revoke
+                      </Button>
+                    </>
+                  )}
+                </Box>
+              </Box>
+            ))}
+          </Box>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.id ? 'Edit API key' : 'Create API key'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            <TextField
+              fullWidth
+              required
+              label="Name"
+              placeholder="Nightly import script"
+              value={values.name}
+              onChange={(e) => setValues({ ...values, name: e.target.value })}
+              inputProps={{ maxLength: 100 }}
+            />
+            <Box>
+              <Typography variant="subtitle2">Scopes</Typography>
+              <FormGroup>
+                {scopes.map(scope => (
+                  <FormControlLabel
+                    key={scope.name}
+                    control={
+                      <Checkbox
+                        checked={values.scopes.includes(scope.name)}
+                        onChange={() => toggleScope(scope.name)}
+                      />
+                    }
+                    label={
+                      <Box>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{scope.name}</Typography>
+                        <Typography variant="caption" color="text.secondary">{scope.description}</Typography>
+                      </Box>
+                    }
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+            <TextField
+              label="Rate limit"
+              type="number"
+              value={values.rateLimit}
+              onChange={(e) => setValues({ ...values, rateLimit: e.target.value })}
+              error={!rateLimitValid}
+              helperText={rateLimitValid ? 'Requests per minute' : 'Between 1 and 1000 requests per minute'}
+              inputProps={{ min: 1, max: 1000 }}
+              InputProps={{ endAdornment: <InputAdornment position="end">/ min</InputAdornment> }}
+              sx={{ maxWidth: 240 }}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => saveMutation.mutate()}
+            disabled={saveMutation.isPending || !values.name.trim() || values.scopes.length === 0 || !rateLimitValid}
+            startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+          >
+            {editing?.id ? 'Save' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!newKey} onClose={() => setNewKey(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>API key</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Copy the key now. It is not shown again; you can only rotate it.
+          </Alert>
+          <TextField
+            fullWidth
+            label={newKey?.name}
+            value={newKey?.value || ''}
+            InputProps={{
+              readOnly: true,
+              sx: { fontFamily: 'monospace' },
+              endAdornment: (
+                <InputAdornment position="end">
+                  <IconButton onClick={handleCopyKey} edge="end">
+                    <CopyIcon />
+                  </IconButton>
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Send it as a bearer token: <code>Authorization: Bearer {newKey?.value.slice(0, 12)}…</code>.
+            Calls go to <code>/tenants/{tenantId}/…</code> as described in the OpenAPI document.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => setNewKey(null)}>Done</Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ApiKeysCard;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Save as SaveIcon,
+  Cancel as CancelIcon,
+  Delete as DeleteIcon,
+  Schedule as TimeIcon,
+} from '@mui/icons-material';
+
+import { formatTimestamp } from '../../utils/helpers';
+
+/**
+ * Chapter list of a process. Clicking a chapter jumps to its start; in edit
+ * mode the whole list is saved at once, the server derives the end times.
+ */
+const ChapterEditor = ({
+  chapters = [],
+  currentTime = 0,
+  saving = false,
+  readOnly = false,
+  onSave,
+  onJump,
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState([]);
+
+  const activeIndex = chapters.findIndex(
+    (chapter) => currentTime >= chapter.start && currentTime < chapter.end
+  );
+
+  const startEditing = () => {
+    setDraft(chapters.map(({ title, start }) => ({ title, start })));
+    setEditing(true);
+  };
+
+  const updateDraft = (index, changes) => {
+    setDraft(draft.map((chapter, i) => (i === index ? { ...chapter, ...changes } : chapter)));
+  };
+
+  const handleAdd = () => {
+    setDraft([...draft, { title: '', start: Math.round(currentTime) }]);
+  };
+
+  const handleSave = async () => {
+    const cleaned = draft
+      .map((chapter) => ({ title: chapter.title.trim(), start: Math.max(0, Number(chapter.start) || 0) }))
+      .filter((chapter) => chapter.title)
+      .sort((a, b) => a.start - b.start);
+
+    try {
+      await onSave(cleaned);
+      setEditing(false);
+    } catch (error) {
+      // The caller reports the error; keep the draft for another attempt
+    }
+  };
+
+  if (editing) {
+    return (
+      <Box>
+        <Stack spacing={1.5}>
+          {draft.map((chapter, index) => (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <TextField
+                label="Start (seconds)"
+                type="number"
+                size="small"
+                value={chapter.start}
+                onChange={(e) => updateDraft(index, { start: e.target.value })}
+                inputProps={{ min: 0, step: 1 }}
+                sx={{ width: 140 }}
+              />
+              <Tooltip title="Use current video time">
+                <IconButton size="small" onClick={() => updateDraft(index, { start: Math.round(currentTime) })}>
+                  <TimeIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <TextField
+                label="Title"
+                size="small"
+                fullWidth
+                value={chapter.title}
+                onChange={(e) => updateDraft(index, { title: e.target.value })}
+                inputProps={{ maxLength: 200 }}
+              />
+              <IconButton size="small" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+        </Stack>
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+          <Button size="small" startIcon={<AddIcon />} onClick={handleAdd}>
+            Add chapter at {formatTimestamp(currentTime)}
+          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button size="small" startIcon={<CancelIcon />} onClick={() => setEditing(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button size="small" variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={saving}>
+              Save
+            </Button>
+          </Box>
+        </Box>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {chapters.length > 0 ? (
+        <List dense>
+          {chapters.map((chapter, index) => (
+            <ListItem key={chapter.id || index} disablePadding>
+              <ListItemButton selected={index === activeIndex} onClick={() => onJump?.(chapter.start)}>
+                <Chip
+                  label={formatTimestamp(chapter.start)}
+                  size="small"
+                  variant="outlined"
+                  color="primary"
+                  sx={{ mr: 2, minWidth: 64 }}
+                />
+                <ListItemText primary={chapter.title} />
+              </ListItemButton>
+            </ListItem>
+          ))}
+        </List>
+      ) : (
+        <Typography color="text.secondary">No chapters yet</Typography>
+      )}
+
+      {!readOnly && (
+        <Button size="small" startIcon={<EditIcon />} onClick={startEditing} sx={{ mt: 1 }}>
+          {chapters.length > 0 ? 'Edit chapters' : 'Add chapters'}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ChapterEditor;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import {
+  Avatar,
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  ListItemAvatar,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import { AlternateEmail as MentionIcon } from '@mui/icons-material';
+
+import { memberName, memberInitials } from '../Todos/todoOptions';
+import { mentionLabel, activeMentions } from './commentUtils';
+
+/**
+ * Comment text field with @mentions of workspace members
+ */
+const CommentComposer = ({
+  members = [],
+  initialText = '',
+  initialMentions = [],
+  placeholder = 'Add a comment',
+  submitLabel = 'Comment',
+  pending = false,
+  autoFocus = false,
+  onSubmit,
+  onCancel,
+  children,
+}) => {
+  const [text, setText] = useState(initialText);
+  const [mentions, setMentions] = useState(initialMentions);
+  const [mentionAnchor, setMentionAnchor] = useState(null);
+
+  const handleMention = (member) => {
+    setMentionAnchor(null);
+    const label = mentionLabel(member);
+    setText(text && !/\s$/.test(text) ? `${text} ${label} ` : `${text}${label} `);
+    if (!mentions.includes(member.id)) setMentions([...mentions, member.id]);
+  };
+
+  const handleSubmit = async () => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    try {
+      await onSubmit({ text: trimmed, mentions: activeMentions(trimmed, mentions, members) });
+      setText('');
+      setMentions([]);
+    } catch (error) {
+      // The caller reports the error; the text stays for another try
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        maxRows={8}
+        size="small"
+        placeholder={placeholder}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSubmit();
+        }}
+        inputProps={{ maxLength: 2000 }}
+        autoFocus={autoFocus}
+      />
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Tooltip title="Mention someone">
+          <IconButton size="small" onClick={(e) => setMentionAnchor(e.currentTarget)}>
+            <MentionIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        {children}
+        <Box sx={{ flexGrow: 1 }} />
+        {onCancel && (
+          <Button size="small" onClick={onCancel}>Cancel</Button>
+        )}
+        <Button
+          size="small"
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!text.trim() || pending}
+          startIcon={pending ? <CircularProgress size={14} /> : null}
+        >
+          {submitLabel}
+        </Button>
+      </Box>
+
+      <Menu anchorEl={mentionAnchor} open={Boolean(mentionAnchor)} onClose={() => setMentionAnchor(null)}>
+        {members.map(member => (
+          <MenuItem key={member.id} onClick={() => handleMention(member)}>
+            <ListItemAvatar sx={{ minWidth: 36 }}>
+              <Avatar sx={{ width: 24, height: 24, fontSize: '0.7rem' }}>{memberInitials(member)}</Avatar>
+            </ListItemAvatar>
+            <ListItemText primary={memberName(member)} secondary={member.email} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </Box>
+  );
+};
+
+export default CommentComposer;
@@ -0,0 +1,347 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  Paper,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  CheckCircleOutline as ResolveIcon,
+  Replay as ReopenIcon,
+  Reply as ReplyIcon,
+} from '@mui/icons-material';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { formatRelativeTime, formatTimestamp } from '../../utils/helpers';
+import { memberName, memberInitials } from '../Todos/todoOptions';
+import CommentComposer from './CommentComposer';
+import { useProcessComments, mentionLabel, canResolveThread } from './commentUtils';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Comment text with its @mentions highlighted
+ */
+const CommentBody = ({ comment, members }) => {
+  const byId = new Map(members.map(member => [member.id, member]));
+  const labels = (comment.mentions || [])
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .map(mentionLabel);
+
+  if (labels.length === 0) {
+    return <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{comment.text}</Typography>;
+  }
+
+  const pattern = new RegExp(`(${labels.map(escapeRegExp).join('|')})`, 'g');
+  return (
+    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+      {comment.text.split(pattern).map((part, index) => (
+        labels.includes(part)
+          ? <Box key={index} component="span" sx={{ color: 'primary.main', fontWeight: 600 }}>{part}</Box>
+          : part
+      ))}
+    </Typography>
+  );
+};
+
+/**
+ * Discussion of a process: threads at a video position or transcript
+ * segment, replies, @mentions and resolving
+ */
+const CommentsPanel = ({
+  tenantId,
+  processId,
+  process,
+  currentTime = 0,
+  members = [],
+  currentUser,
+  focusThreadId = null,
+  segmentIndex = null,
+  onClearSegment,
+  onJump,
+}) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [status, setStatus] = useState('open');
+  const [atCurrentTime, setAtCurrentTime] = useState(true);
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const threadRefs = useRef({});
+
+  const { data: threads = [], isLoading, error } = useProcessComments(tenantId, processId);
+
+  // Links from notifications and player markers point at a thread, resolved or not
+  useEffect(() => {
+    if (!focusThreadId) return;
+    const thread = threads.find(item => item.id === focusThreadId);
+    if (thread?.resolved) setStatus(current => (current === 'open' ? 'all' : current));
+    threadRefs.current[focusThreadId]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusThreadId, threads]);
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['processComments', tenantId, processId] });
+
+  const onError = (fallback) => (err) => {
+    showNotification(err.response?.data?.errors?.join(', ') || err.response?.data?.message || fallback, 'error');
+  };
+
+  const addMutation = useMutation({
+    mutationFn: (comment) => processAPI.addComment(tenantId, processId, comment),
+    onSuccess: refresh,
+    onError: onError('Failed to add the comment'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ commentId, changes }) => processAPI.updateComment(tenantId, processId, commentId, changes),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      setEditingId(null);
+      refresh();
+    },
+    onError: onError('Failed to update the comment'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (commentId) => processAPI.deleteComment(tenantId, processId, commentId),
+    onSuccess: refresh,
+    onError: onError('Failed to delete the comment'),
+  });
+
+  const segment = segmentIndex !== null ? process?.transcript?.segments?.[segmentIndex] : null;
+  const canModerate = ['owner', 'admin'].includes(currentUser?.role);
+  const hasVideo = process?.status === 'completed';
+
+  const handleStartThread = async ({ text, mentions }) => {
+    const anchor = segment
+      ? { segmentIndex }
+      : { timestamp: hasVideo && atCurrentTime ? Math.floor(currentTime) : null };
+    await addMutation.mutateAsync({ text, mentions, ...anchor });
+    onClearSegment?.();
+  };
+
+  const handleReply = async (threadId, { text, mentions }) => {
+    await addMutation.mutateAsync({ text, mentions, parentId: threadId });
+    setReplyTo(null);
+  };
+
+  const handleDelete = (comment) => {
+    const isThread = !comment.parentId;
+    if (window.confirm(isThread ? 'Delete this thread and all replies?' : 'Delete this comment?')) {
+      deleteMutation.mutate(comment.id);
+    }
+  };
+
+  const visibleThreads = threads.filter(thread => (
+    status === 'all' || thread.resolved === (status === 'resolved')
+  ));
+
+  const renderComment = (comment) => {
+    const author = comment.author || members.find(member => member.id === comment.userId);
+    const isAuthor = comment.userId === currentUser?.id;
+
+    if (editingId === comment.id) {
+      return (
+        <Box key={comment.id} sx={{ py: 1 }}>
+          <CommentComposer
+            members={members}
+            initialText={comment.text}
+            initialMentions={comment.mentions || []}
+            submitLabel="Save"
+            pending={updateMutation.isPending}
+            autoFocus
+            onSubmit={(changes) => updateMutation.mutateAsync({ commentId: comment.id, changes })}
+            onCancel={() => setEditingId(null)}
+          />
+        </Box>
+      );
+    }
+
+    return (
+      <Box key={comment.id} sx={{ display: 'flex', gap: 1.5, py: 1 }}>
+        <Avatar sx={{ width: 28, height: 28, fontSize: '0.75rem' }}>{memberInitials(author)}</Avatar>
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="subtitle2">{memberName(author)}</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {formatRelativeTime(comment.createdAt)}{comment.editedAt ? ' · edited' : ''}
+            </Typography>
+            <Box sx={{ flexGrow: 1 }} />
+            {isAuthor && (
+              <IconButton size="small" onClick={() => setEditingId(comment.id)}>
+                <EditIcon fontSize="small" />
+              </IconButton>
+            )}
+            {(isAuthor || canModerate) && (
+              <IconButton size="small" onClick={() => handleDelete(comment)} disabled={deleteMutation.isPending}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            )}
+          </Box>
+          <CommentBody comment={comment} members={members} />
+        </Box>
+      </Box>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">
+          Comments
+        </Typography>
+        <TextField
+          select
+          size="small"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          {STATUS_FILTERS.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+        {segment && (
+          <Chip
+            size="small"
+            sx={{ mb: 1, maxWidth: '100%' }}
+            label={`${formatTimestamp(segment.start)} · ${segment.text}`}
+            onDelete={onClearSegment}
+          />
+        )}
+        <CommentComposer
+          members={members}
+          placeholder={segment ? 'Comment on this part of the transcript' : 'Start a discussion'}
+          pending={addMutation.isPending && !replyTo}
+          onSubmit={handleStartThread}
+        >
+          {!segment && hasVideo && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  size="small"
+                  checked={atCurrentTime}
+                  onChange={(e) => setAtCurrentTime(e.target.checked)}
+                />
+              }
+              label={<Typography variant="body2">At {formatTimestamp(Math.floor(currentTime))}</Typography>}
+            />
+          )}
+        </CommentComposer>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.response?.data?.message || 'Failed to load comments'}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : visibleThreads.length === 0 ? (
+        <Typography color="text.secondary">
+          {threads.length === 0 ? 'No comments yet.' : 'No threads with this status.'}
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {visibleThreads.map(thread => (
+            <Paper
+              key={thread.id}
+              ref={(element) => { threadRefs.current[thread.id] = element; }}
+              variant="outlined"
+              sx={{
+                p: 2,
+                opacity: thread.resolved ? 0.75 : 1,
+                borderColor: thread.id === focusThreadId ? 'primary.main' : 'divider',
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+                {typeof thread.timestamp === 'number' && (
+                  <Chip
+                    size="small"
+                    color="primary"
+                    variant="outlined"
+                    label={formatTimestamp(thread.timestamp)}
+                    onClick={() => onJump?.(thread.timestamp)}
+                  />
+                )}
+                {thread.resolved && <Chip size="small" color="success" label="Resolved" />}
+                <Box sx={{ flexGrow: 1 }} />
+                {canResolveThread(thread, process, currentUser) && (
+                  <Button
+                    size="small"
+                    startIcon={thread.resolved ? <ReopenIcon /> : <ResolveIcon />}
+                    onClick={() => updateMutation.mutate({ commentId: thread.id, changes: { resolved: !thread.resolved } })}
+                    disabled={updateMutation.isPending}
+                  >
+                    {thread.resolved ? 'Reopen' : 'Resolve'}
+                  </Button>
+                )}
+              </Box>
+
+              {thread.quote && (
+                <Typography
+                  variant="body2"
+                  color="text.secondary"
+                  sx={{ borderLeft: 3, borderColor: 'divider', pl: 1.5, mb: 1, fontStyle: 'italic' }}
+                >
+                  {thread.quote}
+                </Typography>
+              )}
+
+              {renderComment(thread)}
+              <Box sx={{ pl: 5 }}>
+                {thread.replies.map(renderComment)}
+                {replyTo === thread.id ? (
+                  <Box sx={{ pt: 1 }}>
+                    <CommentComposer
+                      members={members}
+                      placeholder="Reply"
+                      submitLabel="Reply"
+                      pending={addMutation.isPending}
+                      autoFocus
+                      onSubmit={(reply) => handleReply(thread.id, reply)}
+                      onCancel={() => setReplyTo(null)}
+                    />
+                  </Box>
+                ) : (
+                  <Tooltip title="Reply to this thread">
+                    <Button size="small" startIcon={<ReplyIcon />} onClick={() => setReplyTo(thread.id)}>
+                      Reply
+                    </Button>
+                  </Tooltip>
+                )}
+              </Box>
+            </Paper>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,41 @@
+import { useQuery } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { memberName } from '../Todos/todoOptions';
+
+/**
+ * Comment threads of a process; the comments tab and the player markers
+ * share this query
+ */
+export const useProcessComments = (tenantId, processId) => useQuery({
+  queryKey: ['processComments', tenantId, processId],
+  queryFn: async () => {
+    const result = await processAPI.getComments(tenantId, processId);
+    return result.data.data.threads;
+  },
+  enabled: !!tenantId && !!processId,
+});
+
+export const mentionLabel = (member) => `@${memberName(member)}`;
+
+/**
+ * Mentions still present in the text; removing "@Name" removes the mention
+ */
+export const activeMentions = (text, mentions, members) => {
+  const byId = new Map(members.map(member => [member.id, member]));
+  return mentions.filter(id => byId.has(id) && text.includes(mentionLabel(byId.get(id))));
+};
+
+/**
+ * Whether a user may resolve or reopen a thread: its author, the owner of
+ * the process, workspace owners and admins
+ */
+export const canResolveThread = (thread, process, user) => {
+  // The process comes with its uploader populated
+  const ownerId = process?.userId?.id || process?.userId;
+  return !!user && (
+    thread.userId === user.id
+    || ownerId === user.id
+    || ['owner', 'admin'].includes(user.role)
+  );
+};
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { Box } from '@mui/material';
+import { VideoLibrary as VideoIcon } from '@mui/icons-material';
+
+import { processAPI } from '../../services/api';
+
+/**
+ * 16:9 poster frame of a process, with the generic video icon until thumbnails exist
+ */
+const ProcessPoster = ({ process, height = 160 }) => {
+  const [failed, setFailed] = useState(false);
+  const posterUrl = processAPI.getAssetUrl(process?.files?.thumbnails?.posterUrl);
+
+  return (
+    <Box
+      sx={{
+        height,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'action.hover',
+        overflow: 'hidden',
+      }}
+    >
+      {posterUrl && !failed ? (
+        <Box
+          component="img"
+          src={posterUrl}
+          alt={process.title || process.originalFilename || 'Video'}
+          loading="lazy"
+          onError={() => setFailed(true)}
+          sx={{ width: '100%', height: '100%', objectFit: 'cover' }}
+        />
+      ) : (
+        <VideoIcon sx={{ fontSize: 48, color: 'text.secondary' }} />
+      )}
+    </Box>
+  );
+};
+
+export default ProcessPoster;
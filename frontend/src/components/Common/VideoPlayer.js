@@ -1,5 +1,5 @@
 import React, { useRef, useEffect, useState, forwardRef, useImperativeHandle } from 'react';
-import { Box, IconButton, Slider, Typography, CircularProgress } from '@mui/material';
+import { Box, IconButton, Slider, Typography, CircularProgress, Menu, MenuItem, Tooltip } from '@mui/material';
 import {
   PlayArrow as PlayIcon,
   Pause as PauseIcon,
@@ -7,18 +7,34 @@ import {
   VolumeOff as VolumeMuteIcon,
   Fullscreen as FullscreenIcon,
   FullscreenExit as FullscreenExitIcon,
+  ClosedCaption as CaptionsIcon,
+  ClosedCaptionDisabled as CaptionsOffIcon,
+  HighQuality as QualityIcon,
 } from '@mui/icons-material';
 
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+const AUTO_LEVEL = -1;
+
 const VideoPlayer = forwardRef(({ 
   src, 
   poster, 
   onTimeUpdate, 
   autoPlay = false,
   startTime = 0,
-  onLoadedMetadata
+  onLoadedMetadata,
+  subtitlesSrc = null,
+  subtitlesLabel = 'Captions',
+  subtitlesLang = 'en',
+  thumbnails = null,
+  chapters = null,
+  markers = null,
+  onMarkerClick,
+  hlsSrc = null,
+  onError
 }, ref) => {
   const videoRef = useRef(null);
   const containerRef = useRef(null);
+  const progressRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -27,6 +43,16 @@ const VideoPlayer = forwardRef(({
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showCaptions, setShowCaptions] = useState(true);
+  const [scrubPreview, setScrubPreview] = useState(null);
+  const hlsRef = useRef(null);
+  const [hlsFailed, setHlsFailed] = useState(false);
+  const [qualityLevels, setQualityLevels] = useState([]);
+  const [currentLevel, setCurrentLevel] = useState(AUTO_LEVEL);
+  const [qualityAnchor, setQualityAnchor] = useState(null);
+  // Latest error callback without re-binding the media listeners on every render
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
 
   // Expose video element methods to parent component
   useImperativeHandle(ref, () => ({
@@ -47,6 +73,11 @@ const VideoPlayer = forwardRef(({
     }
   }));
 
+  // A new source (e.g. a refreshed access token) gets a fresh attempt
+  useEffect(() => {
+    setError(null);
+  }, [src, hlsSrc]);
+
   useEffect(() => {
     const video = videoRef.current;
     if (!video) return;
@@ -54,9 +85,18 @@ const VideoPlayer = forwardRef(({
     const handleLoadStart = () => setIsLoading(true);
     const handleCanPlay = () => setIsLoading(false);
     const handleError = (e) => {
+      // Native HLS playback failed: retry with the MP4 source
+      if (hlsSrc && !hlsFailed) {
+        setHlsFailed(true);
+        return;
+      }
+
       setIsLoading(false);
       setError('Failed to load video');
       console.error('Video error:', e);
+      if (onErrorRef.current) {
+        onErrorRef.current(e);
+      }
     };
 
     video.addEventListener('loadstart', handleLoadStart);
@@ -68,7 +108,76 @@ const VideoPlayer = forwardRef(({
       video.removeEventListener('canplay', handleCanPlay);
       video.removeEventListener('error', handleError);
     };
-  }, [src]);
+  }, [src, hlsSrc, hlsFailed, error]);
+
+  // Adaptive streaming: native HLS (Safari) or hls.js, falling back to the MP4 source
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !hlsSrc) return;
+
+    let cancelled = false;
+    // Progressive MP4 when adaptive streaming is unavailable
+    const playProgressive = () => {
+      setQualityLevels([]);
+      setHlsFailed(true);
+    };
+
+    setHlsFailed(false);
+
+    if (video.canPlayType(HLS_MIME_TYPE)) {
+      video.src = hlsSrc;
+      return;
+    }
+
+    import('hls.js')
+      .then(({ default: Hls }) => {
+        if (cancelled) return;
+        if (!Hls.isSupported()) {
+          playProgressive();
+          return;
+        }
+
+        const hls = new Hls({ capLevelToPlayerSize: true });
+        hlsRef.current = hls;
+
+        hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+          setQualityLevels(data.levels.map((level, index) => ({ index, height: level.height })));
+          setCurrentLevel(AUTO_LEVEL);
+        });
+        hls.on(Hls.Events.ERROR, (event, data) => {
+          if (!data.fatal) return;
+          console.error('HLS playback error:', data);
+          hls.destroy();
+          hlsRef.current = null;
+          playProgressive();
+        });
+
+        hls.loadSource(hlsSrc);
+        hls.attachMedia(video);
+      })
+      .catch((loadError) => {
+        console.error('Failed to load HLS player:', loadError);
+        if (!cancelled) {
+          playProgressive();
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      if (hlsRef.current) {
+        hlsRef.current.destroy();
+        hlsRef.current = null;
+      }
+    };
+  }, [hlsSrc]);
+
+  // Keep the caption track visibility in sync with the toggle
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !subtitlesSrc || !video.textTracks.length) return;
+
+    video.textTracks[0].mode = showCaptions ? 'showing' : 'hidden';
+  }, [showCaptions, subtitlesSrc]);
 
   useEffect(() => {
     if (videoRef.current && startTime > 0) {
@@ -162,6 +271,60 @@ const VideoPlayer = forwardRef(({
     setIsFullscreen(!isFullscreen);
   };
 
+  const chapterAt = (time) => (
+    chapters?.find((chapter) => time >= chapter.start && time < chapter.end) || null
+  );
+
+  // Chapter starts as markers on the timeline
+  const chapterMarks = duration && chapters?.length
+    ? chapters.filter((chapter) => chapter.start > 0 && chapter.start < duration).map((chapter) => ({ value: chapter.start }))
+    : [];
+
+  // Annotations (e.g. comment threads) pinned to a position: [{ id, time, label }]
+  const timelineMarkers = duration && markers?.length
+    ? markers.filter((marker) => marker.time >= 0 && marker.time <= duration)
+    : [];
+
+  // Scrub preview: the sprite tile and chapter for the time under the pointer
+  const handleProgressHover = (event) => {
+    const bar = progressRef.current;
+    const hasSprite = thumbnails?.spriteUrl && thumbnails.layout;
+    if ((!hasSprite && !chapters?.length) || !duration || !bar) return;
+
+    const rect = bar.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    const time = ratio * duration;
+    const previewWidth = hasSprite ? thumbnails.layout.tileWidth : 160;
+    const preview = {
+      time,
+      chapter: chapterAt(time)?.title || null,
+      left: Math.min(Math.max(0, ratio * rect.width - previewWidth / 2), Math.max(0, rect.width - previewWidth)),
+      width: previewWidth,
+      tile: null,
+    };
+
+    if (hasSprite) {
+      const { interval, count, columns, tileWidth, tileHeight } = thumbnails.layout;
+      const index = Math.min(count - 1, Math.floor(time / interval));
+      preview.tile = {
+        x: (index % columns) * tileWidth,
+        y: Math.floor(index / columns) * tileHeight,
+      };
+    }
+
+    setScrubPreview(preview);
+  };
+
+  const currentChapter = chapterAt(currentTime);
+
+  const handleQualityChange = (level) => {
+    if (hlsRef.current) {
+      hlsRef.current.currentLevel = level;
+    }
+    setCurrentLevel(level);
+    setQualityAnchor(null);
+  };
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
@@ -196,7 +359,7 @@ const VideoPlayer = forwardRef(({
           <Box sx={{ position: 'relative', paddingTop: '56.25%' }}>
             <video
               ref={videoRef}
-              src={src}
+              src={hlsSrc && !hlsFailed ? undefined : src}
               poster={poster}
               style={{
                 position: 'absolute',
@@ -207,9 +370,21 @@ const VideoPlayer = forwardRef(({
               }}
               onTimeUpdate={handleTimeUpdate}
               onLoadedMetadata={handleLoadedMetadata}
+              onPlay={() => setIsPlaying(true)}
+              onPause={() => setIsPlaying(false)}
               onEnded={() => setIsPlaying(false)}
               autoPlay={autoPlay}
-            />
+            >
+              {subtitlesSrc && (
+                <track
+                  kind="subtitles"
+                  src={subtitlesSrc}
+                  srcLang={subtitlesLang}
+                  label={subtitlesLabel}
+                  default
+                />
+              )}
+            </video>
             
             {isLoading && (
               <Box
@@ -240,18 +415,87 @@ const VideoPlayer = forwardRef(({
             }}
           >
             {/* Progress Bar */}
-            <Slider
-              value={currentTime}
-              max={duration || 100}
-              onChange={handleSeek}
-              sx={{
-                color: 'primary.main',
-                '& .MuiSlider-thumb': {
-                  width: 12,
-                  height: 12,
-                },
-              }}
-            />
+            <Box
+              ref={progressRef}
+              sx={{ position: 'relative' }}
+              onMouseMove={handleProgressHover}
+              onMouseLeave={() => setScrubPreview(null)}
+            >
+              {scrubPreview && (
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    bottom: '100%',
+                    left: scrubPreview.left,
+                    width: scrubPreview.width,
+                    mb: 1,
+                    pointerEvents: 'none',
+                    textAlign: 'center',
+                  }}
+                >
+                  {scrubPreview.tile && (
+                    <Box
+                      sx={{
+                        width: thumbnails.layout.tileWidth,
+                        height: thumbnails.layout.tileHeight,
+                        backgroundImage: `url("${thumbnails.spriteUrl}")`,
+                        backgroundPosition: `-${scrubPreview.tile.x}px -${scrubPreview.tile.y}px`,
+                        backgroundRepeat: 'no-repeat',
+                        backgroundColor: '#000',
+                        border: '2px solid white',
+                        borderRadius: 1,
+                      }}
+                    />
+                  )}
+                  {scrubPreview.chapter && (
+                    <Typography noWrap sx={{ color: 'white', fontSize: '0.75rem', fontWeight: 600, mt: 0.5 }}>
+                      {scrubPreview.chapter}
+                    </Typography>
+                  )}
+                  <Typography sx={{ color: 'white', fontSize: '0.75rem', mt: 0.5 }}>
+                    {formatTime(scrubPreview.time)}
+                  </Typography>
+                </Box>
+              )}
+              {timelineMarkers.map((marker) => (
+                <Tooltip key={marker.id} title={marker.label} placement="top">
+                  <Box
+                    onClick={() => onMarkerClick?.(marker)}
+                    sx={{
+                      position: 'absolute',
+                      top: 0,
+                      left: `${(marker.time / duration) * 100}%`,
+                      transform: 'translateX(-50%)',
+                      width: 8,
+                      height: 8,
+                      borderRadius: '50%',
+                      backgroundColor: 'warning.main',
+                      border: '1px solid white',
+                      cursor: 'pointer',
+                      zIndex: 1,
+                    }}
+                  />
+                </Tooltip>
+              ))}
+              <Slider
+                value={currentTime}
+                max={duration || 100}
+                marks={chapterMarks}
+                onChange={handleSeek}
+                sx={{
+                  color: 'primary.main',
+                  '& .MuiSlider-thumb': {
+                    width: 12,
+                    height: 12,
+                  },
+                  '& .MuiSlider-mark': {
+                    width: 3,
+                    height: 8,
+                    backgroundColor: 'white',
+                  },
+                }}
+              />
+            </Box>
 
             {/* Control Buttons */}
             <Box
@@ -288,11 +532,55 @@ const VideoPlayer = forwardRef(({
                 <Typography sx={{ color: 'white', ml: 2, fontSize: '0.875rem' }}>
                   {formatTime(currentTime)} / {formatTime(duration)}
                 </Typography>
+
+                {currentChapter && (
+                  <Typography noWrap sx={{ color: 'white', ml: 1, fontSize: '0.875rem', maxWidth: 240 }}>
+                    · {currentChapter.title}
+                  </Typography>
+                )}
               </Box>
 
-              <IconButton onClick={toggleFullscreen} sx={{ color: 'white' }}>
-                {isFullscreen ? <FullscreenExitIcon /> : <FullscreenIcon />}
-              </IconButton>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                {subtitlesSrc && (
+                  <IconButton onClick={() => setShowCaptions(!showCaptions)} sx={{ color: 'white' }}>
+                    {showCaptions ? <CaptionsIcon /> : <CaptionsOffIcon />}
+                  </IconButton>
+                )}
+
+                {qualityLevels.length > 1 && (
+                  <>
+                    <IconButton onClick={(e) => setQualityAnchor(e.currentTarget)} sx={{ color: 'white' }}>
+                      <QualityIcon />
+                    </IconButton>
+                    <Menu
+                      anchorEl={qualityAnchor}
+                      open={Boolean(qualityAnchor)}
+                      onClose={() => setQualityAnchor(null)}
+                      container={containerRef.current}
+                    >
+                      <MenuItem
+                        selected={currentLevel === AUTO_LEVEL}
+                        onClick={() => handleQualityChange(AUTO_LEVEL)}
+                      >
+                        Auto
+                      </MenuItem>
+                      {qualityLevels.map((level) => (
+                        <MenuItem
+                          key={level.index}
+                          selected={currentLevel === level.index}
+                          onClick={() => handleQualityChange(level.index)}
+                        >
+                          {level.height}p
+                        </MenuItem>
+                      ))}
+                    </Menu>
+                  </>
+                )}
+
+                <IconButton onClick={toggleFullscreen} sx={{ color: 'white' }}>
+                  {isFullscreen ? <FullscreenExitIcon /> : <FullscreenIcon />}
+                </IconButton>
+              </Box>
             </Box>
           </Box>
         </>
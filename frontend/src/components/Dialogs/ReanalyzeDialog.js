@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+  Button,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  TextField,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+const STEPS = [
+  { value: 'title', label: 'Title' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'todos', label: 'Todo list' },
+  { value: 'summary', label: 'Summary' },
+  { value: 'chapters', label: 'Chapters' },
+  { value: 'embedding', label: 'Search embedding (used for similarity and the graph)' },
+];
+
+const ReanalyzeDialog = ({
+  open,
+  onClose,
+  onSubmit,
+  initialSteps = [],
+  submitting = false,
+}) => {
+  const [steps, setSteps] = useState([]);
+  const [instructions, setInstructions] = useState('');
+  // Read when the dialog opens only, so re-renders keep the user's selection
+  const initialStepsRef = useRef(initialSteps);
+  initialStepsRef.current = initialSteps;
+
+  // Preselect the section the dialog was opened from
+  useEffect(() => {
+    if (open) {
+      setSteps(initialStepsRef.current);
+      setInstructions('');
+    }
+  }, [open]);
+
+  const toggleStep = (value) => {
+    setSteps(steps.includes(value)
+      ? steps.filter(step => step !== value)
+      : [...steps, value]);
+  };
+
+  const overwritesContent = steps.some(step => ['title', 'tags', 'todos', 'summary', 'chapters'].includes(step));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Regenerate AI Analysis</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Select the sections to regenerate from the current transcript.
+        </DialogContentText>
+
+        <FormGroup sx={{ mb: 2 }}>
+          {STEPS.map(step => (
+            <FormControlLabel
+              key={step.value}
+              control={
+                <Checkbox
+                  checked={steps.includes(step.value)}
+                  onChange={() => toggleStep(step.value)}
+                />
+              }
+              label={step.label}
+            />
+          ))}
+        </FormGroup>
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={3}
+          label="Additional instructions (optional)"
+          placeholder="e.g. Focus on the deployment steps and write the todos in English"
+          value={instructions}
+          onChange={(e) => setInstructions(e.target.value)}
+          inputProps={{ maxLength: 2000 }}
+          helperText={`${instructions.length}/2000`}
+        />
+
+        {overwritesContent && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            The regenerated content replaces the current version. Earlier versions stay available in the version history.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onSubmit({ steps, instructions })}
+          disabled={steps.length === 0 || submitting}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Regenerate
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReanalyzeDialog;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress,
+  Stack,
+} from '@mui/material';
+import { useQuery } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import LanguageSelect, { languageName } from '../Transcription/LanguageSelect';
+
+const RetranscribeDialog = ({
+  open,
+  onClose,
+  onSubmit,
+  tenantId,
+  currentSettings = {},
+  submitting = false,
+}) => {
+  const [language, setLanguage] = useState('keep');
+  const [vocabulary, setVocabulary] = useState('');
+
+  const { data } = useQuery({
+    queryKey: ['transcriptionSettings', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getTranscriptionSettings(tenantId);
+      return result.data.data;
+    },
+    enabled: open && !!tenantId,
+  });
+
+  useEffect(() => {
+    if (open) {
+      setLanguage('keep');
+      setVocabulary('');
+    }
+  }, [open]);
+
+  const handleSubmit = () => {
+    // Only send what the user changed; the rest keeps the previous settings
+    const options = {};
+    if (language !== 'keep') options.language = language;
+    if (vocabulary.trim()) options.vocabulary = vocabulary.trim();
+    onSubmit(options);
+  };
+
+  const currentLanguage = currentSettings.language
+    ? languageName(currentSettings.language)
+    : 'detected automatically';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Re-transcribe</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Transcribe the stored recording again, e.g. with a forced language or
+          additional vocabulary. No new upload is needed.
+        </DialogContentText>
+
+        <Stack spacing={2}>
+          <LanguageSelect
+            label="Spoken language"
+            value={language}
+            onChange={setLanguage}
+            languages={data?.supportedLanguages}
+            extraOptions={[
+              { value: 'keep', label: `Keep current (${currentLanguage})` },
+              { value: 'auto', label: 'Detect automatically' },
+            ]}
+          />
+
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Vocabulary"
+            placeholder="e.g. ProcessMind, Kubernetes, Sprint-Review"
+            value={vocabulary}
+            onChange={(e) => setVocabulary(e.target.value)}
+            inputProps={{ maxLength: 1000 }}
+            helperText={vocabulary.trim()
+              ? 'Replaces the vocabulary of this recording and is combined with the workspace vocabulary'
+              : currentSettings.prompt
+                ? `Leave empty to keep the current vocabulary: ${currentSettings.prompt}`
+                : 'Names and terms that should be spelled exactly like this'}
+          />
+        </Stack>
+
+        <Alert severity="info" sx={{ mt: 2 }}>
+          The new transcript replaces the current one. Your edits stay available in the transcript history.
+          Title, tags and todos are kept; regenerate them afterwards if needed.
+        </Alert>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={submitting}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Re-transcribe
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RetranscribeDialog;
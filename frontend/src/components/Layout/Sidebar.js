@@ -11,6 +11,7 @@ import {
   Typography,
   Divider,
   Chip,
+  Link,
 } from '@mui/material';
 import {
   Dashboard as DashboardIcon,
@@ -22,6 +23,8 @@ import {
   Settings as SettingsIcon,
   Tag as TagIcon,
   Star as BillingIcon,
+  Psychology as AssistantIcon,
+  TaskAlt as TasksIcon,
 } from '@mui/icons-material';
 
 import { useQuery } from '@tanstack/react-query';
@@ -62,6 +65,11 @@ const Sidebar = ({ onItemClick }) => {
       icon: <MyProcessIcon />,
       path: '/my-processes',
     },
+    {
+      text: 'My Tasks',
+      icon: <TasksIcon />,
+      path: '/tasks',
+    },
     {
       text: 'Favorites',
       icon: <FavoriteIcon />,
@@ -72,6 +80,11 @@ const Sidebar = ({ onItemClick }) => {
       icon: <GraphIcon />,
       path: '/graph',
     },
+    {
+      text: 'Assistant',
+      icon: <AssistantIcon />,
+      path: '/assistant',
+    },
   ];
 
   const handleItemClick = (path) => {
@@ -161,6 +174,17 @@ const Sidebar = ({ onItemClick }) => {
             >
               Popular Tags
             </Typography>
+            {['owner', 'admin'].includes(user?.role) && (
+              <Link
+                component="button"
+                variant="caption"
+                underline="hover"
+                onClick={() => handleItemClick('/tags')}
+                sx={{ ml: 'auto' }}
+              >
+                Manage
+              </Link>
+            )}
           </Box>
           
           <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
@@ -0,0 +1,379 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Stack,
+  Typography,
+} from '@mui/material';
+import { History as HistoryIcon } from '@mui/icons-material';
+import { useQuery } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { formatRelativeTime, formatTimestamp } from '../../utils/helpers';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  tags: 'Tags',
+  todoList: 'Todos',
+  summary: 'Summary',
+  chapters: 'Chapters',
+  transcript: 'Transcript',
+};
+
+const WORK_ITEM_FIELDS = ['status', 'priority', 'dueDate', 'assignees'];
+
+// Work item fields of a todo snapshot, with the defaults older versions lack
+const workItemValue = (todo, field) => JSON.stringify(todo[field] ?? {
+  status: todo.completed ? 'done' : 'open',
+  priority: 'medium',
+  dueDate: null,
+  assignees: [],
+}[field]);
+
+const authorName = (user) => {
+  if (!user) return 'AI analysis';
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name || user.email;
+};
+
+const describeVersion = (version) => {
+  if (version.version === 0) return 'Original AI output';
+  if (version.source === 'restore') return `Restored version ${version.restoredFrom}`;
+  if (version.source === 'ai') return `Regenerated ${version.changedFields.map(field => FIELD_LABELS[field]).join(', ')}`;
+  return `Changed ${version.changedFields.map(field => FIELD_LABELS[field]).join(', ')}`;
+};
+
+/**
+ * Compare two snapshots field by field
+ * @returns {Object} { title, tags, todos, summary, chapters, transcript } - null where unchanged
+ */
+const diffSnapshots = (previous, current) => {
+  const diff = { title: null, tags: null, todos: null, summary: null, chapters: null, transcript: null };
+
+  if (previous.title !== current.title) {
+    diff.title = { from: previous.title, to: current.title };
+  }
+
+  const previousTags = new Map(previous.tags.map(tag => [tag.name, tag.weight]));
+  const currentTags = new Map(current.tags.map(tag => [tag.name, tag.weight]));
+  const tagChanges = {
+    added: current.tags.filter(tag => !previousTags.has(tag.name)),
+    removed: previous.tags.filter(tag => !currentTags.has(tag.name)),
+    reweighted: current.tags.filter(tag => (
+      previousTags.has(tag.name) && previousTags.get(tag.name) !== tag.weight
+    )).map(tag => ({ name: tag.name, from: previousTags.get(tag.name), to: tag.weight })),
+  };
+  if (tagChanges.added.length || tagChanges.removed.length || tagChanges.reweighted.length) {
+    diff.tags = tagChanges;
+  }
+
+  const previousTasks = new Map(previous.todoList.map(todo => [todo.task, todo]));
+  const currentTasks = new Map(current.todoList.map(todo => [todo.task, todo]));
+  const todoChanges = {
+    added: current.todoList.filter(todo => !previousTasks.has(todo.task)),
+    removed: previous.todoList.filter(todo => !currentTasks.has(todo.task)),
+    toggled: current.todoList.filter(todo => (
+      previousTasks.has(todo.task) && previousTasks.get(todo.task).completed !== todo.completed
+    )),
+    // Status, priority, due date or assignees; older versions have none of them
+    updated: current.todoList.filter(todo => {
+      const before = previousTasks.get(todo.task);
+      return before && before.completed === todo.completed && WORK_ITEM_FIELDS.some(field => (
+        workItemValue(before, field) !== workItemValue(todo, field)
+      ));
+    }),
+  };
+  if (todoChanges.added.length || todoChanges.removed.length || todoChanges.toggled.length || todoChanges.updated.length) {
+    diff.todos = todoChanges;
+  }
+
+  // Versions recorded before summaries and chapters existed have none
+  const previousSummary = previous.summary || {};
+  const currentSummary = current.summary || {};
+  const summaryChanges = {
+    abstract: (previousSummary.abstract || '') !== (currentSummary.abstract || '')
+      ? { from: previousSummary.abstract || '', to: currentSummary.abstract || '' }
+      : null,
+    added: [],
+    removed: [],
+  };
+  ['keyPoints', 'decisions', 'openQuestions'].forEach(field => {
+    const before = previousSummary[field] || [];
+    const after = currentSummary[field] || [];
+    summaryChanges.added.push(...after.filter(item => !before.includes(item)));
+    summaryChanges.removed.push(...before.filter(item => !after.includes(item)));
+  });
+  if (summaryChanges.abstract || summaryChanges.added.length || summaryChanges.removed.length) {
+    diff.summary = summaryChanges;
+  }
+
+  const chapterKey = (chapter) => `${chapter.start}|${chapter.title}`;
+  const previousChapters = new Set((previous.chapters || []).map(chapterKey));
+  const currentChapters = new Set((current.chapters || []).map(chapterKey));
+  const chapterChanges = {
+    added: (current.chapters || []).filter(chapter => !previousChapters.has(chapterKey(chapter))),
+    removed: (previous.chapters || []).filter(chapter => !currentChapters.has(chapterKey(chapter))),
+  };
+  if (chapterChanges.added.length || chapterChanges.removed.length) {
+    diff.chapters = chapterChanges;
+  }
+
+  if (previous.transcriptRevision !== current.transcriptRevision) {
+    diff.transcript = { from: previous.transcriptRevision, to: current.transcriptRevision };
+  }
+
+  return diff;
+};
+
+const Removed = ({ children }) => (
+  <Box component="span" sx={{ bgcolor: 'error.light', color: 'error.contrastText', px: 0.5, borderRadius: 0.5, textDecoration: 'line-through' }}>
+    {children}
+  </Box>
+);
+
+const Added = ({ children }) => (
+  <Box component="span" sx={{ bgcolor: 'success.light', color: 'success.contrastText', px: 0.5, borderRadius: 0.5 }}>
+    {children}
+  </Box>
+);
+
+const todoLabel = (todo) => (
+  todo.timestamp !== null && todo.timestamp !== undefined
+    ? `[${formatTimestamp(todo.timestamp)}] ${todo.task}`
+    : todo.task
+);
+
+const chapterLabel = (chapter) => `[${formatTimestamp(chapter.start)}] ${chapter.title}`;
+
+const VersionDiff = ({ previous, current }) => {
+  if (!previous) {
+    return (
+      <Stack spacing={1}>
+        <Typography variant="subtitle2">{current.snapshot.title}</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+          {current.snapshot.tags.map(tag => (
+            <Chip key={tag.name} label={tag.name} size="small" variant="outlined" />
+          ))}
+        </Box>
+        {current.snapshot.todoList.map((todo, index) => (
+          <Typography key={index} variant="body2">• {todoLabel(todo)}</Typography>
+        ))}
+      </Stack>
+    );
+  }
+
+  const diff = diffSnapshots(previous.snapshot, current.snapshot);
+
+  return (
+    <Stack spacing={2}>
+      {diff.title && (
+        <Box>
+          <Typography variant="overline">Title</Typography>
+          <Typography variant="body2">
+            <Removed>{diff.title.from}</Removed> → <Added>{diff.title.to}</Added>
+          </Typography>
+        </Box>
+      )}
+
+      {diff.tags && (
+        <Box>
+          <Typography variant="overline">Tags</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+            {diff.tags.added.map(tag => (
+              <Chip key={`+${tag.name}`} label={`+ ${tag.name}`} size="small" color="success" variant="outlined" />
+            ))}
+            {diff.tags.removed.map(tag => (
+              <Chip key={`-${tag.name}`} label={`− ${tag.name}`} size="small" color="error" variant="outlined" />
+            ))}
+            {diff.tags.reweighted.map(tag => (
+              <Chip
+                key={`~${tag.name}`}
+                label={`${tag.name} ${Math.round(tag.from * 100)}% → ${Math.round(tag.to * 100)}%`}
+                size="small"
+                variant="outlined"
+              />
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      {diff.todos && (
+        <Box>
+          <Typography variant="overline">Todos</Typography>
+          <Stack spacing={0.5}>
+            {diff.todos.added.map((todo, index) => (
+              <Typography key={`+${index}`} variant="body2"><Added>+ {todoLabel(todo)}</Added></Typography>
+            ))}
+            {diff.todos.removed.map((todo, index) => (
+              <Typography key={`-${index}`} variant="body2"><Removed>{todoLabel(todo)}</Removed></Typography>
+            ))}
+            {diff.todos.toggled.map((todo, index) => (
+              <Typography key={`~${index}`} variant="body2">
+                {todo.completed ? 'Completed' : 'Reopened'}: {todoLabel(todo)}
+              </Typography>
+            ))}
+            {diff.todos.updated.map((todo, index) => (
+              <Typography key={`*${index}`} variant="body2">
+                Updated: {todoLabel(todo)}
+              </Typography>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
+      {diff.summary && (
+        <Box>
+          <Typography variant="overline">Summary</Typography>
+          <Stack spacing={0.5}>
+            {diff.summary.abstract && (
+              <Typography variant="body2">
+                {diff.summary.abstract.from && <Removed>{diff.summary.abstract.from}</Removed>}
+                {diff.summary.abstract.from && diff.summary.abstract.to && ' → '}
+                {diff.summary.abstract.to && <Added>{diff.summary.abstract.to}</Added>}
+              </Typography>
+            )}
+            {diff.summary.added.map((item, index) => (
+              <Typography key={`+${index}`} variant="body2"><Added>+ {item}</Added></Typography>
+            ))}
+            {diff.summary.removed.map((item, index) => (
+              <Typography key={`-${index}`} variant="body2"><Removed>{item}</Removed></Typography>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
+      {diff.chapters && (
+        <Box>
+          <Typography variant="overline">Chapters</Typography>
+          <Stack spacing={0.5}>
+            {diff.chapters.added.map((chapter, index) => (
+              <Typography key={`+${index}`} variant="body2"><Added>+ {chapterLabel(chapter)}</Added></Typography>
+            ))}
+            {diff.chapters.removed.map((chapter, index) => (
+              <Typography key={`-${index}`} variant="body2"><Removed>{chapterLabel(chapter)}</Removed></Typography>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
+      {diff.transcript && (
+        <Box>
+          <Typography variant="overline">Transcript</Typography>
+          <Typography variant="body2">
+            Revision {diff.transcript.from} → {diff.transcript.to}. Open the transcript history to compare segments.
+          </Typography>
+        </Box>
+      )}
+
+      {!diff.title && !diff.tags && !diff.todos && !diff.summary && !diff.chapters && !diff.transcript && (
+        <Typography variant="body2" color="text.secondary">No differences to the previous version.</Typography>
+      )}
+    </Stack>
+  );
+};
+
+/**
+ * Version history of title, tags, todos, summary, chapters and transcript with diff and restore
+ */
+const ProcessHistoryDialog = ({ open, onClose, tenantId, processId, onRestore, restoring = false }) => {
+  const [selectedVersion, setSelectedVersion] = useState(null);
+
+  const { data: versions = [], isLoading, error } = useQuery({
+    queryKey: ['processVersions', tenantId, processId],
+    queryFn: async () => {
+      const result = await processAPI.getProcessVersions(tenantId, processId);
+      return result.data.data.versions;
+    },
+    enabled: open && !!tenantId && !!processId,
+  });
+
+  const handleClose = () => {
+    setSelectedVersion(null);
+    onClose();
+  };
+
+  // Versions are sorted newest first
+  const selectedIndex = versions.findIndex(version => version.version === selectedVersion);
+  const selected = selectedIndex >= 0 ? versions[selectedIndex] : null;
+  const previous = selectedIndex >= 0 ? versions[selectedIndex + 1] || null : null;
+  const latestVersion = versions[0]?.version;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <HistoryIcon />
+        Version History
+      </DialogTitle>
+      <DialogContent dividers>
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">Failed to load version history</Alert>
+        ) : versions.length === 0 ? (
+          <Typography color="text.secondary">
+            Nothing has been changed since the AI analysis.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, minHeight: 320 }}>
+            <List dense sx={{ width: 280, flexShrink: 0, overflow: 'auto', maxHeight: 420 }}>
+              {versions.map((version) => (
+                <ListItemButton
+                  key={version.version}
+                  selected={selectedVersion === version.version}
+                  onClick={() => setSelectedVersion(version.version)}
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <span>Version {version.version}</span>
+                        {version.version === latestVersion && (
+                          <Chip label="Current" size="small" color="primary" />
+                        )}
+                      </Box>
+                    }
+                    secondary={`${describeVersion(version)} · ${authorName(version.userId)} · ${formatRelativeTime(version.createdAt)}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+
+            <Paper variant="outlined" sx={{ flexGrow: 1, p: 2, overflow: 'auto', maxHeight: 420 }}>
+              {selected ? (
+                <VersionDiff previous={previous} current={selected} />
+              ) : (
+                <Typography color="text.secondary">
+                  Select a version to see what changed.
+                </Typography>
+              )}
+            </Paper>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={() => onRestore(selectedVersion)}
+          disabled={!selected || selectedVersion === latestVersion || restoring}
+        >
+          Restore this version
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProcessHistoryDialog;
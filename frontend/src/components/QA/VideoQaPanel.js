@@ -0,0 +1,229 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Paper,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Send as SendIcon,
+  DeleteSweep as ClearIcon,
+} from '@mui/icons-material';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { formatTimestamp } from '../../utils/helpers';
+
+const CITATION_SPLIT = /(\[\d+\])/g;
+
+/**
+ * Answer text with [n] citation markers rendered as timestamp chips. Finished
+ * answers use the stored citations, streamed ones the current segments.
+ */
+const AnswerText = ({ content, citations, segments, onJump }) => {
+  const bySegment = new Map((citations || []).map(citation => [citation.segmentIndex, citation]));
+
+  return (
+    <Typography variant="body2" component="div" sx={{ whiteSpace: 'pre-wrap' }}>
+      {content.split(CITATION_SPLIT).map((part, index) => {
+        const match = part.match(/^\[(\d+)\]$/);
+        if (!match) return part;
+
+        const segmentIndex = parseInt(match[1], 10);
+        const source = citations ? bySegment.get(segmentIndex) : segments[segmentIndex];
+        if (!source) return null;
+
+        return (
+          <Tooltip key={index} title={source.text}>
+            <Chip
+              label={formatTimestamp(source.start)}
+              size="small"
+              color="primary"
+              variant="outlined"
+              onClick={() => onJump?.(source.start)}
+              sx={{ mx: 0.25, height: 20, fontSize: '0.7rem', verticalAlign: 'baseline' }}
+            />
+          </Tooltip>
+        );
+      })}
+    </Typography>
+  );
+};
+
+const MessageBubble = ({ role, children }) => (
+  <Box sx={{ display: 'flex', justifyContent: role === 'user' ? 'flex-end' : 'flex-start', mb: 1.5 }}>
+    <Paper
+      variant="outlined"
+      sx={{
+        px: 1.5,
+        py: 1,
+        maxWidth: '85%',
+        bgcolor: role === 'user' ? 'primary.main' : 'background.paper',
+        color: role === 'user' ? 'primary.contrastText' : 'text.primary',
+      }}
+    >
+      {children}
+    </Paper>
+  </Box>
+);
+
+/**
+ * "Ask this video": questions about one process, answered from its transcript
+ * with citations that jump to the cited moment. The conversation is per user.
+ */
+const VideoQaPanel = ({ tenantId, processId, segments = [], disabled = false, onJump }) => {
+  const queryClient = useQueryClient();
+  const [question, setQuestion] = useState('');
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const scrollRef = useRef(null);
+
+  const queryKey = ['processQa', tenantId, processId];
+
+  const { data: messages = [], isLoading } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const result = await processAPI.getQaHistory(tenantId, processId);
+      return result.data.data.messages;
+    },
+    enabled: !!tenantId && !!processId,
+  });
+
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [messages.length, pending?.answer]);
+
+  const handleAsk = async (event) => {
+    event?.preventDefault();
+    const text = question.trim();
+    if (!text || pending) return;
+
+    setError(null);
+    setQuestion('');
+    setPending({ question: text, answer: '' });
+
+    try {
+      await processAPI.askQuestion(tenantId, processId, text, (streamEvent) => {
+        if (streamEvent.type === 'delta') {
+          setPending(current => current && { ...current, answer: current.answer + streamEvent.content });
+        } else if (streamEvent.type === 'done') {
+          queryClient.setQueryData(queryKey, (current = []) => [...current, streamEvent.question, streamEvent.answer]);
+        } else if (streamEvent.type === 'error') {
+          setError(streamEvent.message);
+          setQuestion(text);
+        }
+      });
+    } catch (askError) {
+      setError(askError.response?.data?.message || 'Failed to answer the question');
+      setQuestion(text);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await processAPI.clearQaHistory(tenantId, processId);
+      queryClient.setQueryData(queryKey, []);
+    } catch (clearError) {
+      setError('Failed to clear the conversation');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">
+          Ask this video
+        </Typography>
+        <Tooltip title="Clear conversation">
+          <span>
+            <IconButton size="small" onClick={handleClear} disabled={messages.length === 0 || !!pending}>
+              <ClearIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Box ref={scrollRef} sx={{ maxHeight: 480, overflowY: 'auto', mb: 2 }}>
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : messages.length === 0 && !pending ? (
+          <Typography color="text.secondary">
+            Ask anything about this recording. Answers are based on the transcript and link to the moments they come from.
+          </Typography>
+        ) : (
+          messages.map((message, index) => (
+            <MessageBubble key={message.id || index} role={message.role}>
+              {message.role === 'user' ? (
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{message.content}</Typography>
+              ) : (
+                <AnswerText content={message.content} citations={message.citations} segments={segments} onJump={onJump} />
+              )}
+            </MessageBubble>
+          ))
+        )}
+
+        {pending && (
+          <>
+            <MessageBubble role="user">
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{pending.question}</Typography>
+            </MessageBubble>
+            <MessageBubble role="assistant">
+              {pending.answer ? (
+                <AnswerText content={pending.answer} segments={segments} onJump={onJump} />
+              ) : (
+                <CircularProgress size={16} />
+              )}
+            </MessageBubble>
+          </>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box component="form" onSubmit={handleAsk} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          fullWidth
+          size="small"
+          multiline
+          maxRows={4}
+          placeholder={disabled ? 'Available once the transcript is ready' : 'Ask a question about this video'}
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              handleAsk(e);
+            }
+          }}
+          disabled={disabled}
+          inputProps={{ maxLength: 1000 }}
+        />
+        <Button
+          type="submit"
+          variant="contained"
+          endIcon={<SendIcon />}
+          disabled={disabled || !!pending || !question.trim()}
+        >
+          Ask
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default VideoQaPanel;
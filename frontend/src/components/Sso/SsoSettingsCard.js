@@ -0,0 +1,333 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Divider,
+  FormControlLabel,
+  IconButton,
+  InputAdornment,
+  Link,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { copyToClipboard, formatRelativeTime } from '../../utils/helpers';
+
+const EMPTY_SETTINGS = {
+  protocol: 'oidc',
+  enabled: false,
+  enforced: false,
+  jitProvisioning: true,
+  defaultRole: 'user',
+  oidc: { issuer: '', clientId: '' },
+  clientSecret: '',
+  saml: { entryPoint: '', idpIssuer: '', certificate: '' },
+};
+
+const settingsOf = (connection) => (connection
+  ? {
+    protocol: connection.protocol,
+    enabled: connection.enabled,
+    enforced: connection.enforced,
+    jitProvisioning: connection.jitProvisioning,
+    defaultRole: connection.defaultRole,
+    oidc: { issuer: connection.oidc?.issuer || '', clientId: connection.oidc?.clientId || '' },
+    clientSecret: '',
+    saml: {
+      entryPoint: connection.saml?.entryPoint || '',
+      idpIssuer: connection.saml?.idpIssuer || '',
+      certificate: connection.saml?.certificate || '',
+    },
+  }
+  : EMPTY_SETTINGS);
+
+/**
+ * Single sign-on through the workspace's OpenID Connect or SAML identity
+ * provider. The client secret is never shown again, only replaced.
+ */
+const SsoSettingsCard = ({ tenantId }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [values, setValues] = useState(EMPTY_SETTINGS);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['sso', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getSso(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const connection = data?.connection;
+  const urls = data?.urls;
+  const domains = data?.domains || [];
+
+  useEffect(() => {
+    setValues(settingsOf(connection));
+  }, [connection]);
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['sso', tenantId] });
+
+  const onError = (fallback) => (error) => {
+    showNotification(error.response?.data?.errors?.join(', ') || error.response?.data?.message || fallback, 'error');
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const { clientSecret, ...settings } = values;
+      return settingsAPI.updateSso(tenantId, clientSecret ? { ...settings, clientSecret } : settings);
+    },
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      refresh();
+    },
+    onError: onError('Failed to save the single sign-on settings'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => settingsAPI.deleteSso(tenantId),
+    onSuccess: () => {
+      showNotification('Single sign-on removed', 'success');
+      refresh();
+    },
+    onError: onError('Failed to remove single sign-on'),
+  });
+
+  const setField = (field, value) => setValues({ ...values, [field]: value });
+  const setNested = (group, field, value) => setValues({ ...values, [group]: { ...values[group], [field]: value } });
+
+  const handleCopy = async (value) => {
+    if (await copyToClipboard(value)) {
+      showNotification('Copied to clipboard', 'success');
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Remove single sign-on? Members will sign in with their passwords again.')) {
+      deleteMutation.mutate();
+    }
+  };
+
+  const urlField = (label, value) => (
+    <TextField
+      fullWidth
+      size="small"
+      label={label}
+      value={value || ''}
+      InputProps={{
+        readOnly: true,
+        sx: { fontFamily: 'monospace', fontSize: '0.85rem' },
+        endAdornment: (
+          <InputAdornment position="end">
+            <IconButton onClick={() => handleCopy(value)} edge="end" size="small">
+              <CopyIcon fontSize="small" />
+            </IconButton>
+          </InputAdornment>
+        ),
+      }}
+    />
+  );
+
+  const isOidc = values.protocol === 'oidc';
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, gap: 1 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Single sign-on
+          </Typography>
+          {connection && (
+            connection.enabled ? (
+              <Chip size="small" color="success" label={connection.enforced ? 'Enforced' : 'Enabled'} />
+            ) : (
+              <Chip size="small" label="Disabled" />
+            )
+          )}
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Let members sign in through your identity provider with OpenID Connect or SAML 2.0. The login
+          page offers single sign-on for email addresses on your workspace's domains.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {connection?.lastError && (
+              <Alert severity="warning">
+                Last failed sign-in: {connection.lastError}
+              </Alert>
+            )}
+            {connection?.lastLoginAt && (
+              <Typography variant="caption" color="text.secondary">
+                Last sign-in {formatRelativeTime(connection.lastLoginAt)}
+              </Typography>
+            )}
+
+            <TextField
+              select
+              label="Protocol"
+              value={values.protocol}
+              onChange={(e) => setField('protocol', e.target.value)}
+              sx={{ maxWidth: 240 }}
+            >
+              <MenuItem value="oidc">OpenID Connect</MenuItem>
+              <MenuItem value="saml">SAML 2.0</MenuItem>
+            </TextField>
+
+            {isOidc ? (
+              <>
+                {urlField('Redirect URI', urls?.oidcRedirectUri)}
+                <TextField
+                  fullWidth
+                  label="Issuer URL"
+                  placeholder="https://login.example.com"
+                  value={values.oidc.issuer}
+                  onChange={(e) => setNested('oidc', 'issuer', e.target.value)}
+                  helperText="The provider configuration is read from /.well-known/openid-configuration"
+                />
+                <TextField
+                  fullWidth
+                  label="Client ID"
+                  value={values.oidc.clientId}
+                  onChange={(e) => setNested('oidc', 'clientId', e.target.value)}
+                />
+                <TextField
+                  fullWidth
+                  type="password"
+                  label="Client secret"
+                  value={values.clientSecret}
+                  onChange={(e) => setField('clientSecret', e.target.value)}
+                  helperText={connection?.hasClientSecret ? 'Stored. Leave empty to keep it.' : undefined}
+                  autoComplete="new-password"
+                />
+              </>
+            ) : (
+              <>
+                {urlField('Assertion consumer service URL', urls?.samlAcsUrl)}
+                {urlField('Entity ID', urls?.samlEntityId)}
+                <Typography variant="body2" color="text.secondary">
+                  Or upload the{' '}
+                  <Link href={urls?.samlMetadataUrl} target="_blank" rel="noopener noreferrer">
+                    service provider metadata
+                  </Link>{' '}
+                  to your identity provider. Assertions must be signed and carry the email address.
+                </Typography>
+                <TextField
+                  fullWidth
+                  label="Sign-on URL"
+                  placeholder="https://idp.example.com/sso/saml"
+                  value={values.saml.entryPoint}
+                  onChange={(e) => setNested('saml', 'entryPoint', e.target.value)}
+                />
+                <TextField
+                  fullWidth
+                  label="Identity provider entity ID"
+                  value={values.saml.idpIssuer}
+                  onChange={(e) => setNested('saml', 'idpIssuer', e.target.value)}
+                  helperText="Optional; responses from other issuers are rejected when set"
+                />
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  maxRows={8}
+                  label="Signing certificate"
+                  placeholder="-----BEGIN CERTIFICATE-----"
+                  value={values.saml.certificate}
+                  onChange={(e) => setNested('saml', 'certificate', e.target.value)}
+                  InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                />
+              </>
+            )}
+
+            <Divider />
+
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={values.jitProvisioning}
+                  onChange={(e) => setField('jitProvisioning', e.target.checked)}
+                />
+              }
+              label="Create accounts on first sign-in"
+            />
+            <Typography variant="caption" color="text.secondary" sx={{ mt: -2 }}>
+              {domains.length > 0
+                ? `For email addresses on ${domains.join(', ')}. Each new account uses a license.`
+                : 'Your workspace has no email domains yet, so only invited members can sign in.'}
+            </Typography>
+            <TextField
+              select
+              label="Role of new accounts"
+              value={values.defaultRole}
+              onChange={(e) => setField('defaultRole', e.target.value)}
+              disabled={!values.jitProvisioning}
+              sx={{ maxWidth: 240 }}
+            >
+              <MenuItem value="user">Member</MenuItem>
+              <MenuItem value="admin">Admin</MenuItem>
+            </TextField>
+
+            <Divider />
+
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={values.enabled}
+                  onChange={(e) => setValues({ ...values, enabled: e.target.checked, enforced: e.target.checked && values.enforced })}
+                />
+              }
+              label="Enable single sign-on"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={values.enforced}
+                  onChange={(e) => setField('enforced', e.target.checked)}
+                  disabled={!values.enabled}
+                />
+              }
+              label="Require single sign-on"
+            />
+            <Typography variant="caption" color="text.secondary" sx={{ mt: -2 }}>
+              Members can no longer sign in with a password. Owners keep their password so a broken
+              configuration cannot lock the workspace out.
+            </Typography>
+
+            <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+              {connection && (
+                <Button color="error" onClick={handleDelete} disabled={deleteMutation.isPending}>
+                  Remove
+                </Button>
+              )}
+              <Button
+                variant="contained"
+                onClick={() => saveMutation.mutate()}
+                disabled={saveMutation.isPending}
+                startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+              >
+                Save
+              </Button>
+            </Box>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SsoSettingsCard;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  Save as SaveIcon,
+  Cancel as CancelIcon,
+} from '@mui/icons-material';
+
+const SECTIONS = [
+  { field: 'keyPoints', label: 'Key points' },
+  { field: 'decisions', label: 'Decisions' },
+  { field: 'openQuestions', label: 'Open questions' },
+];
+
+const toLines = (items = []) => items.join('\n');
+
+const fromLines = (text) => text
+  .split('\n')
+  .map(line => line.replace(/^\s*[-•*]\s*/, '').trim())
+  .filter(Boolean);
+
+/**
+ * Executive summary of a process: abstract, key points, decisions and open
+ * questions. In edit mode each list is edited as one item per line.
+ */
+const ProcessSummary = ({
+  summary,
+  saving = false,
+  readOnly = false,
+  onSave,
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({});
+
+  const hasSummary = !!summary?.abstract;
+
+  const startEditing = () => {
+    setDraft({
+      abstract: summary?.abstract || '',
+      keyPoints: toLines(summary?.keyPoints),
+      decisions: toLines(summary?.decisions),
+      openQuestions: toLines(summary?.openQuestions),
+    });
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      await onSave({
+        abstract: draft.abstract.trim(),
+        keyPoints: fromLines(draft.keyPoints),
+        decisions: fromLines(draft.decisions),
+        openQuestions: fromLines(draft.openQuestions),
+      });
+      setEditing(false);
+    } catch (error) {
+      // The caller reports the error; keep the draft for another attempt
+    }
+  };
+
+  if (editing) {
+    return (
+      <Stack spacing={2}>
+        <TextField
+          label="Summary"
+          multiline
+          minRows={3}
+          fullWidth
+          value={draft.abstract}
+          onChange={(e) => setDraft({ ...draft, abstract: e.target.value })}
+          inputProps={{ maxLength: 2000 }}
+        />
+        {SECTIONS.map(section => (
+          <TextField
+            key={section.field}
+            label={section.label}
+            helperText="One item per line"
+            multiline
+            minRows={2}
+            fullWidth
+            value={draft[section.field]}
+            onChange={(e) => setDraft({ ...draft, [section.field]: e.target.value })}
+          />
+        ))}
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+          <Button size="small" startIcon={<CancelIcon />} onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button size="small" variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={saving}>
+            Save
+          </Button>
+        </Box>
+      </Stack>
+    );
+  }
+
+  return (
+    <Box>
+      {hasSummary ? (
+        <Stack spacing={2}>
+          <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+            {summary.abstract}
+          </Typography>
+          {SECTIONS.filter(section => summary[section.field]?.length > 0).map(section => (
+            <Box key={section.field}>
+              <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+                {section.label}
+              </Typography>
+              <Box component="ul" sx={{ m: 0, pl: 3 }}>
+                {summary[section.field].map((item, index) => (
+                  <Typography component="li" variant="body2" key={index} sx={{ mb: 0.5 }}>
+                    {item}
+                  </Typography>
+                ))}
+              </Box>
+            </Box>
+          ))}
+        </Stack>
+      ) : (
+        <Typography color="text.secondary">No summary yet</Typography>
+      )}
+
+      {!readOnly && (
+        <Button size="small" startIcon={<EditIcon />} onClick={startEditing} sx={{ mt: 1 }}>
+          {hasSummary ? 'Edit summary' : 'Write summary'}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ProcessSummary;
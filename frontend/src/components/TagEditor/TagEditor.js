@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Button,
@@ -23,8 +23,11 @@ import {
   Save as SaveIcon,
   Cancel as CancelIcon,
 } from '@mui/icons-material';
+import { useQuery } from '@tanstack/react-query';
 
-const TagEditor = ({ tags = [], onSave, onCancel, open = false }) => {
+import { settingsAPI } from '../../services/api';
+
+const TagEditor = ({ tags = [], onSave, onCancel, open = false, tenantId }) => {
   const [editableTags, setEditableTags] = useState([]);
   const [newTagName, setNewTagName] = useState('');
   const [newTagWeight, setNewTagWeight] = useState(0.5);
@@ -32,6 +35,36 @@ const TagEditor = ({ tags = [], onSave, onCancel, open = false }) => {
   const [editingName, setEditingName] = useState('');
   const [editingWeight, setEditingWeight] = useState(0.5);
 
+  // Approved tags of the workspace taxonomy, suggested while typing
+  const { data: taxonomy } = useQuery({
+    queryKey: ['tagTaxonomy', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getTagTaxonomy(tenantId);
+      return result.data.data;
+    },
+    enabled: open && !!tenantId,
+  });
+
+  const approvedNames = useMemo(() => {
+    const names = new Map();
+    (taxonomy?.terms || []).forEach(term => {
+      names.set(term.name, term.name);
+      term.synonyms.forEach(synonym => names.set(synonym, term.name));
+    });
+    return names;
+  }, [taxonomy]);
+
+  // The server saves synonyms as their approved tag, do the same here so duplicates show up
+  const canonicalName = (name) => approvedNames.get(name) || name;
+
+  const typedName = newTagName.trim().toLowerCase();
+  const suggestions = typedName
+    ? (taxonomy?.terms || [])
+      .filter(term => term.name.includes(typedName) || term.synonyms.some(synonym => synonym.includes(typedName)))
+      .filter(term => !editableTags.some(tag => tag.name === term.name))
+      .slice(0, 8)
+    : [];
+
   useEffect(() => {
     // Initialize with current tags
     if (Array.isArray(tags)) {
@@ -43,7 +76,7 @@ const TagEditor = ({ tags = [], onSave, onCancel, open = false }) => {
   }, [tags]);
 
   const handleAddTag = () => {
-    const trimmedName = newTagName.trim().toLowerCase();
+    const trimmedName = canonicalName(newTagName.trim().toLowerCase());
     
     // Validation
     if (!trimmedName) return;
@@ -73,7 +106,7 @@ const TagEditor = ({ tags = [], onSave, onCancel, open = false }) => {
   };
 
   const handleSaveEdit = () => {
-    const trimmedName = editingName.trim().toLowerCase();
+    const trimmedName = canonicalName(editingName.trim().toLowerCase());
     
     // Validation
     if (!trimmedName) return;
@@ -162,8 +195,28 @@ const TagEditor = ({ tags = [], onSave, onCancel, open = false }) => {
                   handleAddTag();
                 }
               }}
+              helperText={approvedNames.has(typedName) && approvedNames.get(typedName) !== typedName
+                ? `Will be saved as the approved tag "${approvedNames.get(typedName)}"`
+                : null}
               fullWidth
             />
+            {suggestions.length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, alignItems: 'center' }}>
+                <Typography variant="caption" color="text.secondary">
+                  Approved:
+                </Typography>
+                {suggestions.map(term => (
+                  <Chip
+                    key={term.id}
+                    label={term.name}
+                    size="small"
+                    color="primary"
+                    variant="outlined"
+                    onClick={() => setNewTagName(term.name)}
+                  />
+                ))}
+              </Box>
+            )}
             <Box>
               <Typography variant="body2" gutterBottom>
                 Weight: {(newTagWeight * 100).toFixed(0)}%
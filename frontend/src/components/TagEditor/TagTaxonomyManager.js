@@ -0,0 +1,386 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  Link,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { Link as RouterLink } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI, settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+
+const EMPTY_TERM = { name: '', synonyms: [], parentId: '', description: '' };
+
+/**
+ * Terms in tree order (children below their parent) with their depth
+ */
+const flattenTree = (terms) => {
+  const children = new Map();
+  terms.forEach(term => {
+    const key = term.parentId || null;
+    children.set(key, [...(children.get(key) || []), term]);
+  });
+
+  const rows = [];
+  const visit = (parentId, depth) => {
+    (children.get(parentId) || []).forEach(term => {
+      rows.push({ term, depth });
+      visit(term.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+  return rows;
+};
+
+/**
+ * IDs of a term and everything below it; these cannot become its parent
+ */
+const subtreeIds = (terms, termId) => {
+  const ids = new Set([termId]);
+  const queue = [termId];
+  for (const id of queue) {
+    for (const term of terms) {
+      if (term.parentId === id && !ids.has(term.id)) {
+        ids.add(term.id);
+        queue.push(term.id);
+      }
+    }
+  }
+  return ids;
+};
+
+/**
+ * Add or edit an approved tag with synonyms and parent
+ */
+const TermDialog = ({ open, term, terms, onClose, onSubmit, submitting = false, error }) => {
+  const [values, setValues] = useState(EMPTY_TERM);
+
+  useEffect(() => {
+    if (open) {
+      setValues({
+        ...EMPTY_TERM,
+        ...term,
+        parentId: term?.parentId || '',
+        synonyms: term?.synonyms || [],
+      });
+    }
+  }, [open, term]);
+
+  const excluded = term?.id ? subtreeIds(terms, term.id) : new Set();
+  const parentOptions = terms.filter(option => !excluded.has(option.id));
+
+  const handleSubmit = () => {
+    onSubmit({
+      name: values.name.trim(),
+      synonyms: values.synonyms,
+      parentId: values.parentId || null,
+      description: values.description.trim(),
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{term?.id ? 'Edit approved tag' : 'Add approved tag'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <TextField
+            autoFocus
+            fullWidth
+            label="Tag"
+            value={values.name}
+            onChange={(e) => setValues({ ...values, name: e.target.value })}
+            inputProps={{ maxLength: 50 }}
+          />
+
+          <Autocomplete
+            multiple
+            freeSolo
+            options={[]}
+            value={values.synonyms}
+            onChange={(e, synonyms) => setValues({
+              ...values,
+              synonyms: [...new Set(synonyms.map(synonym => synonym.trim().toLowerCase()).filter(Boolean))],
+            })}
+            renderTags={(value, getTagProps) => value.map((option, index) => (
+              <Chip size="small" label={option} {...getTagProps({ index })} />
+            ))}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Synonyms"
+                placeholder="Type and press Enter"
+                helperText="Tags with these names are saved as this tag"
+              />
+            )}
+          />
+
+          <TextField
+            select
+            fullWidth
+            label="Parent tag"
+            value={values.parentId}
+            onChange={(e) => setValues({ ...values, parentId: e.target.value })}
+            helperText="Filtering by the parent also shows recordings with this tag"
+          >
+            <MenuItem value="">No parent</MenuItem>
+            {parentOptions.map(option => (
+              <MenuItem key={option.id} value={option.id}>{option.name}</MenuItem>
+            ))}
+          </TextField>
+
+          <TextField
+            fullWidth
+            label="Description"
+            value={values.description}
+            onChange={(e) => setValues({ ...values, description: e.target.value })}
+            inputProps={{ maxLength: 300 }}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!values.name.trim() || submitting}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+/**
+ * Workspace tag taxonomy: approved tags, their synonyms and hierarchy, and
+ * whether AI tagging may only use approved tags
+ */
+const TagTaxonomyManager = ({ tenantId, canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [editing, setEditing] = useState(null);
+  const [dialogError, setDialogError] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['tagTaxonomy', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getTagTaxonomy(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const { data: tagsInUse = [] } = useQuery({
+    queryKey: ['tags', tenantId],
+    queryFn: () => processAPI.getTags(tenantId),
+    enabled: !!tenantId,
+    select: (result) => result.data.data.tags,
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['tagTaxonomy', tenantId] });
+    queryClient.invalidateQueries({ queryKey: ['tags', tenantId] });
+  };
+
+  const restrictMutation = useMutation({
+    mutationFn: (restrictGeneration) => settingsAPI.updateTagTaxonomy(tenantId, { restrictGeneration }),
+    onSuccess: () => {
+      showNotification('Tag taxonomy settings saved', 'success');
+      refresh();
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to save tag taxonomy settings', 'error');
+    },
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (term) => (editing?.id
+      ? settingsAPI.updateTagTerm(tenantId, editing.id, term)
+      : settingsAPI.createTagTerm(tenantId, term)),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      setEditing(null);
+      refresh();
+    },
+    onError: (error) => {
+      setDialogError(error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to save the tag');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (termId) => settingsAPI.deleteTagTerm(tenantId, termId),
+    onSuccess: () => {
+      showNotification('Tag removed from the taxonomy', 'success');
+      refresh();
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to remove the tag', 'error');
+    },
+  });
+
+  const openDialog = (term) => {
+    setDialogError(null);
+    setEditing(term);
+  };
+
+  const terms = data?.terms || [];
+  const rows = flattenTree(terms);
+  const unapproved = tagsInUse.filter(tag => !tag.approved).slice(0, 30);
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Tag taxonomy
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Approved tags keep the same topic under one name. Synonyms are replaced by their approved tag whenever tags are saved.
+          {canEdit && (
+            <>
+              {' '}To fix tags already on recordings, use <Link component={RouterLink} to="/tags">tag management</Link>.
+            </>
+          )}
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={!!data?.restrictGeneration}
+                  onChange={(e) => restrictMutation.mutate(e.target.checked)}
+                  disabled={!canEdit || restrictMutation.isPending}
+                />
+              }
+              label="AI tagging only uses approved tags"
+            />
+            {data?.restrictGeneration && terms.length === 0 && (
+              <Alert severity="warning">
+                Add approved tags first. Until then AI tagging is not restricted.
+              </Alert>
+            )}
+
+            {rows.length === 0 ? (
+              <Typography color="text.secondary">
+                No approved tags yet.
+              </Typography>
+            ) : (
+              <List dense disablePadding sx={{ maxHeight: 420, overflowY: 'auto' }}>
+                {rows.map(({ term, depth }) => (
+                  <ListItem
+                    key={term.id}
+                    sx={{ pl: 1 + depth * 3 }}
+                    secondaryAction={canEdit && (
+                      <Box>
+                        <IconButton size="small" onClick={() => openDialog(term)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => deleteMutation.mutate(term.id)}
+                          disabled={deleteMutation.isPending}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Box>
+                    )}
+                  >
+                    <ListItemText
+                      primary={
+                        <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+                          <Chip label={term.name} size="small" color="primary" />
+                          {term.synonyms.map(synonym => (
+                            <Chip key={synonym} label={synonym} size="small" variant="outlined" />
+                          ))}
+                        </Box>
+                      }
+                      secondary={term.description || null}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+
+            {canEdit && (
+              <Box>
+                <Button variant="outlined" startIcon={<AddIcon />} onClick={() => openDialog(EMPTY_TERM)}>
+                  Add approved tag
+                </Button>
+              </Box>
+            )}
+
+            {canEdit && unapproved.length > 0 && (
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>
+                  Tags in use that are not approved
+                </Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {unapproved.map(tag => (
+                    <Tooltip key={tag.tag} title="Approve this tag">
+                      <Chip
+                        size="small"
+                        variant="outlined"
+                        label={`${tag.tag} (${tag.count})`}
+                        onClick={() => openDialog({ ...EMPTY_TERM, name: tag.tag })}
+                      />
+                    </Tooltip>
+                  ))}
+                </Box>
+              </Box>
+            )}
+
+            {!canEdit && (
+              <Typography variant="caption" color="text.secondary">
+                Only owners and admins can change these settings
+              </Typography>
+            )}
+          </Box>
+        )}
+      </CardContent>
+
+      <TermDialog
+        open={!!editing}
+        term={editing}
+        terms={terms}
+        onClose={() => setEditing(null)}
+        onSubmit={(term) => saveMutation.mutate(term)}
+        submitting={saveMutation.isPending}
+        error={dialogError}
+      />
+    </Card>
+  );
+};
+
+export default TagTaxonomyManager;
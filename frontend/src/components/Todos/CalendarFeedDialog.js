@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  InputAdornment,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { copyToClipboard } from '../../utils/helpers';
+
+/**
+ * Secret calendar subscription URL of the todos assigned to the current
+ * user. The server only keeps a hash, so the URL is shown once when created.
+ */
+const CalendarFeedDialog = ({ open, tenantId, onClose }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [feedUrl, setFeedUrl] = useState('');
+
+  const { data: feed, isLoading } = useQuery({
+    queryKey: ['calendarFeed', tenantId],
+    queryFn: async () => {
+      const result = await processAPI.getCalendarFeed(tenantId);
+      return result.data.data;
+    },
+    enabled: open && !!tenantId,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: () => processAPI.createCalendarFeed(tenantId),
+    onSuccess: (result) => {
+      setFeedUrl(processAPI.getAssetUrl(result.data.data.feedPath));
+      queryClient.invalidateQueries({ queryKey: ['calendarFeed', tenantId] });
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to create the calendar feed', 'error');
+    },
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: () => processAPI.revokeCalendarFeed(tenantId),
+    onSuccess: () => {
+      setFeedUrl('');
+      showNotification('Calendar feed turned off', 'success');
+      queryClient.invalidateQueries({ queryKey: ['calendarFeed', tenantId] });
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to turn off the calendar feed', 'error');
+    },
+  });
+
+  const handleCopy = async () => {
+    if (await copyToClipboard(feedUrl)) {
+      showNotification('Calendar link copied to clipboard', 'success');
+    }
+  };
+
+  const handleClose = () => {
+    setFeedUrl('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Calendar feed</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see
+          your tasks with a due date. Anyone with the link can see them.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : feedUrl ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              fullWidth
+              value={feedUrl}
+              InputProps={{
+                readOnly: true,
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <IconButton onClick={handleCopy} edge="end">
+                      <CopyIcon />
+                    </IconButton>
+                  </InputAdornment>
+                ),
+              }}
+            />
+            <Alert severity="info">
+              Copy the link now, it is not shown again.
+            </Alert>
+          </Box>
+        ) : feed?.enabled ? (
+          <Alert severity="success">
+            Your calendar feed is active. Create a new link if you lost it; the old link stops working.
+          </Alert>
+        ) : (
+          <Alert severity="info">
+            You have no calendar feed yet.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {feed?.enabled && (
+          <Button
+            color="error"
+            onClick={() => revokeMutation.mutate()}
+            disabled={revokeMutation.isPending}
+          >
+            Turn off
+          </Button>
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={handleClose}>Close</Button>
+        {!feedUrl && (
+          <Button
+            variant="contained"
+            onClick={() => createMutation.mutate()}
+            disabled={createMutation.isPending || isLoading}
+            startIcon={createMutation.isPending ? <CircularProgress size={16} /> : null}
+          >
+            {feed?.enabled ? 'Create new link' : 'Create link'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CalendarFeedDialog;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Autocomplete,
+  Avatar,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Delete as DeleteIcon, Send as SendIcon } from '@mui/icons-material';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { formatRelativeTime } from '../../utils/helpers';
+import {
+  TODO_STATUSES,
+  TODO_PRIORITIES,
+  memberName,
+  memberInitials,
+  toDateInput,
+  fromDateInput,
+} from './todoOptions';
+
+/**
+ * Work item details of a todo: status, priority, assignees, due date and comments
+ */
+const TodoDetailsDialog = ({ open, todo, processId, tenantId, members = [], currentUser, onClose }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [values, setValues] = useState({ status: 'open', priority: 'medium', assignees: [], dueDate: '' });
+  const [comment, setComment] = useState('');
+  // The form is only reset when another todo is opened, not when comments
+  // refresh it, so the todo is read through a ref
+  const todoRef = useRef(todo);
+  todoRef.current = todo;
+  const todoId = todo?.id;
+
+  useEffect(() => {
+    const current = todoRef.current;
+    if (open && current) {
+      setValues({
+        status: current.status || (current.completed ? 'done' : 'open'),
+        priority: current.priority || 'medium',
+        assignees: current.assignees || [],
+        dueDate: toDateInput(current.dueDate),
+      });
+      setComment('');
+    }
+  }, [open, todoId]);
+
+  const byId = new Map(members.map(member => [member.id, member]));
+  const canModerate = ['owner', 'admin'].includes(currentUser?.role);
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['process', tenantId, processId] });
+    queryClient.invalidateQueries({ queryKey: ['processVersions', tenantId, processId] });
+    queryClient.invalidateQueries({ queryKey: ['assignedTodos', tenantId] });
+  };
+
+  const onError = (fallback) => (error) => {
+    showNotification(error.response?.data?.errors?.join(', ') || error.response?.data?.message || fallback, 'error');
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => processAPI.updateTodo(tenantId, processId, todo.id, {
+      status: values.status,
+      priority: values.priority,
+      assignees: values.assignees,
+      dueDate: fromDateInput(values.dueDate),
+    }),
+    onSuccess: () => {
+      showNotification('Todo updated', 'success');
+      refresh();
+      onClose();
+    },
+    onError: onError('Failed to update the todo'),
+  });
+
+  const commentMutation = useMutation({
+    mutationFn: (text) => processAPI.addTodoComment(tenantId, processId, todo.id, text),
+    onSuccess: () => {
+      setComment('');
+      refresh();
+    },
+    onError: onError('Failed to add the comment'),
+  });
+
+  const deleteCommentMutation = useMutation({
+    mutationFn: (commentId) => processAPI.deleteTodoComment(tenantId, processId, todo.id, commentId),
+    onSuccess: refresh,
+    onError: onError('Failed to delete the comment'),
+  });
+
+  if (!todo) return null;
+
+  const comments = todo.comments || [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{todo.task}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              select
+              fullWidth
+              label="Status"
+              value={values.status}
+              onChange={(e) => setValues({ ...values, status: e.target.value })}
+            >
+              {TODO_STATUSES.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              fullWidth
+              label="Priority"
+              value={values.priority}
+              onChange={(e) => setValues({ ...values, priority: e.target.value })}
+            >
+              {TODO_PRIORITIES.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <Autocomplete
+            multiple
+            options={members.map(member => member.id)}
+            value={values.assignees}
+            onChange={(e, assignees) => setValues({ ...values, assignees })}
+            getOptionLabel={(id) => memberName(byId.get(id))}
+            renderTags={(value, getTagProps) => value.map((id, index) => (
+              <Chip
+                size="small"
+                avatar={<Avatar>{memberInitials(byId.get(id))}</Avatar>}
+                label={memberName(byId.get(id))}
+                {...getTagProps({ index })}
+              />
+            ))}
+            renderInput={(params) => (
+              <TextField {...params} label="Assignees" helperText="Assigned members are notified" />
+            )}
+          />
+
+          <TextField
+            type="date"
+            label="Due date"
+            value={values.dueDate}
+            onChange={(e) => setValues({ ...values, dueDate: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+
+          <Divider />
+
+          <Typography variant="subtitle2">Comments</Typography>
+          {comments.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No comments yet.
+            </Typography>
+          ) : (
+            <List dense disablePadding>
+              {comments.map(item => {
+                const author = byId.get(item.userId);
+                const canDelete = item.userId === currentUser?.id || canModerate;
+                return (
+                  <ListItem
+                    key={item.id}
+                    alignItems="flex-start"
+                    disableGutters
+                    secondaryAction={canDelete && (
+                      <IconButton
+                        size="small"
+                        onClick={() => deleteCommentMutation.mutate(item.id)}
+                        disabled={deleteCommentMutation.isPending}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  >
+                    <ListItemAvatar sx={{ minWidth: 40 }}>
+                      <Avatar sx={{ width: 28, height: 28, fontSize: '0.75rem' }}>{memberInitials(author)}</Avatar>
+                    </ListItemAvatar>
+                    <ListItemText
+                      primary={`${memberName(author)} · ${formatRelativeTime(item.createdAt)}`}
+                      secondary={item.text}
+                      primaryTypographyProps={{ variant: 'caption', color: 'text.secondary' }}
+                      secondaryTypographyProps={{ variant: 'body2', color: 'text.primary', sx: { whiteSpace: 'pre-wrap' } }}
+                    />
+                  </ListItem>
+                );
+              })}
+            </List>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+            <TextField
+              fullWidth
+              multiline
+              maxRows={4}
+              size="small"
+              placeholder="Add a comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              inputProps={{ maxLength: 2000 }}
+            />
+            <IconButton
+              color="primary"
+              onClick={() => commentMutation.mutate(comment.trim())}
+              disabled={!comment.trim() || commentMutation.isPending}
+            >
+              {commentMutation.isPending ? <CircularProgress size={20} /> : <SendIcon />}
+            </IconButton>
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={() => saveMutation.mutate()}
+          disabled={saveMutation.isPending}
+          startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TodoDetailsDialog;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  CircularProgress,
+  Divider,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+} from '@mui/material';
+import {
+  IosShare as ExportIcon,
+  Description as CsvIcon,
+  Event as CalendarIcon,
+  BugReport as TrackerIcon,
+} from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI, settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { downloadFile } from '../../utils/helpers';
+
+/**
+ * Export the todos of a process to a connected issue tracker, or download
+ * them as CSV or calendar events
+ */
+const TodoExportMenu = ({ tenantId, processId, processTitle, disabled = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const { data: integrations } = useQuery({
+    queryKey: ['integrations', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getIntegrations(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const trackers = (integrations?.connections || [])
+    .filter(connection => connection.enabled)
+    .map(connection => ({
+      ...connection,
+      label: integrations.connectors.find(connector => connector.name === connection.type)?.label || connection.type,
+    }));
+
+  const exportMutation = useMutation({
+    mutationFn: (connector) => processAPI.exportTodos(tenantId, processId, { connector }),
+    onSuccess: (result) => {
+      showNotification(result.data.message, result.data.data.failed > 0 ? 'warning' : 'success');
+      queryClient.invalidateQueries({ queryKey: ['process', tenantId, processId] });
+      queryClient.invalidateQueries({ queryKey: ['integrations', tenantId] });
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to export the todos', 'error');
+      queryClient.invalidateQueries({ queryKey: ['process', tenantId, processId] });
+      queryClient.invalidateQueries({ queryKey: ['integrations', tenantId] });
+    },
+  });
+
+  const handleExport = (connector) => {
+    setAnchorEl(null);
+    exportMutation.mutate(connector);
+  };
+
+  const handleDownload = async (format) => {
+    setAnchorEl(null);
+    try {
+      const response = await processAPI.downloadTodos(tenantId, processId, format);
+      const filename = `${processTitle || 'todos'}-todos.${format}`;
+      downloadFile(response.data, filename, format === 'ics' ? 'text/calendar' : 'text/csv');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to export the todos', 'error');
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={exportMutation.isPending ? <CircularProgress size={16} /> : <ExportIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled || exportMutation.isPending}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {trackers.map(tracker => (
+          <MenuItem key={tracker.type} onClick={() => handleExport(tracker.type)}>
+            <ListItemIcon><TrackerIcon fontSize="small" /></ListItemIcon>
+            <ListItemText primary={tracker.label} secondary="Create or update issues" />
+          </MenuItem>
+        ))}
+        {trackers.length > 0 && <Divider />}
+        <MenuItem onClick={() => handleDownload('csv')}>
+          <ListItemIcon><CsvIcon fontSize="small" /></ListItemIcon>
+          <ListItemText primary="CSV file" />
+        </MenuItem>
+        <MenuItem onClick={() => handleDownload('ics')}>
+          <ListItemIcon><CalendarIcon fontSize="small" /></ListItemIcon>
+          <ListItemText primary="Calendar file" secondary="Todos with a due date" />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+};
+
+export default TodoExportMenu;
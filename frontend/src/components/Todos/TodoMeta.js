@@ -0,0 +1,80 @@
+import React from 'react';
+import { Avatar, AvatarGroup, Box, Chip, Tooltip } from '@mui/material';
+import {
+  Event as DueIcon,
+  ChatBubbleOutline as CommentIcon,
+  Link as LinkIcon,
+} from '@mui/icons-material';
+
+import {
+  statusOption,
+  priorityOption,
+  memberName,
+  memberInitials,
+  isOverdue,
+  formatDueDate,
+} from './todoOptions';
+
+const TRACKER_LABELS = { github: 'GitHub', jira: 'Jira' };
+
+/**
+ * Compact status, priority, due date, assignees, comment count and tracker
+ * issues of a todo; defaults (open, medium priority) are left out
+ */
+const TodoMeta = ({ todo, members = [] }) => {
+  const byId = new Map(members.map(member => [member.id, member]));
+  const status = statusOption(todo.status);
+  const priority = priorityOption(todo.priority);
+  const assignees = todo.assignees || [];
+  const commentCount = todo.commentCount ?? todo.comments?.length ?? 0;
+
+  return (
+    <Box component="span" sx={{ display: 'inline-flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+      {!['open', 'done'].includes(status.value) && (
+        <Chip size="small" label={status.label} color={status.color} />
+      )}
+      {priority.value !== 'medium' && (
+        <Chip size="small" variant="outlined" label={priority.label} color={priority.color} />
+      )}
+      {todo.dueDate && (
+        <Chip
+          size="small"
+          variant="outlined"
+          icon={<DueIcon />}
+          label={formatDueDate(todo.dueDate)}
+          color={isOverdue(todo) ? 'error' : 'default'}
+        />
+      )}
+      {commentCount > 0 && (
+        <Chip size="small" variant="outlined" icon={<CommentIcon />} label={commentCount} />
+      )}
+      {(todo.externalLinks || []).map(link => (
+        <Tooltip key={link.connector} title={`Open in ${TRACKER_LABELS[link.connector] || link.connector}`}>
+          <Chip
+            size="small"
+            variant="outlined"
+            icon={<LinkIcon />}
+            label={link.connector === 'github' ? `#${link.externalId}` : link.externalId}
+            component="a"
+            href={link.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            clickable
+            onClick={(e) => e.stopPropagation()}
+          />
+        </Tooltip>
+      ))}
+      {assignees.length > 0 && (
+        <AvatarGroup max={4} sx={{ '& .MuiAvatar-root': { width: 22, height: 22, fontSize: '0.65rem' } }}>
+          {assignees.map(id => (
+            <Tooltip key={id} title={memberName(byId.get(id))}>
+              <Avatar>{memberInitials(byId.get(id))}</Avatar>
+            </Tooltip>
+          ))}
+        </AvatarGroup>
+      )}
+    </Box>
+  );
+};
+
+export default TodoMeta;
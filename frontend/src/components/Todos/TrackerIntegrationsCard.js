@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { formatRelativeTime } from '../../utils/helpers';
+
+const FIELDS = {
+  apiUrl: { label: 'API URL', helperText: 'Leave empty for github.com; GitHub Enterprise uses https://host/api/v3' },
+  owner: { label: 'Owner or organization' },
+  repo: { label: 'Repository' },
+  baseUrl: { label: 'Jira URL', helperText: 'e.g. https://your-team.atlassian.net' },
+  projectKey: { label: 'Project key' },
+  issueType: { label: 'Issue type', helperText: 'Leave empty for Task' },
+  email: { label: 'Account email', helperText: 'Jira Cloud only; leave empty to use a personal access token' },
+  token: { label: 'Personal access token', helperText: 'Needs permission to create and edit issues' },
+  apiToken: { label: 'API token' },
+};
+
+const fieldOf = (name) => FIELDS[name] || { label: name };
+
+/**
+ * Issue trackers todos can be exported to, with their connection settings.
+ * Stored tokens are never shown again, only replaced.
+ */
+const TrackerIntegrationsCard = ({ tenantId, canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [editing, setEditing] = useState(null);
+  const [values, setValues] = useState({ config: {}, credentials: {}, enabled: true });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['integrations', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getIntegrations(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const connections = new Map((data?.connections || []).map(connection => [connection.type, connection]));
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['integrations', tenantId] });
+
+  const onError = (fallback) => (error) => {
+    showNotification(error.response?.data?.errors?.join(', ') || error.response?.data?.message || fallback, 'error');
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => settingsAPI.saveIntegration(tenantId, editing.name, values),
+    onSuccess: () => {
+      showNotification(`${editing.label} connected`, 'success');
+      setEditing(null);
+      refresh();
+    },
+    onError: onError('Failed to save the integration'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (type) => settingsAPI.testIntegration(tenantId, type),
+    onSuccess: (result) => {
+      const { ok, message } = result.data.data;
+      showNotification(message, ok ? 'success' : 'error');
+      refresh();
+    },
+    onError: onError('Failed to test the integration'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (type) => settingsAPI.deleteIntegration(tenantId, type),
+    onSuccess: () => {
+      showNotification('Integration removed', 'success');
+      refresh();
+    },
+    onError: onError('Failed to remove the integration'),
+  });
+
+  const openEditor = (connector) => {
+    const connection = connections.get(connector.name);
+    setValues({
+      config: { ...(connection?.config || {}) },
+      credentials: {},
+      enabled: connection?.enabled ?? true,
+    });
+    setEditing(connector);
+  };
+
+  const setField = (group, name, value) => {
+    setValues({ ...values, [group]: { ...values[group], [name]: value } });
+  };
+
+  const editingConnection = editing ? connections.get(editing.name) : null;
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Issue trackers
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Export todos as issues. Exporting a todo again updates its issue.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {(data?.connectors || []).map((connector, index) => {
+              const connection = connections.get(connector.name);
+              return (
+                <Box key={connector.name}>
+                  {index > 0 && <Divider sx={{ mb: 2 }} />}
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+                      {connector.label}
+                    </Typography>
+                    {!connection ? (
+                      <Chip size="small" label="Not connected" />
+                    ) : !connection.enabled ? (
+                      <Chip size="small" label="Disabled" />
+                    ) : connection.lastError ? (
+                      <Chip size="small" color="error" label="Error" />
+                    ) : (
+                      <Chip size="small" color="success" label="Connected" />
+                    )}
+                    {canEdit && (
+                      <>
+                        <Button size="small" onClick={() => openEditor(connector)}>
+                          {connection ? 'Edit' : 'Connect'}
+                        </Button>
+                        {connection && (
+                          <>
+                            <Button
+                              size="small"
+                              onClick={() => testMutation.mutate(connector.name)}
+                              disabled={testMutation.isPending}
+                            >
+                              Test
+                            </Button>
+                            <Button
+                              size="small"
+                              color="error"
+                              onClick={() => deleteMutation.mutate(connector.name)}
+                              disabled={deleteMutation.isPending}
+                            >
+                              Disconnect
+                            </Button>
+                          </>
+                        )}
+                      </>
+                    )}
+                  </Box>
+                  {connection && (
+                    <Typography variant="caption" color={connection.lastError ? 'error' : 'text.secondary'}>
+                      {connection.lastError
+                        || (connection.lastUsedAt ? `Last export ${formatRelativeTime(connection.lastUsedAt)}` : 'Not used yet')}
+                    </Typography>
+                  )}
+                </Box>
+              );
+            })}
+
+            {!canEdit && (
+              <Typography variant="caption" color="text.secondary">
+                Only owners and admins can connect issue trackers
+              </Typography>
+            )}
+          </Box>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.label}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {[...(editing?.configFields || []), ...(editing?.optionalConfigFields || [])].map(name => (
+              <TextField
+                key={name}
+                fullWidth
+                required={editing.configFields.includes(name)}
+                label={fieldOf(name).label}
+                helperText={fieldOf(name).helperText}
+                value={values.config[name] || ''}
+                onChange={(e) => setField('config', name, e.target.value)}
+                inputProps={{ maxLength: 500 }}
+              />
+            ))}
+            {(editing?.credentialFields || []).map(name => (
+              <TextField
+                key={name}
+                fullWidth
+                type="password"
+                autoComplete="new-password"
+                required={!editingConnection?.hasCredentials}
+                label={fieldOf(name).label}
+                helperText={editingConnection?.hasCredentials
+                  ? 'Stored encrypted. Leave empty to keep the current value'
+                  : fieldOf(name).helperText}
+                value={values.credentials[name] || ''}
+                onChange={(e) => setField('credentials', name, e.target.value)}
+                inputProps={{ maxLength: 2000 }}
+              />
+            ))}
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={values.enabled}
+                  onChange={(e) => setValues({ ...values, enabled: e.target.checked })}
+                />
+              }
+              label="Allow exports"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => saveMutation.mutate()}
+            disabled={saveMutation.isPending}
+            startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TrackerIntegrationsCard;
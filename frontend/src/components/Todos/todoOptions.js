@@ -0,0 +1,72 @@
+import { useQuery } from '@tanstack/react-query';
+
+import { teamAPI } from '../../services/api';
+
+export const TODO_STATUSES = [
+  { value: 'open', label: 'Open', color: 'default' },
+  { value: 'in_progress', label: 'In progress', color: 'info' },
+  { value: 'blocked', label: 'Blocked', color: 'error' },
+  { value: 'done', label: 'Done', color: 'success' },
+];
+
+export const TODO_PRIORITIES = [
+  { value: 'low', label: 'Low', color: 'default' },
+  { value: 'medium', label: 'Medium', color: 'default' },
+  { value: 'high', label: 'High', color: 'warning' },
+  { value: 'urgent', label: 'Urgent', color: 'error' },
+];
+
+export const statusOption = (value) => TODO_STATUSES.find(option => option.value === value) || TODO_STATUSES[0];
+
+export const priorityOption = (value) => TODO_PRIORITIES.find(option => option.value === value) || TODO_PRIORITIES[1];
+
+export const memberName = (member) => (
+  member ? [member.firstName, member.lastName].filter(Boolean).join(' ') || member.email : 'Former member'
+);
+
+export const memberInitials = (member) => memberName(member)
+  .split(' ')
+  .map(part => part[0])
+  .join('')
+  .slice(0, 2)
+  .toUpperCase();
+
+/**
+ * Due date as yyyy-mm-dd for date inputs. Due dates are stored as UTC
+ * midnight so the day is the same in every time zone.
+ */
+export const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+export const fromDateInput = (value) => (value ? `${value}T00:00:00.000Z` : null);
+
+export const formatDueDate = (date) => new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+/**
+ * Whether an unfinished todo is past its due date
+ */
+export const isOverdue = (todo) => {
+  if (!todo.dueDate || todo.status === 'done') return false;
+  const now = new Date();
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().slice(0, 10);
+  return toDateInput(todo.dueDate) < today;
+};
+
+/**
+ * Workspace members that todos can be assigned to. Free workspaces cannot
+ * list the team, so the current user is the only choice there.
+ */
+export const useAssignableMembers = (tenantId, currentUser) => {
+  const { data } = useQuery({
+    queryKey: ['teamMembers', tenantId],
+    queryFn: async () => {
+      const result = await teamAPI.getTeamMembers(tenantId, { limit: 100 });
+      return result.data.data.users;
+    },
+    enabled: !!tenantId,
+    retry: false,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  if (data?.length) return data;
+  return currentUser ? [currentUser] : [];
+};
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+import { History as HistoryIcon } from '@mui/icons-material';
+import { useQuery } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { formatRelativeTime, formatTimestamp } from '../../utils/helpers';
+
+const OPERATION_LABELS = {
+  original: 'Original transcript',
+  update: 'Edited',
+  split: 'Split',
+  merge: 'Merged',
+  delete: 'Deleted segment',
+  revert: 'Reverted',
+  retranscribe: 'Re-transcribed',
+};
+
+const describeRevision = (revision) => {
+  if (revision.revertedFrom !== null && revision.revertedFrom !== undefined) {
+    return `Restored revision ${revision.revertedFrom}`;
+  }
+  return (revision.operations || []).map(op => OPERATION_LABELS[op] || op).join(', ');
+};
+
+const authorName = (user) => {
+  if (!user) return 'Processing pipeline';
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name || user.email;
+};
+
+/**
+ * Transcript revision history with preview and revert
+ */
+const TranscriptRevisionsDialog = ({ open, onClose, tenantId, processId, onRevert, reverting = false }) => {
+  const [selected, setSelected] = useState(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['transcriptRevisions', tenantId, processId],
+    queryFn: async () => {
+      const result = await processAPI.getTranscriptRevisions(tenantId, processId);
+      return result.data.data;
+    },
+    enabled: open && !!tenantId && !!processId,
+  });
+
+  const { data: preview, isLoading: previewLoading } = useQuery({
+    queryKey: ['transcriptRevision', tenantId, processId, selected],
+    queryFn: async () => {
+      const result = await processAPI.getTranscriptRevision(tenantId, processId, selected);
+      return result.data.data.revision;
+    },
+    enabled: open && selected !== null,
+  });
+
+  const handleClose = () => {
+    setSelected(null);
+    onClose();
+  };
+
+  const currentRevision = data?.currentRevision ?? 0;
+  const revisions = data?.revisions || [];
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <HistoryIcon />
+        Transcript History
+      </DialogTitle>
+      <DialogContent dividers>
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">Failed to load transcript history</Alert>
+        ) : revisions.length === 0 ? (
+          <Typography color="text.secondary">
+            The transcript has not been edited yet.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, minHeight: 320 }}>
+            <List dense sx={{ width: 280, flexShrink: 0, overflow: 'auto', maxHeight: 420 }}>
+              {revisions.map((revision) => (
+                <ListItemButton
+                  key={revision.revision}
+                  selected={selected === revision.revision}
+                  onClick={() => setSelected(revision.revision)}
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <span>Revision {revision.revision}</span>
+                        {revision.revision === currentRevision && (
+                          <Chip label="Current" size="small" color="primary" />
+                        )}
+                      </Box>
+                    }
+                    secondary={`${describeRevision(revision)} · ${authorName(revision.userId)} · ${formatRelativeTime(revision.createdAt)}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+
+            <Paper variant="outlined" sx={{ flexGrow: 1, p: 1, overflow: 'auto', maxHeight: 420 }}>
+              {selected === null ? (
+                <Typography color="text.secondary" sx={{ p: 1 }}>
+                  Select a revision to preview it.
+                </Typography>
+              ) : previewLoading || !preview ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                  <CircularProgress size={24} />
+                </Box>
+              ) : (
+                <List dense disablePadding>
+                  {preview.segments.map((segment, index) => (
+                    <ListItem key={index} sx={{ alignItems: 'flex-start', gap: 1 }}>
+                      <Chip label={formatTimestamp(segment.start)} size="small" variant="outlined" />
+                      <ListItemText primary={segment.text} secondary={segment.speaker || null} />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </Paper>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={() => onRevert(selected)}
+          disabled={selected === null || selected === currentRevision || reverting}
+        >
+          Restore this revision
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TranscriptRevisionsDialog;
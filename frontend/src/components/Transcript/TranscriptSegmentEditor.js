@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  Save as SaveIcon,
+  Cancel as CancelIcon,
+  Delete as DeleteIcon,
+  CallSplit as SplitIcon,
+  MergeType as MergeIcon,
+  PlayArrow as PlayIcon,
+} from '@mui/icons-material';
+
+import { formatTimestamp } from '../../utils/helpers';
+
+/**
+ * Segment-aware transcript editor. Every change is sent to the server as a
+ * single operation so segment indexes always match the saved transcript.
+ */
+const TranscriptSegmentEditor = ({
+  segments = [],
+  currentTime = 0,
+  saving = false,
+  onApply,
+  onJump,
+}) => {
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [draft, setDraft] = useState({ text: '', start: 0, end: 0 });
+  const [cursor, setCursor] = useState(null);
+
+  const startEditing = (index) => {
+    const segment = segments[index];
+    setEditingIndex(index);
+    setDraft({ text: segment.text, start: segment.start, end: segment.end });
+    setCursor(null);
+  };
+
+  const stopEditing = () => {
+    setEditingIndex(null);
+    setCursor(null);
+  };
+
+  const handleSave = async (index) => {
+    const segment = segments[index];
+    const operation = { type: 'update', index };
+
+    if (draft.text.trim() !== segment.text) operation.text = draft.text.trim();
+    if (Number(draft.start) !== segment.start) operation.start = Number(draft.start);
+    if (Number(draft.end) !== segment.end) operation.end = Number(draft.end);
+
+    if (Object.keys(operation).length === 2) {
+      stopEditing();
+      return;
+    }
+
+    if (await onApply([operation])) {
+      stopEditing();
+    }
+  };
+
+  // Split at the playhead; the text is cut at the cursor position,
+  // or proportionally to the split time when no cursor was placed
+  const handleSplit = async (index) => {
+    const segment = segments[index];
+    const text = segment.text;
+    // The cursor only maps onto the saved text while the draft is unchanged
+    const useCursor = editingIndex === index && cursor !== null && draft.text === text;
+    const ratio = (currentTime - segment.start) / (segment.end - segment.start);
+    let textOffset = useCursor ? cursor : Math.round(text.length * ratio);
+
+    // Prefer a word boundary
+    const boundary = text.indexOf(' ', textOffset);
+    if (!useCursor && boundary > 0) {
+      textOffset = boundary;
+    }
+
+    if (await onApply([{ type: 'split', index, at: Number(currentTime.toFixed(3)), textOffset }])) {
+      stopEditing();
+    }
+  };
+
+  const handleMerge = async (index) => {
+    if (await onApply([{ type: 'merge', index }])) {
+      stopEditing();
+    }
+  };
+
+  const handleDelete = async (index) => {
+    if (!window.confirm('Delete this segment from the transcript?')) {
+      return;
+    }
+    if (await onApply([{ type: 'delete', index }])) {
+      stopEditing();
+    }
+  };
+
+  const canSplitAt = (segment) => currentTime > segment.start + 0.1 && currentTime < segment.end - 0.1;
+
+  return (
+    <List disablePadding>
+      {segments.map((segment, index) => {
+        const isEditing = editingIndex === index;
+
+        return (
+          <ListItem
+            key={`${index}-${segment.start}`}
+            divider
+            alignItems="flex-start"
+            sx={{ px: 0, gap: 1, bgcolor: canSplitAt(segment) ? 'action.hover' : 'transparent' }}
+          >
+            <Chip
+              icon={<PlayIcon />}
+              label={formatTimestamp(segment.start)}
+              size="small"
+              variant="outlined"
+              onClick={() => onJump(segment.start)}
+              sx={{ mt: 0.5 }}
+            />
+
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              {isEditing ? (
+                <Stack spacing={1}>
+                  <TextField
+                    fullWidth
+                    multiline
+                    size="small"
+                    value={draft.text}
+                    onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+                    onSelect={(e) => setCursor(e.target.selectionStart || null)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Escape') stopEditing();
+                    }}
+                    inputProps={{ maxLength: 5000 }}
+                    autoFocus
+                  />
+                  <Stack direction="row" spacing={1}>
+                    <TextField
+                      label="Start (s)"
+                      type="number"
+                      size="small"
+                      value={draft.start}
+                      onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+                      inputProps={{ min: 0, step: 0.1 }}
+                      sx={{ width: 120 }}
+                    />
+                    <TextField
+                      label="End (s)"
+                      type="number"
+                      size="small"
+                      value={draft.end}
+                      onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+                      inputProps={{ min: 0, step: 0.1 }}
+                      sx={{ width: 120 }}
+                    />
+                  </Stack>
+                </Stack>
+              ) : (
+                <Box>
+                  <Typography variant="body2">{segment.text}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {formatTimestamp(segment.start)} – {formatTimestamp(segment.end)}
+                    {segment.speaker ? ` · ${segment.speaker}` : ''}
+                  </Typography>
+                </Box>
+              )}
+            </Box>
+
+            <Box sx={{ display: 'flex', flexShrink: 0 }}>
+              {isEditing ? (
+                <>
+                  <Tooltip title="Save">
+                    <span>
+                      <IconButton size="small" onClick={() => handleSave(index)} disabled={saving || !draft.text.trim()}>
+                        <SaveIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Cancel">
+                    <IconButton size="small" onClick={stopEditing}>
+                      <CancelIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </>
+              ) : (
+                <Tooltip title="Edit text and timing">
+                  <span>
+                    <IconButton size="small" onClick={() => startEditing(index)} disabled={saving}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+              <Tooltip title={canSplitAt(segment) ? `Split at ${formatTimestamp(currentTime)}` : 'Move the playhead inside this segment to split it'}>
+                <span>
+                  <IconButton size="small" onClick={() => handleSplit(index)} disabled={saving || !canSplitAt(segment)}>
+                    <SplitIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Merge with next segment">
+                <span>
+                  <IconButton size="small" onClick={() => handleMerge(index)} disabled={saving || index === segments.length - 1}>
+                    <MergeIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Delete segment">
+                <span>
+                  <IconButton size="small" onClick={() => handleDelete(index)} disabled={saving || segments.length === 1}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          </ListItem>
+        );
+      })}
+    </List>
+  );
+};
+
+export default TranscriptSegmentEditor;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { TextField, MenuItem } from '@mui/material';
+
+const displayNames = typeof Intl !== 'undefined' && Intl.DisplayNames
+  ? new Intl.DisplayNames(['en'], { type: 'language' })
+  : null;
+
+/**
+ * Readable name for a Whisper language code, e.g. 'de' -> 'German'
+ */
+export const languageName = (code) => {
+  if (!code) return '';
+  try {
+    return displayNames?.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+};
+
+/**
+ * Select for the transcription language
+ * @param {Array} languages - Supported language codes
+ * @param {Array} extraOptions - Options shown before the languages, e.g. [{ value: 'auto', label: 'Detect automatically' }]
+ */
+const LanguageSelect = ({
+  value,
+  onChange,
+  languages = [],
+  extraOptions = [],
+  label = 'Language',
+  helperText,
+  disabled = false,
+  fullWidth = true,
+  size,
+}) => {
+  const sortedLanguages = [...languages].sort((a, b) => languageName(a).localeCompare(languageName(b)));
+
+  return (
+    <TextField
+      select
+      fullWidth={fullWidth}
+      size={size}
+      label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      helperText={helperText}
+      disabled={disabled}
+    >
+      {extraOptions.map(option => (
+        <MenuItem key={option.value} value={option.value}>
+          {option.label}
+        </MenuItem>
+      ))}
+      {sortedLanguages.map(code => (
+        <MenuItem key={code} value={code}>
+          {languageName(code)} ({code})
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
+
+export default LanguageSelect;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import LanguageSelect from './LanguageSelect';
+
+const PROVIDER_LABELS = {
+  openai: 'OpenAI Whisper API',
+  self_hosted: 'Self-hosted Whisper server',
+};
+
+/**
+ * Workspace transcription backend and defaults for language and vocabulary
+ */
+const TranscriptionSettingsCard = ({ tenantId, canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [provider, setProvider] = useState('openai');
+  const [language, setLanguage] = useState('auto');
+  const [vocabulary, setVocabulary] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['transcriptionSettings', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getTranscriptionSettings(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  useEffect(() => {
+    if (data) {
+      setProvider(data.transcription.provider || 'openai');
+      setLanguage(data.transcription.language || 'auto');
+      setVocabulary(data.transcription.vocabulary || '');
+    }
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => settingsAPI.updateTranscriptionSettings(tenantId, {
+      provider,
+      language: language === 'auto' ? null : language,
+      vocabulary,
+    }),
+    onSuccess: () => {
+      showNotification('Transcription settings saved', 'success');
+      queryClient.invalidateQueries(['transcriptionSettings', tenantId]);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to save transcription settings', 'error');
+    },
+  });
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Transcription
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Where recordings are transcribed and defaults for new uploads. Each upload can override language and vocabulary.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              select
+              fullWidth
+              label="Transcription service"
+              value={provider}
+              onChange={(e) => setProvider(e.target.value)}
+              helperText={provider === 'self_hosted'
+                ? 'Audio is only sent to the Whisper server operated for this installation'
+                : 'Audio is sent to OpenAI for transcription'}
+              disabled={!canEdit}
+            >
+              {(data?.providers || []).map(option => (
+                <MenuItem key={option.name} value={option.name} disabled={!option.configured}>
+                  {PROVIDER_LABELS[option.name] || option.name}
+                  {!option.configured && ' (not configured)'}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <LanguageSelect
+              value={language}
+              onChange={setLanguage}
+              languages={data?.supportedLanguages}
+              extraOptions={[{ value: 'auto', label: 'Detect automatically' }]}
+              helperText="Force a language when recordings are often detected wrongly"
+              disabled={!canEdit}
+            />
+
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              label="Vocabulary"
+              placeholder="e.g. ProcessMind, Kubernetes, Sprint-Review, OKR"
+              value={vocabulary}
+              onChange={(e) => setVocabulary(e.target.value)}
+              inputProps={{ maxLength: 1000 }}
+              helperText={`Product names and jargon that should be spelled exactly like this (${vocabulary.length}/1000)`}
+              disabled={!canEdit}
+            />
+
+            {canEdit ? (
+              <Box>
+                <Button
+                  variant="contained"
+                  onClick={() => saveMutation.mutate()}
+                  disabled={saveMutation.isPending}
+                  startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+                >
+                  Save
+                </Button>
+              </Box>
+            ) : (
+              <Typography variant="caption" color="text.secondary">
+                Only owners and admins can change these settings
+              </Typography>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TranscriptionSettingsCard;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Collapse,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography,
+} from '@mui/material';
+import { useQuery } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { formatRelativeTime } from '../../utils/helpers';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  retrying: 'warning',
+  succeeded: 'success',
+  failed: 'error',
+};
+
+const codeSx = {
+  m: 0,
+  p: 1.5,
+  maxHeight: 240,
+  overflow: 'auto',
+  fontSize: '0.75rem',
+  backgroundColor: 'action.hover',
+  borderRadius: 1,
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-all',
+};
+
+/**
+ * Delivery log of a webhook: the events sent in the last 30 days with the
+ * outcome of their last attempt
+ */
+const WebhookDeliveriesDialog = ({ open, tenantId, webhook, onClose }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data: deliveries = [], isLoading, isFetching, refetch } = useQuery({
+    queryKey: ['webhookDeliveries', tenantId, webhook?.id],
+    queryFn: async () => {
+      const result = await settingsAPI.getWebhookDeliveries(tenantId, webhook.id);
+      return result.data.data.deliveries;
+    },
+    enabled: open && !!tenantId && !!webhook,
+  });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Deliveries
+        <Typography variant="body2" color="text.secondary" noWrap>
+          {webhook?.url}
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : deliveries.length === 0 ? (
+          <Typography color="text.secondary">No events sent yet.</Typography>
+        ) : (
+          <List disablePadding>
+            {deliveries.map(delivery => (
+              <Box key={delivery.id}>
+                <ListItemButton
+                  onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                  sx={{ gap: 2 }}
+                >
+                  <Chip size="small" color={STATUS_COLORS[delivery.status]} label={delivery.status} />
+                  <ListItemText
+                    primary={delivery.event}
+                    secondary={[
+                      formatRelativeTime(delivery.createdAt),
+                      delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : null,
+                      `${delivery.attempts} ${delivery.attempts === 1 ? 'attempt' : 'attempts'}`,
+                      delivery.durationMs !== null ? `${delivery.durationMs} ms` : null,
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </ListItemButton>
+                <Collapse in={expandedId === delivery.id} unmountOnExit>
+                  <Box sx={{ px: 2, pb: 2, display: 'flex', flexDirection: 'column', gap: 1 }}>
+                    {delivery.error && (
+                      <Typography variant="body2" color="error">{delivery.error}</Typography>
+                    )}
+                    <Typography variant="caption" color="text.secondary">Payload</Typography>
+                    <Box component="pre" sx={codeSx}>
+                      {JSON.stringify(delivery.payload, null, 2)}
+                    </Box>
+                    {delivery.responseBody && (
+                      <>
+                        <Typography variant="caption" color="text.secondary">Response</Typography>
+                        <Box component="pre" sx={codeSx}>{delivery.responseBody}</Box>
+                      </>
+                    )}
+                  </Box>
+                </Collapse>
+              </Box>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => refetch()} disabled={isFetching}>Refresh</Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WebhookDeliveriesDialog;
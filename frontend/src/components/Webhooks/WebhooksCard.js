@@ -0,0 +1,351 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  FormGroup,
+  IconButton,
+  InputAdornment,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { settingsAPI } from '../../services/api';
+import { useNotification } from '../../contexts/NotificationContext';
+import { copyToClipboard, formatRelativeTime } from '../../utils/helpers';
+import WebhookDeliveriesDialog from './WebhookDeliveriesDialog';
+
+const EMPTY_WEBHOOK = { url: '', description: '', events: [], enabled: true };
+
+/**
+ * Outgoing webhooks for process events. Signing secrets are shown once,
+ * after creating a webhook or replacing its secret.
+ */
+const WebhooksCard = ({ tenantId, canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const [editing, setEditing] = useState(null);
+  const [values, setValues] = useState(EMPTY_WEBHOOK);
+  const [secret, setSecret] = useState(null);
+  const [deliveriesFor, setDeliveriesFor] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['webhooks', tenantId],
+    queryFn: async () => {
+      const result = await settingsAPI.getWebhooks(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const events = data?.events || [];
+  const webhooks = data?.webhooks || [];
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['webhooks', tenantId] });
+
+  const onError = (fallback) => (error) => {
+    showNotification(error.response?.data?.errors?.join(', ') || error.response?.data?.message || fallback, 'error');
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => (editing.id
+      ? settingsAPI.updateWebhook(tenantId, editing.id, values)
+      : settingsAPI.createWebhook(tenantId, values)),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      if (result.data.data.secret) {
+        setSecret({ url: result.data.data.webhook.url, value: result.data.data.secret });
+      }
+      setEditing(null);
+      refresh();
+    },
+    onError: onError('Failed to save the webhook'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (webhookId) => settingsAPI.testWebhook(tenantId, webhookId),
+    onSuccess: (result, webhookId) => {
+      const { delivery } = result.data.data;
+      showNotification(result.data.message, delivery.status === 'succeeded' ? 'success' : 'error');
+      refresh();
+      queryClient.invalidateQueries({ queryKey: ['webhookDeliveries', tenantId, webhookId] });
+    },
+    onError: onError('Failed to send the test event'),
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: (webhookId) => settingsAPI.rotateWebhookSecret(tenantId, webhookId),
+    onSuccess: (result) => {
+      setSecret({ url: result.data.data.webhook.url, value: result.data.data.secret });
+    },
+    onError: onError('Failed to replace the signing secret'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (webhookId) => settingsAPI.deleteWebhook(tenantId, webhookId),
+    onSuccess: () => {
+      showNotification('Webhook removed', 'success');
+      refresh();
+    },
+    onError: onError('Failed to remove the webhook'),
+  });
+
+  const openEditor = (webhook = null) => {
+    setValues(webhook
+      ? { url: webhook.url, description: webhook.description || '', events: webhook.events, enabled: webhook.enabled }
+      : { ...EMPTY_WEBHOOK, events: events.map(event => event.name) });
+    setEditing(webhook || {});
+  };
+
+  const toggleEvent = (name) => {
+    setValues({
+      ...values,
+      events: values.events.includes(name)
+        ? values.events.filter(event => event !== name)
+        : [...values.events, name],
+    });
+  };
+
+  const handleRotate = (webhook) => {
+    if (window.confirm('Replace the signing secret? Deliveries signed with the old secret will fail verification.')) {
+      rotateMutation.mutate(webhook.id);
+    }
+  };
+
+  const handleDelete = (webhook) => {
+    if (window.confirm(`Remove the webhook for ${webhook.url}?`)) {
+      deleteMutation.mutate(webhook.id);
+    }
+  };
+
+  const handleCopySecret = async () => {
+    if (await copyToClipboard(secret.value)) {
+      showNotification('Signing secret copied to clipboard', 'success');
+    }
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">
+            Webhooks
+          </Typography>
+          {canEdit && (
+            <Button size="small" onClick={() => openEditor()} disabled={isLoading}>
+              Add webhook
+            </Button>
+          )}
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Notify your systems when recordings finish processing, fail, are shared or deleted.
+          Requests are signed with HMAC-SHA256 and retried for about 15 minutes.
+        </Typography>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {webhooks.length === 0 && (
+              <Typography color="text.secondary">No webhooks yet.</Typography>
+            )}
+
+            {webhooks.map((webhook, index) => (
+              <Box key={webhook.id}>
+                {index > 0 && <Divider sx={{ mb: 2 }} />}
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                  <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Typography variant="subtitle1" noWrap sx={{ fontFamily: 'monospace' }}>
+                      {webhook.url}
+                    </Typography>
+                    {webhook.description && (
+                      <Typography variant="body2" color="text.secondary">{webhook.description}</Typography>
+                    )}
+                  </Box>
+                  {!webhook.enabled ? (
+                    <Chip size="small" label="Disabled" />
+                  ) : webhook.lastDeliveryStatus === 'failed' ? (
+                    <Chip size="small" color="error" label="Failing" />
+                  ) : (
+                    <Chip size="small" color="success" label="Active" />
+                  )}
+                </Box>
+
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', my: 1 }}>
+                  {webhook.events.map(event => (
+                    <Chip key={event} size="small" variant="outlined" label={event} />
+                  ))}
+                </Box>
+
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                  <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+                    {webhook.lastDeliveryAt
+                      ? `Last delivery ${formatRelativeTime(webhook.lastDeliveryAt)}`
+                      : 'No deliveries yet'}
+                  </Typography>
+                  <Button size="small" onClick={() => setDeliveriesFor(webhook)}>
+                    Deliveries
+                  </Button>
+                  {canEdit && (
+                    <>
+                      <Button
+                        size="small"
+                        onClick={() => testMutation.mutate(webhook.id)}
+                        disabled={testMutation.isPending}
+                      >
+                        Send test event
+                      </Button>
+                      <Button size="small" onClick={() => openEditor(webhook)}>
+                        Edit
+                      </Button>
+                      <Button size="small" onClick={() => handleRotate(webhook)} disabled={rotateMutation.isPending}>
+                        New secret
+                      </Button>
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => handleDelete(webhook)}
+                        disabled={deleteMutation.isPending}
+                      >
+                        Remove
+                      </Button>
+                    </>
+                  )}
+                </Box>
+              </Box>
+            ))}
+
+            {!canEdit && (
+              <Typography variant="caption" color="text.secondary">
+                Only owners and admins can manage webhooks
+              </Typography>
+            )}
+          </Box>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.id ? 'Edit webhook' : 'Add webhook'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            <TextField
+              fullWidth
+              required
+              label="Endpoint URL"
+              placeholder="https://example.com/hooks/processlink"
+              value={values.url}
+              onChange={(e) => setValues({ ...values, url: e.target.value })}
+              inputProps={{ maxLength: 2000 }}
+            />
+            <TextField
+              fullWidth
+              label="Description"
+              value={values.description}
+              onChange={(e) => setValues({ ...values, description: e.target.value })}
+              inputProps={{ maxLength: 200 }}
+            />
+            <Box>
+              <Typography variant="subtitle2">Events</Typography>
+              <FormGroup>
+                {events.map(event => (
+                  <FormControlLabel
+                    key={event.name}
+                    control={
+                      <Checkbox
+                        checked={values.events.includes(event.name)}
+                        onChange={() => toggleEvent(event.name)}
+                      />
+                    }
+                    label={
+                      <Box>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{event.name}</Typography>
+                        <Typography variant="caption" color="text.secondary">{event.description}</Typography>
+                      </Box>
+                    }
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={values.enabled}
+                  onChange={(e) => setValues({ ...values, enabled: e.target.checked })}
+                />
+              }
+              label="Send events"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => saveMutation.mutate()}
+            disabled={saveMutation.isPending || !values.url.trim() || values.events.length === 0}
+            startIcon={saveMutation.isPending ? <CircularProgress size={16} /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!secret} onClose={() => setSecret(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Signing secret</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Copy the secret now. It is not shown again; you can only replace it.
+          </Alert>
+          <TextField
+            fullWidth
+            label={secret?.url}
+            value={secret?.value || ''}
+            InputProps={{
+              readOnly: true,
+              sx: { fontFamily: 'monospace' },
+              endAdornment: (
+                <InputAdornment position="end">
+                  <IconButton onClick={handleCopySecret} edge="end">
+                    <CopyIcon />
+                  </IconButton>
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Each request carries an <code>X-ProcessLink-Signature</code> header of the form{' '}
+            <code>t=timestamp,v1=signature</code>. Compute the HMAC-SHA256 of{' '}
+            <code>timestamp.body</code> with this secret, compare it to <code>v1</code> and
+            reject old timestamps.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => setSecret(null)}>Done</Button>
+        </DialogActions>
+      </Dialog>
+
+      <WebhookDeliveriesDialog
+        open={!!deliveriesFor}
+        tenantId={tenantId}
+        webhook={deliveriesFor}
+        onClose={() => setDeliveriesFor(null)}
+      />
+    </Card>
+  );
+};
+
+export default WebhooksCard;
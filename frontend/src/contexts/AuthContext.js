@@ -340,6 +340,41 @@ export const AuthProvider = ({ children }) => {
         payload: errorMessage,
       });
 
+      // SSO_REQUIRED comes with the loginUrl of the workspace's identity provider
+      return {
+        success: false,
+        error: errorMessage,
+        code: error.response?.data?.code,
+        loginUrl: error.response?.data?.loginUrl,
+      };
+    }
+  }, []);
+
+  // Single sign-on: finish the login with the code from the SSO callback
+  const loginWithSso = useCallback(async (code) => {
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const response = await authAPI.exchangeSsoCode(code);
+
+      const { user, tenant, tokens } = response.data.data;
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user, tenant, tokens },
+      });
+
+      saveToStorage(user, tenant, tokens);
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Login failed';
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: errorMessage,
+      });
+
       return { success: false, error: errorMessage };
     }
   }, []);
@@ -551,6 +586,7 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    loginWithSso,
     register,
     verifyRegistration,
     logout,
@@ -0,0 +1,375 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Paper,
+  Select,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon,
+  Psychology as AssistantIcon,
+} from '@mui/icons-material';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+
+import { assistantAPI, favoriteListAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatRelativeTime, formatTimestamp } from '../../utils/helpers';
+
+const CITATION_SPLIT = /(\[\d+\])/g;
+
+const sourceLink = (citation) => `/processes/${citation.processId}?t=${Math.floor(citation.start)}`;
+
+/**
+ * Answer text with [n] markers rendered as links to the cited recordings
+ */
+const AnswerContent = ({ content, citations = [], onOpen }) => {
+  const byNumber = new Map(citations.map(citation => [citation.number, citation]));
+
+  return (
+    <Typography variant="body2" component="div" sx={{ whiteSpace: 'pre-wrap' }}>
+      {content.split(CITATION_SPLIT).map((part, index) => {
+        const match = part.match(/^\[(\d+)\]$/);
+        if (!match) return part;
+
+        const citation = byNumber.get(parseInt(match[1], 10));
+        // While streaming the sources are not known yet
+        if (!citation) return part;
+
+        return (
+          <Tooltip key={index} title={`${citation.title} · ${formatTimestamp(citation.start)}`}>
+            <Chip
+              label={citation.number}
+              size="small"
+              color="primary"
+              variant="outlined"
+              onClick={() => onOpen(citation)}
+              sx={{ mx: 0.25, height: 20, minWidth: 24, fontSize: '0.7rem', verticalAlign: 'baseline' }}
+            />
+          </Tooltip>
+        );
+      })}
+    </Typography>
+  );
+};
+
+const SourceList = ({ citations, onOpen }) => (
+  <Box sx={{ mt: 1.5, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+    {citations.map(citation => (
+      <Tooltip key={citation.number} title={citation.text}>
+        <Chip
+          size="small"
+          variant="outlined"
+          label={`[${citation.number}] ${citation.title} · ${formatTimestamp(citation.start)}`}
+          onClick={() => onOpen(citation)}
+          sx={{ maxWidth: 320 }}
+        />
+      </Tooltip>
+    ))}
+  </Box>
+);
+
+const Bubble = ({ role, children }) => (
+  <Box sx={{ display: 'flex', justifyContent: role === 'user' ? 'flex-end' : 'flex-start', mb: 2 }}>
+    <Paper
+      variant="outlined"
+      sx={{
+        px: 2,
+        py: 1.5,
+        maxWidth: '85%',
+        bgcolor: role === 'user' ? 'primary.main' : 'background.paper',
+        color: role === 'user' ? 'primary.contrastText' : 'text.primary',
+      }}
+    >
+      {children}
+    </Paper>
+  </Box>
+);
+
+/**
+ * Knowledge assistant: questions answered from the transcripts of all
+ * processes of the tenant (or of one favorite list), with links to the sources
+ */
+const AssistantPage = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { tenant } = useAuth();
+  const tenantId = tenant?.id;
+
+  const [conversationId, setConversationId] = useState(null);
+  const [listId, setListId] = useState('');
+  const [question, setQuestion] = useState('');
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const [truncated, setTruncated] = useState(false);
+  const scrollRef = useRef(null);
+
+  const { data: conversations = [] } = useQuery({
+    queryKey: ['assistantConversations', tenantId],
+    queryFn: async () => {
+      const result = await assistantAPI.getConversations(tenantId);
+      return result.data.data.conversations;
+    },
+    enabled: !!tenantId,
+  });
+
+  const { data: conversation, isLoading: conversationLoading } = useQuery({
+    queryKey: ['assistantConversation', tenantId, conversationId],
+    queryFn: async () => {
+      const result = await assistantAPI.getConversation(tenantId, conversationId);
+      return result.data.data.conversation;
+    },
+    enabled: !!tenantId && !!conversationId,
+  });
+
+  const { data: lists = [] } = useQuery({
+    queryKey: ['favoriteLists', tenantId],
+    queryFn: async () => {
+      const result = await favoriteListAPI.getFavoriteLists(tenantId);
+      return result.data.data;
+    },
+    enabled: !!tenantId,
+  });
+
+  const messages = conversationId ? conversation?.messages || [] : [];
+  const scopeListId = conversationId ? conversation?.listId : listId;
+  const scopeName = scopeListId ? lists.find(list => list.id === scopeListId)?.name : null;
+
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [messages.length, pending?.answer]);
+
+  const openSource = (citation) => navigate(sourceLink(citation));
+
+  const openConversation = (id) => {
+    setConversationId(id);
+    setError(null);
+    setTruncated(false);
+  };
+
+  const handleAsk = async (event) => {
+    event?.preventDefault();
+    const text = question.trim();
+    if (!text || pending) return;
+
+    setError(null);
+    setTruncated(false);
+    setQuestion('');
+    setPending({ question: text, answer: '' });
+
+    try {
+      await assistantAPI.ask(tenantId, {
+        question: text,
+        conversationId: conversationId || undefined,
+        listId: conversationId ? undefined : listId || undefined,
+      }, (streamEvent) => {
+        if (streamEvent.type === 'delta') {
+          setPending(current => current && { ...current, answer: current.answer + streamEvent.content });
+        } else if (streamEvent.type === 'done') {
+          const id = streamEvent.conversation.id;
+          queryClient.setQueryData(['assistantConversation', tenantId, id], (current) => ({
+            ...(current || streamEvent.conversation),
+            messages: [...(current?.messages || []), streamEvent.question, streamEvent.answer],
+          }));
+          queryClient.invalidateQueries({ queryKey: ['assistantConversations', tenantId] });
+          setConversationId(id);
+          setTruncated(!!streamEvent.truncated);
+        } else if (streamEvent.type === 'error') {
+          setError(streamEvent.message);
+          setQuestion(text);
+        }
+      });
+    } catch (askError) {
+      setError(askError.response?.data?.message || 'Failed to answer the question');
+      setQuestion(text);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await assistantAPI.deleteConversation(tenantId, id);
+      queryClient.invalidateQueries({ queryKey: ['assistantConversations', tenantId] });
+      queryClient.removeQueries({ queryKey: ['assistantConversation', tenantId, id] });
+      if (id === conversationId) {
+        setConversationId(null);
+      }
+    } catch (deleteError) {
+      setError('Failed to delete the conversation');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" sx={{ mb: 1, display: 'flex', alignItems: 'center' }}>
+        <AssistantIcon sx={{ mr: 1 }} fontSize="large" />
+        Knowledge Assistant
+      </Typography>
+      <Typography color="text.secondary" sx={{ mb: 3 }}>
+        Ask how things are done in your company. Answers are put together from your recorded processes and link to the moments they come from.
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={3}>
+          <Paper variant="outlined">
+            <Box sx={{ p: 1.5 }}>
+              <Button fullWidth variant="outlined" startIcon={<AddIcon />} onClick={() => openConversation(null)}>
+                New conversation
+              </Button>
+            </Box>
+            <List dense sx={{ maxHeight: 560, overflowY: 'auto' }}>
+              {conversations.map(item => (
+                <ListItem
+                  key={item.id}
+                  disablePadding
+                  secondaryAction={
+                    <IconButton edge="end" size="small" onClick={() => handleDelete(item.id)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  }
+                >
+                  <ListItemButton selected={item.id === conversationId} onClick={() => openConversation(item.id)}>
+                    <ListItemText
+                      primary={item.title}
+                      secondary={formatRelativeTime(item.updatedAt)}
+                      primaryTypographyProps={{ noWrap: true }}
+                    />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+              {conversations.length === 0 && (
+                <ListItem>
+                  <ListItemText secondary="No conversations yet" />
+                </ListItem>
+              )}
+            </List>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={9}>
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              {conversationId ? (
+                <Typography variant="subtitle2" color="text.secondary">
+                  Searching {scopeName ? `the list "${scopeName}"` : 'all processes'}
+                </Typography>
+              ) : (
+                <FormControl size="small" sx={{ minWidth: 240 }}>
+                  <InputLabel>Search in</InputLabel>
+                  <Select label="Search in" value={listId} onChange={(e) => setListId(e.target.value)}>
+                    <MenuItem value="">All processes</MenuItem>
+                    {lists.map(list => (
+                      <MenuItem key={list.id} value={list.id}>{list.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+            </Box>
+
+            <Box ref={scrollRef} sx={{ height: 480, overflowY: 'auto', mb: 2 }}>
+              {conversationId && conversationLoading ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                  <CircularProgress size={24} />
+                </Box>
+              ) : messages.length === 0 && !pending ? (
+                <Typography color="text.secondary" sx={{ textAlign: 'center', mt: 8 }}>
+                  For example: "How do we onboard a new supplier?"
+                </Typography>
+              ) : (
+                messages.map((message, index) => (
+                  <Bubble key={message.id || index} role={message.role}>
+                    {message.role === 'user' ? (
+                      <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{message.content}</Typography>
+                    ) : (
+                      <>
+                        <AnswerContent content={message.content} citations={message.citations} onOpen={openSource} />
+                        {message.citations?.length > 0 && (
+                          <SourceList citations={message.citations} onOpen={openSource} />
+                        )}
+                      </>
+                    )}
+                  </Bubble>
+                ))
+              )}
+
+              {pending && (
+                <>
+                  <Bubble role="user">
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{pending.question}</Typography>
+                  </Bubble>
+                  <Bubble role="assistant">
+                    {pending.answer ? (
+                      <AnswerContent content={pending.answer} onOpen={openSource} />
+                    ) : (
+                      <CircularProgress size={16} />
+                    )}
+                  </Bubble>
+                </>
+              )}
+            </Box>
+
+            {truncated && (
+              <Alert severity="info" sx={{ mb: 2 }} onClose={() => setTruncated(false)}>
+                Not all recordings were searched for this answer: only the most recent ones and those sharing words with the question. Name the topic more precisely, or ask within a favorite list, to reach older recordings.
+              </Alert>
+            )}
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                {error}
+              </Alert>
+            )}
+
+            <Box component="form" onSubmit={handleAsk} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+              <TextField
+                fullWidth
+                size="small"
+                multiline
+                maxRows={4}
+                placeholder="Ask a question about your processes"
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    handleAsk(e);
+                  }
+                }}
+                inputProps={{ maxLength: 1000 }}
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                endIcon={<SendIcon />}
+                disabled={!!pending || !question.trim()}
+              >
+                Ask
+              </Button>
+            </Box>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default AssistantPage;
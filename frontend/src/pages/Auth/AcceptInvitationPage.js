@@ -40,18 +40,25 @@ const schema = yup.object().shape({
     .min(2, 'Last name must be at least 2 characters')
     .max(50, 'Last name cannot exceed 50 characters')
     .required('Last name is required'),
-  password: yup
-    .string()
-    .min(8, 'Password must be at least 8 characters')
-    .matches(
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
-      'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
-    )
-    .required('Password is required'),
-  confirmPassword: yup
-    .string()
-    .oneOf([yup.ref('password'), null], 'Passwords must match')
-    .required('Please confirm your password'),
+  // Workspaces that require single sign-on take no password
+  password: yup.string().when('$ssoRequired', {
+    is: true,
+    then: (field) => field.strip(),
+    otherwise: (field) => field
+      .min(8, 'Password must be at least 8 characters')
+      .matches(
+        /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
+        'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+      )
+      .required('Password is required'),
+  }),
+  confirmPassword: yup.string().when('$ssoRequired', {
+    is: true,
+    then: (field) => field.strip(),
+    otherwise: (field) => field
+      .oneOf([yup.ref('password'), null], 'Passwords must match')
+      .required('Please confirm your password'),
+  }),
 });
 
 const AcceptInvitationPage = () => {
@@ -72,6 +79,7 @@ const AcceptInvitationPage = () => {
     formState: { errors },
   } = useForm({
     resolver: yupResolver(schema),
+    context: { ssoRequired: !!invitation?.ssoRequired },
     mode: 'onBlur',
   });
 
@@ -102,7 +110,11 @@ const AcceptInvitationPage = () => {
         password: data.password,
       });
 
-      if (response.data.success) {
+      if (response.data.code === 'SSO_REQUIRED') {
+        // The account exists now; the first sign-in goes through the
+        // workspace's identity provider
+        window.location.assign(response.data.loginUrl);
+      } else if (response.data.success) {
         const { user, tenant, tokens } = response.data.data;
         
         // Update auth context with the new user credentials
@@ -291,61 +303,70 @@ const AcceptInvitationPage = () => {
               />
             </Box>
 
-            <TextField
-              {...register('password')}
-              fullWidth
-              label="Password"
-              type={showPassword ? 'text' : 'password'}
-              autoComplete="new-password"
-              error={!!errors.password}
-              helperText={errors.password?.message}
-              sx={{ mb: 2 }}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon color="action" />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      onClick={() => setShowPassword(!showPassword)}
-                      edge="end"
-                    >
-                      {showPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-            />
+            {invitation?.ssoRequired ? (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                {invitation.tenant.name} signs in with single sign-on. After joining you continue
+                to your organization's login page.
+              </Alert>
+            ) : (
+              <>
+                <TextField
+                  {...register('password')}
+                  fullWidth
+                  label="Password"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  error={!!errors.password}
+                  helperText={errors.password?.message}
+                  sx={{ mb: 2 }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon color="action" />
+                      </InputAdornment>
+                    ),
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          onClick={() => setShowPassword(!showPassword)}
+                          edge="end"
+                        >
+                          {showPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    ),
+                  }}
+                />
 
-            <TextField
-              {...register('confirmPassword')}
-              fullWidth
-              label="Confirm Password"
-              type={showConfirmPassword ? 'text' : 'password'}
-              autoComplete="new-password"
-              error={!!errors.confirmPassword}
-              helperText={errors.confirmPassword?.message}
-              sx={{ mb: 3 }}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon color="action" />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      onClick={() => setShowConfirmPassword(!showConfirmPassword)}
-                      edge="end"
-                    >
-                      {showConfirmPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-            />
+                <TextField
+                  {...register('confirmPassword')}
+                  fullWidth
+                  label="Confirm Password"
+                  type={showConfirmPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  error={!!errors.confirmPassword}
+                  helperText={errors.confirmPassword?.message}
+                  sx={{ mb: 3 }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon color="action" />
+                      </InputAdornment>
+                    ),
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                          edge="end"
+                        >
+                          {showConfirmPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+              </>
+            )}
 
             <Button
               type="submit"
@@ -357,6 +378,8 @@ const AcceptInvitationPage = () => {
             >
               {isSubmitting ? (
                 <CircularProgress size={24} color="inherit" />
+              ) : invitation?.ssoRequired ? (
+                'Accept Invitation & Continue with SSO'
               ) : (
                 'Accept Invitation & Join'
               )}
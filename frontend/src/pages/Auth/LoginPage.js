@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
+import { Link as RouterLink, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Card,
@@ -19,12 +19,14 @@ import {
   VisibilityOff,
   Email as EmailIcon,
   Lock as LockIcon,
+  Key as KeyIcon,
 } from '@mui/icons-material';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 
 import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../services/api';
 import ProcessLinkLogo from '../../components/Common/ProcessLinkLogo';
 
 const schema = yup.object().shape({
@@ -40,11 +42,17 @@ const schema = yup.object().shape({
 const LoginPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { login } = useAuth();
 
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [loginError, setLoginError] = useState('');
+  // Failed SSO sign-ins come back with the reason in sso_error
+  const [loginError, setLoginError] = useState(searchParams.get('sso_error') || '');
+  // Single sign-on of the workspace the email belongs to, if any
+  const [sso, setSso] = useState(null);
+  // Owners keep password login when their workspace enforces SSO
+  const [ownerLogin, setOwnerLogin] = useState(false);
 
   const from = location.state?.from?.pathname || '/dashboard';
 
@@ -57,6 +65,29 @@ const LoginPage = () => {
     mode: 'onBlur',
   });
 
+  const emailField = register('email');
+
+  const discoverSso = async (email) => {
+    if (!schema.fields.email.isValidSync(email)) {
+      setSso(null);
+      return;
+    }
+
+    try {
+      const result = await authAPI.discoverSso(email.trim());
+      setSso(result.data.data.sso ? result.data.data : null);
+    } catch (error) {
+      // Discovery is a convenience; password login still works without it
+      setSso(null);
+    }
+  };
+
+  const ssoOnly = sso?.enforced && !ownerLogin;
+
+  const startSso = () => {
+    window.location.assign(sso.loginUrl);
+  };
+
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     setLoginError('');
@@ -66,6 +97,9 @@ const LoginPage = () => {
       
       if (result.success) {
         navigate(from, { replace: true });
+      } else if (result.code === 'SSO_REQUIRED') {
+        // The workspace only allows sign-in through its identity provider
+        window.location.assign(result.loginUrl);
       } else {
         setLoginError(result.error || 'Anmeldung fehlgeschlagen. Bitte versuchen Sie es erneut.');
       }
@@ -138,9 +172,23 @@ const LoginPage = () => {
           )}
 
           {/* Login Form */}
-          <Box component="form" onSubmit={handleSubmit(onSubmit)}>
+          <Box
+            component="form"
+            onSubmit={(e) => {
+              if (ssoOnly) {
+                e.preventDefault();
+                startSso();
+              } else {
+                handleSubmit(onSubmit)(e);
+              }
+            }}
+          >
             <TextField
-              {...register('email')}
+              {...emailField}
+              onBlur={(e) => {
+                emailField.onBlur(e);
+                discoverSso(e.target.value);
+              }}
               fullWidth
               label="E-Mail-Adresse"
               type="email"
@@ -158,34 +206,44 @@ const LoginPage = () => {
               }}
             />
 
-            <TextField
-              {...register('password')}
-              fullWidth
-              label="Passwort"
-              type={showPassword ? 'text' : 'password'}
-              autoComplete="current-password"
-              error={!!errors.password}
-              helperText={errors.password?.message}
-              sx={{ mb: 3 }}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon color="action" />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      onClick={handleTogglePassword}
-                      edge="end"
-                      aria-label="toggle password visibility"
-                    >
-                      {showPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-            />
+            {ssoOnly ? (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                {sso.tenantName ? `${sso.tenantName} nutzt` : 'Ihre Organisation nutzt'} Single Sign-On.
+                Melden Sie sich über Ihren Identitätsanbieter an.{' '}
+                <Link component="button" type="button" variant="body2" onClick={() => setOwnerLogin(true)}>
+                  Als Inhaber mit Passwort anmelden
+                </Link>
+              </Alert>
+            ) : (
+              <TextField
+                {...register('password')}
+                fullWidth
+                label="Passwort"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="current-password"
+                error={!!errors.password}
+                helperText={errors.password?.message}
+                sx={{ mb: 3 }}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton
+                        onClick={handleTogglePassword}
+                        edge="end"
+                        aria-label="toggle password visibility"
+                      >
+                        {showPassword ? <VisibilityOff /> : <Visibility />}
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                }}
+              />
+            )}
 
             <Button
               type="submit"
@@ -193,14 +251,30 @@ const LoginPage = () => {
               variant="contained"
               size="large"
               disabled={isSubmitting}
+              startIcon={ssoOnly ? <KeyIcon /> : null}
               sx={{ mb: 2, py: 1.5 }}
             >
               {isSubmitting ? (
                 <CircularProgress size={24} color="inherit" />
+              ) : ssoOnly ? (
+                'Mit SSO anmelden'
               ) : (
                 'Anmelden'
               )}
             </Button>
+
+            {sso && !ssoOnly && (
+              <Button
+                fullWidth
+                variant="outlined"
+                size="large"
+                startIcon={<KeyIcon />}
+                onClick={startSso}
+                sx={{ mb: 2, py: 1.5 }}
+              >
+                Mit SSO anmelden{sso.tenantName ? ` (${sso.tenantName})` : ''}
+              </Button>
+            )}
           </Box>
 
           {/* Links */}
@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Card,
+  CardContent,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+import { useAuth } from '../../contexts/AuthContext';
+import ProcessLinkLogo from '../../components/Common/ProcessLinkLogo';
+
+// The backend redirects here after a single sign-on with a one-time code in
+// the URL fragment, which is exchanged for the session tokens
+const SsoCallbackPage = () => {
+  const navigate = useNavigate();
+  const { loginWithSso } = useAuth();
+  const [error, setError] = useState('');
+  // The code works once, so the exchange must not run twice
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+    if (!code) {
+      setError('Der Anmeldelink ist ungültig. Bitte melden Sie sich erneut an.');
+      return;
+    }
+
+    loginWithSso(code).then((result) => {
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        setError(result.error || 'Anmeldung fehlgeschlagen. Bitte versuchen Sie es erneut.');
+      }
+    });
+  }, [loginWithSso, navigate]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'background.default',
+        p: 3,
+      }}
+    >
+      <Card sx={{ maxWidth: 400, width: '100%', boxShadow: 3, border: '1px solid', borderColor: 'divider' }}>
+        <CardContent sx={{ p: 4, textAlign: 'center' }}>
+          <ProcessLinkLogo size={64} sx={{ mb: 2 }} />
+          {error ? (
+            <>
+              <Alert severity="error" sx={{ mb: 3, textAlign: 'left' }}>
+                {error}
+              </Alert>
+              <Button component={RouterLink} to="/login" variant="contained" fullWidth>
+                Zur Anmeldung
+              </Button>
+            </>
+          ) : (
+            <>
+              <CircularProgress sx={{ mb: 2 }} />
+              <Typography variant="body1">
+                Sie werden angemeldet…
+              </Typography>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default SsoCallbackPage;
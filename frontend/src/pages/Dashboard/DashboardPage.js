@@ -48,6 +48,7 @@ import {
   getStatusText
 } from '../../utils/helpers';
 import { SkeletonLoader } from '../../components/Common/LoadingScreen';
+import ProcessPoster from '../../components/Common/ProcessPoster';
 
 const DashboardPage = () => {
   const navigate = useNavigate();
@@ -420,6 +421,7 @@ const DashboardPage = () => {
                 }}
                 onClick={() => handleProcessClick(process.id)}
               >
+                <ProcessPoster process={process} />
                 <CardContent>
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
                     <Typography variant="h6" sx={{ fontWeight: 600 }}>
@@ -438,6 +440,21 @@ const DashboardPage = () => {
                     {formatRelativeTime(process.createdAt)}
                   </Typography>
 
+                  {process.summary?.abstract && (
+                    <Typography
+                      variant="body2"
+                      sx={{
+                        mb: 2,
+                        display: '-webkit-box',
+                        WebkitLineClamp: 3,
+                        WebkitBoxOrient: 'vertical',
+                        overflow: 'hidden',
+                      }}
+                    >
+                      {process.summary.abstract}
+                    </Typography>
+                  )}
+
                   {/* Status */}
                   <Box sx={{ mb: 2 }}>
                     <Chip 
@@ -311,7 +311,10 @@ const GraphViewPage = () => {
           .style("z-index", 1000)
           .style("box-shadow", "0 4px 12px rgba(0, 0, 0, 0.3)")
           .html(d.type === 'process' 
-            ? `<strong>${d.title || 'Untitled'}</strong><br/>
+            ? `${d.posterUrl
+                ? `<img src="${processAPI.getAssetUrl(d.posterUrl)}" alt="" style="display:block;width:160px;height:90px;object-fit:cover;border-radius:4px;margin-bottom:6px"/>`
+                : ''}
+               <strong>${d.title || 'Untitled'}</strong><br/>
                Status: ${d.status}<br/>
                Created: ${formatRelativeTime(d.createdAt)}<br/>
                Tags: ${d.tags?.length || 0}`
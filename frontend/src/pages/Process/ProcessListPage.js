@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Box,
@@ -43,6 +43,7 @@ import {
   Upload as UploadIcon,
   FavoriteAdd as FavoriteAddIcon,
   PlaylistAdd as PlaylistAddIcon,
+  AccessTime as TimeIcon,
 } from '@mui/icons-material';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 
@@ -53,15 +54,23 @@ import {
   formatBytes, 
   formatRelativeTime, 
   formatDuration,
+  formatTimestamp,
   truncateText,
   getStatusColor,
   getStatusText
 } from '../../utils/helpers';
 import { SkeletonLoader } from '../../components/Common/LoadingScreen';
 import AddToFavoritesDialog from '../../components/Dialogs/AddToFavoritesDialog';
+import ProcessPoster from '../../components/Common/ProcessPoster';
 
 const ITEMS_PER_PAGE = 12;
 
+const SEARCH_MODES = [
+  { value: 'keywords', label: 'Keywords' },
+  { value: 'semantic', label: 'By meaning' },
+  { value: 'hybrid', label: 'Keywords + meaning' },
+];
+
 const ProcessListPage = ({ userFilter = false }) => {
   const navigate = useNavigate();
   const { tenant, user } = useAuth();
@@ -75,6 +84,8 @@ const ProcessListPage = ({ userFilter = false }) => {
   const [sortBy, setSortBy] = useState(searchParams.get('sortBy') || 'createdAt');
   const [sortOrder, setSortOrder] = useState(searchParams.get('sortOrder') || 'desc');
   const [currentPage, setCurrentPage] = useState(parseInt(searchParams.get('page')) || 1);
+  const [searchMode, setSearchMode] = useState(searchParams.get('mode') || 'keywords');
+  const [debouncedQuery, setDebouncedQuery] = useState(searchQuery);
   
   // Menu and dialog state
   const [selectedProcess, setSelectedProcess] = useState(null);
@@ -94,14 +105,26 @@ const ProcessListPage = ({ userFilter = false }) => {
     ...(userFilter && user?.id && { userId: user.id }),
   };
 
+  // Searching by meaning embeds the query, so wait until the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery);
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const semanticSearchActive = searchMode !== 'keywords' && debouncedQuery.trim().length >= 2;
+
   // Update URL params when filters change
   React.useEffect(() => {
     const newParams = new URLSearchParams();
     Object.entries(queryParams).forEach(([key, value]) => {
       if (value) newParams.set(key, value.toString());
     });
+    if (searchMode !== 'keywords') newParams.set('mode', searchMode);
     setSearchParams(newParams, { replace: true });
-  }, [currentPage, sortBy, sortOrder, searchQuery, selectedTags, setSearchParams]);
+  }, [currentPage, sortBy, sortOrder, searchQuery, selectedTags, searchMode, setSearchParams]);
 
   // Fetch processes with enhanced error logging
   const { 
@@ -133,11 +156,26 @@ const ProcessListPage = ({ userFilter = false }) => {
         throw error;
       }
     },
-    enabled: !!tenant?.id,
+    enabled: !!tenant?.id && !semanticSearchActive,
     retry: 2,
     retryDelay: 1000,
   });
 
+  // Ranked search by meaning, with the transcript moments that match the query
+  const {
+    data: searchData,
+    isLoading: searchLoading,
+    error: searchError,
+  } = useQuery({
+    queryKey: ['processSearch', tenant?.id, debouncedQuery.trim(), searchMode],
+    queryFn: async () => {
+      const mode = searchMode === 'semantic' ? 'semantic' : 'hybrid';
+      const result = await processAPI.searchProcesses(tenant?.id, debouncedQuery.trim(), 50, mode);
+      return result.data.data;
+    },
+    enabled: !!tenant?.id && semanticSearchActive,
+  });
+
   // Delete process mutation
   const deleteProcessMutation = useMutation({
     mutationFn: (processId) => processAPI.deleteProcess(tenant?.id, processId),
@@ -152,8 +190,18 @@ const ProcessListPage = ({ userFilter = false }) => {
     },
   });
 
-  const processes = processesData?.data?.processes || [];
-  const pagination = processesData?.data?.pagination || {};
+  // Search results are not paginated; tag and user filters apply on top of them
+  const processes = React.useMemo(() => (
+    semanticSearchActive
+      ? (searchData?.processes || []).filter(process =>
+          selectedTags.every(tag => process.tags?.some(processTag => processTag.name === tag)) &&
+          (!userFilter || String(process.userId) === String(user?.id))
+        )
+      : processesData?.data?.processes || []
+  ), [semanticSearchActive, searchData, selectedTags, userFilter, user?.id, processesData]);
+  const pagination = semanticSearchActive ? {} : processesData?.data?.pagination || {};
+  const isLoading = semanticSearchActive ? searchLoading : processesLoading;
+  const loadError = semanticSearchActive ? searchError : processesError;
 
   // Extract unique tags from all processes for the autocomplete
   const availableTags = React.useMemo(() => {
@@ -192,6 +240,11 @@ const ProcessListPage = ({ userFilter = false }) => {
     navigate(`/processes/${processId}`);
   };
 
+  const handleSegmentClick = (event, processId, segment) => {
+    event.stopPropagation();
+    navigate(`/processes/${processId}?t=${Math.floor(segment.start)}`);
+  };
+
   const handleMenuOpen = (event, process) => {
     event.stopPropagation();
     setSelectedProcess(process);
@@ -243,6 +296,7 @@ const ProcessListPage = ({ userFilter = false }) => {
 
   const clearFilters = () => {
     setSearchQuery('');
+    setSearchMode('keywords');
     setSelectedTags([]);
     setSortBy('createdAt');
     setSortOrder('desc');
@@ -275,7 +329,7 @@ const ProcessListPage = ({ userFilter = false }) => {
       <Card sx={{ mb: 3 }}>
         <CardContent>
           <Grid container spacing={2} alignItems="center">
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={3}>
               <TextField
                 fullWidth
                 placeholder="Search processes..."
@@ -290,7 +344,23 @@ const ProcessListPage = ({ userFilter = false }) => {
                 }}
               />
             </Grid>
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} sm={6} md={2}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Search</InputLabel>
+                <Select
+                  value={searchMode}
+                  onChange={(e) => setSearchMode(e.target.value)}
+                  label="Search"
+                >
+                  {SEARCH_MODES.map(option => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
               <Autocomplete
                 multiple
                 value={selectedTags}
@@ -357,8 +427,10 @@ const ProcessListPage = ({ userFilter = false }) => {
       {/* Results Summary */}
       <Box sx={{ mb: 3 }}>
         <Typography variant="body1" color="text.secondary">
-          {processesLoading ? (
+          {isLoading ? (
             'Loading...'
+          ) : semanticSearchActive ? (
+            `${processes.length} match${processes.length !== 1 ? 'es' : ''}, most relevant first`
           ) : (
             `Showing ${pagination.totalCount || 0} process${pagination.totalCount !== 1 ? 'es' : ''}`
           )}
@@ -366,15 +438,23 @@ const ProcessListPage = ({ userFilter = false }) => {
       </Box>
 
       {/* Error State */}
-      {processesError && (
+      {loadError && (
         <Alert severity="error" sx={{ mb: 3 }}>
-          Failed to load processes. Please try again.
+          {semanticSearchActive
+            ? loadError.response?.data?.message || 'Search failed. Please try again.'
+            : 'Failed to load processes. Please try again.'}
+        </Alert>
+      )}
+
+      {semanticSearchActive && searchData?.degraded && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Search by meaning is currently unavailable, results are based on keywords only.
         </Alert>
       )}
 
       {/* Processes Grid */}
       <Grid container spacing={3}>
-        {processesLoading ? (
+        {isLoading ? (
           // Loading skeletons
           Array.from({ length: ITEMS_PER_PAGE }).map((_, index) => (
             <Grid item xs={12} sm={6} md={4} key={index}>
@@ -436,6 +516,7 @@ const ProcessListPage = ({ userFilter = false }) => {
                 }}
                 onClick={() => handleProcessClick(process.id)}
               >
+                <ProcessPoster process={process} />
                 <CardContent>
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
                     <Typography variant="h6" sx={{ fontWeight: 600, flexGrow: 1, mr: 1 }}>
@@ -453,6 +534,21 @@ const ProcessListPage = ({ userFilter = false }) => {
                     {formatRelativeTime(process.createdAt)}
                   </Typography>
 
+                  {process.summary?.abstract && (
+                    <Typography
+                      variant="body2"
+                      sx={{
+                        mb: 2,
+                        display: '-webkit-box',
+                        WebkitLineClamp: 3,
+                        WebkitBoxOrient: 'vertical',
+                        overflow: 'hidden',
+                      }}
+                    >
+                      {process.summary.abstract}
+                    </Typography>
+                  )}
+
                   {/* Status */}
                   <Box sx={{ mb: 2 }}>
                     <Chip 
@@ -516,6 +612,37 @@ const ProcessListPage = ({ userFilter = false }) => {
                       )}
                     </Box>
                   )}
+
+                  {/* Transcript moments matching the search */}
+                  {semanticSearchActive && process.matchingSegments?.length > 0 && (
+                    <Box sx={{ mt: 2, display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                      {process.matchingSegments.map(segment => (
+                        <Box
+                          key={segment.index}
+                          onClick={(e) => handleSegmentClick(e, process.id, segment)}
+                          sx={{
+                            display: 'flex',
+                            gap: 1,
+                            p: 0.5,
+                            borderRadius: 1,
+                            cursor: 'pointer',
+                            '&:hover': { bgcolor: 'action.hover' },
+                          }}
+                        >
+                          <Chip
+                            icon={<TimeIcon />}
+                            label={formatTimestamp(segment.start)}
+                            size="small"
+                            variant="outlined"
+                            sx={{ fontSize: '0.7rem', flexShrink: 0 }}
+                          />
+                          <Typography variant="body2" color="text.secondary">
+                            {truncateText(segment.text, 90)}
+                          </Typography>
+                        </Box>
+                      ))}
+                    </Box>
+                  )}
                 </CardContent>
 
                 <CardActions sx={{ px: 2, pb: 2 }}>
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -63,6 +63,20 @@ import {
   Assignment as TodoIcon,
   MoreVert as MoreVertIcon,
   PlaylistAdd as PlaylistAddIcon,
+  RecordVoiceOver as SpeakerIcon,
+  Subtitles as SubtitlesIcon,
+  ClosedCaption as CaptionsIcon,
+  History as HistoryIcon,
+  AutoAwesome as RegenerateIcon,
+  GraphicEq as RetranscribeIcon,
+  Image as ThumbnailIcon,
+  HighQuality as AdaptiveStreamIcon,
+  Bookmarks as ChaptersIcon,
+  Summarize as SummaryIcon,
+  QuestionAnswer as AskIcon,
+  OpenInFull as TodoDetailsIcon,
+  ChatBubbleOutline as CommentsIcon,
+  AddComment as AddCommentIcon,
 } from '@mui/icons-material';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 
@@ -83,15 +97,52 @@ import LoadingScreen from '../../components/Common/LoadingScreen';
 import { ProcessWebSocket } from '../../services/api';
 import AddToFavoritesDialog from '../../components/Dialogs/AddToFavoritesDialog';
 import TagEditor from '../../components/TagEditor/TagEditor';
+import TranscriptSegmentEditor from '../../components/Transcript/TranscriptSegmentEditor';
+import TranscriptRevisionsDialog from '../../components/Transcript/TranscriptRevisionsDialog';
+import ProcessHistoryDialog from '../../components/ProcessHistory/ProcessHistoryDialog';
+import ReanalyzeDialog from '../../components/Dialogs/ReanalyzeDialog';
+import RetranscribeDialog from '../../components/Dialogs/RetranscribeDialog';
+import VideoPlayer from '../../components/Common/VideoPlayer';
+import ChapterEditor from '../../components/Chapters/ChapterEditor';
+import ProcessSummary from '../../components/Summary/ProcessSummary';
+import VideoQaPanel from '../../components/QA/VideoQaPanel';
+import TodoMeta from '../../components/Todos/TodoMeta';
+import TodoDetailsDialog from '../../components/Todos/TodoDetailsDialog';
+import TodoExportMenu from '../../components/Todos/TodoExportMenu';
+import { useAssignableMembers } from '../../components/Todos/todoOptions';
+import CommentsPanel from '../../components/Comments/CommentsPanel';
+import { useProcessComments } from '../../components/Comments/commentUtils';
+
+const REANALYSIS_DETAILS = {
+  reanalysis_queued: 'Waiting for the analysis worker...',
+  generating_tags: 'Generating tags...',
+  generating_todos: 'Generating todo list...',
+  generating_title: 'Generating title...',
+  generating_summary: 'Generating summary...',
+  generating_chapters: 'Generating chapters...',
+  generating_embeddings: 'Updating search embedding...',
+};
 
 const ProcessPage = () => {
   const { processId } = useParams();
   const navigate = useNavigate();
-  const { tenant } = useAuth();
+  const [searchParams] = useSearchParams();
+  // Start position from links to a transcript moment, e.g. search results (?t=seconds)
+  const startTime = parseFloat(searchParams.get('t'));
+  const startTimeApplied = useRef(false);
+  const videoRef = useRef(null);
+  // Set when playback failed, so the next token replaces the current source
+  const videoFailed = useRef(false);
+  const { tenant, user } = useAuth();
   const { showNotification } = useNotification();
   const queryClient = useQueryClient();
 
-  const [activeTab, setActiveTab] = useState(0);
+  // Links to a todo, e.g. from assignment notifications (?todo=id), open its details;
+  // links to a comment thread (?comment=id) open the comments tab
+  const [activeTab, setActiveTab] = useState(searchParams.get('comment') ? 5 : searchParams.get('todo') ? 2 : 0);
+  const [detailsTodoId, setDetailsTodoId] = useState(searchParams.get('todo'));
+  const [focusThreadId, setFocusThreadId] = useState(searchParams.get('comment'));
+  const [commentSegment, setCommentSegment] = useState(null);
   const [editingField, setEditingField] = useState(null);
   const [editValues, setEditValues] = useState({});
   const [rawTagInput, setRawTagInput] = useState('');
@@ -101,11 +152,21 @@ const ProcessPage = () => {
   const [shareDialogOpen, setShareDialogOpen] = useState(false);
   const [shareLink, setShareLink] = useState('');
   const [videoCurrentTime, setVideoCurrentTime] = useState(0);
-  const [wsConnection, setWsConnection] = useState(null);
+  const [wsConnected, setWsConnected] = useState(false);
   const [videoToken, setVideoToken] = useState(null);
   const [videoUrl, setVideoUrl] = useState(null);
+  const [hlsUrl, setHlsUrl] = useState(null);
   const [menuAnchor, setMenuAnchor] = useState(null);
   const [favoriteDialogOpen, setFavoriteDialogOpen] = useState(false);
+  const [speakerRename, setSpeakerRename] = useState(null);
+  const [subtitlesUrl, setSubtitlesUrl] = useState(null);
+  const [editingSegments, setEditingSegments] = useState(false);
+  const [revisionsOpen, setRevisionsOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [reanalyzeSteps, setReanalyzeSteps] = useState(null);
+  const previousReanalysisStatus = useRef(null);
+  const [retranscribeOpen, setRetranscribeOpen] = useState(false);
+  const previousRetranscriptionStatus = useRef(null);
 
   // Fetch process details
   const { 
@@ -120,15 +181,25 @@ const ProcessPage = () => {
       return result.data.data; // Return the data object containing process
     },
     enabled: !!tenant?.id && !!processId,
-    refetchInterval: (data) => {
-      // Auto-refresh if still processing
-      const process = data?.process;
-      return process && !['completed', 'failed'].includes(process.status) ? 5000 : false;
+    refetchInterval: (query) => {
+      // Fallback polling while processing; live updates normally arrive over the WebSocket
+      const process = query.state.data?.process;
+      if (process?.reanalysis?.status === 'queued' || process?.retranscription?.status === 'queued') {
+        return 3000; // Re-analysis and re-transcription status is only reported through the process document
+      }
+      if (!process || ['completed', 'failed'].includes(process.status)) {
+        return false;
+      }
+      return wsConnected ? 30000 : 5000;
     },
   });
 
   // Extract process from the data structure
   const process = processData?.process;
+  const assignableMembers = useAssignableMembers(tenant?.id, user);
+  const { data: commentThreads = [] } = useProcessComments(tenant?.id, processId);
+  const openThreads = commentThreads.filter(thread => !thread.resolved);
+  const detailsTodo = process?.todoList?.find(todo => todo.id === detailsTodoId) || null;
   
   // Debug logging for todo timestamps
   React.useEffect(() => {
@@ -153,14 +224,94 @@ const ProcessPage = () => {
     refetchInterval: 50 * 60 * 1000, // Auto-refresh every 50 minutes
   });
 
-  // Update video URL when token changes
+  // Update video URL when token changes; a playing source is kept until it fails
+  const hlsStatus = process?.files?.hls?.status;
+
   useEffect(() => {
     if (tokenData?.token && tenant?.id && processId) {
       const url = processAPI.getVideoUrl(tenant.id, processId, tokenData.token);
-      setVideoUrl(url);
+      setVideoUrl((current) => (!current || videoFailed.current ? url : current));
       setVideoToken(tokenData.token);
+      videoFailed.current = false;
+
+      // Rendition playlists and segments carry their own tokens once the master is loaded
+      if (hlsStatus === 'completed') {
+        setHlsUrl((current) => current || processAPI.getHlsUrl(tenant.id, processId, tokenData.token));
+      }
     }
-  }, [tokenData, tenant?.id, processId]);
+  }, [tokenData, tenant?.id, processId, hlsStatus]);
+
+  // Load the WebVTT track as a blob URL (the subtitles endpoint needs the auth header)
+  const segmentCount = process?.transcript?.segments?.length || 0;
+  const transcriptUpdatedAt = process?.updatedAt;
+
+  useEffect(() => {
+    if (!tenant?.id || !processId || process?.status !== 'completed' || segmentCount === 0) {
+      return;
+    }
+
+    let objectUrl = null;
+    processAPI.getSubtitles(tenant.id, processId, 'vtt')
+      .then((response) => {
+        objectUrl = URL.createObjectURL(new Blob([response.data], { type: 'text/vtt' }));
+        setSubtitlesUrl(objectUrl);
+      })
+      .catch((error) => {
+        console.error('Failed to load subtitles:', error);
+      });
+
+    return () => {
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [tenant?.id, processId, process?.status, segmentCount, transcriptUpdatedAt]);
+
+  // Captioned video status (burned-in captions)
+  const { data: captionedVideo } = useQuery({
+    queryKey: ['captionedVideo', tenant?.id, processId],
+    queryFn: async () => {
+      const result = await processAPI.getCaptionedVideo(tenant?.id, processId);
+      return result.data.data;
+    },
+    enabled: !!tenant?.id && !!processId && process?.status === 'completed',
+    refetchInterval: (query) => (
+      ['pending', 'processing'].includes(query.state.data?.status) ? 5000 : false
+    ),
+  });
+
+  const requestCaptionedVideoMutation = useMutation({
+    mutationFn: () => processAPI.requestCaptionedVideo(tenant?.id, processId),
+    onSuccess: () => {
+      showNotification('Captioned video is being generated', 'info');
+      queryClient.invalidateQueries(['captionedVideo', tenant?.id, processId]);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to start caption burn-in', 'error');
+    },
+  });
+
+  const requestHlsPackagingMutation = useMutation({
+    mutationFn: () => processAPI.requestHlsPackaging(tenant?.id, processId),
+    onSuccess: () => {
+      showNotification('Adaptive stream is being prepared', 'info');
+      queryClient.invalidateQueries(['process', tenant?.id, processId]);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to start adaptive stream packaging', 'error');
+    },
+  });
+
+  const requestThumbnailsMutation = useMutation({
+    mutationFn: () => processAPI.requestThumbnails(tenant?.id, processId),
+    onSuccess: () => {
+      showNotification('Thumbnails are being generated', 'info');
+      queryClient.invalidateQueries(['process', tenant?.id, processId]);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to start thumbnail generation', 'error');
+    },
+  });
 
   // Handle video token refresh on error
   const handleVideoError = async (error) => {
@@ -180,6 +331,7 @@ const ProcessPage = () => {
     // 4 = MEDIA_ERR_SRC_NOT_SUPPORTED - format not supported
     
     const errorCode = error.target?.error?.code;
+    videoFailed.current = true;
     
     // If it's a network error or source not supported, try refreshing the token
     if (errorCode === 2 || errorCode === 4 || error.target?.networkState === 3) {
@@ -197,12 +349,26 @@ const ProcessPage = () => {
     }
   };
 
+  // Single todo items are updated on their own so assignees and comments stay untouched
+  const updateTodoMutation = useMutation({
+    mutationFn: ({ todoId, changes }) => processAPI.updateTodo(tenant?.id, processId, todoId, changes),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['process', tenant?.id, processId] });
+      queryClient.invalidateQueries({ queryKey: ['processVersions', tenant?.id, processId] });
+      queryClient.invalidateQueries({ queryKey: ['assignedTodos', tenant?.id] });
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to update todo', 'error');
+    },
+  });
+
   // Update process mutation
   const updateProcessMutation = useMutation({
     mutationFn: (updates) => processAPI.updateProcess(tenant?.id, processId, updates),
     onSuccess: () => {
       showNotification('Process updated successfully', 'success');
       queryClient.invalidateQueries(['process', tenant?.id, processId]);
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
       setEditingField(null);
       setEditValues({});
       setRawTagInput('');
@@ -218,6 +384,158 @@ const ProcessPage = () => {
     },
   });
 
+  // Rename speaker mutation - applies to every segment of that speaker
+  const renameSpeakerMutation = useMutation({
+    mutationFn: ({ from, to }) => processAPI.renameSpeaker(tenant?.id, processId, from, to),
+    onSuccess: () => {
+      showNotification('Speaker renamed successfully', 'success');
+      queryClient.invalidateQueries(['process', tenant?.id, processId]);
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+      setSpeakerRename(null);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to rename speaker', 'error');
+    },
+  });
+
+  // Transcript segment edits - sent with the revision they are based on
+  const patchTranscriptMutation = useMutation({
+    mutationFn: (operations) => processAPI.patchTranscript(
+      tenant?.id,
+      processId,
+      operations,
+      process?.transcript?.revision || 0
+    ),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['process', tenant?.id, processId], (old) => (
+        old ? { ...old, process: response.data.data.process } : old
+      ));
+      queryClient.invalidateQueries(['transcriptRevisions', tenant?.id, processId]);
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+    },
+    onError: (error) => {
+      if (error.response?.status === 409) {
+        refetchProcess();
+      }
+      const errorMsg = error.response?.data?.errors
+        ? error.response.data.errors.join(', ')
+        : error.response?.data?.message || 'Failed to update transcript';
+      showNotification(errorMsg, 'error');
+    },
+  });
+
+  const revertTranscriptMutation = useMutation({
+    mutationFn: (revision) => processAPI.revertTranscriptRevision(tenant?.id, processId, revision),
+    onSuccess: (response) => {
+      showNotification(response.data.message || 'Transcript restored', 'success');
+      queryClient.setQueryData(['process', tenant?.id, processId], (old) => (
+        old ? { ...old, process: response.data.data.process } : old
+      ));
+      queryClient.invalidateQueries(['transcriptRevisions', tenant?.id, processId]);
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+      setRevisionsOpen(false);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to restore transcript', 'error');
+    },
+  });
+
+  const restoreVersionMutation = useMutation({
+    mutationFn: (version) => processAPI.restoreProcessVersion(tenant?.id, processId, version),
+    onSuccess: (response) => {
+      showNotification(response.data.message || 'Version restored', 'success');
+      queryClient.setQueryData(['process', tenant?.id, processId], (old) => (
+        old ? { ...old, process: response.data.data.process } : old
+      ));
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+      queryClient.invalidateQueries(['transcriptRevisions', tenant?.id, processId]);
+      setHistoryOpen(false);
+    },
+    onError: (error) => {
+      showNotification(error.response?.data?.message || 'Failed to restore version', 'error');
+    },
+  });
+
+  const reanalyzeMutation = useMutation({
+    mutationFn: ({ steps, instructions }) => processAPI.reanalyzeProcess(tenant?.id, processId, steps, instructions),
+    onSuccess: () => {
+      showNotification('Regeneration started', 'success');
+      setReanalyzeSteps(null);
+      refetchProcess();
+    },
+    onError: (error) => {
+      const errorMsg = error.response?.data?.errors
+        ? error.response.data.errors.join(', ')
+        : error.response?.data?.message || 'Failed to start regeneration';
+      showNotification(errorMsg, 'error');
+    },
+  });
+
+  const reanalysisStatus = process?.reanalysis?.status || null;
+  const reanalysisError = process?.reanalysis?.error;
+  const isReanalyzing = reanalysisStatus === 'queued';
+
+  // Report the outcome once a running re-analysis finishes; the ref makes
+  // sure each finished run is reported once
+  useEffect(() => {
+    if (previousReanalysisStatus.current === 'queued' && reanalysisStatus === 'completed') {
+      showNotification('Regenerated content is ready', 'success');
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+    } else if (previousReanalysisStatus.current === 'queued' && reanalysisStatus === 'failed') {
+      showNotification(`Regeneration failed: ${reanalysisError || 'unknown error'}`, 'error');
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+    }
+    previousReanalysisStatus.current = reanalysisStatus;
+  }, [reanalysisStatus, reanalysisError, showNotification, queryClient, tenant?.id, processId]);
+
+  const retranscribeMutation = useMutation({
+    mutationFn: (options) => processAPI.retranscribeProcess(tenant?.id, processId, options),
+    onSuccess: () => {
+      showNotification('Re-transcription started', 'success');
+      setRetranscribeOpen(false);
+      refetchProcess();
+    },
+    onError: (error) => {
+      const errorMsg = error.response?.data?.errors
+        ? error.response.data.errors.join(', ')
+        : error.response?.data?.message || 'Failed to start re-transcription';
+      showNotification(errorMsg, 'error');
+    },
+  });
+
+  const retranscriptionStatus = process?.retranscription?.status || null;
+  const retranscriptionError = process?.retranscription?.error;
+  const isRetranscribing = retranscriptionStatus === 'queued';
+
+  // Report the outcome once a running re-transcription finishes, once per run
+  useEffect(() => {
+    if (previousRetranscriptionStatus.current === 'queued' && retranscriptionStatus === 'completed') {
+      showNotification('The new transcript is ready', 'success');
+      queryClient.invalidateQueries(['transcriptRevisions', tenant?.id, processId]);
+      queryClient.invalidateQueries(['processVersions', tenant?.id, processId]);
+    } else if (previousRetranscriptionStatus.current === 'queued' && retranscriptionStatus === 'failed') {
+      showNotification(`Re-transcription failed: ${retranscriptionError || 'unknown error'}`, 'error');
+    }
+    previousRetranscriptionStatus.current = retranscriptionStatus;
+  }, [retranscriptionStatus, retranscriptionError, showNotification, queryClient, tenant?.id, processId]);
+
+  const openReanalyze = (steps) => {
+    if (process?.status !== 'completed') {
+      showNotification('Regeneration is available once processing has finished', 'info');
+      return;
+    }
+    setReanalyzeSteps(steps);
+  };
+
+  const handleApplyTranscriptEdits = async (operations) => {
+    try {
+      await patchTranscriptMutation.mutateAsync(operations);
+      return true;
+    } catch (error) {
+      return false; // Reported in onError
+    }
+  };
+
   // Share link mutation
   const generateShareMutation = useMutation({
     mutationFn: () => processAPI.generateShareLink(tenant?.id, processId),
@@ -231,39 +549,43 @@ const ProcessPage = () => {
   });
 
   // WebSocket connection for real-time updates
+  const isProcessing = !!process && !['completed', 'failed'].includes(process.status);
+
   useEffect(() => {
-    if (!process || ['completed', 'failed'].includes(process.status)) {
+    if (!isProcessing || !tenant?.id) {
       return;
     }
 
-    const ws = new ProcessWebSocket(tenant?.id, processId);
+    const ws = new ProcessWebSocket(tenant.id, processId);
     
     ws.on('update', (data) => {
-      // Update the process data with real-time info
-      queryClient.setQueryData(['process', tenant?.id, processId], (old) => ({
+      // Merge the pushed status into the cached process
+      queryClient.setQueryData(['process', tenant.id, processId], (old) => old && ({
         ...old,
-        data: {
-          ...old.data,
-          process: {
-            ...old.data.process,
-            status: data.status,
-            progress: data.progress,
-          }
+        process: {
+          ...old.process,
+          status: data.status,
+          processingDetails: data.processingDetails,
+          progress: data.progress || old.process.progress,
         }
       }));
-    });
 
-    ws.on('completed', () => {
-      refetchProcess();
+      // Reload the full document once results are available
+      if (['completed', 'failed'].includes(data.status)) {
+        refetchProcess();
+      }
     });
 
+    ws.on('connected', () => setWsConnected(true));
+    ws.on('disconnected', () => setWsConnected(false));
+
     ws.connect();
-    setWsConnection(ws);
 
     return () => {
       ws.disconnect();
+      setWsConnected(false);
     };
-  }, [process?.status, tenant?.id, processId, queryClient, refetchProcess]);
+  }, [isProcessing, tenant?.id, processId, queryClient, refetchProcess]);
 
   const handleTabChange = (event, newValue) => {
     setActiveTab(newValue);
@@ -298,21 +620,9 @@ const ProcessPage = () => {
     updateProcessMutation.mutate({ tags: newTags });
   };
 
-  const sanitizeTodos = (todos) => {
-    return todos.map(todo => ({
-      task: todo.task,
-      timestamp: todo.timestamp !== null && todo.timestamp !== undefined 
-        ? (typeof todo.timestamp === 'string' ? parseFloat(todo.timestamp) : Number(todo.timestamp))
-        : null,
-      completed: Boolean(todo.completed)
-    }));
-  };
-
   const handleTodoToggle = (todoIndex) => {
-    const updatedTodos = [...process.todoList];
-    updatedTodos[todoIndex].completed = !updatedTodos[todoIndex].completed;
-    
-    updateProcessMutation.mutate({ todoList: sanitizeTodos(updatedTodos) });
+    const todo = process.todoList[todoIndex];
+    updateTodoMutation.mutate({ todoId: todo.id, changes: { completed: !todo.completed } });
   };
 
   const handleTodoEdit = (todoIndex) => {
@@ -322,12 +632,13 @@ const ProcessPage = () => {
   };
 
   const handleTodoSave = (todoIndex) => {
-    const updatedTodos = [...process.todoList];
-    updatedTodos[todoIndex].task = editingTodoValue.trim();
-    updatedTodos[todoIndex].timestamp = editingTodoTimestamp;
-    
-    if (updatedTodos[todoIndex].task) {
-      updateProcessMutation.mutate({ todoList: sanitizeTodos(updatedTodos) });
+    const task = editingTodoValue.trim();
+
+    if (task) {
+      updateTodoMutation.mutate({
+        todoId: process.todoList[todoIndex].id,
+        changes: { task, timestamp: editingTodoTimestamp ?? null },
+      });
       setEditingTodoIndex(null);
       setEditingTodoValue('');
       setEditingTodoTimestamp(null);
@@ -362,6 +673,29 @@ const ProcessPage = () => {
     }
   };
 
+  const speakers = [...new Set(
+    (process?.transcript?.segments || []).map(segment => segment.speaker).filter(Boolean)
+  )];
+
+  const handleSpeakerRenameSave = () => {
+    const to = speakerRename?.to?.trim();
+    if (!to || to === speakerRename.from) {
+      setSpeakerRename(null);
+      return;
+    }
+    renameSpeakerMutation.mutate({ from: speakerRename.from, to });
+  };
+
+  const handleDownloadSubtitles = async (format) => {
+    try {
+      const response = await processAPI.getSubtitles(tenant?.id, processId, format);
+      const filename = `${process.title || process.originalFilename}.${format}`;
+      downloadFile(response.data, filename, format === 'vtt' ? 'text/vtt' : 'application/x-subrip');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to export subtitles', 'error');
+    }
+  };
+
   const handleCopyShareLink = async () => {
     const success = await copyToClipboard(shareLink);
     if (success) {
@@ -369,11 +703,20 @@ const ProcessPage = () => {
     }
   };
 
+  const openThread = (threadId) => {
+    setFocusThreadId(threadId);
+    setActiveTab(5);
+  };
+
+  const commentOnSegment = (index) => {
+    setCommentSegment(index);
+    setActiveTab(5);
+  };
+
   const jumpToTimestamp = (timestamp) => {
-    const videoElement = document.getElementById('process-video');
-    if (videoElement) {
-      videoElement.currentTime = timestamp;
-      videoElement.play();
+    if (videoRef.current) {
+      videoRef.current.currentTime(timestamp);
+      videoRef.current.play();
     }
   };
 
@@ -390,6 +733,25 @@ const ProcessPage = () => {
     setFavoriteDialogOpen(true);
   };
 
+  const handleHistoryClick = () => {
+    handleMenuClose();
+    setHistoryOpen(true);
+  };
+
+  const handleReanalyzeClick = () => {
+    handleMenuClose();
+    openReanalyze(['title', 'tags', 'todos', 'summary', 'chapters', 'embedding']);
+  };
+
+  const handleRetranscribeClick = () => {
+    handleMenuClose();
+    if (process?.status !== 'completed') {
+      showNotification('Re-transcription is available once processing has finished', 'info');
+      return;
+    }
+    setRetranscribeOpen(true);
+  };
+
   if (processLoading) {
     return <LoadingScreen message="Loading process details..." />;
   }
@@ -416,6 +778,9 @@ const ProcessPage = () => {
     { label: 'Overview', icon: <PlayIcon /> },
     { label: 'Transcript', icon: <TranscriptIcon /> },
     { label: 'Todo List', icon: <TodoIcon /> },
+    { label: 'Chapters', icon: <ChaptersIcon /> },
+    { label: 'Ask', icon: <AskIcon /> },
+    { label: openThreads.length ? `Comments (${openThreads.length})` : 'Comments', icon: <CommentsIcon /> },
     { label: 'Details', icon: <TimeIcon /> },
   ];
 
@@ -458,6 +823,17 @@ const ProcessPage = () => {
                 >
                   <EditIcon />
                 </IconButton>
+                <Tooltip title="Regenerate title">
+                  <span>
+                    <IconButton
+                      onClick={() => openReanalyze(['title'])}
+                      color="primary"
+                      disabled={isReanalyzing}
+                    >
+                      <RegenerateIcon />
+                    </IconButton>
+                  </span>
+                </Tooltip>
                 <IconButton 
                   onClick={() => generateShareMutation.mutate()}
                   color="primary"
@@ -497,6 +873,22 @@ const ProcessPage = () => {
         </Box>
       </Box>
 
+      {/* Re-analysis Status */}
+      {isReanalyzing && (
+        <Alert severity="info" sx={{ mb: 3 }} icon={<CircularProgress size={20} />}>
+          <AlertTitle>Regenerating {process.reanalysis.steps.join(', ')}</AlertTitle>
+          {REANALYSIS_DETAILS[process.processingDetails] || 'Working...'}
+        </Alert>
+      )}
+
+      {/* Re-transcription Status */}
+      {isRetranscribing && (
+        <Alert severity="info" sx={{ mb: 3 }} icon={<CircularProgress size={20} />}>
+          <AlertTitle>Re-transcribing</AlertTitle>
+          {process.progress?.stepDetails || 'Preparing the audio...'}
+        </Alert>
+      )}
+
       {/* Progress Bar for Processing */}
       {!['completed', 'failed'].includes(process.status) && process.progress && (
         <Card sx={{ mb: 3 }}>
@@ -526,30 +918,31 @@ const ProcessPage = () => {
           <Card sx={{ mb: 3 }}>
             <CardContent>
               {process.status === 'completed' && process.files?.processed && videoUrl ? (
-                <video
-                  id="process-video"
-                  controls
-                  width="100%"
-                  style={{
-                    maxHeight: '400px',
-                    backgroundColor: '#000',
-                    borderRadius: '8px',
-                  }}
-                  onTimeUpdate={(e) => setVideoCurrentTime(e.target.currentTime)}
-                  onError={(e) => {
-                    console.error('Video playback error:', e.target.error);
-                    console.error('Video URL:', videoUrl);
-                    console.error('Error code:', e.target.error?.code);
-                    console.error('Error message:', e.target.error?.message);
-                    handleVideoError(e);
+                <VideoPlayer
+                  ref={videoRef}
+                  src={videoUrl}
+                  hlsSrc={hlsUrl}
+                  poster={processAPI.getAssetUrl(process.files.thumbnails?.posterUrl) || undefined}
+                  onTimeUpdate={setVideoCurrentTime}
+                  onLoadedMetadata={() => {
+                    if (startTime > 0 && !startTimeApplied.current) {
+                      startTimeApplied.current = true;
+                      videoRef.current?.currentTime(startTime);
+                    }
                   }}
-                >
-                  <source 
-                    src={videoUrl} 
-                    type="video/mp4" 
-                  />
-                  Your browser does not support the video tag.
-                </video>
+                  onError={handleVideoError}
+                  subtitlesSrc={subtitlesUrl}
+                  subtitlesLang={process.transcript?.language || 'en'}
+                  chapters={process.chapters}
+                  markers={openThreads
+                    .filter(thread => typeof thread.timestamp === 'number')
+                    .map(thread => ({ id: thread.id, time: thread.timestamp, label: thread.text }))}
+                  onMarkerClick={(marker) => openThread(marker.id)}
+                  thumbnails={process.files.thumbnails?.spriteUrl ? {
+                    spriteUrl: processAPI.getAssetUrl(process.files.thumbnails.spriteUrl),
+                    layout: process.files.thumbnails.layout,
+                  } : null}
+                />
               ) : (
                 <Box
                   sx={{
@@ -595,6 +988,33 @@ const ProcessPage = () => {
               {/* Overview Tab */}
               {activeTab === 0 && (
                 <Box>
+                  {/* Summary */}
+                  <Box sx={{ mb: 3 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center' }}>
+                        <SummaryIcon sx={{ mr: 1 }} />
+                        Summary
+                      </Typography>
+                      <Tooltip title="Regenerate summary">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => openReanalyze(['summary'])}
+                            disabled={isReanalyzing || !process.transcript?.text}
+                          >
+                            <RegenerateIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </Box>
+                    <ProcessSummary
+                      summary={process.summary}
+                      saving={updateProcessMutation.isPending}
+                      readOnly={process.status !== 'completed'}
+                      onSave={(summary) => updateProcessMutation.mutateAsync({ summary })}
+                    />
+                  </Box>
+
                   {/* Tags */}
                   <Typography variant="h6" sx={{ mb: 2, display: 'flex', alignItems: 'center' }}>
                     <TagIcon sx={{ mr: 1 }} />
@@ -616,6 +1036,17 @@ const ProcessPage = () => {
                       >
                         <EditIcon fontSize="small" />
                       </IconButton>
+                      <Tooltip title="Regenerate tags">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => openReanalyze(['tags', 'embedding'])}
+                            disabled={isReanalyzing}
+                          >
+                            <RegenerateIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
                     </Box>
                   </Box>
 
@@ -668,6 +1099,23 @@ const ProcessPage = () => {
                       Full Transcript
                     </Typography>
                     <Box>
+                      {segmentCount > 0 && (
+                        <Tooltip title={editingSegments ? 'Done editing' : 'Edit segments'}>
+                          <IconButton
+                            onClick={() => setEditingSegments(!editingSegments)}
+                            color={editingSegments ? 'primary' : 'default'}
+                          >
+                            {editingSegments ? <SaveIcon /> : <EditIcon />}
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      <Tooltip title="Transcript history">
+                        <span>
+                          <IconButton onClick={() => setRevisionsOpen(true)} disabled={segmentCount === 0}>
+                            <HistoryIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
                       <Tooltip title="Copy transcript">
                         <IconButton onClick={handleCopyTranscript}>
                           <CopyIcon />
@@ -678,13 +1126,57 @@ const ProcessPage = () => {
                           <DownloadIcon />
                         </IconButton>
                       </Tooltip>
+                      <Tooltip title="Download subtitles (SRT)">
+                        <span>
+                          <IconButton onClick={() => handleDownloadSubtitles('srt')} disabled={segmentCount === 0}>
+                            <SubtitlesIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
                     </Box>
                   </Box>
 
                   {process.transcript?.text ? (
                     <Box>
+                      {/* Speakers */}
+                      {speakers.length > 0 && (
+                        <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                          <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+                            Speakers:
+                          </Typography>
+                          {speakers.map((speaker) => (
+                            <Tooltip key={speaker} title="Click to rename">
+                              <Chip
+                                icon={<SpeakerIcon />}
+                                label={speaker}
+                                size="small"
+                                variant="outlined"
+                                onClick={() => setSpeakerRename({ from: speaker, to: speaker })}
+                              />
+                            </Tooltip>
+                          ))}
+                        </Box>
+                      )}
+
+                      {/* Segment Editor */}
+                      {editingSegments && segmentCount > 0 && (
+                        <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+                          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                            Play the video to the point where a segment should be split. The full
+                            transcript text is rebuilt from the segments on every change.
+                          </Typography>
+                          <TranscriptSegmentEditor
+                            segments={process.transcript.segments}
+                            currentTime={videoCurrentTime}
+                            saving={patchTranscriptMutation.isPending}
+                            onApply={handleApplyTranscriptEdits}
+                            onJump={jumpToTimestamp}
+                          />
+                        </Paper>
+                      )}
+
                       {/* Timed Segments */}
-                      {process.transcript.segments && process.transcript.segments.length > 0 && (
+                      {!editingSegments && process.transcript.segments && process.transcript.segments.length > 0 && (
                         <Accordion sx={{ mb: 2 }}>
                           <AccordionSummary expandIcon={<ExpandMoreIcon />}>
                             <Typography>View Timed Segments</Typography>
@@ -696,6 +1188,13 @@ const ProcessPage = () => {
                                   key={index}
                                   button
                                   onClick={() => jumpToTimestamp(segment.start)}
+                                  secondaryAction={
+                                    <Tooltip title="Comment on this segment">
+                                      <IconButton edge="end" size="small" onClick={() => commentOnSegment(index)}>
+                                        <AddCommentIcon fontSize="small" />
+                                      </IconButton>
+                                    </Tooltip>
+                                  }
                                 >
                                   <ListItemIcon>
                                     <Chip 
@@ -704,7 +1203,10 @@ const ProcessPage = () => {
                                       variant="outlined"
                                     />
                                   </ListItemIcon>
-                                  <ListItemText primary={segment.text} />
+                                  <ListItemText
+                                    primary={segment.text}
+                                    secondary={segment.speaker || null}
+                                  />
                                 </ListItem>
                               ))}
                             </List>
@@ -748,14 +1250,32 @@ const ProcessPage = () => {
               {/* Todo List Tab */}
               {activeTab === 2 && (
                 <Box>
-                  <Typography variant="h6" sx={{ mb: 2 }}>
-                    Generated Todo List
-                  </Typography>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                    <Typography variant="h6">
+                      Generated Todo List
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <TodoExportMenu
+                        tenantId={tenant?.id}
+                        processId={processId}
+                        processTitle={process.title}
+                        disabled={!process.todoList?.length}
+                      />
+                      <Button
+                        size="small"
+                        startIcon={<RegenerateIcon />}
+                        onClick={() => openReanalyze(['todos'])}
+                        disabled={isReanalyzing}
+                      >
+                        Regenerate
+                      </Button>
+                    </Box>
+                  </Box>
                   
                   {process.todoList && process.todoList.length > 0 ? (
                     <List>
                       {process.todoList.map((todo, index) => (
-                        <ListItem key={index} sx={{ pl: 0 }}>
+                        <ListItem key={todo.id || index} sx={{ pl: 0 }}>
                           <ListItemIcon>
                             <Checkbox
                               checked={todo.completed || false}
@@ -828,17 +1348,28 @@ const ProcessPage = () => {
                                         color="primary"
                                       />
                                     )}
+                                    <TodoMeta todo={todo} members={assignableMembers} />
                                   </Box>
                                 }
                                 sx={{
-                                  textDecoration: todo.completed ? 'line-through' : 'none',
+                                  '& .MuiListItemText-primary': {
+                                    textDecoration: todo.completed ? 'line-through' : 'none',
+                                  },
                                   opacity: todo.completed ? 0.7 : 1
                                 }}
                               />
+                              <Tooltip title="Assignees, due date and comments">
+                                <IconButton
+                                  onClick={() => setDetailsTodoId(todo.id)}
+                                  size="small"
+                                  sx={{ ml: 1 }}
+                                >
+                                  <TodoDetailsIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
                               <IconButton 
                                 onClick={() => handleTodoEdit(index)} 
                                 size="small"
-                                sx={{ ml: 1 }}
                               >
                                 <EditIcon fontSize="small" />
                               </IconButton>
@@ -858,8 +1389,63 @@ const ProcessPage = () => {
                 </Box>
               )}
 
-              {/* Details Tab */}
+              {/* Chapters Tab */}
               {activeTab === 3 && (
+                <Box>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                    <Typography variant="h6">
+                      Chapters
+                    </Typography>
+                    <Button
+                      size="small"
+                      startIcon={<RegenerateIcon />}
+                      onClick={() => openReanalyze(['chapters'])}
+                      disabled={isReanalyzing || segmentCount === 0}
+                    >
+                      Regenerate
+                    </Button>
+                  </Box>
+
+                  <ChapterEditor
+                    chapters={process.chapters || []}
+                    currentTime={videoCurrentTime}
+                    saving={updateProcessMutation.isPending}
+                    readOnly={process.status !== 'completed'}
+                    onSave={(chapters) => updateProcessMutation.mutateAsync({ chapters })}
+                    onJump={jumpToTimestamp}
+                  />
+                </Box>
+              )}
+
+              {/* Ask Tab */}
+              {activeTab === 4 && (
+                <VideoQaPanel
+                  tenantId={tenant?.id}
+                  processId={processId}
+                  segments={process.transcript?.segments || []}
+                  disabled={segmentCount === 0}
+                  onJump={jumpToTimestamp}
+                />
+              )}
+
+              {/* Comments Tab */}
+              {activeTab === 5 && (
+                <CommentsPanel
+                  tenantId={tenant?.id}
+                  processId={processId}
+                  process={process}
+                  currentTime={videoCurrentTime}
+                  members={assignableMembers}
+                  currentUser={user}
+                  focusThreadId={focusThreadId}
+                  segmentIndex={commentSegment}
+                  onClearSegment={() => setCommentSegment(null)}
+                  onJump={jumpToTimestamp}
+                />
+              )}
+
+              {/* Details Tab */}
+              {activeTab === 6 && (
                 <Box>
                   <Typography variant="h6" sx={{ mb: 2 }}>
                     Process Details
@@ -954,6 +1540,67 @@ const ProcessPage = () => {
                 >
                   Download Transcript
                 </Button>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button
+                    variant="outlined"
+                    startIcon={<SubtitlesIcon />}
+                    onClick={() => handleDownloadSubtitles('srt')}
+                    disabled={segmentCount === 0}
+                    fullWidth
+                  >
+                    SRT
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    startIcon={<SubtitlesIcon />}
+                    onClick={() => handleDownloadSubtitles('vtt')}
+                    disabled={segmentCount === 0}
+                    fullWidth
+                  >
+                    WebVTT
+                  </Button>
+                </Box>
+                {captionedVideo?.status === 'completed' && captionedVideo.downloadUrl ? (
+                  <Button
+                    variant="outlined"
+                    startIcon={<CaptionsIcon />}
+                    href={captionedVideo.downloadUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    fullWidth
+                  >
+                    Download Captioned Video
+                  </Button>
+                ) : (
+                  <Button
+                    variant="outlined"
+                    startIcon={
+                      ['pending', 'processing'].includes(captionedVideo?.status)
+                        ? <CircularProgress size={16} />
+                        : <CaptionsIcon />
+                    }
+                    onClick={() => requestCaptionedVideoMutation.mutate()}
+                    disabled={
+                      process.status !== 'completed' ||
+                      process.files?.processed?.storageType !== 's3' ||
+                      segmentCount === 0 ||
+                      ['pending', 'processing'].includes(captionedVideo?.status) ||
+                      requestCaptionedVideoMutation.isPending
+                    }
+                    fullWidth
+                  >
+                    {['pending', 'processing'].includes(captionedVideo?.status)
+                      ? 'Generating Captioned Video...'
+                      : captionedVideo?.status === 'failed'
+                        ? 'Retry Captioned Video'
+                        : 'Create Captioned Video'}
+                  </Button>
+                )}
+                {process.status === 'completed' && process.files?.processed?.storageType !== 's3' && (
+                  <Typography variant="caption" color="text.secondary">
+                    Captioned videos are only available for videos in cloud storage.
+                  </Typography>
+                )}
               </Box>
             </CardContent>
           </Card>
@@ -976,6 +1623,7 @@ const ProcessPage = () => {
       {editingField === 'tags' && (
         <TagEditor
           tags={process?.tags || []}
+          tenantId={tenant?.id}
           open={true}
           onSave={handleSaveTags}
           onCancel={handleCancel}
@@ -1011,6 +1659,49 @@ const ProcessPage = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Rename Speaker Dialog */}
+      <Dialog open={Boolean(speakerRename)} onClose={() => setSpeakerRename(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Rename Speaker</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            The new name is applied to every segment of "{speakerRename?.from}".
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Speaker name"
+            value={speakerRename?.to || ''}
+            onChange={(e) => setSpeakerRename({ ...speakerRename, to: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                handleSpeakerRenameSave();
+              }
+            }}
+            inputProps={{ maxLength: 100 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSpeakerRename(null)}>Cancel</Button>
+          <Button
+            onClick={handleSpeakerRenameSave}
+            variant="contained"
+            disabled={!speakerRename?.to?.trim() || renameSpeakerMutation.isPending}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Transcript History Dialog */}
+      <TranscriptRevisionsDialog
+        open={revisionsOpen}
+        onClose={() => setRevisionsOpen(false)}
+        tenantId={tenant?.id}
+        processId={processId}
+        onRevert={(revision) => revertTranscriptMutation.mutate(revision)}
+        reverting={revertTranscriptMutation.isPending}
+      />
+
       {/* Menu */}
       <Menu
         anchorEl={menuAnchor}
@@ -1025,8 +1716,96 @@ const ProcessPage = () => {
           </ListItemIcon>
           <ListItemText>Zu Favoriten hinzufügen</ListItemText>
         </MenuItem>
+        <MenuItem onClick={handleHistoryClick}>
+          <ListItemIcon>
+            <HistoryIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Version history</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={handleReanalyzeClick} disabled={isReanalyzing}>
+          <ListItemIcon>
+            <RegenerateIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Regenerate AI analysis</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={handleRetranscribeClick} disabled={isRetranscribing || isReanalyzing}>
+          <ListItemIcon>
+            <RetranscribeIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Re-transcribe</ListItemText>
+        </MenuItem>
+        {process?.status === 'completed' && (
+          <MenuItem
+            onClick={() => {
+              handleMenuClose();
+              requestThumbnailsMutation.mutate();
+            }}
+            disabled={requestThumbnailsMutation.isPending
+              || ['pending', 'processing'].includes(process.files?.thumbnails?.status)}
+          >
+            <ListItemIcon>
+              <ThumbnailIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>
+              {process.files?.thumbnails?.status === 'completed' ? 'Regenerate thumbnails' : 'Generate thumbnails'}
+            </ListItemText>
+          </MenuItem>
+        )}
+        {process?.status === 'completed' && ['completed', 'failed'].includes(hlsStatus) && (
+          <MenuItem
+            onClick={() => {
+              handleMenuClose();
+              requestHlsPackagingMutation.mutate();
+            }}
+            disabled={requestHlsPackagingMutation.isPending}
+          >
+            <ListItemIcon>
+              <AdaptiveStreamIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Rebuild adaptive stream</ListItemText>
+          </MenuItem>
+        )}
       </Menu>
 
+      {/* Re-transcribe Dialog */}
+      <RetranscribeDialog
+        open={retranscribeOpen}
+        onClose={() => setRetranscribeOpen(false)}
+        tenantId={tenant?.id}
+        currentSettings={process?.transcriptionSettings || {}}
+        onSubmit={(options) => retranscribeMutation.mutate(options)}
+        submitting={retranscribeMutation.isPending}
+      />
+
+      {/* Regenerate Dialog */}
+      <ReanalyzeDialog
+        open={Boolean(reanalyzeSteps)}
+        onClose={() => setReanalyzeSteps(null)}
+        initialSteps={reanalyzeSteps || []}
+        onSubmit={(payload) => reanalyzeMutation.mutate(payload)}
+        submitting={reanalyzeMutation.isPending}
+      />
+
+      {/* Version History Dialog */}
+      <ProcessHistoryDialog
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        tenantId={tenant?.id}
+        processId={processId}
+        onRestore={(version) => restoreVersionMutation.mutate(version)}
+        restoring={restoreVersionMutation.isPending}
+      />
+
+      <TodoDetailsDialog
+        open={!!detailsTodo}
+        todo={detailsTodo}
+        processId={processId}
+        tenantId={tenant?.id}
+        members={assignableMembers}
+        currentUser={user}
+        onClose={() => setDetailsTodoId(null)}
+      />
+
       {/* Add to Favorites Dialog */}
       <AddToFavoritesDialog
         open={favoriteDialogOpen}
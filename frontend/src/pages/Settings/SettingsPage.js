@@ -24,6 +24,14 @@ import { useAuth } from '../../contexts/AuthContext';
 import TeamManagementPage from '../Team/TeamManagementPage';
 import BillingPage from '../Billing/BillingPage';
 import DeleteAccountDialog from '../../components/DeleteAccountDialog';
+import TranscriptionSettingsCard from '../../components/Transcription/TranscriptionSettingsCard';
+import AISettingsCard from '../../components/AI/AISettingsCard';
+import PromptTemplatesCard from '../../components/AI/PromptTemplatesCard';
+import TagTaxonomyManager from '../../components/TagEditor/TagTaxonomyManager';
+import TrackerIntegrationsCard from '../../components/Todos/TrackerIntegrationsCard';
+import WebhooksCard from '../../components/Webhooks/WebhooksCard';
+import ApiKeysCard from '../../components/ApiKeys/ApiKeysCard';
+import SsoSettingsCard from '../../components/Sso/SsoSettingsCard';
 
 const SettingsPage = () => {
   const [activeTab, setActiveTab] = useState(0);
@@ -143,6 +151,44 @@ const SettingsPage = () => {
               />
             </CardContent>
           </Card>
+
+          <TranscriptionSettingsCard
+            tenantId={tenant?.id}
+            canEdit={['owner', 'admin'].includes(user?.role)}
+          />
+
+          <AISettingsCard
+            tenantId={tenant?.id}
+            canEdit={['owner', 'admin'].includes(user?.role)}
+          />
+
+          <PromptTemplatesCard
+            tenantId={tenant?.id}
+            canEdit={['owner', 'admin'].includes(user?.role)}
+          />
+
+          <TagTaxonomyManager
+            tenantId={tenant?.id}
+            canEdit={['owner', 'admin'].includes(user?.role)}
+          />
+
+          <TrackerIntegrationsCard
+            tenantId={tenant?.id}
+            canEdit={['owner', 'admin'].includes(user?.role)}
+          />
+
+          <WebhooksCard
+            tenantId={tenant?.id}
+            canEdit={['owner', 'admin'].includes(user?.role)}
+          />
+
+          {['owner', 'admin'].includes(user?.role) && (
+            <ApiKeysCard tenantId={tenant?.id} />
+          )}
+
+          {user?.role === 'owner' && (
+            <SsoSettingsCard tenantId={tenant?.id} />
+          )}
         </Box>
       )}
 
@@ -32,6 +32,8 @@ import {
 } from '@mui/icons-material';
 import publicService from '../../services/publicService';
 import VideoPlayer from '../../components/Common/VideoPlayer';
+import ChapterEditor from '../../components/Chapters/ChapterEditor';
+import ProcessSummary from '../../components/Summary/ProcessSummary';
 import { formatTimestamp } from '../../utils/helpers';
 
 const SharedProcessPage = () => {
@@ -42,11 +44,34 @@ const SharedProcessPage = () => {
   const [process, setProcess] = useState(null);
   const [shareInfo, setShareInfo] = useState(null);
   const [localTodos, setLocalTodos] = useState([]);
+  const [subtitlesUrl, setSubtitlesUrl] = useState(null);
+  const [videoCurrentTime, setVideoCurrentTime] = useState(0);
 
   useEffect(() => {
     fetchSharedProcess();
   }, [shareId]);
 
+  // Load captions as a blob URL so the track is same-origin with the page
+  useEffect(() => {
+    if (!process?.transcript?.segments?.length) return;
+
+    let objectUrl = null;
+    publicService.getSharedSubtitles(shareId, 'vtt')
+      .then((vtt) => {
+        objectUrl = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+        setSubtitlesUrl(objectUrl);
+      })
+      .catch((err) => {
+        console.error('Error loading subtitles:', err);
+      });
+
+    return () => {
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [shareId, process?.transcript?.segments?.length]);
+
   const fetchSharedProcess = async () => {
     try {
       setLoading(true);
@@ -203,9 +228,46 @@ const SharedProcessPage = () => {
               <VideoPlayer
                 ref={videoRef}
                 src={publicService.getSharedVideoUrl(shareId)}
-                poster={null}
-                onTimeUpdate={() => {}}
+                hlsSrc={process.files.hls?.status === 'completed' ? publicService.getSharedHlsUrl(shareId) : null}
+                poster={publicService.getSharedAssetUrl(process.files.thumbnails?.posterUrl)}
+                onTimeUpdate={setVideoCurrentTime}
                 autoPlay={false}
+                subtitlesSrc={subtitlesUrl}
+                subtitlesLang={process.transcript?.language || 'en'}
+                chapters={process.chapters}
+                thumbnails={process.files.thumbnails?.spriteUrl ? {
+                  spriteUrl: publicService.getSharedAssetUrl(process.files.thumbnails.spriteUrl),
+                  layout: process.files.thumbnails.layout,
+                } : null}
+              />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Summary */}
+        {process.summary?.abstract && (
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Summary
+              </Typography>
+              <ProcessSummary summary={process.summary} readOnly />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Chapters */}
+        {process.chapters && process.chapters.length > 0 && (
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Chapters
+              </Typography>
+              <ChapterEditor
+                chapters={process.chapters}
+                currentTime={videoCurrentTime}
+                readOnly
+                onJump={jumpToTimestamp}
               />
             </CardContent>
           </Card>
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  InputAdornment,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  CallMerge as MergeIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Search as SearchIcon,
+} from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+
+/**
+ * Rename a tag on every recording
+ */
+const RenameDialog = ({ open, tag, onClose, onSubmit, submitting = false }) => {
+  const [name, setName] = useState('');
+  const [keepAsSynonym, setKeepAsSynonym] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setName(tag?.tag || '');
+      setKeepAsSynonym(false);
+    }
+  }, [open, tag]);
+
+  const trimmed = name.trim().toLowerCase();
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Rename tag</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          "{tag?.tag}" is renamed on {tag?.count} recording(s).
+        </DialogContentText>
+        <TextField
+          autoFocus
+          fullWidth
+          label="New name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          inputProps={{ maxLength: 50 }}
+        />
+        <FormControlLabel
+          sx={{ mt: 1 }}
+          control={<Checkbox checked={keepAsSynonym} onChange={(e) => setKeepAsSynonym(e.target.checked)} />}
+          label="Keep the old name as a synonym"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onSubmit({ from: tag.tag, to: trimmed, keepAsSynonym })}
+          disabled={!trimmed || trimmed === tag?.tag || submitting}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Rename
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+/**
+ * Merge the selected tags into one tag
+ */
+const MergeDialog = ({ open, sources, tags, onClose, onSubmit, submitting = false }) => {
+  const [target, setTarget] = useState('');
+  const [keepAsSynonyms, setKeepAsSynonyms] = useState(true);
+
+  useEffect(() => {
+    if (open) {
+      // Default to the most used of the selected tags
+      const mostUsed = tags
+        .filter(tag => sources.includes(tag.tag))
+        .sort((a, b) => b.count - a.count)[0];
+      setTarget(mostUsed?.tag || '');
+      setKeepAsSynonyms(true);
+    }
+  }, [open, sources, tags]);
+
+  const trimmed = (target || '').trim().toLowerCase();
+  const merged = sources.filter(source => source !== trimmed);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Merge tags</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+          {sources.map(source => (
+            <Chip key={source} size="small" label={source} variant={source === trimmed ? 'filled' : 'outlined'} />
+          ))}
+        </Box>
+        <Autocomplete
+          freeSolo
+          options={tags.map(tag => tag.tag)}
+          value={target}
+          onInputChange={(e, value) => setTarget(value)}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              autoFocus
+              label="Merge into"
+              helperText="Recordings with several of these tags keep the highest weight"
+              inputProps={{ ...params.inputProps, maxLength: 50 }}
+            />
+          )}
+        />
+        <FormControlLabel
+          sx={{ mt: 1 }}
+          control={<Checkbox checked={keepAsSynonyms} onChange={(e) => setKeepAsSynonyms(e.target.checked)} />}
+          label="Keep the merged names as synonyms"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onSubmit({ sources: merged, target: trimmed, keepAsSynonyms })}
+          disabled={!trimmed || merged.length === 0 || submitting}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Merge
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+/**
+ * Tag administration: usage of every tag in the workspace with rename, merge
+ * and delete across all recordings
+ */
+const TagManagementPage = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { tenant, user } = useAuth();
+  const { showNotification } = useNotification();
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [renaming, setRenaming] = useState(null);
+  const [merging, setMerging] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  const canManageTags = ['owner', 'admin'].includes(user?.role);
+
+  const { data: tags = [], isLoading, error } = useQuery({
+    queryKey: ['tags', tenant?.id, 'raw'],
+    queryFn: () => processAPI.getTags(tenant?.id, { raw: true }),
+    enabled: !!tenant?.id && canManageTags,
+    select: (result) => result.data.data.tags,
+  });
+
+  // Tag changes show up everywhere tags are listed or compared
+  const refresh = () => {
+    setSelected([]);
+    queryClient.invalidateQueries({ queryKey: ['tags', tenant?.id] });
+    queryClient.invalidateQueries({ queryKey: ['tagTaxonomy', tenant?.id] });
+    queryClient.invalidateQueries({ queryKey: ['processes'] });
+    queryClient.invalidateQueries({ queryKey: ['graph-data'] });
+  };
+
+  const onError = (fallback) => (err) => {
+    showNotification(err.response?.data?.message || fallback, 'error');
+  };
+
+  const renameMutation = useMutation({
+    mutationFn: (data) => processAPI.renameTag(tenant.id, data),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      setRenaming(null);
+      refresh();
+    },
+    onError: onError('Failed to rename the tag'),
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: (data) => processAPI.mergeTags(tenant.id, data),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      setMerging(false);
+      refresh();
+    },
+    onError: onError('Failed to merge the tags'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (name) => processAPI.deleteTag(tenant.id, name),
+    onSuccess: (result) => {
+      showNotification(result.data.message, 'success');
+      setDeleting(null);
+      refresh();
+    },
+    onError: onError('Failed to delete the tag'),
+  });
+
+  if (!canManageTags) {
+    return (
+      <Alert severity="warning">
+        You don't have permission to manage tags.
+      </Alert>
+    );
+  }
+
+  const query = search.trim().toLowerCase();
+  const visible = query ? tags.filter(tag => tag.tag.includes(query)) : tags;
+  const allVisibleSelected = visible.length > 0 && visible.every(tag => selected.includes(tag.tag));
+
+  const toggle = (name) => {
+    setSelected(selected.includes(name)
+      ? selected.filter(item => item !== name)
+      : [...selected, name]);
+  };
+
+  const toggleAll = () => {
+    const names = visible.map(tag => tag.tag);
+    setSelected(allVisibleSelected
+      ? selected.filter(name => !names.includes(name))
+      : [...new Set([...selected, ...names])]);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom>
+          Tags
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Rename, merge or delete a tag on all recordings of the workspace at once.
+        </Typography>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          placeholder="Search tags"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <Button
+          variant="outlined"
+          startIcon={<MergeIcon />}
+          disabled={selected.length < 2}
+          onClick={() => setMerging(true)}
+        >
+          Merge selected ({selected.length})
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.response?.data?.message || 'Failed to load tags'}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={allVisibleSelected}
+                    indeterminate={!allVisibleSelected && visible.some(tag => selected.includes(tag.tag))}
+                    onChange={toggleAll}
+                  />
+                </TableCell>
+                <TableCell>Tag</TableCell>
+                <TableCell align="right">Recordings</TableCell>
+                <TableCell align="right">Avg. weight</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visible.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5}>
+                    <Typography color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                      {query ? 'No tags match your search' : 'No tags yet'}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : visible.map(tag => (
+                <TableRow key={tag.tag} hover selected={selected.includes(tag.tag)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox checked={selected.includes(tag.tag)} onChange={() => toggle(tag.tag)} />
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      <Chip
+                        size="small"
+                        label={tag.tag}
+                        color={tag.approved ? 'primary' : 'default'}
+                        variant={tag.approved ? 'filled' : 'outlined'}
+                        onClick={() => navigate(`/processes?tags=${encodeURIComponent(tag.tag)}`)}
+                      />
+                      {tag.synonymOf && (
+                        <Typography variant="caption" color="text.secondary">
+                          synonym of {tag.synonymOf}
+                        </Typography>
+                      )}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">{tag.count}</TableCell>
+                  <TableCell align="right">{Math.round((tag.avgWeight || 0) * 100)}%</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Rename">
+                      <IconButton size="small" onClick={() => setRenaming(tag)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => setDeleting(tag)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <RenameDialog
+        open={!!renaming}
+        tag={renaming}
+        onClose={() => setRenaming(null)}
+        onSubmit={(data) => renameMutation.mutate(data)}
+        submitting={renameMutation.isPending}
+      />
+
+      <MergeDialog
+        open={merging}
+        sources={selected}
+        tags={tags}
+        onClose={() => setMerging(false)}
+        onSubmit={(data) => mergeMutation.mutate(data)}
+        submitting={mergeMutation.isPending}
+      />
+
+      <Dialog open={!!deleting} onClose={() => setDeleting(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete tag</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            "{deleting?.tag}" is removed from {deleting?.count} recording(s) and from the tag taxonomy. This cannot be undone in one step, but every recording keeps its version history.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={() => deleteMutation.mutate(deleting.tag)}
+            disabled={deleteMutation.isPending}
+            startIcon={deleteMutation.isPending ? <CircularProgress size={16} /> : null}
+          >
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TagManagementPage;
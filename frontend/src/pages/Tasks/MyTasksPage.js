@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  MenuItem,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  CheckBoxOutlineBlank as UncheckedIcon,
+  CheckBox as CheckedIcon,
+  Event as CalendarIcon,
+} from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+import { processAPI, notificationAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import TodoMeta from '../../components/Todos/TodoMeta';
+import CalendarFeedDialog from '../../components/Todos/CalendarFeedDialog';
+import { TODO_STATUSES, useAssignableMembers } from '../../components/Todos/todoOptions';
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Not done' },
+  ...TODO_STATUSES,
+  { value: 'all', label: 'All' },
+];
+
+/**
+ * Todos assigned to the current user across all recordings
+ */
+const MyTasksPage = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { tenant, user } = useAuth();
+  const { showNotification } = useNotification();
+  const [status, setStatus] = useState('active');
+  const [calendarOpen, setCalendarOpen] = useState(false);
+  const members = useAssignableMembers(tenant?.id, user);
+
+  const { data: tasks = [], isLoading, error } = useQuery({
+    queryKey: ['assignedTodos', tenant?.id, status],
+    queryFn: async () => {
+      const result = await processAPI.getAssignedTodos(tenant.id, { status });
+      return result.data.data.tasks;
+    },
+    enabled: !!tenant?.id,
+  });
+
+  // Unread assignment notifications mark new tasks
+  const { data: newAssignments = [] } = useQuery({
+    queryKey: ['notifications', tenant?.id, 'todo_assigned'],
+    queryFn: async () => {
+      const result = await notificationAPI.getNotifications(tenant.id, { type: 'todo_assigned', status: 'unread', limit: 100 });
+      return result.data.data.notifications;
+    },
+    enabled: !!tenant?.id,
+  });
+
+  // Opening the page counts as having seen them; the marker stays until the list reloads
+  useEffect(() => {
+    newAssignments.forEach(notification => {
+      notificationAPI.markAsRead(tenant.id, notification.id).catch(() => {});
+    });
+  }, [newAssignments, tenant?.id]);
+
+  const newTodoIds = new Set(newAssignments.map(notification => notification.metadata?.additionalData?.todoId));
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ processId, todo }) => processAPI.updateTodo(tenant.id, processId, todo.id, { completed: todo.status !== 'done' }),
+    onSuccess: (result, { processId }) => {
+      queryClient.invalidateQueries({ queryKey: ['assignedTodos', tenant?.id] });
+      queryClient.invalidateQueries({ queryKey: ['process', tenant?.id, processId] });
+    },
+    onError: (err) => {
+      showNotification(err.response?.data?.message || 'Failed to update todo', 'error');
+    },
+  });
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 3, gap: 2, flexWrap: 'wrap' }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            My Tasks
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Todos assigned to you in any recording, due first.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <Button startIcon={<CalendarIcon />} onClick={() => setCalendarOpen(true)}>
+            Calendar feed
+          </Button>
+          <TextField
+            select
+            size="small"
+            label="Status"
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            {STATUS_FILTERS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.response?.data?.message || 'Failed to load your tasks'}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : tasks.length === 0 ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography color="text.secondary">
+            No tasks assigned to you{status === 'all' ? '' : ' with this status'}.
+          </Typography>
+        </Paper>
+      ) : (
+        <Paper>
+          <List disablePadding>
+            {tasks.map(({ processId, processTitle, todo }) => (
+              <ListItem key={todo.id} disablePadding divider>
+                <ListItemIcon sx={{ pl: 1 }}>
+                  <Checkbox
+                    checked={todo.status === 'done'}
+                    onChange={() => toggleMutation.mutate({ processId, todo })}
+                    disabled={toggleMutation.isPending}
+                    icon={<UncheckedIcon />}
+                    checkedIcon={<CheckedIcon />}
+                  />
+                </ListItemIcon>
+                <ListItemButton onClick={() => navigate(`/processes/${processId}?todo=${todo.id}`)}>
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <span style={{ textDecoration: todo.status === 'done' ? 'line-through' : 'none' }}>
+                          {todo.task}
+                        </span>
+                        {newTodoIds.has(todo.id) && <Chip size="small" color="primary" label="New" />}
+                      </Box>
+                    }
+                    secondary={
+                      <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5, flexWrap: 'wrap' }}>
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {processTitle}
+                        </Typography>
+                        <TodoMeta todo={todo} members={members} />
+                      </Box>
+                    }
+                    primaryTypographyProps={{ component: 'div' }}
+                    secondaryTypographyProps={{ component: 'div' }}
+                  />
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      <CalendarFeedDialog
+        open={calendarOpen}
+        tenantId={tenant?.id}
+        onClose={() => setCalendarOpen(false)}
+      />
+    </Box>
+  );
+};
+
+export default MyTasksPage;
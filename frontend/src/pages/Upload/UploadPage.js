@@ -24,6 +24,7 @@ import {
   Stepper,
   Step,
   StepLabel,
+  TextField,
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
@@ -37,12 +38,13 @@ import {
 import { useDropzone } from 'react-dropzone';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 
-import { uploadFile, processAPI, limitsAPI } from '../../services/api';
+import { uploadFile, processAPI, limitsAPI, settingsAPI } from '../../services/api';
 import axios from 'axios';
 import { useAuth } from '../../contexts/AuthContext';
 import { useUpload } from '../../contexts/UploadContext';
 import UploadLimits from '../../components/Upload/UploadLimits';
 import UsageAlert from '../../components/Common/UsageAlert';
+import LanguageSelect, { languageName } from '../../components/Transcription/LanguageSelect';
 import { useNotification } from '../../contexts/NotificationContext';
 import { formatBytes, formatDuration } from '../../utils/helpers';
 import { useQuery } from '@tanstack/react-query';
@@ -96,6 +98,19 @@ const UploadPage = () => {
   const [showPreview, setShowPreview] = useState(false);
   const [pollingInterval, setPollingInterval] = useState(null);
   const [localFile, setLocalFile] = useState(null); // Store actual File object locally
+  // Transcription overrides for this upload ('default' keeps the workspace default)
+  const [transcriptionLanguage, setTranscriptionLanguage] = useState('default');
+  const [transcriptionVocabulary, setTranscriptionVocabulary] = useState('');
+
+  const { data: transcriptionSettings } = useQuery({
+    queryKey: ['transcriptionSettings', tenant?.id],
+    queryFn: async () => {
+      const result = await settingsAPI.getTranscriptionSettings(tenant?.id);
+      return result.data.data;
+    },
+    enabled: !!tenant?.id,
+  });
+  const defaultLanguage = transcriptionSettings?.transcription?.language;
 
   // Enhanced upload mutation with cancellation support
   const uploadMutation = useMutation({
@@ -128,7 +143,10 @@ const UploadPage = () => {
       return uploadFile(tenant.id, file, (progress) => {
         console.log('📤 Upload progress:', progress + '%');
         updateUploadProgress(progress);
-      }, cancelWrapper);
+      }, cancelWrapper, {
+        language: transcriptionLanguage === 'default' ? '' : transcriptionLanguage,
+        vocabulary: transcriptionVocabulary.trim(),
+      });
     },
     onSuccess: (response) => {
       const process = response.data.data.process;
@@ -579,6 +597,40 @@ const UploadPage = () => {
               </Box>
             )}
 
+            {/* Transcription options */}
+            {!isUploading && (
+              <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2, mb: 2 }}>
+                <LanguageSelect
+                  size="small"
+                  label="Spoken language"
+                  value={transcriptionLanguage}
+                  onChange={setTranscriptionLanguage}
+                  languages={transcriptionSettings?.supportedLanguages}
+                  extraOptions={[
+                    {
+                      value: 'default',
+                      label: defaultLanguage
+                        ? `Workspace default (${languageName(defaultLanguage)})`
+                        : 'Detect automatically'
+                    },
+                    ...(defaultLanguage ? [{ value: 'auto', label: 'Detect automatically' }] : []),
+                  ]}
+                />
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Vocabulary (optional)"
+                  placeholder="Names and terms used in this recording"
+                  value={transcriptionVocabulary}
+                  onChange={(e) => setTranscriptionVocabulary(e.target.value)}
+                  inputProps={{ maxLength: 1000 }}
+                  helperText={transcriptionSettings?.transcription?.vocabulary
+                    ? 'Added to the workspace vocabulary'
+                    : undefined}
+                />
+              </Box>
+            )}
+
             {/* Upload Button */}
             {!isUploading && (
               <Button
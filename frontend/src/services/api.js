@@ -93,6 +93,53 @@ api.interceptors.response.use(
   }
 );
 
+// POST with a server-sent event response (axios cannot stream in the browser).
+// Calls onEvent with every parsed `data:` event and resolves when the stream ends.
+const postEventStream = async (url, body, onEvent, isRetry = false) => {
+  const response = await fetch(`${API_BASE_URL}${url}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (response.status === 401 && !isRetry && refreshToken) {
+    const refreshResponse = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    setTokens(refreshResponse.data.data.accessToken, refreshToken);
+    return postEventStream(url, body, onEvent, true);
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    // Same shape as axios errors so callers can read error.response.data.message
+    const error = new Error(data.message || data.error || `Request failed with status ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    events.forEach((event) => {
+      const data = event.split('\n').find((line) => line.startsWith('data:'));
+      if (data) {
+        onEvent(JSON.parse(data.slice(5)));
+      }
+    });
+  }
+};
+
 // Auth API endpoints
 export const authAPI = {
   login: async (email, password) => {
@@ -131,6 +178,19 @@ export const authAPI = {
     return await api.post('/auth/check-subdomain', { subdomain });
   },
 
+  // Single sign-on provider of the email's workspace, if it has one
+  discoverSso: async (email) => {
+    return await api.post('/auth/sso/discover', { email });
+  },
+
+  // Exchange the one-time code the SSO callback hands to the frontend
+  exchangeSsoCode: async (code) => {
+    const response = await api.post('/auth/sso/exchange', { code });
+    const { tokens } = response.data.data;
+    setTokens(tokens.accessToken, tokens.refreshToken);
+    return response;
+  },
+
   logout: async (refreshTokenValue) => {
     const response = await api.post('/auth/logout', {
       refreshToken: refreshTokenValue,
@@ -198,6 +258,116 @@ export const processAPI = {
     return await api.put(`/tenants/${tenantId}/processes/${processId}`, updates);
   },
 
+  renameSpeaker: async (tenantId, processId, from, to) => {
+    return await api.put(`/tenants/${tenantId}/processes/${processId}/speakers`, { from, to });
+  },
+
+  updateTodo: async (tenantId, processId, todoId, changes) => {
+    return await api.patch(`/tenants/${tenantId}/processes/${processId}/todos/${todoId}`, changes);
+  },
+
+  addTodoComment: async (tenantId, processId, todoId, text) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/todos/${todoId}/comments`, { text });
+  },
+
+  deleteTodoComment: async (tenantId, processId, todoId, commentId) => {
+    return await api.delete(`/tenants/${tenantId}/processes/${processId}/todos/${todoId}/comments/${commentId}`);
+  },
+
+  getAssignedTodos: async (tenantId, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return await api.get(`/tenants/${tenantId}/processes/todos/assigned?${queryString}`);
+  },
+
+  // Create or update issues in a connected tracker ('github', 'jira'); all todos without todoIds
+  exportTodos: async (tenantId, processId, { connector, todoIds }) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/todos/export`, { connector, todoIds });
+  },
+
+  // Todos as 'csv' or 'ics' (todos with a due date) file content
+  downloadTodos: async (tenantId, processId, format = 'csv') => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/todos/export.${format}`, {
+      responseType: 'text',
+    });
+  },
+
+  getCalendarFeed: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/processes/todos/calendar-feed`);
+  },
+
+  createCalendarFeed: async (tenantId) => {
+    return await api.post(`/tenants/${tenantId}/processes/todos/calendar-feed`);
+  },
+
+  revokeCalendarFeed: async (tenantId) => {
+    return await api.delete(`/tenants/${tenantId}/processes/todos/calendar-feed`);
+  },
+
+  // Comment threads with replies; params.status is 'open', 'resolved' or 'all'
+  getComments: async (tenantId, processId, params = {}) => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/comments`, { params });
+  },
+
+  // New thread ({ text, mentions, timestamp, segmentIndex }) or reply ({ text, mentions, parentId })
+  addComment: async (tenantId, processId, comment) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/comments`, comment);
+  },
+
+  // { text, mentions } or { resolved }
+  updateComment: async (tenantId, processId, commentId, changes) => {
+    return await api.patch(`/tenants/${tenantId}/processes/${processId}/comments/${commentId}`, changes);
+  },
+
+  deleteComment: async (tenantId, processId, commentId) => {
+    return await api.delete(`/tenants/${tenantId}/processes/${processId}/comments/${commentId}`);
+  },
+
+  patchTranscript: async (tenantId, processId, operations, revision) => {
+    return await api.patch(`/tenants/${tenantId}/processes/${processId}/transcript`, { operations, revision });
+  },
+
+  getTranscriptRevisions: async (tenantId, processId) => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/transcript/revisions`);
+  },
+
+  getTranscriptRevision: async (tenantId, processId, revision) => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/transcript/revisions/${revision}`);
+  },
+
+  revertTranscriptRevision: async (tenantId, processId, revision) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/transcript/revisions/${revision}/revert`);
+  },
+
+  reanalyzeProcess: async (tenantId, processId, steps, instructions = '') => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/reanalyze`, { steps, instructions });
+  },
+
+  // options: { language, vocabulary } - omitted fields keep the previous settings
+  retranscribeProcess: async (tenantId, processId, options = {}) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/retranscribe`, options);
+  },
+
+  getQaHistory: async (tenantId, processId) => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/qa`);
+  },
+
+  // onEvent receives { type: 'delta', content }, then { type: 'done', question, answer } or { type: 'error', message }
+  askQuestion: async (tenantId, processId, question, onEvent) => {
+    return await postEventStream(`/tenants/${tenantId}/processes/${processId}/qa`, { question }, onEvent);
+  },
+
+  clearQaHistory: async (tenantId, processId) => {
+    return await api.delete(`/tenants/${tenantId}/processes/${processId}/qa`);
+  },
+
+  getProcessVersions: async (tenantId, processId) => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/versions`);
+  },
+
+  restoreProcessVersion: async (tenantId, processId, version) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/versions/${version}/restore`);
+  },
+
   deleteProcess: async (tenantId, processId) => {
     return await api.delete(`/tenants/${tenantId}/processes/${processId}`);
   },
@@ -216,14 +386,28 @@ export const processAPI = {
     return await api.delete(`/tenants/${tenantId}/processes/${processId}/share`);
   },
 
-  searchProcesses: async (tenantId, query, limit = 50) => {
+  // mode: 'text' (keywords), 'semantic' (by meaning) or 'hybrid'
+  searchProcesses: async (tenantId, query, limit = 50, mode = 'text') => {
     return await api.get(`/tenants/${tenantId}/processes/search`, {
-      params: { q: query, limit },
+      params: { q: query, limit, mode },
     });
   },
 
-  getTags: async (tenantId) => {
-    return await api.get(`/tenants/${tenantId}/processes/tags`);
+  getTags: async (tenantId, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return await api.get(`/tenants/${tenantId}/processes/tags${queryString ? `?${queryString}` : ''}`);
+  },
+
+  renameTag: async (tenantId, data) => {
+    return await api.post(`/tenants/${tenantId}/processes/tags/rename`, data);
+  },
+
+  mergeTags: async (tenantId, data) => {
+    return await api.post(`/tenants/${tenantId}/processes/tags/merge`, data);
+  },
+
+  deleteTag: async (tenantId, name) => {
+    return await api.delete(`/tenants/${tenantId}/processes/tags/${encodeURIComponent(name)}`);
   },
 
   getGraphData: async (tenantId, mode = 'tags', threshold = 0.7) => {
@@ -244,6 +428,39 @@ export const processAPI = {
   getVideoUrl: (tenantId, processId, token) => {
     return `${API_BASE_URL}/video/${tenantId}/${processId}?token=${token}`;
   },
+
+  // Adaptive stream master playlist; rendition and segment URLs carry their own tokens
+  getHlsUrl: (tenantId, processId, token) => {
+    return `${API_BASE_URL}/video/${tenantId}/${processId}/hls/master.m3u8?token=${token}`;
+  },
+
+  requestHlsPackaging: async (tenantId, processId) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/hls`);
+  },
+
+  // Poster, sprite and thumbnail track URLs come back relative to the API root
+  getAssetUrl: (assetPath) => {
+    return assetPath ? `${API_BASE_URL}${assetPath}` : null;
+  },
+
+  requestThumbnails: async (tenantId, processId) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/thumbnails`);
+  },
+
+  // Subtitles ('srt' or 'vtt') as plain text
+  getSubtitles: async (tenantId, processId, format = 'vtt') => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/subtitles.${format}`, {
+      responseType: 'text',
+    });
+  },
+
+  requestCaptionedVideo: async (tenantId, processId) => {
+    return await api.post(`/tenants/${tenantId}/processes/${processId}/captioned-video`);
+  },
+
+  getCaptionedVideo: async (tenantId, processId) => {
+    return await api.get(`/tenants/${tenantId}/processes/${processId}/captioned-video`);
+  },
 };
 
 // Favorite Lists API endpoints
@@ -377,6 +594,165 @@ export const limitsAPI = {
   },
 };
 
+// Tenant settings API endpoints
+export const settingsAPI = {
+  getTranscriptionSettings: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/transcription`);
+  },
+
+  updateTranscriptionSettings: async (tenantId, settings) => {
+    return await api.put(`/tenants/${tenantId}/settings/transcription`, settings);
+  },
+
+  getAISettings: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/ai`);
+  },
+
+  updateAISettings: async (tenantId, settings) => {
+    return await api.put(`/tenants/${tenantId}/settings/ai`, settings);
+  },
+
+  getPromptTemplates: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/prompts`);
+  },
+
+  updatePromptTemplate: async (tenantId, kind, { template, variables }) => {
+    return await api.put(`/tenants/${tenantId}/settings/prompts/${kind}`, { template, variables });
+  },
+
+  getPromptTemplateVersions: async (tenantId, kind) => {
+    return await api.get(`/tenants/${tenantId}/settings/prompts/${kind}/versions`);
+  },
+
+  restorePromptTemplate: async (tenantId, kind, version) => {
+    return await api.post(`/tenants/${tenantId}/settings/prompts/${kind}/versions/${version}/restore`);
+  },
+
+  previewPromptTemplate: async (tenantId, kind, { processId, template, variables }) => {
+    return await api.post(`/tenants/${tenantId}/settings/prompts/${kind}/preview`, { processId, template, variables });
+  },
+
+  getTagTaxonomy: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/taxonomy`);
+  },
+
+  updateTagTaxonomy: async (tenantId, settings) => {
+    return await api.put(`/tenants/${tenantId}/settings/taxonomy`, settings);
+  },
+
+  createTagTerm: async (tenantId, term) => {
+    return await api.post(`/tenants/${tenantId}/settings/taxonomy/terms`, term);
+  },
+
+  updateTagTerm: async (tenantId, termId, term) => {
+    return await api.put(`/tenants/${tenantId}/settings/taxonomy/terms/${termId}`, term);
+  },
+
+  deleteTagTerm: async (tenantId, termId) => {
+    return await api.delete(`/tenants/${tenantId}/settings/taxonomy/terms/${termId}`);
+  },
+
+  getIntegrations: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/integrations`);
+  },
+
+  // Credentials left empty keep their stored value
+  saveIntegration: async (tenantId, type, { config, credentials, enabled }) => {
+    return await api.put(`/tenants/${tenantId}/settings/integrations/${type}`, { config, credentials, enabled });
+  },
+
+  testIntegration: async (tenantId, type) => {
+    return await api.post(`/tenants/${tenantId}/settings/integrations/${type}/test`);
+  },
+
+  deleteIntegration: async (tenantId, type) => {
+    return await api.delete(`/tenants/${tenantId}/settings/integrations/${type}`);
+  },
+
+  getWebhooks: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/webhooks`);
+  },
+
+  // The response holds the signing secret, which is not returned again
+  createWebhook: async (tenantId, { url, description, events, enabled }) => {
+    return await api.post(`/tenants/${tenantId}/settings/webhooks`, { url, description, events, enabled });
+  },
+
+  updateWebhook: async (tenantId, webhookId, changes) => {
+    return await api.put(`/tenants/${tenantId}/settings/webhooks/${webhookId}`, changes);
+  },
+
+  deleteWebhook: async (tenantId, webhookId) => {
+    return await api.delete(`/tenants/${tenantId}/settings/webhooks/${webhookId}`);
+  },
+
+  rotateWebhookSecret: async (tenantId, webhookId) => {
+    return await api.post(`/tenants/${tenantId}/settings/webhooks/${webhookId}/rotate-secret`);
+  },
+
+  testWebhook: async (tenantId, webhookId) => {
+    return await api.post(`/tenants/${tenantId}/settings/webhooks/${webhookId}/test`);
+  },
+
+  getWebhookDeliveries: async (tenantId, webhookId) => {
+    return await api.get(`/tenants/${tenantId}/settings/webhooks/${webhookId}/deliveries`);
+  },
+
+  getApiKeys: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/api-keys`);
+  },
+
+  // The response holds the key, which is not returned again
+  createApiKey: async (tenantId, { name, scopes, rateLimit }) => {
+    return await api.post(`/tenants/${tenantId}/settings/api-keys`, { name, scopes, rateLimit });
+  },
+
+  updateApiKey: async (tenantId, keyId, changes) => {
+    return await api.put(`/tenants/${tenantId}/settings/api-keys/${keyId}`, changes);
+  },
+
+  rotateApiKey: async (tenantId, keyId) => {
+    return await api.post(`/tenants/${tenantId}/settings/api-keys/${keyId}/rotate`);
+  },
+
+  revokeApiKey: async (tenantId, keyId) => {
+    return await api.post(`/tenants/${tenantId}/settings/api-keys/${keyId}/revoke`);
+  },
+
+  getSso: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/settings/sso`);
+  },
+
+  // An empty clientSecret keeps the stored one
+  updateSso: async (tenantId, settings) => {
+    return await api.put(`/tenants/${tenantId}/settings/sso`, settings);
+  },
+
+  deleteSso: async (tenantId) => {
+    return await api.delete(`/tenants/${tenantId}/settings/sso`);
+  },
+};
+
+// Knowledge assistant API endpoints
+export const assistantAPI = {
+  getConversations: async (tenantId) => {
+    return await api.get(`/tenants/${tenantId}/assistant/conversations`);
+  },
+
+  getConversation: async (tenantId, conversationId) => {
+    return await api.get(`/tenants/${tenantId}/assistant/conversations/${conversationId}`);
+  },
+
+  deleteConversation: async (tenantId, conversationId) => {
+    return await api.delete(`/tenants/${tenantId}/assistant/conversations/${conversationId}`);
+  },
+
+  // onEvent receives { type: 'delta', content }, then { type: 'done', conversation, question, answer } or { type: 'error', message }
+  ask: async (tenantId, { question, conversationId, listId }, onEvent) => {
+    return await postEventStream(`/tenants/${tenantId}/assistant/ask`, { question, conversationId, listId }, onEvent);
+  },
+};
+
 // Notification API endpoints
 export const notificationAPI = {
   getNotifications: async (tenantId, params = {}) => {
@@ -430,10 +806,15 @@ export const publicAPI = {
   getRateLimitInfo: async () => {
     return await axios.get(`${API_BASE_URL}/public/rate-limit`);
   },
+
+  getOpenApiUrl: () => {
+    return `${API_BASE_URL}/public/openapi.json`;
+  },
 };
 
 // File upload helper with cancellation support and chunking for large files
-export const uploadFile = async (tenantId, file, onProgress, cancelTokenSource) => {
+// transcriptionOptions: { language, vocabulary } overriding the tenant defaults
+export const uploadFile = async (tenantId, file, onProgress, cancelTokenSource, transcriptionOptions = {}) => {
   console.log('🔍 uploadFile called with:', {
     tenantId,
     fileName: file.name,
@@ -459,7 +840,8 @@ export const uploadFile = async (tenantId, file, onProgress, cancelTokenSource)
       onStatusChange: (status) => {
         console.log('Upload status:', status);
       },
-      axiosInstance: api // Use the configured axios instance with auth interceptors
+      axiosInstance: api, // Use the configured axios instance with auth interceptors
+      fields: transcriptionOptions
     });
 
     // Initialize upload
@@ -500,6 +882,12 @@ export const uploadFile = async (tenantId, file, onProgress, cancelTokenSource)
   console.log('📤 Using REGULAR upload for file:', file.name, 'Size:', (file.size / 1024 / 1024).toFixed(2) + 'MB');
   
   const formData = new FormData();
+  // Fields go before the file so they are parsed before the upload stream
+  Object.entries(transcriptionOptions).forEach(([name, value]) => {
+    if (value) {
+      formData.append(name, value);
+    }
+  });
   formData.append('video', file);
 
   console.log('📨 Sending to API endpoint:', `/tenants/${tenantId}/processes`);
@@ -524,10 +912,13 @@ export class ProcessWebSocket {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 20; // Increased from 5 for better reliability
     this.reconnectDelay = 1000;
+    this.shouldReconnect = true;
   }
 
   connect() {
-    const wsUrl = `${API_BASE_URL.replace('http', 'ws')}/processes/${this.processId}/status`;
+    // Browsers cannot set headers on WebSocket requests, so the token goes in the query
+    const wsUrl = `${API_BASE_URL.replace(/^http/, 'ws')}/tenants/${this.tenantId}/processes/${this.processId}/status?token=${encodeURIComponent(accessToken || '')}`;
+    this.shouldReconnect = true;
     
     try {
       this.ws = new WebSocket(wsUrl);
@@ -557,7 +948,7 @@ export class ProcessWebSocket {
         }
         this.emit('disconnected', { code: event.code, reason: event.reason });
         
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
+        if (this.shouldReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
           this.reconnect();
         }
       };
@@ -581,6 +972,9 @@ export class ProcessWebSocket {
     const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
     
     setTimeout(() => {
+      if (!this.shouldReconnect) {
+        return;
+      }
       if (process.env.NODE_ENV === 'development') {
         console.log(`Reconnecting WebSocket (attempt ${this.reconnectAttempts})...`);
       }
@@ -589,6 +983,7 @@ export class ProcessWebSocket {
   }
 
   disconnect() {
+    this.shouldReconnect = false;
     if (this.ws) {
       this.ws.close();
       this.ws = null;
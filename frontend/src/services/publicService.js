@@ -28,6 +28,24 @@ export const publicService = {
     return `${API_URL}/public/processes/${shareId}/video`;
   },
 
+  // Get shared process adaptive stream (HLS master playlist) URL
+  getSharedHlsUrl: (shareId) => {
+    return `${API_URL}/public/processes/${shareId}/hls/master.m3u8`;
+  },
+
+  // Poster, sprite and thumbnail track URLs come back relative to the API root
+  getSharedAssetUrl: (assetPath) => {
+    return assetPath ? `${API_URL}${assetPath}` : null;
+  },
+
+  // Get shared process subtitles ('srt' or 'vtt') as plain text
+  getSharedSubtitles: async (shareId, format = 'vtt') => {
+    const response = await publicApi.get(`/processes/${shareId}/subtitles.${format}`, {
+      responseType: 'text',
+    });
+    return response.data;
+  },
+
   // Get public statistics
   getPublicStats: async () => {
     try {
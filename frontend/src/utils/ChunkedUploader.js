@@ -25,6 +25,8 @@ class ChunkedUploader {
     this.onStatusChange = options.onStatusChange || (() => {});
     // Accept axios instance to use configured interceptors
     this.axiosInstance = options.axiosInstance || null;
+    // Extra process fields sent with the finalization request (e.g. transcription options)
+    this.fields = options.fields || {};
   }
 
   /**
@@ -241,7 +243,8 @@ class ChunkedUploader {
         uploadId: this.uploadId,
         filename: this.file.name,
         fileSize: this.file.size,
-        mimeType: this.file.type
+        mimeType: this.file.type,
+        ...this.fields
       },
       {
         headers: {